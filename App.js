@@ -10,6 +10,7 @@ import SplashScreen from './src/screens/SplashScreen';
 import HomeScreen from './src/screens/HomeScreen';
 import LoginScreen from './src/screens/LoginScreen';
 import MaintenanceBanner from './src/components/MaintenanceBanner';
+import SessionExpiryHandler from './src/components/SessionExpiryHandler';
 
 // Teacher Screens
 import TeacherScreen from './src/screens/TeacherScreen';
@@ -19,11 +20,13 @@ import TeacherAttendanceScreen from './src/screens/TeacherAttendanceScreen';
 import TeacherBPS from './src/screens/TeacherBPS';
 import TeacherHomeworkScreen from './src/screens/TeacherHomeworkScreen';
 import TeacherHomeworkDetailScreen from './src/screens/TeacherHomeworkDetailScreen';
+import HomeworkSimilarityScreen from './src/screens/HomeworkSimilarityScreen';
 import TeacherHomeworkCreateScreen from './src/screens/TeacherHomeworkCreateScreen';
 import TeacherMessagingScreen from './src/screens/TeacherMessagingScreen';
 import TeacherHealthScreen from './src/screens/TeacherHealthScreen';
 import TeacherPickupScreen from './src/screens/TeacherPickupScreen';
 import TeacherQRScannerScreen from './src/screens/TeacherQRScannerScreen';
+import TeacherAssessmentsScreen from './src/screens/TeacherAssessmentsScreen';
 
 // Homeroom Screens
 import HomeroomScreen from './src/screens/HomeroomScreen';
@@ -93,6 +96,7 @@ import { ThemeProvider } from './src/contexts/ThemeContext';
 import { LanguageProvider } from './src/contexts/LanguageContext';
 import { NotificationProvider } from './src/contexts/NotificationContext';
 import { MessagingProvider } from './src/contexts/MessagingContext';
+import { AppLockProvider } from './src/contexts/AppLockContext';
 import {
   requestUserPermission,
   notificationListener,
@@ -101,6 +105,9 @@ import {
   setNavigationRef,
 } from './src/utils/messaging';
 import { getDemoCredentials } from './src/services/authService';
+import { startAttendanceSync } from './src/services/attendanceSyncService';
+import { startSessionManager } from './src/services/sessionManager';
+import { migrateToSecureStorage } from './src/services/secureStorage';
 import performanceMonitor, {
   wrapWithTimeout,
 } from './src/utils/performanceMonitor';
@@ -134,6 +141,15 @@ export default function App() {
     // Start performance monitoring
     performanceMonitor.startMonitoring();
 
+    // Move auth codes saved by earlier versions into secure storage
+    migrateToSecureStorage();
+
+    // Renew or report expired auth codes for every API request
+    startSessionManager();
+
+    // Replay attendance taken offline whenever connectivity returns
+    startAttendanceSync();
+
     // Log demo credentials for easy access
     console.log('\n🎭 DEMO MODE CREDENTIALS:');
     console.log('========================');
@@ -323,296 +339,310 @@ export default function App() {
           <LanguageProvider>
             <NotificationProvider>
               <MessagingProvider>
-                <NavigationContainer
-                  ref={navigationRef}
-                  onReady={() => {
-                    console.log(
-                      '🧭 NAVIGATION: NavigationContainer is ready, setting reference...'
-                    );
-                    // Add a small delay to ensure navigation is fully initialized
-                    setTimeout(() => {
-                      setNavigationRef(navigationRef.current);
-                    }, 100);
-                  }}
-                >
-                  <StatusBar style='auto' />
-
-                  {/* Global Maintenance Banner - appears on all screens */}
-                  {/* <GlobalMaintenanceBanner /> */}
-
-                  <Stack.Navigator
-                    initialRouteName='Home'
-                    screenOptions={{ headerShown: false }}
+                <AppLockProvider navigationRef={navigationRef}>
+                  <NavigationContainer
+                    ref={navigationRef}
+                    onReady={() => {
+                      console.log(
+                        '🧭 NAVIGATION: NavigationContainer is ready, setting reference...'
+                      );
+                      // Add a small delay to ensure navigation is fully initialized
+                      setTimeout(() => {
+                        setNavigationRef(navigationRef.current);
+                      }, 100);
+                    }}
                   >
-                    {/* Core Screens */}
-                    <Stack.Screen name='Home' component={HomeScreen} />
-                    <Stack.Screen name='Login' component={LoginScreen} />
-
-                    {/* Teacher Screens */}
-                    <Stack.Screen
-                      name='TeacherScreen'
-                      component={TeacherScreen}
-                    />
-                    <Stack.Screen
-                      name='TeacherProfile'
-                      component={TeacherProfile}
-                    />
-                    <Stack.Screen
-                      name='TeacherProfileEdit'
-                      component={TeacherProfileEditScreen}
-                    />
-                    <Stack.Screen
-                      name='TeacherTimetable'
-                      component={TeacherTimetable}
-                    />
-                    <Stack.Screen
-                      name='TeacherAttendance'
-                      component={TeacherAttendanceScreen}
-                    />
-                    <Stack.Screen name='TeacherBPS' component={TeacherBPS} />
-                    <Stack.Screen
-                      name='TeacherHomework'
-                      component={TeacherHomeworkScreen}
-                    />
-                    <Stack.Screen
-                      name='TeacherHomeworkDetail'
-                      component={TeacherHomeworkDetailScreen}
-                    />
-                    <Stack.Screen
-                      name='TeacherHomeworkCreate'
-                      component={TeacherHomeworkCreateScreen}
-                    />
-                    <Stack.Screen
-                      name='TeacherMessagingScreen'
-                      component={TeacherMessagingScreen}
-                    />
-                    <Stack.Screen
-                      name='TeacherHealthScreen'
-                      component={TeacherHealthScreen}
-                    />
-                    <Stack.Screen
-                      name='TeacherPickupScreen'
-                      component={TeacherPickupScreen}
-                    />
-                    <Stack.Screen
-                      name='TeacherQRScannerScreen'
-                      component={TeacherQRScannerScreen}
-                    />
-
-                    {/* Homeroom Screens */}
-                    <Stack.Screen
-                      name='HomeroomScreen'
-                      component={HomeroomScreen}
-                    />
-                    <Stack.Screen
-                      name='HomeroomStudents'
-                      component={HomeroomStudentsScreen}
-                    />
-                    <Stack.Screen
-                      name='HomeroomStudentProfile'
-                      component={HomeroomStudentProfile}
-                    />
-                    <Stack.Screen
-                      name='HomeroomDiscipline'
-                      component={HomeroomDisciplineScreen}
-                    />
-                    <Stack.Screen
-                      name='HomeroomAttendanceDetails'
-                      component={HomeroomAttendanceDetailsScreen}
-                    />
-
-                    {/* Parent/Student Screens */}
-                    <Stack.Screen
-                      name='ParentScreen'
-                      component={ParentScreen}
-                    />
-                    <Stack.Screen
-                      name='ParentProfile'
-                      component={ParentProfileScreen}
-                    />
-                    <Stack.Screen
-                      name='ParentProfileEdit'
-                      component={ParentProfileEditScreen}
-                    />
-                    <Stack.Screen
-                      name='StudentScreen'
-                      component={StudentScreen}
-                    />
-                    <Stack.Screen
-                      name='StudentProfile'
-                      component={StudentProfileScreen}
-                    />
-                    <Stack.Screen
-                      name='StudentProfileEdit'
-                      component={StudentProfileEditScreen}
-                    />
-                    <Stack.Screen
-                      name='TimetableScreen'
-                      component={TimetableScreen}
-                    />
-                    <Stack.Screen
-                      name='GradesScreen'
-                      component={GradesScreen}
-                    />
-                    <Stack.Screen
-                      name='AttendanceScreen'
-                      component={AttendanceScreen}
-                    />
-                    <Stack.Screen
-                      name='AssignmentsScreen'
-                      component={AssignmentsScreen}
-                    />
-                    <Stack.Screen
-                      name='AssignmentDetail'
-                      component={AssignmentDetailScreen}
-                    />
-                    <Stack.Screen
-                      name='StudentHomeworkDetail'
-                      component={StudentHomeworkDetailScreen}
-                    />
-                    <Stack.Screen
-                      name='BehaviorScreen'
-                      component={BehaviorScreen}
-                    />
-                    <Stack.Screen
-                      name='StudentMessagingScreen'
-                      component={StudentMessagingScreen}
-                    />
-                    <Stack.Screen
-                      name='ParentMessagingScreen'
-                      component={ParentMessagingScreen}
-                    />
-                    <Stack.Screen
-                      name='StudentCreateConversation'
-                      component={StudentCreateConversationScreen}
-                    />
-                    <Stack.Screen
-                      name='StudentHealthScreen'
-                      component={StudentHealthScreen}
-                    />
-                    <Stack.Screen
-                      name='ParentPickupRequest'
-                      component={ParentPickupRequestScreen}
-                    />
-
-                    {/* Guardian Screens */}
-                    <Stack.Screen
-                      name='AddGuardian'
-                      component={AddGuardianScreen}
-                    />
-                    <Stack.Screen
-                      name='GuardianAutoLoginScreen'
-                      component={GuardianAutoLoginScreen}
-                    />
-                    <Stack.Screen
-                      name='GuardianDashboard'
-                      component={GuardianDashboardScreen}
-                    />
-                    <Stack.Screen
-                      name='GuardianDetail'
-                      component={GuardianDetailScreen}
-                    />
-                    <Stack.Screen
-                      name='GuardianLogin'
-                      component={GuardianLoginScreen}
-                    />
-                    <Stack.Screen
-                      name='GuardianManagement'
-                      component={GuardianManagementScreen}
-                    />
-                    <Stack.Screen
-                      name='GuardianPickupManagement'
-                      component={GuardianPickupManagementScreen}
-                    />
-                    <Stack.Screen
-                      name='GuardianPickupRequest'
-                      component={GuardianPickupRequestScreen}
-                    />
-                    <Stack.Screen
-                      name='GuardianProfileCompletion'
-                      component={GuardianProfileCompletionScreen}
-                    />
-                    <Stack.Screen
-                      name='GuardianProfileEdit'
-                      component={GuardianProfileEditScreen}
-                    />
-                    <Stack.Screen
-                      name='PickupHistory'
-                      component={PickupHistoryScreen}
-                    />
-                    <Stack.Screen
-                      name='GuardianQRScannerFallback'
-                      component={GuardianQRScannerFallbackScreen}
-                    />
-                    <Stack.Screen
-                      name='GuardianQRScanner'
-                      component={GuardianQRScannerScreen}
-                    />
-
-                    {/* Shared Screens */}
-                    <Stack.Screen
-                      name='ConversationScreen'
-                      component={ConversationScreen}
-                    />
-                    <Stack.Screen
-                      name='CreateConversationScreen'
-                      component={CreateConversationScreen}
-                    />
-                    <Stack.Screen
-                      name='EditHealthInfoScreen'
-                      component={EditHealthInfoScreen}
-                    />
-                    <Stack.Screen
-                      name='CreateHealthRecordScreen'
-                      component={CreateHealthRecordScreen}
-                    />
-                    <Stack.Screen name='Calendar' component={CalendarScreen} />
-                    <Stack.Screen
-                      name='UserCalendar'
-                      component={UserCalendarScreen}
-                    />
-                    <Stack.Screen
-                      name='SettingsScreen'
-                      component={SettingsScreen}
-                    />
-                    <Stack.Screen
-                      name='NotificationScreen'
-                      component={NotificationScreen}
-                    />
-                    <Stack.Screen
-                      name='LibraryScreen'
-                      component={LibraryScreen}
-                    />
-                    <Stack.Screen
-                      name='AboutUsScreen'
-                      component={AboutUsScreen}
-                    />
-                    <Stack.Screen
-                      name='ContactsScreen'
-                      component={ContactsScreen}
-                    />
-                    <Stack.Screen name='FAQScreen' component={FAQScreen} />
-                    <Stack.Screen
-                      name='WorkspaceScreen'
-                      component={WorkspaceScreen}
-                    />
-
-                    {/* Report Screens */}
-                    <Stack.Screen
-                      name='StudentReports'
-                      component={StudentReportsScreen}
-                    />
-                    <Stack.Screen
-                      name='StaffReports'
-                      component={StaffReportsScreen}
-                    />
-                    <Stack.Screen
-                      name='ReportDetail'
-                      component={ReportDetailScreen}
-                    />
-                  </Stack.Navigator>
-                  {/* <DevTokenDisplay /> */}
-                </NavigationContainer>
+                    <StatusBar style='auto' />
+                    <SessionExpiryHandler navigationRef={navigationRef} />
+
+                    {/* Global Maintenance Banner - appears on all screens */}
+                    {/* <GlobalMaintenanceBanner /> */}
+
+                    <Stack.Navigator
+                      initialRouteName='Home'
+                      screenOptions={{ headerShown: false }}
+                    >
+                      {/* Core Screens */}
+                      <Stack.Screen name='Home' component={HomeScreen} />
+                      <Stack.Screen name='Login' component={LoginScreen} />
+
+                      {/* Teacher Screens */}
+                      <Stack.Screen
+                        name='TeacherScreen'
+                        component={TeacherScreen}
+                      />
+                      <Stack.Screen
+                        name='TeacherProfile'
+                        component={TeacherProfile}
+                      />
+                      <Stack.Screen
+                        name='TeacherProfileEdit'
+                        component={TeacherProfileEditScreen}
+                      />
+                      <Stack.Screen
+                        name='TeacherTimetable'
+                        component={TeacherTimetable}
+                      />
+                      <Stack.Screen
+                        name='TeacherAttendance'
+                        component={TeacherAttendanceScreen}
+                      />
+                      <Stack.Screen name='TeacherBPS' component={TeacherBPS} />
+                      <Stack.Screen
+                        name='TeacherHomework'
+                        component={TeacherHomeworkScreen}
+                      />
+                      <Stack.Screen
+                        name='TeacherHomeworkDetail'
+                        component={TeacherHomeworkDetailScreen}
+                      />
+                      <Stack.Screen
+                        name='HomeworkSimilarity'
+                        component={HomeworkSimilarityScreen}
+                      />
+                      <Stack.Screen
+                        name='TeacherHomeworkCreate'
+                        component={TeacherHomeworkCreateScreen}
+                      />
+                      <Stack.Screen
+                        name='TeacherMessagingScreen'
+                        component={TeacherMessagingScreen}
+                      />
+                      <Stack.Screen
+                        name='TeacherHealthScreen'
+                        component={TeacherHealthScreen}
+                      />
+                      <Stack.Screen
+                        name='TeacherPickupScreen'
+                        component={TeacherPickupScreen}
+                      />
+                      <Stack.Screen
+                        name='TeacherQRScannerScreen'
+                        component={TeacherQRScannerScreen}
+                      />
+                      <Stack.Screen
+                        name='TeacherAssessmentsScreen'
+                        component={TeacherAssessmentsScreen}
+                      />
+
+                      {/* Homeroom Screens */}
+                      <Stack.Screen
+                        name='HomeroomScreen'
+                        component={HomeroomScreen}
+                      />
+                      <Stack.Screen
+                        name='HomeroomStudents'
+                        component={HomeroomStudentsScreen}
+                      />
+                      <Stack.Screen
+                        name='HomeroomStudentProfile'
+                        component={HomeroomStudentProfile}
+                      />
+                      <Stack.Screen
+                        name='HomeroomDiscipline'
+                        component={HomeroomDisciplineScreen}
+                      />
+                      <Stack.Screen
+                        name='HomeroomAttendanceDetails'
+                        component={HomeroomAttendanceDetailsScreen}
+                      />
+
+                      {/* Parent/Student Screens */}
+                      <Stack.Screen
+                        name='ParentScreen'
+                        component={ParentScreen}
+                      />
+                      <Stack.Screen
+                        name='ParentProfile'
+                        component={ParentProfileScreen}
+                      />
+                      <Stack.Screen
+                        name='ParentProfileEdit'
+                        component={ParentProfileEditScreen}
+                      />
+                      <Stack.Screen
+                        name='StudentScreen'
+                        component={StudentScreen}
+                      />
+                      <Stack.Screen
+                        name='StudentProfile'
+                        component={StudentProfileScreen}
+                      />
+                      <Stack.Screen
+                        name='StudentProfileEdit'
+                        component={StudentProfileEditScreen}
+                      />
+                      <Stack.Screen
+                        name='TimetableScreen'
+                        component={TimetableScreen}
+                      />
+                      <Stack.Screen
+                        name='GradesScreen'
+                        component={GradesScreen}
+                      />
+                      <Stack.Screen
+                        name='AttendanceScreen'
+                        component={AttendanceScreen}
+                      />
+                      <Stack.Screen
+                        name='AssignmentsScreen'
+                        component={AssignmentsScreen}
+                      />
+                      <Stack.Screen
+                        name='AssignmentDetail'
+                        component={AssignmentDetailScreen}
+                      />
+                      <Stack.Screen
+                        name='StudentHomeworkDetail'
+                        component={StudentHomeworkDetailScreen}
+                      />
+                      <Stack.Screen
+                        name='BehaviorScreen'
+                        component={BehaviorScreen}
+                      />
+                      <Stack.Screen
+                        name='StudentMessagingScreen'
+                        component={StudentMessagingScreen}
+                      />
+                      <Stack.Screen
+                        name='ParentMessagingScreen'
+                        component={ParentMessagingScreen}
+                      />
+                      <Stack.Screen
+                        name='StudentCreateConversation'
+                        component={StudentCreateConversationScreen}
+                      />
+                      <Stack.Screen
+                        name='StudentHealthScreen'
+                        component={StudentHealthScreen}
+                      />
+                      <Stack.Screen
+                        name='ParentPickupRequest'
+                        component={ParentPickupRequestScreen}
+                      />
+
+                      {/* Guardian Screens */}
+                      <Stack.Screen
+                        name='AddGuardian'
+                        component={AddGuardianScreen}
+                      />
+                      <Stack.Screen
+                        name='GuardianAutoLoginScreen'
+                        component={GuardianAutoLoginScreen}
+                      />
+                      <Stack.Screen
+                        name='GuardianDashboard'
+                        component={GuardianDashboardScreen}
+                      />
+                      <Stack.Screen
+                        name='GuardianDetail'
+                        component={GuardianDetailScreen}
+                      />
+                      <Stack.Screen
+                        name='GuardianLogin'
+                        component={GuardianLoginScreen}
+                      />
+                      <Stack.Screen
+                        name='GuardianManagement'
+                        component={GuardianManagementScreen}
+                      />
+                      <Stack.Screen
+                        name='GuardianPickupManagement'
+                        component={GuardianPickupManagementScreen}
+                      />
+                      <Stack.Screen
+                        name='GuardianPickupRequest'
+                        component={GuardianPickupRequestScreen}
+                      />
+                      <Stack.Screen
+                        name='GuardianProfileCompletion'
+                        component={GuardianProfileCompletionScreen}
+                      />
+                      <Stack.Screen
+                        name='GuardianProfileEdit'
+                        component={GuardianProfileEditScreen}
+                      />
+                      <Stack.Screen
+                        name='PickupHistory'
+                        component={PickupHistoryScreen}
+                      />
+                      <Stack.Screen
+                        name='GuardianQRScannerFallback'
+                        component={GuardianQRScannerFallbackScreen}
+                      />
+                      <Stack.Screen
+                        name='GuardianQRScanner'
+                        component={GuardianQRScannerScreen}
+                      />
+
+                      {/* Shared Screens */}
+                      <Stack.Screen
+                        name='ConversationScreen'
+                        component={ConversationScreen}
+                      />
+                      <Stack.Screen
+                        name='CreateConversationScreen'
+                        component={CreateConversationScreen}
+                      />
+                      <Stack.Screen
+                        name='EditHealthInfoScreen'
+                        component={EditHealthInfoScreen}
+                      />
+                      <Stack.Screen
+                        name='CreateHealthRecordScreen'
+                        component={CreateHealthRecordScreen}
+                      />
+                      <Stack.Screen
+                        name='Calendar'
+                        component={CalendarScreen}
+                      />
+                      <Stack.Screen
+                        name='UserCalendar'
+                        component={UserCalendarScreen}
+                      />
+                      <Stack.Screen
+                        name='SettingsScreen'
+                        component={SettingsScreen}
+                      />
+                      <Stack.Screen
+                        name='NotificationScreen'
+                        component={NotificationScreen}
+                      />
+                      <Stack.Screen
+                        name='LibraryScreen'
+                        component={LibraryScreen}
+                      />
+                      <Stack.Screen
+                        name='AboutUsScreen'
+                        component={AboutUsScreen}
+                      />
+                      <Stack.Screen
+                        name='ContactsScreen'
+                        component={ContactsScreen}
+                      />
+                      <Stack.Screen name='FAQScreen' component={FAQScreen} />
+                      <Stack.Screen
+                        name='WorkspaceScreen'
+                        component={WorkspaceScreen}
+                      />
+
+                      {/* Report Screens */}
+                      <Stack.Screen
+                        name='StudentReports'
+                        component={StudentReportsScreen}
+                      />
+                      <Stack.Screen
+                        name='StaffReports'
+                        component={StaffReportsScreen}
+                      />
+                      <Stack.Screen
+                        name='ReportDetail'
+                        component={ReportDetailScreen}
+                      />
+                    </Stack.Navigator>
+                    {/* <DevTokenDisplay /> */}
+                  </NavigationContainer>
+                </AppLockProvider>
               </MessagingProvider>
             </NotificationProvider>
           </LanguageProvider>
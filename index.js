@@ -5,6 +5,9 @@ import {
 } from '@react-native-firebase/messaging';
 
 import App from './App';
+// Registers the background geofence task for automatic pickup requests.
+// Tasks must be defined before the app mounts.
+import './src/services/pickupGeofenceService';
 
 // Register background handler for Firebase messaging
 setBackgroundMessageHandler(getMessaging(), async (remoteMessage) => {
@@ -0,0 +1,468 @@
+#!/usr/bin/env node
+
+/**
+ * Mock Messaging Gateway
+ *
+ * A dependency-free WebSocket server that speaks the protocol used by
+ * src/services/messagingTransport.js, for testing real-time messaging
+ * locally without the backend.
+ *
+ * Usage:
+ *   node scripts/mock-messaging-server.js [--port 8090] [--demo]
+ *
+ * Push an event to every client subscribed to a conversation:
+ *   curl -X POST http://localhost:8090/emit -d '{
+ *     "type": "message.created",
+ *     "conversation_uuid": "conv-uuid-1",
+ *     "message": { "message_id": 99, "content": "Hello", "created_at": "..." }
+ *   }'
+ *
+ * --demo shows a typing indicator and then pushes a new message to every
+ * subscribed conversation every 15 seconds. Point
+ * Config.REALTIME.MESSAGING_WS_URL at ws://<your-ip>:8090/messaging and stop
+ * the server to exercise the reconnect and polling fallback paths.
+ *
+ * Typing frames and delivery acknowledgements from one client are relayed
+ * to the other clients in the same conversation, so two devices (or a
+ * device and a simulator) can watch each other type.
+ *
+ * Tests can run the same gateway in-process, without a network:
+ *   const { createMockGateway } = require('../../scripts/mock-messaging-server');
+ *   const gateway = createMockGateway({ users: { 'auth-a': { id: 1, name: 'A' } } });
+ *   new MessagingTransport({ url: 'ws://mock', WebSocketImpl: gateway.WebSocket });
+ *   gateway.emit({ type: 'message.created', conversation_uuid, message });
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// ---------------------------------------------------------------------------
+// WebSocket framing
+// ---------------------------------------------------------------------------
+
+const encodeFrame = (payload, opcode = 0x1) => {
+  const data = Buffer.from(payload);
+  let header;
+
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+
+  return Buffer.concat([header, data]);
+};
+
+const decodeFrames = (client) => {
+  const frames = [];
+
+  while (client.buffer.length >= 2) {
+    const first = client.buffer[0];
+    const second = client.buffer[1];
+    const opcode = first & 0x0f;
+    const masked = (second & 0x80) !== 0;
+    let length = second & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+      if (client.buffer.length < 4) break;
+      length = client.buffer.readUInt16BE(2);
+      offset = 4;
+    } else if (length === 127) {
+      if (client.buffer.length < 10) break;
+      length = Number(client.buffer.readBigUInt64BE(2));
+      offset = 10;
+    }
+
+    const maskLength = masked ? 4 : 0;
+    if (client.buffer.length < offset + maskLength + length) break;
+
+    const mask = masked
+      ? client.buffer.slice(offset, offset + maskLength)
+      : null;
+    const payload = Buffer.from(
+      client.buffer.slice(offset + maskLength, offset + maskLength + length)
+    );
+    if (mask) {
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+    }
+
+    frames.push({ opcode, payload });
+    client.buffer = client.buffer.slice(offset + maskLength + length);
+  }
+
+  return frames;
+};
+
+// ---------------------------------------------------------------------------
+// Gateway
+// ---------------------------------------------------------------------------
+
+/**
+ * Create a mock messaging gateway
+ * @param {Object} options
+ * @param {Object} options.users - authCode -> { id, name } used in typing
+ *   and delivery frames (unknown auth codes get a generated user)
+ * @param {boolean} options.quiet - Skip console logging
+ * @returns {Object} - { emit, WebSocket, listen, startDemo, close, clients }
+ */
+const createMockGateway = ({ users = {}, quiet = false } = {}) => {
+  const clients = new Set();
+  const timers = new Set();
+  // Sender of each pushed message, so senders' own acks can be ignored
+  const messageSenders = new Map();
+  let nextMessageId = 100000;
+  let server = null;
+
+  const log = (...args) => {
+    if (!quiet) console.log(...args);
+  };
+
+  const addClient = (sendFrame, closeConnection) => {
+    const client = {
+      id: crypto.randomBytes(3).toString('hex'),
+      send: sendFrame,
+      close: closeConnection,
+      authenticated: false,
+      user: null,
+      subscriptions: new Set(),
+    };
+    clients.add(client);
+    log(`🔌 Client ${client.id} connected (${clients.size} total)`);
+    return client;
+  };
+
+  const removeClient = (client) => {
+    if (clients.delete(client)) {
+      log(`👋 Client ${client.id} disconnected (${clients.size} total)`);
+    }
+  };
+
+  const broadcast = (frame, exclude = null) => {
+    if (frame.type === 'message.created' && frame.message) {
+      messageSenders.set(
+        String(frame.message.message_id ?? frame.message.id),
+        String(frame.message.sender?.id)
+      );
+    }
+
+    let delivered = 0;
+    clients.forEach((client) => {
+      if (client === exclude || !client.authenticated) return;
+      if (
+        frame.conversation_uuid &&
+        !client.subscriptions.has(frame.conversation_uuid)
+      ) {
+        return;
+      }
+      client.send(frame);
+      delivered++;
+    });
+    return delivered;
+  };
+
+  const handleClientFrame = (client, frame) => {
+    switch (frame.type) {
+      case 'auth':
+        client.authenticated = !!frame.authCode;
+        client.user = users[frame.authCode] || {
+          id: `mock-${client.id}`,
+          name: `Mock User ${client.id}`,
+        };
+        client.send({
+          type: client.authenticated ? 'auth.ok' : 'auth.error',
+        });
+        log(`🔑 Client ${client.id} authenticated as ${client.user.name}`);
+        break;
+      case 'subscribe':
+        client.subscriptions.add(frame.conversation_uuid);
+        log(`👂 Client ${client.id} subscribed to ${frame.conversation_uuid}`);
+        break;
+      case 'unsubscribe':
+        client.subscriptions.delete(frame.conversation_uuid);
+        log(
+          `🔕 Client ${client.id} unsubscribed from ${frame.conversation_uuid}`
+        );
+        break;
+      case 'typing':
+        broadcast(
+          {
+            type: 'typing',
+            conversation_uuid: frame.conversation_uuid,
+            user: client.user,
+            is_typing: !!frame.is_typing,
+          },
+          client
+        );
+        break;
+      case 'delivered': {
+        const messageIds = (frame.message_ids || []).filter(
+          (id) => messageSenders.get(String(id)) !== String(client.user?.id)
+        );
+        if (messageIds.length === 0) break;
+        broadcast(
+          {
+            type: 'message.delivered',
+            conversation_uuid: frame.conversation_uuid,
+            message_ids: messageIds,
+            user_id: client.user?.id,
+            delivered_at: new Date().toISOString(),
+          },
+          client
+        );
+        break;
+      }
+      case 'ping':
+        client.send({ type: 'pong' });
+        break;
+      default:
+        log(`❓ Client ${client.id} sent unknown frame:`, frame.type);
+    }
+  };
+
+  /**
+   * In-process stand-in for the WebSocket class, connected straight to
+   * this gateway. Frames are delivered asynchronously, like a real socket.
+   */
+  class LoopbackWebSocket {
+    constructor(url) {
+      this.url = url;
+      this.readyState = 0;
+      this.onopen = null;
+      this.onmessage = null;
+      this.onclose = null;
+      this.onerror = null;
+
+      this.client = addClient(
+        (frame) =>
+          setTimeout(() => {
+            if (this.readyState === 1) {
+              this.onmessage?.({ data: JSON.stringify(frame) });
+            }
+          }, 0),
+        () => this.close()
+      );
+
+      setTimeout(() => {
+        if (this.readyState !== 0) return;
+        this.readyState = 1;
+        this.onopen?.();
+      }, 0);
+    }
+
+    send(data) {
+      if (this.readyState !== 1) {
+        throw new Error('WebSocket is not open');
+      }
+      const frame = JSON.parse(data);
+      setTimeout(() => handleClientFrame(this.client, frame), 0);
+    }
+
+    close() {
+      if (this.readyState === 3) return;
+      this.readyState = 3;
+      removeClient(this.client);
+      setTimeout(() => this.onclose?.({ code: 1000 }), 0);
+    }
+  }
+
+  const handleUpgrade = (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || !req.url.startsWith('/messaging')) {
+      socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+      return;
+    }
+
+    const accept = crypto
+      .createHash('sha1')
+      .update(key + WS_GUID)
+      .digest('base64');
+
+    socket.write(
+      [
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        '',
+      ].join('\r\n')
+    );
+
+    const connection = { buffer: Buffer.alloc(0) };
+    const client = addClient(
+      (frame) => {
+        if (!socket.destroyed) {
+          socket.write(encodeFrame(JSON.stringify(frame)));
+        }
+      },
+      () => socket.end(encodeFrame(Buffer.alloc(0), 0x8))
+    );
+
+    socket.on('data', (chunk) => {
+      connection.buffer = Buffer.concat([connection.buffer, chunk]);
+      decodeFrames(connection).forEach(({ opcode, payload }) => {
+        if (opcode === 0x8) {
+          socket.end(encodeFrame(Buffer.alloc(0), 0x8));
+        } else if (opcode === 0x9) {
+          socket.write(encodeFrame(payload, 0xa));
+        } else if (opcode === 0x1) {
+          try {
+            handleClientFrame(client, JSON.parse(payload.toString('utf8')));
+          } catch (error) {
+            log(`⚠️ Client ${client.id} sent malformed JSON`);
+          }
+        }
+      });
+    });
+
+    socket.on('close', () => removeClient(client));
+    socket.on('error', () => removeClient(client));
+  };
+
+  const handleRequest = (req, res) => {
+    if (req.method === 'POST' && req.url === '/emit') {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        try {
+          const frame = JSON.parse(body);
+          const delivered = broadcast(frame);
+          log(`📤 Emitted ${frame.type} to ${delivered} client(s)`);
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: true, delivered }));
+        } catch (error) {
+          res.writeHead(400, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ success: false, error: error.message }));
+        }
+      });
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(
+      JSON.stringify({
+        status: 'ok',
+        clients: clients.size,
+        subscriptions: [...clients].map((client) => [...client.subscriptions]),
+      })
+    );
+  };
+
+  /**
+   * Accept real WebSocket connections and /emit requests on a port
+   * @param {number} port
+   * @param {Function} callback - Called once listening
+   */
+  const listen = (port, callback) => {
+    server = http.createServer(handleRequest);
+    server.on('upgrade', handleUpgrade);
+    server.listen(port, callback);
+    return server;
+  };
+
+  /**
+   * Every 15 seconds, show a typing indicator in every subscribed
+   * conversation and follow it with a message two seconds later
+   */
+  const startDemo = () => {
+    const mockUser = { id: 0, name: 'Mock Gateway' };
+    const interval = setInterval(() => {
+      const conversations = new Set();
+      clients.forEach((client) =>
+        client.subscriptions.forEach((uuid) => conversations.add(uuid))
+      );
+
+      conversations.forEach((conversationUuid) => {
+        broadcast({
+          type: 'typing',
+          conversation_uuid: conversationUuid,
+          user: mockUser,
+          is_typing: true,
+        });
+
+        const timeout = setTimeout(() => {
+          timers.delete(timeout);
+          broadcast({
+            type: 'message.created',
+            conversation_uuid: conversationUuid,
+            message: {
+              message_id: nextMessageId++,
+              content: `Demo message at ${new Date().toLocaleTimeString()}`,
+              message_type: 'text',
+              sender: { ...mockUser, user_type: 'staff' },
+              created_at: new Date().toISOString(),
+              is_read: false,
+              read_by: [],
+            },
+          });
+        }, 2000);
+        timers.add(timeout);
+      });
+    }, 15000);
+    timers.add(interval);
+  };
+
+  /**
+   * Disconnect every client and stop the server and demo timers
+   */
+  const close = () => {
+    timers.forEach((timer) => {
+      clearTimeout(timer);
+      clearInterval(timer);
+    });
+    timers.clear();
+    [...clients].forEach((client) => client.close());
+    if (server) {
+      server.close();
+      server = null;
+    }
+  };
+
+  return {
+    clients,
+    emit: broadcast,
+    WebSocket: LoopbackWebSocket,
+    listen,
+    startDemo,
+    close,
+  };
+};
+
+module.exports = { createMockGateway };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = portIndex !== -1 ? Number(args[portIndex + 1]) : 8090;
+  const demoMode = args.includes('--demo');
+
+  const gateway = createMockGateway();
+  gateway.listen(port, () => {
+    console.log(
+      `🚀 Mock messaging gateway listening on ws://localhost:${port}/messaging`
+    );
+    console.log(`📮 POST events to http://localhost:${port}/emit`);
+    if (demoMode) {
+      console.log('🎭 Demo mode: typing and then a message every 15 seconds');
+    }
+  });
+
+  if (demoMode) {
+    gateway.startDemo();
+  }
+}
@@ -0,0 +1,342 @@
+/**
+ * App Lock Screen Component
+ * Full-screen PIN pad for unlocking an account or choosing a new PIN
+ */
+
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  TouchableOpacity,
+  Vibration,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import {
+  faLock,
+  faDeleteLeft,
+  faFingerprint,
+  faFaceSmile,
+} from '@fortawesome/free-solid-svg-icons';
+
+// Context
+import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { Config } from '../config/env';
+
+const KEYPAD = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'bio', '0', 'del'];
+
+const AppLockScreen = ({
+  visible,
+  mode = 'unlock',
+  account,
+  biometricType,
+  onVerifyPin,
+  onPinCreated,
+  onBiometricUnlock,
+  onForgotPin,
+  onCancel,
+}) => {
+  const { theme } = useTheme();
+  const { t } = useLanguage();
+  const styles = createStyles(theme);
+  const pinLength = Config.APP_LOCK?.PIN_LENGTH || 4;
+
+  const [pin, setPin] = useState('');
+  const [firstPin, setFirstPin] = useState(null);
+  const [error, setError] = useState('');
+  const [lockedUntil, setLockedUntil] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+
+  // Reset whenever the screen opens, and offer biometrics straight away
+  useEffect(() => {
+    if (!visible) return;
+
+    setPin('');
+    setFirstPin(null);
+    setError('');
+    setLockedUntil(null);
+
+    if (mode === 'unlock' && biometricType) {
+      onBiometricUnlock();
+    }
+  }, [visible, mode]);
+
+  // Clear the lockout message once entry is allowed again
+  useEffect(() => {
+    if (!lockedUntil) return undefined;
+
+    const timer = setTimeout(() => {
+      setLockedUntil(null);
+      setError('');
+    }, Math.max(0, lockedUntil - Date.now()));
+    return () => clearTimeout(timer);
+  }, [lockedUntil]);
+
+  const handlePinComplete = async (enteredPin) => {
+    if (mode === 'setup') {
+      if (firstPin === null) {
+        setFirstPin(enteredPin);
+        setPin('');
+        setError('');
+      } else if (firstPin === enteredPin) {
+        onPinCreated(enteredPin);
+      } else {
+        Vibration.vibrate();
+        setFirstPin(null);
+        setPin('');
+        setError(t('pinMismatch'));
+      }
+      return;
+    }
+
+    setIsVerifying(true);
+    try {
+      const result = await onVerifyPin(enteredPin);
+      if (result.success) return;
+
+      Vibration.vibrate();
+      setPin('');
+      if (result.lockedUntil) {
+        setLockedUntil(result.lockedUntil);
+        setError(
+          t('tooManyAttempts').replace(
+            '{seconds}',
+            Math.ceil((result.lockedUntil - Date.now()) / 1000)
+          )
+        );
+      } else {
+        setError(
+          t('incorrectPin').replace('{count}', result.remainingAttempts)
+        );
+      }
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const handleKeyPress = (key) => {
+    if (isVerifying || lockedUntil) return;
+
+    if (key === 'del') {
+      setPin((current) => current.slice(0, -1));
+      return;
+    }
+    if (key === 'bio') {
+      onBiometricUnlock();
+      return;
+    }
+    if (pin.length >= pinLength) return;
+
+    const nextPin = pin + key;
+    setPin(nextPin);
+    if (nextPin.length === pinLength) {
+      handlePinComplete(nextPin);
+    }
+  };
+
+  const getTitle = () => {
+    if (mode === 'setup') {
+      return firstPin === null
+        ? t('createPin').replace('{length}', pinLength)
+        : t('confirmPin');
+    }
+    return t('enterPin');
+  };
+
+  const renderKey = (key) => {
+    if (key === 'bio') {
+      if (mode !== 'unlock' || !biometricType) {
+        return <View key={key} style={styles.key} />;
+      }
+      return (
+        <TouchableOpacity
+          key={key}
+          style={styles.key}
+          onPress={() => handleKeyPress(key)}
+          accessibilityLabel={t('unlockWithBiometrics')}
+        >
+          <FontAwesomeIcon
+            icon={biometricType === 'face' ? faFaceSmile : faFingerprint}
+            size={28}
+            color={theme.colors.primary}
+          />
+        </TouchableOpacity>
+      );
+    }
+
+    if (key === 'del') {
+      return (
+        <TouchableOpacity
+          key={key}
+          style={styles.key}
+          onPress={() => handleKeyPress(key)}
+          disabled={pin.length === 0}
+        >
+          <FontAwesomeIcon
+            icon={faDeleteLeft}
+            size={24}
+            color={theme.colors.textSecondary}
+          />
+        </TouchableOpacity>
+      );
+    }
+
+    return (
+      <TouchableOpacity
+        key={key}
+        style={[styles.key, styles.digitKey]}
+        onPress={() => handleKeyPress(key)}
+      >
+        <Text style={styles.keyText}>{key}</Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='fade'
+      presentationStyle='fullScreen'
+      onRequestClose={onCancel}
+    >
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <View style={styles.lockIcon}>
+            <FontAwesomeIcon
+              icon={faLock}
+              size={28}
+              color={theme.colors.headerText}
+            />
+          </View>
+          {account?.name ? (
+            <Text style={styles.accountName}>{account.name}</Text>
+          ) : null}
+          <Text style={styles.title}>{getTitle()}</Text>
+
+          <View style={styles.dots}>
+            {Array.from({ length: pinLength }).map((_, index) => (
+              <View
+                key={index}
+                style={[styles.dot, index < pin.length && styles.dotFilled]}
+              />
+            ))}
+          </View>
+
+          <Text style={styles.errorText}>{error}</Text>
+        </View>
+
+        <View style={styles.keypad}>{KEYPAD.map(renderKey)}</View>
+
+        <View style={styles.footer}>
+          <TouchableOpacity style={styles.footerButton} onPress={onCancel}>
+            <Text style={styles.footerText}>{t('cancel')}</Text>
+          </TouchableOpacity>
+          {mode === 'unlock' && (
+            <TouchableOpacity style={styles.footerButton} onPress={onForgotPin}>
+              <Text style={styles.footerText}>{t('forgotPin')}</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.colors.background,
+      justifyContent: 'space-between',
+    },
+    header: {
+      alignItems: 'center',
+      paddingTop: 48,
+      paddingHorizontal: 24,
+    },
+    lockIcon: {
+      width: 64,
+      height: 64,
+      borderRadius: 32,
+      backgroundColor: theme.colors.primary,
+      alignItems: 'center',
+      justifyContent: 'center',
+      marginBottom: 16,
+    },
+    accountName: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: theme.colors.text,
+      marginBottom: 4,
+    },
+    title: {
+      fontSize: 16,
+      color: theme.colors.textSecondary,
+      textAlign: 'center',
+    },
+    dots: {
+      flexDirection: 'row',
+      marginTop: 24,
+    },
+    dot: {
+      width: 16,
+      height: 16,
+      borderRadius: 8,
+      borderWidth: 2,
+      borderColor: theme.colors.primary,
+      marginHorizontal: 10,
+    },
+    dotFilled: {
+      backgroundColor: theme.colors.primary,
+    },
+    errorText: {
+      minHeight: 20,
+      marginTop: 16,
+      fontSize: 14,
+      color: theme.colors.error,
+      textAlign: 'center',
+    },
+    keypad: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      justifyContent: 'center',
+      paddingHorizontal: 40,
+    },
+    key: {
+      width: 72,
+      height: 72,
+      margin: 12,
+      alignItems: 'center',
+      justifyContent: 'center',
+    },
+    digitKey: {
+      borderRadius: 36,
+      backgroundColor: theme.colors.surface,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+    },
+    keyText: {
+      fontSize: 28,
+      fontWeight: '500',
+      color: theme.colors.text,
+    },
+    footer: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      paddingHorizontal: 32,
+      paddingBottom: 24,
+    },
+    footerButton: {
+      padding: 12,
+    },
+    footerText: {
+      fontSize: 16,
+      color: theme.colors.primary,
+      fontWeight: '500',
+    },
+  });
+
+export default AppLockScreen;
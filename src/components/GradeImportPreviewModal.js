@@ -0,0 +1,339 @@
+/**
+ * Grade Import Preview Modal Component
+ * Shows the grade changes a CSV import would make before they are applied
+ */
+
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Modal,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import {
+  faArrowRight,
+  faExclamationTriangle,
+  faTimes,
+} from '@fortawesome/free-solid-svg-icons';
+
+// Context
+import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { getGradeColumns } from '../utils/gradeEntry';
+
+const GradeImportPreviewModal = ({
+  visible,
+  preview,
+  type,
+  fileName,
+  onApply,
+  onCancel,
+}) => {
+  const { theme } = useTheme();
+  const { t } = useLanguage();
+  const styles = useMemo(() => createStyles(theme), [theme]);
+
+  if (!preview) return null;
+
+  const { changes, unmatched, unchanged } = preview;
+  const columnLabels = Object.fromEntries(
+    getGradeColumns(type).map((column) => [
+      column.key,
+      column.key === 'score' || column.key === 'comment'
+        ? t(column.key)
+        : column.label,
+    ])
+  );
+  const invalidCount = changes.filter((change) => change.error).length;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={onCancel}
+    >
+      <SafeAreaView style={styles.container} edges={['top', 'left', 'right']}>
+        <View style={styles.header}>
+          <TouchableOpacity style={styles.closeButton} onPress={onCancel}>
+            <FontAwesomeIcon
+              icon={faTimes}
+              size={20}
+              color={theme.colors.text}
+            />
+          </TouchableOpacity>
+          <View style={styles.headerCenter}>
+            <Text style={styles.headerTitle}>{t('csvImportPreview')}</Text>
+            {fileName ? (
+              <Text style={styles.headerSubtitle} numberOfLines={1}>
+                {fileName}
+              </Text>
+            ) : null}
+          </View>
+        </View>
+
+        <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+          <View style={styles.summaryRow}>
+            <Text style={styles.summaryText}>
+              {t('csvChangesCount').replace('{count}', changes.length)}
+            </Text>
+            <Text style={styles.summaryMuted}>
+              {t('csvUnchangedCount').replace('{count}', unchanged)}
+            </Text>
+          </View>
+
+          {invalidCount > 0 && (
+            <View style={styles.warningBox}>
+              <FontAwesomeIcon
+                icon={faExclamationTriangle}
+                size={14}
+                color={theme.colors.warning}
+              />
+              <Text style={styles.warningText}>{t('csvInvalidValues')}</Text>
+            </View>
+          )}
+
+          {changes.length === 0 ? (
+            <Text style={styles.emptyText}>{t('csvNoChanges')}</Text>
+          ) : (
+            changes.map((change) => (
+              <View
+                key={`${change.studentId}-${change.key}`}
+                style={styles.changeRow}
+              >
+                <View style={styles.changeInfo}>
+                  <Text style={styles.studentName} numberOfLines={1}>
+                    {change.studentName}
+                  </Text>
+                  <Text style={styles.columnName}>
+                    {columnLabels[change.key]}
+                  </Text>
+                </View>
+                <View style={styles.changeValues}>
+                  <Text style={styles.oldValue} numberOfLines={1}>
+                    {change.from || '—'}
+                  </Text>
+                  <FontAwesomeIcon
+                    icon={faArrowRight}
+                    size={12}
+                    color={theme.colors.textSecondary}
+                  />
+                  <Text
+                    style={[
+                      styles.newValue,
+                      change.error && styles.invalidValue,
+                    ]}
+                    numberOfLines={1}
+                  >
+                    {change.to}
+                  </Text>
+                </View>
+              </View>
+            ))
+          )}
+
+          {unmatched.length > 0 && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>{t('csvUnmatchedRows')}</Text>
+              {unmatched.map((row) => (
+                <Text key={row.line} style={styles.unmatchedText}>
+                  {t('csvRowLabel').replace('{line}', row.line)}:{' '}
+                  {[row.id, row.name].filter(Boolean).join(' · ') || '—'}
+                </Text>
+              ))}
+            </View>
+          )}
+        </ScrollView>
+
+        <View style={styles.footer}>
+          <TouchableOpacity
+            style={[styles.footerButton, styles.cancelButton]}
+            onPress={onCancel}
+          >
+            <Text style={styles.cancelButtonText}>{t('cancel')}</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[
+              styles.footerButton,
+              styles.applyButton,
+              changes.length === 0 && styles.disabledButton,
+            ]}
+            onPress={onApply}
+            disabled={changes.length === 0}
+          >
+            <Text style={styles.applyButtonText}>{t('applyImport')}</Text>
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.colors.background,
+    },
+    header: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 16,
+      paddingVertical: 12,
+      backgroundColor: theme.colors.surface,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    closeButton: {
+      padding: 8,
+      marginRight: 8,
+    },
+    headerCenter: {
+      flex: 1,
+    },
+    headerTitle: {
+      fontSize: 18,
+      fontWeight: '700',
+      color: theme.colors.text,
+    },
+    headerSubtitle: {
+      fontSize: 13,
+      color: theme.colors.textSecondary,
+      marginTop: 2,
+    },
+    content: {
+      flex: 1,
+      padding: 16,
+    },
+    summaryRow: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: 12,
+    },
+    summaryText: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    summaryMuted: {
+      fontSize: 13,
+      color: theme.colors.textSecondary,
+    },
+    warningBox: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 8,
+      padding: 12,
+      borderRadius: 10,
+      backgroundColor: `${theme.colors.warning}20`,
+      marginBottom: 12,
+    },
+    warningText: {
+      flex: 1,
+      fontSize: 13,
+      color: theme.colors.text,
+    },
+    emptyText: {
+      fontSize: 14,
+      color: theme.colors.textSecondary,
+      textAlign: 'center',
+      marginVertical: 24,
+    },
+    changeRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 10,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    changeInfo: {
+      flex: 1,
+      marginRight: 12,
+    },
+    studentName: {
+      fontSize: 15,
+      fontWeight: '500',
+      color: theme.colors.text,
+    },
+    columnName: {
+      fontSize: 12,
+      color: theme.colors.textSecondary,
+      marginTop: 2,
+    },
+    changeValues: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 8,
+      maxWidth: '50%',
+    },
+    oldValue: {
+      fontSize: 15,
+      color: theme.colors.textSecondary,
+      textDecorationLine: 'line-through',
+    },
+    newValue: {
+      fontSize: 15,
+      fontWeight: '700',
+      color: theme.colors.success,
+    },
+    invalidValue: {
+      color: theme.colors.error,
+    },
+    section: {
+      marginTop: 20,
+      marginBottom: 20,
+    },
+    sectionTitle: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: theme.colors.text,
+      marginBottom: 8,
+    },
+    unmatchedText: {
+      fontSize: 14,
+      color: theme.colors.textSecondary,
+      paddingVertical: 4,
+    },
+    footer: {
+      flexDirection: 'row',
+      gap: 12,
+      padding: 16,
+      borderTopWidth: 1,
+      borderTopColor: theme.colors.border,
+      backgroundColor: theme.colors.surface,
+    },
+    footerButton: {
+      flex: 1,
+      paddingVertical: 14,
+      borderRadius: 12,
+      alignItems: 'center',
+    },
+    cancelButton: {
+      backgroundColor: theme.colors.background,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+    },
+    cancelButtonText: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    applyButton: {
+      backgroundColor: theme.colors.primary,
+    },
+    applyButtonText: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: '#fff',
+    },
+    disabledButton: {
+      opacity: 0.5,
+    },
+  });
+
+export default GradeImportPreviewModal;
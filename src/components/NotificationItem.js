@@ -3,6 +3,7 @@ import { View, Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
 import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
 import { useNavigation } from '@react-navigation/native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from '../services/secureStorage';
 import PropTypes from 'prop-types';
 import {
   faBell,
@@ -64,6 +65,7 @@ const NotificationItem = ({ notification, onPress, userType, authCode }) => {
       case 'homework_due':
       case 'homework_submitted':
       case 'homework_graded':
+      case 'homework_comment':
         return faBookOpen;
 
       // Announcement notifications
@@ -138,6 +140,7 @@ const NotificationItem = ({ notification, onPress, userType, authCode }) => {
       case 'homework_due':
       case 'homework_submitted':
       case 'homework_graded':
+      case 'homework_comment':
         return '#5856D6';
 
       // Announcement notifications - Blue
@@ -344,7 +347,9 @@ const NotificationItem = ({ notification, onPress, userType, authCode }) => {
           );
         } else {
           try {
-            const savedStudents = await AsyncStorage.getItem('studentAccounts');
+            const savedStudents = await secureSessionStorage.getItem(
+              'studentAccounts'
+            );
             if (savedStudents) {
               const students = JSON.parse(savedStudents);
               const student = students.find((s) => s.authCode === navAuthCode);
@@ -465,7 +470,9 @@ const NotificationItem = ({ notification, onPress, userType, authCode }) => {
         } else {
           // Try to find student ID from stored student accounts
           try {
-            const savedStudents = await AsyncStorage.getItem('studentAccounts');
+            const savedStudents = await secureSessionStorage.getItem(
+              'studentAccounts'
+            );
             if (savedStudents) {
               const students = JSON.parse(savedStudents);
               console.log(
@@ -508,7 +515,7 @@ const NotificationItem = ({ notification, onPress, userType, authCode }) => {
             // First try to use student name from parsed data to find student ID
             if (parsedData?.student_name) {
               try {
-                const savedStudents = await AsyncStorage.getItem(
+                const savedStudents = await secureSessionStorage.getItem(
                   'studentAccounts'
                 );
                 if (savedStudents) {
@@ -543,7 +550,7 @@ const NotificationItem = ({ notification, onPress, userType, authCode }) => {
                 `${notification.title} ${notification.body}`.toLowerCase();
 
               try {
-                const savedStudents = await AsyncStorage.getItem(
+                const savedStudents = await secureSessionStorage.getItem(
                   'studentAccounts'
                 );
                 if (savedStudents) {
@@ -655,9 +662,12 @@ const NotificationItem = ({ notification, onPress, userType, authCode }) => {
         case 'homework_assigned':
         case 'homework_due':
         case 'homework_submitted':
-        case 'homework_graded': {
+        case 'homework_graded':
+        case 'homework_comment': {
           // Navigate to appropriate homework screen based on user context
-          const homeworkUserData = await AsyncStorage.getItem('userData');
+          const homeworkUserData = await secureSessionStorage.getItem(
+            'userData'
+          );
 
           // Check if this notification has a specific student auth code (from parent context)
           const isStudentNotification = notification.studentAuthCode;
@@ -760,7 +770,9 @@ const NotificationItem = ({ notification, onPress, userType, authCode }) => {
             console.log(
               '📱 NOTIFICATION: No userType prop, checking AsyncStorage...'
             );
-            const messagingUserData = await AsyncStorage.getItem('userData');
+            const messagingUserData = await secureSessionStorage.getItem(
+              'userData'
+            );
             if (messagingUserData) {
               const user = JSON.parse(messagingUserData);
               effectiveUserType = user.user_type || user.type;
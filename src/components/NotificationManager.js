@@ -21,12 +21,23 @@ import {
   faTimes,
   faPlus,
   faPaperPlane,
+  faFileAlt,
 } from '@fortawesome/free-solid-svg-icons';
 import { useNotificationAPI } from '../hooks/useNotificationAPI';
 import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { sendNotificationToStudents } from '../services/staffService';
+import { MessageTemplatePicker } from './messaging';
+import {
+  fillTemplate,
+  formatTemplateDate,
+  getTemplatePlaceholders,
+  hasRecipientPlaceholders,
+} from '../utils/messageTemplates';
 
 const NotificationManager = ({ visible, onClose, userRole = 'staff' }) => {
   const { theme } = useTheme();
+  const { t, currentLanguage } = useLanguage();
   const {
     loading,
     error,
@@ -48,6 +59,7 @@ const NotificationManager = ({ visible, onClose, userRole = 'staff' }) => {
 
   const [categories, setCategories] = useState([]);
   const [recipientInput, setRecipientInput] = useState('');
+  const [showTemplatePicker, setShowTemplatePicker] = useState(false);
 
   useEffect(() => {
     if (visible) {
@@ -115,28 +127,62 @@ const NotificationManager = ({ visible, onClose, userRole = 'staff' }) => {
     return true;
   };
 
+  const handleSelectTemplate = (template) => {
+    setShowTemplatePicker(false);
+    setFormData((prev) => ({
+      ...prev,
+      title: prev.title.trim() ? prev.title : template.title,
+      message: template.body,
+    }));
+  };
+
   const handleSendNotification = async () => {
     if (!validateForm()) return;
 
+    // {date} is the same for everyone; names and classes differ per recipient
+    const message = fillTemplate(formData.message, {
+      date: formatTemplateDate(new Date(), currentLanguage),
+    });
+    const personalize = hasRecipientPlaceholders(message);
+
+    if (
+      personalize &&
+      formData.type !== 'single' &&
+      formData.type !== 'classroom'
+    ) {
+      Alert.alert(t('error'), t('templateNeedsStudents'));
+      return;
+    }
+
     try {
       let response;
 
-      if (formData.priority === 'high' && formData.category === 'emergency') {
+      if (personalize) {
+        response = await sendNotificationToStudents({
+          ...formData,
+          message,
+          personalize: true,
+          placeholders: getTemplatePlaceholders(message),
+        });
+      } else if (
+        formData.priority === 'high' &&
+        formData.category === 'emergency'
+      ) {
         response = await sendEmergencyNotification(
           formData.title,
-          formData.message,
+          message,
           formData.type
         );
       } else if (formData.category === 'announcement') {
         response = await sendAnnouncement(
           formData.title,
-          formData.message,
+          message,
           formData.type,
           formData.priority,
           formData.recipients
         );
       } else {
-        response = await sendNotificationMessage(formData);
+        response = await sendNotificationMessage({ ...formData, message });
       }
 
       if (response?.success) {
@@ -277,7 +323,22 @@ const NotificationManager = ({ visible, onClose, userRole = 'staff' }) => {
 
           {/* Message */}
           <View style={styles.formGroup}>
-            <Text style={styles.label}>Message</Text>
+            <View style={styles.labelRow}>
+              <Text style={styles.label}>Message</Text>
+              <TouchableOpacity
+                style={styles.templateButton}
+                onPress={() => setShowTemplatePicker(true)}
+              >
+                <FontAwesomeIcon
+                  icon={faFileAlt}
+                  size={14}
+                  color={theme.colors.primary}
+                />
+                <Text style={styles.templateButtonText}>
+                  {t('useTemplate')}
+                </Text>
+              </TouchableOpacity>
+            </View>
             <TextInput
               style={[styles.input, styles.messageInput]}
               value={formData.message}
@@ -354,6 +415,12 @@ const NotificationManager = ({ visible, onClose, userRole = 'staff' }) => {
           </TouchableOpacity>
         </View>
       </View>
+
+      <MessageTemplatePicker
+        visible={showTemplatePicker}
+        onClose={() => setShowTemplatePicker(false)}
+        onSelect={handleSelectTemplate}
+      />
     </Modal>
   );
 };
@@ -403,6 +470,21 @@ const createStyles = (theme) =>
       color: theme.colors.text,
       marginBottom: 8,
     },
+    labelRow: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'flex-start',
+    },
+    templateButton: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 2,
+    },
+    templateButtonText: {
+      fontSize: 14,
+      color: theme.colors.primary,
+      marginLeft: 6,
+    },
     input: {
       borderWidth: 1,
       borderColor: theme.colors.border,
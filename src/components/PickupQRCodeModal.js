@@ -1,6 +1,10 @@
 /**
  * Pickup QR Code Modal Component
  * Displays QR code for parent pickup verification
+ *
+ * When the API returns a qr_signing_key the code is signed and refreshed
+ * every few seconds (see services/pickupQrService), and the raw token is
+ * hidden so it can't be copied past the expiry check.
  */
 
 import React from 'react';
@@ -20,6 +24,7 @@ import Clipboard from '@react-native-clipboard/clipboard';
 
 // Context
 import { useTheme } from '../contexts/ThemeContext';
+import { useSignedPickupQr } from '../hooks/useSignedPickupQr';
 
 const PickupQRCodeModal = ({
   visible,
@@ -31,6 +36,12 @@ const PickupQRCodeModal = ({
 }) => {
   const { theme } = useTheme();
   const styles = createStyles(theme);
+  const signedQr = useSignedPickupQr({
+    qrToken: qrData?.qr_token,
+    qrUrl: qrData?.qr_url,
+    signingKey: qrData?.qr_signing_key,
+    active: visible,
+  });
 
   if (!qrData) return null;
 
@@ -73,7 +84,7 @@ const PickupQRCodeModal = ({
           <View style={styles.qrSection}>
             <View style={styles.qrContainer}>
               <QRCode
-                value={qrData.qr_url || qrData.qr_token}
+                value={signedQr.value || qrData.qr_url || qrData.qr_token}
                 size={200}
                 color={theme.colors.text}
                 backgroundColor={theme.colors.surface}
@@ -84,6 +95,18 @@ const PickupQRCodeModal = ({
             <Text style={styles.qrSubtitle}>
               {qrData.instructions || 'Present this code during pickup'}
             </Text>
+            {signedQr.signed && (
+              <View style={styles.refreshInfo}>
+                <FontAwesome5
+                  name='clock'
+                  size={12}
+                  color={theme.colors.textSecondary}
+                />
+                <Text style={styles.refreshInfoText}>
+                  New code in {signedQr.secondsLeft}s
+                </Text>
+              </View>
+            )}
           </View>
 
           {/* Parent Information */}
@@ -142,23 +165,25 @@ const PickupQRCodeModal = ({
           )}
 
           {/* Token Information */}
-          <View style={styles.infoSection}>
-            <Text style={styles.sectionTitle}>QR Token</Text>
-            <View style={styles.tokenCard}>
-              <Text style={styles.tokenText}>{qrData.qr_token}</Text>
-              <TouchableOpacity
-                style={styles.copyButton}
-                onPress={handleCopyToken}
-              >
-                <FontAwesome5
-                  name='copy'
-                  size={14}
-                  color={theme.colors.primary}
-                />
-                <Text style={styles.copyText}>Copy</Text>
-              </TouchableOpacity>
+          {!signedQr.signed && (
+            <View style={styles.infoSection}>
+              <Text style={styles.sectionTitle}>QR Token</Text>
+              <View style={styles.tokenCard}>
+                <Text style={styles.tokenText}>{qrData.qr_token}</Text>
+                <TouchableOpacity
+                  style={styles.copyButton}
+                  onPress={handleCopyToken}
+                >
+                  <FontAwesome5
+                    name='copy'
+                    size={14}
+                    color={theme.colors.primary}
+                  />
+                  <Text style={styles.copyText}>Copy</Text>
+                </TouchableOpacity>
+              </View>
             </View>
-          </View>
+          )}
 
           {/* Instructions */}
           <View style={styles.instructionsSection}>
@@ -263,6 +288,16 @@ const createStyles = (theme) =>
       textAlign: 'center',
       lineHeight: 20,
     },
+    refreshInfo: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginTop: 12,
+    },
+    refreshInfoText: {
+      fontSize: 13,
+      color: theme.colors.textSecondary,
+      marginLeft: 6,
+    },
     infoSection: {
       marginBottom: 24,
     },
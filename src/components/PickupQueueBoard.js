@@ -0,0 +1,331 @@
+/**
+ * Pickup Queue Board Component
+ * Waiting pickup requests in queue order for gate staff, with selection for
+ * batch release and a large-display layout for a tablet at the gate
+ */
+
+import React, { useMemo } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  RefreshControl,
+  useWindowDimensions,
+} from 'react-native';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import {
+  faCheckCircle,
+  faCircle,
+  faCarSide,
+  faClock,
+} from '@fortawesome/free-solid-svg-icons';
+
+// Context
+import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { formatDistance } from '../services/locationService';
+import { QUEUE_SORT } from '../utils/pickupQueue';
+
+const PickupQueueBoard = ({
+  entries = [],
+  sortMode,
+  onChangeSort,
+  selectedIds,
+  onToggleSelect,
+  onSelectAll,
+  onClearSelection,
+  onProcess,
+  largeDisplay = false,
+  refreshing = false,
+  onRefresh,
+  lastUpdated,
+}) => {
+  const { theme } = useTheme();
+  const { t } = useLanguage();
+  const { width } = useWindowDimensions();
+  const styles = useMemo(
+    () => createStyles(theme, largeDisplay),
+    [theme, largeDisplay]
+  );
+
+  const numColumns = largeDisplay ? (width >= 1000 ? 3 : 2) : 1;
+  const hasSelection = selectedIds.size > 0;
+
+  const renderSortButton = (mode, label) => (
+    <TouchableOpacity
+      key={mode}
+      style={[styles.sortButton, sortMode === mode && styles.sortButtonActive]}
+      onPress={() => onChangeSort(mode)}
+    >
+      <Text
+        style={[
+          styles.sortButtonText,
+          sortMode === mode && styles.sortButtonTextActive,
+        ]}
+      >
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderEta = (entry) => {
+    if (entry.atGate) {
+      return (
+        <View style={[styles.etaBadge, styles.atGateBadge]}>
+          <FontAwesomeIcon
+            icon={faCarSide}
+            size={largeDisplay ? 18 : 12}
+            color='#fff'
+          />
+          <Text style={styles.etaBadgeText}>{t('atGate')}</Text>
+        </View>
+      );
+    }
+    if (entry.etaMinutes === null) return null;
+    return (
+      <View style={styles.etaBadge}>
+        <FontAwesomeIcon
+          icon={faClock}
+          size={largeDisplay ? 18 : 12}
+          color='#fff'
+        />
+        <Text style={styles.etaBadgeText}>
+          {t('etaMinutes').replace('{minutes}', entry.etaMinutes)}
+        </Text>
+      </View>
+    );
+  };
+
+  const renderItem = ({ item: entry, index }) => {
+    const { request } = entry;
+    const student = request.student || {};
+    const requester = request.requester || {};
+    const isSelected = selectedIds.has(entry.id);
+
+    return (
+      <TouchableOpacity
+        style={[
+          styles.card,
+          largeDisplay && { flex: 1 / numColumns },
+          isSelected && styles.cardSelected,
+        ]}
+        onPress={() => onToggleSelect(entry.id)}
+        onLongPress={() => onProcess(request)}
+        activeOpacity={0.7}
+      >
+        <View style={styles.cardHeader}>
+          <Text style={styles.position}>{index + 1}</Text>
+          <View style={styles.cardTitle}>
+            <Text style={styles.studentName} numberOfLines={1}>
+              {student.name || t('student')}
+            </Text>
+            <Text style={styles.classroomText} numberOfLines={1}>
+              {[student.classroom, requester.name].filter(Boolean).join(' • ')}
+            </Text>
+          </View>
+          <FontAwesomeIcon
+            icon={isSelected ? faCheckCircle : faCircle}
+            size={largeDisplay ? 28 : 20}
+            color={isSelected ? theme.colors.success : theme.colors.border}
+          />
+        </View>
+
+        <View style={styles.cardFooter}>
+          {renderEta(entry)}
+          <Text style={styles.metaText}>
+            {entry.distance !== null ? formatDistance(entry.distance) : ''}
+          </Text>
+          {entry.waitingMinutes !== null && (
+            <Text style={styles.metaText}>
+              {t('waitingMinutes').replace('{minutes}', entry.waitingMinutes)}
+            </Text>
+          )}
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      {/* Toolbar */}
+      <View style={styles.toolbar}>
+        <View style={styles.sortGroup}>
+          {renderSortButton(QUEUE_SORT.ARRIVAL, t('queueSortArrival'))}
+          {renderSortButton(QUEUE_SORT.DISTANCE, t('queueSortDistance'))}
+        </View>
+        <TouchableOpacity
+          onPress={hasSelection ? onClearSelection : onSelectAll}
+          disabled={entries.length === 0}
+        >
+          <Text style={styles.selectText}>
+            {hasSelection ? t('clearSelection') : t('selectAll')}
+          </Text>
+        </TouchableOpacity>
+      </View>
+      {lastUpdated && (
+        <Text style={styles.updatedText}>
+          {t('queueUpdatedAt').replace(
+            '{time}',
+            lastUpdated.toLocaleTimeString([], {
+              hour: '2-digit',
+              minute: '2-digit',
+              second: '2-digit',
+            })
+          )}
+        </Text>
+      )}
+
+      <FlatList
+        key={`queue-${numColumns}`}
+        data={entries}
+        numColumns={numColumns}
+        keyExtractor={(entry) => String(entry.id)}
+        renderItem={renderItem}
+        columnWrapperStyle={numColumns > 1 ? styles.columnWrapper : undefined}
+        refreshControl={
+          onRefresh ? (
+            <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          ) : undefined
+        }
+        contentContainerStyle={styles.listContent}
+        ListEmptyComponent={
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyText}>{t('noWaitingPickups')}</Text>
+          </View>
+        }
+      />
+    </View>
+  );
+};
+
+const createStyles = (theme, largeDisplay) => {
+  // Everything scales up for a tablet read from a distance
+  const scale = largeDisplay ? 1.6 : 1;
+
+  return StyleSheet.create({
+    container: {
+      flex: 1,
+    },
+    toolbar: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      paddingHorizontal: 16,
+      paddingTop: 12,
+    },
+    sortGroup: {
+      flexDirection: 'row',
+      backgroundColor: theme.colors.surface,
+      borderRadius: 8,
+      padding: 3,
+    },
+    sortButton: {
+      paddingHorizontal: 12 * scale,
+      paddingVertical: 6 * scale,
+      borderRadius: 6,
+    },
+    sortButtonActive: {
+      backgroundColor: theme.colors.primary,
+    },
+    sortButtonText: {
+      fontSize: 13 * scale,
+      fontWeight: '600',
+      color: theme.colors.textSecondary,
+    },
+    sortButtonTextActive: {
+      color: '#fff',
+    },
+    selectText: {
+      fontSize: 14 * scale,
+      fontWeight: '600',
+      color: theme.colors.primary,
+    },
+    updatedText: {
+      fontSize: 11 * scale,
+      color: theme.colors.textSecondary,
+      paddingHorizontal: 16,
+      marginTop: 6,
+    },
+    listContent: {
+      padding: 16,
+      paddingBottom: 96,
+    },
+    columnWrapper: {
+      gap: 12,
+    },
+    card: {
+      backgroundColor: theme.colors.surface,
+      borderRadius: 12,
+      padding: 12 * scale,
+      marginBottom: 12,
+      borderWidth: 2,
+      borderColor: theme.colors.border,
+    },
+    cardSelected: {
+      borderColor: theme.colors.success,
+    },
+    cardHeader: {
+      flexDirection: 'row',
+      alignItems: 'center',
+    },
+    position: {
+      minWidth: 28 * scale,
+      fontSize: 20 * scale,
+      fontWeight: '800',
+      color: theme.colors.primary,
+    },
+    cardTitle: {
+      flex: 1,
+      marginHorizontal: 8,
+    },
+    studentName: {
+      fontSize: 16 * scale,
+      fontWeight: '700',
+      color: theme.colors.text,
+    },
+    classroomText: {
+      fontSize: 12 * scale,
+      color: theme.colors.textSecondary,
+      marginTop: 2,
+    },
+    cardFooter: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 10,
+      marginTop: 10,
+    },
+    etaBadge: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 4,
+      paddingHorizontal: 8 * scale,
+      paddingVertical: 4 * scale,
+      borderRadius: 12,
+      backgroundColor: theme.colors.warning,
+    },
+    atGateBadge: {
+      backgroundColor: theme.colors.success,
+    },
+    etaBadgeText: {
+      fontSize: 12 * scale,
+      fontWeight: '700',
+      color: '#fff',
+    },
+    metaText: {
+      fontSize: 12 * scale,
+      color: theme.colors.textSecondary,
+    },
+    emptyState: {
+      padding: 24,
+      alignItems: 'center',
+    },
+    emptyText: {
+      fontSize: 14 * scale,
+      color: theme.colors.textSecondary,
+    },
+  });
+};
+
+export default PickupQueueBoard;
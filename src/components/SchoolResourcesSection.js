@@ -1,6 +1,6 @@
 import React from 'react';
 import { View, Text, TouchableOpacity, StyleSheet, Alert } from 'react-native';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from '../services/secureStorage';
 import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
 import {
   faCalendarAlt,
@@ -52,11 +52,15 @@ export default function SchoolResourcesSection({
   const handleCalendarPress = async () => {
     try {
       // Check for direct login userData first
-      const userData = await AsyncStorage.getItem('userData');
+      const userData = await secureSessionStorage.getItem('userData');
 
       // Check for student accounts in parent system
-      const studentAccountsStr = await AsyncStorage.getItem('studentAccounts');
-      const selectedStudentStr = await AsyncStorage.getItem('selectedStudent');
+      const studentAccountsStr = await secureSessionStorage.getItem(
+        'studentAccounts'
+      );
+      const selectedStudentStr = await secureSessionStorage.getItem(
+        'selectedStudent'
+      );
 
       console.log('📅 SCHOOL_RESOURCES: Calendar access check:', {
         hasUserData: !!userData,
@@ -91,7 +95,7 @@ export default function SchoolResourcesSection({
             console.log(
               '✅ SCHOOL_RESOURCES: Using first student account for calendar'
             );
-            await AsyncStorage.setItem(
+            await secureSessionStorage.setItem(
               'calendarUserData',
               JSON.stringify(studentAccounts[0])
             );
@@ -114,7 +118,10 @@ export default function SchoolResourcesSection({
             '✅ SCHOOL_RESOURCES: Using previously selected student:',
             selectedStudent.name
           );
-          await AsyncStorage.setItem('calendarUserData', selectedStudentStr);
+          await secureSessionStorage.setItem(
+            'calendarUserData',
+            selectedStudentStr
+          );
           navigation.navigate('CalendarScreen', { mode: 'branch-only' });
           return;
         } catch (parseError) {
@@ -0,0 +1,56 @@
+/**
+ * Session Expiry Handler Component
+ * Offers to log in again when the session manager reports an expired session
+ */
+
+import { useEffect, useRef } from 'react';
+import { Alert } from 'react-native';
+
+// Context
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+  subscribeToSessionExpiry,
+  getLoginRouteForSession,
+} from '../services/sessionManager';
+
+const SessionExpiryHandler = ({ navigationRef }) => {
+  const { t } = useLanguage();
+  const isPromptingRef = useRef(false);
+
+  useEffect(
+    () =>
+      subscribeToSessionExpiry((session) => {
+        // Several requests can fail together; ask only once
+        if (isPromptingRef.current) return;
+        isPromptingRef.current = true;
+
+        const name = session.account?.name || session.account?.username || '';
+        const done = () => {
+          isPromptingRef.current = false;
+        };
+
+        Alert.alert(
+          t('sessionExpiredTitle'),
+          t('sessionExpiredMessage').replace('{name}', name),
+          [
+            { text: t('notNow'), style: 'cancel', onPress: done },
+            {
+              text: t('login'),
+              onPress: () => {
+                done();
+                const { name: routeName, params } =
+                  getLoginRouteForSession(session);
+                navigationRef?.current?.navigate(routeName, params);
+              },
+            },
+          ],
+          { onDismiss: done }
+        );
+      }),
+    [t, navigationRef]
+  );
+
+  return null;
+};
+
+export default SessionExpiryHandler;
@@ -0,0 +1,498 @@
+/**
+ * What-If Grade Modal Component
+ * Lets a student or parent enter hypothetical scores for a subject and see
+ * the projected average calculated by the grading engine
+ */
+
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  Modal,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import {
+  faArrowLeft,
+  faPlus,
+  faTimes,
+} from '@fortawesome/free-solid-svg-icons';
+
+// Context
+import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import {
+  getGradingScheme,
+  getAssessmentPercentage,
+  calculateWhatIf,
+  separateAssessments,
+} from '../utils/gradingEngine';
+
+const formatAverage = (grade) =>
+  grade.rounded !== null ? `${grade.rounded}%` : '--';
+
+const WhatIfGradeModal = ({ visible, subject, assessments, onClose }) => {
+  const { theme } = useTheme();
+  const { t } = useLanguage();
+  const styles = useMemo(() => createStyles(theme), [theme]);
+
+  // Scores typed for ungraded assessments, by assessment_id
+  const [pendingScores, setPendingScores] = useState({});
+  // Extra hypothetical assessments
+  const [extraScores, setExtraScores] = useState([]);
+  const [newCategory, setNewCategory] = useState(null);
+  const [newScore, setNewScore] = useState('');
+  const [newMaxScore, setNewMaxScore] = useState('100');
+
+  const summative = useMemo(
+    () => separateAssessments(assessments).summative,
+    [assessments]
+  );
+  const scheme = useMemo(() => getGradingScheme(summative), [summative]);
+  const categoryNames = Object.keys(scheme.categories);
+  const ungraded = summative.filter(
+    (assessment) => getAssessmentPercentage(assessment) === null
+  );
+
+  // Start fresh for every subject
+  useEffect(() => {
+    if (visible) {
+      setPendingScores({});
+      setExtraScores([]);
+      setNewCategory(categoryNames[0] || null);
+      setNewScore('');
+      setNewMaxScore('100');
+    }
+  }, [visible, subject]);
+
+  const hypotheticals = [
+    ...ungraded
+      .filter((assessment) => pendingScores[assessment.assessment_id])
+      .map((assessment) => ({
+        assessment_id: assessment.assessment_id,
+        score: pendingScores[assessment.assessment_id],
+      })),
+    ...extraScores,
+  ];
+  const { current, projected, difference } = calculateWhatIf(
+    summative,
+    hypotheticals,
+    scheme
+  );
+
+  const handleAddScore = () => {
+    if (newScore === '' || isNaN(parseFloat(newScore))) return;
+
+    setExtraScores((prev) => [
+      ...prev,
+      {
+        key: `${Date.now()}-${prev.length}`,
+        category: newCategory,
+        score: newScore,
+        max_score: newMaxScore,
+      },
+    ]);
+    setNewScore('');
+  };
+
+  const handleRemoveScore = (key) => {
+    setExtraScores((prev) => prev.filter((entry) => entry.key !== key));
+  };
+
+  const differenceColor =
+    difference > 0
+      ? theme.colors.success
+      : difference < 0
+      ? theme.colors.error
+      : theme.colors.textSecondary;
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container} edges={['top', 'left', 'right']}>
+        <View style={styles.header}>
+          <TouchableOpacity style={styles.backButton} onPress={onClose}>
+            <FontAwesomeIcon
+              icon={faArrowLeft}
+              size={20}
+              color={theme.colors.text}
+            />
+          </TouchableOpacity>
+          <View style={styles.headerCenter}>
+            <Text style={styles.headerTitle}>{t('whatIf')}</Text>
+            {subject ? (
+              <Text style={styles.headerSubtitle}>{subject}</Text>
+            ) : null}
+          </View>
+        </View>
+
+        <ScrollView
+          style={styles.content}
+          keyboardShouldPersistTaps='handled'
+          showsVerticalScrollIndicator={false}
+        >
+          <Text style={styles.description}>{t('whatIfDescription')}</Text>
+
+          {/* Current vs projected average */}
+          <View style={styles.summaryCard}>
+            <View style={styles.summaryColumn}>
+              <Text style={styles.summaryLabel}>{t('currentAverage')}</Text>
+              <Text style={styles.summaryValue}>{formatAverage(current)}</Text>
+              <Text style={styles.summaryGrade}>{current.label}</Text>
+            </View>
+            <View style={styles.summaryDivider} />
+            <View style={styles.summaryColumn}>
+              <Text style={styles.summaryLabel}>{t('projectedAverage')}</Text>
+              <Text
+                style={[styles.summaryValue, { color: theme.colors.primary }]}
+              >
+                {formatAverage(projected)}
+              </Text>
+              <Text style={styles.summaryGrade}>{projected.label}</Text>
+              {difference !== null && hypotheticals.length > 0 && (
+                <Text
+                  style={[styles.differenceText, { color: differenceColor }]}
+                >
+                  {difference > 0 ? '+' : ''}
+                  {difference.toFixed(1)}%
+                </Text>
+              )}
+            </View>
+          </View>
+
+          {/* Ungraded assessments */}
+          {ungraded.length > 0 && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>
+                {t('ungradedAssessments')}
+              </Text>
+              {ungraded.map((assessment) => {
+                const id = assessment.assessment_id;
+                return (
+                  <View key={String(id)} style={styles.scoreRow}>
+                    <View style={styles.scoreInfo}>
+                      <Text style={styles.scoreTitle} numberOfLines={1}>
+                        {assessment.assessment_name}
+                      </Text>
+                      {assessment.type_title ? (
+                        <Text style={styles.scoreSubtitle}>
+                          {assessment.type_title}
+                        </Text>
+                      ) : null}
+                    </View>
+                    <TextInput
+                      style={styles.scoreInput}
+                      value={pendingScores[id] || ''}
+                      onChangeText={(value) =>
+                        setPendingScores((prev) => ({ ...prev, [id]: value }))
+                      }
+                      placeholder={t('score')}
+                      placeholderTextColor={theme.colors.textLight}
+                      keyboardType='decimal-pad'
+                    />
+                    <Text style={styles.maxScoreText}>
+                      / {assessment.max_score || 100}
+                    </Text>
+                  </View>
+                );
+              })}
+            </View>
+          )}
+
+          {/* Extra hypothetical scores */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>{t('addHypotheticalScore')}</Text>
+            {categoryNames.length > 0 && (
+              <View style={styles.categoryChips}>
+                {categoryNames.map((name) => {
+                  const isSelected = name === newCategory;
+                  const { weight } = scheme.categories[name];
+                  return (
+                    <TouchableOpacity
+                      key={name}
+                      style={[
+                        styles.categoryChip,
+                        isSelected && styles.categoryChipSelected,
+                      ]}
+                      onPress={() => setNewCategory(name)}
+                    >
+                      <Text
+                        style={[
+                          styles.categoryChipText,
+                          isSelected && styles.categoryChipTextSelected,
+                        ]}
+                      >
+                        {weight !== null ? `${name} (${weight}%)` : name}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            )}
+            <View style={styles.scoreRow}>
+              <TextInput
+                style={[styles.scoreInput, styles.newScoreInput]}
+                value={newScore}
+                onChangeText={setNewScore}
+                placeholder={t('score')}
+                placeholderTextColor={theme.colors.textLight}
+                keyboardType='decimal-pad'
+              />
+              <Text style={styles.maxScoreText}>/</Text>
+              <TextInput
+                style={[styles.scoreInput, styles.newScoreInput]}
+                value={newMaxScore}
+                onChangeText={setNewMaxScore}
+                placeholder={t('outOf')}
+                placeholderTextColor={theme.colors.textLight}
+                keyboardType='decimal-pad'
+              />
+              <TouchableOpacity
+                style={styles.addButton}
+                onPress={handleAddScore}
+              >
+                <FontAwesomeIcon icon={faPlus} size={14} color='#fff' />
+              </TouchableOpacity>
+            </View>
+
+            {extraScores.map((entry) => (
+              <View key={entry.key} style={styles.extraScoreRow}>
+                <Text style={styles.scoreTitle}>
+                  {entry.category || t('assessments')}
+                </Text>
+                <Text style={styles.extraScoreValue}>
+                  {entry.score} / {entry.max_score || 100}
+                </Text>
+                <TouchableOpacity
+                  style={styles.removeButton}
+                  onPress={() => handleRemoveScore(entry.key)}
+                >
+                  <FontAwesomeIcon
+                    icon={faTimes}
+                    size={14}
+                    color={theme.colors.textSecondary}
+                  />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </View>
+
+          {/* Projected breakdown per assessment type */}
+          {projected.categories.length > 0 && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>{t('categoryBreakdown')}</Text>
+              {projected.categories.map((category) => (
+                <View key={category.name} style={styles.extraScoreRow}>
+                  <View style={styles.scoreInfo}>
+                    <Text style={styles.scoreTitle}>{category.name}</Text>
+                    {category.dropped.length > 0 && (
+                      <Text style={styles.scoreSubtitle}>
+                        {t('lowestScoresDropped').replace(
+                          '{count}',
+                          category.dropped.length
+                        )}
+                      </Text>
+                    )}
+                  </View>
+                  <Text style={styles.extraScoreValue}>
+                    {Math.round(category.average)}%
+                    {category.weight !== null ? ` × ${category.weight}%` : ''}
+                  </Text>
+                </View>
+              ))}
+            </View>
+          )}
+        </ScrollView>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.colors.background,
+    },
+    header: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 16,
+      paddingVertical: 12,
+      backgroundColor: theme.colors.surface,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    backButton: {
+      padding: 8,
+      marginRight: 8,
+    },
+    headerCenter: {
+      flex: 1,
+    },
+    headerTitle: {
+      fontSize: 18,
+      fontWeight: '700',
+      color: theme.colors.text,
+    },
+    headerSubtitle: {
+      fontSize: 13,
+      color: theme.colors.textSecondary,
+      marginTop: 2,
+    },
+    content: {
+      flex: 1,
+      padding: 16,
+    },
+    description: {
+      fontSize: 14,
+      color: theme.colors.textSecondary,
+      marginBottom: 16,
+    },
+    summaryCard: {
+      flexDirection: 'row',
+      backgroundColor: theme.colors.surface,
+      borderRadius: 12,
+      padding: 16,
+      marginBottom: 20,
+    },
+    summaryColumn: {
+      flex: 1,
+      alignItems: 'center',
+    },
+    summaryDivider: {
+      width: 1,
+      backgroundColor: theme.colors.border,
+      marginHorizontal: 12,
+    },
+    summaryLabel: {
+      fontSize: 13,
+      color: theme.colors.textSecondary,
+      marginBottom: 6,
+    },
+    summaryValue: {
+      fontSize: 28,
+      fontWeight: '700',
+      color: theme.colors.text,
+    },
+    summaryGrade: {
+      fontSize: 15,
+      fontWeight: '600',
+      color: theme.colors.textSecondary,
+      marginTop: 2,
+    },
+    differenceText: {
+      fontSize: 13,
+      fontWeight: '600',
+      marginTop: 4,
+    },
+    section: {
+      marginBottom: 20,
+    },
+    sectionTitle: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: theme.colors.text,
+      marginBottom: 10,
+    },
+    scoreRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: theme.colors.surface,
+      borderRadius: 10,
+      padding: 12,
+      marginBottom: 8,
+    },
+    scoreInfo: {
+      flex: 1,
+      marginRight: 8,
+    },
+    scoreTitle: {
+      fontSize: 15,
+      fontWeight: '500',
+      color: theme.colors.text,
+    },
+    scoreSubtitle: {
+      fontSize: 12,
+      color: theme.colors.textSecondary,
+      marginTop: 2,
+    },
+    scoreInput: {
+      width: 64,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+      borderRadius: 8,
+      paddingHorizontal: 8,
+      paddingVertical: 6,
+      fontSize: 15,
+      color: theme.colors.text,
+      textAlign: 'center',
+    },
+    newScoreInput: {
+      flex: 1,
+    },
+    maxScoreText: {
+      fontSize: 15,
+      color: theme.colors.textSecondary,
+      marginHorizontal: 8,
+    },
+    addButton: {
+      backgroundColor: theme.colors.primary,
+      borderRadius: 8,
+      padding: 10,
+      marginLeft: 8,
+    },
+    categoryChips: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      gap: 8,
+      marginBottom: 10,
+    },
+    categoryChip: {
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 16,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+      backgroundColor: theme.colors.surface,
+    },
+    categoryChipSelected: {
+      backgroundColor: theme.colors.primary,
+      borderColor: theme.colors.primary,
+    },
+    categoryChipText: {
+      fontSize: 13,
+      color: theme.colors.text,
+    },
+    categoryChipTextSelected: {
+      color: '#fff',
+      fontWeight: '600',
+    },
+    extraScoreRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      paddingVertical: 10,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    extraScoreValue: {
+      fontSize: 15,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    removeButton: {
+      padding: 6,
+      marginLeft: 8,
+    },
+  });
+
+export default WhatIfGradeModal;
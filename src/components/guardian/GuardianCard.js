@@ -14,9 +14,15 @@ import {
   faTrash,
   faPlay,
   faExclamationTriangle,
+  faCalendarCheck,
 } from '@fortawesome/free-solid-svg-icons';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
+import {
+  describePickupRules,
+  hasPickupRules,
+  isPickupRulesExpired,
+} from '../../utils/pickupRules';
 
 const GuardianCard = ({
   guardian,
@@ -28,6 +34,8 @@ const GuardianCard = ({
   showActions = true,
   showPickupAction = false,
   onPickupRequest,
+  onEditRules,
+  childNames = {},
 }) => {
   const { theme } = useTheme();
   const { t } = useLanguage();
@@ -200,6 +208,25 @@ const GuardianCard = ({
         <Text style={styles.qrToken}>{guardian.qr_token}</Text>
       </View>
 
+      {/* Pickup Rules */}
+      {hasPickupRules(guardian.pickup_rules) && (
+        <View style={styles.rulesContainer}>
+          <View style={styles.rulesHeader}>
+            <Text style={styles.rulesLabel}>{t('pickupRules')}</Text>
+            {isPickupRulesExpired(guardian.pickup_rules) && (
+              <Text style={styles.rulesExpired}>{t('pickupRulesExpired')}</Text>
+            )}
+          </View>
+          {describePickupRules(guardian.pickup_rules, { childNames, t }).map(
+            (line) => (
+              <Text key={line} style={styles.rulesText}>
+                {line}
+              </Text>
+            )
+          )}
+        </View>
+      )}
+
       {/* Dates */}
       <View style={styles.datesContainer}>
         <Text style={styles.dateText}>
@@ -244,6 +271,22 @@ const GuardianCard = ({
                 <Text style={styles.actionButtonText}>{t('rotateQr')}</Text>
               </TouchableOpacity>
             )}
+
+            {onEditRules && (
+              <TouchableOpacity
+                style={[styles.actionButton, styles.rulesButton]}
+                onPress={() => onEditRules(guardian)}
+              >
+                <FontAwesomeIcon
+                  icon={faCalendarCheck}
+                  size={12}
+                  color='#fff'
+                />
+                <Text style={styles.actionButtonText}>
+                  {t('pickupRulesEdit')}
+                </Text>
+              </TouchableOpacity>
+            )}
           </View>
 
           {/* Lifecycle Management Actions Row */}
@@ -387,6 +430,33 @@ const createStyles = (theme) =>
       borderRadius: 4,
       flex: 1,
     },
+    rulesContainer: {
+      backgroundColor: theme.colors.surface,
+      borderRadius: 8,
+      padding: 10,
+      marginBottom: 12,
+    },
+    rulesHeader: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: 4,
+    },
+    rulesLabel: {
+      fontSize: 14,
+      color: theme.colors.textSecondary,
+      fontWeight: '500',
+    },
+    rulesExpired: {
+      fontSize: 12,
+      fontWeight: '600',
+      color: theme.colors.error,
+    },
+    rulesText: {
+      fontSize: 13,
+      color: theme.colors.text,
+      marginTop: 2,
+    },
     datesContainer: {
       marginBottom: 12,
     },
@@ -426,6 +496,9 @@ const createStyles = (theme) =>
     rotateButton: {
       backgroundColor: theme.colors.warning,
     },
+    rulesButton: {
+      backgroundColor: theme.colors.info,
+    },
     deactivateButton: {
       backgroundColor: '#FF9500', // Orange for soft delete
     },
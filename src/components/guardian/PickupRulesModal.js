@@ -0,0 +1,466 @@
+/**
+ * Pickup Rules Modal
+ * Lets a parent limit which children a guardian may collect, on which days
+ * and at what times, and for how long the authorization lasts
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+  Switch,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import DateTimePickerModal from 'react-native-modal-datetime-picker';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import { faTimes } from '@fortawesome/free-solid-svg-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import {
+  normalizePickupRules,
+  validatePickupRules,
+  toDateKey,
+} from '../../utils/pickupRules';
+
+// Monday first, as parents think of the school week
+const WEEKDAYS = [
+  { day: 1, key: 'weekdayMon' },
+  { day: 2, key: 'weekdayTue' },
+  { day: 3, key: 'weekdayWed' },
+  { day: 4, key: 'weekdayThu' },
+  { day: 5, key: 'weekdayFri' },
+  { day: 6, key: 'weekdaySat' },
+  { day: 0, key: 'weekdaySun' },
+];
+
+const toTimeKey = (date) =>
+  `${String(date.getHours()).padStart(2, '0')}:${String(
+    date.getMinutes()
+  ).padStart(2, '0')}`;
+
+// Picker start value for a stored 'HH:MM' or 'YYYY-MM-DD'
+const toPickerDate = (field, value) => {
+  const date = new Date();
+  if (!value) return date;
+
+  if (field === 'start' || field === 'end') {
+    const [hours, minutes] = value.split(':').map(Number);
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+  }
+
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const PickupRulesModal = ({
+  visible,
+  guardian,
+  children = [],
+  onClose,
+  onSave,
+  saving = false,
+}) => {
+  const { theme } = useTheme();
+  const { t } = useLanguage();
+  const styles = createStyles(theme);
+
+  const [studentIds, setStudentIds] = useState([]);
+  const [weekdays, setWeekdays] = useState([]);
+  const [times, setTimes] = useState({ start: null, end: null });
+  const [dates, setDates] = useState({ from: null, until: null });
+  const [oneTime, setOneTime] = useState(false);
+  // Field the date/time picker is open for: start, end, from or until
+  const [pickerField, setPickerField] = useState(null);
+
+  useEffect(() => {
+    if (!visible) return;
+
+    const rules = normalizePickupRules(guardian?.pickup_rules);
+    const window = rules.time_windows[0];
+    setStudentIds(rules.student_ids || []);
+    setWeekdays(rules.weekdays || []);
+    setTimes({ start: window?.start || null, end: window?.end || null });
+    setDates({ from: rules.valid_from, until: rules.valid_until });
+    setOneTime(rules.one_time);
+  }, [visible, guardian]);
+
+  const toggle = (list, setList, value) => {
+    setList(
+      list.includes(value)
+        ? list.filter((item) => item !== value)
+        : [...list, value]
+    );
+  };
+
+  const handlePickerConfirm = (date) => {
+    if (pickerField === 'start' || pickerField === 'end') {
+      setTimes((prev) => ({ ...prev, [pickerField]: toTimeKey(date) }));
+    } else {
+      setDates((prev) => ({ ...prev, [pickerField]: toDateKey(date) }));
+    }
+    setPickerField(null);
+  };
+
+  const handleSave = () => {
+    if (!!times.start !== !!times.end) {
+      Alert.alert(t('error'), t('pickupRulesTimeIncomplete'));
+      return;
+    }
+
+    const rules = {
+      student_ids: studentIds,
+      weekdays: [...weekdays].sort(),
+      time_windows: times.start ? [{ start: times.start, end: times.end }] : [],
+      valid_from: dates.from,
+      valid_until: dates.until,
+      one_time: oneTime,
+      // A changed one-time authorization can be used again
+      used_at: null,
+    };
+
+    const errors = validatePickupRules(rules);
+    if (errors.length > 0) {
+      Alert.alert(t('error'), errors.join('\n'));
+      return;
+    }
+
+    onSave(rules);
+  };
+
+  const handleRemove = () => {
+    Alert.alert(t('pickupRulesRemove'), t('pickupRulesRemoveMessage'), [
+      { text: t('cancel'), style: 'cancel' },
+      {
+        text: t('pickupRulesRemove'),
+        style: 'destructive',
+        onPress: () => onSave(null),
+      },
+    ]);
+  };
+
+  const renderChip = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, selected && styles.chipSelected]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextSelected]}>
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderPickerButton = (field, value, placeholder) => (
+    <TouchableOpacity
+      style={styles.pickerButton}
+      onPress={() => setPickerField(field)}
+    >
+      <Text style={[styles.pickerText, !value && styles.placeholderText]}>
+        {value || placeholder}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        {/* Header */}
+        <View style={styles.header}>
+          <View style={styles.headerText}>
+            <Text style={styles.title}>{t('pickupRules')}</Text>
+            <Text style={styles.subtitle}>{guardian?.name}</Text>
+          </View>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <FontAwesomeIcon
+              icon={faTimes}
+              size={18}
+              color={theme.colors.text}
+            />
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.content}>
+          {/* Children */}
+          {children.length > 1 && (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>
+                {t('pickupRulesChildrenLabel')}
+              </Text>
+              <Text style={styles.hint}>{t('pickupRulesChildrenHint')}</Text>
+              <View style={styles.chipRow}>
+                {children.map((child) =>
+                  renderChip(
+                    child.id,
+                    child.name,
+                    studentIds.includes(child.id),
+                    () => toggle(studentIds, setStudentIds, child.id)
+                  )
+                )}
+              </View>
+            </View>
+          )}
+
+          {/* Days */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>{t('pickupRulesDaysLabel')}</Text>
+            <Text style={styles.hint}>{t('pickupRulesDaysHint')}</Text>
+            <View style={styles.chipRow}>
+              {WEEKDAYS.map(({ day, key }) =>
+                renderChip(key, t(key), weekdays.includes(day), () =>
+                  toggle(weekdays, setWeekdays, day)
+                )
+              )}
+            </View>
+          </View>
+
+          {/* Time window */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>{t('pickupRulesTimeLabel')}</Text>
+            <Text style={styles.hint}>{t('pickupRulesTimeHint')}</Text>
+            <View style={styles.rangeRow}>
+              {renderPickerButton('start', times.start, '--:--')}
+              <Text style={styles.rangeSeparator}>–</Text>
+              {renderPickerButton('end', times.end, '--:--')}
+              {(times.start || times.end) && (
+                <TouchableOpacity
+                  onPress={() => setTimes({ start: null, end: null })}
+                >
+                  <Text style={styles.clearText}>{t('clear')}</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+
+          {/* Validity */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>
+              {t('pickupRulesDatesLabel')}
+            </Text>
+            <Text style={styles.hint}>{t('pickupRulesDatesHint')}</Text>
+            <View style={styles.rangeRow}>
+              {renderPickerButton('from', dates.from, 'YYYY-MM-DD')}
+              <Text style={styles.rangeSeparator}>–</Text>
+              {renderPickerButton('until', dates.until, 'YYYY-MM-DD')}
+              {(dates.from || dates.until) && (
+                <TouchableOpacity
+                  onPress={() => setDates({ from: null, until: null })}
+                >
+                  <Text style={styles.clearText}>{t('clear')}</Text>
+                </TouchableOpacity>
+              )}
+            </View>
+          </View>
+
+          {/* One-time */}
+          <View style={[styles.section, styles.switchRow]}>
+            <View style={styles.switchText}>
+              <Text style={styles.sectionTitle}>
+                {t('pickupRulesOneTimeLabel')}
+              </Text>
+              <Text style={styles.hint}>{t('pickupRulesOneTimeHint')}</Text>
+            </View>
+            <Switch
+              value={oneTime}
+              onValueChange={setOneTime}
+              trackColor={{ true: theme.colors.primary }}
+            />
+          </View>
+        </ScrollView>
+
+        {/* Footer */}
+        <View style={styles.footer}>
+          <TouchableOpacity
+            style={[styles.footerButton, styles.removeButton]}
+            onPress={handleRemove}
+            disabled={saving}
+          >
+            <Text style={styles.removeButtonText}>
+              {t('pickupRulesRemove')}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.footerButton, styles.saveButton]}
+            onPress={handleSave}
+            disabled={saving}
+          >
+            {saving ? (
+              <ActivityIndicator size='small' color='#fff' />
+            ) : (
+              <Text style={styles.saveButtonText}>{t('save')}</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        <DateTimePickerModal
+          isVisible={!!pickerField}
+          mode={
+            pickerField === 'start' || pickerField === 'end' ? 'time' : 'date'
+          }
+          date={toPickerDate(
+            pickerField,
+            times[pickerField] || dates[pickerField]
+          )}
+          onConfirm={handlePickerConfirm}
+          onCancel={() => setPickerField(null)}
+        />
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.colors.background,
+    },
+    header: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      padding: 16,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    headerText: {
+      flex: 1,
+    },
+    title: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    subtitle: {
+      fontSize: 14,
+      color: theme.colors.textSecondary,
+      marginTop: 2,
+    },
+    closeButton: {
+      padding: 8,
+    },
+    content: {
+      padding: 16,
+    },
+    section: {
+      backgroundColor: theme.colors.card,
+      borderRadius: 12,
+      padding: 16,
+      marginBottom: 12,
+    },
+    sectionTitle: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    hint: {
+      fontSize: 13,
+      color: theme.colors.textSecondary,
+      marginTop: 4,
+    },
+    chipRow: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      gap: 8,
+      marginTop: 12,
+    },
+    chip: {
+      paddingHorizontal: 12,
+      paddingVertical: 8,
+      borderRadius: 16,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+    },
+    chipSelected: {
+      backgroundColor: theme.colors.primary,
+      borderColor: theme.colors.primary,
+    },
+    chipText: {
+      fontSize: 14,
+      color: theme.colors.text,
+    },
+    chipTextSelected: {
+      color: '#fff',
+      fontWeight: '600',
+    },
+    rangeRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginTop: 12,
+    },
+    rangeSeparator: {
+      marginHorizontal: 8,
+      color: theme.colors.textSecondary,
+    },
+    pickerButton: {
+      flex: 1,
+      paddingVertical: 10,
+      borderRadius: 8,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+      alignItems: 'center',
+    },
+    pickerText: {
+      fontSize: 15,
+      color: theme.colors.text,
+    },
+    placeholderText: {
+      color: theme.colors.textSecondary,
+    },
+    clearText: {
+      marginLeft: 12,
+      fontSize: 14,
+      fontWeight: '600',
+      color: theme.colors.primary,
+    },
+    switchRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+    },
+    switchText: {
+      flex: 1,
+      marginRight: 12,
+    },
+    footer: {
+      flexDirection: 'row',
+      gap: 12,
+      padding: 16,
+      borderTopWidth: 1,
+      borderTopColor: theme.colors.border,
+    },
+    footerButton: {
+      flex: 1,
+      paddingVertical: 14,
+      borderRadius: 12,
+      alignItems: 'center',
+    },
+    removeButton: {
+      borderWidth: 1,
+      borderColor: theme.colors.error,
+    },
+    removeButtonText: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: theme.colors.error,
+    },
+    saveButton: {
+      backgroundColor: theme.colors.primary,
+    },
+    saveButtonText: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: '#fff',
+    },
+  });
+
+export default PickupRulesModal;
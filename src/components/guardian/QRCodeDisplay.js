@@ -1,6 +1,9 @@
 /**
  * QR Code Display Component
  * Displays QR codes for guardian pickup authentication
+ *
+ * Pass signingKey to show a signed code that refreshes every few seconds
+ * (for showing at the gate). Copy and share are hidden for signed codes.
  */
 
 import React, { useState, useRef } from 'react';
@@ -18,11 +21,13 @@ import QRCode from 'react-native-qrcode-svg';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useLanguage } from '../../contexts/LanguageContext';
 import Clipboard from '@react-native-clipboard/clipboard';
+import { useSignedPickupQr } from '../../hooks/useSignedPickupQr';
 const { width } = Dimensions.get('window');
 
 const QRCodeDisplay = ({
   qrToken,
   qrUrl,
+  signingKey,
   guardianName,
   onRotateToken,
   showActions = true,
@@ -32,6 +37,7 @@ const QRCodeDisplay = ({
   const { t } = useLanguage();
   const [isRotating, setIsRotating] = useState(false);
   const qrRef = useRef(null);
+  const signedQr = useSignedPickupQr({ qrToken, qrUrl, signingKey });
 
   const styles = createStyles(theme);
 
@@ -288,7 +294,7 @@ const QRCodeDisplay = ({
       {/* QR Code */}
       <View style={styles.qrContainer}>
         <QRCode
-          value={finalQrUrl}
+          value={signedQr.value || finalQrUrl}
           size={size}
           color={theme.text}
           backgroundColor={theme.card}
@@ -299,31 +305,43 @@ const QRCodeDisplay = ({
         />
       </View>
 
+      {signedQr.signed && (
+        <Text style={styles.refreshText}>
+          {t('qrRefreshesIn').replace('{seconds}', signedQr.secondsLeft)}
+        </Text>
+      )}
+
       {/* Guardian Name */}
       {guardianName && <Text style={styles.guardianName}>{guardianName}</Text>}
 
       {/* Token Display */}
-      <View style={styles.tokenContainer}>
-        <Text style={styles.tokenLabel}>{t('qrToken')}:</Text>
-        <Text style={styles.tokenText}>{qrToken}</Text>
-      </View>
+      {!signedQr.signed && (
+        <View style={styles.tokenContainer}>
+          <Text style={styles.tokenLabel}>{t('qrToken')}:</Text>
+          <Text style={styles.tokenText}>{qrToken}</Text>
+        </View>
+      )}
 
       {/* Action Buttons */}
       {showActions && (
         <View style={styles.actionsContainer}>
-          <TouchableOpacity
-            style={[styles.actionButton, styles.copyButton]}
-            onPress={handleCopyToken}
-          >
-            <Text style={styles.actionButtonText}>{t('copyToken')}</Text>
-          </TouchableOpacity>
-
-          <TouchableOpacity
-            style={[styles.actionButton, styles.shareButton]}
-            onPress={handleShareQR}
-          >
-            <Text style={styles.actionButtonText}>{t('shareQr')}</Text>
-          </TouchableOpacity>
+          {!signedQr.signed && (
+            <>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.copyButton]}
+                onPress={handleCopyToken}
+              >
+                <Text style={styles.actionButtonText}>{t('copyToken')}</Text>
+              </TouchableOpacity>
+
+              <TouchableOpacity
+                style={[styles.actionButton, styles.shareButton]}
+                onPress={handleShareQR}
+              >
+                <Text style={styles.actionButtonText}>{t('shareQr')}</Text>
+              </TouchableOpacity>
+            </>
+          )}
 
           {onRotateToken && (
             <TouchableOpacity
@@ -373,6 +391,11 @@ const createStyles = (theme) =>
       marginBottom: 16,
       ...theme.shadows.medium
     },
+    refreshText: {
+      fontSize: 13,
+      color: theme.colors.textSecondary,
+      marginBottom: 12,
+    },
     guardianName: {
       fontSize: 18,
       fontWeight: '600',
@@ -4,3 +4,4 @@
 
 export { default as QRCodeDisplay } from './QRCodeDisplay';
 export { default as GuardianCard } from './GuardianCard';
+export { default as PickupRulesModal } from './PickupRulesModal';
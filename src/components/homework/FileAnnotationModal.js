@@ -0,0 +1,734 @@
+/**
+ * File Annotation Modal
+ * Shows a submitted image or PDF page by page. Teachers can draw,
+ * highlight and drop numbered comment pins, then save the result as
+ * feedback on the submission. Students open the same modal read-only.
+ */
+
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  Modal,
+  Image,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import {
+  Gesture,
+  GestureDetector,
+  GestureHandlerRootView,
+} from 'react-native-gesture-handler';
+import Svg, { Path } from 'react-native-svg';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import {
+  faTimes,
+  faPen,
+  faHighlighter,
+  faThumbtack,
+  faRotateLeft,
+  faTrash,
+  faChevronLeft,
+  faChevronRight,
+} from '@fortawesome/free-solid-svg-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import {
+  getSubmissionFilePages,
+  saveSubmissionAnnotation,
+} from '../../services/homeworkService';
+import {
+  ANNOTATION_TOOLS,
+  ANNOTATION_COLORS,
+  getAnnotationFileKind,
+  normalizePoint,
+  appendPoint,
+  strokeToPath,
+  getStrokeStyle,
+  createStroke,
+  createPin,
+  getPageItems,
+} from '../../utils/annotations';
+
+const TOOLS = [
+  { id: ANNOTATION_TOOLS.PEN, icon: faPen, labelKey: 'annotationPen' },
+  {
+    id: ANNOTATION_TOOLS.HIGHLIGHTER,
+    icon: faHighlighter,
+    labelKey: 'annotationHighlighter',
+  },
+  { id: ANNOTATION_TOOLS.PIN, icon: faThumbtack, labelKey: 'annotationPin' },
+];
+
+const PIN_SIZE = 24;
+
+const FileAnnotationModal = ({
+  visible,
+  detailId,
+  authCode,
+  fileUrl,
+  annotation = null,
+  editable = false,
+  onClose,
+  onSaved,
+}) => {
+  const { theme } = useTheme();
+  const { t } = useLanguage();
+  const styles = createStyles(theme);
+
+  const [pages, setPages] = useState([]);
+  const [items, setItems] = useState([]);
+  const [pageIndex, setPageIndex] = useState(0);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+
+  const [tool, setTool] = useState(ANNOTATION_TOOLS.PEN);
+  const [color, setColor] = useState(ANNOTATION_COLORS[0]);
+  const [currentStroke, setCurrentStroke] = useState(null);
+  const [pendingPin, setPendingPin] = useState(null);
+  const [pinText, setPinText] = useState('');
+
+  // Space available for the page, and the aspect ratio of each page image
+  const [area, setArea] = useState(null);
+  const [aspectRatios, setAspectRatios] = useState({});
+  const strokeRef = useRef(null);
+
+  useEffect(() => {
+    if (!visible) return;
+
+    setItems(annotation?.items || []);
+    setPageIndex(0);
+    setDirty(false);
+    setPendingPin(null);
+    loadPages();
+  }, [visible, fileUrl, annotation]);
+
+  const loadPages = async () => {
+    if (annotation?.pages?.length) {
+      setPages(annotation.pages);
+      return;
+    }
+    if (getAnnotationFileKind(fileUrl) === 'image') {
+      setPages([{ url: fileUrl }]);
+      return;
+    }
+
+    // PDFs and links without an extension are rendered by the server
+    setPages([]);
+    setLoading(true);
+    try {
+      const response = await getSubmissionFilePages(detailId, authCode);
+      if (response.success && response.data?.pages?.length) {
+        setPages(response.data.pages);
+      } else {
+        Alert.alert(t('error'), response.message || t('fileCannotBeAnnotated'));
+      }
+    } catch (error) {
+      console.error('Error loading submission file pages:', error);
+      Alert.alert(t('error'), t('failedToLoadFilePages'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const page = pages[pageIndex];
+
+  useEffect(() => {
+    if (!page || (page.width && page.height) || aspectRatios[page.url]) {
+      return;
+    }
+
+    Image.getSize(
+      page.url,
+      (width, height) =>
+        setAspectRatios((prev) => ({ ...prev, [page.url]: width / height })),
+      () => setAspectRatios((prev) => ({ ...prev, [page.url]: 0.75 }))
+    );
+  }, [page]);
+
+  // Fit the page inside the available area
+  const aspectRatio =
+    page?.width && page?.height
+      ? page.width / page.height
+      : aspectRatios[page?.url];
+  const pageWidth =
+    area && aspectRatio
+      ? Math.min(area.width, area.height * aspectRatio)
+      : null;
+  const pageSize = pageWidth
+    ? { width: pageWidth, height: pageWidth / aspectRatio }
+    : null;
+
+  const addItem = (item) => {
+    setItems((prev) => [...prev, item]);
+    setDirty(true);
+  };
+
+  const startStroke = (event) => {
+    strokeRef.current = createStroke({
+      page: pageIndex,
+      tool,
+      color,
+      point: normalizePoint(event, pageSize),
+    });
+    setCurrentStroke(strokeRef.current);
+  };
+
+  const extendStroke = (event) => {
+    if (!strokeRef.current) return;
+    strokeRef.current = {
+      ...strokeRef.current,
+      points: appendPoint(
+        strokeRef.current.points,
+        normalizePoint(event, pageSize)
+      ),
+    };
+    setCurrentStroke(strokeRef.current);
+  };
+
+  const finishStroke = () => {
+    if (strokeRef.current) {
+      addItem(strokeRef.current);
+    }
+    strokeRef.current = null;
+    setCurrentStroke(null);
+  };
+
+  const drawGesture = Gesture.Pan()
+    .runOnJS(true)
+    .enabled(editable && !!pageSize && tool !== ANNOTATION_TOOLS.PIN)
+    .minDistance(0)
+    .onBegin(startStroke)
+    .onUpdate(extendStroke)
+    .onFinalize(finishStroke);
+
+  const pinGesture = Gesture.Tap()
+    .runOnJS(true)
+    .enabled(editable && !!pageSize && tool === ANNOTATION_TOOLS.PIN)
+    .onEnd((event) => {
+      setPendingPin(normalizePoint(event, pageSize));
+      setPinText('');
+    });
+
+  const confirmPin = () => {
+    if (!pinText.trim()) return;
+    addItem(
+      createPin({ page: pageIndex, color, point: pendingPin, text: pinText })
+    );
+    setPendingPin(null);
+    setPinText('');
+  };
+
+  const removeItem = (itemId) => {
+    setItems((prev) => prev.filter((item) => item.id !== itemId));
+    setDirty(true);
+  };
+
+  const undo = () => {
+    const last = [...items].reverse().find((item) => item.page === pageIndex);
+    if (last) {
+      removeItem(last.id);
+    }
+  };
+
+  const handleClose = () => {
+    if (!dirty) {
+      onClose();
+      return;
+    }
+
+    Alert.alert(t('discardAnnotations'), t('discardAnnotationsMessage'), [
+      { text: t('cancel'), style: 'cancel' },
+      { text: t('discard'), style: 'destructive', onPress: onClose },
+    ]);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await saveSubmissionAnnotation(
+        detailId,
+        { file_url: fileUrl, pages, items },
+        authCode
+      );
+      if (response.success) {
+        setDirty(false);
+        onSaved?.(response.annotation);
+        onClose();
+      } else {
+        Alert.alert(
+          t('error'),
+          response.message || t('failedToSaveAnnotations')
+        );
+      }
+    } catch (error) {
+      console.error('Error saving annotations:', error);
+      Alert.alert(t('error'), t('failedToSaveAnnotations'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const { strokes, pins } = getPageItems(
+    currentStroke ? [...items, currentStroke] : items,
+    pageIndex
+  );
+
+  const renderStroke = (stroke) => {
+    const { width, opacity } = getStrokeStyle(stroke.tool, pageSize.width);
+    return (
+      <Path
+        key={stroke.id}
+        d={strokeToPath(stroke.points, pageSize)}
+        stroke={stroke.color}
+        strokeWidth={width}
+        strokeOpacity={opacity}
+        strokeLinecap='round'
+        strokeLinejoin='round'
+        fill='none'
+      />
+    );
+  };
+
+  const renderPage = () => {
+    if (loading) {
+      return <ActivityIndicator size='large' color={theme.colors.primary} />;
+    }
+    if (!page) {
+      return <Text style={styles.emptyText}>{t('fileCannotBeAnnotated')}</Text>;
+    }
+    if (!pageSize) {
+      return <ActivityIndicator size='small' color={theme.colors.primary} />;
+    }
+
+    return (
+      <GestureDetector gesture={Gesture.Exclusive(drawGesture, pinGesture)}>
+        <View style={pageSize}>
+          <Image
+            source={{ uri: page.url }}
+            style={pageSize}
+            resizeMode='contain'
+          />
+          <Svg
+            style={StyleSheet.absoluteFill}
+            width={pageSize.width}
+            height={pageSize.height}
+          >
+            {strokes.map(renderStroke)}
+          </Svg>
+          {pins.map((pin) => (
+            <View
+              key={pin.id}
+              pointerEvents='none'
+              style={[
+                styles.pin,
+                {
+                  left: pin.x * pageSize.width - PIN_SIZE / 2,
+                  top: pin.y * pageSize.height - PIN_SIZE / 2,
+                  backgroundColor: pin.color,
+                },
+              ]}
+            >
+              <Text style={styles.pinNumber}>{pin.number}</Text>
+            </View>
+          ))}
+          {pendingPin && (
+            <View
+              pointerEvents='none'
+              style={[
+                styles.pin,
+                styles.pendingPin,
+                {
+                  left: pendingPin.x * pageSize.width - PIN_SIZE / 2,
+                  top: pendingPin.y * pageSize.height - PIN_SIZE / 2,
+                  borderColor: color,
+                },
+              ]}
+            />
+          )}
+        </View>
+      </GestureDetector>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='fullScreen'
+      onRequestClose={handleClose}
+    >
+      <GestureHandlerRootView style={styles.flex}>
+        <SafeAreaView style={styles.container}>
+          {/* Header */}
+          <View style={styles.header}>
+            <View style={styles.headerText}>
+              <Text style={styles.title}>
+                {editable ? t('annotateFile') : t('annotatedFeedback')}
+              </Text>
+              {pages.length > 1 && (
+                <Text style={styles.subtitle}>
+                  {t('annotationPage')
+                    .replace('{page}', pageIndex + 1)
+                    .replace('{total}', pages.length)}
+                </Text>
+              )}
+            </View>
+            <TouchableOpacity style={styles.iconButton} onPress={handleClose}>
+              <FontAwesomeIcon
+                icon={faTimes}
+                size={18}
+                color={theme.colors.text}
+              />
+            </TouchableOpacity>
+          </View>
+
+          {/* Tools */}
+          {editable && (
+            <View style={styles.toolbar}>
+              {TOOLS.map((item) => (
+                <TouchableOpacity
+                  key={item.id}
+                  style={[
+                    styles.toolButton,
+                    tool === item.id && styles.toolButtonActive,
+                  ]}
+                  onPress={() => {
+                    setTool(item.id);
+                    setPendingPin(null);
+                  }}
+                  accessibilityLabel={t(item.labelKey)}
+                >
+                  <FontAwesomeIcon
+                    icon={item.icon}
+                    size={16}
+                    color={tool === item.id ? '#fff' : theme.colors.text}
+                  />
+                </TouchableOpacity>
+              ))}
+              <View style={styles.toolDivider} />
+              {ANNOTATION_COLORS.map((swatch) => (
+                <TouchableOpacity
+                  key={swatch}
+                  style={[
+                    styles.swatch,
+                    { backgroundColor: swatch },
+                    color === swatch && styles.swatchActive,
+                  ]}
+                  onPress={() => setColor(swatch)}
+                />
+              ))}
+              <View style={styles.toolDivider} />
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={undo}
+                accessibilityLabel={t('undo')}
+              >
+                <FontAwesomeIcon
+                  icon={faRotateLeft}
+                  size={16}
+                  color={theme.colors.text}
+                />
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {/* Page */}
+          <View
+            style={styles.pageArea}
+            onLayout={(event) => {
+              const { width, height } = event.nativeEvent.layout;
+              setArea({ width: width - 24, height: height - 24 });
+            }}
+          >
+            {renderPage()}
+          </View>
+
+          {/* New pin comment */}
+          {pendingPin && (
+            <View style={styles.pinInputRow}>
+              <TextInput
+                style={styles.pinInput}
+                placeholder={t('annotationCommentPlaceholder')}
+                placeholderTextColor={theme.colors.textSecondary}
+                value={pinText}
+                onChangeText={setPinText}
+                autoFocus
+              />
+              <TouchableOpacity onPress={() => setPendingPin(null)}>
+                <Text style={styles.linkText}>{t('cancel')}</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={confirmPin} disabled={!pinText.trim()}>
+                <Text
+                  style={[styles.linkText, !pinText.trim() && styles.disabled]}
+                >
+                  {t('addAnnotationComment')}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          )}
+
+          {/* Pin comments on this page */}
+          {pins.length > 0 && (
+            <ScrollView style={styles.comments}>
+              {pins.map((pin) => (
+                <View key={pin.id} style={styles.commentRow}>
+                  <View
+                    style={[
+                      styles.commentNumber,
+                      { backgroundColor: pin.color },
+                    ]}
+                  >
+                    <Text style={styles.pinNumber}>{pin.number}</Text>
+                  </View>
+                  <Text style={styles.commentText}>{pin.text}</Text>
+                  {editable && (
+                    <TouchableOpacity onPress={() => removeItem(pin.id)}>
+                      <FontAwesomeIcon
+                        icon={faTrash}
+                        size={13}
+                        color={theme.colors.error}
+                      />
+                    </TouchableOpacity>
+                  )}
+                </View>
+              ))}
+            </ScrollView>
+          )}
+
+          {/* Footer */}
+          <View style={styles.footer}>
+            {pages.length > 1 && (
+              <View style={styles.pager}>
+                <TouchableOpacity
+                  style={styles.iconButton}
+                  onPress={() => setPageIndex((index) => index - 1)}
+                  disabled={pageIndex === 0}
+                >
+                  <FontAwesomeIcon
+                    icon={faChevronLeft}
+                    size={16}
+                    color={
+                      pageIndex === 0
+                        ? theme.colors.border
+                        : theme.colors.primary
+                    }
+                  />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.iconButton}
+                  onPress={() => setPageIndex((index) => index + 1)}
+                  disabled={pageIndex === pages.length - 1}
+                >
+                  <FontAwesomeIcon
+                    icon={faChevronRight}
+                    size={16}
+                    color={
+                      pageIndex === pages.length - 1
+                        ? theme.colors.border
+                        : theme.colors.primary
+                    }
+                  />
+                </TouchableOpacity>
+              </View>
+            )}
+            {editable && (
+              <TouchableOpacity
+                style={[styles.saveButton, !dirty && styles.disabled]}
+                onPress={handleSave}
+                disabled={!dirty || saving}
+              >
+                {saving ? (
+                  <ActivityIndicator size='small' color='#fff' />
+                ) : (
+                  <Text style={styles.saveButtonText}>
+                    {t('saveAnnotations')}
+                  </Text>
+                )}
+              </TouchableOpacity>
+            )}
+          </View>
+        </SafeAreaView>
+      </GestureHandlerRootView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    flex: {
+      flex: 1,
+    },
+    container: {
+      flex: 1,
+      backgroundColor: theme.colors.background,
+    },
+    header: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      padding: 16,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    headerText: {
+      flex: 1,
+    },
+    title: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    subtitle: {
+      fontSize: 14,
+      color: theme.colors.textSecondary,
+      marginTop: 2,
+    },
+    iconButton: {
+      padding: 8,
+    },
+    toolbar: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 8,
+      paddingHorizontal: 16,
+      paddingVertical: 10,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    toolButton: {
+      width: 36,
+      height: 36,
+      borderRadius: 18,
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: theme.colors.surface,
+    },
+    toolButtonActive: {
+      backgroundColor: theme.colors.primary,
+    },
+    toolDivider: {
+      width: 1,
+      height: 24,
+      backgroundColor: theme.colors.border,
+    },
+    swatch: {
+      width: 24,
+      height: 24,
+      borderRadius: 12,
+    },
+    swatchActive: {
+      borderWidth: 3,
+      borderColor: theme.colors.text,
+    },
+    pageArea: {
+      flex: 1,
+      alignItems: 'center',
+      justifyContent: 'center',
+      padding: 12,
+    },
+    emptyText: {
+      fontSize: 14,
+      color: theme.colors.textSecondary,
+      textAlign: 'center',
+    },
+    pin: {
+      position: 'absolute',
+      width: PIN_SIZE,
+      height: PIN_SIZE,
+      borderRadius: PIN_SIZE / 2,
+      alignItems: 'center',
+      justifyContent: 'center',
+    },
+    pendingPin: {
+      borderWidth: 2,
+      borderStyle: 'dashed',
+    },
+    pinNumber: {
+      fontSize: 12,
+      fontWeight: '700',
+      color: '#fff',
+    },
+    pinInputRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 12,
+      paddingHorizontal: 16,
+      paddingVertical: 8,
+      borderTopWidth: 1,
+      borderTopColor: theme.colors.border,
+    },
+    pinInput: {
+      flex: 1,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+      borderRadius: 8,
+      paddingHorizontal: 12,
+      paddingVertical: 8,
+      fontSize: 15,
+      color: theme.colors.text,
+      backgroundColor: theme.colors.surface,
+    },
+    linkText: {
+      fontSize: 15,
+      fontWeight: '600',
+      color: theme.colors.primary,
+    },
+    disabled: {
+      opacity: 0.5,
+    },
+    comments: {
+      maxHeight: 140,
+      paddingHorizontal: 16,
+      borderTopWidth: 1,
+      borderTopColor: theme.colors.border,
+    },
+    commentRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 10,
+      paddingVertical: 8,
+    },
+    commentNumber: {
+      width: 20,
+      height: 20,
+      borderRadius: 10,
+      alignItems: 'center',
+      justifyContent: 'center',
+    },
+    commentText: {
+      flex: 1,
+      fontSize: 14,
+      color: theme.colors.text,
+    },
+    footer: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 12,
+      padding: 16,
+      borderTopWidth: 1,
+      borderTopColor: theme.colors.border,
+    },
+    pager: {
+      flexDirection: 'row',
+    },
+    saveButton: {
+      flex: 1,
+      backgroundColor: theme.colors.primary,
+      paddingVertical: 14,
+      borderRadius: 12,
+      alignItems: 'center',
+    },
+    saveButtonText: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: '#fff',
+    },
+  });
+
+export default FileAnnotationModal;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import {
   View,
   Text,
@@ -17,6 +17,7 @@ import {
   faFile,
   faTimes,
   faCheckCircle,
+  faRedo,
 } from '@fortawesome/free-solid-svg-icons';
 import * as ImagePicker from 'expo-image-picker';
 import * as DocumentPicker from 'expo-document-picker';
@@ -41,9 +42,14 @@ const HomeworkFileUpload = ({
     'zip',
   ],
   userType = 'student', // 'teacher' or 'student'
-  uploadFunction = null, // Function to handle the actual upload
+  // Function to handle the actual upload; resolves null when the file is
+  // sent with the form instead
+  uploadFunction = null,
   buttonText = 'Upload File',
   showPreview = true,
+  onFileRemoved,
+  initialFile = null, // File restored from a draft
+  initialUploadResult = null,
 }) => {
   const { theme } = useTheme();
   const { t } = useLanguage();
@@ -54,6 +60,21 @@ const HomeworkFileUpload = ({
   const [selectedFile, setSelectedFile] = useState(null);
   const [uploadResult, setUploadResult] = useState(null);
   const [thumbnailError, setThumbnailError] = useState(false);
+  // Fraction uploaded, reported by uploadFunction through onProgress
+  const [uploadProgress, setUploadProgress] = useState(null);
+  const [uploadError, setUploadError] = useState(null);
+  const abortControllerRef = useRef(null);
+
+  // Show a file restored from a draft
+  useEffect(() => {
+    if (initialFile) {
+      setSelectedFile(initialFile);
+      setUploadResult(initialUploadResult);
+    }
+  }, [initialFile, initialUploadResult]);
+
+  // Stop a running upload when the screen closes
+  useEffect(() => () => abortControllerRef.current?.abort(), []);
 
   // Request permissions
   const requestPermissions = async () => {
@@ -325,25 +346,51 @@ const HomeworkFileUpload = ({
       return;
     }
 
+    const abortController = new AbortController();
+    abortControllerRef.current = abortController;
+
     try {
       setUploading(true);
-      const result = await uploadFunction(file);
+      setUploadError(null);
+      setUploadProgress(0);
+      const result = await uploadFunction(file, {
+        onProgress: ({ progress }) => setUploadProgress(progress),
+        signal: abortController.signal,
+      });
+      if (!result) return;
       setUploadResult(result);
       onFileUploaded?.(result);
       Alert.alert(t('success'), t('fileUploadedSuccessfully'));
     } catch (error) {
+      if (abortController.signal.aborted) {
+        setUploadError(t('uploadCancelled'));
+        return;
+      }
       console.error('Error uploading file:', error);
+      setUploadError(error.message || t('failedToUploadFile'));
       Alert.alert(t('uploadFailed'), error.message || t('failedToUploadFile'));
     } finally {
-      setUploading(false);
+      if (abortControllerRef.current === abortController) {
+        abortControllerRef.current = null;
+        setUploading(false);
+        setUploadProgress(null);
+      }
     }
   };
 
+  // Cancel a running upload; it can be resumed with retry
+  const cancelUpload = () => {
+    abortControllerRef.current?.abort();
+  };
+
   // Remove selected file
   const removeSelectedFile = () => {
+    cancelUpload();
     setSelectedFile(null);
     setUploadResult(null);
+    setUploadError(null);
     setThumbnailError(false);
+    onFileRemoved?.();
   };
 
   // Get file size display
@@ -507,7 +554,48 @@ const HomeworkFileUpload = ({
               {uploadResult && (
                 <Text style={styles.uploadStatus}>✓ Uploaded successfully</Text>
               )}
+              {uploading && uploadProgress !== null && (
+                <View style={styles.progressContainer}>
+                  <View style={styles.progressTrack}>
+                    <View
+                      style={[
+                        styles.progressFill,
+                        { width: `${Math.round(uploadProgress * 100)}%` },
+                      ]}
+                    />
+                  </View>
+                  <Text style={styles.progressText}>
+                    {Math.round(uploadProgress * 100)}%
+                  </Text>
+                </View>
+              )}
+              {!uploading && uploadError && (
+                <Text style={styles.uploadError}>{uploadError}</Text>
+              )}
             </View>
+            {uploading && uploadProgress !== null && (
+              <TouchableOpacity
+                style={styles.uploadActionButton}
+                onPress={cancelUpload}
+              >
+                <Text style={styles.uploadActionText}>{t('cancel')}</Text>
+              </TouchableOpacity>
+            )}
+            {uploadFunction && !uploading && !uploadResult && (
+              <TouchableOpacity
+                style={styles.uploadActionButton}
+                onPress={() => handleFileUpload(selectedFile)}
+              >
+                <FontAwesomeIcon
+                  icon={faRedo}
+                  size={12}
+                  color={theme.colors.primary}
+                />
+                <Text style={styles.uploadActionText}>
+                  {uploadError ? t('retryUpload') : t('resumeUpload')}
+                </Text>
+              </TouchableOpacity>
+            )}
           </View>
           <TouchableOpacity
             style={styles.removeButton}
@@ -700,6 +788,45 @@ const createStyles = (theme) =>
       color: theme.colors.success,
       marginTop: 2,
     },
+    progressContainer: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginTop: 6,
+    },
+    progressTrack: {
+      flex: 1,
+      height: 4,
+      borderRadius: 2,
+      backgroundColor: theme.colors.border,
+      overflow: 'hidden',
+    },
+    progressFill: {
+      height: '100%',
+      backgroundColor: theme.colors.primary,
+    },
+    progressText: {
+      fontSize: 12,
+      color: theme.colors.textSecondary,
+      marginLeft: 8,
+      minWidth: 32,
+    },
+    uploadError: {
+      fontSize: 12,
+      color: theme.colors.error,
+      marginTop: 2,
+    },
+    uploadActionButton: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 8,
+      paddingVertical: 6,
+      gap: 4,
+    },
+    uploadActionText: {
+      fontSize: 13,
+      fontWeight: '600',
+      color: theme.colors.primary,
+    },
     removeButton: {
       padding: 8,
     },
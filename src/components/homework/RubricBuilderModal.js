@@ -0,0 +1,412 @@
+/**
+ * Rubric Builder Modal
+ * Lets a teacher create or edit a rubric: its criteria and, for each
+ * criterion, the levels and the points they are worth
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import { faTimes, faPlus, faTrash } from '@fortawesome/free-solid-svg-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import {
+  createRubric,
+  createCriterion,
+  createLevel,
+  normalizeRubric,
+  validateRubric,
+  getRubricMaxPoints,
+} from '../../utils/rubrics';
+
+const DEFAULT_LEVEL_KEYS = [
+  'rubricLevelExcellent',
+  'rubricLevelGood',
+  'rubricLevelSatisfactory',
+  'rubricLevelNeedsImprovement',
+];
+
+const RubricBuilderModal = ({
+  visible,
+  rubric = null,
+  onClose,
+  onSave,
+  saving = false,
+}) => {
+  const { theme } = useTheme();
+  const { t } = useLanguage();
+  const styles = createStyles(theme);
+
+  const [draft, setDraft] = useState(null);
+  const levelTitles = DEFAULT_LEVEL_KEYS.map((key) => t(key));
+
+  useEffect(() => {
+    if (!visible) return;
+
+    // Points are edited as text and turned back into numbers on save
+    const initial = rubric
+      ? normalizeRubric(rubric)
+      : createRubric(levelTitles);
+    setDraft({
+      ...initial,
+      criteria: initial.criteria.map((criterion) => ({
+        ...criterion,
+        levels: criterion.levels.map((level) => ({
+          ...level,
+          points: String(level.points),
+        })),
+      })),
+    });
+  }, [visible, rubric]);
+
+  if (!draft) return null;
+
+  const updateCriterion = (criterionId, changes) => {
+    setDraft((prev) => ({
+      ...prev,
+      criteria: prev.criteria.map((criterion) =>
+        criterion.id === criterionId ? { ...criterion, ...changes } : criterion
+      ),
+    }));
+  };
+
+  const updateLevel = (criterionId, levelId, changes) => {
+    const criterion = draft.criteria.find((item) => item.id === criterionId);
+    updateCriterion(criterionId, {
+      levels: criterion.levels.map((level) =>
+        level.id === levelId ? { ...level, ...changes } : level
+      ),
+    });
+  };
+
+  const addCriterion = () => {
+    const criterion = createCriterion(levelTitles);
+    setDraft((prev) => ({
+      ...prev,
+      criteria: [
+        ...prev.criteria,
+        {
+          ...criterion,
+          levels: criterion.levels.map((level) => ({
+            ...level,
+            points: String(level.points),
+          })),
+        },
+      ],
+    }));
+  };
+
+  const removeCriterion = (criterionId) => {
+    setDraft((prev) => ({
+      ...prev,
+      criteria: prev.criteria.filter((item) => item.id !== criterionId),
+    }));
+  };
+
+  const addLevel = (criterionId) => {
+    const criterion = draft.criteria.find((item) => item.id === criterionId);
+    updateCriterion(criterionId, {
+      levels: [...criterion.levels, { ...createLevel(), points: '0' }],
+    });
+  };
+
+  const removeLevel = (criterionId, levelId) => {
+    const criterion = draft.criteria.find((item) => item.id === criterionId);
+    updateCriterion(criterionId, {
+      levels: criterion.levels.filter((level) => level.id !== levelId),
+    });
+  };
+
+  const handleSave = () => {
+    const errors = validateRubric(draft);
+    if (errors.length > 0) {
+      Alert.alert(t('error'), errors.join('\n'));
+      return;
+    }
+
+    onSave(normalizeRubric(draft));
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        {/* Header */}
+        <View style={styles.header}>
+          <View style={styles.headerText}>
+            <Text style={styles.title}>
+              {draft.id ? t('editRubric') : t('newRubric')}
+            </Text>
+            <Text style={styles.subtitle}>
+              {t('rubricMaxPoints').replace(
+                '{max}',
+                getRubricMaxPoints(normalizeRubric(draft))
+              )}
+            </Text>
+          </View>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <FontAwesomeIcon
+              icon={faTimes}
+              size={18}
+              color={theme.colors.text}
+            />
+          </TouchableOpacity>
+        </View>
+
+        <KeyboardAvoidingView
+          style={styles.flex}
+          behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        >
+          <ScrollView
+            contentContainerStyle={styles.content}
+            keyboardShouldPersistTaps='handled'
+          >
+            <View style={styles.section}>
+              <TextInput
+                style={styles.input}
+                placeholder={t('rubricTitlePlaceholder')}
+                placeholderTextColor={theme.colors.textSecondary}
+                value={draft.title}
+                onChangeText={(title) =>
+                  setDraft((prev) => ({ ...prev, title }))
+                }
+              />
+            </View>
+
+            {draft.criteria.map((criterion, index) => (
+              <View key={criterion.id} style={styles.section}>
+                <View style={styles.criterionHeader}>
+                  <Text style={styles.sectionTitle}>
+                    {t('rubricCriterion').replace('{number}', index + 1)}
+                  </Text>
+                  <TouchableOpacity
+                    onPress={() => removeCriterion(criterion.id)}
+                  >
+                    <FontAwesomeIcon
+                      icon={faTrash}
+                      size={14}
+                      color={theme.colors.error}
+                    />
+                  </TouchableOpacity>
+                </View>
+                <TextInput
+                  style={styles.input}
+                  placeholder={t('rubricCriterionPlaceholder')}
+                  placeholderTextColor={theme.colors.textSecondary}
+                  value={criterion.title}
+                  onChangeText={(title) =>
+                    updateCriterion(criterion.id, { title })
+                  }
+                />
+
+                {criterion.levels.map((level) => (
+                  <View key={level.id} style={styles.levelRow}>
+                    <TextInput
+                      style={[styles.input, styles.levelTitleInput]}
+                      placeholder={t('rubricLevelPlaceholder')}
+                      placeholderTextColor={theme.colors.textSecondary}
+                      value={level.title}
+                      onChangeText={(title) =>
+                        updateLevel(criterion.id, level.id, { title })
+                      }
+                    />
+                    <TextInput
+                      style={[styles.input, styles.levelPointsInput]}
+                      value={level.points}
+                      onChangeText={(points) =>
+                        updateLevel(criterion.id, level.id, { points })
+                      }
+                      keyboardType='number-pad'
+                      maxLength={3}
+                    />
+                    <TouchableOpacity
+                      style={styles.removeLevelButton}
+                      onPress={() => removeLevel(criterion.id, level.id)}
+                    >
+                      <FontAwesomeIcon
+                        icon={faTimes}
+                        size={14}
+                        color={theme.colors.textSecondary}
+                      />
+                    </TouchableOpacity>
+                  </View>
+                ))}
+
+                <TouchableOpacity
+                  style={styles.addButton}
+                  onPress={() => addLevel(criterion.id)}
+                >
+                  <FontAwesomeIcon
+                    icon={faPlus}
+                    size={12}
+                    color={theme.colors.primary}
+                  />
+                  <Text style={styles.addButtonText}>
+                    {t('addRubricLevel')}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            ))}
+
+            <TouchableOpacity
+              style={[styles.section, styles.addButton]}
+              onPress={addCriterion}
+            >
+              <FontAwesomeIcon
+                icon={faPlus}
+                size={14}
+                color={theme.colors.primary}
+              />
+              <Text style={styles.addButtonText}>
+                {t('addRubricCriterion')}
+              </Text>
+            </TouchableOpacity>
+          </ScrollView>
+        </KeyboardAvoidingView>
+
+        {/* Footer */}
+        <View style={styles.footer}>
+          <TouchableOpacity
+            style={styles.saveButton}
+            onPress={handleSave}
+            disabled={saving}
+          >
+            {saving ? (
+              <ActivityIndicator size='small' color='#fff' />
+            ) : (
+              <Text style={styles.saveButtonText}>
+                {t('saveRubricToLibrary')}
+              </Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    flex: {
+      flex: 1,
+    },
+    container: {
+      flex: 1,
+      backgroundColor: theme.colors.background,
+    },
+    header: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      padding: 16,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    headerText: {
+      flex: 1,
+    },
+    title: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    subtitle: {
+      fontSize: 14,
+      color: theme.colors.textSecondary,
+      marginTop: 2,
+    },
+    closeButton: {
+      padding: 8,
+    },
+    content: {
+      padding: 16,
+    },
+    section: {
+      backgroundColor: theme.colors.card,
+      borderRadius: 12,
+      padding: 16,
+      marginBottom: 12,
+      gap: 8,
+    },
+    sectionTitle: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    criterionHeader: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+    },
+    input: {
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+      borderRadius: 8,
+      paddingHorizontal: 12,
+      paddingVertical: 10,
+      fontSize: 15,
+      color: theme.colors.text,
+      backgroundColor: theme.colors.surface,
+    },
+    levelRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 8,
+    },
+    levelTitleInput: {
+      flex: 1,
+    },
+    levelPointsInput: {
+      width: 60,
+      textAlign: 'center',
+    },
+    removeLevelButton: {
+      padding: 6,
+    },
+    addButton: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      justifyContent: 'center',
+      gap: 6,
+      paddingVertical: 8,
+    },
+    addButtonText: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: theme.colors.primary,
+    },
+    footer: {
+      padding: 16,
+      borderTopWidth: 1,
+      borderTopColor: theme.colors.border,
+    },
+    saveButton: {
+      backgroundColor: theme.colors.primary,
+      paddingVertical: 14,
+      borderRadius: 12,
+      alignItems: 'center',
+    },
+    saveButtonText: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: '#fff',
+    },
+  });
+
+export default RubricBuilderModal;
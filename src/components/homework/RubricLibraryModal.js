@@ -0,0 +1,327 @@
+/**
+ * Rubric Library Modal
+ * The teacher's saved rubrics, shared across classes. A rubric can be
+ * picked for an assignment, edited, deleted or created from scratch.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import {
+  faTimes,
+  faPlus,
+  faEdit,
+  faTrash,
+  faCheckCircle,
+} from '@fortawesome/free-solid-svg-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import {
+  getHomeworkRubrics,
+  saveHomeworkRubric,
+  deleteHomeworkRubric,
+} from '../../services/homeworkService';
+import { getRubricMaxPoints } from '../../utils/rubrics';
+import RubricBuilderModal from './RubricBuilderModal';
+
+const RubricLibraryModal = ({
+  visible,
+  authCode,
+  selectedRubricId = null,
+  onClose,
+  onSelect,
+}) => {
+  const { theme } = useTheme();
+  const { t } = useLanguage();
+  const styles = createStyles(theme);
+
+  const [rubrics, setRubrics] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  // Rubric open in the builder; {} for a new one
+  const [editingRubric, setEditingRubric] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      loadRubrics();
+    }
+  }, [visible]);
+
+  const loadRubrics = async () => {
+    setLoading(true);
+    try {
+      const response = await getHomeworkRubrics(authCode);
+      if (response.success) {
+        setRubrics(response.data || []);
+      } else {
+        Alert.alert(t('error'), response.message || t('failedToLoadRubrics'));
+      }
+    } catch (error) {
+      console.error('Error loading rubrics:', error);
+      Alert.alert(t('error'), t('failedToLoadRubrics'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async (rubric) => {
+    setSaving(true);
+    try {
+      const response = await saveHomeworkRubric(rubric, authCode);
+      if (!response.success) {
+        Alert.alert(t('error'), response.message || t('failedToSaveRubric'));
+        return;
+      }
+
+      const saved = response.data?.rubric || response.data;
+      setRubrics((prev) =>
+        prev.some((item) => item.id === saved.id)
+          ? prev.map((item) => (item.id === saved.id ? saved : item))
+          : [saved, ...prev]
+      );
+      setEditingRubric(null);
+    } catch (error) {
+      console.error('Error saving rubric:', error);
+      Alert.alert(t('error'), t('failedToSaveRubric'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (rubric) => {
+    Alert.alert(
+      t('deleteRubric'),
+      t('deleteRubricMessage').replace('{title}', rubric.title),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        {
+          text: t('delete'),
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              const response = await deleteHomeworkRubric(rubric.id, authCode);
+              if (response.success) {
+                setRubrics((prev) =>
+                  prev.filter((item) => item.id !== rubric.id)
+                );
+              } else {
+                Alert.alert(
+                  t('error'),
+                  response.message || t('failedToDeleteRubric')
+                );
+              }
+            } catch (error) {
+              console.error('Error deleting rubric:', error);
+              Alert.alert(t('error'), t('failedToDeleteRubric'));
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderRubric = ({ item }) => {
+    const selected = item.id === selectedRubricId;
+
+    return (
+      <TouchableOpacity
+        style={[styles.rubricCard, selected && styles.rubricCardSelected]}
+        onPress={() => onSelect(item)}
+        activeOpacity={0.7}
+      >
+        <View style={styles.rubricInfo}>
+          <Text style={styles.rubricTitle}>{item.title}</Text>
+          <Text style={styles.rubricMeta}>
+            {t('rubricSummary')
+              .replace('{criteria}', item.criteria?.length || 0)
+              .replace('{max}', getRubricMaxPoints(item))}
+          </Text>
+        </View>
+        {selected && (
+          <FontAwesomeIcon
+            icon={faCheckCircle}
+            size={18}
+            color={theme.colors.primary}
+          />
+        )}
+        <TouchableOpacity
+          style={styles.iconButton}
+          onPress={() => setEditingRubric(item)}
+        >
+          <FontAwesomeIcon
+            icon={faEdit}
+            size={16}
+            color={theme.colors.textSecondary}
+          />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.iconButton}
+          onPress={() => handleDelete(item)}
+        >
+          <FontAwesomeIcon
+            icon={faTrash}
+            size={16}
+            color={theme.colors.error}
+          />
+        </TouchableOpacity>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      animationType='slide'
+      presentationStyle='pageSheet'
+      onRequestClose={onClose}
+    >
+      <SafeAreaView style={styles.container}>
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.title}>{t('rubricLibrary')}</Text>
+          <TouchableOpacity style={styles.closeButton} onPress={onClose}>
+            <FontAwesomeIcon
+              icon={faTimes}
+              size={18}
+              color={theme.colors.text}
+            />
+          </TouchableOpacity>
+        </View>
+
+        {loading ? (
+          <View style={styles.centered}>
+            <ActivityIndicator size='large' color={theme.colors.primary} />
+          </View>
+        ) : (
+          <FlatList
+            data={rubrics}
+            keyExtractor={(item) => String(item.id)}
+            renderItem={renderRubric}
+            contentContainerStyle={styles.content}
+            ListEmptyComponent={
+              <Text style={styles.emptyText}>{t('noRubricsYet')}</Text>
+            }
+          />
+        )}
+
+        {/* Footer */}
+        <View style={styles.footer}>
+          <TouchableOpacity
+            style={styles.newButton}
+            onPress={() => setEditingRubric({})}
+          >
+            <FontAwesomeIcon icon={faPlus} size={14} color='#fff' />
+            <Text style={styles.newButtonText}>{t('newRubric')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        <RubricBuilderModal
+          visible={!!editingRubric}
+          rubric={editingRubric?.id ? editingRubric : null}
+          onClose={() => setEditingRubric(null)}
+          onSave={handleSave}
+          saving={saving}
+        />
+      </SafeAreaView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.colors.background,
+    },
+    header: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      padding: 16,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    title: {
+      fontSize: 18,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    closeButton: {
+      padding: 8,
+    },
+    centered: {
+      flex: 1,
+      justifyContent: 'center',
+      alignItems: 'center',
+    },
+    content: {
+      padding: 16,
+    },
+    emptyText: {
+      textAlign: 'center',
+      fontSize: 14,
+      color: theme.colors.textSecondary,
+      marginTop: 40,
+    },
+    rubricCard: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 8,
+      backgroundColor: theme.colors.card,
+      borderRadius: 12,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+      padding: 16,
+      marginBottom: 10,
+    },
+    rubricCardSelected: {
+      borderColor: theme.colors.primary,
+    },
+    rubricInfo: {
+      flex: 1,
+    },
+    rubricTitle: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    rubricMeta: {
+      fontSize: 13,
+      color: theme.colors.textSecondary,
+      marginTop: 2,
+    },
+    iconButton: {
+      padding: 6,
+    },
+    footer: {
+      padding: 16,
+      borderTopWidth: 1,
+      borderTopColor: theme.colors.border,
+    },
+    newButton: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      justifyContent: 'center',
+      gap: 8,
+      backgroundColor: theme.colors.primary,
+      paddingVertical: 14,
+      borderRadius: 12,
+    },
+    newButtonText: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: '#fff',
+    },
+  });
+
+export default RubricLibraryModal;
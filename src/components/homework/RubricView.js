@@ -0,0 +1,152 @@
+/**
+ * Rubric View
+ * Shows a rubric's criteria and levels with the chosen level of each
+ * criterion highlighted. With onSelectLevel, tapping a level chooses it,
+ * which is how teachers grade a submission.
+ */
+
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { scoreRubric } from '../../utils/rubrics';
+
+const RubricView = ({ rubric, selections = {}, onSelectLevel = null }) => {
+  const { theme } = useTheme();
+  const { t } = useLanguage();
+  const styles = createStyles(theme);
+
+  if (!rubric?.criteria?.length) return null;
+
+  const { total_points: total, max_points: max } = scoreRubric(
+    rubric,
+    selections
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{rubric.title}</Text>
+        <Text style={styles.total}>
+          {t('rubricScore').replace('{score}', total).replace('{max}', max)}
+        </Text>
+      </View>
+
+      {rubric.criteria.map((criterion) => (
+        <View key={criterion.id} style={styles.criterion}>
+          <Text style={styles.criterionTitle}>{criterion.title}</Text>
+          {!!criterion.description && (
+            <Text style={styles.description}>{criterion.description}</Text>
+          )}
+
+          <View style={styles.levels}>
+            {criterion.levels.map((level) => {
+              const selected = selections[criterion.id] === level.id;
+              return (
+                <TouchableOpacity
+                  key={level.id}
+                  style={[styles.level, selected && styles.levelSelected]}
+                  onPress={() => onSelectLevel?.(criterion.id, level.id)}
+                  disabled={!onSelectLevel}
+                  activeOpacity={0.7}
+                >
+                  <Text
+                    style={[
+                      styles.levelTitle,
+                      selected && styles.levelTextSelected,
+                    ]}
+                  >
+                    {level.title}
+                  </Text>
+                  <Text
+                    style={[
+                      styles.levelPoints,
+                      selected && styles.levelTextSelected,
+                    ]}
+                  >
+                    {t('rubricPoints').replace('{points}', level.points)}
+                  </Text>
+                  {selected && !!level.description && (
+                    <Text
+                      style={[styles.description, styles.levelTextSelected]}
+                    >
+                      {level.description}
+                    </Text>
+                  )}
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: {
+      gap: 12,
+    },
+    header: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+    },
+    title: {
+      flex: 1,
+      fontSize: 15,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    total: {
+      fontSize: 15,
+      fontWeight: '700',
+      color: theme.colors.primary,
+    },
+    criterion: {
+      gap: 6,
+    },
+    criterionTitle: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    description: {
+      fontSize: 12,
+      color: theme.colors.textSecondary,
+    },
+    levels: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      gap: 8,
+    },
+    level: {
+      minWidth: 90,
+      paddingHorizontal: 10,
+      paddingVertical: 8,
+      borderRadius: 10,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+      backgroundColor: theme.colors.surface,
+    },
+    levelSelected: {
+      backgroundColor: theme.colors.primary,
+      borderColor: theme.colors.primary,
+    },
+    levelTitle: {
+      fontSize: 13,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    levelPoints: {
+      fontSize: 12,
+      color: theme.colors.textSecondary,
+      marginTop: 2,
+    },
+    levelTextSelected: {
+      color: '#fff',
+    },
+  });
+
+export default RubricView;
@@ -0,0 +1,358 @@
+/**
+ * Submission Comment Thread
+ * The back-and-forth between teacher and student on one homework
+ * submission, kept with the assignment. Parents see it read-only through
+ * the parent proxy.
+ */
+
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+  Linking,
+} from 'react-native';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import {
+  faPaperclip,
+  faPaperPlane,
+  faFileAlt,
+  faTimes,
+} from '@fortawesome/free-solid-svg-icons';
+import * as DocumentPicker from 'expo-document-picker';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import * as homeworkService from '../../services/homeworkService';
+import { adaptHomeworkService } from '../../services/parentProxyAdapter';
+
+const homeworkAccess = adaptHomeworkService(homeworkService);
+
+const formatCommentTime = (dateString) =>
+  new Date(dateString).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+const SubmissionCommentThread = ({
+  detailId,
+  authCode,
+  viewerType = 'student',
+  proxyOptions = {},
+}) => {
+  const { theme } = useTheme();
+  const { t } = useLanguage();
+  const styles = createStyles(theme);
+
+  const readOnly = viewerType === 'parent';
+
+  const [comments, setComments] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [body, setBody] = useState('');
+  const [attachments, setAttachments] = useState([]);
+  const [uploading, setUploading] = useState(false);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    if (detailId && authCode) {
+      loadComments();
+    }
+  }, [detailId, authCode]);
+
+  const loadComments = async () => {
+    try {
+      const response = await homeworkAccess.getSubmissionComments(
+        detailId,
+        authCode,
+        proxyOptions
+      );
+      if (response.success) {
+        setComments(response.data || []);
+      }
+    } catch (error) {
+      console.error('Error loading submission comments:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const pickAttachment = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: '*/*',
+        copyToCacheDirectory: true,
+        multiple: false,
+      });
+      if (result.canceled || !result.assets?.[0]) return;
+
+      setUploading(true);
+      const response = await homeworkService.uploadSubmissionCommentAttachment(
+        detailId,
+        result.assets[0],
+        authCode
+      );
+      if (response.success && response.data?.url) {
+        setAttachments((prev) => [...prev, response.data]);
+      } else {
+        Alert.alert(t('error'), response.message || t('failedToAttachFile'));
+      }
+    } catch (error) {
+      console.error('Error attaching file to comment:', error);
+      Alert.alert(t('error'), t('failedToAttachFile'));
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const sendComment = async () => {
+    if (!body.trim() && attachments.length === 0) return;
+
+    setSending(true);
+    try {
+      const response = await homeworkService.addSubmissionComment(
+        detailId,
+        { body, attachments },
+        authCode
+      );
+      if (response.success) {
+        setComments((prev) => [...prev, response.data]);
+        setBody('');
+        setAttachments([]);
+      } else {
+        Alert.alert(t('error'), response.message || t('failedToSendComment'));
+      }
+    } catch (error) {
+      console.error('Error sending submission comment:', error);
+      Alert.alert(t('error'), t('failedToSendComment'));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const openAttachment = (url) => {
+    Linking.openURL(url).catch(() => {
+      Alert.alert(t('error'), t('unableToOpenFile'));
+    });
+  };
+
+  const renderAttachment = (attachment, onRemove = null) => (
+    <TouchableOpacity
+      key={attachment.url}
+      style={styles.attachment}
+      onPress={() => openAttachment(attachment.url)}
+      disabled={!!onRemove}
+    >
+      <FontAwesomeIcon
+        icon={faFileAlt}
+        size={12}
+        color={theme.colors.primary}
+      />
+      <Text style={styles.attachmentName} numberOfLines={1}>
+        {attachment.name || t('attachment')}
+      </Text>
+      {onRemove && (
+        <TouchableOpacity onPress={onRemove}>
+          <FontAwesomeIcon
+            icon={faTimes}
+            size={12}
+            color={theme.colors.textSecondary}
+          />
+        </TouchableOpacity>
+      )}
+    </TouchableOpacity>
+  );
+
+  const renderComment = (comment) => {
+    const mine = comment.author_type === viewerType;
+
+    return (
+      <View
+        key={comment.id}
+        style={[
+          styles.comment,
+          mine ? styles.commentMine : styles.commentOther,
+        ]}
+      >
+        <Text style={styles.commentAuthor}>
+          {mine ? t('you') : comment.author_name}
+          {comment.author_type === 'teacher' && !mine
+            ? ` · ${t('teacher')}`
+            : ''}
+        </Text>
+        {!!comment.body && (
+          <Text style={styles.commentBody}>{comment.body}</Text>
+        )}
+        {comment.attachments?.map((attachment) => renderAttachment(attachment))}
+        <Text style={styles.commentTime}>
+          {formatCommentTime(comment.created_at)}
+        </Text>
+      </View>
+    );
+  };
+
+  const canSend =
+    (body.trim() || attachments.length > 0) && !sending && !uploading;
+
+  return (
+    <View style={styles.container}>
+      {loading ? (
+        <ActivityIndicator size='small' color={theme.colors.primary} />
+      ) : comments.length === 0 ? (
+        <Text style={styles.emptyText}>{t('noSubmissionComments')}</Text>
+      ) : (
+        comments.map(renderComment)
+      )}
+
+      {!readOnly && (
+        <>
+          {attachments.length > 0 && (
+            <View style={styles.pendingAttachments}>
+              {attachments.map((attachment) =>
+                renderAttachment(attachment, () =>
+                  setAttachments((prev) =>
+                    prev.filter((item) => item.url !== attachment.url)
+                  )
+                )
+              )}
+            </View>
+          )}
+
+          <View style={styles.composer}>
+            <TouchableOpacity
+              style={styles.iconButton}
+              onPress={pickAttachment}
+              disabled={uploading}
+            >
+              {uploading ? (
+                <ActivityIndicator size='small' color={theme.colors.primary} />
+              ) : (
+                <FontAwesomeIcon
+                  icon={faPaperclip}
+                  size={16}
+                  color={theme.colors.primary}
+                />
+              )}
+            </TouchableOpacity>
+            <TextInput
+              style={styles.input}
+              placeholder={t('writeSubmissionComment')}
+              placeholderTextColor={theme.colors.textSecondary}
+              value={body}
+              onChangeText={setBody}
+              multiline
+            />
+            <TouchableOpacity
+              style={[styles.sendButton, !canSend && styles.disabled]}
+              onPress={sendComment}
+              disabled={!canSend}
+            >
+              {sending ? (
+                <ActivityIndicator size='small' color='#fff' />
+              ) : (
+                <FontAwesomeIcon icon={faPaperPlane} size={14} color='#fff' />
+              )}
+            </TouchableOpacity>
+          </View>
+        </>
+      )}
+    </View>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: {
+      gap: 10,
+    },
+    emptyText: {
+      fontSize: 14,
+      color: theme.colors.textSecondary,
+    },
+    comment: {
+      maxWidth: '85%',
+      padding: 10,
+      borderRadius: 12,
+      gap: 4,
+    },
+    commentMine: {
+      alignSelf: 'flex-end',
+      backgroundColor: theme.colors.primary + '15',
+    },
+    commentOther: {
+      alignSelf: 'flex-start',
+      backgroundColor: theme.colors.background,
+    },
+    commentAuthor: {
+      fontSize: 12,
+      fontWeight: '600',
+      color: theme.colors.textSecondary,
+    },
+    commentBody: {
+      fontSize: 14,
+      color: theme.colors.text,
+      lineHeight: 20,
+    },
+    commentTime: {
+      fontSize: 11,
+      color: theme.colors.textSecondary,
+    },
+    attachment: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 6,
+      paddingHorizontal: 8,
+      paddingVertical: 6,
+      borderRadius: 8,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+      backgroundColor: theme.colors.surface,
+    },
+    attachmentName: {
+      flexShrink: 1,
+      fontSize: 13,
+      color: theme.colors.primary,
+    },
+    pendingAttachments: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      gap: 6,
+    },
+    composer: {
+      flexDirection: 'row',
+      alignItems: 'flex-end',
+      gap: 8,
+    },
+    iconButton: {
+      padding: 10,
+    },
+    input: {
+      flex: 1,
+      maxHeight: 120,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+      borderRadius: 18,
+      paddingHorizontal: 14,
+      paddingVertical: 8,
+      fontSize: 14,
+      color: theme.colors.text,
+      backgroundColor: theme.colors.surface,
+    },
+    sendButton: {
+      width: 36,
+      height: 36,
+      borderRadius: 18,
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: theme.colors.primary,
+    },
+    disabled: {
+      opacity: 0.5,
+    },
+  });
+
+export default SubmissionCommentThread;
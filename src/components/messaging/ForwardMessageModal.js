@@ -0,0 +1,329 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  FlatList,
+  TextInput,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import {
+  faCheckCircle,
+  faCircle,
+  faShare,
+} from '@fortawesome/free-solid-svg-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import {
+  getConversations,
+  forwardMessage,
+} from '../../services/messagingService';
+import { getMessagePlainText } from '../../utils/messageInteractions';
+
+const ForwardMessageModal = ({
+  visible,
+  message,
+  authCode,
+  currentConversationUuid,
+  onClose,
+  onForwarded,
+}) => {
+  const { theme, fontSizes } = useTheme();
+  const { t } = useLanguage();
+  const styles = createStyles(theme, fontSizes);
+
+  const [conversations, setConversations] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [search, setSearch] = useState('');
+  const [selectedUuids, setSelectedUuids] = useState([]);
+  const [forwarding, setForwarding] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setSelectedUuids([]);
+      setSearch('');
+      loadConversations();
+    }
+  }, [visible]);
+
+  const loadConversations = async () => {
+    setLoading(true);
+    try {
+      const response = await getConversations(authCode);
+      if (response.success && response.data) {
+        setConversations(
+          (response.data.conversations || []).filter(
+            (conversation) =>
+              conversation.conversation_uuid !== currentConversationUuid
+          )
+        );
+      }
+    } catch (error) {
+      console.error('Error loading conversations to forward to:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleConversation = (conversationUuid) => {
+    setSelectedUuids((prev) =>
+      prev.includes(conversationUuid)
+        ? prev.filter((uuid) => uuid !== conversationUuid)
+        : [...prev, conversationUuid]
+    );
+  };
+
+  const handleForward = async () => {
+    setForwarding(true);
+    try {
+      const response = await forwardMessage(
+        message.message_id,
+        selectedUuids,
+        authCode
+      );
+      if (response.success) {
+        onForwarded?.(response.data);
+        onClose();
+        Alert.alert(t('success'), t('messageForwarded'));
+      } else {
+        Alert.alert(
+          t('error'),
+          response.message || t('failedToForwardMessage')
+        );
+      }
+    } catch (error) {
+      console.error('Error forwarding message:', error);
+      Alert.alert(t('error'), t('failedToForwardMessage'));
+    } finally {
+      setForwarding(false);
+    }
+  };
+
+  const query = search.trim().toLowerCase();
+  const filteredConversations = query
+    ? conversations.filter((conversation) =>
+        conversation.topic?.toLowerCase().includes(query)
+      )
+    : conversations;
+
+  const previewText = message
+    ? getMessagePlainText(message.content) ||
+      (message.attachment_url ? t('attachment') : '')
+    : '';
+
+  const renderConversation = ({ item }) => {
+    const selected = selectedUuids.includes(item.conversation_uuid);
+
+    return (
+      <TouchableOpacity
+        style={styles.conversationRow}
+        onPress={() => toggleConversation(item.conversation_uuid)}
+      >
+        <FontAwesomeIcon
+          icon={selected ? faCheckCircle : faCircle}
+          size={18}
+          color={selected ? theme.colors.primary : theme.colors.border}
+        />
+        <Text style={styles.conversationTopic} numberOfLines={1}>
+          {item.topic}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const canForward = selectedUuids.length > 0 && !forwarding;
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType='slide'
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <Text style={styles.title}>{t('forwardMessage')}</Text>
+
+          {!!previewText && (
+            <Text style={styles.preview} numberOfLines={2}>
+              {previewText}
+            </Text>
+          )}
+
+          <TextInput
+            style={styles.searchInput}
+            value={search}
+            onChangeText={setSearch}
+            placeholder={t('searchConversations')}
+            placeholderTextColor={theme.colors.textSecondary}
+          />
+
+          {loading ? (
+            <ActivityIndicator
+              style={styles.loader}
+              size='small'
+              color={theme.colors.primary}
+            />
+          ) : (
+            <FlatList
+              style={styles.list}
+              data={filteredConversations}
+              keyExtractor={(item) => item.conversation_uuid}
+              renderItem={renderConversation}
+              ListEmptyComponent={
+                <Text style={styles.emptyText}>{t('noConversations')}</Text>
+              }
+            />
+          )}
+
+          <View style={styles.buttons}>
+            <TouchableOpacity
+              style={[styles.button, styles.cancelButton]}
+              onPress={onClose}
+            >
+              <Text style={styles.cancelText}>{t('cancel')}</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[
+                styles.button,
+                styles.forwardButton,
+                !canForward && styles.disabled,
+              ]}
+              onPress={handleForward}
+              disabled={!canForward}
+            >
+              {forwarding ? (
+                <ActivityIndicator
+                  size='small'
+                  color={theme.colors.headerText}
+                />
+              ) : (
+                <>
+                  <FontAwesomeIcon
+                    icon={faShare}
+                    size={14}
+                    color={theme.colors.headerText}
+                  />
+                  <Text style={styles.forwardText}>{t('forward')}</Text>
+                </>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const createStyles = (theme, fontSizes) => {
+  // Safety check for fontSizes
+  const safeFontSizes = fontSizes || {
+    small: 12,
+    medium: 16,
+    large: 20,
+  };
+
+  return StyleSheet.create({
+    overlay: {
+      flex: 1,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      justifyContent: 'flex-end',
+    },
+    container: {
+      maxHeight: '80%',
+      backgroundColor: theme.colors.background,
+      borderTopLeftRadius: 16,
+      borderTopRightRadius: 16,
+      padding: 20,
+    },
+    title: {
+      fontSize: safeFontSizes.large,
+      fontWeight: 'bold',
+      color: theme.colors.text,
+      marginBottom: 8,
+    },
+    preview: {
+      fontSize: safeFontSizes.small,
+      color: theme.colors.textSecondary,
+      borderLeftWidth: 3,
+      borderLeftColor: theme.colors.primary,
+      paddingLeft: 8,
+      marginBottom: 12,
+    },
+    searchInput: {
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+      borderRadius: 8,
+      paddingHorizontal: 12,
+      paddingVertical: 8,
+      fontSize: safeFontSizes.medium,
+      color: theme.colors.text,
+      backgroundColor: theme.colors.surface,
+      marginBottom: 8,
+    },
+    loader: {
+      marginVertical: 24,
+    },
+    list: {
+      flexGrow: 0,
+    },
+    conversationRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 12,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    conversationTopic: {
+      flex: 1,
+      marginLeft: 12,
+      fontSize: safeFontSizes.medium,
+      color: theme.colors.text,
+    },
+    emptyText: {
+      textAlign: 'center',
+      marginVertical: 24,
+      fontSize: safeFontSizes.medium,
+      color: theme.colors.textSecondary,
+    },
+    buttons: {
+      flexDirection: 'row',
+      justifyContent: 'flex-end',
+      marginTop: 16,
+    },
+    button: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 20,
+      paddingVertical: 10,
+      borderRadius: 8,
+      marginLeft: 12,
+    },
+    cancelButton: {
+      backgroundColor: theme.colors.surface,
+    },
+    cancelText: {
+      fontSize: safeFontSizes.medium,
+      color: theme.colors.text,
+    },
+    forwardButton: {
+      backgroundColor: theme.colors.primary,
+    },
+    forwardText: {
+      marginLeft: 8,
+      fontSize: safeFontSizes.medium,
+      fontWeight: '600',
+      color: theme.colors.headerText,
+    },
+    disabled: {
+      opacity: 0.5,
+    },
+  });
+};
+
+export default ForwardMessageModal;
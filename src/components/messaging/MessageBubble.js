@@ -6,9 +6,23 @@ import {
   faDownload,
   faCheck,
   faCheckDouble,
+  faClock,
+  faExclamationCircle,
+  faShare,
 } from '@fortawesome/free-solid-svg-icons';
 import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
 import { processHtmlContent } from '../../utils/htmlUtils';
+import { summarizeReactions } from '../../utils/messageInteractions';
+import { DELIVERY_STATES, getDeliveryState } from '../../utils/messageDelivery';
+import { OUTBOX_STATUS } from '../../services/messageOutbox';
+
+const DELIVERY_ICONS = {
+  [DELIVERY_STATES.SENDING]: faClock,
+  [DELIVERY_STATES.SENT]: faCheck,
+  [DELIVERY_STATES.DELIVERED]: faCheckDouble,
+  [DELIVERY_STATES.READ]: faCheckDouble,
+};
 
 const MessageBubble = ({
   message,
@@ -17,8 +31,15 @@ const MessageBubble = ({
   onAttachmentPress,
   onMessagePress,
   onMessageLongPress,
+  currentUserId = null,
+  onReplyPress,
+  onReactionPress,
+  onReactionLongPress,
+  onReadStatusPress,
+  onRetryPress,
 }) => {
   const { theme, fontSizes } = useTheme();
+  const { t } = useLanguage();
   const styles = createStyles(theme, fontSizes);
 
   // Format timestamp
@@ -27,29 +48,76 @@ const MessageBubble = ({
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   };
 
-  // Render read status indicator for own messages
+  // Render delivery state (sending, sent, delivered, read) for own messages
   const renderReadStatus = () => {
     if (!isOwnMessage) return null; // Only show read status for own messages
 
-    // Use the new is_read field if available, fallback to read_by array
-    const isRead =
-      message.is_read !== undefined
-        ? message.is_read
-        : message.read_by && message.read_by.length > 0;
+    if (message.outbox_status === OUTBOX_STATUS.FAILED) {
+      return (
+        <View style={styles.readStatusContainer}>
+          <FontAwesomeIcon
+            icon={faExclamationCircle}
+            size={12}
+            color={theme.colors.headerText}
+            style={styles.readStatusIcon}
+          />
+        </View>
+      );
+    }
+
+    const state = getDeliveryState(message);
 
     return (
-      <View style={styles.readStatusContainer}>
+      <TouchableOpacity
+        style={styles.readStatusContainer}
+        onPress={() => onReadStatusPress?.(message)}
+        disabled={!onReadStatusPress || state === DELIVERY_STATES.SENDING}
+        hitSlop={{ top: 8, bottom: 8, left: 8, right: 8 }}
+      >
         <FontAwesomeIcon
-          icon={isRead ? faCheckDouble : faCheck}
+          icon={DELIVERY_ICONS[state]}
           size={12}
-          color={isRead ? theme.colors.success : theme.colors.textSecondary}
+          color={
+            state === DELIVERY_STATES.READ
+              ? theme.colors.success
+              : theme.colors.textSecondary
+          }
           style={styles.readStatusIcon}
         />
-      </View>
+      </TouchableOpacity>
     );
   };
 
   // Render attachment if present
+  // Badge for messages still waiting in the outbox
+  const renderOutboxStatus = () => {
+    if (!message.outbox_status) return null;
+
+    if (message.outbox_status === OUTBOX_STATUS.FAILED) {
+      return (
+        <TouchableOpacity
+          style={styles.outboxStatus}
+          onPress={() => onRetryPress?.(message)}
+        >
+          <FontAwesomeIcon
+            icon={faExclamationCircle}
+            size={12}
+            color={theme.colors.error}
+          />
+          <Text style={[styles.outboxStatusText, styles.outboxFailedText]}>
+            {t('failedTapToRetry')}
+          </Text>
+        </TouchableOpacity>
+      );
+    }
+
+    return (
+      <View style={styles.outboxStatus}>
+        <Text style={styles.outboxStatusText}>{t('pending')}</Text>
+      </View>
+    );
+  };
+
   const renderAttachment = () => {
     if (!message.attachment_url) return null;
 
@@ -112,6 +180,87 @@ const MessageBubble = ({
     );
   };
 
+  // Render the "Forwarded" label of a forwarded message
+  const renderForwardedLabel = () => {
+    if (!message.forwarded_from) return null;
+
+    const color = isOwnMessage
+      ? theme.colors.headerText
+      : theme.colors.textSecondary;
+
+    return (
+      <View style={styles.forwardedLabel}>
+        <FontAwesomeIcon icon={faShare} size={10} color={color} />
+        <Text style={[styles.forwardedText, { color }]} numberOfLines={1}>
+          {message.forwarded_from.sender?.name
+            ? `${t('forwarded')} · ${message.forwarded_from.sender.name}`
+            : t('forwarded')}
+        </Text>
+      </View>
+    );
+  };
+
+  // Render the quoted message this one replies to
+  const renderReplyQuote = () => {
+    const reply = message.reply_to;
+    if (!reply) return null;
+
+    return (
+      <TouchableOpacity
+        style={[
+          styles.replyQuote,
+          isOwnMessage ? styles.ownReplyQuote : styles.otherReplyQuote,
+        ]}
+        onPress={() => onReplyPress?.(reply.message_id)}
+        activeOpacity={0.7}
+      >
+        <Text
+          style={[
+            styles.replySender,
+            isOwnMessage ? styles.ownMessageText : styles.otherFileText,
+          ]}
+          numberOfLines={1}
+        >
+          {reply.sender?.name || t('you')}
+        </Text>
+        <Text
+          style={[
+            styles.replyText,
+            isOwnMessage ? styles.ownMessageText : styles.otherMessageText,
+          ]}
+          numberOfLines={2}
+        >
+          {reply.content || (reply.attachment_url ? t('attachment') : '')}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  // Render emoji reactions with how many people used each
+  const renderReactions = () => {
+    const reactions = summarizeReactions(message.reactions, currentUserId);
+    if (reactions.length === 0) return null;
+
+    return (
+      <View style={styles.reactionsRow}>
+        {reactions.map((reaction) => (
+          <TouchableOpacity
+            key={reaction.emoji}
+            style={[
+              styles.reactionChip,
+              reaction.reactedByMe && styles.reactionChipActive,
+            ]}
+            onPress={() => onReactionPress?.(message, reaction.emoji)}
+            onLongPress={() => onReactionLongPress?.(message, reaction)}
+          >
+            <Text style={styles.reactionEmoji}>{reaction.emoji}</Text>
+            <Text style={styles.reactionCount}>{reaction.count}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  };
+
   return (
     <TouchableOpacity
       style={[
@@ -151,6 +300,9 @@ const MessageBubble = ({
           isOwnMessage ? styles.ownMessageBubble : styles.otherMessageBubble,
         ]}
       >
+        {renderForwardedLabel()}
+        {renderReplyQuote()}
+
         {message.content && (
           <Text
             style={[
@@ -176,6 +328,9 @@ const MessageBubble = ({
           {renderReadStatus()}
         </View>
       </View>
+
+      {renderOutboxStatus()}
+      {renderReactions()}
     </TouchableOpacity>
   );
 };
@@ -253,6 +408,20 @@ const createStyles = (theme, fontSizes) => {
       fontSize: safeFontSizes.small,
       marginTop: 4,
     },
+    outboxStatus: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      alignSelf: 'flex-end',
+      marginTop: 4,
+    },
+    outboxStatusText: {
+      fontSize: safeFontSizes.small,
+      color: theme.colors.textSecondary,
+    },
+    outboxFailedText: {
+      marginLeft: 4,
+      color: theme.colors.error,
+    },
     ownMessageTime: {
       color: theme.colors.headerText,
       opacity: 0.8,
@@ -308,6 +477,70 @@ const createStyles = (theme, fontSizes) => {
     readStatusIcon: {
       opacity: 0.8,
     },
+    forwardedLabel: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginBottom: 4,
+    },
+    forwardedText: {
+      marginLeft: 4,
+      fontSize: safeFontSizes.small - 1,
+      fontStyle: 'italic',
+    },
+    replyQuote: {
+      borderLeftWidth: 3,
+      borderRadius: 6,
+      paddingHorizontal: 8,
+      paddingVertical: 4,
+      marginBottom: 6,
+    },
+    ownReplyQuote: {
+      borderLeftColor: theme.colors.headerText,
+      backgroundColor: 'rgba(255, 255, 255, 0.15)',
+    },
+    otherReplyQuote: {
+      borderLeftColor: theme.colors.primary,
+      backgroundColor: theme.colors.background,
+    },
+    replySender: {
+      fontSize: safeFontSizes.small,
+      fontWeight: '600',
+    },
+    replyText: {
+      fontSize: safeFontSizes.small,
+      opacity: 0.9,
+    },
+    reactionsRow: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      marginTop: 4,
+      maxWidth: '80%',
+    },
+    reactionChip: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 8,
+      paddingVertical: 2,
+      marginRight: 4,
+      marginTop: 2,
+      borderRadius: 12,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+      backgroundColor: theme.colors.surface,
+    },
+    reactionChipActive: {
+      borderColor: theme.colors.primary,
+      backgroundColor: theme.colors.primary + '20',
+    },
+    reactionEmoji: {
+      fontSize: safeFontSizes.small + 2,
+    },
+    reactionCount: {
+      marginLeft: 4,
+      fontSize: safeFontSizes.small,
+      color: theme.colors.text,
+      fontWeight: '500',
+    },
   });
 };
 
@@ -0,0 +1,225 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  ActivityIndicator,
+} from 'react-native';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import { faCheckDouble, faClock } from '@fortawesome/free-solid-svg-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { getConversationMembers } from '../../services/messagingService';
+import {
+  flattenMembers,
+  getMessageReceipts,
+} from '../../utils/messageDelivery';
+
+const formatReceiptTime = (timestamp) => {
+  if (!timestamp) return '';
+  return new Date(timestamp).toLocaleString([], {
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+};
+
+const MessageReceiptsModal = ({
+  visible,
+  message,
+  conversationUuid,
+  authCode,
+  onClose,
+}) => {
+  const { theme, fontSizes } = useTheme();
+  const { t } = useLanguage();
+  const styles = createStyles(theme, fontSizes);
+
+  const [members, setMembers] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      loadMembers();
+    }
+  }, [visible, conversationUuid]);
+
+  const loadMembers = async () => {
+    setLoading(true);
+    try {
+      const response = await getConversationMembers(conversationUuid, authCode);
+      if (response.success && response.data) {
+        setMembers(flattenMembers(response.data.grouped_members));
+      }
+    } catch (error) {
+      console.error('Error loading conversation members:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const receipts = message
+    ? getMessageReceipts(message, members)
+    : { read: [], delivered: [], pending: [] };
+
+  const renderSection = (title, icon, color, entries) => {
+    if (entries.length === 0) return null;
+
+    return (
+      <View style={styles.section}>
+        <View style={styles.sectionHeader}>
+          <FontAwesomeIcon icon={icon} size={12} color={color} />
+          <Text style={styles.sectionTitle}>
+            {title} ({entries.length})
+          </Text>
+        </View>
+        {entries.map(({ member, at }) => (
+          <View key={String(member.id ?? member.user_id)} style={styles.row}>
+            <Text style={styles.memberName} numberOfLines={1}>
+              {member.name}
+            </Text>
+            {!!at && <Text style={styles.time}>{formatReceiptTime(at)}</Text>}
+          </View>
+        ))}
+      </View>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType='slide'
+      onRequestClose={onClose}
+    >
+      <TouchableOpacity
+        style={styles.overlay}
+        activeOpacity={1}
+        onPress={onClose}
+      >
+        <View style={styles.container} onStartShouldSetResponder={() => true}>
+          <View style={styles.handle} />
+          <Text style={styles.title}>{t('messageInfo')}</Text>
+
+          {loading ? (
+            <ActivityIndicator
+              style={styles.loader}
+              size='small'
+              color={theme.colors.primary}
+            />
+          ) : (
+            <ScrollView>
+              {renderSection(
+                t('readBy'),
+                faCheckDouble,
+                theme.colors.success,
+                receipts.read
+              )}
+              {renderSection(
+                t('deliveredTo'),
+                faCheckDouble,
+                theme.colors.textSecondary,
+                receipts.delivered
+              )}
+              {renderSection(
+                t('notDeliveredYet'),
+                faClock,
+                theme.colors.textSecondary,
+                receipts.pending.map((member) => ({ member, at: null }))
+              )}
+              {members.length === 0 && (
+                <Text style={styles.emptyText}>{t('noReceiptsYet')}</Text>
+              )}
+            </ScrollView>
+          )}
+        </View>
+      </TouchableOpacity>
+    </Modal>
+  );
+};
+
+const createStyles = (theme, fontSizes) => {
+  // Safety check for fontSizes
+  const safeFontSizes = fontSizes || {
+    small: 12,
+    medium: 16,
+    large: 20,
+  };
+
+  return StyleSheet.create({
+    overlay: {
+      flex: 1,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      justifyContent: 'flex-end',
+    },
+    container: {
+      maxHeight: '70%',
+      backgroundColor: theme.colors.background,
+      borderTopLeftRadius: 16,
+      borderTopRightRadius: 16,
+      paddingHorizontal: 20,
+      paddingBottom: 32,
+    },
+    handle: {
+      alignSelf: 'center',
+      width: 40,
+      height: 4,
+      borderRadius: 2,
+      backgroundColor: theme.colors.border,
+      marginVertical: 10,
+    },
+    title: {
+      fontSize: safeFontSizes.large,
+      fontWeight: 'bold',
+      color: theme.colors.text,
+      marginBottom: 8,
+    },
+    loader: {
+      marginVertical: 24,
+    },
+    section: {
+      marginTop: 12,
+    },
+    sectionHeader: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginBottom: 4,
+    },
+    sectionTitle: {
+      marginLeft: 8,
+      fontSize: safeFontSizes.small,
+      fontWeight: '600',
+      color: theme.colors.textSecondary,
+      textTransform: 'uppercase',
+    },
+    row: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      paddingVertical: 10,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    memberName: {
+      flex: 1,
+      fontSize: safeFontSizes.medium,
+      color: theme.colors.text,
+    },
+    time: {
+      marginLeft: 12,
+      fontSize: safeFontSizes.small,
+      color: theme.colors.textSecondary,
+    },
+    emptyText: {
+      marginTop: 12,
+      fontSize: safeFontSizes.medium,
+      color: theme.colors.textSecondary,
+    },
+  });
+};
+
+export default MessageReceiptsModal;
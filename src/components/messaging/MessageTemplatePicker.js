@@ -0,0 +1,484 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  FlatList,
+  ScrollView,
+  TextInput,
+  Switch,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import {
+  faEdit,
+  faPlus,
+  faTrash,
+  faUsers,
+} from '@fortawesome/free-solid-svg-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import {
+  getMessageTemplates,
+  saveMessageTemplate,
+  deleteMessageTemplate,
+} from '../../services/messagingService';
+import {
+  BUILT_IN_TEMPLATES,
+  TEMPLATE_PLACEHOLDERS,
+  resolveTemplate,
+} from '../../utils/messageTemplates';
+
+const EMPTY_DRAFT = { title: '', body: '', is_shared: false };
+
+const MessageTemplatePicker = ({ visible, authCode, onClose, onSelect }) => {
+  const { theme, fontSizes } = useTheme();
+  const { t, currentLanguage } = useLanguage();
+  const styles = createStyles(theme, fontSizes);
+
+  const [templates, setTemplates] = useState([]);
+  const [loading, setLoading] = useState(false);
+  // Template being written or edited, null while browsing
+  const [draft, setDraft] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setDraft(null);
+      loadTemplates();
+    }
+  }, [visible]);
+
+  const loadTemplates = async () => {
+    setLoading(true);
+    try {
+      const response = await getMessageTemplates(authCode);
+      if (response.success && response.data) {
+        setTemplates(response.data.templates || []);
+      }
+    } catch (error) {
+      console.error('Error loading message templates:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await saveMessageTemplate(
+        { language: currentLanguage, ...draft },
+        authCode
+      );
+      if (!response.success) {
+        throw new Error(response.message);
+      }
+      setDraft(null);
+      loadTemplates();
+    } catch (error) {
+      console.error('Error saving message template:', error);
+      Alert.alert(t('error'), t('failedToSaveTemplate'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (template) => {
+    Alert.alert(t('deleteTemplate'), t('deleteTemplateConfirm'), [
+      { text: t('cancel'), style: 'cancel' },
+      {
+        text: t('delete'),
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            const response = await deleteMessageTemplate(
+              template.template_id,
+              authCode
+            );
+            if (!response.success) {
+              throw new Error(response.message);
+            }
+            setTemplates((prev) =>
+              prev.filter((item) => item.template_id !== template.template_id)
+            );
+          } catch (error) {
+            console.error('Error deleting message template:', error);
+            Alert.alert(t('error'), t('failedToDeleteTemplate'));
+          }
+        },
+      },
+    ]);
+  };
+
+  const insertPlaceholder = (name) => {
+    setDraft((prev) => ({ ...prev, body: `${prev.body}{${name}}` }));
+  };
+
+  const renderTemplate = ({ item }) => (
+    <TouchableOpacity style={styles.templateRow} onPress={() => onSelect(item)}>
+      <View style={styles.templateContent}>
+        <Text style={styles.templateTitle} numberOfLines={1}>
+          {item.title}
+        </Text>
+        <Text style={styles.templateBody} numberOfLines={2}>
+          {item.body}
+        </Text>
+        {!item.is_built_in && (item.is_shared || !item.is_own) && (
+          <View style={styles.sharedRow}>
+            <FontAwesomeIcon
+              icon={faUsers}
+              size={10}
+              color={theme.colors.textSecondary}
+            />
+            <Text style={styles.sharedText}>
+              {item.is_own
+                ? t('sharedWithStaff')
+                : t('sharedBy').replace('{name}', item.created_by?.name || '')}
+              {item.language && item.language !== currentLanguage
+                ? ` · ${item.language.toUpperCase()}`
+                : ''}
+            </Text>
+          </View>
+        )}
+      </View>
+
+      {item.is_own && (
+        <>
+          <TouchableOpacity
+            style={styles.action}
+            onPress={() => setDraft(item)}
+          >
+            <FontAwesomeIcon
+              icon={faEdit}
+              size={14}
+              color={theme.colors.primary}
+            />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.action}
+            onPress={() => handleDelete(item)}
+          >
+            <FontAwesomeIcon
+              icon={faTrash}
+              size={14}
+              color={theme.colors.error}
+            />
+          </TouchableOpacity>
+        </>
+      )}
+    </TouchableOpacity>
+  );
+
+  const renderEditor = () => {
+    const canSave = !!draft.title.trim() && !!draft.body.trim() && !saving;
+
+    return (
+      <>
+        <ScrollView keyboardShouldPersistTaps='handled'>
+          <Text style={styles.label}>{t('templateTitle')}</Text>
+          <TextInput
+            style={styles.input}
+            value={draft.title}
+            onChangeText={(title) => setDraft((prev) => ({ ...prev, title }))}
+            placeholderTextColor={theme.colors.textSecondary}
+            maxLength={100}
+          />
+
+          <Text style={styles.label}>{t('messageContent')}</Text>
+          <TextInput
+            style={[styles.input, styles.bodyInput]}
+            value={draft.body}
+            onChangeText={(body) => setDraft((prev) => ({ ...prev, body }))}
+            placeholderTextColor={theme.colors.textSecondary}
+            multiline
+            maxLength={1000}
+          />
+
+          <Text style={styles.hint}>{t('templatePlaceholdersHint')}</Text>
+          <View style={styles.placeholderChips}>
+            {TEMPLATE_PLACEHOLDERS.map((name) => (
+              <TouchableOpacity
+                key={name}
+                style={styles.placeholderChip}
+                onPress={() => insertPlaceholder(name)}
+              >
+                <Text style={styles.placeholderChipText}>{`{${name}}`}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          <View style={styles.shareRow}>
+            <Text style={styles.shareText}>{t('shareWithStaff')}</Text>
+            <Switch
+              value={!!draft.is_shared}
+              onValueChange={(is_shared) =>
+                setDraft((prev) => ({ ...prev, is_shared }))
+              }
+              trackColor={{ true: theme.colors.primary }}
+            />
+          </View>
+        </ScrollView>
+
+        <View style={styles.buttons}>
+          <TouchableOpacity
+            style={[styles.button, styles.cancelButton]}
+            onPress={() => setDraft(null)}
+          >
+            <Text style={styles.cancelText}>{t('cancel')}</Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[
+              styles.button,
+              styles.primaryButton,
+              !canSave && styles.disabled,
+            ]}
+            onPress={handleSave}
+            disabled={!canSave}
+          >
+            {saving ? (
+              <ActivityIndicator size='small' color={theme.colors.headerText} />
+            ) : (
+              <Text style={styles.primaryText}>{t('save')}</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </>
+    );
+  };
+
+  const allTemplates = [
+    ...BUILT_IN_TEMPLATES.map((template) => resolveTemplate(template, t)),
+    ...templates,
+  ];
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType='slide'
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <View style={styles.header}>
+            <Text style={styles.title}>
+              {draft
+                ? draft.template_id
+                  ? t('editTemplate')
+                  : t('newTemplate')
+                : t('messageTemplates')}
+            </Text>
+            {!draft && (
+              <TouchableOpacity
+                style={styles.action}
+                onPress={() => setDraft(EMPTY_DRAFT)}
+              >
+                <FontAwesomeIcon
+                  icon={faPlus}
+                  size={16}
+                  color={theme.colors.primary}
+                />
+              </TouchableOpacity>
+            )}
+          </View>
+
+          {draft ? (
+            renderEditor()
+          ) : (
+            <>
+              {loading ? (
+                <ActivityIndicator
+                  style={styles.loader}
+                  size='small'
+                  color={theme.colors.primary}
+                />
+              ) : (
+                <FlatList
+                  style={styles.list}
+                  data={allTemplates}
+                  keyExtractor={(item) => String(item.template_id)}
+                  renderItem={renderTemplate}
+                />
+              )}
+
+              <View style={styles.buttons}>
+                <TouchableOpacity
+                  style={[styles.button, styles.cancelButton]}
+                  onPress={onClose}
+                >
+                  <Text style={styles.cancelText}>{t('cancel')}</Text>
+                </TouchableOpacity>
+              </View>
+            </>
+          )}
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const createStyles = (theme, fontSizes) => {
+  // Safety check for fontSizes
+  const safeFontSizes = fontSizes || {
+    small: 12,
+    medium: 16,
+    large: 20,
+  };
+
+  return StyleSheet.create({
+    overlay: {
+      flex: 1,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      justifyContent: 'flex-end',
+    },
+    container: {
+      maxHeight: '85%',
+      backgroundColor: theme.colors.background,
+      borderTopLeftRadius: 16,
+      borderTopRightRadius: 16,
+      padding: 20,
+    },
+    header: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      marginBottom: 8,
+    },
+    title: {
+      fontSize: safeFontSizes.large,
+      fontWeight: 'bold',
+      color: theme.colors.text,
+    },
+    loader: {
+      marginVertical: 24,
+    },
+    list: {
+      flexGrow: 0,
+    },
+    templateRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 12,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    templateContent: {
+      flex: 1,
+    },
+    templateTitle: {
+      fontSize: safeFontSizes.medium,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    templateBody: {
+      marginTop: 2,
+      fontSize: safeFontSizes.small,
+      color: theme.colors.textSecondary,
+    },
+    sharedRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginTop: 4,
+    },
+    sharedText: {
+      marginLeft: 6,
+      fontSize: safeFontSizes.small,
+      color: theme.colors.textSecondary,
+    },
+    action: {
+      padding: 10,
+    },
+    label: {
+      marginTop: 12,
+      marginBottom: 6,
+      fontSize: safeFontSizes.small,
+      fontWeight: '600',
+      color: theme.colors.textSecondary,
+      textTransform: 'uppercase',
+    },
+    input: {
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+      borderRadius: 8,
+      paddingHorizontal: 12,
+      paddingVertical: 8,
+      fontSize: safeFontSizes.medium,
+      color: theme.colors.text,
+      backgroundColor: theme.colors.surface,
+    },
+    bodyInput: {
+      minHeight: 100,
+      textAlignVertical: 'top',
+    },
+    hint: {
+      marginTop: 8,
+      fontSize: safeFontSizes.small,
+      color: theme.colors.textSecondary,
+    },
+    placeholderChips: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      marginTop: 6,
+    },
+    placeholderChip: {
+      paddingHorizontal: 10,
+      paddingVertical: 4,
+      borderRadius: 12,
+      borderWidth: 1,
+      borderColor: theme.colors.primary,
+      marginRight: 8,
+      marginBottom: 8,
+    },
+    placeholderChipText: {
+      fontSize: safeFontSizes.small,
+      color: theme.colors.primary,
+    },
+    shareRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      justifyContent: 'space-between',
+      marginTop: 12,
+    },
+    shareText: {
+      fontSize: safeFontSizes.medium,
+      color: theme.colors.text,
+    },
+    buttons: {
+      flexDirection: 'row',
+      justifyContent: 'flex-end',
+      marginTop: 16,
+    },
+    button: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 20,
+      paddingVertical: 10,
+      borderRadius: 8,
+      marginLeft: 12,
+    },
+    cancelButton: {
+      backgroundColor: theme.colors.surface,
+    },
+    cancelText: {
+      fontSize: safeFontSizes.medium,
+      color: theme.colors.text,
+    },
+    primaryButton: {
+      backgroundColor: theme.colors.primary,
+    },
+    primaryText: {
+      fontSize: safeFontSizes.medium,
+      fontWeight: '600',
+      color: theme.colors.headerText,
+    },
+    disabled: {
+      opacity: 0.5,
+    },
+  });
+};
+
+export default MessageTemplatePicker;
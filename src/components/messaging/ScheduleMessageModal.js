@@ -0,0 +1,344 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+  TextInput,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import {
+  faCalendarAlt,
+  faCheckCircle,
+  faCircle,
+  faMoon,
+} from '@fortawesome/free-solid-svg-icons';
+import DateTimePickerModal from 'react-native-modal-datetime-picker';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import SchoolConfigService from '../../services/schoolConfigService';
+
+export const formatScheduleTime = (timestamp) =>
+  new Date(timestamp).toLocaleString([], {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+// An hour from now, on a 5-minute boundary
+const getDefaultSendAt = () => {
+  const date = new Date(Date.now() + 60 * 60 * 1000);
+  date.setMinutes(Math.ceil(date.getMinutes() / 5) * 5, 0, 0);
+  return date;
+};
+
+const ScheduleMessageModal = ({
+  visible,
+  title,
+  conversations = null,
+  initialConversationUuid = null,
+  initialContent = '',
+  initialSendAt = null,
+  quietHours = null,
+  onClose,
+  onSubmit,
+}) => {
+  const { theme, fontSizes } = useTheme();
+  const { t } = useLanguage();
+  const styles = createStyles(theme, fontSizes);
+
+  const [conversationUuid, setConversationUuid] = useState(null);
+  const [content, setContent] = useState('');
+  const [sendAt, setSendAt] = useState(getDefaultSendAt());
+  const [pickerVisible, setPickerVisible] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setConversationUuid(initialConversationUuid);
+      setContent(initialContent);
+      setSendAt(initialSendAt ? new Date(initialSendAt) : getDefaultSendAt());
+    }
+  }, [visible]);
+
+  const handleConfirmTime = (date) => {
+    setPickerVisible(false);
+    setSendAt(date);
+  };
+
+  const handleSubmit = async () => {
+    if (sendAt <= new Date()) {
+      Alert.alert(t('error'), t('chooseFutureTime'));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSubmit({ conversationUuid, content: content.trim(), sendAt });
+    } catch (error) {
+      console.error('Error saving scheduled message:', error);
+      Alert.alert(t('error'), t('failedToScheduleMessage'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const needsConversation = Array.isArray(conversations);
+  const canSubmit =
+    !!content.trim() && (!needsConversation || !!conversationUuid) && !saving;
+  const inQuietHours = SchoolConfigService.isWithinQuietHours(
+    quietHours,
+    sendAt
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType='slide'
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <Text style={styles.title}>{title || t('scheduleMessage')}</Text>
+
+          <ScrollView keyboardShouldPersistTaps='handled'>
+            {needsConversation && (
+              <>
+                <Text style={styles.label}>{t('selectConversation')}</Text>
+                {conversations.map((conversation) => {
+                  const selected =
+                    conversation.conversation_uuid === conversationUuid;
+                  return (
+                    <TouchableOpacity
+                      key={conversation.conversation_uuid}
+                      style={styles.conversationRow}
+                      onPress={() =>
+                        setConversationUuid(conversation.conversation_uuid)
+                      }
+                    >
+                      <FontAwesomeIcon
+                        icon={selected ? faCheckCircle : faCircle}
+                        size={16}
+                        color={
+                          selected ? theme.colors.primary : theme.colors.border
+                        }
+                      />
+                      <Text style={styles.conversationTopic} numberOfLines={1}>
+                        {conversation.topic}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </>
+            )}
+
+            <Text style={styles.label}>{t('messageContent')}</Text>
+            <TextInput
+              style={styles.input}
+              value={content}
+              onChangeText={setContent}
+              placeholder={t('typeMessage')}
+              placeholderTextColor={theme.colors.textSecondary}
+              multiline
+              maxLength={1000}
+            />
+
+            <Text style={styles.label}>{t('sendAt')}</Text>
+            <TouchableOpacity
+              style={styles.timeButton}
+              onPress={() => setPickerVisible(true)}
+            >
+              <FontAwesomeIcon
+                icon={faCalendarAlt}
+                size={16}
+                color={theme.colors.primary}
+              />
+              <Text style={styles.timeText}>{formatScheduleTime(sendAt)}</Text>
+            </TouchableOpacity>
+
+            {inQuietHours && (
+              <View style={styles.quietHoursNote}>
+                <FontAwesomeIcon
+                  icon={faMoon}
+                  size={12}
+                  color={theme.colors.warning}
+                />
+                <Text style={styles.quietHoursText}>
+                  {t('sendTimeInQuietHours')}
+                </Text>
+              </View>
+            )}
+          </ScrollView>
+
+          <View style={styles.buttons}>
+            <TouchableOpacity
+              style={[styles.button, styles.cancelButton]}
+              onPress={onClose}
+            >
+              <Text style={styles.cancelText}>{t('cancel')}</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[
+                styles.button,
+                styles.saveButton,
+                !canSubmit && styles.disabled,
+              ]}
+              onPress={handleSubmit}
+              disabled={!canSubmit}
+            >
+              {saving ? (
+                <ActivityIndicator
+                  size='small'
+                  color={theme.colors.headerText}
+                />
+              ) : (
+                <Text style={styles.saveText}>{t('schedule')}</Text>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+
+      <DateTimePickerModal
+        isVisible={pickerVisible}
+        mode='datetime'
+        date={sendAt}
+        minimumDate={new Date()}
+        onConfirm={handleConfirmTime}
+        onCancel={() => setPickerVisible(false)}
+        isDarkModeEnabled={theme.mode === 'dark'}
+        buttonTextColorIOS={theme.colors.primary}
+      />
+    </Modal>
+  );
+};
+
+const createStyles = (theme, fontSizes) => {
+  // Safety check for fontSizes
+  const safeFontSizes = fontSizes || {
+    small: 12,
+    medium: 16,
+    large: 20,
+  };
+
+  return StyleSheet.create({
+    overlay: {
+      flex: 1,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      justifyContent: 'flex-end',
+    },
+    container: {
+      maxHeight: '85%',
+      backgroundColor: theme.colors.background,
+      borderTopLeftRadius: 16,
+      borderTopRightRadius: 16,
+      padding: 20,
+    },
+    title: {
+      fontSize: safeFontSizes.large,
+      fontWeight: 'bold',
+      color: theme.colors.text,
+      marginBottom: 8,
+    },
+    label: {
+      marginTop: 12,
+      marginBottom: 6,
+      fontSize: safeFontSizes.small,
+      fontWeight: '600',
+      color: theme.colors.textSecondary,
+      textTransform: 'uppercase',
+    },
+    conversationRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: 10,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    conversationTopic: {
+      flex: 1,
+      marginLeft: 12,
+      fontSize: safeFontSizes.medium,
+      color: theme.colors.text,
+    },
+    input: {
+      minHeight: 90,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+      borderRadius: 8,
+      paddingHorizontal: 12,
+      paddingVertical: 8,
+      fontSize: safeFontSizes.medium,
+      color: theme.colors.text,
+      backgroundColor: theme.colors.surface,
+      textAlignVertical: 'top',
+    },
+    timeButton: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+      borderRadius: 8,
+      paddingHorizontal: 12,
+      paddingVertical: 12,
+      backgroundColor: theme.colors.surface,
+    },
+    timeText: {
+      marginLeft: 10,
+      fontSize: safeFontSizes.medium,
+      color: theme.colors.text,
+    },
+    quietHoursNote: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginTop: 8,
+    },
+    quietHoursText: {
+      flex: 1,
+      marginLeft: 6,
+      fontSize: safeFontSizes.small,
+      color: theme.colors.textSecondary,
+    },
+    buttons: {
+      flexDirection: 'row',
+      justifyContent: 'flex-end',
+      marginTop: 16,
+    },
+    button: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 20,
+      paddingVertical: 10,
+      borderRadius: 8,
+      marginLeft: 12,
+    },
+    cancelButton: {
+      backgroundColor: theme.colors.surface,
+    },
+    cancelText: {
+      fontSize: safeFontSizes.medium,
+      color: theme.colors.text,
+    },
+    saveButton: {
+      backgroundColor: theme.colors.primary,
+    },
+    saveText: {
+      fontSize: safeFontSizes.medium,
+      fontWeight: '600',
+      color: theme.colors.headerText,
+    },
+    disabled: {
+      opacity: 0.5,
+    },
+  });
+};
+
+export default ScheduleMessageModal;
@@ -0,0 +1,172 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import {
+  faChevronDown,
+  faChevronUp,
+  faClock,
+  faEdit,
+  faMoon,
+  faTimes,
+} from '@fortawesome/free-solid-svg-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { formatScheduleTime } from './ScheduleMessageModal';
+
+const ScheduledMessagesSection = ({
+  scheduledMessages = [],
+  onEdit,
+  onCancel,
+}) => {
+  const { theme, fontSizes } = useTheme();
+  const { t } = useLanguage();
+  const styles = createStyles(theme, fontSizes);
+
+  const [expanded, setExpanded] = useState(true);
+
+  if (scheduledMessages.length === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity
+        style={styles.header}
+        onPress={() => setExpanded((prev) => !prev)}
+      >
+        <FontAwesomeIcon
+          icon={faClock}
+          size={14}
+          color={theme.colors.primary}
+        />
+        <Text style={styles.headerText}>
+          {t('scheduledMessagesCount').replace(
+            '{count}',
+            scheduledMessages.length
+          )}
+        </Text>
+        <FontAwesomeIcon
+          icon={expanded ? faChevronUp : faChevronDown}
+          size={12}
+          color={theme.colors.textSecondary}
+        />
+      </TouchableOpacity>
+
+      {expanded &&
+        scheduledMessages.map((scheduled) => (
+          <View key={scheduled.scheduled_message_id} style={styles.item}>
+            <View style={styles.itemContent}>
+              <Text style={styles.topic} numberOfLines={1}>
+                {scheduled.conversation_topic}
+              </Text>
+              <Text style={styles.preview} numberOfLines={2}>
+                {scheduled.content}
+              </Text>
+              <View style={styles.timeRow}>
+                <FontAwesomeIcon
+                  icon={scheduled.reason === 'quiet_hours' ? faMoon : faClock}
+                  size={11}
+                  color={theme.colors.textSecondary}
+                />
+                <Text style={styles.time}>
+                  {formatScheduleTime(scheduled.send_at)}
+                  {scheduled.reason === 'quiet_hours'
+                    ? ` · ${t('heldForQuietHours')}`
+                    : ''}
+                </Text>
+              </View>
+            </View>
+
+            <TouchableOpacity
+              style={styles.action}
+              onPress={() => onEdit?.(scheduled)}
+            >
+              <FontAwesomeIcon
+                icon={faEdit}
+                size={14}
+                color={theme.colors.primary}
+              />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.action}
+              onPress={() => onCancel?.(scheduled)}
+            >
+              <FontAwesomeIcon
+                icon={faTimes}
+                size={14}
+                color={theme.colors.error}
+              />
+            </TouchableOpacity>
+          </View>
+        ))}
+    </View>
+  );
+};
+
+const createStyles = (theme, fontSizes) => {
+  // Safety check for fontSizes
+  const safeFontSizes = fontSizes || {
+    small: 12,
+    medium: 16,
+    large: 20,
+  };
+
+  return StyleSheet.create({
+    container: {
+      marginHorizontal: 16,
+      marginTop: 12,
+      marginBottom: 8,
+      borderRadius: 12,
+      backgroundColor: theme.colors.surface,
+      overflow: 'hidden',
+      ...theme.shadows.small,
+    },
+    header: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 16,
+      paddingVertical: 12,
+    },
+    headerText: {
+      flex: 1,
+      marginLeft: 10,
+      fontSize: safeFontSizes.medium,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    item: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 16,
+      paddingVertical: 10,
+      borderTopWidth: 1,
+      borderTopColor: theme.colors.border,
+    },
+    itemContent: {
+      flex: 1,
+    },
+    topic: {
+      fontSize: safeFontSizes.small,
+      fontWeight: '600',
+      color: theme.colors.primary,
+    },
+    preview: {
+      marginTop: 2,
+      fontSize: safeFontSizes.medium,
+      color: theme.colors.text,
+    },
+    timeRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginTop: 4,
+    },
+    time: {
+      marginLeft: 6,
+      fontSize: safeFontSizes.small,
+      color: theme.colors.textSecondary,
+    },
+    action: {
+      padding: 10,
+    },
+  });
+};
+
+export default ScheduledMessagesSection;
@@ -0,0 +1,308 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  FlatList,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import {
+  faCheckCircle,
+  faCircle,
+  faExclamationTriangle,
+  faPaperPlane,
+} from '@fortawesome/free-solid-svg-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useLanguage } from '../../contexts/LanguageContext';
+import { queueOutgoingMessage } from '../../services/messagingService';
+import {
+  fillTemplate,
+  getConversationTemplateValues,
+  getTemplatePlaceholders,
+} from '../../utils/messageTemplates';
+
+const TemplateSendModal = ({
+  visible,
+  template,
+  conversations = [],
+  authCode,
+  senderName,
+  onClose,
+  onSent,
+}) => {
+  const { theme, fontSizes } = useTheme();
+  const { t, currentLanguage } = useLanguage();
+  const styles = createStyles(theme, fontSizes);
+
+  const [selectedUuids, setSelectedUuids] = useState([]);
+  const [sending, setSending] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setSelectedUuids([]);
+    }
+  }, [visible]);
+
+  // Each conversation gets the template filled in with its own students
+  const drafts = conversations.map((conversation) => {
+    const content = fillTemplate(
+      template?.body,
+      getConversationTemplateValues(conversation, {
+        language: currentLanguage,
+      })
+    );
+    return {
+      conversation,
+      content,
+      missing: getTemplatePlaceholders(content),
+    };
+  });
+
+  const toggleConversation = (conversationUuid) => {
+    setSelectedUuids((prev) =>
+      prev.includes(conversationUuid)
+        ? prev.filter((uuid) => uuid !== conversationUuid)
+        : [...prev, conversationUuid]
+    );
+  };
+
+  const handleSend = async () => {
+    setSending(true);
+    try {
+      const selected = drafts.filter((draft) =>
+        selectedUuids.includes(draft.conversation.conversation_uuid)
+      );
+      // The outbox keeps retrying any that cannot be sent straight away
+      await Promise.all(
+        selected.map((draft) =>
+          queueOutgoingMessage({
+            conversationUuid: draft.conversation.conversation_uuid,
+            authCode,
+            content: draft.content,
+            display: { sender: { name: senderName, user_type: 'staff' } },
+          })
+        )
+      );
+      onSent?.(selected.length);
+      onClose();
+    } catch (error) {
+      console.error('Error sending template message:', error);
+      Alert.alert(t('error'), t('failedToSendMessage'));
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const renderDraft = ({ item }) => {
+    const { conversation, content, missing } = item;
+    const selected = selectedUuids.includes(conversation.conversation_uuid);
+    const disabled = missing.length > 0;
+
+    return (
+      <TouchableOpacity
+        style={[styles.conversationRow, disabled && styles.disabled]}
+        onPress={() => toggleConversation(conversation.conversation_uuid)}
+        disabled={disabled}
+      >
+        <FontAwesomeIcon
+          icon={
+            disabled
+              ? faExclamationTriangle
+              : selected
+              ? faCheckCircle
+              : faCircle
+          }
+          size={18}
+          color={
+            disabled
+              ? theme.colors.warning
+              : selected
+              ? theme.colors.primary
+              : theme.colors.border
+          }
+        />
+        <View style={styles.conversationContent}>
+          <Text style={styles.conversationTopic} numberOfLines={1}>
+            {conversation.topic}
+          </Text>
+          <Text style={styles.preview} numberOfLines={3}>
+            {disabled
+              ? t('templateMissingValues').replace(
+                  '{placeholders}',
+                  missing.map((name) => `{${name}}`).join(', ')
+                )
+              : content}
+          </Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  const canSend = selectedUuids.length > 0 && !sending;
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType='slide'
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.container}>
+          <Text style={styles.title}>{template?.title}</Text>
+          <Text style={styles.subtitle}>{t('chooseTemplateRecipients')}</Text>
+
+          <FlatList
+            style={styles.list}
+            data={drafts}
+            keyExtractor={(item) => item.conversation.conversation_uuid}
+            renderItem={renderDraft}
+            ListEmptyComponent={
+              <Text style={styles.emptyText}>{t('noConversations')}</Text>
+            }
+          />
+
+          <View style={styles.buttons}>
+            <TouchableOpacity
+              style={[styles.button, styles.cancelButton]}
+              onPress={onClose}
+            >
+              <Text style={styles.cancelText}>{t('cancel')}</Text>
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={[
+                styles.button,
+                styles.sendButton,
+                !canSend && styles.disabled,
+              ]}
+              onPress={handleSend}
+              disabled={!canSend}
+            >
+              {sending ? (
+                <ActivityIndicator
+                  size='small'
+                  color={theme.colors.headerText}
+                />
+              ) : (
+                <>
+                  <FontAwesomeIcon
+                    icon={faPaperPlane}
+                    size={14}
+                    color={theme.colors.headerText}
+                  />
+                  <Text style={styles.sendText}>
+                    {t('sendToCount').replace('{count}', selectedUuids.length)}
+                  </Text>
+                </>
+              )}
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const createStyles = (theme, fontSizes) => {
+  // Safety check for fontSizes
+  const safeFontSizes = fontSizes || {
+    small: 12,
+    medium: 16,
+    large: 20,
+  };
+
+  return StyleSheet.create({
+    overlay: {
+      flex: 1,
+      backgroundColor: 'rgba(0, 0, 0, 0.5)',
+      justifyContent: 'flex-end',
+    },
+    container: {
+      maxHeight: '85%',
+      backgroundColor: theme.colors.background,
+      borderTopLeftRadius: 16,
+      borderTopRightRadius: 16,
+      padding: 20,
+    },
+    title: {
+      fontSize: safeFontSizes.large,
+      fontWeight: 'bold',
+      color: theme.colors.text,
+    },
+    subtitle: {
+      marginTop: 4,
+      marginBottom: 8,
+      fontSize: safeFontSizes.small,
+      color: theme.colors.textSecondary,
+    },
+    list: {
+      flexGrow: 0,
+    },
+    conversationRow: {
+      flexDirection: 'row',
+      alignItems: 'flex-start',
+      paddingVertical: 12,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    conversationContent: {
+      flex: 1,
+      marginLeft: 12,
+    },
+    conversationTopic: {
+      fontSize: safeFontSizes.medium,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    preview: {
+      marginTop: 2,
+      fontSize: safeFontSizes.small,
+      color: theme.colors.textSecondary,
+    },
+    emptyText: {
+      textAlign: 'center',
+      marginVertical: 24,
+      fontSize: safeFontSizes.medium,
+      color: theme.colors.textSecondary,
+    },
+    buttons: {
+      flexDirection: 'row',
+      justifyContent: 'flex-end',
+      marginTop: 16,
+    },
+    button: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 20,
+      paddingVertical: 10,
+      borderRadius: 8,
+      marginLeft: 12,
+    },
+    cancelButton: {
+      backgroundColor: theme.colors.surface,
+    },
+    cancelText: {
+      fontSize: safeFontSizes.medium,
+      color: theme.colors.text,
+    },
+    sendButton: {
+      backgroundColor: theme.colors.primary,
+    },
+    sendText: {
+      marginLeft: 8,
+      fontSize: safeFontSizes.medium,
+      fontWeight: '600',
+      color: theme.colors.headerText,
+    },
+    disabled: {
+      opacity: 0.5,
+    },
+  });
+};
+
+export default TemplateSendModal;
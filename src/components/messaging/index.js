@@ -2,3 +2,9 @@ export { default as MessageBubble } from './MessageBubble';
 export { default as ConversationItem } from './ConversationItem';
 export { default as UserSelector } from './UserSelector';
 export { default as AttachmentHandler } from './AttachmentHandler';
+export { default as ForwardMessageModal } from './ForwardMessageModal';
+export { default as MessageReceiptsModal } from './MessageReceiptsModal';
+export { default as ScheduleMessageModal } from './ScheduleMessageModal';
+export { default as ScheduledMessagesSection } from './ScheduledMessagesSection';
+export { default as MessageTemplatePicker } from './MessageTemplatePicker';
+export { default as TemplateSendModal } from './TemplateSendModal';
@@ -1,5 +1,10 @@
 // Environment configuration
 // Centralized configuration for the entire application
+import {
+  appendQueryParams,
+  extractCredentialHeaders,
+} from '../utils/queryString';
+
 // Detect environment
 const IS_DEVELOPMENT = __DEV__;
 
@@ -7,11 +12,14 @@ const IS_DEVELOPMENT = __DEV__;
 const DEVELOPMENT_CONFIG = {
     API_BASE_URL: 'http://192.168.10.2:8000/mobile-api',
     API_DOMAIN: 'http://192.168.10.2:8000',
+    // Run `node scripts/mock-messaging-server.js` for a local gateway
+    MESSAGING_WS_URL: 'ws://192.168.10.2:8090/messaging',
 };
 
 const PRODUCTION_CONFIG = {
     API_BASE_URL: 'https://sis.paragonisc.edu.kh/mobile-api',
     API_DOMAIN: 'https://paragonisc.edu.kh',
+    MESSAGING_WS_URL: 'wss://sis.paragonisc.edu.kh/ws/messaging',
 };
 
 // Select configuration based on environment
@@ -40,6 +48,7 @@ export const Config = {
     GET_STUDENT_ATTENDANCE: '/get-student-attendance-data',
     GET_STUDENT_HOMEWORK: '/get-student-homework-data',
     GET_STUDENT_BPS: '/get-student-bps-data',
+    GET_STUDENT_LIBRARY: '/student/library-data',
     GET_TEACHER_BPS: '/get-teacher-bps-data/',
     GET_ATTENDANCE_DETAILS: '/get-attendance-details/',
     GET_CLASS_STUDENTS: '/get-class-students/',
@@ -88,6 +97,15 @@ export const Config = {
     DELETE_CONVERSATION: '/messaging/conversation/delete',
     LEAVE_CONVERSATION: '/messaging/conversation/leave',
     DELETE_MESSAGE: '/messaging/message/delete',
+    REACT_TO_MESSAGE: '/messaging/message/react',
+    FORWARD_MESSAGE: '/messaging/message/forward',
+    GET_SCHEDULED_MESSAGES: '/messaging/scheduled',
+    SCHEDULE_MESSAGE: '/messaging/scheduled/create',
+    UPDATE_SCHEDULED_MESSAGE: '/messaging/scheduled/update',
+    CANCEL_SCHEDULED_MESSAGE: '/messaging/scheduled/cancel',
+    GET_MESSAGE_TEMPLATES: '/messaging/templates',
+    SAVE_MESSAGE_TEMPLATE: '/messaging/templates/save',
+    DELETE_MESSAGE_TEMPLATE: '/messaging/templates/delete',
 
     // Health API Endpoints
     GET_STUDENT_HEALTH_RECORDS: '/health/student/records',
@@ -134,6 +152,7 @@ export const Config = {
     DEACTIVATE_GUARDIAN: '/guardians/deactivate',
     DELETE_GUARDIAN: '/pickup/guardians/delete',
     REACTIVATE_GUARDIAN: '/pickup/guardians/reactivate',
+    UPDATE_GUARDIAN_RULES: '/pickup/guardians/rules',
 
     // Pickup Request API Endpoints
     CREATE_PICKUP_REQUEST: '/pickup-request/',
@@ -152,11 +171,13 @@ export const Config = {
     STAFF_PICKUP_REQUESTS: '/staff/pickup/requests',
     STAFF_PICKUP_SCAN_QR: '/staff/pickup/scan-qr',
     STAFF_PICKUP_PROCESS: '/staff/pickup/process',
+    STAFF_PICKUP_QR_KEY: '/staff/pickup/qr-key',
 
     // Parent Proxy API Endpoints (Parent-Student Access System)
     GET_PARENT_CHILDREN: '/parent/children/',
     PARENT_STUDENT_TIMETABLE: '/parent/student/timetable',
     PARENT_STUDENT_HOMEWORK: '/parent/student/homework',
+    PARENT_STUDENT_HOMEWORK_COMMENTS: '/parent/student/homework/comments',
     PARENT_STUDENT_ATTENDANCE: '/parent/student/attendance',
     PARENT_STUDENT_GRADES: '/parent/student/grades',
     PARENT_STUDENT_ASSESSMENT: '/parent/student/assessment',
@@ -207,8 +228,26 @@ export const Config = {
     GET_STUDENT_HOMEWORK_FOLDERS: '/homework/folder/student/list',
     GET_HOMEWORK_FOLDER_FILES: '/homework/folder/files',
     SUBMIT_HOMEWORK_FOLDER: '/homework/submission/upload',
+    // Chunked, resumable submission uploads
+    HOMEWORK_UPLOAD_START: '/homework/submission/upload/start',
+    HOMEWORK_UPLOAD_CHUNK: '/homework/submission/upload/chunk',
+    HOMEWORK_UPLOAD_STATUS: '/homework/submission/upload/status',
+    HOMEWORK_UPLOAD_COMPLETE: '/homework/submission/upload/complete',
     GET_HOMEWORK_SUBMISSIONS: '/homework/submission/list',
     GET_TEACHER_HOMEWORK_CLASSES: '/teacher/homework/classes',
+    // Rubric library and rubric grading
+    GET_HOMEWORK_RUBRICS: '/teacher/homework/rubrics',
+    SAVE_HOMEWORK_RUBRIC: '/teacher/homework/rubrics/save',
+    DELETE_HOMEWORK_RUBRIC: '/teacher/homework/rubrics/delete',
+    GRADE_HOMEWORK_RUBRIC: '/teacher/homework/rubric-grade',
+    // Annotated feedback on submitted files
+    GET_SUBMISSION_FILE_PAGES: '/teacher/homework/submission/file-pages',
+    SAVE_SUBMISSION_ANNOTATION: '/teacher/homework/submission/annotation',
+    // Comment threads on submissions
+    GET_SUBMISSION_COMMENTS: '/homework/submission/comments',
+    ADD_SUBMISSION_COMMENT: '/homework/submission/comments/add',
+    UPLOAD_SUBMISSION_COMMENT_ATTACHMENT:
+      '/homework/submission/comments/attachment',
 
     // Reports API Endpoints
     GET_AVAILABLE_REPORTS: '/reports/available',
@@ -224,6 +263,22 @@ export const Config = {
     GET_CLASS_ASSESSMENT_REPORT: '/reports/staff/class-assessment',
     GET_BEHAVIORAL_ANALYTICS_REPORT: '/reports/staff/behavioral-analytics',
     GET_HOMEWORK_ANALYTICS_REPORT: '/reports/staff/homework-analytics',
+
+    // Assessment API Endpoints (Teachers)
+    GET_TEACHER_ASSESSMENTS: '/teacher/assessments',
+    GET_ASSESSMENT_DETAILS: '/teacher/assessments/details',
+    GET_GRADE_STUDENTS: '/teacher/assessments/grade-students',
+    GET_ASSESSMENT_OPTIONS: '/teacher/assessments/options',
+    CREATE_ASSESSMENT: '/teacher/assessments/create',
+    SAVE_GRADE: '/teacher/assessments/grade',
+    CREATE_SUMMATIVE_ASSESSMENT: '/teacher/assessments/summative/create',
+    CREATE_FORMATIVE_ASSESSMENT: '/teacher/assessments/formative/create',
+    SAVE_SUMMATIVE_GRADE: '/teacher/assessments/summative/grade',
+    SAVE_FORMATIVE_GRADE: '/teacher/assessments/formative/grade',
+    SAVE_SUMMATIVE_GRADES_BULK: '/teacher/assessments/summative/grades-bulk',
+    SAVE_FORMATIVE_GRADES_BULK: '/teacher/assessments/formative/grades-bulk',
+    // Assessment API Endpoints (Students)
+    GET_STUDENT_ASSESSMENTS: '/student/assessments',
   },
 
   // Web Resources
@@ -252,7 +307,67 @@ export const Config = {
   // Network Configuration
   NETWORK: {
     TIMEOUT: 10000,
+    UPLOAD_TIMEOUT: 60000,
+    // Retries for idempotent requests (network failures and 5xx responses)
+    MAX_RETRIES: 2,
+    RETRY_BASE_DELAY: 500,
     ENABLE_CLEARTEXT_TRAFFIC: true,
+    // Credentials sent as headers (instead of query parameters) to the
+    // endpoints listed in HEADER_AUTH_ENDPOINTS
+    CREDENTIAL_HEADERS: {
+      authCode: 'X-Auth-Code',
+      auth_code: 'X-Auth-Code',
+    },
+    HEADER_AUTH_ENDPOINTS: [],
+  },
+
+  // Response Cache Configuration (stale-while-revalidate)
+  // TTLs are keyed by API_ENDPOINTS name; stale entries are shown while a
+  // refresh runs and are kept for offline use until MAX_AGE
+  CACHE: {
+    ENABLED: true,
+    DEFAULT_TTL: 5 * 60 * 1000,
+    MAX_AGE: 7 * 24 * 60 * 60 * 1000,
+    MAX_ENTRIES: 150,
+    STORAGE_PREFIX: '@response_cache:',
+    ENDPOINT_TTLS: {
+      GET_STUDENT_TIMETABLE: 12 * 60 * 60 * 1000,
+      // Carries attendance status, so it goes stale quickly
+      GET_TEACHER_TIMETABLE: 60 * 1000,
+      PARENT_STUDENT_TIMETABLE: 12 * 60 * 60 * 1000,
+      GET_STUDENT_GRADES: 10 * 60 * 1000,
+      PARENT_STUDENT_GRADES: 10 * 60 * 1000,
+      GET_STUDENT_BPS: 10 * 60 * 1000,
+      PARENT_STUDENT_BPS_PROFILE: 10 * 60 * 1000,
+      GET_STUDENT_LIBRARY: 30 * 60 * 1000,
+      PARENT_STUDENT_LIBRARY: 30 * 60 * 1000,
+      GET_STUDENT_HOMEWORK: 2 * 60 * 1000,
+      PARENT_STUDENT_HOMEWORK: 2 * 60 * 1000,
+      GET_TEACHER_HOMEWORK_LIST: 2 * 60 * 1000,
+    },
+    // Successful writes to paths containing `writes` invalidate `endpoints`
+    INVALIDATION_RULES: [
+      {
+        writes: '/homework/',
+        endpoints: [
+          'GET_STUDENT_HOMEWORK',
+          'PARENT_STUDENT_HOMEWORK',
+          'GET_TEACHER_HOMEWORK_LIST',
+        ],
+      },
+      {
+        writes: '/library/',
+        endpoints: ['GET_STUDENT_LIBRARY', 'PARENT_STUDENT_LIBRARY'],
+      },
+    ],
+  },
+
+  // Real-time Configuration
+  // When disabled or unreachable, messaging falls back to polling
+  REALTIME: {
+    // Polling only until the messaging gateway is deployed
+    ENABLED: false,
+    MESSAGING_WS_URL: ENV_CONFIG.MESSAGING_WS_URL,
   },
 
   // Device Configuration
@@ -274,37 +389,127 @@ export const Config = {
     GUARDIAN_CHILD_DATA: 'guardianChildData',
     NOTIFICATION_HISTORY: 'notificationHistory',
   },
-};
 
-// Helper functions to build URLs
-export const buildApiUrl = (endpoint, params = {}) => {
-  // Remove leading slash from endpoint if present
-  const cleanEndpoint = endpoint.startsWith('/') ? endpoint.slice(1) : endpoint;
+  // Secure Storage Configuration
+  // Secret fields are kept in the device keychain/keystore; the rest of each
+  // record stays in AsyncStorage
+  SECURE_STORAGE: {
+    KEY_PREFIX: 'session.',
+    // Removed from records wherever they appear (including nested objects)
+    SECRET_FIELDS: [
+      'authCode',
+      'auth_code',
+      'refreshToken',
+      'refresh_token',
+      'qr_signing_key',
+    ],
+    // JSON records that carry auth codes or pickup QR signing keys
+    RECORD_KEYS: [
+      'userData',
+      'teacherUserData',
+      'parentUserData',
+      'studentUserData',
+      'studentAccounts',
+      'selectedStudent',
+      'calendarUserData',
+      'teacherCalendarData',
+      'teacherData',
+      'attendanceSyncQueue',
+      'guardianData',
+      'pickupGeofence',
+      'messageOutbox',
+    ],
+    // Values that are secrets in their entirety
+    VALUE_KEYS: ['guardianAuthCode'],
+    MIGRATION_FLAG: '@secure_storage_migrated',
+  },
 
-  // Ensure base URL ends with slash
-  const baseUrl = Config.API_BASE_URL.endsWith('/')
-    ? Config.API_BASE_URL
-    : Config.API_BASE_URL + '/';
+  // App Lock Configuration (per-account PIN / biometric lock)
+  APP_LOCK: {
+    PIN_LENGTH: 4,
+    // Time in the background before unlocked accounts lock again
+    TIMEOUT_OPTIONS: [0, 60 * 1000, 5 * 60 * 1000, 15 * 60 * 1000],
+    DEFAULT_TIMEOUT: 60 * 1000,
+    // Wrong PINs allowed before entry is paused for LOCKOUT_DURATION
+    MAX_ATTEMPTS: 5,
+    // Doubles with each pause in a row
+    LOCKOUT_DURATION: 30 * 1000,
+    // Pauses in a row after which the lock is removed and the account has to
+    // log in again
+    MAX_LOCKOUTS: 5,
+  },
 
-  // Build base URL
-  let fullUrl = baseUrl + cleanEndpoint;
+  // Session Configuration (expired auth code handling)
+  SESSION: {
+    // Endpoint that exchanges a refresh token for a new auth code. Leave
+    // null while the backend does not issue refresh tokens: expired
+    // sessions then go straight to the login screen.
+    REFRESH_ENDPOINT: null,
+    REFRESH_TIMEOUT: 15000,
+  },
 
-  // Manually build query string without encoding
-  const queryParams = [];
-  Object.keys(params).forEach((key) => {
-    if (params[key] !== undefined && params[key] !== null) {
-      queryParams.push(`${key}=${params[key]}`);
-    }
-  });
+  // Grading Configuration (subject averages on the grades screen)
+  GRADING: {
+    // 'percentage', 'letter' or 'ib' (see GRADE_SCALES in utils/gradingEngine)
+    SCALE: 'letter',
+    // Lowest scores dropped per assessment type, e.g. { Quiz: 1 }
+    DROP_LOWEST: {},
+  },
 
-  if (queryParams.length > 0) {
-    fullUrl += '?' + queryParams.join('&');
-  }
+  // Pickup QR Configuration (signed, time-limited pickup codes)
+  PICKUP_QR: {
+    // Parent and guardian screens show a new code this often
+    REFRESH_SECONDS: 30,
+    // Longer than REFRESH_SECONDS so a code is still valid while it is shown
+    TTL_SECONDS: 45,
+    // Allowed clock difference between the parent and staff devices
+    CLOCK_SKEW_SECONDS: 30,
+    // Reject codes without a signature even before this device has the
+    // school key. Staff devices that have the key always reject them.
+    REQUIRE_SIGNED: false,
+  },
+
+  // Pickup Queue Configuration (gate staff queue board)
+  PICKUP_QUEUE: {
+    // How often the waiting list refreshes while the board is open
+    REFRESH_INTERVAL: 15 * 1000,
+    // Average approach speed used to estimate arrival from the distance
+    // reported with the request
+    APPROACH_SPEED_KMH: 20,
+    // Requests made this close to campus count as already at the gate
+    AT_GATE_METERS: 100,
+  },
+
+  // Automatic Pickup Request Configuration (parent geofence)
+  PICKUP_GEOFENCE: {
+    // Requests are only sent automatically inside these windows.
+    // days: 0 = Sunday ... 6 = Saturday; times are local HH:MM
+    DISMISSAL_WINDOWS: [
+      { days: [1, 2, 3, 4, 5], start: '14:30', end: '17:00' },
+    ],
+    // No new automatic request for the same parent within this time
+    COOLDOWN_MINUTES: 60,
+  },
 
-  return fullUrl;
+  // Homework Submission Configuration (drafts and chunked uploads)
+  HOMEWORK_SUBMISSION: {
+    // Size of each uploaded piece; a dropped connection only loses one chunk
+    UPLOAD_CHUNK_SIZE: 512 * 1024,
+    // Typing pause before the draft is saved
+    DRAFT_SAVE_DELAY: 1000,
+  },
+
+  // Homework Reminder Configuration (local notifications before deadlines)
+  HOMEWORK_REMINDERS: {
+    // Hours before the deadline, used until the user picks their own
+    DEFAULT_OFFSETS_HOURS: [24, 1],
+    // Offsets the user can pick from in Settings
+    OFFSET_CHOICES_HOURS: [48, 24, 3, 1],
+  },
 };
 
-export const buildWebUrl = (endpoint, params = {}) => {
+// Helper functions to build URLs
+const joinBaseUrl = (endpoint) => {
   // Remove leading slash from endpoint if present
   const cleanEndpoint = endpoint.startsWith('/') ? endpoint.slice(1) : endpoint;
 
@@ -313,17 +518,53 @@ export const buildWebUrl = (endpoint, params = {}) => {
     ? Config.API_BASE_URL
     : Config.API_BASE_URL + '/';
 
-  // Construct the full URL
-  const fullUrl = baseUrl + cleanEndpoint;
-  const url = new URL(fullUrl);
+  return baseUrl + cleanEndpoint;
+};
+
+export const buildApiUrl = (endpoint, params = {}) => {
+  // Values are percent-encoded; arrays and nested objects use key[] / key[child]
+  return appendQueryParams(joinBaseUrl(endpoint), params);
+};
+
+/**
+ * Whether an endpoint accepts credentials as headers
+ * @param {string} endpoint - API endpoint
+ * @returns {boolean}
+ */
+export const acceptsHeaderCredentials = (endpoint) => {
+  const path = endpoint.split('?')[0].replace(/^\/+/, '');
+  return (Config.NETWORK.HEADER_AUTH_ENDPOINTS || []).some(
+    (headerEndpoint) => headerEndpoint.replace(/^\/+/, '') === path
+  );
+};
 
-  Object.keys(params).forEach((key) => {
-    if (params[key] !== undefined && params[key] !== null) {
-      url.searchParams.append(key, params[key]);
-    }
-  });
+/**
+ * Build an API URL plus the headers to send with it. Credentials move from
+ * the query string to headers when the endpoint accepts them there.
+ * @param {string} endpoint - API endpoint
+ * @param {Object} params - Query parameters
+ * @param {Object} options - Options
+ * @param {boolean} options.credentialsInHeaders - Override the endpoint default
+ * @returns {{url: string, headers: Object}}
+ */
+export const buildApiRequest = (
+  endpoint,
+  params = {},
+  { credentialsInHeaders = acceptsHeaderCredentials(endpoint) } = {}
+) => {
+  if (!credentialsInHeaders) {
+    return { url: buildApiUrl(endpoint, params), headers: {} };
+  }
 
-  return url.toString();
+  const { params: queryParams, headers } = extractCredentialHeaders(
+    params,
+    Config.NETWORK.CREDENTIAL_HEADERS
+  );
+  return { url: buildApiUrl(endpoint, queryParams), headers };
+};
+
+export const buildWebUrl = (endpoint, params = {}) => {
+  return appendQueryParams(joinBaseUrl(endpoint), params);
 };
 
 // Export individual configurations for backward compatibility
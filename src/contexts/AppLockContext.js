@@ -0,0 +1,366 @@
+/**
+ * App Lock Context
+ * Asks for the PIN / biometrics of a locked account before it is opened,
+ * and again when the app returns from the background after the timeout
+ */
+
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from 'react';
+import { Alert, AppState } from 'react-native';
+import AppLockScreen from '../components/AppLockScreen';
+import { useLanguage } from './LanguageContext';
+import {
+  getAccountKey,
+  getAccountLock,
+  getAppLockSettings,
+  enableAccountLock,
+  disableAccountLock,
+  setBiometricUnlock,
+  setAutoLockTimeout,
+  verifyPin,
+  getBiometricSupport,
+  authenticateWithBiometrics,
+  shouldRelock,
+} from '../services/appLockService';
+import { performLogout } from '../services/logoutService';
+import guardianStorageService from '../services/guardianStorageService';
+import { setAccountUnlockHandler } from '../utils/messaging';
+
+// Screens that are shown before an account is opened
+const UNLOCKED_ROUTES = ['Home', 'Login', 'GuardianLogin', 'GuardianAutoLogin'];
+
+const AppLockContext = createContext();
+
+export const useAppLock = () => {
+  const context = useContext(AppLockContext);
+  if (!context) {
+    throw new Error('useAppLock must be used within an AppLockProvider');
+  }
+  return context;
+};
+
+export const AppLockProvider = ({ children, navigationRef }) => {
+  const { t } = useLanguage();
+  const [settings, setSettings] = useState(null);
+  const [biometricSupport, setBiometricSupport] = useState({
+    available: false,
+    type: null,
+  });
+  // { account, mode: 'unlock' | 'setup', biometrics, resolve }
+  const [prompt, setPrompt] = useState(null);
+
+  // Accounts unlocked since the app was last locked
+  const unlockedAccountsRef = useRef(new Set());
+  const activeAccountRef = useRef(null);
+  const backgroundAtRef = useRef(null);
+  const settingsRef = useRef(null);
+
+  const applySettings = useCallback((nextSettings) => {
+    settingsRef.current = nextSettings;
+    setSettings(nextSettings);
+    return nextSettings;
+  }, []);
+
+  const refreshSettings = useCallback(
+    async () => applySettings(await getAppLockSettings()),
+    [applySettings]
+  );
+
+  const openPrompt = useCallback(
+    (account, mode, biometrics = false) =>
+      new Promise((resolve) => {
+        setPrompt({ account, mode, biometrics, resolve });
+      }),
+    []
+  );
+
+  const closePrompt = useCallback((result) => {
+    setPrompt((current) => {
+      current?.resolve(result);
+      return null;
+    });
+  }, []);
+
+  // Log an account out and open its login screen. Its lock is removed only
+  // once the logout has gone through, so a failed logout leaves it locked.
+  const signOutAccount = useCallback(
+    async (account) => {
+      if (account.userType === 'guardian') {
+        await guardianStorageService.clearGuardianData();
+      } else {
+        const result = await performLogout({ userType: account.userType });
+        if (!result.success) {
+          throw new Error(result.error || 'Logout failed');
+        }
+      }
+      await disableAccountLock(account);
+      unlockedAccountsRef.current.delete(getAccountKey(account));
+      activeAccountRef.current = null;
+      await refreshSettings();
+      closePrompt(false);
+
+      navigationRef?.current?.reset({
+        index: 1,
+        routes: [
+          { name: 'Home' },
+          account.userType === 'guardian'
+            ? { name: 'GuardianLogin' }
+            : {
+                name: 'Login',
+                params: {
+                  loginType:
+                    account.userType === 'teacher' ? 'teacher' : 'student',
+                },
+              },
+        ],
+      });
+    },
+    [refreshSettings, closePrompt, navigationRef]
+  );
+
+  /**
+   * Ask for the PIN of a locked account before opening it
+   * @param {Object} account - User data or guardian
+   * @returns {Promise<boolean>} - Whether the account may be opened
+   */
+  const requireUnlock = useCallback(
+    async (account) => {
+      const lock = await getAccountLock(account);
+      const accountKey = getAccountKey(account);
+
+      if (!lock || unlockedAccountsRef.current.has(accountKey)) {
+        activeAccountRef.current = account;
+        return true;
+      }
+
+      // The PIN was exhausted but the logout did not finish last time
+      if (lock.signInRequired) {
+        Alert.alert(t('appLock'), t('pinAttemptsExhausted'));
+        try {
+          await signOutAccount(account);
+        } catch (error) {
+          console.error('❌ APP LOCK: Sign-out failed:', error);
+        }
+        return false;
+      }
+
+      const unlocked = await openPrompt(account, 'unlock', lock.biometrics);
+      if (unlocked) {
+        unlockedAccountsRef.current.add(accountKey);
+        activeAccountRef.current = account;
+      }
+      return unlocked;
+    },
+    [openPrompt, signOutAccount, t]
+  );
+
+  /**
+   * Choose a PIN and lock an account
+   * @param {Object} account - Account to lock
+   * @returns {Promise<boolean>} - Whether the lock was set up
+   */
+  const setUpLock = useCallback(
+    async (account) => {
+      const pin = await openPrompt(account, 'setup');
+      if (!pin) return false;
+
+      await enableAccountLock(account, pin, {
+        biometrics: biometricSupport.available,
+      });
+      unlockedAccountsRef.current.add(getAccountKey(account));
+      await refreshSettings();
+      return true;
+    },
+    [openPrompt, biometricSupport.available, refreshSettings]
+  );
+
+  /**
+   * Remove the lock of an account after asking for its PIN
+   * @param {Object} account - Locked account
+   * @returns {Promise<boolean>} - Whether the lock was removed
+   */
+  const removeLock = useCallback(
+    async (account) => {
+      const lock = await getAccountLock(account);
+      if (lock && !(await openPrompt(account, 'unlock', lock.biometrics))) {
+        return false;
+      }
+
+      await disableAccountLock(account);
+      unlockedAccountsRef.current.delete(getAccountKey(account));
+      await refreshSettings();
+      return true;
+    },
+    [openPrompt, refreshSettings]
+  );
+
+  const updateBiometricUnlock = useCallback(
+    async (account, enabled) =>
+      applySettings(await setBiometricUnlock(account, enabled)),
+    [applySettings]
+  );
+
+  const updateAutoLockTimeout = useCallback(
+    async (timeout) => applySettings(await setAutoLockTimeout(timeout)),
+    [applySettings]
+  );
+
+  const handleVerifyPin = useCallback(
+    async (pin) => {
+      const result = await verifyPin(prompt.account, pin);
+      if (result.success) {
+        closePrompt(true);
+      } else if (result.signInRequired) {
+        Alert.alert(t('appLock'), t('pinAttemptsExhausted'));
+        try {
+          await signOutAccount(prompt.account);
+        } catch (error) {
+          // The lock is still in place; the next PIN entry tries again
+          console.error('❌ APP LOCK: Sign-out failed:', error);
+        }
+      }
+      return result;
+    },
+    [prompt, closePrompt, signOutAccount, t]
+  );
+
+  const handleBiometricUnlock = useCallback(async () => {
+    const name = prompt?.account?.name || '';
+    const success = await authenticateWithBiometrics(
+      t('unlockAccount').replace('{name}', name),
+      t('enterPin')
+    );
+    if (success) {
+      closePrompt(true);
+    }
+    return success;
+  }, [prompt, closePrompt, t]);
+
+  const handleForgotPin = useCallback(() => {
+    const { account } = prompt;
+
+    Alert.alert(t('forgotPin'), t('forgotPinMessage'), [
+      { text: t('cancel'), style: 'cancel' },
+      {
+        text: t('logout'),
+        style: 'destructive',
+        onPress: () =>
+          signOutAccount(account).catch((error) =>
+            console.error('❌ APP LOCK: Sign-out failed:', error)
+          ),
+      },
+    ]);
+  }, [prompt, t, signOutAccount]);
+
+  // Lock the open account again after the app was away for too long
+  const relockActiveAccount = useCallback(async () => {
+    const account = activeAccountRef.current;
+    const routeName = navigationRef?.current?.getCurrentRoute?.()?.name;
+    if (!account || !routeName || UNLOCKED_ROUTES.includes(routeName)) {
+      return;
+    }
+
+    if (!(await requireUnlock(account))) {
+      // Signing out has already opened the login screen
+      if (!activeAccountRef.current) return;
+      activeAccountRef.current = null;
+      navigationRef.current.reset({ index: 0, routes: [{ name: 'Home' }] });
+    }
+  }, [navigationRef, requireUnlock]);
+
+  // Notification taps open an account outside HomeScreen; they go through
+  // the same check, which also makes the account the one that relocks
+  useEffect(() => {
+    setAccountUnlockHandler(requireUnlock);
+  }, [requireUnlock]);
+
+  useEffect(() => {
+    refreshSettings();
+    getBiometricSupport().then(setBiometricSupport);
+
+    let appState = AppState.currentState;
+
+    const handleAppStateChange = (nextAppState) => {
+      if (nextAppState === 'background') {
+        backgroundAtRef.current = Date.now();
+      } else if (
+        appState.match(/inactive|background/) &&
+        nextAppState === 'active'
+      ) {
+        const timeout = settingsRef.current?.autoLockTimeout ?? 0;
+        if (shouldRelock(backgroundAtRef.current, timeout)) {
+          console.log('🔒 APP LOCK: Auto-lock timeout reached');
+          unlockedAccountsRef.current.clear();
+          relockActiveAccount();
+        }
+        backgroundAtRef.current = null;
+      }
+
+      appState = nextAppState;
+    };
+
+    const subscription = AppState.addEventListener(
+      'change',
+      handleAppStateChange
+    );
+
+    return () => {
+      if (subscription) {
+        subscription.remove();
+      }
+    };
+  }, [refreshSettings, relockActiveAccount]);
+
+  const value = useMemo(
+    () => ({
+      settings,
+      biometricSupport,
+      requireUnlock,
+      setUpLock,
+      removeLock,
+      setBiometricUnlock: updateBiometricUnlock,
+      setAutoLockTimeout: updateAutoLockTimeout,
+      refreshSettings,
+    }),
+    [
+      settings,
+      biometricSupport,
+      requireUnlock,
+      setUpLock,
+      removeLock,
+      updateBiometricUnlock,
+      updateAutoLockTimeout,
+      refreshSettings,
+    ]
+  );
+
+  return (
+    <AppLockContext.Provider value={value}>
+      {children}
+      <AppLockScreen
+        visible={!!prompt}
+        mode={prompt?.mode}
+        account={prompt?.account}
+        biometricType={
+          prompt?.biometrics && biometricSupport.available
+            ? biometricSupport.type
+            : null
+        }
+        onVerifyPin={handleVerifyPin}
+        onPinCreated={(pin) => closePrompt(pin)}
+        onBiometricUnlock={handleBiometricUnlock}
+        onForgotPin={handleForgotPin}
+        onCancel={() => closePrompt(false)}
+      />
+    </AppLockContext.Provider>
+  );
+};
+
+export default AppLockContext;
@@ -1159,6 +1159,348 @@ const translations = {
     branchSelectionFailed: 'Failed to switch branch',
     multipleBranchesAvailable: 'Multiple branches available',
     singleBranchOnly: 'Single branch access',
+
+    // Offline Attendance Sync
+    attendanceSavedOffline: 'Saved Offline',
+    attendanceWillSyncLater:
+      'Attendance is saved on this device and will be submitted automatically when you are back online.',
+    attendanceSyncPending: 'Pending sync',
+    attendanceSyncing: 'Syncing...',
+    attendanceSyncFailed: 'Sync failed',
+    attendanceSynced: 'Synced',
+    attendanceSyncConflicts:
+      '{count} student(s) were also marked by another teacher. Your marks were kept.',
+
+    // App Lock
+    appLock: 'App Lock',
+    autoLock: 'Auto-Lock',
+    autoLockImmediately: 'Immediately',
+    autoLockAfterMinutes: 'After {minutes} min in the background',
+    guardianAccount: 'Guardian',
+    unlockWithBiometrics: 'Unlock with Face ID / Fingerprint',
+    enterPin: 'Enter PIN',
+    createPin: 'Choose a {length}-digit PIN',
+    confirmPin: 'Enter the PIN again',
+    pinMismatch: 'PINs did not match. Try again.',
+    incorrectPin: 'Incorrect PIN. {count} attempts left.',
+    tooManyAttempts: 'Too many attempts. Try again in {seconds} s.',
+    pinAttemptsExhausted:
+      'Too many incorrect PINs. Log in again to use this account.',
+    forgotPin: 'Forgot PIN?',
+    forgotPinMessage:
+      'To reset the PIN you need to log out of this account and log in again.',
+    unlockAccount: 'Unlock {name}',
+    noAccountsOnDevice: 'No accounts are logged in on this device',
+    lockEnabled: 'Locked with PIN',
+    lockDisabled: 'Not locked',
+
+    // Session Expiry
+    sessionExpiredTitle: 'Session Expired',
+    sessionExpiredMessage:
+      'The session for {name} has expired. Please log in again to continue.',
+    sessionExpiredLoginHint:
+      'Your session has expired. Enter your password to log in again.',
+
+    // What-If Grade Calculator
+    whatIf: 'What-If Calculator',
+    whatIfDescription:
+      'Enter hypothetical scores to see how they would change the subject average.',
+    currentAverage: 'Current Average',
+    projectedAverage: 'Projected Average',
+    ungradedAssessments: 'Ungraded Assessments',
+    addHypotheticalScore: 'Add a Hypothetical Score',
+    score: 'Score',
+    outOf: 'Out of',
+    categoryBreakdown: 'By Assessment Type',
+    lowestScoresDropped: '{count} lowest dropped',
+
+    // Bulk Grade Entry
+    allGrades: 'All Grades',
+    comment: 'Comment',
+    selectAssessmentToGrade: 'Select an assessment to enter grades',
+    noAssessmentsFound: 'No assessments found',
+    maxScoreValue: 'Max {max}',
+    importCsv: 'Import CSV',
+    unsavedGradeChanges: '{count} unsaved',
+    gradesSavedMessage: 'Saved {saved} of {total} grades.',
+    gradesSaveErrors: '{count} grades could not be saved.',
+    failedToSaveGrades: 'Failed to save grades',
+    fixInvalidGrades: 'Fix the highlighted grades before saving.',
+    invalidScore: 'Invalid',
+    scoreAboveMax: 'Above max',
+    failedToLoadAssessments: 'Failed to load assessments',
+    failedToLoadStudents: 'Failed to load students',
+    csvImportPreview: 'Import Preview',
+    csvChangesCount: '{count} changes',
+    csvUnchangedCount: '{count} students unchanged',
+    csvUnmatchedRows: 'Rows not matched to a student',
+    csvRowLabel: 'Row {line}',
+    csvNoChanges: 'The file does not change any grades.',
+    csvNoRows: 'The CSV file has no grade rows.',
+    csvMissingColumns:
+      'The CSV file needs a student ID or name column and a score column.',
+    csvInvalidValues:
+      'Some values are invalid. They will be highlighted in the grid and must be fixed before saving.',
+    failedToReadCsv: 'Failed to read the CSV file',
+    applyImport: 'Apply',
+    discardChangesTitle: 'Discard Changes?',
+    discardChangesMessage: 'You have unsaved grades. Leave without saving?',
+    discard: 'Discard',
+
+    // Signed Pickup QR Codes
+    qrRefreshesIn: 'New code in {seconds}s',
+    qrCodeExpired: 'Expired',
+    qrCodeExpiredMessage:
+      'This QR code has expired. Ask for the code currently shown in the app.',
+    qrCodeAlreadyUsed: 'Already Used',
+    qrCodeAlreadyUsedMessage:
+      'This QR code has already been scanned. Ask for the code currently shown in the app.',
+    qrCodeInvalidMessage: 'This is not a valid pickup QR code.',
+    scanAgain: 'Scan Again',
+
+    // Pickup Queue Board
+    atGate: 'At gate',
+    etaMinutes: 'ETA {minutes} min',
+    waitingMinutes: 'Waiting {minutes} min',
+    queueSortArrival: 'Arrival',
+    queueSortDistance: 'Distance',
+    selectAll: 'Select all',
+    clearSelection: 'Clear selection',
+    queueUpdatedAt: 'Updated {time}',
+    noWaitingPickups: 'No one is waiting for pickup',
+    newPickupArrival: 'New pickup arrival',
+    newPickupArrivalCount: '{count} new pickup requests',
+    release: 'Release',
+    releaseSelected: 'Release ({count})',
+    releaseStudentsTitle: 'Release Students',
+    releaseStudentsMessage:
+      'Release {count} selected students to their pickup person?',
+    releaseResultMessage: '{count} students released.',
+    releaseFailedMessage: '{count} could not be released:',
+    waiting: 'Waiting',
+    processed: 'Processed',
+
+    // Pickup Rules
+    pickupRules: 'Pickup Rules',
+    pickupRulesEdit: 'Rules',
+    pickupRulesExpired: 'Expired',
+    pickupRulesNone: 'Any child, any time',
+    pickupRulesChildren: 'Children: {names}',
+    pickupRulesDays: 'Days: {days}',
+    pickupRulesTimes: 'Times: {times}',
+    pickupRulesDates: 'Valid: {from} – {until}',
+    pickupRulesOneTime: 'One-time pickup',
+    pickupRulesOneTimeUsed: 'One-time pickup (used)',
+    pickupRulesChildrenLabel: 'Children',
+    pickupRulesChildrenHint: 'Leave empty to allow all of your children',
+    pickupRulesDaysLabel: 'Days',
+    pickupRulesDaysHint: 'Leave empty to allow every day',
+    pickupRulesTimeLabel: 'Time',
+    pickupRulesTimeHint: 'Leave empty to allow any time',
+    pickupRulesTimeIncomplete: 'Please choose both a start and an end time',
+    pickupRulesDatesLabel: 'Valid dates',
+    pickupRulesDatesHint: 'Leave empty for no start or end date',
+    pickupRulesOneTimeLabel: 'One-time pickup',
+    pickupRulesOneTimeHint: 'The authorization ends after the first pickup',
+    pickupRulesRemove: 'Remove Rules',
+    pickupRulesRemoveMessage:
+      'This guardian will be able to pick up any of your children at any time.',
+    pickupRulesSaved: 'Pickup rules saved',
+    failedToSavePickupRules: 'Failed to save pickup rules',
+    weekdayMon: 'Mon',
+    weekdayTue: 'Tue',
+    weekdayWed: 'Wed',
+    weekdayThu: 'Thu',
+    weekdayFri: 'Fri',
+    weekdaySat: 'Sat',
+    weekdaySun: 'Sun',
+
+    // Homework Drafts and Uploads
+    draftSaved: 'Draft saved on this device',
+    uploadCancelled: 'Upload cancelled',
+    retryUpload: 'Retry',
+    resumeUpload: 'Resume upload',
+    waitForFileUpload:
+      'Please wait until your file has finished uploading, or retry the upload.',
+
+    // Homework Late Policy & Reminders
+    latePolicy: 'Late Submissions',
+    latePolicyAccept: 'Accept late work',
+    latePolicyAcceptUntil: 'Accept late work until a date',
+    latePolicyPenalty: 'Deduct a penalty per late day',
+    latePolicyReject: 'Do not accept late work',
+    acceptLateUntilLabel: 'Last day late work is accepted',
+    selectDate: 'Select a date',
+    penaltyPerDay: 'Penalty per late day (%)',
+    gracePeriodHours: 'Grace period (hours)',
+    latePolicyAcceptDescription: 'Late work accepted',
+    latePolicyAcceptUntilDescription: 'Late work accepted until {date}',
+    latePolicyPenaltyDescription: '{percent}% off per late day (max {max}%)',
+    latePolicyRejectDescription: 'Late work is not accepted',
+    latePolicyGraceDescription: ' after a {hours}h grace period',
+    lateLabel: 'Late',
+    lateDays: '{days} day(s)',
+    lateNotAccepted: 'Not accepted',
+    lateSubmissionNotAccepted:
+      'The deadline has passed and late submissions are no longer accepted for this assignment.',
+    homeworkReminders: 'Deadline Reminders',
+    homeworkRemindersDescription: 'Remind me before homework is due',
+    reminderDaysBefore: '{days}d before',
+    reminderHoursBefore: '{hours}h before',
+
+    // Homework Rubrics
+    rubricScore: '{score} / {max} pts',
+    rubricPoints: '{points} pts',
+    rubricLevelExcellent: 'Excellent',
+    rubricLevelGood: 'Good',
+    rubricLevelSatisfactory: 'Satisfactory',
+    rubricLevelNeedsImprovement: 'Needs improvement',
+    editRubric: 'Edit Rubric',
+    newRubric: 'New Rubric',
+    rubricMaxPoints: 'Up to {max} points',
+    rubricTitlePlaceholder: 'Rubric title, e.g. Persuasive essay',
+    rubricCriterion: 'Criterion {number}',
+    rubricCriterionPlaceholder: 'What is assessed, e.g. Structure',
+    rubricLevelPlaceholder: 'Level',
+    addRubricLevel: 'Add Level',
+    addRubricCriterion: 'Add Criterion',
+    saveRubricToLibrary: 'Save to Library',
+    failedToLoadRubrics: 'Failed to load rubrics',
+    failedToSaveRubric: 'Failed to save rubric',
+    failedToDeleteRubric: 'Failed to delete rubric',
+    deleteRubric: 'Delete Rubric',
+    deleteRubricMessage:
+      'Delete "{title}" from your library? Homework already using it keeps its copy.',
+    rubricSummary: '{criteria} criteria · {max} points',
+    rubricLibrary: 'Rubric Library',
+    noRubricsYet: 'No rubrics yet. Create one to reuse it across your classes.',
+    rubricOptional: 'Rubric (Optional)',
+    changeRubric: 'Change',
+    removeRubric: 'Remove',
+    attachRubric: 'Choose a rubric from your library',
+    rubricHint: 'Submissions are graded by choosing a level for each criterion',
+    rubricScoreTitle: 'Rubric Score:',
+
+    // Homework Annotations
+    annotateFile: 'Annotate File',
+    annotatedFeedback: 'Annotated Feedback',
+    viewAnnotatedFeedback: 'View your teacher\'s marks on your file',
+    annotationPage: 'Page {page} of {total}',
+    annotationPen: 'Pen',
+    annotationHighlighter: 'Highlighter',
+    annotationPin: 'Comment pin',
+    undo: 'Undo',
+    annotationCommentPlaceholder: 'Comment for this spot',
+    addAnnotationComment: 'Add',
+    saveAnnotations: 'Save as Feedback',
+    discardAnnotations: 'Discard annotations?',
+    discardAnnotationsMessage: 'Your unsaved marks on this file will be lost.',
+    failedToSaveAnnotations: 'Failed to save annotations',
+    failedToLoadFilePages: 'Failed to load the file',
+    fileCannotBeAnnotated: 'Only images and PDFs can be annotated',
+
+    // Submission Comments
+    submissionComments: 'Comments',
+    noSubmissionComments: 'No comments yet',
+    writeSubmissionComment: 'Write a comment...',
+    you: 'You',
+    attachment: 'Attachment',
+    failedToAttachFile: 'Failed to attach file',
+    failedToSendComment: 'Failed to send comment',
+    unableToOpenFile: 'Unable to open file',
+
+    // Similarity Check
+    similarityCheck: 'Similarity Check',
+    checkingSimilarity: 'Comparing submissions...',
+    failedToLoadSubmissions: 'Failed to load submissions',
+    similaritySummary: '{compared} answers compared, {flagged} similar pairs',
+    similaritySkipped: '{count} answers were too short to compare',
+    similarityExplanation:
+      'Scores show how much of the shorter answer also appears in the other. Text from the assignment itself is ignored. Review highlighted passages before drawing conclusions.',
+    noSimilarSubmissions: 'No similar submissions found',
+
+    // Message Replies, Reactions and Forwarding
+    reply: 'Reply',
+    forward: 'Forward',
+    forwarded: 'Forwarded',
+    replyingTo: 'Replying to {name}',
+    forwardMessage: 'Forward Message',
+    searchConversations: 'Search conversations',
+    noConversations: 'No other conversations',
+    messageForwarded: 'Message forwarded',
+    failedToForwardMessage: 'Failed to forward message',
+    failedToReact: 'Failed to add reaction',
+
+    // Typing Indicators and Read Receipts
+    messageInfo: 'Message Info',
+    readBy: 'Read by',
+    deliveredTo: 'Delivered to',
+    notDeliveredYet: 'Not delivered yet',
+    noReceiptsYet: 'No read receipts yet',
+    isTyping: '{name} is typing…',
+    severalTyping: '{count} people are typing…',
+
+    // Message Outbox
+    failedTapToRetry: 'Failed — tap to retry',
+    messageNotSent: 'Message Not Sent',
+    messageNotSentMessage:
+      'This message could not be sent. Try again, or delete it?',
+
+    // Scheduled Messages & Quiet Hours
+    scheduleMessage: 'Schedule Message',
+    editScheduledMessage: 'Edit Scheduled Message',
+    selectConversation: 'Conversation',
+    messageContent: 'Message',
+    sendAt: 'Send At',
+    schedule: 'Schedule',
+    chooseFutureTime: 'Please choose a time in the future.',
+    failedToScheduleMessage: 'Failed to schedule message',
+    sendTimeInQuietHours: 'This time is within the school\'s quiet hours.',
+    scheduledMessagesCount: 'Scheduled ({count})',
+    heldForQuietHours: 'Held for quiet hours',
+    messageScheduledFor: 'Message scheduled for {time}',
+    cancelScheduledMessage: 'Cancel Scheduled Message',
+    cancelScheduledMessageConfirm: 'This message will not be sent. Continue?',
+    failedToCancelScheduledMessage: 'Failed to cancel scheduled message',
+    quietHours: 'Quiet Hours',
+    quietHoursMessage:
+      'It is currently the school\'s quiet hours. Hold this message until {time}, or send it now as urgent?',
+    sendNow: 'Send Now (Urgent)',
+    holdUntilMorning: 'Hold Until Morning',
+    messageHeld: 'Your message will be sent at {time}.',
+
+    // Message Templates
+    messageTemplates: 'Message Templates',
+    useTemplate: 'Use Template',
+    newTemplate: 'New Template',
+    editTemplate: 'Edit Template',
+    templateTitle: 'Title',
+    templatePlaceholdersHint:
+      'Tap to insert. Each recipient sees their own details.',
+    shareWithStaff: 'Share with all staff',
+    sharedWithStaff: 'Shared with staff',
+    sharedBy: 'Shared by {name}',
+    deleteTemplate: 'Delete Template',
+    deleteTemplateConfirm:
+      'Delete this template? Staff it is shared with will no longer see it.',
+    failedToSaveTemplate: 'Failed to save template',
+    failedToDeleteTemplate: 'Failed to delete template',
+    chooseTemplateRecipients:
+      'Choose conversations. The message is filled in for each one.',
+    templateMissingValues: 'Cannot fill in {placeholders}',
+    sendToCount: 'Send ({count})',
+    templateSentCount: 'Message sent to {count} conversations',
+    templateNeedsStudents:
+      'This message uses {student_name} or {class}. Send it to single users or a classroom.',
+    templateAbsenceTitle: 'Absence follow-up',
+    templateAbsenceBody:
+      'Dear parent, {student_name} ({class}) was absent on {date}. Please let us know the reason for the absence.',
+    templateHomeworkTitle: 'Homework reminder',
+    templateHomeworkBody:
+      'Reminder: {student_name} has homework for {class} due on {date}. Please make sure it is handed in on time.',
+    templateEventTitle: 'Event notice',
+    templateEventBody:
+      'Dear parent, {class} has a school event on {date}. We look forward to seeing {student_name} there.',
   },
   my: {
     // Common
@@ -2058,6 +2400,358 @@ const translations = {
       'ဖုန်းနံပါတ် သို့မဟုတ် အရေးပေါ်ဆက်သွယ်ရန်လိုအပ်သည်',
     willUseEmergencyContact: 'အရေးပေါ်ဆက်သွယ်မှုကိုအသုံးပြုမည်',
     willBeUsedAsPhone: 'ဖုန်းနံပါတ်အဖြစ်အသုံးပြုမည်',
+
+    // Offline Attendance Sync
+    attendanceSavedOffline: 'အော့ဖ်လိုင်း သိမ်းဆည်းပြီး',
+    attendanceWillSyncLater:
+      'တက်ရောက်မှုကို ဤစက်တွင် သိမ်းဆည်းထားပြီး အွန်လိုင်းပြန်ဖြစ်သည့်အခါ အလိုအလျောက် တင်သွင်းပါမည်။',
+    attendanceSyncPending: 'ချိန်ကိုက်ရန် စောင့်ဆိုင်း',
+    attendanceSyncing: 'ချိန်ကိုက်နေသည်...',
+    attendanceSyncFailed: 'ချိန်ကိုက်မှု မအောင်မြင်ပါ',
+    attendanceSynced: 'ချိန်ကိုက်ပြီး',
+    attendanceSyncConflicts:
+      'ကျောင်းသား {count} ဦးကို အခြားဆရာတစ်ဦးကလည်း မှတ်သားထားသည်။ သင့်မှတ်သားချက်များကို ထားရှိထားသည်။',
+
+    // App Lock
+    appLock: 'အက်ပ်လော့ခ်',
+    autoLock: 'အလိုအလျောက်လော့ခ်ချရန်',
+    autoLockImmediately: 'ချက်ချင်း',
+    autoLockAfterMinutes: 'နောက်ခံတွင် {minutes} မိနစ်ကြာပြီးနောက်',
+    guardianAccount: 'အုပ်ထိန်းသူ',
+    unlockWithBiometrics: 'Face ID / လက်ဗွေဖြင့် ဖွင့်ရန်',
+    enterPin: 'PIN ထည့်ပါ',
+    createPin: 'ဂဏန်း {length} လုံးပါ PIN ရွေးပါ',
+    confirmPin: 'PIN ကို ထပ်မံထည့်ပါ',
+    pinMismatch: 'PIN များ မကိုက်ညီပါ။ ထပ်စမ်းကြည့်ပါ။',
+    incorrectPin: 'PIN မှားနေသည်။ ကြိုးစားခွင့် {count} ကြိမ် ကျန်ပါသည်။',
+    tooManyAttempts:
+      'ကြိုးစားမှု များလွန်းသည်။ {seconds} စက္ကန့်အကြာတွင် ထပ်စမ်းပါ။',
+    pinAttemptsExhausted:
+      'PIN မှားသည့်အကြိမ် များလွန်းသည်။ ဤအကောင့်ကို အသုံးပြုရန် ထပ်မံ ဝင်ရောက်ပါ။',
+    forgotPin: 'PIN မေ့နေပါသလား?',
+    forgotPinMessage:
+      'PIN ကို ပြန်လည်သတ်မှတ်ရန် ဤအကောင့်မှ ထွက်ပြီး ပြန်လည်ဝင်ရောက်ရပါမည်။',
+    unlockAccount: '{name} ကို ဖွင့်ရန်',
+    noAccountsOnDevice: 'ဤစက်တွင် ဝင်ရောက်ထားသော အကောင့်မရှိပါ',
+    lockEnabled: 'PIN ဖြင့် လော့ခ်ချထားသည်',
+    lockDisabled: 'လော့ခ်မချထားပါ',
+
+    // Session Expiry
+    sessionExpiredTitle: 'ဝင်ရောက်မှု သက်တမ်းကုန်သွားပါပြီ',
+    sessionExpiredMessage:
+      '{name} ၏ ဝင်ရောက်မှု သက်တမ်းကုန်သွားပါပြီ။ ဆက်လက်အသုံးပြုရန် ပြန်လည်ဝင်ရောက်ပါ။',
+    sessionExpiredLoginHint:
+      'သင်၏ ဝင်ရောက်မှု သက်တမ်းကုန်သွားပါပြီ။ ပြန်လည်ဝင်ရောက်ရန် စကားဝှက်ထည့်ပါ။',
+
+    // What-If Grade Calculator
+    whatIf: 'ခန့်မှန်းတွက်ချက်စက်',
+    whatIfDescription:
+      'ဘာသာရပ်ပျမ်းမျှအမှတ် မည်သို့ပြောင်းလဲမည်ကို ကြည့်ရန် ခန့်မှန်းအမှတ်များ ထည့်ပါ။',
+    currentAverage: 'လက်ရှိပျမ်းမျှ',
+    projectedAverage: 'ခန့်မှန်းပျမ်းမျှ',
+    ungradedAssessments: 'အမှတ်မပေးရသေးသော စစ်ဆေးမှုများ',
+    addHypotheticalScore: 'ခန့်မှန်းအမှတ် ထည့်ရန်',
+    score: 'အမှတ်',
+    outOf: 'စုစုပေါင်း',
+    categoryBreakdown: 'စစ်ဆေးမှုအမျိုးအစားအလိုက်',
+    lowestScoresDropped: 'အနိမ့်ဆုံး {count} ခု ဖယ်ထားသည်',
+
+    // Bulk Grade Entry
+    allGrades: 'အတန်းအားလုံး',
+    comment: 'မှတ်ချက်',
+    selectAssessmentToGrade: 'အမှတ်ထည့်ရန် အကဲဖြတ်မှုတစ်ခုကို ရွေးချယ်ပါ',
+    noAssessmentsFound: 'အကဲဖြတ်မှု မတွေ့ပါ',
+    maxScoreValue: 'အများဆုံး {max}',
+    importCsv: 'CSV တင်သွင်းရန်',
+    unsavedGradeChanges: 'မသိမ်းရသေး {count}',
+    gradesSavedMessage: 'အမှတ် {total} ခုအနက် {saved} ခု သိမ်းဆည်းပြီးပါပြီ။',
+    gradesSaveErrors: 'အမှတ် {count} ခုကို သိမ်းဆည်း၍ မရပါ။',
+    failedToSaveGrades: 'အမှတ်များ သိမ်းဆည်း၍ မရပါ',
+    fixInvalidGrades: 'မသိမ်းမီ အရောင်ပြထားသော အမှတ်များကို ပြင်ပါ။',
+    invalidScore: 'မမှန်ကန်',
+    scoreAboveMax: 'အများဆုံးထက် ကျော်',
+    failedToLoadAssessments: 'အကဲဖြတ်မှုများ ဖွင့်၍ မရပါ',
+    failedToLoadStudents: 'ကျောင်းသားများ ဖွင့်၍ မရပါ',
+    csvImportPreview: 'တင်သွင်းမှု အစမ်းကြည့်ရန်',
+    csvChangesCount: 'ပြောင်းလဲမှု {count} ခု',
+    csvUnchangedCount: 'ကျောင်းသား {count} ဦး မပြောင်းလဲ',
+    csvUnmatchedRows: 'ကျောင်းသားနှင့် မကိုက်ညီသော အတန်းများ',
+    csvRowLabel: 'အတန်း {line}',
+    csvNoChanges: 'ဖိုင်သည် မည်သည့်အမှတ်ကိုမျှ မပြောင်းလဲပါ။',
+    csvNoRows: 'CSV ဖိုင်တွင် အမှတ်အတန်းများ မရှိပါ။',
+    csvMissingColumns:
+      'CSV ဖိုင်တွင် ကျောင်းသား ID သို့မဟုတ် အမည်ကော်လံနှင့် အမှတ်ကော်လံ လိုအပ်ပါသည်။',
+    csvInvalidValues:
+      'တန်ဖိုးအချို့ မမှန်ကန်ပါ။ ဇယားတွင် အရောင်ပြမည်ဖြစ်ပြီး မသိမ်းမီ ပြင်ရပါမည်။',
+    failedToReadCsv: 'CSV ဖိုင်ကို ဖတ်၍ မရပါ',
+    applyImport: 'အသုံးပြုရန်',
+    discardChangesTitle: 'ပြောင်းလဲမှုများကို ပယ်ဖျက်မလား?',
+    discardChangesMessage:
+      'မသိမ်းရသေးသော အမှတ်များ ရှိပါသည်။ မသိမ်းဘဲ ထွက်မလား?',
+    discard: 'ပယ်ဖျက်ရန်',
+
+    // Signed Pickup QR Codes
+    qrRefreshesIn: 'ကုဒ်အသစ် {seconds} စက္ကန့်အတွင်း',
+    qrCodeExpired: 'သက်တမ်းကုန်သွားပါပြီ',
+    qrCodeExpiredMessage:
+      'ဤ QR ကုဒ် သက်တမ်းကုန်သွားပါပြီ။ အက်ပ်တွင် လက်ရှိပြသထားသော ကုဒ်ကို တောင်းပါ။',
+    qrCodeAlreadyUsed: 'အသုံးပြုပြီးဖြစ်သည်',
+    qrCodeAlreadyUsedMessage:
+      'ဤ QR ကုဒ်ကို စကင်ဖတ်ပြီးဖြစ်သည်။ အက်ပ်တွင် လက်ရှိပြသထားသော ကုဒ်ကို တောင်းပါ။',
+    qrCodeInvalidMessage: 'ဤကုဒ်သည် မှန်ကန်သော ကြိုဆိုရန် QR ကုဒ် မဟုတ်ပါ။',
+    scanAgain: 'ထပ်မံစကင်ဖတ်ရန်',
+
+    // Pickup Queue Board
+    atGate: 'ဂိတ်တွင်',
+    etaMinutes: 'ရောက်ရန် {minutes} မိနစ်',
+    waitingMinutes: '{minutes} မိနစ် စောင့်နေသည်',
+    queueSortArrival: 'ရောက်ရှိချိန်',
+    queueSortDistance: 'အကွာအဝေး',
+    selectAll: 'အားလုံးရွေးရန်',
+    clearSelection: 'ရွေးချယ်မှု ဖယ်ရှားရန်',
+    queueUpdatedAt: '{time} တွင် အပ်ဒိတ်လုပ်ခဲ့သည်',
+    noWaitingPickups: 'ကြိုရန် စောင့်နေသူ မရှိပါ',
+    newPickupArrival: 'ကြိုဆိုရန် အသစ်ရောက်ရှိ',
+    newPickupArrivalCount: 'ကြိုဆိုမှု တောင်းဆိုချက်အသစ် {count} ခု',
+    release: 'လွှတ်ပေးရန်',
+    releaseSelected: 'လွှတ်ပေးရန် ({count})',
+    releaseStudentsTitle: 'ကျောင်းသားများ လွှတ်ပေးရန်',
+    releaseStudentsMessage:
+      'ရွေးထားသော ကျောင်းသား {count} ဦးကို ကြိုသူထံ လွှတ်ပေးမလား?',
+    releaseResultMessage: 'ကျောင်းသား {count} ဦး လွှတ်ပေးပြီးပါပြီ။',
+    releaseFailedMessage: '{count} ဦးကို လွှတ်ပေး၍ မရပါ:',
+    waiting: 'စောင့်ဆိုင်းနေ',
+    processed: 'လုပ်ဆောင်ပြီး',
+
+    // Pickup Rules
+    pickupRules: 'ကလေးကြိုယူခွင့် စည်းမျဉ်းများ',
+    pickupRulesEdit: 'စည်းမျဉ်း',
+    pickupRulesExpired: 'သက်တမ်းကုန်',
+    pickupRulesNone: 'ကလေးမည်သူမဆို၊ အချိန်မရွေး',
+    pickupRulesChildren: 'ကလေးများ: {names}',
+    pickupRulesDays: 'နေ့များ: {days}',
+    pickupRulesTimes: 'အချိန်: {times}',
+    pickupRulesDates: 'သက်တမ်း: {from} – {until}',
+    pickupRulesOneTime: 'တစ်ကြိမ်သာ ကြိုယူခွင့်',
+    pickupRulesOneTimeUsed: 'တစ်ကြိမ်သာ ကြိုယူခွင့် (အသုံးပြုပြီး)',
+    pickupRulesChildrenLabel: 'ကလေးများ',
+    pickupRulesChildrenHint: 'ကလေးအားလုံးကို ခွင့်ပြုရန် ရွေးချယ်မထားပါနှင့်',
+    pickupRulesDaysLabel: 'နေ့များ',
+    pickupRulesDaysHint: 'နေ့တိုင်း ခွင့်ပြုရန် ရွေးချယ်မထားပါနှင့်',
+    pickupRulesTimeLabel: 'အချိန်',
+    pickupRulesTimeHint: 'အချိန်မရွေး ခွင့်ပြုရန် ရွေးချယ်မထားပါနှင့်',
+    pickupRulesTimeIncomplete:
+      'စတင်ချိန်နှင့် ပြီးဆုံးချိန် နှစ်ခုလုံးကို ရွေးချယ်ပါ',
+    pickupRulesDatesLabel: 'သက်တမ်းရှိသည့် ရက်များ',
+    pickupRulesDatesHint:
+      'စတင်ရက် သို့မဟုတ် ကုန်ဆုံးရက် မသတ်မှတ်ရန် ရွေးချယ်မထားပါနှင့်',
+    pickupRulesOneTimeLabel: 'တစ်ကြိမ်သာ ကြိုယူခွင့်',
+    pickupRulesOneTimeHint:
+      'ပထမအကြိမ် ကြိုယူပြီးနောက် ခွင့်ပြုချက် ကုန်ဆုံးမည်',
+    pickupRulesRemove: 'စည်းမျဉ်းများ ဖယ်ရှားရန်',
+    pickupRulesRemoveMessage:
+      'ဤအုပ်ထိန်းသူသည် သင့်ကလေးမည်သူမဆိုကို အချိန်မရွေး ကြိုယူနိုင်မည်ဖြစ်သည်။',
+    pickupRulesSaved: 'ကြိုယူခွင့် စည်းမျဉ်းများ သိမ်းဆည်းပြီး',
+    failedToSavePickupRules:
+      'ကြိုယူခွင့် စည်းမျဉ်းများ သိမ်းဆည်းရန် မအောင်မြင်ပါ',
+    weekdayMon: 'တနင်္လာ',
+    weekdayTue: 'အင်္ဂါ',
+    weekdayWed: 'ဗုဒ္ဓဟူး',
+    weekdayThu: 'ကြာသပတေး',
+    weekdayFri: 'သောကြာ',
+    weekdaySat: 'စနေ',
+    weekdaySun: 'တနင်္ဂနွေ',
+
+    // Homework Drafts and Uploads
+    draftSaved: 'မူကြမ်းကို ဤစက်တွင် သိမ်းဆည်းပြီး',
+    uploadCancelled: 'တင်ခြင်းကို ပယ်ဖျက်ပြီး',
+    retryUpload: 'ထပ်ကြိုးစားရန်',
+    resumeUpload: 'ဆက်လက်တင်ရန်',
+    waitForFileUpload: 'သင့်ဖိုင် တင်ပြီးသည်အထိ စောင့်ပါ သို့မဟုတ် ထပ်မံတင်ပါ။',
+
+    // Homework Late Policy & Reminders
+    latePolicy: 'နောက်ကျတင်သွင်းမှုများ',
+    latePolicyAccept: 'နောက်ကျသောအလုပ်ကို လက်ခံမည်',
+    latePolicyAcceptUntil: 'ရက်စွဲတစ်ခုအထိ နောက်ကျသောအလုပ်ကို လက်ခံမည်',
+    latePolicyPenalty: 'နောက်ကျသည့်ရက်တိုင်းအတွက် အမှတ်နှုတ်မည်',
+    latePolicyReject: 'နောက်ကျသောအလုပ်ကို လက်မခံပါ',
+    acceptLateUntilLabel: 'နောက်ကျသောအလုပ် လက်ခံမည့်နောက်ဆုံးရက်',
+    selectDate: 'ရက်စွဲရွေးပါ',
+    penaltyPerDay: 'နောက်ကျသည့်ရက်တစ်ရက်လျှင် အမှတ်နှုတ်ခြင်း (%)',
+    gracePeriodHours: 'ခွင့်ပြုချိန် (နာရီ)',
+    latePolicyAcceptDescription: 'နောက်ကျသောအလုပ်ကို လက်ခံသည်',
+    latePolicyAcceptUntilDescription: '{date} အထိ နောက်ကျသောအလုပ်ကို လက်ခံသည်',
+    latePolicyPenaltyDescription:
+      'နောက်ကျသည့်ရက်တစ်ရက်လျှင် {percent}% နှုတ်မည် (အများဆုံး {max}%)',
+    latePolicyRejectDescription: 'နောက်ကျသောအလုပ်ကို လက်မခံပါ',
+    latePolicyGraceDescription: ' ({hours} နာရီ ခွင့်ပြုချိန်ပြီးနောက်)',
+    lateLabel: 'နောက်ကျ',
+    lateDays: '{days} ရက်',
+    lateNotAccepted: 'လက်မခံပါ',
+    lateSubmissionNotAccepted:
+      'သတ်မှတ်ရက်ကျော်လွန်သွားပြီဖြစ်၍ ဤအိမ်စာအတွက် နောက်ကျတင်သွင်းမှုများကို လက်မခံတော့ပါ။',
+    homeworkReminders: 'သတ်မှတ်ရက် သတိပေးချက်များ',
+    homeworkRemindersDescription: 'အိမ်စာ သတ်မှတ်ရက်မတိုင်မီ သတိပေးပါ',
+    reminderDaysBefore: '{days} ရက် အလို',
+    reminderHoursBefore: '{hours} နာရီ အလို',
+
+    // Homework Rubrics
+    rubricScore: '{score} / {max} မှတ်',
+    rubricPoints: '{points} မှတ်',
+    rubricLevelExcellent: 'အလွန်ကောင်း',
+    rubricLevelGood: 'ကောင်း',
+    rubricLevelSatisfactory: 'အသင့်အတင့်',
+    rubricLevelNeedsImprovement: 'တိုးတက်ရန်လိုအပ်',
+    editRubric: 'အမှတ်ပေးစံနှုန်း ပြင်ဆင်ရန်',
+    newRubric: 'အမှတ်ပေးစံနှုန်း အသစ်',
+    rubricMaxPoints: 'အများဆုံး {max} မှတ်',
+    rubricTitlePlaceholder: 'စံနှုန်းခေါင်းစဉ်၊ ဥပမာ ဆွဲဆောင်စာစီစာကုံး',
+    rubricCriterion: 'စံချက် {number}',
+    rubricCriterionPlaceholder: 'အကဲဖြတ်မည့်အရာ၊ ဥပမာ ဖွဲ့စည်းပုံ',
+    rubricLevelPlaceholder: 'အဆင့်',
+    addRubricLevel: 'အဆင့် ထည့်ရန်',
+    addRubricCriterion: 'စံချက် ထည့်ရန်',
+    saveRubricToLibrary: 'စာကြည့်တိုက်တွင် သိမ်းရန်',
+    failedToLoadRubrics: 'အမှတ်ပေးစံနှုန်းများ ဖွင့်၍မရပါ',
+    failedToSaveRubric: 'အမှတ်ပေးစံနှုန်း သိမ်း၍မရပါ',
+    failedToDeleteRubric: 'အမှတ်ပေးစံနှုန်း ဖျက်၍မရပါ',
+    deleteRubric: 'အမှတ်ပေးစံနှုန်း ဖျက်ရန်',
+    deleteRubricMessage:
+      '"{title}" ကို စာကြည့်တိုက်မှ ဖျက်မလား။ အသုံးပြုပြီးသား အိမ်စာများတွင် မိတ္တူဆက်ရှိနေမည်။',
+    rubricSummary: 'စံချက် {criteria} ခု · {max} မှတ်',
+    rubricLibrary: 'အမှတ်ပေးစံနှုန်း စာကြည့်တိုက်',
+    noRubricsYet:
+      'အမှတ်ပေးစံနှုန်း မရှိသေးပါ။ အတန်းများတွင် ပြန်သုံးရန် တစ်ခုဖန်တီးပါ။',
+    rubricOptional: 'အမှတ်ပေးစံနှုန်း (ရွေးချယ်နိုင်)',
+    changeRubric: 'ပြောင်းရန်',
+    removeRubric: 'ဖယ်ရှားရန်',
+    attachRubric: 'စာကြည့်တိုက်မှ အမှတ်ပေးစံနှုန်း ရွေးပါ',
+    rubricHint: 'စံချက်တစ်ခုစီအတွက် အဆင့်ရွေးခြင်းဖြင့် အမှတ်ပေးမည်',
+    rubricScoreTitle: 'စံနှုန်းအမှတ်:',
+
+    // Homework Annotations
+    annotateFile: 'ဖိုင်ပေါ်တွင် မှတ်ချက်ရေးရန်',
+    annotatedFeedback: 'မှတ်ချက်ပါ တုံ့ပြန်ချက်',
+    viewAnnotatedFeedback: 'သင့်ဖိုင်ပေါ်ရှိ ဆရာ၏မှတ်ချက်များကို ကြည့်ရန်',
+    annotationPage: 'စာမျက်နှာ {page} / {total}',
+    annotationPen: 'ဘောပင်',
+    annotationHighlighter: 'အရောင်ခြယ်ဘောပင်',
+    annotationPin: 'မှတ်ချက်ပင်',
+    undo: 'ပြန်ဖျက်ရန်',
+    annotationCommentPlaceholder: 'ဤနေရာအတွက် မှတ်ချက်',
+    addAnnotationComment: 'ထည့်ရန်',
+    saveAnnotations: 'တုံ့ပြန်ချက်အဖြစ် သိမ်းရန်',
+    discardAnnotations: 'မှတ်ချက်များကို ပယ်ဖျက်မလား?',
+    discardAnnotationsMessage:
+      'ဤဖိုင်ပေါ်ရှိ မသိမ်းရသေးသော မှတ်ချက်များ ပျောက်သွားပါမည်။',
+    failedToSaveAnnotations: 'မှတ်ချက်များ သိမ်းဆည်း၍မရပါ',
+    failedToLoadFilePages: 'ဖိုင်ကို ဖွင့်၍မရပါ',
+    fileCannotBeAnnotated: 'ပုံနှင့် PDF များကိုသာ မှတ်ချက်ရေးနိုင်သည်',
+
+    // Submission Comments
+    submissionComments: 'မှတ်ချက်များ',
+    noSubmissionComments: 'မှတ်ချက်မရှိသေးပါ',
+    writeSubmissionComment: 'မှတ်ချက်ရေးပါ...',
+    you: 'သင်',
+    attachment: 'ပူးတွဲဖိုင်',
+    failedToAttachFile: 'ဖိုင်ပူးတွဲ၍မရပါ',
+    failedToSendComment: 'မှတ်ချက်ပို့၍မရပါ',
+    unableToOpenFile: 'ဖိုင်ကိုဖွင့်၍မရပါ',
+
+    // Similarity Check
+    similarityCheck: 'ဆင်တူမှုစစ်ဆေးခြင်း',
+    checkingSimilarity: 'တင်သွင်းမှုများကိုနှိုင်းယှဉ်နေသည်...',
+    failedToLoadSubmissions: 'တင်သွင်းမှုများကိုဖွင့်၍မရပါ',
+    similaritySummary:
+      'အဖြေ {compared} ခုကိုနှိုင်းယှဉ်ပြီး ဆင်တူသောအတွဲ {flagged} တွဲ',
+    similaritySkipped: 'အဖြေ {count} ခုသည် နှိုင်းယှဉ်ရန်တိုလွန်းသည်',
+    similarityExplanation:
+      'ရမှတ်သည် ပိုတိုသောအဖြေ၏ မည်မျှသည် အခြားအဖြေတွင်ပါဝင်သည်ကိုပြသည်။ အိမ်စာမှစာသားကို ထည့်မတွက်ပါ။ ဆုံးဖြတ်ချက်မချမီ အရောင်ခြယ်ထားသောစာပိုဒ်များကို စစ်ဆေးပါ။',
+    noSimilarSubmissions: 'ဆင်တူသောတင်သွင်းမှုမတွေ့ပါ',
+
+    // Message Replies, Reactions and Forwarding
+    reply: 'ပြန်ကြားရန်',
+    forward: 'ထပ်ဆင့်ပို့ရန်',
+    forwarded: 'ထပ်ဆင့်ပို့ထားသည်',
+    replyingTo: '{name} ကို ပြန်ကြားနေသည်',
+    forwardMessage: 'မက်ဆေ့ချ်ကို ထပ်ဆင့်ပို့ရန်',
+    searchConversations: 'စကားဝိုင်းများကို ရှာရန်',
+    noConversations: 'အခြားစကားဝိုင်းမရှိပါ',
+    messageForwarded: 'မက်ဆေ့ချ်ကို ထပ်ဆင့်ပို့ပြီးပါပြီ',
+    failedToForwardMessage: 'မက်ဆေ့ချ်ကို ထပ်ဆင့်ပို့၍မရပါ',
+    failedToReact: 'တုံ့ပြန်မှုထည့်၍မရပါ',
+
+    // Typing Indicators and Read Receipts
+    messageInfo: 'မက်ဆေ့ချ် အချက်အလက်',
+    readBy: 'ဖတ်ပြီးသူများ',
+    deliveredTo: 'ရောက်ရှိပြီးသူများ',
+    notDeliveredYet: 'မရောက်ရှိသေးပါ',
+    noReceiptsYet: 'ဖတ်ရှုမှုမှတ်တမ်း မရှိသေးပါ',
+    isTyping: '{name} စာရိုက်နေသည်…',
+    severalTyping: '{count} ဦး စာရိုက်နေသည်…',
+
+    // Message Outbox
+    failedTapToRetry: 'မအောင်မြင်ပါ — ထပ်ကြိုးစားရန် နှိပ်ပါ',
+    messageNotSent: 'မက်ဆေ့ချ် မပို့ရသေးပါ',
+    messageNotSentMessage:
+      'ဤမက်ဆေ့ချ်ကို ပို့၍မရပါ။ ထပ်ကြိုးစားမလား သို့မဟုတ် ဖျက်မလား။',
+
+    // Scheduled Messages & Quiet Hours
+    scheduleMessage: 'မက်ဆေ့ချ် အချိန်သတ်မှတ်ရန်',
+    editScheduledMessage: 'အချိန်သတ်မှတ်ထားသော မက်ဆေ့ချ်ကို ပြင်ရန်',
+    selectConversation: 'စကားဝိုင်း',
+    messageContent: 'မက်ဆေ့ချ်',
+    sendAt: 'ပို့မည့်အချိန်',
+    schedule: 'အချိန်သတ်မှတ်ရန်',
+    chooseFutureTime: 'အနာဂတ်အချိန်တစ်ခုကို ရွေးပါ။',
+    failedToScheduleMessage: 'မက်ဆေ့ချ်ကို အချိန်သတ်မှတ်၍ မရပါ',
+    sendTimeInQuietHours: 'ဤအချိန်သည် ကျောင်း၏ တိတ်ဆိတ်ချိန်အတွင်း ဖြစ်သည်။',
+    scheduledMessagesCount: 'အချိန်သတ်မှတ်ထားသည် ({count})',
+    heldForQuietHours: 'တိတ်ဆိတ်ချိန်အတွက် ဆိုင်းငံ့ထားသည်',
+    messageScheduledFor: 'မက်ဆေ့ချ်ကို {time} တွင် ပို့ရန် သတ်မှတ်ပြီးပါပြီ',
+    cancelScheduledMessage: 'အချိန်သတ်မှတ်ထားသော မက်ဆေ့ချ်ကို ပယ်ဖျက်ရန်',
+    cancelScheduledMessageConfirm: 'ဤမက်ဆေ့ချ်ကို ပို့မည်မဟုတ်ပါ။ ဆက်လုပ်မလား။',
+    failedToCancelScheduledMessage:
+      'အချိန်သတ်မှတ်ထားသော မက်ဆေ့ချ်ကို ပယ်ဖျက်၍ မရပါ',
+    quietHours: 'တိတ်ဆိတ်ချိန်',
+    quietHoursMessage:
+      'ယခုသည် ကျောင်း၏ တိတ်ဆိတ်ချိန် ဖြစ်သည်။ ဤမက်ဆေ့ချ်ကို {time} အထိ ဆိုင်းငံ့မလား သို့မဟုတ် အရေးပေါ်အဖြစ် ယခုပို့မလား။',
+    sendNow: 'ယခုပို့ရန် (အရေးပေါ်)',
+    holdUntilMorning: 'မနက်အထိ ဆိုင်းငံ့ရန်',
+    messageHeld: 'သင်၏ မက်ဆေ့ချ်ကို {time} တွင် ပို့ပါမည်။',
+
+    // Message Templates
+    messageTemplates: 'မက်ဆေ့ချ် ပုံစံများ',
+    useTemplate: 'ပုံစံ အသုံးပြုရန်',
+    newTemplate: 'ပုံစံအသစ်',
+    editTemplate: 'ပုံစံကို ပြင်ရန်',
+    templateTitle: 'ခေါင်းစဉ်',
+    templatePlaceholdersHint:
+      'ထည့်ရန် နှိပ်ပါ။ လက်ခံသူတိုင်း ၎င်းတို့၏ အချက်အလက်ကို မြင်ရပါမည်။',
+    shareWithStaff: 'ဝန်ထမ်းအားလုံးနှင့် မျှဝေရန်',
+    sharedWithStaff: 'ဝန်ထမ်းများနှင့် မျှဝေထားသည်',
+    sharedBy: '{name} မှ မျှဝေထားသည်',
+    deleteTemplate: 'ပုံစံကို ဖျက်ရန်',
+    deleteTemplateConfirm:
+      'ဤပုံစံကို ဖျက်မလား။ မျှဝေထားသော ဝန်ထမ်းများ မမြင်ရတော့ပါ။',
+    failedToSaveTemplate: 'ပုံစံကို သိမ်းဆည်း၍ မရပါ',
+    failedToDeleteTemplate: 'ပုံစံကို ဖျက်၍ မရပါ',
+    chooseTemplateRecipients:
+      'စကားဝိုင်းများကို ရွေးပါ။ တစ်ခုစီအတွက် မက်ဆေ့ချ်ကို ဖြည့်ပေးပါမည်။',
+    templateMissingValues: '{placeholders} ကို ဖြည့်၍ မရပါ',
+    sendToCount: 'ပို့ရန် ({count})',
+    templateSentCount: 'စကားဝိုင်း {count} ခုသို့ မက်ဆေ့ချ် ပို့ပြီးပါပြီ',
+    templateNeedsStudents:
+      'ဤမက်ဆေ့ချ်တွင် {student_name} သို့မဟုတ် {class} ပါဝင်သည်။ အသုံးပြုသူတစ်ဦးချင်း သို့မဟုတ် စာသင်ခန်းသို့ ပို့ပါ။',
+    templateAbsenceTitle: 'ပျက်ကွက်မှု နောက်ဆက်တွဲ',
+    templateAbsenceBody:
+      'မိဘအား၊ {student_name} ({class}) သည် {date} တွင် ပျက်ကွက်ခဲ့ပါသည်။ ပျက်ကွက်ရသည့် အကြောင်းရင်းကို အသိပေးပါ။',
+    templateHomeworkTitle: 'အိမ်စာ သတိပေးချက်',
+    templateHomeworkBody:
+      'သတိပေးချက် - {student_name} တွင် {class} အတွက် {date} နောက်ဆုံးထား အိမ်စာ ရှိပါသည်။ အချိန်မီ အပ်နှံရန် ဂရုစိုက်ပေးပါ။',
+    templateEventTitle: 'ပွဲ အသိပေးချက်',
+    templateEventBody:
+      'မိဘအား၊ {class} တွင် {date} ၌ ကျောင်းပွဲ ရှိပါသည်။ {student_name} ကို တွေ့ရရန် မျှော်လင့်ပါသည်။',
   },
   zh: {
     // Common
@@ -2896,6 +3590,322 @@ const translations = {
     phoneOrEmergencyContactRequired: '需要电话号码或紧急联系方式',
     willUseEmergencyContact: '将使用紧急联系方式',
     willBeUsedAsPhone: '将用作电话号码',
+
+    // Offline Attendance Sync
+    attendanceSavedOffline: '已离线保存',
+    attendanceWillSyncLater: '考勤已保存在此设备上，恢复联网后将自动提交。',
+    attendanceSyncPending: '等待同步',
+    attendanceSyncing: '正在同步...',
+    attendanceSyncFailed: '同步失败',
+    attendanceSynced: '已同步',
+    attendanceSyncConflicts: '另一位教师也标记了 {count} 名学生，已保留您的标记。',
+
+    // App Lock
+    appLock: '应用锁',
+    autoLock: '自动锁定',
+    autoLockImmediately: '立即',
+    autoLockAfterMinutes: '在后台 {minutes} 分钟后',
+    guardianAccount: '监护人',
+    unlockWithBiometrics: '使用面容 ID / 指纹解锁',
+    enterPin: '输入 PIN 码',
+    createPin: '设置 {length} 位 PIN 码',
+    confirmPin: '再次输入 PIN 码',
+    pinMismatch: '两次输入的 PIN 码不一致，请重试。',
+    incorrectPin: 'PIN 码错误，还剩 {count} 次机会。',
+    tooManyAttempts: '尝试次数过多，请在 {seconds} 秒后重试。',
+    pinAttemptsExhausted: 'PIN 码错误次数过多。请重新登录以使用此账户。',
+    forgotPin: '忘记 PIN 码？',
+    forgotPinMessage: '要重置 PIN 码，需要退出此账户并重新登录。',
+    unlockAccount: '解锁 {name}',
+    noAccountsOnDevice: '此设备上没有已登录的账户',
+    lockEnabled: '已使用 PIN 码锁定',
+    lockDisabled: '未锁定',
+
+    // Session Expiry
+    sessionExpiredTitle: '会话已过期',
+    sessionExpiredMessage: '{name} 的会话已过期，请重新登录以继续。',
+    sessionExpiredLoginHint: '您的会话已过期，请输入密码重新登录。',
+
+    // What-If Grade Calculator
+    whatIf: '假设计算器',
+    whatIfDescription: '输入假设分数，查看科目平均分将如何变化。',
+    currentAverage: '当前平均分',
+    projectedAverage: '预计平均分',
+    ungradedAssessments: '未评分的评估',
+    addHypotheticalScore: '添加假设分数',
+    score: '分数',
+    outOf: '满分',
+    categoryBreakdown: '按评估类型',
+    lowestScoresDropped: '已去掉 {count} 个最低分',
+
+    // Bulk Grade Entry
+    allGrades: '所有年级',
+    comment: '评语',
+    selectAssessmentToGrade: '选择要录入成绩的评估',
+    noAssessmentsFound: '未找到评估',
+    maxScoreValue: '满分 {max}',
+    importCsv: '导入 CSV',
+    unsavedGradeChanges: '{count} 项未保存',
+    gradesSavedMessage: '已保存 {total} 个成绩中的 {saved} 个。',
+    gradesSaveErrors: '{count} 个成绩无法保存。',
+    failedToSaveGrades: '保存成绩失败',
+    fixInvalidGrades: '保存前请修正标记的成绩。',
+    invalidScore: '无效',
+    scoreAboveMax: '超过满分',
+    failedToLoadAssessments: '加载评估失败',
+    failedToLoadStudents: '加载学生失败',
+    csvImportPreview: '导入预览',
+    csvChangesCount: '{count} 项更改',
+    csvUnchangedCount: '{count} 名学生无变化',
+    csvUnmatchedRows: '未匹配到学生的行',
+    csvRowLabel: '第 {line} 行',
+    csvNoChanges: '该文件不会更改任何成绩。',
+    csvNoRows: 'CSV 文件中没有成绩行。',
+    csvMissingColumns: 'CSV 文件需要包含学生 ID 或姓名列以及分数列。',
+    csvInvalidValues: '部分数值无效，将在表格中标记，保存前必须修正。',
+    failedToReadCsv: '读取 CSV 文件失败',
+    applyImport: '应用',
+    discardChangesTitle: '放弃更改？',
+    discardChangesMessage: '您有未保存的成绩。确定不保存就离开吗？',
+    discard: '放弃',
+
+    // Signed Pickup QR Codes
+    qrRefreshesIn: '{seconds} 秒后更新二维码',
+    qrCodeExpired: '已过期',
+    qrCodeExpiredMessage: '此二维码已过期。请对方出示应用中当前显示的二维码。',
+    qrCodeAlreadyUsed: '已使用',
+    qrCodeAlreadyUsedMessage: '此二维码已被扫描。请对方出示应用中当前显示的二维码。',
+    qrCodeInvalidMessage: '这不是有效的接送二维码。',
+    scanAgain: '重新扫描',
+
+    // Pickup Queue Board
+    atGate: '已到校门',
+    etaMinutes: '预计 {minutes} 分钟',
+    waitingMinutes: '已等待 {minutes} 分钟',
+    queueSortArrival: '到达顺序',
+    queueSortDistance: '距离',
+    selectAll: '全选',
+    clearSelection: '取消选择',
+    queueUpdatedAt: '更新于 {time}',
+    noWaitingPickups: '暂无等待接送的请求',
+    newPickupArrival: '新的接送到达',
+    newPickupArrivalCount: '{count} 个新的接送请求',
+    release: '放行',
+    releaseSelected: '放行 ({count})',
+    releaseStudentsTitle: '放行学生',
+    releaseStudentsMessage: '将所选的 {count} 名学生交给接送人？',
+    releaseResultMessage: '已放行 {count} 名学生。',
+    releaseFailedMessage: '{count} 名未能放行：',
+    waiting: '等待中',
+    processed: '已处理',
+
+    // Pickup Rules
+    pickupRules: '接送规则',
+    pickupRulesEdit: '规则',
+    pickupRulesExpired: '已过期',
+    pickupRulesNone: '任何孩子，任何时间',
+    pickupRulesChildren: '孩子：{names}',
+    pickupRulesDays: '日期：{days}',
+    pickupRulesTimes: '时间：{times}',
+    pickupRulesDates: '有效期：{from} – {until}',
+    pickupRulesOneTime: '一次性接送',
+    pickupRulesOneTimeUsed: '一次性接送（已使用）',
+    pickupRulesChildrenLabel: '孩子',
+    pickupRulesChildrenHint: '不选择则允许接送所有孩子',
+    pickupRulesDaysLabel: '日期',
+    pickupRulesDaysHint: '不选择则每天都允许',
+    pickupRulesTimeLabel: '时间',
+    pickupRulesTimeHint: '不选择则任何时间都允许',
+    pickupRulesTimeIncomplete: '请同时选择开始和结束时间',
+    pickupRulesDatesLabel: '有效日期',
+    pickupRulesDatesHint: '不选择则没有开始或结束日期',
+    pickupRulesOneTimeLabel: '一次性接送',
+    pickupRulesOneTimeHint: '首次接送后授权结束',
+    pickupRulesRemove: '移除规则',
+    pickupRulesRemoveMessage: '该监护人将可以随时接送您的任何孩子。',
+    pickupRulesSaved: '接送规则已保存',
+    failedToSavePickupRules: '保存接送规则失败',
+    weekdayMon: '周一',
+    weekdayTue: '周二',
+    weekdayWed: '周三',
+    weekdayThu: '周四',
+    weekdayFri: '周五',
+    weekdaySat: '周六',
+    weekdaySun: '周日',
+
+    // Homework Drafts and Uploads
+    draftSaved: '草稿已保存在此设备上',
+    uploadCancelled: '上传已取消',
+    retryUpload: '重试',
+    resumeUpload: '继续上传',
+    waitForFileUpload: '请等待文件上传完成，或重试上传。',
+
+    // Homework Late Policy & Reminders
+    latePolicy: '逾期提交',
+    latePolicyAccept: '接受逾期作业',
+    latePolicyAcceptUntil: '在指定日期前接受逾期作业',
+    latePolicyPenalty: '每逾期一天扣分',
+    latePolicyReject: '不接受逾期作业',
+    acceptLateUntilLabel: '接受逾期作业的最后一天',
+    selectDate: '选择日期',
+    penaltyPerDay: '每逾期一天扣分 (%)',
+    gracePeriodHours: '宽限期（小时）',
+    latePolicyAcceptDescription: '接受逾期作业',
+    latePolicyAcceptUntilDescription: '{date} 前接受逾期作业',
+    latePolicyPenaltyDescription: '每逾期一天扣 {percent}%（最多 {max}%）',
+    latePolicyRejectDescription: '不接受逾期作业',
+    latePolicyGraceDescription: '（宽限期 {hours} 小时后）',
+    lateLabel: '逾期',
+    lateDays: '{days} 天',
+    lateNotAccepted: '不予接受',
+    lateSubmissionNotAccepted: '截止日期已过，此作业不再接受逾期提交。',
+    homeworkReminders: '截止日期提醒',
+    homeworkRemindersDescription: '在作业截止前提醒我',
+    reminderDaysBefore: '提前 {days} 天',
+    reminderHoursBefore: '提前 {hours} 小时',
+
+    // Homework Rubrics
+    rubricScore: '{score} / {max} 分',
+    rubricPoints: '{points} 分',
+    rubricLevelExcellent: '优秀',
+    rubricLevelGood: '良好',
+    rubricLevelSatisfactory: '合格',
+    rubricLevelNeedsImprovement: '需要改进',
+    editRubric: '编辑评分标准',
+    newRubric: '新建评分标准',
+    rubricMaxPoints: '最高 {max} 分',
+    rubricTitlePlaceholder: '评分标准名称，例如：议论文',
+    rubricCriterion: '评分项 {number}',
+    rubricCriterionPlaceholder: '评估内容，例如：结构',
+    rubricLevelPlaceholder: '等级',
+    addRubricLevel: '添加等级',
+    addRubricCriterion: '添加评分项',
+    saveRubricToLibrary: '保存到库',
+    failedToLoadRubrics: '加载评分标准失败',
+    failedToSaveRubric: '保存评分标准失败',
+    failedToDeleteRubric: '删除评分标准失败',
+    deleteRubric: '删除评分标准',
+    deleteRubricMessage: '从库中删除“{title}”？已使用它的作业会保留副本。',
+    rubricSummary: '{criteria} 个评分项 · {max} 分',
+    rubricLibrary: '评分标准库',
+    noRubricsYet: '还没有评分标准。创建一个即可在各班级重复使用。',
+    rubricOptional: '评分标准（可选）',
+    changeRubric: '更换',
+    removeRubric: '移除',
+    attachRubric: '从库中选择评分标准',
+    rubricHint: '通过为每个评分项选择等级来评分',
+    rubricScoreTitle: '评分标准得分：',
+
+    // Homework Annotations
+    annotateFile: '批注文件',
+    annotatedFeedback: '批注反馈',
+    viewAnnotatedFeedback: '查看老师在你文件上的批注',
+    annotationPage: '第 {page} 页，共 {total} 页',
+    annotationPen: '画笔',
+    annotationHighlighter: '荧光笔',
+    annotationPin: '评论图钉',
+    undo: '撤销',
+    annotationCommentPlaceholder: '此处的评论',
+    addAnnotationComment: '添加',
+    saveAnnotations: '保存为反馈',
+    discardAnnotations: '放弃批注？',
+    discardAnnotationsMessage: '此文件上未保存的批注将丢失。',
+    failedToSaveAnnotations: '保存批注失败',
+    failedToLoadFilePages: '加载文件失败',
+    fileCannotBeAnnotated: '只能批注图片和 PDF',
+
+    // Submission Comments
+    submissionComments: '评论',
+    noSubmissionComments: '暂无评论',
+    writeSubmissionComment: '写评论...',
+    you: '你',
+    attachment: '附件',
+    failedToAttachFile: '附加文件失败',
+    failedToSendComment: '发送评论失败',
+    unableToOpenFile: '无法打开文件',
+
+    // Similarity Check
+    similarityCheck: '相似度检查',
+    checkingSimilarity: '正在比较提交内容...',
+    failedToLoadSubmissions: '加载提交内容失败',
+    similaritySummary: '已比较 {compared} 份答案，{flagged} 对相似',
+    similaritySkipped: '{count} 份答案太短，无法比较',
+    similarityExplanation: '分数表示较短答案中有多少内容也出现在另一份答案中。作业本身的文字不计入。请先查看高亮段落再下结论。',
+    noSimilarSubmissions: '未发现相似的提交内容',
+
+    // Message Replies, Reactions and Forwarding
+    reply: '回复',
+    forward: '转发',
+    forwarded: '已转发',
+    replyingTo: '回复 {name}',
+    forwardMessage: '转发消息',
+    searchConversations: '搜索对话',
+    noConversations: '没有其他对话',
+    messageForwarded: '消息已转发',
+    failedToForwardMessage: '转发消息失败',
+    failedToReact: '添加表情回应失败',
+
+    // Typing Indicators and Read Receipts
+    messageInfo: '消息详情',
+    readBy: '已读',
+    deliveredTo: '已送达',
+    notDeliveredYet: '尚未送达',
+    noReceiptsYet: '暂无已读回执',
+    isTyping: '{name} 正在输入…',
+    severalTyping: '{count} 人正在输入…',
+
+    // Message Outbox
+    failedTapToRetry: '发送失败 — 点按重试',
+    messageNotSent: '消息未发送',
+    messageNotSentMessage: '此消息无法发送。要重试还是删除？',
+
+    // Scheduled Messages & Quiet Hours
+    scheduleMessage: '定时发送消息',
+    editScheduledMessage: '编辑定时消息',
+    selectConversation: '对话',
+    messageContent: '消息',
+    sendAt: '发送时间',
+    schedule: '定时',
+    chooseFutureTime: '请选择将来的时间。',
+    failedToScheduleMessage: '定时消息失败',
+    sendTimeInQuietHours: '该时间处于学校的免打扰时段内。',
+    scheduledMessagesCount: '定时消息（{count}）',
+    heldForQuietHours: '因免打扰时段暂缓发送',
+    messageScheduledFor: '消息将于 {time} 发送',
+    cancelScheduledMessage: '取消定时消息',
+    cancelScheduledMessageConfirm: '此消息将不会被发送。是否继续？',
+    failedToCancelScheduledMessage: '取消定时消息失败',
+    quietHours: '免打扰时段',
+    quietHoursMessage: '现在是学校的免打扰时段。要将此消息暂缓到 {time}，还是作为紧急消息立即发送？',
+    sendNow: '立即发送（紧急）',
+    holdUntilMorning: '暂缓至早上',
+    messageHeld: '您的消息将于 {time} 发送。',
+
+    // Message Templates
+    messageTemplates: '消息模板',
+    useTemplate: '使用模板',
+    newTemplate: '新建模板',
+    editTemplate: '编辑模板',
+    templateTitle: '标题',
+    templatePlaceholdersHint: '点按插入。每位收件人会看到自己的信息。',
+    shareWithStaff: '与所有教职工共享',
+    sharedWithStaff: '已与教职工共享',
+    sharedBy: '由 {name} 共享',
+    deleteTemplate: '删除模板',
+    deleteTemplateConfirm: '删除此模板？共享的教职工将无法再看到它。',
+    failedToSaveTemplate: '保存模板失败',
+    failedToDeleteTemplate: '删除模板失败',
+    chooseTemplateRecipients: '选择对话。消息会为每个对话分别填写。',
+    templateMissingValues: '无法填写 {placeholders}',
+    sendToCount: '发送（{count}）',
+    templateSentCount: '消息已发送到 {count} 个对话',
+    templateNeedsStudents: '此消息使用了 {student_name} 或 {class}。请发送给单个用户或班级。',
+    templateAbsenceTitle: '缺勤跟进',
+    templateAbsenceBody: '尊敬的家长，{student_name}（{class}）于 {date} 缺勤。请告知缺勤原因。',
+    templateHomeworkTitle: '作业提醒',
+    templateHomeworkBody: '提醒：{student_name} 的 {class} 作业将于 {date} 到期。请确保按时提交。',
+    templateEventTitle: '活动通知',
+    templateEventBody: '尊敬的家长，{class} 将于 {date} 举行学校活动。期待 {student_name} 的参与。',
   },
   th: {
     // Common
@@ -3764,6 +4774,344 @@ const translations = {
       'ต้องการหมายเลขโทรศัพท์หรือการติดต่อฉุกเฉิน',
     willUseEmergencyContact: 'จะใช้การติดต่อฉุกเฉิน',
     willBeUsedAsPhone: 'จะใช้เป็นหมายเลขโทรศัพท์',
+
+    // Offline Attendance Sync
+    attendanceSavedOffline: 'บันทึกแบบออฟไลน์แล้ว',
+    attendanceWillSyncLater:
+      'บันทึกการเข้าเรียนไว้ในอุปกรณ์นี้แล้ว และจะส่งโดยอัตโนมัติเมื่อกลับมาออนไลน์',
+    attendanceSyncPending: 'รอซิงค์',
+    attendanceSyncing: 'กำลังซิงค์...',
+    attendanceSyncFailed: 'ซิงค์ไม่สำเร็จ',
+    attendanceSynced: 'ซิงค์แล้ว',
+    attendanceSyncConflicts:
+      'นักเรียน {count} คนถูกบันทึกโดยครูท่านอื่นด้วย ระบบเก็บการบันทึกของคุณไว้',
+
+    // App Lock
+    appLock: 'ล็อกแอป',
+    autoLock: 'ล็อกอัตโนมัติ',
+    autoLockImmediately: 'ทันที',
+    autoLockAfterMinutes: 'หลังจากอยู่เบื้องหลัง {minutes} นาที',
+    guardianAccount: 'ผู้ปกครอง',
+    unlockWithBiometrics: 'ปลดล็อกด้วย Face ID / ลายนิ้วมือ',
+    enterPin: 'ใส่ PIN',
+    createPin: 'ตั้ง PIN {length} หลัก',
+    confirmPin: 'ใส่ PIN อีกครั้ง',
+    pinMismatch: 'PIN ไม่ตรงกัน กรุณาลองอีกครั้ง',
+    incorrectPin: 'PIN ไม่ถูกต้อง เหลืออีก {count} ครั้ง',
+    tooManyAttempts: 'ลองผิดหลายครั้งเกินไป กรุณาลองใหม่ใน {seconds} วินาที',
+    pinAttemptsExhausted:
+      'ใส่ PIN ผิดหลายครั้งเกินไป โปรดเข้าสู่ระบบอีกครั้งเพื่อใช้บัญชีนี้',
+    forgotPin: 'ลืม PIN?',
+    forgotPinMessage:
+      'หากต้องการรีเซ็ต PIN คุณต้องออกจากระบบบัญชีนี้และเข้าสู่ระบบอีกครั้ง',
+    unlockAccount: 'ปลดล็อก {name}',
+    noAccountsOnDevice: 'ไม่มีบัญชีที่เข้าสู่ระบบในอุปกรณ์นี้',
+    lockEnabled: 'ล็อกด้วย PIN แล้ว',
+    lockDisabled: 'ไม่ได้ล็อก',
+
+    // Session Expiry
+    sessionExpiredTitle: 'เซสชันหมดอายุ',
+    sessionExpiredMessage:
+      'เซสชันของ {name} หมดอายุแล้ว กรุณาเข้าสู่ระบบอีกครั้งเพื่อดำเนินการต่อ',
+    sessionExpiredLoginHint:
+      'เซสชันของคุณหมดอายุแล้ว กรุณาใส่รหัสผ่านเพื่อเข้าสู่ระบบอีกครั้ง',
+
+    // What-If Grade Calculator
+    whatIf: 'เครื่องคำนวณสมมติ',
+    whatIfDescription:
+      'ใส่คะแนนสมมติเพื่อดูว่าค่าเฉลี่ยของวิชาจะเปลี่ยนไปอย่างไร',
+    currentAverage: 'ค่าเฉลี่ยปัจจุบัน',
+    projectedAverage: 'ค่าเฉลี่ยที่คาดการณ์',
+    ungradedAssessments: 'การประเมินที่ยังไม่ได้ให้คะแนน',
+    addHypotheticalScore: 'เพิ่มคะแนนสมมติ',
+    score: 'คะแนน',
+    outOf: 'คะแนนเต็ม',
+    categoryBreakdown: 'ตามประเภทการประเมิน',
+    lowestScoresDropped: 'ตัดคะแนนต่ำสุด {count} รายการ',
+
+    // Bulk Grade Entry
+    allGrades: 'ทุกระดับชั้น',
+    comment: 'ความคิดเห็น',
+    selectAssessmentToGrade: 'เลือกการประเมินเพื่อกรอกคะแนน',
+    noAssessmentsFound: 'ไม่พบการประเมิน',
+    maxScoreValue: 'สูงสุด {max}',
+    importCsv: 'นำเข้า CSV',
+    unsavedGradeChanges: 'ยังไม่บันทึก {count}',
+    gradesSavedMessage: 'บันทึกคะแนนแล้ว {saved} จาก {total}',
+    gradesSaveErrors: 'ไม่สามารถบันทึกคะแนน {count} รายการ',
+    failedToSaveGrades: 'บันทึกคะแนนไม่สำเร็จ',
+    fixInvalidGrades: 'โปรดแก้ไขคะแนนที่ไฮไลต์ก่อนบันทึก',
+    invalidScore: 'ไม่ถูกต้อง',
+    scoreAboveMax: 'เกินคะแนนเต็ม',
+    failedToLoadAssessments: 'โหลดการประเมินไม่สำเร็จ',
+    failedToLoadStudents: 'โหลดรายชื่อนักเรียนไม่สำเร็จ',
+    csvImportPreview: 'ตัวอย่างการนำเข้า',
+    csvChangesCount: 'เปลี่ยนแปลง {count} รายการ',
+    csvUnchangedCount: 'นักเรียน {count} คนไม่เปลี่ยนแปลง',
+    csvUnmatchedRows: 'แถวที่ไม่ตรงกับนักเรียน',
+    csvRowLabel: 'แถว {line}',
+    csvNoChanges: 'ไฟล์นี้ไม่ได้เปลี่ยนคะแนนใด ๆ',
+    csvNoRows: 'ไฟล์ CSV ไม่มีแถวคะแนน',
+    csvMissingColumns:
+      'ไฟล์ CSV ต้องมีคอลัมน์รหัสหรือชื่อนักเรียนและคอลัมน์คะแนน',
+    csvInvalidValues:
+      'ค่าบางค่าไม่ถูกต้อง จะถูกไฮไลต์ในตารางและต้องแก้ไขก่อนบันทึก',
+    failedToReadCsv: 'อ่านไฟล์ CSV ไม่สำเร็จ',
+    applyImport: 'นำไปใช้',
+    discardChangesTitle: 'ยกเลิกการเปลี่ยนแปลง?',
+    discardChangesMessage: 'คุณมีคะแนนที่ยังไม่บันทึก ออกโดยไม่บันทึกหรือไม่?',
+    discard: 'ละทิ้ง',
+
+    // Signed Pickup QR Codes
+    qrRefreshesIn: 'รหัสใหม่ใน {seconds} วินาที',
+    qrCodeExpired: 'หมดอายุแล้ว',
+    qrCodeExpiredMessage:
+      'QR โค้ดนี้หมดอายุแล้ว โปรดขอรหัสที่แสดงอยู่ในแอปขณะนี้',
+    qrCodeAlreadyUsed: 'ใช้แล้ว',
+    qrCodeAlreadyUsedMessage:
+      'QR โค้ดนี้ถูกสแกนแล้ว โปรดขอรหัสที่แสดงอยู่ในแอปขณะนี้',
+    qrCodeInvalidMessage: 'นี่ไม่ใช่ QR โค้ดรับนักเรียนที่ถูกต้อง',
+    scanAgain: 'สแกนอีกครั้ง',
+
+    // Pickup Queue Board
+    atGate: 'ถึงประตูแล้ว',
+    etaMinutes: 'อีก {minutes} นาที',
+    waitingMinutes: 'รอ {minutes} นาที',
+    queueSortArrival: 'ตามเวลามาถึง',
+    queueSortDistance: 'ตามระยะทาง',
+    selectAll: 'เลือกทั้งหมด',
+    clearSelection: 'ล้างการเลือก',
+    queueUpdatedAt: 'อัปเดตเมื่อ {time}',
+    noWaitingPickups: 'ไม่มีผู้รอรับนักเรียน',
+    newPickupArrival: 'มีผู้มารับใหม่',
+    newPickupArrivalCount: 'คำขอรับใหม่ {count} รายการ',
+    release: 'ปล่อยตัว',
+    releaseSelected: 'ปล่อยตัว ({count})',
+    releaseStudentsTitle: 'ปล่อยตัวนักเรียน',
+    releaseStudentsMessage:
+      'ปล่อยตัวนักเรียนที่เลือก {count} คนให้ผู้มารับหรือไม่?',
+    releaseResultMessage: 'ปล่อยตัวนักเรียนแล้ว {count} คน',
+    releaseFailedMessage: 'ปล่อยตัวไม่สำเร็จ {count} คน:',
+    waiting: 'กำลังรอ',
+    processed: 'ดำเนินการแล้ว',
+
+    // Pickup Rules
+    pickupRules: 'กฎการรับนักเรียน',
+    pickupRulesEdit: 'กฎ',
+    pickupRulesExpired: 'หมดอายุ',
+    pickupRulesNone: 'เด็กทุกคน ทุกเวลา',
+    pickupRulesChildren: 'เด็ก: {names}',
+    pickupRulesDays: 'วัน: {days}',
+    pickupRulesTimes: 'เวลา: {times}',
+    pickupRulesDates: 'ใช้ได้: {from} – {until}',
+    pickupRulesOneTime: 'รับได้ครั้งเดียว',
+    pickupRulesOneTimeUsed: 'รับได้ครั้งเดียว (ใช้แล้ว)',
+    pickupRulesChildrenLabel: 'เด็ก',
+    pickupRulesChildrenHint: 'ไม่ต้องเลือกเพื่ออนุญาตเด็กทุกคน',
+    pickupRulesDaysLabel: 'วัน',
+    pickupRulesDaysHint: 'ไม่ต้องเลือกเพื่ออนุญาตทุกวัน',
+    pickupRulesTimeLabel: 'เวลา',
+    pickupRulesTimeHint: 'ไม่ต้องเลือกเพื่ออนุญาตทุกเวลา',
+    pickupRulesTimeIncomplete: 'กรุณาเลือกทั้งเวลาเริ่มและเวลาสิ้นสุด',
+    pickupRulesDatesLabel: 'วันที่ใช้ได้',
+    pickupRulesDatesHint: 'ไม่ต้องเลือกหากไม่มีวันเริ่มหรือวันสิ้นสุด',
+    pickupRulesOneTimeLabel: 'รับได้ครั้งเดียว',
+    pickupRulesOneTimeHint: 'สิทธิ์สิ้นสุดหลังการรับครั้งแรก',
+    pickupRulesRemove: 'ลบกฎ',
+    pickupRulesRemoveMessage: 'ผู้ปกครองคนนี้จะรับบุตรของคุณได้ทุกคนทุกเวลา',
+    pickupRulesSaved: 'บันทึกกฎการรับแล้ว',
+    failedToSavePickupRules: 'บันทึกกฎการรับไม่สำเร็จ',
+    weekdayMon: 'จ.',
+    weekdayTue: 'อ.',
+    weekdayWed: 'พ.',
+    weekdayThu: 'พฤ.',
+    weekdayFri: 'ศ.',
+    weekdaySat: 'ส.',
+    weekdaySun: 'อา.',
+
+    // Homework Drafts and Uploads
+    draftSaved: 'บันทึกฉบับร่างไว้ในอุปกรณ์นี้แล้ว',
+    uploadCancelled: 'ยกเลิกการอัปโหลดแล้ว',
+    retryUpload: 'ลองใหม่',
+    resumeUpload: 'อัปโหลดต่อ',
+    waitForFileUpload: 'กรุณารอให้อัปโหลดไฟล์เสร็จ หรือลองอัปโหลดใหม่',
+
+    // Homework Late Policy & Reminders
+    latePolicy: 'การส่งงานล่าช้า',
+    latePolicyAccept: 'รับงานที่ส่งล่าช้า',
+    latePolicyAcceptUntil: 'รับงานล่าช้าจนถึงวันที่กำหนด',
+    latePolicyPenalty: 'หักคะแนนต่อวันที่ล่าช้า',
+    latePolicyReject: 'ไม่รับงานที่ส่งล่าช้า',
+    acceptLateUntilLabel: 'วันสุดท้ายที่รับงานล่าช้า',
+    selectDate: 'เลือกวันที่',
+    penaltyPerDay: 'หักคะแนนต่อวันที่ล่าช้า (%)',
+    gracePeriodHours: 'ระยะผ่อนผัน (ชั่วโมง)',
+    latePolicyAcceptDescription: 'รับงานที่ส่งล่าช้า',
+    latePolicyAcceptUntilDescription: 'รับงานล่าช้าจนถึง {date}',
+    latePolicyPenaltyDescription:
+      'หัก {percent}% ต่อวันที่ล่าช้า (สูงสุด {max}%)',
+    latePolicyRejectDescription: 'ไม่รับงานที่ส่งล่าช้า',
+    latePolicyGraceDescription: ' หลังระยะผ่อนผัน {hours} ชั่วโมง',
+    lateLabel: 'ล่าช้า',
+    lateDays: '{days} วัน',
+    lateNotAccepted: 'ไม่รับ',
+    lateSubmissionNotAccepted:
+      'เลยกำหนดส่งแล้ว งานนี้ไม่รับการส่งล่าช้าอีกต่อไป',
+    homeworkReminders: 'การเตือนกำหนดส่ง',
+    homeworkRemindersDescription: 'เตือนก่อนถึงกำหนดส่งการบ้าน',
+    reminderDaysBefore: 'ก่อน {days} วัน',
+    reminderHoursBefore: 'ก่อน {hours} ชม.',
+
+    // Homework Rubrics
+    rubricScore: '{score} / {max} คะแนน',
+    rubricPoints: '{points} คะแนน',
+    rubricLevelExcellent: 'ดีเยี่ยม',
+    rubricLevelGood: 'ดี',
+    rubricLevelSatisfactory: 'พอใช้',
+    rubricLevelNeedsImprovement: 'ต้องปรับปรุง',
+    editRubric: 'แก้ไขเกณฑ์การให้คะแนน',
+    newRubric: 'เกณฑ์การให้คะแนนใหม่',
+    rubricMaxPoints: 'สูงสุด {max} คะแนน',
+    rubricTitlePlaceholder: 'ชื่อเกณฑ์ เช่น เรียงความโน้มน้าวใจ',
+    rubricCriterion: 'เกณฑ์ที่ {number}',
+    rubricCriterionPlaceholder: 'สิ่งที่ประเมิน เช่น โครงสร้าง',
+    rubricLevelPlaceholder: 'ระดับ',
+    addRubricLevel: 'เพิ่มระดับ',
+    addRubricCriterion: 'เพิ่มเกณฑ์',
+    saveRubricToLibrary: 'บันทึกลงคลัง',
+    failedToLoadRubrics: 'โหลดเกณฑ์การให้คะแนนไม่สำเร็จ',
+    failedToSaveRubric: 'บันทึกเกณฑ์การให้คะแนนไม่สำเร็จ',
+    failedToDeleteRubric: 'ลบเกณฑ์การให้คะแนนไม่สำเร็จ',
+    deleteRubric: 'ลบเกณฑ์การให้คะแนน',
+    deleteRubricMessage:
+      'ลบ "{title}" ออกจากคลังหรือไม่? การบ้านที่ใช้อยู่แล้วจะเก็บสำเนาไว้',
+    rubricSummary: '{criteria} เกณฑ์ · {max} คะแนน',
+    rubricLibrary: 'คลังเกณฑ์การให้คะแนน',
+    noRubricsYet: 'ยังไม่มีเกณฑ์การให้คะแนน สร้างเพื่อใช้ซ้ำในทุกชั้นเรียน',
+    rubricOptional: 'เกณฑ์การให้คะแนน (ไม่บังคับ)',
+    changeRubric: 'เปลี่ยน',
+    removeRubric: 'นำออก',
+    attachRubric: 'เลือกเกณฑ์จากคลังของคุณ',
+    rubricHint: 'ให้คะแนนโดยเลือกระดับของแต่ละเกณฑ์',
+    rubricScoreTitle: 'คะแนนตามเกณฑ์:',
+
+    // Homework Annotations
+    annotateFile: 'ใส่คำอธิบายประกอบไฟล์',
+    annotatedFeedback: 'ความคิดเห็นพร้อมคำอธิบายประกอบ',
+    viewAnnotatedFeedback: 'ดูสิ่งที่ครูทำเครื่องหมายไว้บนไฟล์ของคุณ',
+    annotationPage: 'หน้า {page} จาก {total}',
+    annotationPen: 'ปากกา',
+    annotationHighlighter: 'ปากกาเน้นข้อความ',
+    annotationPin: 'หมุดความคิดเห็น',
+    undo: 'เลิกทำ',
+    annotationCommentPlaceholder: 'ความคิดเห็นสำหรับจุดนี้',
+    addAnnotationComment: 'เพิ่ม',
+    saveAnnotations: 'บันทึกเป็นความคิดเห็น',
+    discardAnnotations: 'ยกเลิกคำอธิบายประกอบหรือไม่?',
+    discardAnnotationsMessage: 'เครื่องหมายที่ยังไม่ได้บันทึกบนไฟล์นี้จะหายไป',
+    failedToSaveAnnotations: 'บันทึกคำอธิบายประกอบไม่สำเร็จ',
+    failedToLoadFilePages: 'โหลดไฟล์ไม่สำเร็จ',
+    fileCannotBeAnnotated: 'ใส่คำอธิบายประกอบได้เฉพาะรูปภาพและ PDF',
+
+    // Submission Comments
+    submissionComments: 'ความคิดเห็น',
+    noSubmissionComments: 'ยังไม่มีความคิดเห็น',
+    writeSubmissionComment: 'เขียนความคิดเห็น...',
+    you: 'คุณ',
+    attachment: 'ไฟล์แนบ',
+    failedToAttachFile: 'แนบไฟล์ไม่สำเร็จ',
+    failedToSendComment: 'ส่งความคิดเห็นไม่สำเร็จ',
+    unableToOpenFile: 'ไม่สามารถเปิดไฟล์ได้',
+
+    // Similarity Check
+    similarityCheck: 'ตรวจความคล้ายคลึง',
+    checkingSimilarity: 'กำลังเปรียบเทียบงานที่ส่ง...',
+    failedToLoadSubmissions: 'โหลดงานที่ส่งไม่สำเร็จ',
+    similaritySummary:
+      'เปรียบเทียบ {compared} คำตอบ พบคู่ที่คล้ายกัน {flagged} คู่',
+    similaritySkipped: '{count} คำตอบสั้นเกินไปที่จะเปรียบเทียบ',
+    similarityExplanation:
+      'คะแนนแสดงว่าคำตอบที่สั้นกว่ามีส่วนที่ปรากฏในอีกคำตอบมากเพียงใด ข้อความจากตัวงานจะไม่นำมาคิด โปรดตรวจข้อความที่ไฮไลต์ก่อนสรุปผล',
+    noSimilarSubmissions: 'ไม่พบงานที่คล้ายกัน',
+
+    // Message Replies, Reactions and Forwarding
+    reply: 'ตอบกลับ',
+    forward: 'ส่งต่อ',
+    forwarded: 'ส่งต่อแล้ว',
+    replyingTo: 'กำลังตอบกลับ {name}',
+    forwardMessage: 'ส่งต่อข้อความ',
+    searchConversations: 'ค้นหาการสนทนา',
+    noConversations: 'ไม่มีการสนทนาอื่น',
+    messageForwarded: 'ส่งต่อข้อความแล้ว',
+    failedToForwardMessage: 'ส่งต่อข้อความไม่สำเร็จ',
+    failedToReact: 'เพิ่มรีแอคชันไม่สำเร็จ',
+
+    // Typing Indicators and Read Receipts
+    messageInfo: 'ข้อมูลข้อความ',
+    readBy: 'อ่านโดย',
+    deliveredTo: 'ส่งถึง',
+    notDeliveredYet: 'ยังไม่ได้ส่งถึง',
+    noReceiptsYet: 'ยังไม่มีการแจ้งการอ่าน',
+    isTyping: '{name} กำลังพิมพ์…',
+    severalTyping: '{count} คนกำลังพิมพ์…',
+
+    // Message Outbox
+    failedTapToRetry: 'ส่งไม่สำเร็จ — แตะเพื่อลองใหม่',
+    messageNotSent: 'ยังไม่ได้ส่งข้อความ',
+    messageNotSentMessage: 'ไม่สามารถส่งข้อความนี้ได้ ลองใหม่หรือลบทิ้ง?',
+
+    // Scheduled Messages & Quiet Hours
+    scheduleMessage: 'ตั้งเวลาส่งข้อความ',
+    editScheduledMessage: 'แก้ไขข้อความที่ตั้งเวลาไว้',
+    selectConversation: 'การสนทนา',
+    messageContent: 'ข้อความ',
+    sendAt: 'ส่งเวลา',
+    schedule: 'ตั้งเวลา',
+    chooseFutureTime: 'โปรดเลือกเวลาในอนาคต',
+    failedToScheduleMessage: 'ตั้งเวลาส่งข้อความไม่สำเร็จ',
+    sendTimeInQuietHours: 'เวลานี้อยู่ในช่วงเวลาเงียบของโรงเรียน',
+    scheduledMessagesCount: 'ตั้งเวลาไว้ ({count})',
+    heldForQuietHours: 'รอจนหมดช่วงเวลาเงียบ',
+    messageScheduledFor: 'ตั้งเวลาส่งข้อความไว้ที่ {time}',
+    cancelScheduledMessage: 'ยกเลิกข้อความที่ตั้งเวลาไว้',
+    cancelScheduledMessageConfirm: 'ข้อความนี้จะไม่ถูกส่ง ดำเนินการต่อหรือไม่?',
+    failedToCancelScheduledMessage: 'ยกเลิกข้อความที่ตั้งเวลาไว้ไม่สำเร็จ',
+    quietHours: 'ช่วงเวลาเงียบ',
+    quietHoursMessage:
+      'ขณะนี้อยู่ในช่วงเวลาเงียบของโรงเรียน จะพักข้อความนี้ไว้จนถึง {time} หรือส่งทันทีในฐานะเรื่องด่วน?',
+    sendNow: 'ส่งเดี๋ยวนี้ (ด่วน)',
+    holdUntilMorning: 'พักไว้จนถึงเช้า',
+    messageHeld: 'ข้อความของคุณจะถูกส่งเวลา {time}',
+
+    // Message Templates
+    messageTemplates: 'แม่แบบข้อความ',
+    useTemplate: 'ใช้แม่แบบ',
+    newTemplate: 'แม่แบบใหม่',
+    editTemplate: 'แก้ไขแม่แบบ',
+    templateTitle: 'ชื่อ',
+    templatePlaceholdersHint: 'แตะเพื่อแทรก ผู้รับแต่ละคนจะเห็นข้อมูลของตนเอง',
+    shareWithStaff: 'แชร์กับบุคลากรทั้งหมด',
+    sharedWithStaff: 'แชร์กับบุคลากรแล้ว',
+    sharedBy: 'แชร์โดย {name}',
+    deleteTemplate: 'ลบแม่แบบ',
+    deleteTemplateConfirm: 'ลบแม่แบบนี้? บุคลากรที่แชร์ไว้จะไม่เห็นอีกต่อไป',
+    failedToSaveTemplate: 'บันทึกแม่แบบไม่สำเร็จ',
+    failedToDeleteTemplate: 'ลบแม่แบบไม่สำเร็จ',
+    chooseTemplateRecipients: 'เลือกการสนทนา ระบบจะเติมข้อความให้แต่ละรายการ',
+    templateMissingValues: 'ไม่สามารถเติม {placeholders}',
+    sendToCount: 'ส่ง ({count})',
+    templateSentCount: 'ส่งข้อความไปยัง {count} การสนทนาแล้ว',
+    templateNeedsStudents:
+      'ข้อความนี้ใช้ {student_name} หรือ {class} โปรดส่งถึงผู้ใช้รายบุคคลหรือห้องเรียน',
+    templateAbsenceTitle: 'ติดตามการขาดเรียน',
+    templateAbsenceBody:
+      'เรียนผู้ปกครอง {student_name} ({class}) ขาดเรียนเมื่อวันที่ {date} โปรดแจ้งเหตุผลของการขาดเรียน',
+    templateHomeworkTitle: 'แจ้งเตือนการบ้าน',
+    templateHomeworkBody:
+      'แจ้งเตือน: {student_name} มีการบ้านวิชา {class} ครบกำหนดวันที่ {date} โปรดส่งให้ตรงเวลา',
+    templateEventTitle: 'ประกาศกิจกรรม',
+    templateEventBody:
+      'เรียนผู้ปกครอง {class} มีกิจกรรมของโรงเรียนในวันที่ {date} เราหวังว่าจะได้พบ {student_name}',
   },
   km: {
     // Common
@@ -4244,6 +5592,350 @@ const translations = {
     phoneOrEmergencyContactRequired: 'ត្រូវការលេខទូរសព្ទ ឬ ការទាក់ទងបន្ទាន់',
     willUseEmergencyContact: 'នឹងប្រើការទាក់ទងបន្ទាន់',
     willBeUsedAsPhone: 'នឹងត្រូវបានប្រើជាទូរសព្ទ',
+
+    // Offline Attendance Sync
+    attendanceSavedOffline: 'បានរក្សាទុកក្រៅបណ្តាញ',
+    attendanceWillSyncLater:
+      'វត្តមានត្រូវបានរក្សាទុកនៅលើឧបករណ៍នេះ ហើយនឹងបញ្ជូនដោយស្វ័យប្រវត្តិនៅពេលអ្នកមានអ៊ីនធឺណិតវិញ។',
+    attendanceSyncPending: 'កំពុងរង់ចាំធ្វើសមកាលកម្ម',
+    attendanceSyncing: 'កំពុងធ្វើសមកាលកម្ម...',
+    attendanceSyncFailed: 'ធ្វើសមកាលកម្មបរាជ័យ',
+    attendanceSynced: 'បានធ្វើសមកាលកម្ម',
+    attendanceSyncConflicts:
+      'សិស្ស {count} នាក់ក៏ត្រូវបានកត់ត្រាដោយគ្រូម្នាក់ទៀតដែរ។ ការកត់ត្រារបស់អ្នកត្រូវបានរក្សាទុក។',
+
+    // App Lock
+    appLock: 'ចាក់សោកម្មវិធី',
+    autoLock: 'ចាក់សោស្វ័យប្រវត្តិ',
+    autoLockImmediately: 'ភ្លាមៗ',
+    autoLockAfterMinutes: 'បន្ទាប់ពី {minutes} នាទីនៅផ្ទៃខាងក្រោយ',
+    guardianAccount: 'អាណាព្យាបាល',
+    unlockWithBiometrics: 'ដោះសោដោយ Face ID / ស្នាមម្រាមដៃ',
+    enterPin: 'បញ្ចូល PIN',
+    createPin: 'ជ្រើសរើស PIN {length} ខ្ទង់',
+    confirmPin: 'បញ្ចូល PIN ម្តងទៀត',
+    pinMismatch: 'PIN មិនត្រូវគ្នា។ សូមព្យាយាមម្តងទៀត។',
+    incorrectPin: 'PIN មិនត្រឹមត្រូវ។ នៅសល់ {count} ដង។',
+    tooManyAttempts:
+      'ព្យាយាមច្រើនដងពេក។ សូមព្យាយាមម្តងទៀតក្នុងរយៈពេល {seconds} វិនាទី។',
+    pinAttemptsExhausted:
+      'PIN មិនត្រឹមត្រូវច្រើនដងពេក។ សូមចូលម្តងទៀតដើម្បីប្រើគណនីនេះ។',
+    forgotPin: 'ភ្លេច PIN?',
+    forgotPinMessage:
+      'ដើម្បីកំណត់ PIN ឡើងវិញ អ្នកត្រូវចាកចេញពីគណនីនេះ ហើយចូលម្តងទៀត។',
+    unlockAccount: 'ដោះសោ {name}',
+    noAccountsOnDevice: 'មិនមានគណនីដែលបានចូលនៅលើឧបករណ៍នេះទេ',
+    lockEnabled: 'បានចាក់សោដោយ PIN',
+    lockDisabled: 'មិនបានចាក់សោ',
+
+    // Session Expiry
+    sessionExpiredTitle: 'សម័យប្រើប្រាស់បានផុតកំណត់',
+    sessionExpiredMessage:
+      'សម័យប្រើប្រាស់សម្រាប់ {name} បានផុតកំណត់។ សូមចូលម្តងទៀតដើម្បីបន្ត។',
+    sessionExpiredLoginHint:
+      'សម័យប្រើប្រាស់របស់អ្នកបានផុតកំណត់។ សូមបញ្ចូលពាក្យសម្ងាត់ដើម្បីចូលម្តងទៀត។',
+
+    // What-If Grade Calculator
+    whatIf: 'ម៉ាស៊ីនគណនាសន្មត',
+    whatIfDescription:
+      'បញ្ចូលពិន្ទុសន្មត ដើម្បីមើលថាមធ្យមភាគមុខវិជ្ជានឹងផ្លាស់ប្តូរយ៉ាងដូចម្តេច។',
+    currentAverage: 'មធ្យមភាគបច្ចុប្បន្ន',
+    projectedAverage: 'មធ្យមភាគព្យាករណ៍',
+    ungradedAssessments: 'ការវាយតម្លៃមិនទាន់ដាក់ពិន្ទុ',
+    addHypotheticalScore: 'បន្ថែមពិន្ទុសន្មត',
+    score: 'ពិន្ទុ',
+    outOf: 'ពិន្ទុសរុប',
+    categoryBreakdown: 'តាមប្រភេទការវាយតម្លៃ',
+    lowestScoresDropped: 'បានដកពិន្ទុទាបបំផុត {count}',
+
+    // Bulk Grade Entry
+    allGrades: 'ថ្នាក់ទាំងអស់',
+    comment: 'មតិយោបល់',
+    selectAssessmentToGrade: 'ជ្រើសរើសការវាយតម្លៃដើម្បីបញ្ចូលពិន្ទុ',
+    noAssessmentsFound: 'រកមិនឃើញការវាយតម្លៃ',
+    maxScoreValue: 'អតិបរមា {max}',
+    importCsv: 'នាំចូល CSV',
+    unsavedGradeChanges: 'មិនទាន់រក្សាទុក {count}',
+    gradesSavedMessage: 'បានរក្សាទុកពិន្ទុ {saved} ក្នុងចំណោម {total}។',
+    gradesSaveErrors: 'មិនអាចរក្សាទុកពិន្ទុ {count} បានទេ។',
+    failedToSaveGrades: 'បរាជ័យក្នុងការរក្សាទុកពិន្ទុ',
+    fixInvalidGrades: 'សូមកែពិន្ទុដែលបានបន្លិចមុនពេលរក្សាទុក។',
+    invalidScore: 'មិនត្រឹមត្រូវ',
+    scoreAboveMax: 'លើសអតិបរមា',
+    failedToLoadAssessments: 'បរាជ័យក្នុងការផ្ទុកការវាយតម្លៃ',
+    failedToLoadStudents: 'បរាជ័យក្នុងការផ្ទុកសិស្ស',
+    csvImportPreview: 'មើលការនាំចូលជាមុន',
+    csvChangesCount: 'ការផ្លាស់ប្តូរ {count}',
+    csvUnchangedCount: 'សិស្ស {count} នាក់មិនផ្លាស់ប្តូរ',
+    csvUnmatchedRows: 'ជួរដែលមិនត្រូវនឹងសិស្ស',
+    csvRowLabel: 'ជួរ {line}',
+    csvNoChanges: 'ឯកសារនេះមិនផ្លាស់ប្តូរពិន្ទុណាមួយទេ។',
+    csvNoRows: 'ឯកសារ CSV មិនមានជួរពិន្ទុទេ។',
+    csvMissingColumns:
+      'ឯកសារ CSV ត្រូវការជួរឈរលេខសម្គាល់ ឬឈ្មោះសិស្ស និងជួរឈរពិន្ទុ។',
+    csvInvalidValues:
+      'តម្លៃខ្លះមិនត្រឹមត្រូវ។ វានឹងត្រូវបានបន្លិចក្នុងតារាង ហើយត្រូវកែមុនពេលរក្សាទុក។',
+    failedToReadCsv: 'បរាជ័យក្នុងការអានឯកសារ CSV',
+    applyImport: 'អនុវត្ត',
+    discardChangesTitle: 'បោះបង់ការផ្លាស់ប្តូរ?',
+    discardChangesMessage:
+      'អ្នកមានពិន្ទុមិនទាន់រក្សាទុក។ ចាកចេញដោយមិនរក្សាទុក?',
+    discard: 'បោះបង់',
+
+    // Signed Pickup QR Codes
+    qrRefreshesIn: 'កូដថ្មីក្នុងរយៈពេល {seconds} វិនាទី',
+    qrCodeExpired: 'ផុតកំណត់',
+    qrCodeExpiredMessage:
+      'កូដ QR នេះបានផុតកំណត់។ សូមស្នើកូដដែលកំពុងបង្ហាញក្នុងកម្មវិធី។',
+    qrCodeAlreadyUsed: 'បានប្រើរួចហើយ',
+    qrCodeAlreadyUsedMessage:
+      'កូដ QR នេះត្រូវបានស្កេនរួចហើយ។ សូមស្នើកូដដែលកំពុងបង្ហាញក្នុងកម្មវិធី។',
+    qrCodeInvalidMessage: 'នេះមិនមែនជាកូដ QR ទទួលសិស្សត្រឹមត្រូវទេ។',
+    scanAgain: 'ស្កេនម្តងទៀត',
+
+    // Pickup Queue Board
+    atGate: 'នៅច្រកទ្វារ',
+    etaMinutes: 'មកដល់ក្នុង {minutes} នាទី',
+    waitingMinutes: 'រង់ចាំ {minutes} នាទី',
+    queueSortArrival: 'ពេលមកដល់',
+    queueSortDistance: 'ចម្ងាយ',
+    selectAll: 'ជ្រើសទាំងអស់',
+    clearSelection: 'សម្អាតការជ្រើសរើស',
+    queueUpdatedAt: 'បានធ្វើបច្ចុប្បន្នភាព {time}',
+    noWaitingPickups: 'គ្មាននរណារង់ចាំទទួលទេ',
+    newPickupArrival: 'មានអ្នកមកទទួលថ្មី',
+    newPickupArrivalCount: 'សំណើទទួលថ្មី {count}',
+    release: 'ប្រគល់',
+    releaseSelected: 'ប្រគល់ ({count})',
+    releaseStudentsTitle: 'ប្រគល់សិស្ស',
+    releaseStudentsMessage: 'ប្រគល់សិស្ស {count} នាក់ដែលបានជ្រើសទៅអ្នកទទួលឬ?',
+    releaseResultMessage: 'បានប្រគល់សិស្ស {count} នាក់។',
+    releaseFailedMessage: 'មិនអាចប្រគល់បាន {count}:',
+    waiting: 'កំពុងរង់ចាំ',
+    processed: 'បានដំណើរការ',
+
+    // Pickup Rules
+    pickupRules: 'ច្បាប់ទទួលកូន',
+    pickupRulesEdit: 'ច្បាប់',
+    pickupRulesExpired: 'ផុតកំណត់',
+    pickupRulesNone: 'កូនណាក៏បាន ពេលណាក៏បាន',
+    pickupRulesChildren: 'កូន: {names}',
+    pickupRulesDays: 'ថ្ងៃ: {days}',
+    pickupRulesTimes: 'ម៉ោង: {times}',
+    pickupRulesDates: 'សុពលភាព: {from} – {until}',
+    pickupRulesOneTime: 'ទទួលតែម្តង',
+    pickupRulesOneTimeUsed: 'ទទួលតែម្តង (បានប្រើ)',
+    pickupRulesChildrenLabel: 'កូន',
+    pickupRulesChildrenHint: 'ទុកទទេ ដើម្បីអនុញ្ញាតកូនទាំងអស់',
+    pickupRulesDaysLabel: 'ថ្ងៃ',
+    pickupRulesDaysHint: 'ទុកទទេ ដើម្បីអនុញ្ញាតរាល់ថ្ងៃ',
+    pickupRulesTimeLabel: 'ម៉ោង',
+    pickupRulesTimeHint: 'ទុកទទេ ដើម្បីអនុញ្ញាតគ្រប់ម៉ោង',
+    pickupRulesTimeIncomplete: 'សូមជ្រើសរើសទាំងម៉ោងចាប់ផ្តើម និងម៉ោងបញ្ចប់',
+    pickupRulesDatesLabel: 'កាលបរិច្ឆេទសុពលភាព',
+    pickupRulesDatesHint: 'ទុកទទេ បើគ្មានថ្ងៃចាប់ផ្តើម ឬថ្ងៃបញ្ចប់',
+    pickupRulesOneTimeLabel: 'ទទួលតែម្តង',
+    pickupRulesOneTimeHint: 'ការអនុញ្ញាតបញ្ចប់ក្រោយការទទួលលើកដំបូង',
+    pickupRulesRemove: 'លុបច្បាប់',
+    pickupRulesRemoveMessage:
+      'អ្នកអាណាព្យាបាលនេះនឹងអាចទទួលកូនណាមួយរបស់អ្នកបានគ្រប់ពេល។',
+    pickupRulesSaved: 'បានរក្សាទុកច្បាប់ទទួលកូន',
+    failedToSavePickupRules: 'មិនអាចរក្សាទុកច្បាប់ទទួលកូនបានទេ',
+    weekdayMon: 'ច័ន្ទ',
+    weekdayTue: 'អង្គារ',
+    weekdayWed: 'ពុធ',
+    weekdayThu: 'ព្រហស្បតិ៍',
+    weekdayFri: 'សុក្រ',
+    weekdaySat: 'សៅរ៍',
+    weekdaySun: 'អាទិត្យ',
+
+    // Homework Drafts and Uploads
+    draftSaved: 'សេចក្តីព្រាងត្រូវបានរក្សាទុកនៅលើឧបករណ៍នេះ',
+    uploadCancelled: 'ការផ្ទុកឡើងត្រូវបានបោះបង់',
+    retryUpload: 'ព្យាយាមម្តងទៀត',
+    resumeUpload: 'បន្តផ្ទុកឡើង',
+    waitForFileUpload:
+      'សូមរង់ចាំរហូតដល់ឯកសាររបស់អ្នកផ្ទុកឡើងរួច ឬព្យាយាមផ្ទុកឡើងម្តងទៀត។',
+
+    // Homework Late Policy & Reminders
+    latePolicy: 'ការដាក់ស្នើយឺត',
+    latePolicyAccept: 'ទទួលយកកិច្ចការយឺត',
+    latePolicyAcceptUntil: 'ទទួលយកកិច្ចការយឺតរហូតដល់កាលបរិច្ឆេទមួយ',
+    latePolicyPenalty: 'កាត់ពិន័យក្នុងមួយថ្ងៃយឺត',
+    latePolicyReject: 'មិនទទួលយកកិច្ចការយឺត',
+    acceptLateUntilLabel: 'ថ្ងៃចុងក្រោយដែលទទួលយកកិច្ចការយឺត',
+    selectDate: 'ជ្រើសរើសកាលបរិច្ឆេទ',
+    penaltyPerDay: 'ពិន័យក្នុងមួយថ្ងៃយឺត (%)',
+    gracePeriodHours: 'រយៈពេលអនុគ្រោះ (ម៉ោង)',
+    latePolicyAcceptDescription: 'ទទួលយកកិច្ចការយឺត',
+    latePolicyAcceptUntilDescription: 'ទទួលយកកិច្ចការយឺតរហូតដល់ {date}',
+    latePolicyPenaltyDescription:
+      'កាត់ {percent}% ក្នុងមួយថ្ងៃយឺត (អតិបរមា {max}%)',
+    latePolicyRejectDescription: 'មិនទទួលយកកិច្ចការយឺតទេ',
+    latePolicyGraceDescription: ' បន្ទាប់ពីរយៈពេលអនុគ្រោះ {hours} ម៉ោង',
+    lateLabel: 'យឺត',
+    lateDays: '{days} ថ្ងៃ',
+    lateNotAccepted: 'មិនទទួលយក',
+    lateSubmissionNotAccepted:
+      'ផុតកំណត់ហើយ ហើយកិច្ចការនេះលែងទទួលយកការដាក់ស្នើយឺតទៀតហើយ។',
+    homeworkReminders: 'ការរំលឹកថ្ងៃផុតកំណត់',
+    homeworkRemindersDescription: 'រំលឹកខ្ញុំមុនពេលកិច្ចការផ្ទះដល់កំណត់',
+    reminderDaysBefore: 'មុន {days} ថ្ងៃ',
+    reminderHoursBefore: 'មុន {hours} ម៉ោង',
+
+    // Homework Rubrics
+    rubricScore: '{score} / {max} ពិន្ទុ',
+    rubricPoints: '{points} ពិន្ទុ',
+    rubricLevelExcellent: 'ល្អប្រសើរ',
+    rubricLevelGood: 'ល្អ',
+    rubricLevelSatisfactory: 'គួរសម',
+    rubricLevelNeedsImprovement: 'ត្រូវការកែលម្អ',
+    editRubric: 'កែសម្រួលលក្ខណៈវិនិច្ឆ័យ',
+    newRubric: 'លក្ខណៈវិនិច្ឆ័យថ្មី',
+    rubricMaxPoints: 'រហូតដល់ {max} ពិន្ទុ',
+    rubricTitlePlaceholder: 'ចំណងជើងលក្ខណៈវិនិច្ឆ័យ ឧ. អត្ថបទបញ្ចុះបញ្ចូល',
+    rubricCriterion: 'លក្ខណៈវិនិច្ឆ័យទី {number}',
+    rubricCriterionPlaceholder: 'អ្វីដែលត្រូវវាយតម្លៃ ឧ. រចនាសម្ព័ន្ធ',
+    rubricLevelPlaceholder: 'កម្រិត',
+    addRubricLevel: 'បន្ថែមកម្រិត',
+    addRubricCriterion: 'បន្ថែមលក្ខណៈវិនិច្ឆ័យ',
+    saveRubricToLibrary: 'រក្សាទុកក្នុងបណ្ណាល័យ',
+    failedToLoadRubrics: 'មិនអាចផ្ទុកលក្ខណៈវិនិច្ឆ័យបានទេ',
+    failedToSaveRubric: 'មិនអាចរក្សាទុកលក្ខណៈវិនិច្ឆ័យបានទេ',
+    failedToDeleteRubric: 'មិនអាចលុបលក្ខណៈវិនិច្ឆ័យបានទេ',
+    deleteRubric: 'លុបលក្ខណៈវិនិច្ឆ័យ',
+    deleteRubricMessage:
+      'លុប "{title}" ពីបណ្ណាល័យរបស់អ្នក? កិច្ចការផ្ទះដែលកំពុងប្រើវារក្សាទុកច្បាប់ចម្លងរបស់វា។',
+    rubricSummary: 'លក្ខណៈវិនិច្ឆ័យ {criteria} · {max} ពិន្ទុ',
+    rubricLibrary: 'បណ្ណាល័យលក្ខណៈវិនិច្ឆ័យ',
+    noRubricsYet:
+      'មិនទាន់មានលក្ខណៈវិនិច្ឆ័យទេ។ បង្កើតមួយដើម្បីប្រើឡើងវិញនៅគ្រប់ថ្នាក់។',
+    rubricOptional: 'លក្ខណៈវិនិច្ឆ័យ (ស្រេចចិត្ត)',
+    changeRubric: 'ផ្លាស់ប្តូរ',
+    removeRubric: 'ដកចេញ',
+    attachRubric: 'ជ្រើសរើសលក្ខណៈវិនិច្ឆ័យពីបណ្ណាល័យរបស់អ្នក',
+    rubricHint:
+      'ការដាក់ស្នើត្រូវបានដាក់ពិន្ទុដោយជ្រើសរើសកម្រិតសម្រាប់លក្ខណៈវិនិច្ឆ័យនីមួយៗ',
+    rubricScoreTitle: 'ពិន្ទុតាមលក្ខណៈវិនិច្ឆ័យ៖',
+
+    // Homework Annotations
+    annotateFile: 'ចំណារលើឯកសារ',
+    annotatedFeedback: 'មតិកែលម្អជាមួយចំណារ',
+    viewAnnotatedFeedback: 'មើលចំណាររបស់គ្រូលើឯកសាររបស់អ្នក',
+    annotationPage: 'ទំព័រ {page} នៃ {total}',
+    annotationPen: 'ប៊ិច',
+    annotationHighlighter: 'ប៊ិចគូសពណ៌',
+    annotationPin: 'ម្ជុលមតិយោបល់',
+    undo: 'មិនធ្វើវិញ',
+    annotationCommentPlaceholder: 'មតិយោបល់សម្រាប់ចំណុចនេះ',
+    addAnnotationComment: 'បន្ថែម',
+    saveAnnotations: 'រក្សាទុកជាមតិកែលម្អ',
+    discardAnnotations: 'បោះបង់ចំណារ?',
+    discardAnnotationsMessage: 'ចំណារដែលមិនទាន់រក្សាទុកលើឯកសារនេះនឹងបាត់។',
+    failedToSaveAnnotations: 'មិនអាចរក្សាទុកចំណារបានទេ',
+    failedToLoadFilePages: 'មិនអាចផ្ទុកឯកសារបានទេ',
+    fileCannotBeAnnotated: 'អាចសរសេរចំណារបានតែលើរូបភាព និង PDF ប៉ុណ្ណោះ',
+
+    // Submission Comments
+    submissionComments: 'មតិយោបល់',
+    noSubmissionComments: 'មិនទាន់មានមតិយោបល់',
+    writeSubmissionComment: 'សរសេរមតិយោបល់...',
+    you: 'អ្នក',
+    attachment: 'ឯកសារភ្ជាប់',
+    failedToAttachFile: 'មិនអាចភ្ជាប់ឯកសារបានទេ',
+    failedToSendComment: 'មិនអាចផ្ញើមតិយោបល់បានទេ',
+    unableToOpenFile: 'មិនអាចបើកឯកសារបានទេ',
+
+    // Similarity Check
+    similarityCheck: 'ពិនិត្យភាពស្រដៀងគ្នា',
+    checkingSimilarity: 'កំពុងប្រៀបធៀបការដាក់ស្នើ...',
+    failedToLoadSubmissions: 'មិនអាចផ្ទុកការដាក់ស្នើបានទេ',
+    similaritySummary: 'បានប្រៀបធៀបចម្លើយ {compared} មានគូស្រដៀងគ្នា {flagged}',
+    similaritySkipped: 'ចម្លើយ {count} ខ្លីពេកមិនអាចប្រៀបធៀបបាន',
+    similarityExplanation:
+      'ពិន្ទុបង្ហាញថាចម្លើយខ្លីជាងមានប៉ុន្មានដែលលេចឡើងក្នុងចម្លើយមួយទៀត។ អត្ថបទពីកិច្ចការមិនត្រូវបានគិតទេ។ សូមពិនិត្យផ្នែកដែលបានបន្លិចមុននឹងសន្និដ្ឋាន។',
+    noSimilarSubmissions: 'រកមិនឃើញការដាក់ស្នើស្រដៀងគ្នាទេ',
+
+    // Message Replies, Reactions and Forwarding
+    reply: 'ឆ្លើយតប',
+    forward: 'បញ្ជូនបន្ត',
+    forwarded: 'បានបញ្ជូនបន្ត',
+    replyingTo: 'កំពុងឆ្លើយតប {name}',
+    forwardMessage: 'បញ្ជូនសារបន្ត',
+    searchConversations: 'ស្វែងរកការសន្ទនា',
+    noConversations: 'មិនមានការសន្ទនាផ្សេងទៀតទេ',
+    messageForwarded: 'សារត្រូវបានបញ្ជូនបន្ត',
+    failedToForwardMessage: 'មិនអាចបញ្ជូនសារបន្តបានទេ',
+    failedToReact: 'មិនអាចបន្ថែមប្រតិកម្មបានទេ',
+
+    // Typing Indicators and Read Receipts
+    messageInfo: 'ព័ត៌មានសារ',
+    readBy: 'បានអានដោយ',
+    deliveredTo: 'បានបញ្ជូនទៅ',
+    notDeliveredYet: 'មិនទាន់បានបញ្ជូន',
+    noReceiptsYet: 'មិនទាន់មានបង្កាន់ដៃអានទេ',
+    isTyping: '{name} កំពុងវាយ…',
+    severalTyping: '{count} នាក់កំពុងវាយ…',
+
+    // Message Outbox
+    failedTapToRetry: 'បរាជ័យ — ចុចដើម្បីព្យាយាមម្តងទៀត',
+    messageNotSent: 'សារមិនទាន់បានផ្ញើ',
+    messageNotSentMessage: 'មិនអាចផ្ញើសារនេះបានទេ។ ព្យាយាមម្តងទៀត ឬលុបវា?',
+
+    // Scheduled Messages & Quiet Hours
+    scheduleMessage: 'កំណត់ពេលផ្ញើសារ',
+    editScheduledMessage: 'កែសម្រួលសារដែលបានកំណត់ពេល',
+    selectConversation: 'ការសន្ទនា',
+    messageContent: 'សារ',
+    sendAt: 'ផ្ញើនៅ',
+    schedule: 'កំណត់ពេល',
+    chooseFutureTime: 'សូមជ្រើសរើសពេលវេលានាពេលអនាគត។',
+    failedToScheduleMessage: 'មិនអាចកំណត់ពេលផ្ញើសារបានទេ',
+    sendTimeInQuietHours: 'ពេលវេលានេះស្ថិតក្នុងម៉ោងស្ងាត់របស់សាលា។',
+    scheduledMessagesCount: 'បានកំណត់ពេល ({count})',
+    heldForQuietHours: 'រង់ចាំដោយសារម៉ោងស្ងាត់',
+    messageScheduledFor: 'សារត្រូវបានកំណត់ពេលផ្ញើនៅ {time}',
+    cancelScheduledMessage: 'បោះបង់សារដែលបានកំណត់ពេល',
+    cancelScheduledMessageConfirm: 'សារនេះនឹងមិនត្រូវបានផ្ញើទេ។ បន្តឬ?',
+    failedToCancelScheduledMessage: 'មិនអាចបោះបង់សារដែលបានកំណត់ពេលបានទេ',
+    quietHours: 'ម៉ោងស្ងាត់',
+    quietHoursMessage:
+      'ឥឡូវនេះជាម៉ោងស្ងាត់របស់សាលា។ រង់ចាំសារនេះរហូតដល់ {time} ឬផ្ញើឥឡូវនេះជាបន្ទាន់?',
+    sendNow: 'ផ្ញើឥឡូវនេះ (បន្ទាន់)',
+    holdUntilMorning: 'រង់ចាំដល់ពេលព្រឹក',
+    messageHeld: 'សាររបស់អ្នកនឹងត្រូវផ្ញើនៅ {time}។',
+
+    // Message Templates
+    messageTemplates: 'គំរូសារ',
+    useTemplate: 'ប្រើគំរូ',
+    newTemplate: 'គំរូថ្មី',
+    editTemplate: 'កែសម្រួលគំរូ',
+    templateTitle: 'ចំណងជើង',
+    templatePlaceholdersHint:
+      'ចុចដើម្បីបញ្ចូល។ អ្នកទទួលម្នាក់ៗនឹងឃើញព័ត៌មានផ្ទាល់ខ្លួន។',
+    shareWithStaff: 'ចែករំលែកជាមួយបុគ្គលិកទាំងអស់',
+    sharedWithStaff: 'បានចែករំលែកជាមួយបុគ្គលិក',
+    sharedBy: 'ចែករំលែកដោយ {name}',
+    deleteTemplate: 'លុបគំរូ',
+    deleteTemplateConfirm: 'លុបគំរូនេះ? បុគ្គលិកដែលបានចែករំលែកនឹងលែងឃើញវា។',
+    failedToSaveTemplate: 'មិនអាចរក្សាទុកគំរូបានទេ',
+    failedToDeleteTemplate: 'មិនអាចលុបគំរូបានទេ',
+    chooseTemplateRecipients:
+      'ជ្រើសរើសការសន្ទនា។ សារនឹងត្រូវបំពេញសម្រាប់នីមួយៗ។',
+    templateMissingValues: 'មិនអាចបំពេញ {placeholders} បានទេ',
+    sendToCount: 'ផ្ញើ ({count})',
+    templateSentCount: 'សារត្រូវបានផ្ញើទៅការសន្ទនា {count}',
+    templateNeedsStudents:
+      'សារនេះប្រើ {student_name} ឬ {class}។ សូមផ្ញើទៅអ្នកប្រើម្នាក់ៗ ឬថ្នាក់រៀន។',
+    templateAbsenceTitle: 'តាមដានអវត្តមាន',
+    templateAbsenceBody:
+      'ជូនចំពោះមាតាបិតា {student_name} ({class}) បានអវត្តមាននៅថ្ងៃ {date}។ សូមជូនដំណឹងពីមូលហេតុនៃអវត្តមាន។',
+    templateHomeworkTitle: 'រំលឹកកិច្ចការផ្ទះ',
+    templateHomeworkBody:
+      'រំលឹក៖ {student_name} មានកិច្ចការផ្ទះសម្រាប់ {class} ត្រូវប្រគល់នៅថ្ងៃ {date}។ សូមប្រាកដថាបានប្រគល់ទាន់ពេល។',
+    templateEventTitle: 'សេចក្តីជូនដំណឹងអំពីព្រឹត្តិការណ៍',
+    templateEventBody:
+      'ជូនចំពោះមាតាបិតា {class} មានព្រឹត្តិការណ៍សាលានៅថ្ងៃ {date}។ យើងរង់ចាំជួប {student_name} នៅទីនោះ។',
   },
 };
 
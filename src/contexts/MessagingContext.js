@@ -13,8 +13,17 @@ import React, {
 } from 'react';
 import { AppState } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getUnreadConversationsCount } from '../services/messagingService';
-import { getUserData } from '../services/authService';
+import {
+  getUnreadConversationsCount,
+  messagingTransport,
+  connectMessagingTransport,
+  disconnectMessagingTransport,
+  startMessageOutbox,
+  stopMessageOutbox,
+  subscribeToUnreadCount,
+  TRANSPORT_MODES,
+} from '../services/messagingService';
+import { getStoredAuthCode } from '../services/authService';
 
 const MessagingContext = createContext();
 
@@ -33,46 +42,17 @@ export const MessagingProvider = ({ children }) => {
   const [lastUpdateTime, setLastUpdateTime] = useState(null);
 
   // Get auth code from storage (supports all user types and guardians)
-  const getAuthCode = useCallback(async () => {
-    try {
-      // Try user-type-specific storage keys first
-      const userTypes = ['teacher', 'parent', 'student'];
-      for (const userType of userTypes) {
-        const userData = await getUserData(userType, AsyncStorage);
-        if (userData) {
-          const authCode = userData.authCode || userData.auth_code;
-          if (authCode) {
-            console.log(
-              `📱 MESSAGING: Using ${userType} auth code for messaging`
-            );
-            return authCode;
-          }
-        }
-      }
-
-      // Fallback to generic userData for backward compatibility
-      const userData = await AsyncStorage.getItem('userData');
-      if (userData) {
-        const user = JSON.parse(userData);
-        const authCode = user.authCode || user.auth_code;
-        if (authCode) {
-          console.log('📱 MESSAGING: Using generic auth code for messaging');
-          return authCode;
-        }
-      }
-
-      // If no regular auth code found, try guardian auth code
-      const guardianAuthCode = await AsyncStorage.getItem('guardianAuthCode');
-      if (guardianAuthCode) {
-        console.log('📱 MESSAGING: Using guardian auth code for messaging');
-        return guardianAuthCode;
-      }
+  const getAuthCode = useCallback(
+    () => getStoredAuthCode(AsyncStorage, { includeGuardian: true }),
+    []
+  );
 
-      return null;
-    } catch (error) {
-      console.error('Error getting auth code:', error);
-      return null;
-    }
+  // Apply an unread count pushed by the messaging transport
+  const applyUnreadCounts = useCallback((data) => {
+    const { unread_conversations, total_unread_messages } = data || {};
+    setUnreadConversations(unread_conversations || 0);
+    setTotalUnreadMessages(total_unread_messages || 0);
+    setLastUpdateTime(new Date().toISOString());
   }, []);
 
   // Update unread counts
@@ -84,15 +64,18 @@ export const MessagingProvider = ({ children }) => {
         return;
       }
 
+      // Connect (or re-connect after a login) so counts are pushed from now on
+      connectMessagingTransport(authCode);
+      // Send messages left in the outbox by a previous session
+      startMessageOutbox();
+
       console.log('📊 MESSAGING: Updating unread counts...');
       const response = await getUnreadConversationsCount(authCode);
 
       if (response.success && response.data) {
         const { unread_conversations, total_unread_messages } = response.data;
 
-        setUnreadConversations(unread_conversations || 0);
-        setTotalUnreadMessages(total_unread_messages || 0);
-        setLastUpdateTime(new Date().toISOString());
+        applyUnreadCounts(response.data);
 
         console.log(
           `📊 MESSAGING: Updated counts - Conversations: ${unread_conversations}, Messages: ${total_unread_messages}`
@@ -103,7 +86,7 @@ export const MessagingProvider = ({ children }) => {
     } catch (error) {
       console.error('Error updating unread counts:', error);
     }
-  }, [getAuthCode]);
+  }, [getAuthCode, applyUnreadCounts]);
 
   // Mark conversation as read locally (optimistic update)
   // This is called when user enters a conversation and unread messages are marked as read
@@ -146,44 +129,27 @@ export const MessagingProvider = ({ children }) => {
   // Cleanup function for logout
   const cleanup = useCallback(() => {
     console.log('🧹 MESSAGING: Cleaning up messaging context...');
+    disconnectMessagingTransport();
+    stopMessageOutbox();
     setUnreadConversations(0);
     setTotalUnreadMessages(0);
     setLastUpdateTime(null);
     console.log('✅ MESSAGING: Messaging context cleaned up');
   }, []);
 
-  // Initialize polling when component mounts and handle app state changes
+  // Subscribe to real-time unread counts when component mounts and refresh
+  // when the app returns to the foreground. The transport pushes counts over
+  // its socket and falls back to polling the API when the socket is down.
   useEffect(() => {
-    let interval;
-    let isMounted = true;
     let appState = AppState.currentState;
 
-    const startPolling = async () => {
-      if (!isMounted) return;
-
-      console.log('🔄 MESSAGING: Starting unread count polling');
-      setIsPolling(true);
-
-      // Initial update
-      try {
-        await updateUnreadCounts();
-      } catch (error) {
-        console.error('Error in initial unread count update:', error);
-      }
+    const unsubscribeCounts = subscribeToUnreadCount(applyUnreadCounts);
+    const unsubscribeMode = messagingTransport.subscribeToMode((mode) => {
+      setIsPolling(mode !== TRANSPORT_MODES.IDLE);
+    });
 
-      // Poll every 30 seconds (only when app is active)
-      interval = setInterval(async () => {
-        if (!isMounted || AppState.currentState !== 'active') {
-          console.log('📱 MESSAGING: Skipping poll - app not active');
-          return;
-        }
-        try {
-          await updateUnreadCounts();
-        } catch (error) {
-          console.error('Error in polling unread count update:', error);
-        }
-      }, 30000);
-    };
+    // Initial update, which also connects the transport
+    updateUnreadCounts();
 
     const handleAppStateChange = (nextAppState) => {
       console.log(
@@ -201,9 +167,6 @@ export const MessagingProvider = ({ children }) => {
       appState = nextAppState;
     };
 
-    // Start polling
-    startPolling();
-
     // Listen for app state changes
     const subscription = AppState.addEventListener(
       'change',
@@ -211,11 +174,9 @@ export const MessagingProvider = ({ children }) => {
     );
 
     return () => {
-      console.log('⏹️ MESSAGING: Stopping unread count polling');
-      isMounted = false;
-      if (interval) {
-        clearInterval(interval);
-      }
+      console.log('⏹️ MESSAGING: Unsubscribing from unread counts');
+      unsubscribeCounts();
+      unsubscribeMode();
       if (subscription) {
         subscription.remove();
       }
@@ -223,12 +184,12 @@ export const MessagingProvider = ({ children }) => {
     };
   }, []); // Empty dependency array to run only once
 
-  // Stop polling
+  // Stop receiving real-time updates
   const stopPolling = useCallback(() => {
-    setIsPolling(false);
+    disconnectMessagingTransport();
   }, []);
 
-  // Start polling (for manual control)
+  // Start receiving real-time updates (for manual control)
   const startPolling = useCallback(async () => {
     if (!isPolling) {
       await updateUnreadCounts();
@@ -1,6 +1,7 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import { AppState } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from '../services/secureStorage';
 import * as Notifications from 'expo-notifications';
 import {
   getNotificationHistory,
@@ -63,13 +64,13 @@ export const NotificationProvider = ({ children }) => {
 
       // Check user-type-specific storage keys directly
       // This is more reliable than using the generic userData key
-      const teacherData = await AsyncStorage.getItem(
+      const teacherData = await secureSessionStorage.getItem(
         Config.STORAGE_KEYS.TEACHER_USER_DATA
       );
-      const parentData = await AsyncStorage.getItem(
+      const parentData = await secureSessionStorage.getItem(
         Config.STORAGE_KEYS.PARENT_USER_DATA
       );
-      const studentData = await AsyncStorage.getItem(
+      const studentData = await secureSessionStorage.getItem(
         Config.STORAGE_KEYS.STUDENT_USER_DATA
       );
 
@@ -80,7 +81,7 @@ export const NotificationProvider = ({ children }) => {
       });
 
       // Now check the generic userData key to see which user is currently active
-      const currentUserData = await AsyncStorage.getItem('userData');
+      const currentUserData = await secureSessionStorage.getItem('userData');
       if (currentUserData) {
         const parsed = JSON.parse(currentUserData);
         console.log(
@@ -424,7 +425,7 @@ export const NotificationProvider = ({ children }) => {
 
         // Get current user type
         try {
-          const userData = await AsyncStorage.getItem('userData');
+          const userData = await secureSessionStorage.getItem('userData');
           if (userData) {
             const user = JSON.parse(userData);
             const currentUserType = user.userType;
@@ -437,7 +438,7 @@ export const NotificationProvider = ({ children }) => {
               } else if (parsedData?.student_name) {
                 // Try to find child's authCode by matching student name
                 try {
-                  const savedStudents = await AsyncStorage.getItem(
+                  const savedStudents = await secureSessionStorage.getItem(
                     'studentAccounts'
                   );
                   if (savedStudents) {
@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+import { Config } from '../config/env';
+import { createPickupQrValue } from '../services/pickupQrService';
+
+/**
+ * Hook to show a pickup QR code that is signed again every
+ * Config.PICKUP_QR.REFRESH_SECONDS, so screenshots stop working quickly
+ * @param {Object} options
+ * @param {string} options.qrToken - Parent or guardian QR token
+ * @param {string} options.qrUrl - Pickup URL from the API
+ * @param {string} options.signingKey - qr_signing_key from the API
+ * @param {boolean} options.active - Pause refreshing while hidden
+ * @returns {Object} - { value, signed, secondsLeft } where secondsLeft counts
+ * down to the next refresh
+ */
+export const useSignedPickupQr = ({
+  qrToken,
+  qrUrl,
+  signingKey,
+  active = true,
+}) => {
+  const refreshSeconds = Config.PICKUP_QR?.REFRESH_SECONDS ?? 30;
+  const [qr, setQr] = useState({ value: null, signed: false });
+  const [secondsLeft, setSecondsLeft] = useState(refreshSeconds);
+
+  useEffect(() => {
+    if (!qrToken || !active) return undefined;
+
+    let cancelled = false;
+    let remaining = 0;
+
+    const tick = async () => {
+      if (remaining <= 0) {
+        remaining = refreshSeconds;
+        try {
+          const next = await createPickupQrValue({
+            qrToken,
+            qrUrl,
+            signingKey,
+          });
+          if (!cancelled) setQr(next);
+        } catch (error) {
+          console.error('❌ PICKUP QR: Failed to sign QR code:', error);
+        }
+      }
+      if (!cancelled) setSecondsLeft(remaining);
+      remaining -= 1;
+    };
+
+    tick();
+    // Unsigned codes never change, so only signed ones need the timer
+    const interval = signingKey ? setInterval(tick, 1000) : null;
+
+    return () => {
+      cancelled = true;
+      if (interval) clearInterval(interval);
+    };
+  }, [qrToken, qrUrl, signingKey, active, refreshSeconds]);
+
+  return { ...qr, secondsLeft };
+};
+
+export default useSignedPickupQr;
@@ -7,7 +7,7 @@ import { useState, useEffect, useCallback } from 'react';
 import { useNotifications } from '../contexts/NotificationContext';
 import { useNotificationAPI } from './useNotificationAPI';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getUserData } from '../services/authService';
+import { getStoredAuthCode } from '../services/authService';
 
 export const useStudentNotifications = (authCode = null) => {
   const {
@@ -33,43 +33,10 @@ export const useStudentNotifications = (authCode = null) => {
   const [refreshing, setRefreshing] = useState(false);
 
   // Get auth code from storage if not provided (supports user-type-specific storage)
-  const getAuthCode = useCallback(async () => {
-    if (authCode) return authCode;
-
-    try {
-      // Try user-type-specific storage keys first
-      const userTypes = ['teacher', 'parent', 'student'];
-      for (const userType of userTypes) {
-        const userData = await getUserData(userType, AsyncStorage);
-        if (userData) {
-          const authCode = userData.authCode || userData.auth_code;
-          if (authCode) {
-            console.log(
-              `🔔 STUDENT NOTIFICATIONS: Using ${userType} auth code`
-            );
-            return authCode;
-          }
-        }
-      }
-
-      // Fallback to generic userData for backward compatibility
-      const userData = await AsyncStorage.getItem('userData');
-      if (userData) {
-        const user = JSON.parse(userData);
-        const authCode = user.authCode || user.auth_code;
-        if (authCode) {
-          console.log('🔔 STUDENT NOTIFICATIONS: Using generic auth code');
-          return authCode;
-        }
-      }
-    } catch (error) {
-      console.error(
-        '🔔 STUDENT NOTIFICATIONS: Error getting auth code:',
-        error
-      );
-    }
-    return null;
-  }, [authCode]);
+  const getAuthCode = useCallback(
+    async () => authCode || (await getStoredAuthCode(AsyncStorage)),
+    [authCode]
+  );
 
   // Load notifications from API
   const loadNotifications = useCallback(
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from 'react';
+import React, { useEffect, useRef, useState } from 'react';
 import {
   View,
   Text,
@@ -29,10 +29,11 @@ import {
   faDownload,
   faEdit,
   faExternalLinkAlt,
+  faPen,
 } from '@fortawesome/free-solid-svg-icons';
 import { useTheme } from '../contexts/ThemeContext';
 import { useLanguage } from '../contexts/LanguageContext';
-import { buildApiUrl } from '../config/env';
+import { Config, buildApiUrl } from '../config/env';
 import { createSmallShadow } from '../utils/commonStyles';
 import { processHtmlContent } from '../utils/htmlUtils';
 import HomeworkFileUpload from '../components/homework/HomeworkFileUpload';
@@ -40,7 +41,29 @@ import {
   updateHomeworkSubmission,
   submitHomeworkFile,
   submitHomeworkTextWithFile,
+  uploadHomeworkFileChunked,
+  getUploadedFileLink,
+  canUploadHomeworkInChunks,
+  ChunkedUploadUnsupportedError,
 } from '../services/homeworkService';
+import SchoolConfigService from '../services/schoolConfigService';
+import {
+  getHomeworkDraft,
+  saveHomeworkDraft,
+  clearHomeworkDraft,
+  keepDraftFile,
+} from '../services/homeworkDraftService';
+import { cancelHomeworkReminders } from '../services/homeworkReminderService';
+import {
+  getLateness,
+  formatLateness,
+  describeLatePolicy,
+} from '../utils/latePolicy';
+import { getRubricSelections } from '../utils/rubrics';
+import RubricView from '../components/homework/RubricView';
+import { summarizeAnnotations } from '../utils/annotations';
+import FileAnnotationModal from '../components/homework/FileAnnotationModal';
+import SubmissionCommentThread from '../components/homework/SubmissionCommentThread';
 
 export default function AssignmentDetailScreen({ navigation, route }) {
   const { theme } = useTheme();
@@ -58,8 +81,28 @@ export default function AssignmentDetailScreen({ navigation, route }) {
   const [assignmentData, setAssignmentData] = useState(assignment);
   const [showUpdateForm, setShowUpdateForm] = useState(false);
   const [thumbnailErrors, setThumbnailErrors] = useState({});
+  // Link of the attached file once its chunked upload has finished
+  const [uploadedFileLink, setUploadedFileLink] = useState(null);
+  const [restoredFile, setRestoredFile] = useState(null);
+  const [restoredUpload, setRestoredUpload] = useState(null);
+  const [draftLoaded, setDraftLoaded] = useState(false);
+  const [draftSavedAt, setDraftSavedAt] = useState(null);
+  const [showAnnotations, setShowAnnotations] = useState(false);
+  // { uploadId, fileName, fileLink } of the attached file's upload
+  const uploadRef = useRef(null);
+  // Files are uploaded in chunks only when the server supports it; otherwise
+  // they are sent in one request when the assignment is submitted
+  const [chunkedUploads, setChunkedUploads] = useState(false);
 
   const styles = createStyles(theme);
+  // Lateness if the assignment were handed in now
+  const lateness = getLateness({
+    deadline: assignmentData?.deadline,
+    policy: assignmentData?.late_policy,
+  });
+  const annotationCount = summarizeAnnotations(
+    assignmentData?.file_annotation
+  ).total;
 
   useEffect(() => {
     if (assignment && authCode && !isParentAccess) {
@@ -67,6 +110,58 @@ export default function AssignmentDetailScreen({ navigation, route }) {
     }
   }, [assignment, authCode, isParentAccess]);
 
+  useEffect(() => {
+    if (isParentAccess) return;
+    SchoolConfigService.getCurrentSchoolConfig().then((config) =>
+      setChunkedUploads(canUploadHomeworkInChunks(config))
+    );
+  }, [isParentAccess]);
+
+  // Restore the unsent submission of this assignment
+  useEffect(() => {
+    if (isParentAccess || !assignment?.detail_id) return;
+
+    const restoreDraft = async () => {
+      const draft = await getHomeworkDraft(assignment.detail_id);
+      if (draft) {
+        setReplyText(draft.text || '');
+        setFileLink(draft.fileLink || '');
+        setSelectedFile(draft.file || null);
+        setRestoredFile(draft.file || null);
+        setUploadedFileLink(draft.upload?.fileLink || null);
+        setRestoredUpload(
+          draft.upload?.fileLink
+            ? { data: { web_view_link: draft.upload.fileLink } }
+            : null
+        );
+        setDraftSavedAt(draft.updatedAt);
+        uploadRef.current = draft.upload || null;
+
+        if (assignment.is_completed && assignment.has_student_submission) {
+          setShowUpdateForm(true);
+        }
+      }
+      setDraftLoaded(true);
+    };
+
+    restoreDraft();
+  }, [assignment, isParentAccess]);
+
+  // Save the draft after a pause in typing
+  useEffect(() => {
+    if (!draftLoaded) return undefined;
+
+    const timer = setTimeout(async () => {
+      const draft = await saveHomeworkDraft(assignmentData.detail_id, {
+        text: replyText,
+        fileLink,
+      });
+      setDraftSavedAt(draft?.updatedAt || null);
+    }, Config.HOMEWORK_SUBMISSION.DRAFT_SAVE_DELAY);
+
+    return () => clearTimeout(timer);
+  }, [replyText, fileLink, draftLoaded]);
+
   // Mark assignment as viewed
   const markAsViewed = async () => {
     if (assignmentData.is_viewed) return; // Already viewed
@@ -106,6 +201,16 @@ export default function AssignmentDetailScreen({ navigation, route }) {
       return;
     }
 
+    if (chunkedUploads && selectedFile && !uploadedFileLink) {
+      Alert.alert(t('error'), t('waitForFileUpload'));
+      return;
+    }
+
+    if (!assignmentData.is_completed && !lateness.accepted) {
+      Alert.alert(t('error'), t('lateSubmissionNotAccepted'));
+      return;
+    }
+
     const handleSubmit = async () => {
       setSubmitting(true);
       try {
@@ -114,14 +219,15 @@ export default function AssignmentDetailScreen({ navigation, route }) {
           assignmentData.is_completed && assignmentData.has_student_submission;
 
         let response;
+        let submittedFile = null;
 
         if (isUpdate) {
           // For updates, always use updateHomeworkSubmission
           console.log('📝 Updating existing homework submission...');
 
-          let fileLink = null;
-          // Upload file first if provided
-          if (selectedFile) {
+          // A chunked upload has already finished when the file was attached
+          let updateFileLink = uploadedFileLink;
+          if (selectedFile && !updateFileLink) {
             console.log('📤 Uploading homework file for update...');
             const fileUploadResponse = await submitHomeworkFile(
               assignmentData.homework_id, // Use homework_id for file upload
@@ -131,15 +237,10 @@ export default function AssignmentDetailScreen({ navigation, route }) {
             );
 
             if (fileUploadResponse.success) {
-              fileLink =
-                fileUploadResponse.data?.web_view_link ||
-                fileUploadResponse.data?.file_url ||
-                fileUploadResponse.data?.file_link ||
-                fileUploadResponse.data?.url ||
-                fileUploadResponse.web_view_link;
+              updateFileLink = getUploadedFileLink(fileUploadResponse);
               console.log(
                 '📤 File uploaded successfully for update, file link:',
-                fileLink
+                updateFileLink
               );
             } else {
               console.warn(
@@ -152,30 +253,30 @@ export default function AssignmentDetailScreen({ navigation, route }) {
           response = await updateHomeworkSubmission(
             assignmentData.detail_id, // Use detail_id for submission update
             replyText.trim(),
-            fileLink,
+            updateFileLink,
+            authCode
+          );
+          submittedFile = updateFileLink;
+        } else if (selectedFile && !uploadedFileLink) {
+          console.log('📝 Creating new homework submission with file...');
+          // Use SUBMIT_HOMEWORK_FOLDER endpoint for file submissions
+          response = await submitHomeworkFile(
+            assignmentData.homework_id, // Use homework_id for file submission
+            selectedFile,
+            replyText.trim(),
             authCode
           );
+          submittedFile = response.data?.file_name || 'uploaded_file';
         } else {
-          // For new submissions, use different endpoints based on whether there's a file
-          if (selectedFile) {
-            console.log('📝 Creating new homework submission with file...');
-            // Use SUBMIT_HOMEWORK_FOLDER endpoint for file submissions
-            response = await submitHomeworkFile(
-              assignmentData.homework_id, // Use homework_id for file submission
-              selectedFile,
-              replyText.trim(),
-              authCode
-            );
-          } else {
-            console.log('📝 Creating new homework submission (text only)...');
-            // Use SUBMIT_HOMEWORK endpoint for text-only submissions
-            response = await submitHomeworkTextWithFile(
-              assignmentData.detail_id, // Use detail_id for text submission
-              replyText.trim(),
-              null, // No file link
-              authCode
-            );
-          }
+          console.log('📝 Creating new homework submission...');
+          // Text only, or a file already uploaded in chunks
+          response = await submitHomeworkTextWithFile(
+            assignmentData.detail_id, // Use detail_id for text submission
+            replyText.trim(),
+            uploadedFileLink,
+            authCode
+          );
+          submittedFile = uploadedFileLink;
         }
 
         if (response.success) {
@@ -185,9 +286,7 @@ export default function AssignmentDetailScreen({ navigation, route }) {
             has_student_submission: true,
             submitted_date: new Date().toISOString(),
             reply_data: replyText.trim(),
-            reply_file: response.hasFile
-              ? response.data?.file_name || 'uploaded_file'
-              : null,
+            reply_file: submittedFile,
           }));
 
           // Show appropriate success message
@@ -202,8 +301,14 @@ export default function AssignmentDetailScreen({ navigation, route }) {
           }
 
           Alert.alert(t('success'), alertMessage);
+          await clearHomeworkDraft(assignmentData.detail_id);
+          await cancelHomeworkReminders(assignmentData.detail_id, authCode);
+          uploadRef.current = null;
           setReplyText('');
           setSelectedFile(null);
+          setRestoredFile(null);
+          setRestoredUpload(null);
+          setUploadedFileLink(null);
           setFileLink('');
           setShowUpdateForm(false);
         } else {
@@ -537,12 +642,62 @@ export default function AssignmentDetailScreen({ navigation, route }) {
   const status = getAssignmentStatus();
 
   // File upload handlers
-  const handleFileSelected = (file) => {
+  const handleFileSelected = async (file) => {
     setSelectedFile(file);
+    setUploadedFileLink(null);
+    uploadRef.current = null;
+
+    // Keep a copy with the draft so the upload can resume after a restart
+    const keptFile = await keepDraftFile(assignmentData.detail_id, file);
+    await saveHomeworkDraft(assignmentData.detail_id, { file: keptFile });
+  };
+
+  // Upload the attached file in chunks, continuing the draft's upload of
+  // the same file if there is one
+  const uploadSubmissionFile = async (file, { onProgress, signal }) => {
+    const previous = uploadRef.current;
+
+    try {
+      return await uploadHomeworkFileChunked(
+        assignmentData.homework_id,
+        file,
+        {
+          uploadId:
+            previous?.fileName === file.name ? previous.uploadId : null,
+          onUploadStarted: (uploadId) => {
+            uploadRef.current = { uploadId, fileName: file.name };
+            return saveHomeworkDraft(assignmentData.detail_id, {
+              upload: uploadRef.current,
+            });
+          },
+          onProgress,
+          signal,
+          authCode,
+        }
+      );
+    } catch (error) {
+      if (error instanceof ChunkedUploadUnsupportedError) {
+        // Send the file with the submission instead
+        setChunkedUploads(false);
+        return null;
+      }
+      throw error;
+    }
   };
 
   const handleFileUploaded = (result) => {
     console.log('File uploaded successfully:', result);
+    const link = getUploadedFileLink(result);
+    setUploadedFileLink(link);
+    uploadRef.current = { ...uploadRef.current, fileLink: link };
+    saveHomeworkDraft(assignmentData.detail_id, { upload: uploadRef.current });
+  };
+
+  const handleFileRemoved = () => {
+    setSelectedFile(null);
+    setUploadedFileLink(null);
+    uploadRef.current = null;
+    saveHomeworkDraft(assignmentData.detail_id, { file: null, upload: null });
   };
 
   return (
@@ -621,6 +776,37 @@ export default function AssignmentDetailScreen({ navigation, route }) {
               </Text>
             </View>
 
+            {assignmentData.late_policy && (
+              <View style={styles.infoRowCompact}>
+                <FontAwesomeIcon
+                  icon={faClock}
+                  size={14}
+                  color={theme.colors.textSecondary}
+                />
+                <Text style={styles.infoTextCompact}>
+                  {describeLatePolicy(assignmentData.late_policy, { t })}
+                </Text>
+              </View>
+            )}
+
+            {!assignmentData.is_completed && lateness.isLate && (
+              <View style={styles.infoRowCompact}>
+                <FontAwesomeIcon
+                  icon={faExclamationTriangle}
+                  size={14}
+                  color={theme.colors.warning}
+                />
+                <Text
+                  style={[
+                    styles.infoTextCompact,
+                    { color: theme.colors.warning },
+                  ]}
+                >
+                  {formatLateness(lateness, { t })}
+                </Text>
+              </View>
+            )}
+
             {assignmentData.viewed_at && (
               <View style={styles.infoRowCompact}>
                 <FontAwesomeIcon
@@ -937,6 +1123,20 @@ export default function AssignmentDetailScreen({ navigation, route }) {
                   </View>
                 )}
 
+                {assignmentData.rubric && assignmentData.rubric_grade && (
+                  <View style={styles.submissionSection}>
+                    <Text style={styles.submissionSectionTitle}>
+                      {t('rubricScoreTitle')}
+                    </Text>
+                    <RubricView
+                      rubric={assignmentData.rubric}
+                      selections={getRubricSelections(
+                        assignmentData.rubric_grade
+                      )}
+                    />
+                  </View>
+                )}
+
                 {assignmentData.teacher_comment && (
                   <View style={styles.submissionSection}>
                     <Text style={styles.submissionSectionTitle}>
@@ -947,6 +1147,45 @@ export default function AssignmentDetailScreen({ navigation, route }) {
                     </Text>
                   </View>
                 )}
+
+                {annotationCount > 0 && (
+                  <View style={styles.submissionSection}>
+                    <Text style={styles.submissionSectionTitle}>
+                      {t('annotatedFeedback')}
+                    </Text>
+                    <TouchableOpacity
+                      style={styles.submittedFile}
+                      onPress={() => setShowAnnotations(true)}
+                    >
+                      <FontAwesomeIcon
+                        icon={faPen}
+                        size={16}
+                        color={theme.colors.primary}
+                      />
+                      <Text style={styles.submittedFileName}>
+                        {t('viewAnnotatedFeedback')}
+                      </Text>
+                    </TouchableOpacity>
+                  </View>
+                )}
+
+                {assignmentData.detail_id && (
+                  <View style={styles.submissionSection}>
+                    <Text style={styles.submissionSectionTitle}>
+                      {t('submissionComments')}
+                    </Text>
+                    <SubmissionCommentThread
+                      detailId={assignmentData.detail_id}
+                      authCode={authCode}
+                      viewerType={isParentAccess ? 'parent' : 'student'}
+                      proxyOptions={
+                        isParentAccess
+                          ? { useParentProxy: true, studentId }
+                          : undefined
+                      }
+                    />
+                  </View>
+                )}
               </View>
             )}
 
@@ -999,6 +1238,9 @@ export default function AssignmentDetailScreen({ navigation, route }) {
                     onChangeText={setReplyText}
                     textAlignVertical='top'
                   />
+                  {draftSavedAt && (
+                    <Text style={styles.inputHint}>{t('draftSaved')}</Text>
+                  )}
                 </View>
 
                 {/* File Link Input */}
@@ -1026,6 +1268,10 @@ export default function AssignmentDetailScreen({ navigation, route }) {
                   <HomeworkFileUpload
                     onFileSelected={handleFileSelected}
                     onFileUploaded={handleFileUploaded}
+                    onFileRemoved={handleFileRemoved}
+                    uploadFunction={chunkedUploads ? uploadSubmissionFile : null}
+                    initialFile={restoredFile}
+                    initialUploadResult={restoredUpload}
                     maxFileSize={10 * 1024 * 1024} // 10MB for students
                     userType='student'
                     buttonText='Upload Assignment File'
@@ -1086,6 +1332,9 @@ export default function AssignmentDetailScreen({ navigation, route }) {
                 onChangeText={setReplyText}
                 textAlignVertical='top'
               />
+              {draftSavedAt && (
+                <Text style={styles.inputHint}>{t('draftSaved')}</Text>
+              )}
             </View>
 
             {/* File Link Input */}
@@ -1113,6 +1362,10 @@ export default function AssignmentDetailScreen({ navigation, route }) {
               <HomeworkFileUpload
                 onFileSelected={handleFileSelected}
                 onFileUploaded={handleFileUploaded}
+                onFileRemoved={handleFileRemoved}
+                uploadFunction={chunkedUploads ? uploadSubmissionFile : null}
+                initialFile={restoredFile}
+                initialUploadResult={restoredUpload}
                 maxFileSize={10 * 1024 * 1024} // 10MB for students
                 userType='student'
                 buttonText='Upload Assignment File'
@@ -1169,6 +1422,13 @@ export default function AssignmentDetailScreen({ navigation, route }) {
         )}
       </ScrollView>
       </KeyboardAvoidingView>
+
+      <FileAnnotationModal
+        visible={showAnnotations}
+        fileUrl={assignmentData.reply_file}
+        annotation={assignmentData.file_annotation}
+        onClose={() => setShowAnnotations(false)}
+      />
     </SafeAreaView>
   );
 }
@@ -54,6 +54,11 @@ import {
 } from '../utils/commonStyles';
 import { getDemoStudentHomeworkData } from '../services/demoModeService';
 import { getStudentHomeworkList } from '../services/homeworkService';
+import {
+  syncHomeworkReminders,
+  cancelHomeworkReminders,
+} from '../services/homeworkReminderService';
+import { invalidateResponseCache } from '../services/responseCache';
 
 // Import Parent Proxy Access System
 import { getChildHomework } from '../services/parentService';
@@ -406,6 +411,59 @@ export default function AssignmentsScreen({ navigation, route }) {
     }
   };
 
+  // Transform parent proxy response to match expected format
+  const applyProxyHomework = (response) => {
+    if (response.success) {
+      const homeworkData = Array.isArray(response.homework_assignments)
+        ? response.homework_assignments
+        : Array.isArray(response.homework)
+        ? response.homework
+        : [];
+
+      console.log(
+        '📚 HOMEWORK: Found homework data:',
+        homeworkData.length,
+        'assignments'
+      );
+
+      const transformedData = homeworkData.map((assignment) => ({
+        ...assignment,
+        // Ensure compatibility with existing component expectations
+        subject: assignment.subject_name || assignment.subject,
+        completed:
+          assignment.is_completed === 1 || assignment.status === 'submitted',
+        // Add any missing fields that the UI might expect
+        days_remaining: assignment.is_overdue ? 0 : null,
+      }));
+
+      setAssignments(transformedData);
+    } else {
+      console.warn('⚠️ HOMEWORK: No homework data in parent proxy response');
+      setAssignments([]);
+    }
+  };
+
+  // The API returns assignments directly in the data array
+  const applyStudentHomework = (response) => {
+    if (response.success && Array.isArray(response.data)) {
+      // Transform the data to ensure compatibility with existing UI components
+      const transformedData = response.data.map((assignment) => ({
+        ...assignment,
+        // Ensure compatibility with existing component expectations
+        subject: assignment.subject_name,
+        completed: assignment.is_completed === 1,
+        // Add any missing fields that the UI might expect
+        days_remaining: assignment.is_overdue ? 0 : null,
+      }));
+
+      setAssignments(transformedData);
+      syncHomeworkReminders(transformedData, authCode);
+    } else {
+      Alert.alert(t('error'), response.message || t('failedToFetchClasses'));
+    }
+  };
+
+  // Cached assignments are shown first and updated once refreshed
   const fetchAssignmentsData = async () => {
     if (!authCode) {
       Alert.alert(t('error'), t('authCodeMissing'));
@@ -427,71 +485,24 @@ export default function AssignmentsScreen({ navigation, route }) {
       const proxyOptions = extractProxyOptions(route.params);
       if (shouldUseParentProxy(route.params)) {
         console.log('🔄 HOMEWORK: Using parent proxy access');
-        console.log('🔑 Parent Auth Code:', authCode);
         console.log('👤 Student ID:', proxyOptions.studentId);
 
         const response = await getChildHomework(
           authCode,
-          proxyOptions.studentId
+          proxyOptions.studentId,
+          { onUpdate: applyProxyHomework }
         );
 
-        if (response.success) {
-          // Transform parent proxy response to match expected format
-          const homeworkData = Array.isArray(response.homework_assignments)
-            ? response.homework_assignments
-            : Array.isArray(response.homework)
-            ? response.homework
-            : [];
-
-          console.log(
-            '📚 HOMEWORK: Found homework data:',
-            homeworkData.length,
-            'assignments'
-          );
-
-          const transformedData = homeworkData.map((assignment) => ({
-            ...assignment,
-            // Ensure compatibility with existing component expectations
-            subject: assignment.subject_name || assignment.subject,
-            completed:
-              assignment.is_completed === 1 ||
-              assignment.status === 'submitted',
-            // Add any missing fields that the UI might expect
-            days_remaining: assignment.is_overdue ? 0 : null,
-          }));
-
-          setAssignments(transformedData);
-        } else {
-          console.warn(
-            '⚠️ HOMEWORK: No homework data in parent proxy response'
-          );
-          setAssignments([]);
-        }
+        applyProxyHomework(response);
       } else {
         // Use direct student access (existing behavior)
         console.log('📚 HOMEWORK: Using direct student access');
 
-        const response = await getStudentHomeworkList(authCode);
-
-        if (response.success && Array.isArray(response.data)) {
-          // The API returns assignments directly in the data array
-          // Transform the data to ensure compatibility with existing UI components
-          const transformedData = response.data.map((assignment) => ({
-            ...assignment,
-            // Ensure compatibility with existing component expectations
-            subject: assignment.subject_name,
-            completed: assignment.is_completed === 1,
-            // Add any missing fields that the UI might expect
-            days_remaining: assignment.is_overdue ? 0 : null,
-          }));
-
-          setAssignments(transformedData);
-        } else {
-          Alert.alert(
-            t('error'),
-            response.message || t('failedToFetchClasses')
-          );
-        }
+        const response = await getStudentHomeworkList(authCode, {
+          onUpdate: applyStudentHomework,
+        });
+
+        applyStudentHomework(response);
       }
     } catch (error) {
       console.error('❌ HOMEWORK: Error fetching assignments:', error);
@@ -518,6 +529,11 @@ export default function AssignmentsScreen({ navigation, route }) {
         });
 
         if (response.ok) {
+          await invalidateResponseCache(
+            Config.API_ENDPOINTS.GET_STUDENT_HOMEWORK
+          );
+          await cancelHomeworkReminders(assignment.detail_id, authCode);
+
           // Update the assignment in the local state
           setAssignments((prevAssignments) => {
             const updateAssignmentInArray = (arr) => {
@@ -159,7 +159,6 @@ export default function AttendanceScreen({ navigation, route }) {
       const proxyOptions = extractProxyOptions(route.params);
       if (shouldUseParentProxy(route.params)) {
         console.log('🔄 ATTENDANCE: Using parent proxy access');
-        console.log('🔑 Parent Auth Code:', authCode);
         console.log('👤 Student ID:', proxyOptions.studentId);
 
         const response = await getChildAttendance(
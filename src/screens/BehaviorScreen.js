@@ -11,7 +11,8 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
-import { Config, buildApiUrl } from '../config/env';
+import { Config } from '../config/env';
+import { apiGet } from '../services/apiClient';
 import {
   faArrowLeft,
   faScaleBalanced,
@@ -67,6 +68,82 @@ export default function BehaviorScreen({ navigation, route }) {
     }
   }, [authCode]);
 
+  // Handle API response with both behavior and detention data
+  const applyStudentBpsData = (data) => {
+    console.log('📊 BPS: API response received:', {
+      success: data.success,
+      hasBpsRecords: !!data.data?.bps_records,
+      recordsCount: data.data?.bps_records?.length || 0,
+    });
+
+    let behaviorArray = [];
+    let detentionArray = [];
+
+    if (data && typeof data === 'object') {
+      // Check if response has success flag and data property (new API format)
+      if (data.success && data.data) {
+        // New API format: { success: true, data: { bps_records: [...], summary: {...} } }
+        if (Array.isArray(data.data.bps_records)) {
+          behaviorArray = data.data.bps_records;
+          console.log('📊 BPS: Using data.data.bps_records, count:', behaviorArray.length);
+        }
+        // Check for detention records in the data object
+        if (Array.isArray(data.data.detention_records)) {
+          detentionArray = data.data.detention_records;
+          console.log('📊 BPS: Using data.data.detention_records, count:', detentionArray.length);
+        }
+      }
+      // Legacy format: direct bps_records array
+      else if (Array.isArray(data.bps_records)) {
+        behaviorArray = data.bps_records;
+        console.log('📊 BPS: Using data.bps_records (legacy format), count:', behaviorArray.length);
+      }
+      // Fallback: look through all properties to find arrays
+      else {
+        const dataKeys = Object.keys(data);
+        console.log('📊 BPS: Searching through data keys:', dataKeys);
+
+        for (const key of dataKeys) {
+          if (Array.isArray(data[key])) {
+            // Check if this array contains behavior data (has item_type field)
+            if (data[key].length > 0 && data[key][0].item_type) {
+              behaviorArray = data[key];
+              console.log('📊 BPS: Found behavior data in key:', key);
+            }
+            // Check if this array contains detention data (has detention_type field)
+            else if (data[key].length > 0 && data[key][0].detention_type) {
+              detentionArray = data[key];
+              console.log('📊 BPS: Found detention data in key:', key);
+            }
+            // If we don't have behavior data yet and this is the first array, use it
+            else if (behaviorArray.length === 0) {
+              behaviorArray = data[key];
+              console.log('📊 BPS: Using first array found in key:', key);
+            }
+          }
+        }
+      }
+    }
+
+    console.log('📊 BPS: Final data set - Behavior records:', behaviorArray.length, 'Detention records:', detentionArray.length);
+    setBehaviorData(behaviorArray);
+    setDetentionData(detentionArray);
+  };
+
+  const applyProxyBpsProfile = (response) => {
+    if (response.success && response) {
+      const bpsProfile = response;
+      setBehaviorData(
+        bpsProfile.recent_entries || bpsProfile.bps_records || []
+      );
+      setDetentionData(bpsProfile.detention_records || []);
+    } else {
+      console.warn('⚠️ BPS: No BPS data in parent proxy response');
+      setBehaviorData([]);
+      setDetentionData([]);
+    }
+  };
+
   const fetchBehaviorData = async () => {
     if (!authCode) {
       Alert.alert(t('error'), t('authenticationCodeMissing'));
@@ -89,25 +166,14 @@ export default function BehaviorScreen({ navigation, route }) {
       const proxyOptions = extractProxyOptions(route.params);
       if (shouldUseParentProxy(route.params)) {
         console.log('🔄 BPS: Using parent proxy access');
-        console.log('🔑 Parent Auth Code:', authCode);
         console.log('👤 Student ID:', proxyOptions.studentId);
 
         const response = await getChildBpsProfile(
           authCode,
-          proxyOptions.studentId
+          proxyOptions.studentId,
+          { onUpdate: applyProxyBpsProfile }
         );
-
-        if (response.success && response) {
-          const bpsProfile = response;
-          setBehaviorData(
-            bpsProfile.recent_entries || bpsProfile.bps_records || []
-          );
-          setDetentionData(bpsProfile.detention_records || []);
-        } else {
-          console.warn('⚠️ BPS: No BPS data in parent proxy response');
-          setBehaviorData([]);
-          setDetentionData([]);
-        }
+        applyProxyBpsProfile(response);
         setLoading(false);
         return;
       }
@@ -115,86 +181,13 @@ export default function BehaviorScreen({ navigation, route }) {
       // Use direct student access (existing behavior)
       console.log('📚 BPS: Using direct student access');
 
-      const url = buildApiUrl(Config.API_ENDPOINTS.GET_STUDENT_BPS, {
-        authCode,
-      });
-
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          Accept: 'application/json',
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        console.log('📊 BPS: API response received:', {
-          success: data.success,
-          hasBpsRecords: !!data.data?.bps_records,
-          recordsCount: data.data?.bps_records?.length || 0,
-        });
-
-        // Handle API response with both behavior and detention data
-        let behaviorArray = [];
-        let detentionArray = [];
-
-        if (data && typeof data === 'object') {
-          // Check if response has success flag and data property (new API format)
-          if (data.success && data.data) {
-            // New API format: { success: true, data: { bps_records: [...], summary: {...} } }
-            if (Array.isArray(data.data.bps_records)) {
-              behaviorArray = data.data.bps_records;
-              console.log('📊 BPS: Using data.data.bps_records, count:', behaviorArray.length);
-            }
-            // Check for detention records in the data object
-            if (Array.isArray(data.data.detention_records)) {
-              detentionArray = data.data.detention_records;
-              console.log('📊 BPS: Using data.data.detention_records, count:', detentionArray.length);
-            }
-          }
-          // Legacy format: direct bps_records array
-          else if (Array.isArray(data.bps_records)) {
-            behaviorArray = data.bps_records;
-            console.log('📊 BPS: Using data.bps_records (legacy format), count:', behaviorArray.length);
-          }
-          // Fallback: look through all properties to find arrays
-          else {
-            const dataKeys = Object.keys(data);
-            console.log('📊 BPS: Searching through data keys:', dataKeys);
-
-            for (const key of dataKeys) {
-              if (Array.isArray(data[key])) {
-                // Check if this array contains behavior data (has item_type field)
-                if (data[key].length > 0 && data[key][0].item_type) {
-                  behaviorArray = data[key];
-                  console.log('📊 BPS: Found behavior data in key:', key);
-                }
-                // Check if this array contains detention data (has detention_type field)
-                else if (data[key].length > 0 && data[key][0].detention_type) {
-                  detentionArray = data[key];
-                  console.log('📊 BPS: Found detention data in key:', key);
-                }
-                // If we don't have behavior data yet and this is the first array, use it
-                else if (behaviorArray.length === 0) {
-                  behaviorArray = data[key];
-                  console.log('📊 BPS: Using first array found in key:', key);
-                }
-              }
-            }
-          }
-        }
-
-        console.log('📊 BPS: Final data set - Behavior records:', behaviorArray.length, 'Detention records:', detentionArray.length);
-        setBehaviorData(behaviorArray);
-        setDetentionData(detentionArray);
-      } else {
-        // For development, use dummy data if API fails
-        const dummyBehavior = getDummyBehaviorData();
-        const dummyDetention = getDummyDetentionData();
-        setBehaviorData(dummyBehavior);
-        setDetentionData(dummyDetention);
-      }
+      // Cached records render immediately and update once refreshed
+      const data = await apiGet(
+        Config.API_ENDPOINTS.GET_STUDENT_BPS,
+        {},
+        { authCode, cache: { onUpdate: applyStudentBpsData } }
+      );
+      applyStudentBpsData(data);
     } catch (error) {
       console.error('Error fetching behavior data:', error);
 
@@ -15,7 +15,7 @@ import {
   RefreshControl,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from '../services/secureStorage';
 import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
 import {
   faCalendarAlt,
@@ -84,9 +84,11 @@ export default function CalendarScreen({ navigation, route }) {
     return () => {
       // Clear teacher calendar data when leaving the screen to prevent data persistence
       if (route?.params?.userType === 'teacher') {
-        AsyncStorage.removeItem('teacherCalendarData').catch((error) => {
-          console.warn('Failed to clear teacher calendar data:', error);
-        });
+        secureSessionStorage
+          .removeItem('teacherCalendarData')
+          .catch((error) => {
+            console.warn('Failed to clear teacher calendar data:', error);
+          });
       }
     };
   }, [route?.params?.userType]);
@@ -96,14 +98,16 @@ export default function CalendarScreen({ navigation, route }) {
       setLoading(true);
 
       // Get user data - check multiple sources with proper priority
-      let userDataStr = await AsyncStorage.getItem('userData');
-      const calendarUserDataStr = await AsyncStorage.getItem(
+      let userDataStr = await secureSessionStorage.getItem('userData');
+      const calendarUserDataStr = await secureSessionStorage.getItem(
         'calendarUserData'
       );
-      const teacherCalendarDataStr = await AsyncStorage.getItem(
+      const teacherCalendarDataStr = await secureSessionStorage.getItem(
         'teacherCalendarData'
       );
-      const selectedStudentStr = await AsyncStorage.getItem('selectedStudent');
+      const selectedStudentStr = await secureSessionStorage.getItem(
+        'selectedStudent'
+      );
 
       console.log('🔍 CALENDAR: User data check:', {
         hasUserData: !!userDataStr,
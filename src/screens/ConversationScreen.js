@@ -1,4 +1,10 @@
-import React, { useState, useEffect, useCallback, useRef } from 'react';
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from 'react';
 import {
   View,
   Text,
@@ -12,7 +18,6 @@ import {
   Platform,
   Modal,
   Keyboard,
-  AppState,
 } from 'react-native';
 import Animated, {
   useSharedValue,
@@ -40,13 +45,22 @@ import {
   faCheckCircle,
   faCircle,
   faCopy,
+  faReply,
+  faShare,
+  faTimes,
+  faClock,
 } from '@fortawesome/free-solid-svg-icons';
 import { useTheme } from '../contexts/ThemeContext';
 import { useLanguage } from '../contexts/LanguageContext';
 import { useMessaging } from '../contexts/MessagingContext';
 import {
   getConversationMessages,
-  sendMessage,
+  queueOutgoingMessage,
+  retryOutgoingMessage,
+  discardOutgoingMessage,
+  getOutgoingMessages,
+  subscribeToOutbox,
+  OUTBOX_STATUS,
   markMessagesAsRead,
   deleteMessage,
   deleteConversation,
@@ -55,11 +69,67 @@ import {
   adminDeleteMessage,
   bulkDeleteMessages,
   editMessage,
+  toggleMessageReaction,
+  subscribeToConversation,
+  sendTypingStatus,
+  scheduleMessage,
+  TRANSPORT_EVENTS,
 } from '../services/messagingService';
-import { MessageBubble, AttachmentHandler } from '../components/messaging';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import SchoolConfigService from '../services/schoolConfigService';
+import {
+  MessageBubble,
+  AttachmentHandler,
+  ForwardMessageModal,
+  MessageReceiptsModal,
+  ScheduleMessageModal,
+} from '../components/messaging';
+import { formatScheduleTime } from '../components/messaging/ScheduleMessageModal';
+import {
+  QUICK_REACTIONS,
+  createReplyPreview,
+  toggleReaction,
+  getMessagePlainText,
+} from '../utils/messageInteractions';
+import { addReceipt } from '../utils/messageDelivery';
+import { toPendingMessage } from '../services/messageOutbox';
+import { secureSessionStorage } from '../services/secureStorage';
 import { useFocusEffect } from '@react-navigation/native';
 
+// Stop announcing our own typing after this long without a keystroke
+const TYPING_IDLE_TIMEOUT = 3000;
+// Hide another member's typing indicator if no update arrives in time
+const TYPING_EXPIRY = 8000;
+
+/**
+ * Build the message shown once the server has accepted a sent message
+ * Handles both the old (flat) and new ({ message }) response structures.
+ * @param {Object} data - Response data from sendMessage
+ * @param {Object} pendingMessage - The message as shown while pending
+ * @returns {Object}
+ */
+const buildSentMessage = (data = {}, pendingMessage) => {
+  const messageData = data.message || data;
+
+  return {
+    message_id: data.message_id || messageData.message_id,
+    content: data.content || messageData.content || pendingMessage.content,
+    message_type: data.message_type || messageData.message_type || 'text',
+    sender: data.sender || messageData.sender || pendingMessage.sender,
+    created_at:
+      data.created_at || messageData.created_at || pendingMessage.created_at,
+    is_own_message: true,
+    attachment_url:
+      data.attachment_url ||
+      messageData.attachment_url ||
+      pendingMessage.attachment_url ||
+      null,
+    reply_to: messageData.reply_to || pendingMessage.reply_to,
+    reactions: messageData.reactions || [],
+    delivered_to: messageData.delivered_to || [],
+    read_by: messageData.read_by || [],
+  };
+};
+
 const ConversationScreen = ({ navigation, route }) => {
   const { theme, fontSizes } = useTheme();
   const { t } = useLanguage();
@@ -89,7 +159,6 @@ const ConversationScreen = ({ navigation, route }) => {
   });
   const [currentUserId, setCurrentUserId] = useState(null);
   const [hasMarkedAsRead, setHasMarkedAsRead] = useState(false);
-  const [isScreenActive, setIsScreenActive] = useState(true);
 
   // Message management states
   const [selectedMessage, setSelectedMessage] = useState(null);
@@ -97,6 +166,13 @@ const ConversationScreen = ({ navigation, route }) => {
   const [editText, setEditText] = useState('');
   const [selectedMessages, setSelectedMessages] = useState([]);
   const [selectionMode, setSelectionMode] = useState(false);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [forwardingMessage, setForwardingMessage] = useState(null);
+  const [receiptsMessageId, setReceiptsMessageId] = useState(null);
+  const [typingUsers, setTypingUsers] = useState([]);
+  const [outboxEntries, setOutboxEntries] = useState([]);
+  const [quietHours, setQuietHours] = useState(null);
+  const [showScheduleModal, setShowScheduleModal] = useState(false);
 
   // Animation values for menu options
   const menuOpacity = useSharedValue(0);
@@ -108,6 +184,8 @@ const ConversationScreen = ({ navigation, route }) => {
   const deleteOpacity = useSharedValue(0);
   const selectOpacity = useSharedValue(0);
   const copyOpacity = useSharedValue(0);
+  const replyOpacity = useSharedValue(0);
+  const forwardOpacity = useSharedValue(0);
 
   // Animated style for menu options
   const menuAnimatedStyle = useAnimatedStyle(() => {
@@ -150,6 +228,20 @@ const ConversationScreen = ({ navigation, route }) => {
     ],
   }));
 
+  const replyAnimatedStyle = useAnimatedStyle(() => ({
+    opacity: replyOpacity.value,
+    transform: [
+      { translateX: interpolate(replyOpacity.value, [0, 1], [-20, 0]) },
+    ],
+  }));
+
+  const forwardAnimatedStyle = useAnimatedStyle(() => ({
+    opacity: forwardOpacity.value,
+    transform: [
+      { translateX: interpolate(forwardOpacity.value, [0, 1], [-20, 0]) },
+    ],
+  }));
+
   // Animation functions
   const showMenuAnimation = () => {
     // Main container animation
@@ -167,12 +259,20 @@ const ConversationScreen = ({ navigation, route }) => {
     });
 
     // Staggered button animations
+    replyOpacity.value = withSpring(1, {
+      damping: 25,
+      stiffness: 400,
+    });
     editOpacity.value = withSpring(1, {
       damping: 25,
       stiffness: 400,
     });
 
     setTimeout(() => {
+      forwardOpacity.value = withSpring(1, {
+        damping: 25,
+        stiffness: 400,
+      });
       deleteOpacity.value = withSpring(1, {
         damping: 25,
         stiffness: 400,
@@ -196,6 +296,8 @@ const ConversationScreen = ({ navigation, route }) => {
 
   const hideMenuAnimation = () => {
     // Hide all buttons immediately
+    replyOpacity.value = withTiming(0, { duration: 150 });
+    forwardOpacity.value = withTiming(0, { duration: 150 });
     editOpacity.value = withTiming(0, { duration: 150 });
     deleteOpacity.value = withTiming(0, { duration: 150 });
     selectOpacity.value = withTiming(0, { duration: 150 });
@@ -241,9 +343,11 @@ const ConversationScreen = ({ navigation, route }) => {
   };
 
   const flatListRef = useRef(null);
-  const pollIntervalRef = useRef(null);
   const lastRefreshTime = useRef(0);
   const optionsButtonRef = useRef(null);
+  const isTypingRef = useRef(false);
+  const typingIdleTimeout = useRef(null);
+  const typingExpiryTimeouts = useRef({});
 
   // Animate menu when selectedMessage changes
   useEffect(() => {
@@ -292,7 +396,7 @@ const ConversationScreen = ({ navigation, route }) => {
   // Get current user ID from storage
   const getCurrentUserId = useCallback(async () => {
     try {
-      const userData = await AsyncStorage.getItem('userData');
+      const userData = await secureSessionStorage.getItem('userData');
       if (userData) {
         const user = JSON.parse(userData);
         return user.id || user.user_id;
@@ -405,93 +509,300 @@ const ConversationScreen = ({ navigation, route }) => {
     }
   }, [fetchMessages]);
 
-  // Send message
-  const handleSendMessage = useCallback(async () => {
-    if (!messageText.trim() || sending) return;
+  // Let other members know when we stop typing
+  const stopTyping = useCallback(() => {
+    clearTimeout(typingIdleTimeout.current);
+    if (isTypingRef.current) {
+      isTypingRef.current = false;
+      sendTypingStatus(conversationUuid, false);
+    }
+  }, [conversationUuid]);
 
-    const tempMessage = {
-      message_id: Date.now(),
-      content: messageText.trim(),
-      message_type: 'text',
-      sender: {
-        name: userType === 'teacher' ? teacherName : studentName,
-        user_type: userType === 'teacher' ? 'staff' : 'student',
-      },
-      created_at: new Date().toISOString(),
-      is_own_message: true, // Always true for messages we send
-    };
+  const handleChangeText = useCallback(
+    (text) => {
+      setMessageText(text);
 
-    try {
-      setSending(true);
-      setMessageText('');
+      if (!text.trim()) {
+        stopTyping();
+        return;
+      }
 
-      // Optimistically add message to UI (at the beginning since it's newest)
-      setMessages((prev) => [tempMessage, ...prev]);
+      if (!isTypingRef.current) {
+        isTypingRef.current = true;
+        sendTypingStatus(conversationUuid, true);
+      }
+      clearTimeout(typingIdleTimeout.current);
+      typingIdleTimeout.current = setTimeout(stopTyping, TYPING_IDLE_TIMEOUT);
+    },
+    [conversationUuid, stopTyping]
+  );
 
-      const response = await sendMessage(
-        conversationUuid,
-        tempMessage.content,
-        'text',
-        null,
-        authCode
-      );
+  // Show or hide another member's typing indicator
+  const setMemberTyping = useCallback(
+    (user, isTyping) => {
+      if (user?.id == null || String(user.id) === String(currentUserId)) {
+        return;
+      }
 
-      if (response.success && response.data) {
-        // Handle both old and new API response structures
-        const messageData = response.data.message || response.data;
-
-        // Replace temp message with real message, ensuring all required fields exist
-        const serverMessage = {
-          message_id:
-            response.data.message_id ||
-            messageData.message_id ||
-            tempMessage.message_id,
-          content:
-            response.data.content || messageData.content || tempMessage.content,
-          message_type:
-            response.data.message_type || messageData.message_type || 'text',
-          sender:
-            response.data.sender || messageData.sender || tempMessage.sender,
-          created_at:
-            response.data.created_at ||
-            messageData.created_at ||
-            tempMessage.created_at,
-          is_own_message: true,
-          attachment_url:
-            response.data.attachment_url || messageData.attachment_url || null,
-        };
+      const key = String(user.id);
+      clearTimeout(typingExpiryTimeouts.current[key]);
+      delete typingExpiryTimeouts.current[key];
 
-        setMessages((prev) =>
-          prev.map((msg) =>
-            msg.message_id === tempMessage.message_id ? serverMessage : msg
-          )
+      if (isTyping) {
+        typingExpiryTimeouts.current[key] = setTimeout(
+          () => setMemberTyping(user, false),
+          TYPING_EXPIRY
         );
-      } else {
-        // Remove temp message on failure
-        setMessages((prev) =>
-          prev.filter((msg) => msg.message_id !== tempMessage.message_id)
+      }
+
+      setTypingUsers((prev) => {
+        const others = prev.filter(
+          (typingUser) => String(typingUser.id) !== key
         );
+        return isTyping ? [...others, user] : others;
+      });
+    },
+    [currentUserId]
+  );
+
+  useEffect(() => {
+    return () => {
+      clearTimeout(typingIdleTimeout.current);
+      Object.values(typingExpiryTimeouts.current).forEach(clearTimeout);
+    };
+  }, []);
+
+  // Quiet hours only hold back messages from teachers
+  useEffect(() => {
+    if (userType === 'teacher') {
+      SchoolConfigService.getQuietHours().then(setQuietHours);
+    }
+  }, [userType]);
+
+  // Send message; urgent messages are delivered even during quiet hours
+  const sendNow = useCallback(
+    async (urgent = false) => {
+      if (!messageText.trim() || sending) return;
+
+      stopTyping();
+
+      const replyTarget = replyingTo;
+      const content = messageText.trim();
+
+      try {
+        setSending(true);
+        setMessageText('');
+        setReplyingTo(null);
+
+        // The outbox shows the message as pending straight away and keeps
+        // retrying it in the background if this first attempt fails
+        await queueOutgoingMessage({
+          conversationUuid,
+          authCode,
+          content,
+          replyToMessageId: replyTarget?.message_id,
+          urgent,
+          display: {
+            sender: {
+              name: userType === 'teacher' ? teacherName : studentName,
+              user_type: userType === 'teacher' ? 'staff' : 'student',
+            },
+            reply_to: replyTarget ? createReplyPreview(replyTarget) : null,
+          },
+        });
+      } catch (error) {
+        console.error('Error queueing message:', error);
         Alert.alert(t('error'), t('failedToSendMessage'));
+      } finally {
+        setSending(false);
       }
-    } catch (error) {
-      console.error('Error sending message:', error);
-      setMessages((prev) =>
-        prev.filter((msg) => msg.message_id !== tempMessage.message_id)
+    },
+    [
+      messageText,
+      sending,
+      replyingTo,
+      stopTyping,
+      conversationUuid,
+      userType,
+      teacherName,
+      studentName,
+      authCode,
+    ]
+  );
+
+  // Hold the message on the server until quiet hours end
+  const holdUntilMorning = useCallback(async () => {
+    const replyTarget = replyingTo;
+    const content = messageText.trim();
+    const sendAt = SchoolConfigService.getQuietHoursEnd(quietHours);
+
+    try {
+      setSending(true);
+      const response = await scheduleMessage(
+        conversationUuid,
+        content,
+        sendAt,
+        {
+          heldForQuietHours: true,
+          replyToMessageId: replyTarget?.message_id,
+        },
+        authCode
+      );
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to schedule message');
+      }
+
+      stopTyping();
+      setMessageText('');
+      setReplyingTo(null);
+      Alert.alert(
+        t('success'),
+        t('messageHeld').replace('{time}', formatScheduleTime(sendAt))
       );
-      Alert.alert(t('error'), t('failedToSendMessage'));
+    } catch (error) {
+      console.error('Error holding message for quiet hours:', error);
+      Alert.alert(t('error'), t('failedToScheduleMessage'));
     } finally {
       setSending(false);
     }
   }, [
+    replyingTo,
     messageText,
-    sending,
+    quietHours,
     conversationUuid,
-    userType,
-    teacherName,
-    studentName,
     authCode,
+    stopTyping,
   ]);
 
+  const handleSendMessage = useCallback(() => {
+    if (!messageText.trim() || sending) return;
+
+    if (
+      userType === 'teacher' &&
+      SchoolConfigService.isWithinQuietHours(quietHours)
+    ) {
+      const endTime = formatScheduleTime(
+        SchoolConfigService.getQuietHoursEnd(quietHours)
+      );
+      Alert.alert(
+        t('quietHours'),
+        t('quietHoursMessage').replace('{time}', endTime),
+        [
+          { text: t('cancel'), style: 'cancel' },
+          { text: t('sendNow'), onPress: () => sendNow(true) },
+          { text: t('holdUntilMorning'), onPress: holdUntilMorning },
+        ]
+      );
+      return;
+    }
+
+    sendNow();
+  }, [messageText, sending, userType, quietHours, sendNow, holdUntilMorning]);
+
+  // Schedule the message typed in this conversation
+  const handleScheduleMessage = useCallback(
+    async ({ content, sendAt }) => {
+      const response = await scheduleMessage(
+        conversationUuid,
+        content,
+        sendAt,
+        { replyToMessageId: replyingTo?.message_id },
+        authCode
+      );
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to schedule message');
+      }
+
+      setShowScheduleModal(false);
+      stopTyping();
+      setMessageText('');
+      setReplyingTo(null);
+      Alert.alert(
+        t('success'),
+        t('messageScheduledFor').replace('{time}', formatScheduleTime(sendAt))
+      );
+    },
+    [conversationUuid, replyingTo, authCode, stopTyping]
+  );
+
+  // Show this conversation's outbox, including messages left from a previous session
+  useEffect(() => {
+    let active = true;
+    const forConversation = (entries) =>
+      entries.filter((entry) => entry.conversationUuid === conversationUuid);
+
+    getOutgoingMessages(conversationUuid).then((entries) => {
+      if (active) setOutboxEntries(entries);
+    });
+    const unsubscribe = subscribeToOutbox((entries) =>
+      setOutboxEntries(forConversation(entries))
+    );
+
+    return () => {
+      active = false;
+      unsubscribe();
+    };
+  }, [conversationUuid]);
+
+  // Replace sent outbox messages with the server copy
+  useEffect(() => {
+    outboxEntries
+      .filter((entry) => entry.status === OUTBOX_STATUS.SENT)
+      .forEach((entry) => {
+        const sentMessage = buildSentMessage(
+          entry.response,
+          toPendingMessage(entry)
+        );
+
+        // The transport may already have delivered this message
+        setMessages((prev) => {
+          if (prev.some((msg) => msg.message_id === sentMessage.message_id)) {
+            return prev;
+          }
+          return [sentMessage, ...prev].sort(
+            (a, b) => new Date(b.created_at) - new Date(a.created_at)
+          );
+        });
+        discardOutgoingMessage(entry.id);
+      });
+  }, [outboxEntries]);
+
+  // Unsent outbox messages are listed above the loaded messages
+  const displayedMessages = useMemo(() => {
+    const loadedIds = new Set(messages.map((msg) => msg.message_id));
+    const pending = outboxEntries
+      .filter(
+        (entry) =>
+          entry.status !== OUTBOX_STATUS.SENT ||
+          !loadedIds.has(buildSentMessage(entry.response, {}).message_id)
+      )
+      .map(toPendingMessage)
+      .reverse();
+
+    return pending.length > 0 ? [...pending, ...messages] : messages;
+  }, [messages, outboxEntries]);
+
+  // Failed messages can be sent again or discarded
+  const handleOutboxMessagePress = useCallback(
+    (message) => {
+      if (message.outbox_status !== OUTBOX_STATUS.FAILED) return;
+
+      Alert.alert(t('messageNotSent'), t('messageNotSentMessage'), [
+        { text: t('cancel'), style: 'cancel' },
+        {
+          text: t('delete'),
+          style: 'destructive',
+          onPress: () => discardOutgoingMessage(message.outbox_id),
+        },
+        {
+          text: t('retry'),
+          onPress: () => retryOutgoingMessage(message.outbox_id),
+        },
+      ]);
+    },
+    [t]
+  );
+
   // Load more messages
   const loadMoreMessages = useCallback(() => {
     if (hasMore && !loadingMore) {
@@ -514,7 +825,7 @@ const ConversationScreen = ({ navigation, route }) => {
     // 1. It's the first message (index 0 - newest message)
     // 2. OR the previous message (chronologically) is from a different sender
     // Since messages are in reverse chronological order, we check the next item in array
-    const previousMessage = messages[index + 1];
+    const previousMessage = displayedMessages[index + 1];
     const shouldShowSender =
       !item.is_own_message &&
       (!previousMessage || // No previous message (first message in conversation)
@@ -548,12 +859,26 @@ const ConversationScreen = ({ navigation, route }) => {
               showSender={shouldShowSender}
               isSelected={isSelected}
               selectionMode={selectionMode}
+              currentUserId={currentUserId}
+              onReplyPress={scrollToMessage}
+              onReactionPress={handleToggleReaction}
+              onReactionLongPress={showReactionUsers}
+              onReadStatusPress={
+                selectionMode
+                  ? undefined
+                  : (message) => setReceiptsMessageId(message.message_id)
+              }
+              onRetryPress={(message) =>
+                retryOutgoingMessage(message.outbox_id)
+              }
               onAttachmentPress={(url) => {
                 // Handle attachment press - could open in browser or download
                 console.log('Attachment pressed:', url);
               }}
               onMessagePress={(message) => {
-                if (selectionMode) {
+                if (message.outbox_id) {
+                  handleOutboxMessagePress(message);
+                } else if (selectionMode) {
                   handleSelectMessage(message);
                 } else {
                   // Clear selected message if any menu is open
@@ -574,8 +899,10 @@ const ConversationScreen = ({ navigation, route }) => {
                 }
               }}
               onMessageLongPress={(message) => {
-                // Show inline actions for own messages
-                if (message.is_own_message && !selectionMode) {
+                // Show inline actions (edit and delete only on own messages)
+                if (message.outbox_id) {
+                  handleOutboxMessagePress(message);
+                } else if (!selectionMode) {
                   setSelectedMessage(
                     selectedMessage?.message_id === message.message_id
                       ? null
@@ -588,64 +915,115 @@ const ConversationScreen = ({ navigation, route }) => {
         </View>
 
         {/* Inline Message Actions */}
-        {showActions && item.is_own_message && (
+        {showActions && (
           <Animated.View
-            style={[styles.inlineActions, menuAnimatedStyle]}
+            style={[
+              styles.inlineActions,
+              !item.is_own_message && styles.inlineActionsOther,
+              menuAnimatedStyle,
+            ]}
             pointerEvents='auto'
           >
-            {/* Edit Option */}
-            <Animated.View style={editAnimatedStyle}>
+            {/* Quick Reactions */}
+            <View style={styles.quickReactions}>
+              {QUICK_REACTIONS.map((emoji) => (
+                <TouchableOpacity
+                  key={emoji}
+                  style={styles.quickReactionButton}
+                  onPress={() => handleToggleReaction(item, emoji)}
+                >
+                  <Text style={styles.quickReactionEmoji}>{emoji}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            {/* Reply Option */}
+            <Animated.View style={replyAnimatedStyle}>
               <TouchableOpacity
-                style={[
-                  styles.actionOption,
-                  !canEditMessage(item) && styles.disabledOption,
-                ]}
-                onPress={() =>
-                  canEditMessage(item) && handleMessageAction('edit', item)
-                }
-                disabled={!canEditMessage(item)}
+                style={styles.actionOption}
+                onPress={() => handleMessageAction('reply', item)}
               >
                 <FontAwesomeIcon
-                  icon={faEdit}
+                  icon={faReply}
                   size={16}
-                  color={
-                    canEditMessage(item)
-                      ? safeTheme.colors.primary
-                      : safeTheme.colors.textSecondary
-                  }
+                  color={safeTheme.colors.primary}
                 />
-                <Text
-                  style={[
-                    styles.actionOptionText,
-                    !canEditMessage(item) && styles.disabledOptionText,
-                  ]}
-                >
-                  Edit Message
-                </Text>
+                <Text style={styles.actionOptionText}>{t('reply')}</Text>
               </TouchableOpacity>
             </Animated.View>
 
-            {/* Delete Option */}
-            <Animated.View style={deleteAnimatedStyle}>
+            {/* Forward Option */}
+            <Animated.View style={forwardAnimatedStyle}>
               <TouchableOpacity
                 style={styles.actionOption}
-                onPress={() => handleMessageAction('delete', item)}
+                onPress={() => handleMessageAction('forward', item)}
               >
                 <FontAwesomeIcon
-                  icon={faTrash}
+                  icon={faShare}
                   size={16}
-                  color={safeTheme.colors.error}
+                  color={safeTheme.colors.primary}
                 />
-                <Text
+                <Text style={styles.actionOptionText}>{t('forward')}</Text>
+              </TouchableOpacity>
+            </Animated.View>
+
+            {/* Edit Option */}
+            {item.is_own_message && (
+              <Animated.View style={editAnimatedStyle}>
+                <TouchableOpacity
                   style={[
-                    styles.actionOptionText,
-                    { color: safeTheme.colors.error },
+                    styles.actionOption,
+                    !canEditMessage(item) && styles.disabledOption,
                   ]}
+                  onPress={() =>
+                    canEditMessage(item) && handleMessageAction('edit', item)
+                  }
+                  disabled={!canEditMessage(item)}
                 >
-                  Delete Message
-                </Text>
-              </TouchableOpacity>
-            </Animated.View>
+                  <FontAwesomeIcon
+                    icon={faEdit}
+                    size={16}
+                    color={
+                      canEditMessage(item)
+                        ? safeTheme.colors.primary
+                        : safeTheme.colors.textSecondary
+                    }
+                  />
+                  <Text
+                    style={[
+                      styles.actionOptionText,
+                      !canEditMessage(item) && styles.disabledOptionText,
+                    ]}
+                  >
+                    Edit Message
+                  </Text>
+                </TouchableOpacity>
+              </Animated.View>
+            )}
+
+            {/* Delete Option */}
+            {item.is_own_message && (
+              <Animated.View style={deleteAnimatedStyle}>
+                <TouchableOpacity
+                  style={styles.actionOption}
+                  onPress={() => handleMessageAction('delete', item)}
+                >
+                  <FontAwesomeIcon
+                    icon={faTrash}
+                    size={16}
+                    color={safeTheme.colors.error}
+                  />
+                  <Text
+                    style={[
+                      styles.actionOptionText,
+                      { color: safeTheme.colors.error },
+                    ]}
+                  >
+                    Delete Message
+                  </Text>
+                </TouchableOpacity>
+              </Animated.View>
+            )}
 
             {/* Select Option */}
             <Animated.View style={selectAnimatedStyle}>
@@ -716,6 +1094,12 @@ const ConversationScreen = ({ navigation, route }) => {
         case 'copy':
           handleCopyMessage(message);
           break;
+        case 'reply':
+          setReplyingTo(message);
+          break;
+        case 'forward':
+          setForwardingMessage(message);
+          break;
         default:
           break;
       }
@@ -723,6 +1107,72 @@ const ConversationScreen = ({ navigation, route }) => {
     [userType]
   );
 
+  // Add or take back a reaction, showing it straight away
+  const handleToggleReaction = useCallback(
+    async (message, emoji) => {
+      setSelectedMessage(null);
+
+      const previousReactions = message.reactions || [];
+      const applyReactions = (reactions) =>
+        setMessages((prev) =>
+          prev.map((msg) =>
+            msg.message_id === message.message_id ? { ...msg, reactions } : msg
+          )
+        );
+
+      applyReactions(
+        toggleReaction(previousReactions, emoji, {
+          id: currentUserId,
+          name: userType === 'teacher' ? teacherName : studentName,
+        })
+      );
+
+      try {
+        const response = await toggleMessageReaction(
+          message.message_id,
+          emoji,
+          authCode
+        );
+        if (!response.success) {
+          applyReactions(previousReactions);
+          Alert.alert(t('error'), response.message || t('failedToReact'));
+        } else if (response.data?.reactions) {
+          applyReactions(response.data.reactions);
+        }
+      } catch (error) {
+        console.error('Error reacting to message:', error);
+        applyReactions(previousReactions);
+        Alert.alert(t('error'), t('failedToReact'));
+      }
+    },
+    [currentUserId, userType, teacherName, studentName, authCode]
+  );
+
+  // Show who reacted with an emoji
+  const showReactionUsers = useCallback((message, reaction) => {
+    Alert.alert(
+      `${reaction.emoji} ${reaction.count}`,
+      reaction.userNames.join('\n')
+    );
+  }, []);
+
+  // Scroll to the message a reply quotes, if it is loaded
+  const scrollToMessage = useCallback(
+    (messageId) => {
+      const index = displayedMessages.findIndex(
+        (msg) => msg.message_id === messageId
+      );
+      if (index === -1) return;
+
+      flatListRef.current?.scrollToIndex({
+        index,
+        animated: true,
+        viewPosition: 0.5,
+      });
+    },
+    [displayedMessages]
+  );
+
   // Handle message editing (1-minute time limit)
   const handleEditMessage = useCallback((message) => {
     setEditingMessage(message);
@@ -1183,64 +1633,137 @@ const ConversationScreen = ({ navigation, route }) => {
     fetchMessages();
   }, [fetchMessages]);
 
+  // Apply a real-time event from the messaging transport to the message list
+  const handleTransportEvent = useCallback(
+    (event) => {
+      switch (event.type) {
+        case TRANSPORT_EVENTS.MESSAGE_CREATED: {
+          const incoming = {
+            ...event.message,
+            is_own_message: determineMessageOwnership(event.message, userType),
+          };
+          setMessages((prev) => {
+            if (prev.some((msg) => msg.message_id === incoming.message_id)) {
+              return prev.map((msg) =>
+                msg.message_id === incoming.message_id
+                  ? { ...msg, ...incoming }
+                  : msg
+              );
+            }
+            return [incoming, ...prev].sort(
+              (a, b) => new Date(b.created_at) - new Date(a.created_at)
+            );
+          });
+          if (!incoming.is_own_message) {
+            // New messages from others need marking as read again
+            setHasMarkedAsRead(false);
+            setMemberTyping(incoming.sender, false);
+          }
+          break;
+        }
+        case TRANSPORT_EVENTS.MESSAGE_UPDATED:
+          setMessages((prev) =>
+            prev.map((msg) =>
+              msg.message_id === event.message.message_id
+                ? {
+                    ...msg,
+                    ...event.message,
+                    is_own_message: msg.is_own_message,
+                  }
+                : msg
+            )
+          );
+          break;
+        case TRANSPORT_EVENTS.MESSAGE_DELETED:
+          setMessages((prev) =>
+            prev.filter((msg) => msg.message_id !== event.message_id)
+          );
+          break;
+        case TRANSPORT_EVENTS.MESSAGE_READ: {
+          const readIds = new Set(event.message_ids || []);
+          setMessages((prev) =>
+            prev.map((msg) =>
+              readIds.has(msg.message_id)
+                ? {
+                    ...msg,
+                    is_read: true,
+                    read_at: event.read_at || msg.read_at,
+                    read_by:
+                      event.read_by ||
+                      (event.user_id != null
+                        ? addReceipt(msg.read_by, event.user_id, event.read_at)
+                        : msg.read_by),
+                  }
+                : msg
+            )
+          );
+          break;
+        }
+        case TRANSPORT_EVENTS.MESSAGE_DELIVERED: {
+          const deliveredIds = new Set(event.message_ids || []);
+          setMessages((prev) =>
+            prev.map((msg) =>
+              deliveredIds.has(msg.message_id)
+                ? {
+                    ...msg,
+                    delivered_to:
+                      event.delivered_to ||
+                      addReceipt(
+                        msg.delivered_to,
+                        event.user_id,
+                        event.delivered_at
+                      ),
+                  }
+                : msg
+            )
+          );
+          break;
+        }
+        case TRANSPORT_EVENTS.TYPING:
+          setMemberTyping(event.user, event.is_typing);
+          break;
+        case TRANSPORT_EVENTS.RESYNC:
+          lastRefreshTime.current = 0;
+          refreshMessages();
+          break;
+        default:
+          break;
+      }
+    },
+    [userType, refreshMessages, setMemberTyping]
+  );
+
   // Focus effect for real-time updates
   useFocusEffect(
     useCallback(() => {
       console.log(
-        '🔍 CONVERSATION: Screen focused, setting up real-time updates'
+        '🔍 CONVERSATION: Screen focused, subscribing to real-time updates'
       );
-      setIsScreenActive(true);
 
       // Refresh messages when screen comes into focus
       refreshMessages();
 
-      // Set up polling for new messages every 10 seconds when screen is active
-      const startPolling = () => {
-        if (pollIntervalRef.current) {
-          clearInterval(pollIntervalRef.current);
-        }
-
-        pollIntervalRef.current = setInterval(() => {
-          if (isScreenActive) {
-            console.log('🔄 CONVERSATION: Polling for new messages...');
-            refreshMessages();
-          }
-        }, 10000); // Poll every 10 seconds
-      };
-
-      startPolling();
-
-      // App state change listener
-      const handleAppStateChange = (nextAppState) => {
-        console.log(`📱 CONVERSATION: App state changed to ${nextAppState}`);
-        if (nextAppState === 'active') {
-          setIsScreenActive(true);
-          refreshMessages();
-          startPolling();
-        } else {
-          setIsScreenActive(false);
-          if (pollIntervalRef.current) {
-            clearInterval(pollIntervalRef.current);
-          }
-        }
-      };
-
-      const subscription = AppState.addEventListener(
-        'change',
-        handleAppStateChange
+      // The transport pushes events over its socket, or polls the API when the
+      // socket is unavailable, and pauses itself while the app is backgrounded
+      const unsubscribe = subscribeToConversation(
+        conversationUuid,
+        handleTransportEvent,
+        { authCode }
       );
 
       return () => {
-        console.log('🔍 CONVERSATION: Screen unfocused, cleaning up');
-        setIsScreenActive(false);
-        if (pollIntervalRef.current) {
-          clearInterval(pollIntervalRef.current);
-        }
-        if (subscription) {
-          subscription.remove();
-        }
+        console.log('🔍 CONVERSATION: Screen unfocused, unsubscribing');
+        unsubscribe();
+        stopTyping();
+        setTypingUsers([]);
       };
-    }, [refreshMessages, isScreenActive])
+    }, [
+      conversationUuid,
+      authCode,
+      refreshMessages,
+      handleTransportEvent,
+      stopTyping,
+    ])
   );
 
   // Mark unread messages as read when messages are loaded (only once)
@@ -1368,7 +1891,7 @@ const ConversationScreen = ({ navigation, route }) => {
           ) : (
             <FlatList
               ref={flatListRef}
-              data={messages}
+              data={displayedMessages}
               renderItem={renderMessageItem}
               keyExtractor={(item) =>
                 item.message_id?.toString() ||
@@ -1380,10 +1903,69 @@ const ConversationScreen = ({ navigation, route }) => {
               onEndReachedThreshold={0.1}
               ListFooterComponent={renderLoadingFooter}
               showsVerticalScrollIndicator={false}
+              onScrollToIndexFailed={(info) => {
+                // The row is not measured yet; jump close to it and retry
+                flatListRef.current?.scrollToOffset({
+                  offset: info.averageItemLength * info.index,
+                  animated: true,
+                });
+                setTimeout(() => {
+                  flatListRef.current?.scrollToIndex({
+                    index: info.index,
+                    animated: true,
+                    viewPosition: 0.5,
+                  });
+                }, 300);
+              }}
             />
           )}
         </View>
 
+        {/* Typing Indicator */}
+        {typingUsers.length > 0 && (
+          <View style={styles.typingIndicator}>
+            <Text style={styles.typingText} numberOfLines={1}>
+              {typingUsers.length === 1
+                ? t('isTyping').replace('{name}', typingUsers[0].name || '')
+                : t('severalTyping').replace('{count}', typingUsers.length)}
+            </Text>
+          </View>
+        )}
+
+        {/* Reply Preview */}
+        {replyingTo && (
+          <View style={styles.replyBar}>
+            <FontAwesomeIcon
+              icon={faReply}
+              size={14}
+              color={theme.colors.primary}
+            />
+            <View style={styles.replyBarContent}>
+              <Text style={styles.replyBarTitle} numberOfLines={1}>
+                {t('replyingTo').replace(
+                  '{name}',
+                  replyingTo.is_own_message
+                    ? t('you')
+                    : replyingTo.sender?.name || ''
+                )}
+              </Text>
+              <Text style={styles.replyBarText} numberOfLines={1}>
+                {getMessagePlainText(replyingTo.content) || t('attachment')}
+              </Text>
+            </View>
+            <TouchableOpacity
+              style={styles.replyBarClose}
+              onPress={() => setReplyingTo(null)}
+            >
+              <FontAwesomeIcon
+                icon={faTimes}
+                size={14}
+                color={theme.colors.textSecondary}
+              />
+            </TouchableOpacity>
+          </View>
+        )}
+
         {/* Message Input */}
         <TouchableOpacity
           style={[styles.inputContainer, { paddingBottom: 8, marginBottom: 0 }]}
@@ -1401,7 +1983,7 @@ const ConversationScreen = ({ navigation, route }) => {
               placeholder={t('typeMessage')}
               placeholderTextColor={theme.colors.textSecondary}
               value={messageText}
-              onChangeText={setMessageText}
+              onChangeText={handleChangeText}
               multiline
               maxLength={1000}
             />
@@ -1418,6 +2000,19 @@ const ConversationScreen = ({ navigation, route }) => {
                 color={theme.colors.textSecondary}
               />
             </TouchableOpacity>
+
+            {userType === 'teacher' && (
+              <TouchableOpacity
+                style={styles.attachButton}
+                onPress={() => setShowScheduleModal(true)}
+              >
+                <FontAwesomeIcon
+                  icon={faClock}
+                  size={18}
+                  color={theme.colors.textSecondary}
+                />
+              </TouchableOpacity>
+            )}
           </View>
 
           <TouchableOpacity
@@ -1545,6 +2140,33 @@ const ConversationScreen = ({ navigation, route }) => {
           </View>
         </View>
       </Modal>
+
+      {/* Forward Message Modal */}
+      <ForwardMessageModal
+        visible={!!forwardingMessage}
+        message={forwardingMessage}
+        authCode={authCode}
+        currentConversationUuid={conversationUuid}
+        onClose={() => setForwardingMessage(null)}
+      />
+
+      {/* Read Receipts Modal */}
+      <MessageReceiptsModal
+        visible={!!receiptsMessageId}
+        message={messages.find((msg) => msg.message_id === receiptsMessageId)}
+        conversationUuid={conversationUuid}
+        authCode={authCode}
+        onClose={() => setReceiptsMessageId(null)}
+      />
+
+      {/* Schedule Message Modal */}
+      <ScheduleMessageModal
+        visible={showScheduleModal}
+        initialContent={messageText.trim()}
+        quietHours={quietHours}
+        onClose={() => setShowScheduleModal(false)}
+        onSubmit={handleScheduleMessage}
+      />
     </SafeAreaView>
   );
 };
@@ -1697,6 +2319,43 @@ const createStyles = (theme, fontSizes) => {
     otherMessageTime: {
       color: theme.colors.textSecondary,
     },
+    typingIndicator: {
+      paddingHorizontal: 16,
+      paddingVertical: 4,
+    },
+    typingText: {
+      fontSize: safeFontSizes.small,
+      fontStyle: 'italic',
+      color: theme.colors.textSecondary,
+    },
+    replyBar: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 16,
+      paddingVertical: 8,
+      backgroundColor: theme.colors.surface,
+      borderTopWidth: 1,
+      borderTopColor: theme.colors.border,
+    },
+    replyBarContent: {
+      flex: 1,
+      marginLeft: 10,
+      paddingLeft: 8,
+      borderLeftWidth: 3,
+      borderLeftColor: theme.colors.primary,
+    },
+    replyBarTitle: {
+      fontSize: safeFontSizes.small,
+      fontWeight: '600',
+      color: theme.colors.primary,
+    },
+    replyBarText: {
+      fontSize: safeFontSizes.small,
+      color: theme.colors.textSecondary,
+    },
+    replyBarClose: {
+      padding: 8,
+    },
     inputContainer: {
       flexDirection: 'row',
       alignItems: 'flex-end',
@@ -1819,6 +2478,24 @@ const createStyles = (theme, fontSizes) => {
       zIndex: 100,
       position: 'relative',
     },
+    inlineActionsOther: {
+      alignSelf: 'flex-start',
+    },
+    quickReactions: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      justifyContent: 'space-between',
+      paddingHorizontal: 8,
+      paddingVertical: 6,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    quickReactionButton: {
+      padding: 4,
+    },
+    quickReactionEmoji: {
+      fontSize: safeFontSizes.large,
+    },
     actionOption: {
       flexDirection: 'row',
       alignItems: 'center',
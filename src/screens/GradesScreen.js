@@ -13,7 +13,8 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
-import { Config, buildApiUrl } from '../config/env';
+import { Config } from '../config/env';
+import { apiGet } from '../services/apiClient';
 import {
   faArrowLeft,
   faChartLine,
@@ -58,6 +59,13 @@ import {
   fontSize,
 } from '../utils/commonStyles';
 import { getDemoStudentGradesData } from '../services/demoModeService';
+import {
+  calculateSubjectGrade,
+  calculateFormativeSummary,
+  convertToScale,
+  FORMATIVE_MAX_RATING,
+} from '../utils/gradingEngine';
+import WhatIfGradeModal from '../components/WhatIfGradeModal';
 
 // Import Parent Proxy Access System
 import { getChildGrades } from '../services/parentService';
@@ -89,6 +97,9 @@ export default function GradesScreen({ navigation, route }) {
   // Expanded section state (only one section can be expanded at a time)
   const [expandedSection, setExpandedSection] = useState(null);
 
+  // Subject whose average is being projected in the what-if modal
+  const [whatIfSection, setWhatIfSection] = useState(null);
+
   // Refresh notifications when screen comes into focus
   useFocusEffect(
     React.useCallback(() => {
@@ -114,6 +125,23 @@ export default function GradesScreen({ navigation, route }) {
   // Memoize styles to prevent recreation on every render
   const styles = useMemo(() => createStyles(theme), [theme]);
 
+  // The parent proxy API returns summative and formative directly in the
+  // response, not nested under 'grades'
+  const applyProxyGrades = (response) => {
+    if (response.success && (response.summative || response.formative)) {
+      setGrades({
+        summative: response.summative || [],
+        formative: response.formative || [],
+        statistics: response.statistics,
+        academic_year_id: response.academic_year_id,
+        student_id: response.student_id,
+      });
+    } else {
+      console.warn('⚠️ GRADES: No grades data in parent proxy response');
+      setGrades(null);
+    }
+  };
+
   // Fetch grades data
   const fetchGrades = async () => {
     if (!authCode) {
@@ -136,48 +164,25 @@ export default function GradesScreen({ navigation, route }) {
       const proxyOptions = extractProxyOptions(route.params);
       if (shouldUseParentProxy(route.params)) {
         console.log('🔄 GRADES: Using parent proxy access');
-        console.log('🔑 Parent Auth Code:', authCode);
         console.log('👤 Student ID:', proxyOptions.studentId);
 
-        const response = await getChildGrades(authCode, proxyOptions.studentId);
-
-        if (response.success && (response.summative || response.formative)) {
-          // The API returns summative and formative directly in the response, not nested under 'grades'
-          setGrades({
-            summative: response.summative || [],
-            formative: response.formative || [],
-            statistics: response.statistics,
-            academic_year_id: response.academic_year_id,
-            student_id: response.student_id,
-          });
-        } else {
-          console.warn('⚠️ GRADES: No grades data in parent proxy response');
-          setGrades(null);
-        }
+        const response = await getChildGrades(
+          authCode,
+          proxyOptions.studentId,
+          { onUpdate: applyProxyGrades }
+        );
+        applyProxyGrades(response);
       } else {
         // Use direct student access (existing behavior)
         console.log('📚 GRADES: Using direct student access');
 
-        const url = buildApiUrl(Config.API_ENDPOINTS.GET_STUDENT_GRADES, {
-          authCode,
-        });
-
-        const response = await fetch(url, {
-          method: 'GET',
-          headers: {
-            Accept: 'application/json',
-            'Content-Type': 'application/json',
-          },
-        });
-
-        if (response.ok) {
-          const data = await response.json();
-
-          setGrades(data);
-        } else {
-          // Handle error silently
-          console.error('Failed to fetch grades:', response.status);
-        }
+        // Cached grades render immediately and update once refreshed
+        const data = await apiGet(
+          Config.API_ENDPOINTS.GET_STUDENT_GRADES,
+          {},
+          { authCode, cache: { onUpdate: setGrades } }
+        );
+        setGrades(data);
       }
     } catch (error) {
       // Handle error silently
@@ -230,25 +235,23 @@ export default function GradesScreen({ navigation, route }) {
       const templates = Object.values(grouped[subject].templates);
       const allAssessments = grouped[subject].allAssessments;
 
-      // Calculate subject average (for summative only)
-      let subjectAverage = null;
-      if (activeTab === 'summative') {
-        const graded = allAssessments.filter(
-          (a) => a.score_percentage !== null
-        );
-        if (graded.length > 0) {
-          const sum = graded.reduce(
-            (acc, a) => acc + (a.score_percentage || 0),
-            0
-          );
-          subjectAverage = Math.round(sum / graded.length);
-        }
-      }
+      // Summative subjects get a percentage average, formative ones an
+      // average 1-4 rating
+      const subjectAverage =
+        activeTab === 'summative'
+          ? calculateSubjectGrade(allAssessments).rounded
+          : null;
+      const formativeAverage =
+        activeTab === 'formative'
+          ? calculateFormativeSummary(allAssessments).average
+          : null;
 
       sections.push({
         title: subject,
         data: templates,
         average: subjectAverage,
+        formativeAverage,
+        assessments: allAssessments,
         assessmentCount: allAssessments.length,
       });
     });
@@ -451,206 +454,18 @@ export default function GradesScreen({ navigation, route }) {
     return colors[colorIndex];
   };
 
-  // Helper function to calculate average grade for a subject using enhanced data
-  const getSubjectAverage = (subject) => {
-    if (!grades) return null;
-
-    console.log(`📊 GRADES: Calculating average for ${subject}`);
-    console.log(`📊 GRADES: Available grades data:`, grades);
-
-    const subjectGrades = [];
-
-    // Use enhanced calculated_grade field for summative assessments
-    if (grades.summative) {
-      console.log(`📊 GRADES: Processing ${subject} grades from API data`);
-      grades.summative.forEach((grade, index) => {
-        if (grade.subject_name === subject && grade.is_graded === 1) {
-          // Calculate percentage from raw score and max score if needed
-          let gradeValue;
-
-          // First try to get the percentage directly
-          if (
-            grade.calculated_grade !== null &&
-            grade.calculated_grade !== undefined
-          ) {
-            // Check if calculated_grade looks like a raw score instead of percentage
-            // If calculated_grade is very low but we have raw_score/max_score that would give a higher percentage,
-            // then calculated_grade is probably the raw score, not the percentage
-            if (
-              grade.raw_score !== null &&
-              grade.max_score !== null &&
-              grade.max_score > 0
-            ) {
-              const calculatedPercentage =
-                (grade.raw_score / grade.max_score) * 100;
-              // If calculated_grade is much lower than the calculated percentage, it's probably a raw score
-              if (grade.calculated_grade < calculatedPercentage * 0.5) {
-                console.log(
-                  `📊 GRADES: calculated_grade (${grade.calculated_grade}) seems to be raw score, using calculated percentage (${calculatedPercentage})`
-                );
-                gradeValue = calculatedPercentage;
-              } else {
-                gradeValue = grade.calculated_grade;
-              }
-            } else {
-              gradeValue = grade.calculated_grade;
-            }
-          } else if (
-            grade.score_percentage !== null &&
-            grade.score_percentage !== undefined
-          ) {
-            gradeValue = grade.score_percentage;
-          } else if (
-            grade.percentage !== null &&
-            grade.percentage !== undefined
-          ) {
-            gradeValue = grade.percentage;
-          } else if (
-            grade.raw_score !== null &&
-            grade.raw_score !== undefined &&
-            grade.max_score !== null &&
-            grade.max_score !== undefined &&
-            grade.max_score > 0
-          ) {
-            // Calculate percentage from raw score and max score
-            gradeValue = (grade.raw_score / grade.max_score) * 100;
-          } else {
-            gradeValue = null;
-          }
-
-          console.log(
-            `📊 GRADES: Grade ${index + 1} - ${
-              grade.assessment_name || grade.title || 'Unknown'
-            }`
-          );
-          console.log(
-            `📊 GRADES: Raw data - calculated_grade: ${grade.calculated_grade}, score_percentage: ${grade.score_percentage}, raw_score: ${grade.raw_score}/${grade.max_score}`
-          );
-          console.log(
-            `📊 GRADES: Final grade value: ${gradeValue}%, weight: ${
-              grade.type_percentage || 'N/A'
-            }`
-          );
-          console.log('---');
-
-          if (gradeValue !== null && gradeValue !== undefined) {
-            // Try to get weight from type_percentage, fallback to max_score as weight
-            const weight = grade.type_percentage || grade.max_score || null;
-
-            subjectGrades.push({
-              grade: gradeValue,
-              weight: weight, // Weight from assessment type or max score
-              maxScore: grade.max_score || 100, // Max score for this assessment
-              rawScore: grade.raw_score || null,
-              title: grade.assessment_name || grade.title || 'Unknown',
-            });
-
-            console.log(
-              `📊 GRADES: Added grade - ${
-                grade.assessment_name || grade.title
-              }: ${gradeValue}% (weight: ${weight})`
-            );
-          }
-        }
-      });
-    }
-
-    // For formative assessments, we don't include them in percentage average
-    // as they use a different scale (tt1-tt4 with 1-4 ratings)
-
-    if (subjectGrades.length === 0) return null;
-
-    // Check if we have weight information for ALL grades in this subject
-    const hasAllWeights = subjectGrades.every(
-      (g) => g.weight !== null && g.weight !== undefined
+  // Helper function to calculate the grade for a subject using the grading engine
+  const getSubjectGrade = (subject) =>
+    calculateSubjectGrade(
+      grades?.summative?.filter((g) => g.subject_name === subject) || []
     );
 
-    console.log(`📊 GRADES: ${subject} - Has all weights: ${hasAllWeights}`);
-    console.log(`📊 GRADES: ${subject} - Grade details:`, subjectGrades);
-
-    if (hasAllWeights) {
-      const totalWeight = subjectGrades.reduce((sum, g) => sum + g.weight, 0);
-
-      // Check if weight system is complete (should total 100% or close to it)
-      const isWeightSystemComplete = totalWeight >= 95 && totalWeight <= 105; // Allow 5% tolerance
-
-      console.log(`📊 GRADES: Total weight for ${subject}: ${totalWeight}%`);
-      console.log(
-        `📊 GRADES: Weight system complete: ${isWeightSystemComplete}`
-      );
-
-      if (isWeightSystemComplete) {
-        // Use weighted average calculation when weight system is complete
-        console.log(`📊 GRADES: Using weighted calculation for ${subject}`);
-        console.log(
-          '📊 GRADES: Grade data:',
-          subjectGrades.map((g) => `${g.grade}% (weight: ${g.weight}%)`)
-        );
-
-        const totalWeightedScore = subjectGrades.reduce(
-          (sum, g) => sum + g.grade * g.weight,
-          0
-        );
-
-        console.log(`📊 GRADES: Total weighted score: ${totalWeightedScore}`);
-
-        if (totalWeight === 0) {
-          // Fallback to simple average if weights sum to 0
-          const average =
-            subjectGrades.reduce((a, b) => a + b.grade, 0) /
-            subjectGrades.length;
-          console.log(
-            `📊 GRADES: Weighted calculation failed (total weight = 0), using simple average: ${Math.round(
-              average
-            )}%`
-          );
-          return Math.round(average);
-        }
-
-        // Calculate weighted average: (sum of grade * weight) / total weight
-        const weightedAverage = totalWeightedScore / totalWeight;
-        console.log(
-          `📊 GRADES: Weighted average for ${subject}: ${Math.round(
-            weightedAverage
-          )}%`
-        );
-        return Math.round(weightedAverage);
-      } else {
-        // Weight system is incomplete, use simple average
-        console.log(
-          `📊 GRADES: Weight system incomplete for ${subject} (${totalWeight}% total), using simple average`
-        );
-        const average =
-          subjectGrades.reduce((a, b) => a + b.grade, 0) / subjectGrades.length;
-        console.log(
-          `📊 GRADES: Simple average for ${subject}: ${Math.round(average)}%`
-        );
-        return Math.round(average);
-      }
-    } else {
-      // Use simple average calculation when not all weights are available
-      console.log(
-        `📊 GRADES: Using simple average for ${subject} (missing weight data)`
-      );
-      console.log(
-        '📊 GRADES: Grade data:',
-        subjectGrades.map((g) => `${g.grade}%`)
-      );
-
-      const average =
-        subjectGrades.reduce((a, b) => a + b.grade, 0) / subjectGrades.length;
-      console.log(
-        `📊 GRADES: Simple average for ${subject}: ${Math.round(average)}%`
-      );
-      return Math.round(average);
-    }
-  };
-
   const renderSubjectCard = useCallback(
     (subject) => {
       const subjectColor = getSubjectColor(subject);
       const subjectIcon = getSubjectIcon(subject);
-      const average = getSubjectAverage(subject);
+      const subjectGrade = getSubjectGrade(subject);
+      const average = subjectGrade.rounded;
 
       // Calculate enhanced grade counts and statistics
       const subjectSummative =
@@ -670,24 +485,6 @@ export default function GradesScreen({ navigation, route }) {
         (g) => g.grading_context?.is_weighted
       ).length;
 
-      // Check if this subject uses weighted calculation
-      const hasWeightData = subjectSummative.every(
-        (g) => g.type_percentage !== null && g.type_percentage !== undefined
-      );
-
-      // Check if weight system is complete
-      const totalSubjectWeight = subjectSummative.reduce(
-        (sum, g) => sum + (g.type_percentage || 0),
-        0
-      );
-      const isWeightSystemComplete =
-        hasWeightData && totalSubjectWeight >= 95 && totalSubjectWeight <= 105;
-
-      const calculationMethod = isWeightSystemComplete
-        ? 'Weighted'
-        : hasWeightData
-        ? 'Incomplete Weights'
-        : 'Simple Average';
       const gradedSummative = subjectSummative.filter(
         (g) => g.is_graded === 1
       ).length;
@@ -701,17 +498,7 @@ export default function GradesScreen({ navigation, route }) {
             )
           : 0;
 
-      // Get grade letter based on average
-      const getGradeLetter = (avg) => {
-        if (avg === null || avg === undefined || isNaN(avg)) return 'N/A';
-        if (avg >= 85) return 'A';
-        if (avg >= 70) return 'B';
-        if (avg >= 60) return 'C';
-        if (avg >= 50) return 'D';
-        return 'F';
-      };
-
-      const gradeLetter = getGradeLetter(average);
+      const gradeLetter = subjectGrade.label;
       const hasValidAverage =
         average !== null && average !== undefined && !isNaN(average);
 
@@ -802,9 +589,9 @@ export default function GradesScreen({ navigation, route }) {
               </View>
               <Text style={styles.percentageLabel}>
                 Average{' '}
-                {isWeightSystemComplete
+                {subjectGrade.method === 'weighted'
                   ? '(Weighted)'
-                  : hasWeightData
+                  : subjectGrade.method === 'partial'
                   ? '(Incomplete)'
                   : '(Simple)'}
               </Text>
@@ -912,7 +699,7 @@ export default function GradesScreen({ navigation, route }) {
 
   // Render colorful section header with expand/collapse
   const renderSectionHeader = ({ section }) => {
-    const { title, average, assessmentCount } = section;
+    const { title, average, formativeAverage, assessmentCount } = section;
     const isExpanded = expandedSection === title;
     const subjectColor = getSubjectColor(title);
     const subjectIcon = getSubjectIcon(title);
@@ -968,6 +755,36 @@ export default function GradesScreen({ navigation, route }) {
               </Text>
             </View>
           )}
+          {isFormative && formativeAverage !== null && (
+            <View
+              style={[
+                styles.subjectGradeBadge,
+                { backgroundColor: `${subjectColor}${badgeOpacity}` },
+              ]}
+            >
+              <Text style={[styles.subjectGradeText, { color: subjectColor }]}>
+                {formativeAverage.toFixed(1)}
+              </Text>
+              <Text
+                style={[styles.subjectGradeLetter, { color: subjectColor }]}
+              >
+                / {FORMATIVE_MAX_RATING}
+              </Text>
+            </View>
+          )}
+          {!isFormative && (
+            <TouchableOpacity
+              style={styles.whatIfButton}
+              onPress={() => setWhatIfSection(section)}
+              accessibilityLabel={t('whatIf')}
+            >
+              <FontAwesomeIcon
+                icon={faCalculator}
+                size={16}
+                color={subjectColor}
+              />
+            </TouchableOpacity>
+          )}
           <FontAwesomeIcon
             icon={isExpanded ? faChevronUp : faChevronDown}
             size={16}
@@ -984,17 +801,9 @@ export default function GradesScreen({ navigation, route }) {
     const isFormative = activeTab === 'formative';
 
     // Calculate average for template
-    const calculateTemplateAverage = () => {
-      if (isFormative) return null;
-
-      const graded = assessments.filter((a) => a.score_percentage !== null);
-      if (graded.length === 0) return null;
-
-      const sum = graded.reduce((acc, a) => acc + (a.score_percentage || 0), 0);
-      return Math.round(sum / graded.length);
-    };
-
-    const average = calculateTemplateAverage();
+    const average = isFormative
+      ? null
+      : calculateSubjectGrade(assessments).rounded;
     const gradeColor = average !== null ? getGradeColor(average) : '#007AFF';
     const gradeLetter = average !== null ? getGradeLabel(average) : 'A';
 
@@ -1051,19 +860,12 @@ export default function GradesScreen({ navigation, route }) {
     return '#8E8E93'; // Gray for poor
   };
 
-  // Helper function to get grade performance label
-  const getGradeLabel = (percentage) => {
-    if (percentage === null || percentage === undefined || isNaN(percentage)) {
-      return 'N/A'; // Not Applicable or Ungraded if no percentage
-    }
-    if (percentage >= 90) return 'A*'; // Outstanding
-    if (percentage >= 80) return 'A'; // Excellent
-    if (percentage >= 70) return 'B'; // Good
-    if (percentage >= 60) return 'C'; // Satisfactory
-    if (percentage >= 50) return 'D'; // Passing
-    if (percentage >= 40) return 'E'; // Minimum Passing / Needs Improvement
-    return 'U'; // Ungraded / Fail
-  };
+  // Helper function to get the grade label on the school's scale
+  // (the percentage itself is already shown next to it)
+  const getGradeLabel = (percentage) =>
+    Config.GRADING.SCALE === 'percentage'
+      ? ''
+      : convertToScale(percentage, Config.GRADING.SCALE);
 
   // Modern grade card component
 
@@ -1198,14 +1000,7 @@ export default function GradesScreen({ navigation, route }) {
     );
 
     // Calculate average
-    const graded = assessments.filter((a) => a.score_percentage !== null);
-    const average =
-      graded.length > 0
-        ? Math.round(
-            graded.reduce((sum, a) => sum + (a.score_percentage || 0), 0) /
-              graded.length
-          )
-        : null;
+    const average = calculateSubjectGrade(assessments).rounded;
     const gradeColor = average !== null ? getGradeColor(average) : '#007AFF';
     const gradeLetter = average !== null ? getGradeLabel(average) : 'A';
 
@@ -1433,6 +1228,14 @@ export default function GradesScreen({ navigation, route }) {
       {/* Template Detail Modal */}
       {renderTemplateModal()}
 
+      {/* What-If Projection Modal */}
+      <WhatIfGradeModal
+        visible={!!whatIfSection}
+        subject={whatIfSection?.title}
+        assessments={whatIfSection?.assessments || []}
+        onClose={() => setWhatIfSection(null)}
+      />
+
       {/* Compact Header */}
       <View style={styles.compactHeaderContainer}>
         {/* Navigation Header */}
@@ -2063,6 +1866,9 @@ const createStyles = (theme) =>
       fontSize: 14,
       fontWeight: '600',
     },
+    whatIfButton: {
+      padding: 6,
+    },
     gradeSectionHeader: {
       paddingVertical: 8,
       paddingHorizontal: 12,
@@ -305,6 +305,7 @@ const GuardianDashboardScreen = ({ navigation, route }) => {
                 <QRCodeDisplay
                   qrToken={guardian.qr_token}
                   qrUrl={guardian.qr_url}
+                  signingKey={guardian.qr_signing_key}
                   guardianName={guardian.name}
                   showActions={true}
                   size={250}
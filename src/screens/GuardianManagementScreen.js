@@ -19,7 +19,7 @@ import { useFocusEffect } from '@react-navigation/native';
 import { useTheme } from '../contexts/ThemeContext';
 import { useLanguage } from '../contexts/LanguageContext';
 import { EmptyState } from '../components';
-import { GuardianCard } from '../components/guardian';
+import { GuardianCard, PickupRulesModal } from '../components/guardian';
 import guardianService from '../services/guardianService';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
@@ -34,6 +34,8 @@ const GuardianManagementScreen = ({ navigation, route }) => {
   const [authCode, setAuthCode] = useState(null);
   const [children, setChildren] = useState([]);
   const [selectedChild, setSelectedChild] = useState(null);
+  const [rulesGuardian, setRulesGuardian] = useState(null);
+  const [savingRules, setSavingRules] = useState(false);
 
   const styles = createStyles(theme);
 
@@ -195,6 +197,33 @@ const GuardianManagementScreen = ({ navigation, route }) => {
     }
   };
 
+  const handleSaveRules = async (rules) => {
+    try {
+      setSavingRules(true);
+      const response = await guardianService.updateGuardianRules(
+        authCode,
+        rulesGuardian.pickup_card_id,
+        rules
+      );
+
+      if (response.success) {
+        Alert.alert(t('success'), t('pickupRulesSaved'));
+        setRulesGuardian(null);
+        await fetchGuardians(); // Refresh the list
+      } else {
+        Alert.alert(
+          t('error'),
+          response.message || t('failedToSavePickupRules')
+        );
+      }
+    } catch (error) {
+      console.error('Error saving pickup rules:', error);
+      Alert.alert(t('error'), error.message || t('failedToSavePickupRules'));
+    } finally {
+      setSavingRules(false);
+    }
+  };
+
   const handleAddGuardian = () => {
     navigation.navigate('AddGuardian', {
       children,
@@ -241,11 +270,18 @@ const GuardianManagementScreen = ({ navigation, route }) => {
     };
   };
 
+  const childNames = children.reduce(
+    (names, child) => ({ ...names, [child.id]: child.name }),
+    {}
+  );
+
   const renderGuardianItem = ({ item }) => (
     <GuardianCard
       guardian={item}
       onPress={handleGuardianPress}
       onRotateQR={handleRotateQR}
+      onEditRules={setRulesGuardian}
+      childNames={childNames}
       showActions={true}
     />
   );
@@ -367,6 +403,15 @@ const GuardianManagementScreen = ({ navigation, route }) => {
         }
         showsVerticalScrollIndicator={false}
       />
+
+      <PickupRulesModal
+        visible={!!rulesGuardian}
+        guardian={rulesGuardian}
+        children={children}
+        onClose={() => setRulesGuardian(null)}
+        onSave={handleSaveRules}
+        saving={savingRules}
+      />
     </SafeAreaView>
   );
 };
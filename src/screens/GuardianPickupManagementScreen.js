@@ -278,7 +278,6 @@ const GuardianPickupManagementScreen = ({ navigation, route }) => {
 
       // Final verification before API call
       console.log('🔍 PICKUP REQUEST: Final verification before API call...');
-      console.log('🔍 PICKUP REQUEST: authCode:', authCode);
       console.log(
         '🔍 PICKUP REQUEST: selectedChild.student_id:',
         selectedChild.student_id
@@ -31,6 +31,11 @@ import {
   formatDistance,
   getCurrentLocation,
 } from '../services/locationService';
+import {
+  checkPickupRules,
+  describePickupRules,
+  hasPickupRules,
+} from '../utils/pickupRules';
 
 // Components
 import PickupRequestMap from '../components/PickupRequestMap';
@@ -162,6 +167,15 @@ const GuardianPickupRequestScreen = () => {
   };
 
   const handleCreatePickupRequest = async () => {
+    // Rules set by the parent (days, times, validity)
+    const ruleCheck = checkPickupRules(guardian?.pickup_rules, {
+      studentId: guardian?.student_id ?? child?.student_id,
+    });
+    if (!ruleCheck.allowed) {
+      Alert.alert('Pickup Not Allowed', ruleCheck.message);
+      return;
+    }
+
     if (!canMakeRequest) {
       Alert.alert(
         'Cannot Create Request',
@@ -176,7 +190,8 @@ const GuardianPickupRequestScreen = () => {
 
       const response = await createGuardianPickupRequest(
         authCode,
-        guardian?.qr_token
+        guardian?.qr_token,
+        guardian
       );
 
       if (response.success) {
@@ -315,6 +330,39 @@ const GuardianPickupRequestScreen = () => {
     );
   };
 
+  const renderPickupRules = () => {
+    if (!hasPickupRules(guardian?.pickup_rules)) return null;
+
+    const ruleCheck = checkPickupRules(guardian.pickup_rules, {
+      studentId: guardian.student_id ?? child?.student_id,
+    });
+    const statusColor = ruleCheck.allowed ? '#34C759' : '#FF3B30';
+
+    return (
+      <View style={styles.guardianCard}>
+        <View style={styles.guardianHeader}>
+          <FontAwesome5
+            name='calendar-check'
+            size={20}
+            color={theme.colors.primary}
+          />
+          <Text style={styles.guardianTitle}>Pickup Rules</Text>
+        </View>
+
+        <View style={styles.guardianInfo}>
+          {describePickupRules(guardian.pickup_rules).map((line) => (
+            <Text key={line} style={styles.guardianDetails}>
+              • {line}
+            </Text>
+          ))}
+          <Text style={[styles.pickupRulesStatus, { color: statusColor }]}>
+            {ruleCheck.allowed ? 'You can pick up now.' : ruleCheck.message}
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
   if (loading && !refreshing) {
     return (
       <SafeAreaView style={styles.container}>
@@ -393,6 +441,7 @@ const GuardianPickupRequestScreen = () => {
           {renderLocationStatus()}
           {renderStudentInfo()}
           {renderGuardianInfo()}
+          {renderPickupRules()}
 
           {/* Instructions */}
           <View style={styles.instructionsCard}>
@@ -634,6 +683,11 @@ const createStyles = (theme) =>
       marginBottom: 2,
       color: theme.colors.textSecondary,
     },
+    pickupRulesStatus: {
+      fontSize: 14,
+      fontWeight: '500',
+      marginTop: 8,
+    },
     createButton: {
       flexDirection: 'row',
       alignItems: 'center',
@@ -31,11 +31,15 @@ import {
     faYoutube,
 } from '@fortawesome/free-brands-svg-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import {secureSessionStorage} from '../services/secureStorage';
 import Animated, {FadeInDown} from 'react-native-reanimated';
 import {Platform} from 'expo-modules-core';
 import {useTheme, getLanguageFontSizes} from '../contexts/ThemeContext';
 import {useLanguage} from '../contexts/LanguageContext';
 import {getUserData} from '../services/authService';
+import {useAppLock} from '../contexts/AppLockContext';
+import {getGuardianAccount} from '../services/appLockService';
+import {isAuthCodeExpired, getLoginRouteForSession} from '../services/sessionManager';
 import useThemeLogo, {useSchoolLogo} from '../hooks/useThemeLogo';
 import {
     isIPad,
@@ -68,6 +72,7 @@ const {width, height} = Dimensions.get('window');
 export default function HomeScreen({navigation}) {
     const {theme} = useTheme();
     const {t, currentLanguage} = useLanguage();
+    const {requireUnlock} = useAppLock();
     const fontSizes = getLanguageFontSizes(currentLanguage);
     const logoSource = useThemeLogo();
     const schoolLogo = useSchoolLogo();
@@ -358,6 +363,15 @@ export default function HomeScreen({navigation}) {
         responsiveSpacing
     );
 
+    // Sessions the backend already rejected go straight to the login screen
+    const openLoginIfSessionExpired = (userType, account) => {
+        if (!isAuthCodeExpired(account?.authCode)) return false;
+
+        const {name, params} = getLoginRouteForSession({userType, account, source: 'user'});
+        navigation.navigate(name, params);
+        return true;
+    };
+
     const handleTeacherPress = async () => {
         try {
             console.log('👨‍🏫 HOME: Teacher button pressed, starting navigation...');
@@ -379,6 +393,8 @@ export default function HomeScreen({navigation}) {
             );
 
             if (userData && userData.userType === 'teacher') {
+                if (openLoginIfSessionExpired('teacher', userData)) return;
+
                 // Update last login timestamp when user opens the app
                 console.log(
                     '⏰ HOME: Updating last login for existing teacher user...'
@@ -405,6 +421,8 @@ export default function HomeScreen({navigation}) {
                     // Continue with navigation even if update fails
                 }
 
+                if (!(await requireUnlock(userData))) return;
+
                 console.log('🚀 HOME: Navigating to teacher screen...');
                 navigation.navigate('TeacherScreen', {userData});
                 return;
@@ -441,6 +459,8 @@ export default function HomeScreen({navigation}) {
                 console.log('✅ HOME: Guardian:', guardianData.guardian?.name);
                 console.log('✅ HOME: Child:', guardianData.child?.name);
 
+                if (!(await requireUnlock(getGuardianAccount(guardianData)))) return;
+
                 navigation.navigate('GuardianDashboard', {
                     authCode: guardianData.authCode,
                     guardian: guardianData.guardian,
@@ -456,8 +476,8 @@ export default function HomeScreen({navigation}) {
             // Check for parent-specific data (must be actual parent/student data, not teacher data)
             const parentData = await getUserData('parent', AsyncStorage);
             const studentData = await getUserData('student', AsyncStorage);
-            const studentAccounts = await AsyncStorage.getItem('studentAccounts');
-            const selectedStudent = await AsyncStorage.getItem('selectedStudent');
+            const studentAccounts = await secureSessionStorage.getItem('studentAccounts');
+            const selectedStudent = await secureSessionStorage.getItem('selectedStudent');
 
             // Validate that the data is actually for parent/student users, not teacher data
             const validParentData =
@@ -495,6 +515,11 @@ export default function HomeScreen({navigation}) {
             });
 
             if (hasValidParentStudentData) {
+                const activeAccount = validParentData || validStudentData;
+                if (openLoginIfSessionExpired(activeAccount.userType, activeAccount)) return;
+
+                if (!(await requireUnlock(activeAccount))) return;
+
                 // Determine which screen to navigate to based on the type of valid data
                 if (validStudentData && !validParentData) {
                     // Only student data is valid - navigate to StudentScreen
@@ -526,11 +551,11 @@ export default function HomeScreen({navigation}) {
                     );
                     try {
                         if (studentAccounts) {
-                            await AsyncStorage.removeItem('studentAccounts');
+                            await secureSessionStorage.removeItem('studentAccounts');
                             console.log('🧹 HOME: Removed stale studentAccounts');
                         }
                         if (selectedStudent) {
-                            await AsyncStorage.removeItem('selectedStudent');
+                            await secureSessionStorage.removeItem('selectedStudent');
                             console.log('🧹 HOME: Removed stale selectedStudent');
                         }
                     } catch (cleanupError) {
@@ -643,6 +668,8 @@ export default function HomeScreen({navigation}) {
                 console.log(
                     '✅ HOME: Found existing Guardian login, navigating to Dashboard'
                 );
+                if (!(await requireUnlock(getGuardianAccount(guardianData)))) return;
+
                 navigation.navigate('GuardianDashboard', {
                     authCode: guardianData.authCode,
                     guardian: guardianData.guardian,
@@ -664,11 +691,11 @@ export default function HomeScreen({navigation}) {
     const handleCalendarPress = async () => {
         try {
             // Check for direct login userData first
-            const userData = await AsyncStorage.getItem('userData');
+            const userData = await secureSessionStorage.getItem('userData');
 
             // Check for student accounts in parent system
-            const studentAccountsStr = await AsyncStorage.getItem('studentAccounts');
-            const selectedStudentStr = await AsyncStorage.getItem('selectedStudent');
+            const studentAccountsStr = await secureSessionStorage.getItem('studentAccounts');
+            const selectedStudentStr = await secureSessionStorage.getItem('selectedStudent');
 
             console.log('🏠 HOME: Calendar access check:', {
                 hasUserData: !!userData,
@@ -701,11 +728,11 @@ export default function HomeScreen({navigation}) {
                         // Only one student - use it directly (don't overwrite main userData)
                         const student = studentAccounts[0];
                         console.log('✅ HOME: Using single student account:', student.name);
-                        await AsyncStorage.setItem(
+                        await secureSessionStorage.setItem(
                             'calendarUserData',
                             JSON.stringify(student)
                         );
-                        await AsyncStorage.setItem(
+                        await secureSessionStorage.setItem(
                             'selectedStudent',
                             JSON.stringify(student)
                         );
@@ -726,11 +753,11 @@ export default function HomeScreen({navigation}) {
                                             '✅ HOME: Selected student for calendar:',
                                             student.name
                                         );
-                                        await AsyncStorage.setItem(
+                                        await secureSessionStorage.setItem(
                                             'userData',
                                             JSON.stringify(student)
                                         );
-                                        await AsyncStorage.setItem(
+                                        await secureSessionStorage.setItem(
                                             'selectedStudent',
                                             JSON.stringify(student)
                                         );
@@ -755,7 +782,7 @@ export default function HomeScreen({navigation}) {
                         '✅ HOME: Using previously selected student:',
                         selectedStudent.name
                     );
-                    await AsyncStorage.setItem('calendarUserData', selectedStudentStr);
+                    await secureSessionStorage.setItem('calendarUserData', selectedStudentStr);
                     // Navigate to branch-only calendar from home screen
                     navigation.navigate('Calendar', {mode: 'branch-only'});
                     return;
@@ -0,0 +1,386 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  FlatList,
+  InteractionManager,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import {
+  faArrowLeft,
+  faChevronDown,
+  faChevronUp,
+  faInfoCircle,
+} from '@fortawesome/free-solid-svg-icons';
+import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import { getHomeworkSubmissions } from '../services/homeworkService';
+import {
+  analyzeSubmissions,
+  splitHighlights,
+  SIMILARITY_LEVELS,
+} from '../utils/similarity';
+
+const getLevelColor = (level, theme) => {
+  switch (level) {
+    case SIMILARITY_LEVELS.HIGH:
+      return theme.colors.error;
+    case SIMILARITY_LEVELS.MEDIUM:
+      return theme.colors.warning;
+    default:
+      return theme.colors.textSecondary;
+  }
+};
+
+export default function HomeworkSimilarityScreen({ navigation, route }) {
+  const { theme } = useTheme();
+  const { t } = useLanguage();
+  const { homeworkId, authCode, homeworkTitle, promptText } =
+    route.params || {};
+
+  const [analysis, setAnalysis] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedPair, setExpandedPair] = useState(null);
+
+  const styles = createStyles(theme);
+
+  useEffect(() => {
+    runAnalysis();
+  }, [homeworkId, authCode]);
+
+  const runAnalysis = async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const response = await getHomeworkSubmissions(authCode, homeworkId);
+      if (!response.success || !Array.isArray(response.data)) {
+        setError(response.message || t('failedToLoadSubmissions'));
+        return;
+      }
+
+      // Comparing a whole class takes a moment; let the screen settle first
+      await new Promise((resolve) =>
+        InteractionManager.runAfterInteractions(resolve)
+      );
+      setAnalysis(
+        analyzeSubmissions(
+          response.data.filter((submission) => submission.reply_data),
+          { promptText }
+        )
+      );
+    } catch (err) {
+      console.error('Error checking submission similarity:', err);
+      setError(t('failedToLoadSubmissions'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const pairKey = (pair) => `${pair.a.detail_id}-${pair.b.detail_id}`;
+
+  const renderHighlightedText = (text, ranges) => (
+    <Text style={styles.answerText}>
+      {splitHighlights(text, ranges).map((segment, index) => (
+        <Text
+          key={index}
+          style={segment.highlighted ? styles.highlight : undefined}
+        >
+          {segment.text}
+        </Text>
+      ))}
+    </Text>
+  );
+
+  const renderPair = ({ item: pair }) => {
+    const key = pairKey(pair);
+    const expanded = expandedPair === key;
+    const color = getLevelColor(pair.level, theme);
+
+    return (
+      <View style={styles.pairCard}>
+        <TouchableOpacity
+          style={styles.pairHeader}
+          onPress={() => setExpandedPair(expanded ? null : key)}
+          activeOpacity={0.7}
+        >
+          <View style={[styles.scoreBadge, { backgroundColor: color }]}>
+            <Text style={styles.scoreText}>
+              {Math.round(pair.score * 100)}%
+            </Text>
+          </View>
+          <View style={styles.pairNames}>
+            <Text style={styles.studentName} numberOfLines={1}>
+              {pair.a.student_name}
+            </Text>
+            <Text style={styles.studentName} numberOfLines={1}>
+              {pair.b.student_name}
+            </Text>
+          </View>
+          <FontAwesomeIcon
+            icon={expanded ? faChevronUp : faChevronDown}
+            size={14}
+            color={theme.colors.textSecondary}
+          />
+        </TouchableOpacity>
+
+        {expanded && (
+          <View style={styles.comparison}>
+            <Text style={styles.answerLabel}>{pair.a.student_name}</Text>
+            {renderHighlightedText(pair.textA, pair.rangesA)}
+            <Text style={styles.answerLabel}>{pair.b.student_name}</Text>
+            {renderHighlightedText(pair.textB, pair.rangesB)}
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  const renderSummary = () => (
+    <View style={styles.summaryCard}>
+      <Text style={styles.homeworkTitle}>{homeworkTitle}</Text>
+      <Text style={styles.summaryText}>
+        {t('similaritySummary')
+          .replace('{compared}', analysis.compared.length)
+          .replace('{flagged}', analysis.pairs.length)}
+      </Text>
+      {analysis.skipped.length > 0 && (
+        <Text style={styles.summaryNote}>
+          {t('similaritySkipped').replace('{count}', analysis.skipped.length)}
+        </Text>
+      )}
+      <View style={styles.noteRow}>
+        <FontAwesomeIcon
+          icon={faInfoCircle}
+          size={12}
+          color={theme.colors.textSecondary}
+        />
+        <Text style={styles.summaryNote}>{t('similarityExplanation')}</Text>
+      </View>
+    </View>
+  );
+
+  const renderBody = () => {
+    if (loading) {
+      return (
+        <View style={styles.centered}>
+          <ActivityIndicator size='large' color={theme.colors.primary} />
+          <Text style={styles.loadingText}>{t('checkingSimilarity')}</Text>
+        </View>
+      );
+    }
+
+    if (error) {
+      return (
+        <View style={styles.centered}>
+          <Text style={styles.errorText}>{error}</Text>
+          <TouchableOpacity style={styles.retryButton} onPress={runAnalysis}>
+            <Text style={styles.retryButtonText}>{t('retry')}</Text>
+          </TouchableOpacity>
+        </View>
+      );
+    }
+
+    return (
+      <FlatList
+        data={analysis.pairs}
+        keyExtractor={pairKey}
+        renderItem={renderPair}
+        ListHeaderComponent={renderSummary}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>{t('noSimilarSubmissions')}</Text>
+        }
+        contentContainerStyle={styles.listContent}
+      />
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top', 'left', 'right']}>
+      {/* Compact Header */}
+      <View style={styles.compactHeaderContainer}>
+        <View style={styles.navigationHeader}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+          >
+            <FontAwesomeIcon icon={faArrowLeft} size={18} color='#fff' />
+          </TouchableOpacity>
+
+          <Text style={styles.headerTitle}>{t('similarityCheck')}</Text>
+
+          <View style={styles.headerRight} />
+        </View>
+      </View>
+
+      {renderBody()}
+    </SafeAreaView>
+  );
+}
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.colors.background,
+    },
+    compactHeaderContainer: {
+      backgroundColor: theme.colors.surface,
+      borderRadius: 16,
+      marginHorizontal: 16,
+      marginTop: 8,
+      marginBottom: 8,
+      elevation: 3,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.15,
+      shadowRadius: 4,
+      overflow: 'hidden',
+      zIndex: 1,
+    },
+    navigationHeader: {
+      backgroundColor: theme.colors.headerBackground,
+      padding: 15,
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+    },
+    backButton: {
+      width: 36,
+      height: 36,
+      borderRadius: 18,
+      backgroundColor: 'rgba(255, 255, 255, 0.2)',
+      justifyContent: 'center',
+      alignItems: 'center',
+    },
+    headerTitle: {
+      color: '#fff',
+      fontSize: 20,
+      fontWeight: 'bold',
+    },
+    headerRight: {
+      width: 36,
+    },
+    centered: {
+      flex: 1,
+      justifyContent: 'center',
+      alignItems: 'center',
+      padding: 24,
+    },
+    loadingText: {
+      marginTop: 12,
+      fontSize: 14,
+      color: theme.colors.textSecondary,
+    },
+    errorText: {
+      fontSize: 15,
+      color: theme.colors.error,
+      textAlign: 'center',
+    },
+    retryButton: {
+      marginTop: 16,
+      paddingHorizontal: 20,
+      paddingVertical: 10,
+      borderRadius: 8,
+      backgroundColor: theme.colors.primary,
+    },
+    retryButtonText: {
+      color: '#fff',
+      fontWeight: '600',
+    },
+    listContent: {
+      padding: 16,
+    },
+    summaryCard: {
+      backgroundColor: theme.colors.surface,
+      borderRadius: 12,
+      padding: 16,
+      marginBottom: 16,
+      gap: 6,
+      ...theme.shadows.small,
+    },
+    homeworkTitle: {
+      fontSize: 18,
+      fontWeight: 'bold',
+      color: theme.colors.text,
+    },
+    summaryText: {
+      fontSize: 14,
+      color: theme.colors.text,
+    },
+    summaryNote: {
+      flex: 1,
+      fontSize: 12,
+      color: theme.colors.textSecondary,
+    },
+    noteRow: {
+      flexDirection: 'row',
+      alignItems: 'flex-start',
+      gap: 6,
+      marginTop: 4,
+    },
+    emptyText: {
+      fontSize: 14,
+      color: theme.colors.textSecondary,
+      textAlign: 'center',
+      marginTop: 24,
+    },
+    pairCard: {
+      backgroundColor: theme.colors.surface,
+      borderRadius: 12,
+      marginBottom: 12,
+      overflow: 'hidden',
+      ...theme.shadows.small,
+    },
+    pairHeader: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      padding: 16,
+      gap: 12,
+    },
+    scoreBadge: {
+      minWidth: 52,
+      paddingVertical: 6,
+      borderRadius: 8,
+      alignItems: 'center',
+    },
+    scoreText: {
+      color: '#fff',
+      fontSize: 15,
+      fontWeight: '700',
+    },
+    pairNames: {
+      flex: 1,
+    },
+    studentName: {
+      fontSize: 15,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    comparison: {
+      paddingHorizontal: 16,
+      paddingBottom: 16,
+      gap: 8,
+    },
+    answerLabel: {
+      fontSize: 13,
+      fontWeight: '600',
+      color: theme.colors.textSecondary,
+      marginTop: 4,
+    },
+    answerText: {
+      fontSize: 14,
+      lineHeight: 20,
+      color: theme.colors.text,
+      backgroundColor: theme.colors.background,
+      padding: 12,
+      borderRadius: 8,
+    },
+    highlight: {
+      backgroundColor: '#FFCC0066',
+    },
+  });
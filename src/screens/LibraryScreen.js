@@ -26,7 +26,8 @@ import {
   faBarcode,
   faBell,
 } from '@fortawesome/free-solid-svg-icons';
-import { Config, buildApiUrl } from '../config/env';
+import { Config } from '../config/env';
+import { apiGet } from '../services/apiClient';
 import { useTheme } from '../contexts/ThemeContext';
 import { useLanguage } from '../contexts/LanguageContext';
 import { createSmallShadow, createMediumShadow } from '../utils/commonStyles';
@@ -61,8 +62,9 @@ export default function LibraryScreen({ navigation, route }) {
 
   const isLandscape = screenData.width > screenData.height;
 
-  // Fetch library data from API
-  const fetchLibraryData = async () => {
+  // Fetch library data from API (cached data is shown first and updated once
+  // refreshed; pull-to-refresh skips the cache)
+  const fetchLibraryData = async (forceRefresh = false) => {
     if (!authCode) {
       Alert.alert(t('error'), t('authenticationRequired'));
       return;
@@ -81,36 +83,31 @@ export default function LibraryScreen({ navigation, route }) {
       }
 
       let response;
+      const cacheOptions = {
+        forceRefresh,
+        onUpdate: (updated) => {
+          if (updated?.success) {
+            setLibraryData(updated);
+          }
+        },
+      };
 
       // Check if this is parent proxy access
       if (useParentProxy && studentId) {
         console.log('🔄 LIBRARY SCREEN: Using parent proxy access');
-        console.log('🔑 Parent Auth Code:', authCode);
         console.log('👤 Student ID:', studentId);
 
         // Use parent proxy service
-        response = await getChildLibrary(authCode, studentId);
+        response = await getChildLibrary(authCode, studentId, cacheOptions);
       } else {
         console.log('📚 LIBRARY SCREEN: Using direct student access');
 
         // Use direct API call for student access
-        const url = buildApiUrl('/student/library-data', {
-          authCode,
-        });
-
-        const apiResponse = await fetch(url, {
-          method: 'GET',
-          headers: {
-            Accept: 'application/json',
-            'Content-Type': 'application/json',
-          },
-        });
-
-        if (apiResponse.ok) {
-          response = await apiResponse.json();
-        } else {
-          throw new Error('Failed to connect to library system');
-        }
+        response = await apiGet(
+          Config.API_ENDPOINTS.GET_STUDENT_LIBRARY,
+          {},
+          { authCode, cache: cacheOptions }
+        );
       }
 
       if (response && response.success) {
@@ -129,7 +126,7 @@ export default function LibraryScreen({ navigation, route }) {
   // Refresh data
   const handleRefresh = async () => {
     setRefreshing(true);
-    await fetchLibraryData();
+    await fetchLibraryData(true);
     setRefreshing(false);
   };
 
@@ -14,6 +14,7 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from '../services/secureStorage';
 import { getDeviceToken } from '../utils/messaging';
 import { logDeviceInfo } from '../utils/deviceInfo';
 import {
@@ -51,9 +52,11 @@ export default function LoginScreen({ route, navigation }) {
   // Get parameters from route
   const routeLoginType = route.params?.loginType;
   const isAddingStudent = route.params?.isAddingStudent || false;
+  // Sent by the session manager when a stored session has expired
+  const sessionExpired = route.params?.sessionExpired || false;
 
   // Form state
-  const [username, setUsername] = useState('');
+  const [username, setUsername] = useState(route.params?.username || '');
   const [password, setPassword] = useState('');
   const [loading, setLoading] = useState(false);
 
@@ -191,7 +194,7 @@ export default function LoginScreen({ route, navigation }) {
       if (isAddingStudent) {
         // Save to student accounts list
         try {
-          const existingStudentsJSON = await AsyncStorage.getItem(
+          const existingStudentsJSON = await secureSessionStorage.getItem(
             'studentAccounts'
           );
           const existingStudents = existingStudentsJSON
@@ -206,16 +209,26 @@ export default function LoginScreen({ route, navigation }) {
               (student.authCode && student.authCode === userData.authCode)
           );
 
-          if (studentExists) {
+          if (studentExists && !sessionExpired) {
             Alert.alert(t('duplicateStudent'), t('studentAccountExists'));
             return;
           }
 
-          // Add the new student account
-          existingStudents.push(userData);
+          if (studentExists) {
+            // Logging in again after the session expired: renew the entry
+            const index = existingStudents.findIndex(
+              (student) =>
+                student.id === userData.id ||
+                student.username === userData.username
+            );
+            existingStudents[index] = userData;
+          } else {
+            // Add the new student account
+            existingStudents.push(userData);
+          }
 
           // Save updated list
-          await AsyncStorage.setItem(
+          await secureSessionStorage.setItem(
             'studentAccounts',
             JSON.stringify(existingStudents)
           );
@@ -330,7 +343,7 @@ export default function LoginScreen({ route, navigation }) {
       console.log('💾 LOGIN: Save result:', saveResult);
 
       // Verify the data was saved
-      const savedData = await AsyncStorage.getItem('userData');
+      const savedData = await secureSessionStorage.getItem('userData');
       console.log('🔍 LOGIN: Verification - data saved:', !!savedData);
       if (savedData) {
         const parsed = JSON.parse(savedData);
@@ -461,6 +474,12 @@ export default function LoginScreen({ route, navigation }) {
               : 'Parent or Student Login'}
           </Text>
 
+          {sessionExpired && (
+            <Text style={styles.sessionExpiredText}>
+              {t('sessionExpiredLoginHint')}
+            </Text>
+          )}
+
           {/* Login Type Selector - only show if not adding student and no specific route type */}
           {!isAddingStudent && !routeLoginType && (
             <View style={styles.loginTypeContainer}>
@@ -657,6 +676,13 @@ const createStyles = (theme, fontSizes, isIPadDevice) =>
       textAlign: 'center',
       fontFamily: Platform.OS === 'ios' ? 'Helvetica Neue' : 'sans-serif',
     },
+    sessionExpiredText: {
+      fontSize: fontSizes.bodySmall,
+      color: theme.colors.warning,
+      marginTop: -15,
+      marginBottom: 20,
+      textAlign: 'center',
+    },
     input: {
       width: '100%',
       height: 50,
@@ -860,6 +860,7 @@ const NotificationScreen = ({navigation, route}) => {
                         'homework_due',
                         'homework_submitted',
                         'homework_graded',
+                        'homework_comment',
                     ].includes(n.type)
                 );
             case 'messaging':
@@ -36,7 +36,7 @@ import {
   markConversationAsRead,
 } from '../services/messagingService';
 import { ConversationItem } from '../components/messaging';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from '../services/secureStorage';
 import { getResponsiveHeaderFontSize } from '../utils/commonStyles';
 
 const ParentMessagingScreen = ({ navigation, route }) => {
@@ -94,7 +94,7 @@ const ParentMessagingScreen = ({ navigation, route }) => {
   // Helper function to get current user data
   const getCurrentUserData = useCallback(async () => {
     try {
-      const userData = await AsyncStorage.getItem('userData');
+      const userData = await secureSessionStorage.getItem('userData');
       if (userData) {
         return JSON.parse(userData);
       }
@@ -192,7 +192,6 @@ const ParentMessagingScreen = ({ navigation, route }) => {
   const fetchConversations = useCallback(async () => {
     try {
       setLoading(true);
-      console.log('📱 PARENT MESSAGING: Using authCode:', authCode);
       const response = await getConversations(authCode);
       if (response.success && response.data) {
         const allConversations = response.data.conversations || [];
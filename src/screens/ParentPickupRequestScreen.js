@@ -13,6 +13,7 @@ import {
   Alert,
   ActivityIndicator,
   RefreshControl,
+  Switch,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { useNavigation, useRoute } from '@react-navigation/native';
@@ -20,6 +21,7 @@ import { FontAwesome5 } from '@expo/vector-icons';
 
 // Context and utilities
 import { useTheme } from '../contexts/ThemeContext';
+import { Config } from '../config/env';
 
 // Services
 import {
@@ -35,11 +37,34 @@ import {
   formatDistance,
   getCurrentLocation,
 } from '../services/locationService';
+import {
+  getAutoPickupSettings,
+  enableAutoPickup,
+  disableAutoPickup,
+} from '../services/pickupGeofenceService';
 
 // Components
 import PickupRequestMap from '../components/PickupRequestMap';
 import PickupQRCodeModal from '../components/PickupQRCodeModal';
 
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// e.g. "Mon–Fri 14:30–17:00"
+const formatDismissalHours = (windows = []) =>
+  windows
+    .map((window) => {
+      const days = window.days || [];
+      const isRange =
+        days.length > 2 &&
+        days.every((day, index) => index === 0 || day === days[index - 1] + 1);
+      const dayText = isRange
+        ? `${DAY_NAMES[days[0]]}–${DAY_NAMES[days[days.length - 1]]}`
+        : days.map((day) => DAY_NAMES[day]).join(', ');
+
+      return `${dayText} ${window.start}–${window.end}`.trim();
+    })
+    .join(', ');
+
 const ParentPickupRequestScreen = () => {
   const navigation = useNavigation();
   const route = useRoute();
@@ -64,10 +89,13 @@ const ParentPickupRequestScreen = () => {
   const [showQRModal, setShowQRModal] = useState(false);
   const [qrData, setQrData] = useState(null);
   const [parentInfo, setParentInfo] = useState(null);
+  const [autoPickup, setAutoPickup] = useState(null);
+  const [autoPickupUpdating, setAutoPickupUpdating] = useState(false);
 
   // Load initial data
   useEffect(() => {
     loadInitialData();
+    getAutoPickupSettings().then(setAutoPickup);
   }, []);
 
   const loadInitialData = async () => {
@@ -364,6 +392,50 @@ const ParentPickupRequestScreen = () => {
     }
   };
 
+  const handleAutoPickupToggle = async (enabled) => {
+    try {
+      setAutoPickupUpdating(true);
+
+      if (!enabled) {
+        await disableAutoPickup();
+        setAutoPickup(null);
+        return;
+      }
+
+      // Selected children, or every child when none are selected
+      const selectedIds = new Set(selectedChildren);
+      if (selectedChild) selectedIds.add(selectedChild.student_id);
+      const autoChildren =
+        selectedIds.size > 0
+          ? children.filter((child) => selectedIds.has(child.student_id))
+          : children;
+
+      const result = await enableAutoPickup({
+        authCode,
+        children: autoChildren,
+        schoolLocation: locationStatus?.schoolLocation,
+      });
+      if (!result.success) {
+        Alert.alert('Automatic Pickup Request', result.message);
+        return;
+      }
+
+      const settings = await getAutoPickupSettings();
+      setAutoPickup(settings);
+      Alert.alert(
+        'Automatic Pickup Request On',
+        `A pickup request for ${settings.studentNames.join(
+          ', '
+        )} will be sent when you arrive at school during dismissal hours. You will get a notification when it is sent.`
+      );
+    } catch (error) {
+      console.error('❌ PARENT PICKUP: Error updating auto pickup:', error);
+      Alert.alert('Error', 'Failed to update automatic pickup request.');
+    } finally {
+      setAutoPickupUpdating(false);
+    }
+  };
+
   const renderLocationStatus = () => {
     if (!locationStatus) return null;
 
@@ -555,6 +627,45 @@ const ParentPickupRequestScreen = () => {
     );
   };
 
+  const renderAutoPickup = () => {
+    if (children.length === 0) return null;
+
+    const enabled = !!autoPickup?.enabled;
+
+    return (
+      <View style={styles.sectionCard}>
+        <View style={styles.autoPickupHeader}>
+          <FontAwesome5
+            name='location-arrow'
+            size={16}
+            color={theme.colors.primary}
+          />
+          <Text style={styles.autoPickupTitle}>Automatic Pickup Request</Text>
+          {autoPickupUpdating ? (
+            <ActivityIndicator size='small' color={theme.colors.primary} />
+          ) : (
+            <Switch
+              value={enabled}
+              onValueChange={handleAutoPickupToggle}
+              trackColor={{ true: theme.colors.primary }}
+            />
+          )}
+        </View>
+        <Text style={styles.autoPickupDescription}>
+          Send a pickup request when you arrive at school (
+          {formatDismissalHours(Config.PICKUP_GEOFENCE?.DISMISSAL_WINDOWS)}).
+          {!enabled &&
+            ' Uses the selected children, or all children if none are selected.'}
+        </Text>
+        {enabled && autoPickup.studentNames?.length > 0 && (
+          <Text style={styles.autoPickupChildren}>
+            For: {autoPickup.studentNames.join(', ')}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
   if (loading && !refreshing) {
     return (
       <SafeAreaView style={styles.container}>
@@ -633,6 +744,7 @@ const ParentPickupRequestScreen = () => {
           {renderLocationStatus()}
           {renderPendingRequests()}
           {renderChildSelection()}
+          {renderAutoPickup()}
         </ScrollView>
       )}
 
@@ -913,6 +1025,29 @@ const createStyles = (theme) =>
       fontWeight: '500',
       color: theme.colors.primary,
     },
+    autoPickupHeader: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      marginBottom: 8,
+    },
+    autoPickupTitle: {
+      flex: 1,
+      marginLeft: 8,
+      fontSize: 16,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    autoPickupDescription: {
+      fontSize: 14,
+      color: theme.colors.textSecondary,
+      lineHeight: 20,
+    },
+    autoPickupChildren: {
+      fontSize: 14,
+      fontWeight: '500',
+      color: theme.colors.primary,
+      marginTop: 8,
+    },
   });
 
 export default ParentPickupRequestScreen;
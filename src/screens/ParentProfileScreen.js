@@ -8,6 +8,7 @@ import {
   ScrollView,
 } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from '../services/secureStorage';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
 import {
@@ -76,7 +77,7 @@ const ParentProfileScreen = ({ navigation }) => {
         console.log('✅ PARENT PROFILE SCREEN: Using student-specific data');
       } else {
         // Fallback to generic userData for backward compatibility
-        const userData = await AsyncStorage.getItem('userData');
+        const userData = await secureSessionStorage.getItem('userData');
         if (userData) {
           parsedUserData = JSON.parse(userData);
           console.log(
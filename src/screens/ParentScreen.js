@@ -18,6 +18,7 @@ import Animated, {
     interpolate,
 } from 'react-native-reanimated';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import {secureSessionStorage} from '../services/secureStorage';
 import {SafeAreaView} from 'react-native-safe-area-context';
 import {FontAwesomeIcon} from '@fortawesome/react-native-fontawesome';
 import {
@@ -332,7 +333,7 @@ export default function ParentScreen({navigation}) {
                         } else {
                             console.error('❌ PARENT: Logout failed:', logoutResult.error);
                             // Fallback to basic logout
-                            await AsyncStorage.multiRemove([
+                            await secureSessionStorage.multiRemove([
                                 'userData',
                                 'selectedStudent',
                                 'calendarUserData',
@@ -343,7 +344,7 @@ export default function ParentScreen({navigation}) {
                         console.error('❌ PARENT: Error during logout:', error);
                         // Fallback to basic logout
                         try {
-                            await AsyncStorage.multiRemove([
+                            await secureSessionStorage.multiRemove([
                                 'userData',
                                 'selectedStudent',
                                 'calendarUserData',
@@ -378,7 +379,7 @@ export default function ParentScreen({navigation}) {
 
         // Save selected student to AsyncStorage for persistence
         try {
-            await AsyncStorage.setItem('selectedStudent', JSON.stringify(student));
+            await secureSessionStorage.setItem('selectedStudent', JSON.stringify(student));
         } catch (error) {
             console.error('Error saving selected student:', error);
         }
@@ -516,7 +517,7 @@ export default function ParentScreen({navigation}) {
             case 'calendar':
                 // Save selected student as temporary calendar user data (don't overwrite main userData)
                 try {
-                    await AsyncStorage.setItem(
+                    await secureSessionStorage.setItem(
                         'calendarUserData',
                         JSON.stringify(selectedStudent)
                     );
@@ -588,7 +589,7 @@ export default function ParentScreen({navigation}) {
                 parsedUserData = studentData;
             } else {
                 // Fallback to generic userData for backward compatibility
-                const userData = await AsyncStorage.getItem('userData');
+                const userData = await secureSessionStorage.getItem('userData');
                 if (userData) {
                     parsedUserData = JSON.parse(userData);
                 }
@@ -620,7 +621,7 @@ export default function ParentScreen({navigation}) {
                 parsedUserData = studentData;
             } else {
                 // Fallback to generic userData for backward compatibility
-                const userData = await AsyncStorage.getItem('userData');
+                const userData = await secureSessionStorage.getItem('userData');
                 if (userData) {
                     parsedUserData = JSON.parse(userData);
 
@@ -799,7 +800,7 @@ export default function ParentScreen({navigation}) {
             }
 
             // Normal mode: load from AsyncStorage (manually added student accounts)
-            const savedStudents = await AsyncStorage.getItem('studentAccounts');
+            const savedStudents = await secureSessionStorage.getItem('studentAccounts');
             if (savedStudents) {
                 setStudents(JSON.parse(savedStudents));
             }
@@ -861,7 +862,7 @@ export default function ParentScreen({navigation}) {
             // Check all possible storage keys
             const parentData = await getUserData('parent', AsyncStorage);
             const studentData = await getUserData('student', AsyncStorage);
-            const genericUserData = await AsyncStorage.getItem('userData');
+            const genericUserData = await secureSessionStorage.getItem('userData');
 
 
             // Check if there's any photo data anywhere
@@ -933,7 +934,7 @@ export default function ParentScreen({navigation}) {
                             }
 
                             // Update student accounts list in AsyncStorage
-                            await AsyncStorage.setItem(
+                            await secureSessionStorage.setItem(
                                 'studentAccounts',
                                 JSON.stringify(updatedStudents)
                             );
@@ -31,13 +31,21 @@ import {
   faBook,
   faGavel,
   faExclamationTriangle,
+  faUserLock,
+  faFingerprint,
+  faClock,
 } from '@fortawesome/free-solid-svg-icons';
 import { useTheme } from '../contexts/ThemeContext';
 import { useLanguage } from '../contexts/LanguageContext';
+import { useAppLock } from '../contexts/AppLockContext';
+import { getAllLoggedInUsers } from '../services/authService';
+import { getStoredGuardianData } from '../services/guardianStorageService';
+import { getAccountKey, getGuardianAccount } from '../services/appLockService';
 import { useSchoolLogo } from '../hooks/useThemeLogo';
 import { Config } from '../config/env';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import * as Notifications from 'expo-notifications';
+import { clearHomeworkReminders } from '../services/homeworkReminderService';
 
 export default function SettingsScreen({ navigation }) {
   const { theme, isDarkMode, toggleTheme } = useTheme();
@@ -46,6 +54,18 @@ export default function SettingsScreen({ navigation }) {
   const [showLanguageModal, setShowLanguageModal] = useState(false);
   const [showAboutModal, setShowAboutModal] = useState(false);
   const [isChangingLanguage, setIsChangingLanguage] = useState(false);
+  const [showAutoLockModal, setShowAutoLockModal] = useState(false);
+
+  // App lock state
+  const {
+    settings: appLockSettings,
+    biometricSupport,
+    setUpLock,
+    removeLock,
+    setBiometricUnlock,
+    setAutoLockTimeout,
+  } = useAppLock();
+  const [lockableAccounts, setLockableAccounts] = useState([]);
 
   // Notification settings state
   const [notificationSettings, setNotificationSettings] = useState({
@@ -66,8 +86,53 @@ export default function SettingsScreen({ navigation }) {
   // Load notification settings on component mount
   useEffect(() => {
     loadNotificationSettings();
+    loadLockableAccounts();
   }, []);
 
+  // Every account logged in on this device can be locked on its own
+  const loadLockableAccounts = async () => {
+    try {
+      const users = await getAllLoggedInUsers(AsyncStorage);
+      const guardianAccount = getGuardianAccount(await getStoredGuardianData());
+
+      // getAllLoggedInUsers can return the same account for several types
+      const accounts = {};
+      [...Object.values(users), guardianAccount].forEach((account) => {
+        const accountKey = getAccountKey(account);
+        if (accountKey) accounts[accountKey] = account;
+      });
+      setLockableAccounts(Object.values(accounts));
+    } catch (error) {
+      console.error('Error loading lockable accounts:', error);
+    }
+  };
+
+  const isAccountLocked = (account) =>
+    !!appLockSettings?.accounts?.[getAccountKey(account)]?.enabled;
+
+  const handleAccountLockToggle = async (account, enabled) => {
+    try {
+      if (enabled) {
+        await setUpLock(account);
+      } else {
+        await removeLock(account);
+      }
+    } catch (error) {
+      console.error('Error updating app lock:', error);
+      Alert.alert(t('error'), error.message);
+    }
+  };
+
+  const formatAutoLockTimeout = (timeout) =>
+    timeout === 0
+      ? t('autoLockImmediately')
+      : t('autoLockAfterMinutes').replace('{minutes}', timeout / 60000);
+
+  const handleAutoLockSelect = async (timeout) => {
+    await setAutoLockTimeout(timeout);
+    setShowAutoLockModal(false);
+  };
+
   const loadNotificationSettings = async () => {
     try {
       const savedSettings = await AsyncStorage.getItem('notificationSettings');
@@ -102,8 +167,34 @@ export default function SettingsScreen({ navigation }) {
     }
 
     saveNotificationSettings(newSettings);
+
+    // Scheduled homework reminders are cancelled with the notifications
+    if (!newSettings.enabled || !newSettings.categories.homework) {
+      clearHomeworkReminders();
+    }
+  };
+
+  const homeworkReminderOffsets =
+    notificationSettings.homeworkReminderOffsets ??
+    Config.HOMEWORK_REMINDERS.DEFAULT_OFFSETS_HOURS;
+
+  // Reminders are moved to the new offsets when the homework list next loads
+  const toggleHomeworkReminderOffset = (hours) => {
+    const offsets = homeworkReminderOffsets.includes(hours)
+      ? homeworkReminderOffsets.filter((offset) => offset !== hours)
+      : [...homeworkReminderOffsets, hours];
+
+    saveNotificationSettings({
+      ...notificationSettings,
+      homeworkReminderOffsets: offsets.sort((a, b) => b - a),
+    });
   };
 
+  const formatReminderOffset = (hours) =>
+    hours % 24 === 0
+      ? t('reminderDaysBefore').replace('{days}', hours / 24)
+      : t('reminderHoursBefore').replace('{hours}', hours);
+
   const requestNotificationPermissions = async () => {
     try {
       const { status } = await Notifications.requestPermissionsAsync();
@@ -249,6 +340,71 @@ export default function SettingsScreen({ navigation }) {
     </Modal>
   );
 
+  const AutoLockModal = () => (
+    <Modal
+      visible={showAutoLockModal}
+      transparent={true}
+      animationType='slide'
+      onRequestClose={() => setShowAutoLockModal(false)}
+      statusBarTranslucent={false}
+    >
+      <View style={styles.modalContainer}>
+        <View style={styles.modalCard}>
+          <View style={styles.modalHeader}>
+            <Text style={styles.modalTitle}>{t('autoLock')}</Text>
+            <TouchableOpacity
+              onPress={() => setShowAutoLockModal(false)}
+              style={styles.modalCloseButton}
+            >
+              <FontAwesomeIcon
+                icon={faArrowLeft}
+                size={18}
+                color={theme.colors.text}
+              />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView
+            style={styles.languageList}
+            showsVerticalScrollIndicator={false}
+          >
+            {Config.APP_LOCK.TIMEOUT_OPTIONS.map((timeout) => {
+              const isSelected = appLockSettings?.autoLockTimeout === timeout;
+              return (
+                <TouchableOpacity
+                  key={timeout}
+                  style={[
+                    styles.languageItem,
+                    isSelected && styles.selectedLanguageItem,
+                  ]}
+                  onPress={() => handleAutoLockSelect(timeout)}
+                >
+                  <Text
+                    style={[
+                      styles.languageName,
+                      isSelected && styles.selectedLanguageName,
+                    ]}
+                  >
+                    {formatAutoLockTimeout(timeout)}
+                  </Text>
+                  {isSelected && (
+                    <View style={styles.checkIconContainer}>
+                      <FontAwesomeIcon
+                        icon={faCheck}
+                        size={18}
+                        color={theme.colors.primary}
+                      />
+                    </View>
+                  )}
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+        </View>
+      </View>
+    </Modal>
+  );
+
   const AboutModal = () => (
     <Modal
       visible={showAboutModal}
@@ -396,6 +552,144 @@ export default function SettingsScreen({ navigation }) {
           </TouchableOpacity>
         </View>
 
+        {/* App Lock Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>{t('appLock')}</Text>
+
+          {lockableAccounts.length === 0 && (
+            <View style={styles.settingItem}>
+              <Text style={styles.settingSubtitle}>
+                {t('noAccountsOnDevice')}
+              </Text>
+            </View>
+          )}
+
+          {lockableAccounts.map((account) => {
+            const isLocked = isAccountLocked(account);
+            const lock = appLockSettings?.accounts?.[getAccountKey(account)];
+
+            return (
+              <View key={getAccountKey(account)}>
+                <View style={styles.settingItem}>
+                  <View style={styles.settingLeft}>
+                    <View
+                      style={[
+                        styles.settingIcon,
+                        { backgroundColor: theme.colors.primary + '15' },
+                      ]}
+                    >
+                      <FontAwesomeIcon
+                        icon={faUserLock}
+                        size={20}
+                        color={theme.colors.primary}
+                      />
+                    </View>
+                    <View style={styles.settingText}>
+                      <Text style={styles.settingTitle}>
+                        {account.name || account.username}
+                      </Text>
+                      <Text style={styles.settingSubtitle}>
+                        {account.userType === 'guardian'
+                          ? t('guardianAccount')
+                          : t(account.userType)}{' '}
+                        · {isLocked ? t('lockEnabled') : t('lockDisabled')}
+                      </Text>
+                    </View>
+                  </View>
+                  <Switch
+                    value={isLocked}
+                    onValueChange={(value) =>
+                      handleAccountLockToggle(account, value)
+                    }
+                    trackColor={{
+                      false: theme.colors.border,
+                      true: theme.colors.primary + '50',
+                    }}
+                    thumbColor={
+                      isLocked ? theme.colors.primary : theme.colors.surface
+                    }
+                  />
+                </View>
+
+                {isLocked && biometricSupport.available && (
+                  <View style={[styles.settingItem, styles.subSettingItem]}>
+                    <View style={styles.settingLeft}>
+                      <View
+                        style={[
+                          styles.settingIcon,
+                          { backgroundColor: theme.colors.success + '15' },
+                        ]}
+                      >
+                        <FontAwesomeIcon
+                          icon={faFingerprint}
+                          size={20}
+                          color={theme.colors.success}
+                        />
+                      </View>
+                      <View style={styles.settingText}>
+                        <Text style={styles.settingTitle}>
+                          {t('unlockWithBiometrics')}
+                        </Text>
+                      </View>
+                    </View>
+                    <Switch
+                      value={!!lock?.biometrics}
+                      onValueChange={(value) =>
+                        setBiometricUnlock(account, value)
+                      }
+                      trackColor={{
+                        false: theme.colors.border,
+                        true: theme.colors.success + '50',
+                      }}
+                      thumbColor={
+                        lock?.biometrics
+                          ? theme.colors.success
+                          : theme.colors.surface
+                      }
+                    />
+                  </View>
+                )}
+              </View>
+            );
+          })}
+
+          {lockableAccounts.some(isAccountLocked) && (
+            <TouchableOpacity
+              style={styles.settingItem}
+              onPress={() => setShowAutoLockModal(true)}
+            >
+              <View style={styles.settingLeft}>
+                <View
+                  style={[
+                    styles.settingIcon,
+                    { backgroundColor: theme.colors.info + '15' },
+                  ]}
+                >
+                  <FontAwesomeIcon
+                    icon={faClock}
+                    size={20}
+                    color={theme.colors.info}
+                  />
+                </View>
+                <View style={styles.settingText}>
+                  <Text style={styles.settingTitle}>{t('autoLock')}</Text>
+                  <Text style={styles.settingSubtitle}>
+                    {formatAutoLockTimeout(
+                      appLockSettings?.autoLockTimeout ??
+                        Config.APP_LOCK.DEFAULT_TIMEOUT
+                    )}
+                  </Text>
+                </View>
+              </View>
+              <FontAwesomeIcon
+                icon={faChevronRight}
+                size={16}
+                color={theme.colors.textLight}
+              />
+            </TouchableOpacity>
+          )}
+        </View>
+
         {/* Notifications Section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>{t('notificationsTitle')}</Text>
@@ -646,6 +940,61 @@ export default function SettingsScreen({ navigation }) {
               />
             </View>
 
+            {notificationSettings.categories.homework && (
+              <View
+                style={[
+                  styles.settingItem,
+                  styles.subSettingItem,
+                  styles.reminderOffsetsItem,
+                ]}
+              >
+                <View style={styles.settingLeft}>
+                  <View
+                    style={[
+                      styles.settingIcon,
+                      { backgroundColor: '#007AFF' + '15' },
+                    ]}
+                  >
+                    <FontAwesomeIcon icon={faClock} size={20} color='#007AFF' />
+                  </View>
+                  <View style={styles.settingText}>
+                    <Text style={styles.settingTitle}>
+                      {t('homeworkReminders')}
+                    </Text>
+                    <Text style={styles.settingSubtitle}>
+                      {t('homeworkRemindersDescription')}
+                    </Text>
+                  </View>
+                </View>
+                <View style={styles.reminderOffsetChips}>
+                  {Config.HOMEWORK_REMINDERS.OFFSET_CHOICES_HOURS.map(
+                    (hours) => {
+                      const selected = homeworkReminderOffsets.includes(hours);
+                      return (
+                        <TouchableOpacity
+                          key={hours}
+                          style={[
+                            styles.reminderOffsetChip,
+                            selected && styles.reminderOffsetChipSelected,
+                          ]}
+                          onPress={() => toggleHomeworkReminderOffset(hours)}
+                        >
+                          <Text
+                            style={[
+                              styles.reminderOffsetChipText,
+                              selected && styles.reminderOffsetChipTextSelected,
+                            ]}
+                          >
+                            {formatReminderOffset(hours)}
+                          </Text>
+                        </TouchableOpacity>
+                      );
+                    }
+                  )}
+                </View>
+              </View>
+            )}
+
             {/* Behavior */}
             <View style={styles.settingItem}>
               <View style={styles.settingLeft}>
@@ -761,6 +1110,7 @@ export default function SettingsScreen({ navigation }) {
       </ScrollView>
 
       <LanguageModal />
+      <AutoLockModal />
       <AboutModal />
     </SafeAreaView>
   );
@@ -854,6 +1204,38 @@ const createStyles = (theme) =>
       fontSize: 14,
       color: theme.colors.textSecondary,
     },
+    subSettingItem: {
+      marginLeft: 20,
+    },
+    reminderOffsetsItem: {
+      flexDirection: 'column',
+      alignItems: 'stretch',
+    },
+    reminderOffsetChips: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      gap: 8,
+      marginTop: 12,
+    },
+    reminderOffsetChip: {
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 16,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+    },
+    reminderOffsetChipSelected: {
+      backgroundColor: '#007AFF' + '15',
+      borderColor: '#007AFF',
+    },
+    reminderOffsetChipText: {
+      fontSize: 13,
+      color: theme.colors.textSecondary,
+    },
+    reminderOffsetChipTextSelected: {
+      color: '#007AFF',
+      fontWeight: '600',
+    },
 
     // Modal Styles
     modalContainer: {
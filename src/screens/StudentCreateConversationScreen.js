@@ -13,7 +13,7 @@ import {
   Platform,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from '../services/secureStorage';
 import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
 import {
   faArrowLeft,
@@ -66,9 +66,13 @@ const StudentCreateConversationScreen = ({ navigation, route }) => {
   const getCurrentStudentBranch = useCallback(async () => {
     try {
       // Check all possible sources of student data
-      const userData = await AsyncStorage.getItem('userData');
-      const selectedStudent = await AsyncStorage.getItem('selectedStudent');
-      const studentAccounts = await AsyncStorage.getItem('studentAccounts');
+      const userData = await secureSessionStorage.getItem('userData');
+      const selectedStudent = await secureSessionStorage.getItem(
+        'selectedStudent'
+      );
+      const studentAccounts = await secureSessionStorage.getItem(
+        'studentAccounts'
+      );
 
       console.log('🔍 DEBUG: userData exists:', !!userData);
       console.log('🔍 DEBUG: selectedStudent exists:', !!selectedStudent);
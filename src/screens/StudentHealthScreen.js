@@ -87,7 +87,6 @@ export default function StudentHealthScreen({ route, navigation }) {
       const proxyOptions = extractProxyOptions(route.params);
       if (shouldUseParentProxy(route.params)) {
         console.log('🏥 HEALTH RECORDS: Using parent proxy access');
-        console.log('🔑 Parent Auth Code:', authCode);
         console.log('👤 Student ID:', proxyOptions.studentId);
 
         const response = await getChildHealthRecords(
@@ -133,7 +132,6 @@ export default function StudentHealthScreen({ route, navigation }) {
       const proxyOptions = extractProxyOptions(route.params);
       if (shouldUseParentProxy(route.params)) {
         console.log('🏥 HEALTH INFO: Using parent proxy access');
-        console.log('🔑 Parent Auth Code:', authCode);
         console.log('👤 Student ID:', proxyOptions.studentId);
 
         const response = await getChildHealthInfo(
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import {
   View,
   Text,
@@ -22,15 +22,32 @@ import {
   faExternalLinkAlt,
   faEye,
   faComment,
+  faPen,
 } from '@fortawesome/free-solid-svg-icons';
 import { useTheme } from '../contexts/ThemeContext';
 import { processHtmlContent } from '../utils/htmlUtils';
+import {
+  getSubmissionLateness,
+  formatLateness,
+  describeLatePolicy,
+} from '../utils/latePolicy';
+import { getRubricSelections } from '../utils/rubrics';
+import RubricView from '../components/homework/RubricView';
+import { summarizeAnnotations } from '../utils/annotations';
+import FileAnnotationModal from '../components/homework/FileAnnotationModal';
+import SubmissionCommentThread from '../components/homework/SubmissionCommentThread';
 
 export default function StudentHomeworkDetailScreen({ navigation, route }) {
   const { theme } = useTheme();
-  const { submission, homeworkTitle } = route.params || {};
+  const { submission, homework, homeworkTitle, authCode } = route.params || {};
 
   const styles = createStyles(theme);
+  const lateLabel = formatLateness(getSubmissionLateness(submission, homework));
+  const rubric = homework?.rubric || submission.rubric;
+  const annotationCount = summarizeAnnotations(
+    submission.file_annotation
+  ).total;
+  const [showAnnotations, setShowAnnotations] = useState(false);
 
   const formatDate = (dateString) => {
     if (!dateString) return 'No date';
@@ -107,6 +124,8 @@ export default function StudentHomeworkDetailScreen({ navigation, route }) {
         style={styles.content}
         contentContainerStyle={styles.scrollContent}
         showsVerticalScrollIndicator={false}
+        keyboardShouldPersistTaps='handled'
+        automaticallyAdjustKeyboardInsets
       >
         {/* Student Info Card */}
         <View style={styles.studentCard}>
@@ -169,6 +188,34 @@ export default function StudentHomeworkDetailScreen({ navigation, route }) {
             </View>
           )}
 
+          {lateLabel && (
+            <View style={styles.detailRow}>
+              <FontAwesomeIcon
+                icon={faClock}
+                size={16}
+                color={theme.colors.warning}
+              />
+              <Text
+                style={[styles.detailText, { color: theme.colors.warning }]}
+              >
+                {lateLabel}
+              </Text>
+            </View>
+          )}
+
+          {homework && (
+            <View style={styles.detailRow}>
+              <FontAwesomeIcon
+                icon={faClock}
+                size={16}
+                color={theme.colors.textSecondary}
+              />
+              <Text style={styles.detailText}>
+                {describeLatePolicy(homework.late_policy)}
+              </Text>
+            </View>
+          )}
+
           <View style={styles.detailRow}>
             <FontAwesomeIcon
               icon={faCheckCircle}
@@ -214,6 +261,35 @@ export default function StudentHomeworkDetailScreen({ navigation, route }) {
                 color={theme.colors.textSecondary}
               />
             </TouchableOpacity>
+            {annotationCount > 0 && (
+              <TouchableOpacity
+                style={[styles.fileButton, styles.annotationsButton]}
+                onPress={() => setShowAnnotations(true)}
+              >
+                <FontAwesomeIcon
+                  icon={faPen}
+                  size={18}
+                  color={theme.colors.primary}
+                />
+                <View style={styles.fileInfo}>
+                  <Text style={styles.fileName}>Annotations</Text>
+                  <Text style={styles.fileAction}>
+                    {annotationCount} mark(s) on this file
+                  </Text>
+                </View>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
+        {/* Rubric Score */}
+        {rubric && submission.rubric_grade && (
+          <View style={styles.responseCard}>
+            <Text style={styles.sectionTitle}>Rubric Score</Text>
+            <RubricView
+              rubric={rubric}
+              selections={getRubricSelections(submission.rubric_grade)}
+            />
           </View>
         )}
 
@@ -248,7 +324,26 @@ export default function StudentHomeworkDetailScreen({ navigation, route }) {
             </Text>
           </View>
         )}
+
+        {/* Comments */}
+        {submission.is_completed && authCode && (
+          <View style={styles.responseCard}>
+            <Text style={styles.sectionTitle}>Comments</Text>
+            <SubmissionCommentThread
+              detailId={submission.detail_id}
+              authCode={authCode}
+              viewerType='teacher'
+            />
+          </View>
+        )}
       </ScrollView>
+
+      <FileAnnotationModal
+        visible={showAnnotations}
+        fileUrl={submission.reply_file}
+        annotation={submission.file_annotation}
+        onClose={() => setShowAnnotations(false)}
+      />
     </SafeAreaView>
   );
 }
@@ -400,6 +495,9 @@ const createStyles = (theme) =>
       borderColor: theme.colors.border,
       gap: 12,
     },
+    annotationsButton: {
+      marginTop: 8,
+    },
     fileInfo: {
       flex: 1,
     },
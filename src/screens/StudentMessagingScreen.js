@@ -36,7 +36,7 @@ import {
   markConversationAsRead,
 } from '../services/messagingService';
 import { ConversationItem } from '../components/messaging';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from '../services/secureStorage';
 import { getResponsiveHeaderFontSize } from '../utils/commonStyles';
 
 const StudentMessagingScreen = ({ navigation, route }) => {
@@ -88,7 +88,7 @@ const StudentMessagingScreen = ({ navigation, route }) => {
   // Helper function to get current user data
   const getCurrentUserData = useCallback(async () => {
     try {
-      const userData = await AsyncStorage.getItem('userData');
+      const userData = await secureSessionStorage.getItem('userData');
       if (userData) {
         return JSON.parse(userData);
       }
@@ -186,7 +186,6 @@ const StudentMessagingScreen = ({ navigation, route }) => {
   const fetchConversations = useCallback(async () => {
     try {
       setLoading(true);
-      console.log('📱 STUDENT MESSAGING: Using authCode:', authCode);
       const response = await getConversations(authCode);
       if (response.success && response.data) {
         const allConversations = response.data.conversations || [];
@@ -12,6 +12,7 @@ import {
     ActivityIndicator, Platform,
 } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import {secureSessionStorage} from '../services/secureStorage';
 import {SafeAreaView} from 'react-native-safe-area-context';
 import {FontAwesomeIcon} from '@fortawesome/react-native-fontawesome';
 import {
@@ -495,8 +496,8 @@ export default function StudentScreen({navigation}) {
             setLoading(true);
 
             // Get student data from AsyncStorage - try both generic and student-specific keys
-            const userData = await AsyncStorage.getItem('userData');
-            const studentUserData = await AsyncStorage.getItem('studentUserData');
+            const userData = await secureSessionStorage.getItem('userData');
+            const studentUserData = await secureSessionStorage.getItem('studentUserData');
 
             console.log('📱 STUDENT: Loading student data...');
             console.log('📱 STUDENT: userData exists:', !!userData);
@@ -581,7 +582,7 @@ export default function StudentScreen({navigation}) {
                         photo: profilePhoto,
                         profile_photo: profilePhoto,
                     };
-                    await AsyncStorage.setItem(keyUsed, JSON.stringify(updatedUserData));
+                    await secureSessionStorage.setItem(keyUsed, JSON.stringify(updatedUserData));
                     console.log('✅ STUDENT: AsyncStorage updated with photo field');
                 }
 
@@ -707,7 +708,7 @@ export default function StudentScreen({navigation}) {
             case 'calendar':
                 // Save student data as temporary calendar user data
                 try {
-                    await AsyncStorage.setItem(
+                    await secureSessionStorage.setItem(
                         'calendarUserData',
                         JSON.stringify(studentData)
                     );
@@ -775,7 +776,7 @@ export default function StudentScreen({navigation}) {
                         } else {
                             console.error('❌ STUDENT: Logout failed:', logoutResult.error);
                             // Fallback to comprehensive student data cleanup
-                            await AsyncStorage.multiRemove([
+                            await secureSessionStorage.multiRemove([
                                 'userData',
                                 'studentUserData',
                                 'studentAccounts',
@@ -794,7 +795,7 @@ export default function StudentScreen({navigation}) {
                         console.error('❌ STUDENT: Error during logout:', error);
                         // Fallback to comprehensive student data cleanup
                         try {
-                            await AsyncStorage.multiRemove([
+                            await secureSessionStorage.multiRemove([
                                 'userData',
                                 'studentUserData',
                                 'studentAccounts',
@@ -0,0 +1,941 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  ScrollView,
+  FlatList,
+  Alert,
+  TextInput,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { SafeAreaView } from 'react-native-safe-area-context';
+import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
+import {
+  faArrowLeft,
+  faSave,
+  faFileImport,
+  faChevronRight,
+  faClipboardCheck,
+} from '@fortawesome/free-solid-svg-icons';
+import * as DocumentPicker from 'expo-document-picker';
+import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
+import GradeImportPreviewModal from '../components/GradeImportPreviewModal';
+import {
+  getTeacherAssessments,
+  getAssessmentOptions,
+  getAssessmentDetails,
+  getGradeStudents,
+  saveSummativeGradesBulk,
+  saveFormativeGradesBulk,
+} from '../services/teacherAssessmentService';
+import {
+  getGradeColumns,
+  getStudentId,
+  getStudentName,
+  validateGradeValue,
+  buildGradeImport,
+  buildBulkGrades,
+} from '../utils/gradeEntry';
+
+const NAME_COLUMN_WIDTH = 160;
+const SCORE_COLUMN_WIDTH = 84;
+const COMMENT_COLUMN_WIDTH = 220;
+
+const getAssessmentId = (assessment) =>
+  assessment?.assessment_id ?? assessment?.id;
+
+// Grid values are kept as strings while editing
+const toCellValue = (value) =>
+  value === null || value === undefined ? '' : String(value);
+
+export default function TeacherAssessmentsScreen({ navigation, route }) {
+  const { theme } = useTheme();
+  const { t } = useLanguage();
+  const { authCode } = route.params || {};
+
+  // Assessment list state
+  const [loading, setLoading] = useState(true);
+  const [assessments, setAssessments] = useState({
+    summative: [],
+    formative: [],
+  });
+  const [gradeOptions, setGradeOptions] = useState([]);
+  const [activeType, setActiveType] = useState('summative');
+  const [gradeFilter, setGradeFilter] = useState(null);
+
+  // Grade grid state
+  const [selectedAssessment, setSelectedAssessment] = useState(null);
+  const [loadingGrid, setLoadingGrid] = useState(false);
+  const [students, setStudents] = useState([]);
+  const [values, setValues] = useState({});
+  const [originalValues, setOriginalValues] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  // CSV import state
+  const [importPreview, setImportPreview] = useState(null);
+  const [importFileName, setImportFileName] = useState(null);
+
+  // TextInput refs by "row-column" so Enter can move to the next cell
+  const cellRefs = useRef({});
+
+  const styles = useMemo(() => createStyles(theme), [theme]);
+
+  const gridType = selectedAssessment?.type || activeType;
+  const columns = useMemo(() => getGradeColumns(gridType), [gridType]);
+  const maxScore = selectedAssessment?.max_score;
+
+  useEffect(() => {
+    loadAssessments();
+  }, [authCode]);
+
+  const loadAssessments = async () => {
+    try {
+      setLoading(true);
+      const [assessmentsResponse, optionsResponse] = await Promise.all([
+        getTeacherAssessments(authCode),
+        // The grade filter falls back to the grades in the assessment list
+        getAssessmentOptions(authCode).catch(() => null),
+      ]);
+
+      const data = assessmentsResponse?.data || {};
+      const summative = data.summative || [];
+      const formative = data.formative || [];
+      setAssessments({ summative, formative });
+
+      const grades =
+        optionsResponse?.data?.grades ||
+        [...summative, ...formative]
+          .filter((assessment) => assessment.grade_id)
+          .map((assessment) => ({
+            grade_id: assessment.grade_id,
+            grade_name: assessment.grade_name,
+          }));
+      setGradeOptions(
+        grades.filter(
+          (grade, index) =>
+            grades.findIndex(
+              (other) =>
+                (other.grade_id ?? other.id) === (grade.grade_id ?? grade.id)
+            ) === index
+        )
+      );
+    } catch (error) {
+      console.error(
+        '📊 TEACHER ASSESSMENTS: Failed to load assessments',
+        error
+      );
+      Alert.alert(t('error'), t('failedToLoadAssessments'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openAssessment = async (assessment) => {
+    const assessmentWithType = { ...assessment, type: activeType };
+    setSelectedAssessment(assessmentWithType);
+    setStudents([]);
+    setValues({});
+    setOriginalValues({});
+    await loadGrid(assessmentWithType);
+  };
+
+  const loadGrid = async (assessment) => {
+    try {
+      setLoadingGrid(true);
+      const [studentsResponse, detailsResponse] = await Promise.all([
+        getGradeStudents(assessment.grade_id, authCode),
+        getAssessmentDetails(
+          getAssessmentId(assessment),
+          assessment.type,
+          authCode
+        ),
+      ]);
+
+      const gradedStudents = detailsResponse?.data?.students || [];
+      const gradeStudents = studentsResponse?.data?.students || gradedStudents;
+      const gradesById = new Map(
+        gradedStudents.map((student) => [getStudentId(student), student])
+      );
+
+      const loadedValues = {};
+      gradeStudents.forEach((student) => {
+        const studentId = getStudentId(student);
+        const existing = gradesById.get(studentId) || {};
+        loadedValues[studentId] = Object.fromEntries(
+          getGradeColumns(assessment.type).map((column) => [
+            column.key,
+            toCellValue(existing[column.key]),
+          ])
+        );
+      });
+
+      setStudents(gradeStudents);
+      setValues(loadedValues);
+      setOriginalValues(loadedValues);
+    } catch (error) {
+      console.error('📊 TEACHER ASSESSMENTS: Failed to load students', error);
+      Alert.alert(t('error'), t('failedToLoadStudents'));
+    } finally {
+      setLoadingGrid(false);
+    }
+  };
+
+  const updateCell = (studentId, key, value) => {
+    setValues((prev) => ({
+      ...prev,
+      [studentId]: { ...prev[studentId], [key]: value },
+    }));
+  };
+
+  // Enter moves down the column, then to the top of the next column
+  const focusNextCell = (rowIndex, columnIndex) => {
+    const next =
+      rowIndex + 1 < students.length
+        ? `${rowIndex + 1}-${columnIndex}`
+        : `0-${columnIndex + 1}`;
+    cellRefs.current[next]?.focus();
+  };
+
+  const changedGrades = useMemo(
+    () => buildBulkGrades(values, originalValues, gridType),
+    [values, originalValues, gridType]
+  );
+
+  const invalidCells = useMemo(() => {
+    const invalid = {};
+    Object.entries(values).forEach(([studentId, row]) => {
+      columns.forEach((column) => {
+        const error = validateGradeValue(row[column.key], column, maxScore);
+        if (error) invalid[`${studentId}-${column.key}`] = error;
+      });
+    });
+    return invalid;
+  }, [values, columns, maxScore]);
+
+  const hasUnsavedChanges = changedGrades.length > 0;
+
+  const handleSave = async () => {
+    if (Object.keys(invalidCells).length > 0) {
+      Alert.alert(t('error'), t('fixInvalidGrades'));
+      return;
+    }
+    if (!hasUnsavedChanges) return;
+
+    try {
+      setSaving(true);
+      const saveGrades =
+        gridType === 'formative'
+          ? saveFormativeGradesBulk
+          : saveSummativeGradesBulk;
+      const response = await saveGrades(
+        getAssessmentId(selectedAssessment),
+        changedGrades,
+        authCode
+      );
+
+      if (!response?.success) {
+        Alert.alert(t('error'), response?.message || t('failedToSaveGrades'));
+        return;
+      }
+
+      const savedCount = response.data?.saved_count ?? changedGrades.length;
+      const errors = response.data?.errors || [];
+      let message = t('gradesSavedMessage')
+        .replace('{saved}', savedCount)
+        .replace('{total}', changedGrades.length);
+      if (errors.length > 0) {
+        message += `\n${t('gradesSaveErrors').replace(
+          '{count}',
+          errors.length
+        )}`;
+      }
+      Alert.alert(t('success'), message);
+
+      // Reload so rows the server rejected show their saved value again
+      await loadGrid(selectedAssessment);
+    } catch (error) {
+      console.error('📊 TEACHER ASSESSMENTS: Failed to save grades', error);
+      Alert.alert(t('error'), t('failedToSaveGrades'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleImportCsv = async () => {
+    try {
+      const result = await DocumentPicker.getDocumentAsync({
+        type: [
+          'text/csv',
+          'text/comma-separated-values',
+          'text/plain',
+          'application/vnd.ms-excel',
+        ],
+        copyToCacheDirectory: true,
+        multiple: false,
+      });
+      if (result.canceled || !result.assets?.[0]) return;
+
+      const file = result.assets[0];
+      const text = await (await fetch(file.uri)).text();
+      const preview = buildGradeImport(text, {
+        students,
+        currentValues: values,
+        type: gridType,
+        maxScore,
+      });
+
+      if (preview.error) {
+        Alert.alert(t('error'), t(preview.error));
+        return;
+      }
+
+      setImportFileName(file.name);
+      setImportPreview(preview);
+    } catch (error) {
+      console.error('📊 TEACHER ASSESSMENTS: Failed to read CSV', error);
+      Alert.alert(t('error'), t('failedToReadCsv'));
+    }
+  };
+
+  const applyImport = () => {
+    setValues((prev) => {
+      const next = { ...prev };
+      Object.entries(importPreview.values).forEach(([studentId, row]) => {
+        next[studentId] = { ...next[studentId], ...row };
+      });
+      return next;
+    });
+    setImportPreview(null);
+  };
+
+  const closeGrid = () => {
+    setSelectedAssessment(null);
+    setStudents([]);
+    setValues({});
+    setOriginalValues({});
+  };
+
+  const handleBack = () => {
+    if (!selectedAssessment) {
+      navigation.goBack();
+      return;
+    }
+    if (!hasUnsavedChanges) {
+      closeGrid();
+      return;
+    }
+    Alert.alert(t('discardChangesTitle'), t('discardChangesMessage'), [
+      { text: t('cancel'), style: 'cancel' },
+      { text: t('discard'), style: 'destructive', onPress: closeGrid },
+    ]);
+  };
+
+  const visibleAssessments = (assessments[activeType] || []).filter(
+    (assessment) => !gradeFilter || assessment.grade_id === gradeFilter
+  );
+
+  const renderTypeTab = (type) => (
+    <TouchableOpacity
+      key={type}
+      style={[styles.typeTab, activeType === type && styles.activeTypeTab]}
+      onPress={() => setActiveType(type)}
+    >
+      <Text
+        style={[
+          styles.typeTabText,
+          activeType === type && styles.activeTypeTabText,
+        ]}
+      >
+        {t(type)}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  const renderGradeChip = (gradeId, label) => {
+    const isSelected = gradeFilter === gradeId;
+    return (
+      <TouchableOpacity
+        key={String(gradeId)}
+        style={[styles.gradeChip, isSelected && styles.gradeChipSelected]}
+        onPress={() => setGradeFilter(gradeId)}
+      >
+        <Text
+          style={[
+            styles.gradeChipText,
+            isSelected && styles.gradeChipTextSelected,
+          ]}
+        >
+          {label}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderAssessmentItem = ({ item }) => (
+    <TouchableOpacity
+      style={styles.assessmentCard}
+      onPress={() => openAssessment(item)}
+      activeOpacity={0.7}
+    >
+      <View style={styles.assessmentIcon}>
+        <FontAwesomeIcon icon={faClipboardCheck} size={18} color='#fff' />
+      </View>
+      <View style={styles.assessmentInfo}>
+        <Text style={styles.assessmentName} numberOfLines={2}>
+          {item.assessment_name || item.title}
+        </Text>
+        <Text style={styles.assessmentMeta} numberOfLines={1}>
+          {[item.subject_name, item.grade_name, item.date]
+            .filter(Boolean)
+            .join(' • ')}
+        </Text>
+      </View>
+      {activeType === 'summative' && item.max_score ? (
+        <Text style={styles.assessmentMaxScore}>
+          {t('maxScoreValue').replace('{max}', item.max_score)}
+        </Text>
+      ) : null}
+      <FontAwesomeIcon
+        icon={faChevronRight}
+        size={14}
+        color={theme.colors.textSecondary}
+      />
+    </TouchableOpacity>
+  );
+
+  const getColumnWidth = (column) =>
+    column.numeric ? SCORE_COLUMN_WIDTH : COMMENT_COLUMN_WIDTH;
+
+  const getColumnTitle = (column) => {
+    if (column.key === 'score') {
+      return maxScore ? `${t('score')} / ${maxScore}` : t('score');
+    }
+    return column.key === 'comment' ? t('comment') : column.label;
+  };
+
+  const renderGridRow = ({ item: student, index: rowIndex }) => {
+    const studentId = getStudentId(student);
+    const row = values[studentId] || {};
+    const isChanged = columns.some(
+      (column) =>
+        (row[column.key] ?? '') !==
+        (originalValues[studentId]?.[column.key] ?? '')
+    );
+
+    return (
+      <View style={[styles.gridRow, rowIndex % 2 === 1 && styles.gridRowAlt]}>
+        <View style={[styles.nameCell, { width: NAME_COLUMN_WIDTH }]}>
+          {isChanged && <View style={styles.changedMarker} />}
+          <Text style={styles.nameText} numberOfLines={2}>
+            {getStudentName(student)}
+          </Text>
+        </View>
+        {columns.map((column, columnIndex) => {
+          const error = invalidCells[`${studentId}-${column.key}`];
+          const isLastCell =
+            rowIndex === students.length - 1 &&
+            columnIndex === columns.length - 1;
+          return (
+            <View
+              key={column.key}
+              style={[styles.cell, { width: getColumnWidth(column) }]}
+            >
+              <TextInput
+                ref={(ref) => {
+                  cellRefs.current[`${rowIndex}-${columnIndex}`] = ref;
+                }}
+                style={[
+                  styles.cellInput,
+                  !column.numeric && styles.commentInput,
+                  error && styles.cellInputInvalid,
+                ]}
+                value={row[column.key] ?? ''}
+                onChangeText={(value) =>
+                  updateCell(studentId, column.key, value)
+                }
+                keyboardType={column.numeric ? 'decimal-pad' : 'default'}
+                returnKeyType={isLastCell ? 'done' : 'next'}
+                blurOnSubmit={isLastCell}
+                onSubmitEditing={() => focusNextCell(rowIndex, columnIndex)}
+                selectTextOnFocus
+                placeholder={column.numeric ? '—' : ''}
+                placeholderTextColor={theme.colors.textLight}
+              />
+              {error ? (
+                <Text style={styles.cellError} numberOfLines={1}>
+                  {t(error)}
+                </Text>
+              ) : null}
+            </View>
+          );
+        })}
+      </View>
+    );
+  };
+
+  const renderGrid = () => {
+    if (loadingGrid) {
+      return (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size='large' color={theme.colors.primary} />
+          <Text style={styles.loadingText}>{t('loading')}</Text>
+        </View>
+      );
+    }
+
+    return (
+      <>
+        <View style={styles.gridToolbar}>
+          <View style={styles.gridToolbarInfo}>
+            <Text style={styles.gridTitle} numberOfLines={1}>
+              {selectedAssessment.assessment_name || selectedAssessment.title}
+            </Text>
+            <Text style={styles.gridSubtitle}>
+              {hasUnsavedChanges
+                ? t('unsavedGradeChanges').replace(
+                    '{count}',
+                    changedGrades.length
+                  )
+                : [
+                    selectedAssessment.subject_name,
+                    selectedAssessment.grade_name,
+                  ]
+                    .filter(Boolean)
+                    .join(' • ')}
+            </Text>
+          </View>
+          <TouchableOpacity
+            style={styles.importButton}
+            onPress={handleImportCsv}
+            disabled={students.length === 0}
+          >
+            <FontAwesomeIcon
+              icon={faFileImport}
+              size={14}
+              color={theme.colors.primary}
+            />
+            <Text style={styles.importButtonText}>{t('importCsv')}</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView
+          horizontal
+          keyboardShouldPersistTaps='handled'
+          showsHorizontalScrollIndicator={false}
+        >
+          <View>
+            <View style={styles.gridHeader}>
+              <Text
+                style={[styles.gridHeaderText, { width: NAME_COLUMN_WIDTH }]}
+              >
+                {t('student')}
+              </Text>
+              {columns.map((column) => (
+                <Text
+                  key={column.key}
+                  style={[
+                    styles.gridHeaderText,
+                    { width: getColumnWidth(column) },
+                  ]}
+                >
+                  {getColumnTitle(column)}
+                </Text>
+              ))}
+            </View>
+            <FlatList
+              data={students}
+              keyExtractor={(student) => String(getStudentId(student))}
+              renderItem={renderGridRow}
+              keyboardShouldPersistTaps='handled'
+              contentContainerStyle={styles.gridContent}
+              ListEmptyComponent={
+                <Text style={styles.emptyText}>{t('noStudents')}</Text>
+              }
+            />
+          </View>
+        </ScrollView>
+      </>
+    );
+  };
+
+  const renderAssessmentList = () => {
+    if (loading) {
+      return (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size='large' color={theme.colors.primary} />
+          <Text style={styles.loadingText}>{t('loading')}</Text>
+        </View>
+      );
+    }
+
+    return (
+      <FlatList
+        data={visibleAssessments}
+        keyExtractor={(item) => String(getAssessmentId(item))}
+        renderItem={renderAssessmentItem}
+        contentContainerStyle={styles.listContent}
+        ListHeaderComponent={
+          <>
+            <View style={styles.typeTabs}>
+              {['summative', 'formative'].map(renderTypeTab)}
+            </View>
+            {gradeOptions.length > 1 && (
+              <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                contentContainerStyle={styles.gradeChips}
+              >
+                {renderGradeChip(null, t('allGrades'))}
+                {gradeOptions.map((grade) =>
+                  renderGradeChip(
+                    grade.grade_id ?? grade.id,
+                    grade.grade_name || grade.name
+                  )
+                )}
+              </ScrollView>
+            )}
+            <Text style={styles.listHint}>{t('selectAssessmentToGrade')}</Text>
+          </>
+        }
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>{t('noAssessmentsFound')}</Text>
+        }
+      />
+    );
+  };
+
+  return (
+    <SafeAreaView style={styles.container} edges={['top', 'left', 'right']}>
+      <KeyboardAvoidingView
+        style={styles.container}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        {/* Compact Header */}
+        <View style={styles.compactHeaderContainer}>
+          <View style={styles.navigationHeader}>
+            <TouchableOpacity style={styles.backButton} onPress={handleBack}>
+              <FontAwesomeIcon icon={faArrowLeft} size={18} color='#fff' />
+            </TouchableOpacity>
+
+            <Text style={styles.headerTitle}>
+              {selectedAssessment ? t('gradeEntry') : t('assessments')}
+            </Text>
+
+            {selectedAssessment ? (
+              <TouchableOpacity
+                style={[
+                  styles.saveButton,
+                  !hasUnsavedChanges && styles.saveButtonDisabled,
+                ]}
+                onPress={handleSave}
+                disabled={saving || !hasUnsavedChanges}
+              >
+                {saving ? (
+                  <ActivityIndicator size='small' color='#fff' />
+                ) : (
+                  <FontAwesomeIcon icon={faSave} size={18} color='#fff' />
+                )}
+              </TouchableOpacity>
+            ) : (
+              <View style={styles.headerRight} />
+            )}
+          </View>
+        </View>
+
+        {selectedAssessment ? renderGrid() : renderAssessmentList()}
+      </KeyboardAvoidingView>
+
+      <GradeImportPreviewModal
+        visible={!!importPreview}
+        preview={importPreview}
+        type={gridType}
+        fileName={importFileName}
+        onApply={applyImport}
+        onCancel={() => setImportPreview(null)}
+      />
+    </SafeAreaView>
+  );
+}
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.colors.background,
+    },
+    // Compact Header Styles
+    compactHeaderContainer: {
+      backgroundColor: theme.colors.surface,
+      borderRadius: 16,
+      marginHorizontal: 16,
+      marginTop: 8,
+      marginBottom: 8,
+      elevation: 3,
+      shadowColor: '#000',
+      shadowOffset: { width: 0, height: 2 },
+      shadowOpacity: 0.15,
+      shadowRadius: 4,
+      overflow: 'hidden',
+      zIndex: 1,
+    },
+    navigationHeader: {
+      backgroundColor: theme.colors.headerBackground,
+      padding: 15,
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+    },
+    backButton: {
+      width: 36,
+      height: 36,
+      borderRadius: 18,
+      backgroundColor: 'rgba(255, 255, 255, 0.2)',
+      justifyContent: 'center',
+      alignItems: 'center',
+    },
+    headerTitle: {
+      color: '#fff',
+      fontSize: 20,
+      fontWeight: 'bold',
+    },
+    headerRight: {
+      width: 36,
+    },
+    saveButton: {
+      width: 36,
+      height: 36,
+      borderRadius: 18,
+      backgroundColor: 'rgba(255, 255, 255, 0.2)',
+      justifyContent: 'center',
+      alignItems: 'center',
+    },
+    saveButtonDisabled: {
+      opacity: 0.5,
+    },
+    loadingContainer: {
+      flex: 1,
+      justifyContent: 'center',
+      alignItems: 'center',
+    },
+    loadingText: {
+      marginTop: 10,
+      fontSize: 16,
+      color: theme.colors.textSecondary,
+    },
+    emptyText: {
+      fontSize: 15,
+      color: theme.colors.textSecondary,
+      textAlign: 'center',
+      marginTop: 40,
+    },
+
+    // Assessment List Styles
+    listContent: {
+      paddingHorizontal: 16,
+      paddingBottom: 40,
+    },
+    typeTabs: {
+      flexDirection: 'row',
+      backgroundColor: theme.colors.surface,
+      borderRadius: 12,
+      padding: 4,
+      marginBottom: 12,
+    },
+    typeTab: {
+      flex: 1,
+      paddingVertical: 10,
+      borderRadius: 10,
+      alignItems: 'center',
+    },
+    activeTypeTab: {
+      backgroundColor: theme.colors.primary,
+    },
+    typeTabText: {
+      fontSize: 15,
+      fontWeight: '600',
+      color: theme.colors.textSecondary,
+    },
+    activeTypeTabText: {
+      color: '#fff',
+    },
+    gradeChips: {
+      gap: 8,
+      paddingBottom: 12,
+    },
+    gradeChip: {
+      paddingHorizontal: 14,
+      paddingVertical: 6,
+      borderRadius: 16,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+      backgroundColor: theme.colors.surface,
+    },
+    gradeChipSelected: {
+      backgroundColor: theme.colors.primary,
+      borderColor: theme.colors.primary,
+    },
+    gradeChipText: {
+      fontSize: 13,
+      color: theme.colors.text,
+    },
+    gradeChipTextSelected: {
+      color: '#fff',
+      fontWeight: '600',
+    },
+    listHint: {
+      fontSize: 13,
+      color: theme.colors.textSecondary,
+      marginBottom: 8,
+    },
+    assessmentCard: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: theme.colors.surface,
+      borderRadius: 12,
+      padding: 14,
+      marginBottom: 10,
+      gap: 12,
+      ...theme.shadows.small,
+    },
+    assessmentIcon: {
+      width: 40,
+      height: 40,
+      borderRadius: 20,
+      backgroundColor: '#FF9500',
+      justifyContent: 'center',
+      alignItems: 'center',
+    },
+    assessmentInfo: {
+      flex: 1,
+    },
+    assessmentName: {
+      fontSize: 16,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    assessmentMeta: {
+      fontSize: 13,
+      color: theme.colors.textSecondary,
+      marginTop: 2,
+    },
+    assessmentMaxScore: {
+      fontSize: 13,
+      fontWeight: '600',
+      color: theme.colors.primary,
+    },
+
+    // Grade Grid Styles
+    gridToolbar: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 16,
+      paddingBottom: 8,
+      gap: 12,
+    },
+    gridToolbarInfo: {
+      flex: 1,
+    },
+    gridTitle: {
+      fontSize: 17,
+      fontWeight: '700',
+      color: theme.colors.text,
+    },
+    gridSubtitle: {
+      fontSize: 13,
+      color: theme.colors.textSecondary,
+      marginTop: 2,
+    },
+    importButton: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 6,
+      paddingHorizontal: 12,
+      paddingVertical: 8,
+      borderRadius: 10,
+      borderWidth: 1,
+      borderColor: theme.colors.primary,
+    },
+    importButtonText: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: theme.colors.primary,
+    },
+    gridHeader: {
+      flexDirection: 'row',
+      backgroundColor: theme.colors.surface,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+      paddingHorizontal: 8,
+    },
+    gridHeaderText: {
+      fontSize: 13,
+      fontWeight: '700',
+      color: theme.colors.textSecondary,
+      paddingVertical: 10,
+      paddingHorizontal: 6,
+    },
+    gridContent: {
+      paddingBottom: 40,
+    },
+    gridRow: {
+      flexDirection: 'row',
+      alignItems: 'flex-start',
+      paddingHorizontal: 8,
+      paddingVertical: 6,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.border,
+    },
+    gridRowAlt: {
+      backgroundColor: theme.colors.surface,
+    },
+    nameCell: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      minHeight: 40,
+      paddingHorizontal: 6,
+    },
+    changedMarker: {
+      width: 6,
+      height: 6,
+      borderRadius: 3,
+      backgroundColor: theme.colors.warning,
+      marginRight: 6,
+    },
+    nameText: {
+      flex: 1,
+      fontSize: 14,
+      fontWeight: '500',
+      color: theme.colors.text,
+    },
+    cell: {
+      paddingHorizontal: 4,
+    },
+    cellInput: {
+      height: 40,
+      borderWidth: 1,
+      borderColor: theme.colors.border,
+      borderRadius: 8,
+      paddingHorizontal: 8,
+      fontSize: 15,
+      color: theme.colors.text,
+      backgroundColor: theme.colors.background,
+      textAlign: 'center',
+    },
+    commentInput: {
+      textAlign: 'left',
+    },
+    cellInputInvalid: {
+      borderColor: theme.colors.error,
+      borderWidth: 2,
+    },
+    cellError: {
+      fontSize: 10,
+      color: theme.colors.error,
+      marginTop: 2,
+    },
+  });
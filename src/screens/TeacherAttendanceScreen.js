@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -19,11 +19,28 @@ import {
   faClock,
   faSave,
   faEdit,
+  faCloudUploadAlt,
+  faExclamationTriangle,
+  faSync,
 } from '@fortawesome/free-solid-svg-icons';
 import { useTheme } from '../contexts/ThemeContext';
 import { useLanguage } from '../contexts/LanguageContext';
 import { Config, buildApiUrl } from '../config/env';
 import { getDemoTeacherAttendanceData } from '../services/demoModeService';
+import {
+  ATTENDANCE_SYNC_STATUS,
+  submitClassAttendance,
+  retryClassAttendance,
+  getClassAttendanceSyncEntry,
+  subscribeToAttendanceSync,
+} from '../services/attendanceSyncService';
+
+// Map of student ID to attendance status, as submitted to the sync queue
+const buildStatusMap = (students) =>
+  students.reduce((map, student) => {
+    map[student.student_id] = student.attendance_status;
+    return map;
+  }, {});
 
 export default function TeacherAttendanceScreen({ route, navigation }) {
   const { theme } = useTheme();
@@ -49,12 +66,26 @@ export default function TeacherAttendanceScreen({ route, navigation }) {
     absent_count: 0,
     not_taken_count: 0,
   });
+  const [syncEntry, setSyncEntry] = useState(null);
+
+  // Statuses as first shown to the teacher, used to merge with changes made
+  // on the server while a queued roll was waiting to sync
+  const baselineRef = useRef({});
 
   // Load students data
   useEffect(() => {
     fetchAttendanceDetails();
   }, []);
 
+  // Track the offline sync state of this class
+  useEffect(() => {
+    getClassAttendanceSyncEntry(timetableId).then(setSyncEntry);
+    const unsubscribe = subscribeToAttendanceSync((queue) => {
+      setSyncEntry(queue[String(timetableId)] || null);
+    });
+    return unsubscribe;
+  }, [timetableId]);
+
   // Enable submit button when students are loaded for new attendance
   useEffect(() => {
     if (students.length > 0 && !isUpdate && !loading) {
@@ -92,6 +123,7 @@ export default function TeacherAttendanceScreen({ route, navigation }) {
           }));
 
           setStudents(studentsWithDefaults);
+          baselineRef.current = buildStatusMap(studentsWithDefaults);
 
           // If this is new attendance (not update), enable submit since students have default 'present' status
           if (!isUpdate && studentsWithDefaults.length > 0) {
@@ -149,6 +181,7 @@ export default function TeacherAttendanceScreen({ route, navigation }) {
           }));
 
           setStudents(studentsWithDefaults);
+          baselineRef.current = buildStatusMap(studentsWithDefaults);
 
           // If this is new attendance (not update), enable submit since students have default 'present' status
           if (!isUpdate && studentsWithDefaults.length > 0) {
@@ -233,6 +266,7 @@ export default function TeacherAttendanceScreen({ route, navigation }) {
         );
 
         setStudents(studentsData);
+        baselineRef.current = buildStatusMap(studentsData);
 
         // If this is new attendance (not update), enable submit since all students default to 'present'
         if (!isUpdate && studentsData.length > 0) {
@@ -308,97 +342,49 @@ export default function TeacherAttendanceScreen({ route, navigation }) {
         return;
       }
 
-      // Format attendance data according to backend expectations
-      // Format: studentId|attendanceStatus|attendanceNote
-      const formattedAttendance = students
-        .map((student) => `${student.student_id}|${student.attendance_status}|`)
-        .join('/');
-
-      // Prepare API request
-      const endpoint = Config.API_ENDPOINTS.TAKE_ATTENDANCE;
-      const url = buildApiUrl(endpoint, { authCode });
-
-      const requestPayload = {
-        auth_code: authCode,
-        timetable: timetableId,
-        attendance: formattedAttendance,
-        topic: '', // Optional topic field
-      };
-
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          Accept: 'application/json',
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(requestPayload),
+      const entry = await submitClassAttendance({
+        authCode,
+        timetableId,
+        statuses: buildStatusMap(students),
+        baseline: baselineRef.current,
+        classInfo: { subjectName, gradeName },
       });
+      setSyncEntry(entry);
 
-      // Check if response is successful (200 status)
-      if (response.status === 200) {
-        // Get the raw response text first
-        const responseText = await response.text();
+      if (entry.status === ATTENDANCE_SYNC_STATUS.SYNCED) {
+        // Fetch updated attendance details to refresh the state
+        await fetchAttendanceDetails();
 
-        let result = null;
-
-        // Try to parse JSON if there's content
-        if (responseText && responseText.trim()) {
-          try {
-            result = JSON.parse(responseText);
-          } catch (parseError) {
-            console.error('JSON parse error:', parseError);
-            // For 200 status, even if JSON parsing fails, we can treat as success
-          }
+        // Call the callback to refresh the parent screen
+        if (onAttendanceSubmitted) {
+          onAttendanceSubmitted();
         }
 
-        // For 200 status, treat as success regardless of response content
-        // Some APIs return empty responses on successful operations
-        const isSuccessful = !result || result.success !== false;
-
-        if (isSuccessful) {
-          // Fetch updated attendance details to refresh the state
-          await fetchAttendanceDetails();
-
-          // Call the callback to refresh the parent screen
-          if (onAttendanceSubmitted) {
-            onAttendanceSubmitted();
-          }
-
-          Alert.alert(
-            t('success'),
-            isUpdate
-              ? t('attendanceUpdatedSuccessfully')
-              : t('attendanceSubmittedSuccessfully'),
-            [
-              {
-                text: t('ok'),
-                onPress: () => navigation.goBack(),
-              },
-            ]
-          );
-        } else {
-          Alert.alert(
-            t('error'),
-            result?.message || t('failedToSubmitAttendance')
-          );
-        }
+        Alert.alert(
+          t('success'),
+          isUpdate
+            ? t('attendanceUpdatedSuccessfully')
+            : t('attendanceSubmittedSuccessfully'),
+          [
+            {
+              text: t('ok'),
+              onPress: () => navigation.goBack(),
+            },
+          ]
+        );
+      } else if (entry.status === ATTENDANCE_SYNC_STATUS.FAILED) {
+        Alert.alert(
+          t('error'),
+          entry.lastError || t('failedToSubmitAttendance')
+        );
       } else {
-        // Handle non-200 status codes
-        const responseText = await response.text();
-
-        let errorMessage = 'Failed to submit attendance';
-        try {
-          const result = JSON.parse(responseText);
-          errorMessage = result.message || errorMessage;
-        } catch (parseError) {
-          // Use default error message if JSON parsing fails
-          console.error('Error message:', errorMessage);
-          errorMessage = `Server error (${
-            response.status
-          }): ${responseText.substring(0, 100)}`;
-        }
-
-        Alert.alert(t('error'), errorMessage);
+        // Network unavailable - the roll is kept in the queue and synced later
+        Alert.alert(t('attendanceSavedOffline'), t('attendanceWillSyncLater'), [
+          {
+            text: t('ok'),
+            onPress: () => navigation.goBack(),
+          },
+        ]);
       }
     } catch (error) {
       console.error('Submit attendance error:', error);
@@ -411,6 +397,11 @@ export default function TeacherAttendanceScreen({ route, navigation }) {
     }
   };
 
+  // Retry a submission that failed to sync
+  const handleRetrySync = async () => {
+    await retryClassAttendance(timetableId);
+  };
+
   // Get attendance summary
   const getAttendanceSummary = () => {
     // If we have attendance summary from API, use it
@@ -438,6 +429,55 @@ export default function TeacherAttendanceScreen({ route, navigation }) {
 
   const summary = getAttendanceSummary();
 
+  // Offline sync state for this class (pending, failed or synced)
+  const renderSyncBanner = () => {
+    if (!syncEntry) return null;
+
+    const { status, lastError, conflicts = [] } = syncEntry;
+    let color = theme.colors.warning;
+    let icon = faCloudUploadAlt;
+    let title = t('attendanceSyncPending');
+    let message = t('attendanceWillSyncLater');
+
+    if (status === ATTENDANCE_SYNC_STATUS.SYNCING) {
+      icon = faSync;
+      title = t('attendanceSyncing');
+    } else if (status === ATTENDANCE_SYNC_STATUS.FAILED) {
+      color = theme.colors.error;
+      icon = faExclamationTriangle;
+      title = t('attendanceSyncFailed');
+      message = lastError || t('failedToSubmitAttendance');
+    } else if (status === ATTENDANCE_SYNC_STATUS.SYNCED) {
+      color = theme.colors.success;
+      icon = faCheckCircle;
+      title = t('attendanceSynced');
+      message =
+        conflicts.length > 0
+          ? t('attendanceSyncConflicts').replace('{count}', conflicts.length)
+          : null;
+    }
+
+    return (
+      <View style={[styles.syncBanner, { borderLeftColor: color }]}>
+        <FontAwesomeIcon icon={icon} size={16} color={color} />
+        <View style={styles.syncBannerText}>
+          <Text style={styles.syncBannerTitle}>{title}</Text>
+          {message ? (
+            <Text style={styles.syncBannerMessage}>{message}</Text>
+          ) : null}
+        </View>
+        {status === ATTENDANCE_SYNC_STATUS.FAILED && (
+          <TouchableOpacity
+            style={[styles.syncRetryButton, { backgroundColor: color }]}
+            onPress={handleRetrySync}
+          >
+            <Text style={styles.syncRetryText}>{t('retry')}</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
   if (loading) {
     return (
       <SafeAreaView style={styles.container}>
@@ -556,6 +596,8 @@ export default function TeacherAttendanceScreen({ route, navigation }) {
         </View>
       </View>
 
+      {renderSyncBanner()}
+
       <ScrollView style={styles.scrollView}>
         {/* Students List */}
         <View style={styles.studentsContainer}>
@@ -779,6 +821,43 @@ const createStyles = (theme) =>
     scrollView: {
       flex: 1,
     },
+    // Offline sync banner
+    syncBanner: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      backgroundColor: theme.colors.surface,
+      marginHorizontal: 16,
+      marginBottom: 8,
+      paddingHorizontal: 14,
+      paddingVertical: 10,
+      borderRadius: 12,
+      borderLeftWidth: 4,
+    },
+    syncBannerText: {
+      flex: 1,
+      marginLeft: 10,
+    },
+    syncBannerTitle: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: theme.colors.text,
+    },
+    syncBannerMessage: {
+      fontSize: 12,
+      color: theme.colors.textSecondary,
+      marginTop: 2,
+    },
+    syncRetryButton: {
+      paddingHorizontal: 12,
+      paddingVertical: 6,
+      borderRadius: 8,
+      marginLeft: 10,
+    },
+    syncRetryText: {
+      color: '#fff',
+      fontSize: 12,
+      fontWeight: '600',
+    },
     loadingContainer: {
       flex: 1,
       justifyContent: 'center',
@@ -25,11 +25,25 @@ import { buildApiUrl } from '../config/env';
 import DateTimePickerModal from 'react-native-modal-datetime-picker';
 import { useFocusEffect } from '@react-navigation/native';
 import HomeworkFileUpload from '../components/homework/HomeworkFileUpload';
+import RubricLibraryModal from '../components/homework/RubricLibraryModal';
 import {
   createHomeworkAssignment,
   getOrCreateHomeworkFolder,
   uploadHomeworkFile,
 } from '../services/homeworkService';
+import {
+  LATE_POLICY_TYPES,
+  validateLatePolicy,
+  describeLatePolicy,
+} from '../utils/latePolicy';
+import { getRubricMaxPoints } from '../utils/rubrics';
+
+const LATE_POLICY_OPTIONS = [
+  { type: LATE_POLICY_TYPES.ACCEPT, labelKey: 'latePolicyAccept' },
+  { type: LATE_POLICY_TYPES.ACCEPT_UNTIL, labelKey: 'latePolicyAcceptUntil' },
+  { type: LATE_POLICY_TYPES.PENALTY, labelKey: 'latePolicyPenalty' },
+  { type: LATE_POLICY_TYPES.REJECT, labelKey: 'latePolicyReject' },
+];
 
 export default function TeacherHomeworkCreateScreen({ navigation, route }) {
   const { theme } = useTheme();
@@ -55,6 +69,20 @@ export default function TeacherHomeworkCreateScreen({ navigation, route }) {
   const [deadline, setDeadline] = useState(new Date());
   const [isDatePickerVisible, setDatePickerVisibility] = useState(false);
 
+  // Late submission policy
+  const [latePolicyType, setLatePolicyType] = useState(
+    LATE_POLICY_TYPES.ACCEPT
+  );
+  const [acceptLateUntil, setAcceptLateUntil] = useState(null);
+  const [isAcceptUntilPickerVisible, setAcceptUntilPickerVisibility] =
+    useState(false);
+  const [penaltyPerDay, setPenaltyPerDay] = useState('10');
+  const [graceHours, setGraceHours] = useState('0');
+
+  // Rubric from the library to grade submissions with
+  const [rubric, setRubric] = useState(null);
+  const [showRubricLibrary, setShowRubricLibrary] = useState(false);
+
   // File upload state
   const [selectedFile, setSelectedFile] = useState(null);
 
@@ -205,6 +233,16 @@ export default function TeacherHomeworkCreateScreen({ navigation, route }) {
       return;
     }
 
+    const latePolicy = buildLatePolicy();
+    const latePolicyErrors = validateLatePolicy(
+      latePolicy,
+      deadline.toISOString().split('T')[0]
+    );
+    if (latePolicyErrors.length > 0) {
+      Alert.alert(t('error'), latePolicyErrors.join('\n'));
+      return;
+    }
+
     setCreating(true);
     try {
       // Get subject_id from the selected class - this should be the teacher's subject
@@ -225,6 +263,8 @@ export default function TeacherHomeworkCreateScreen({ navigation, route }) {
         subjectId: subjectId,
         studentIds: selectedStudents,
         deadline: deadline.toISOString().split('T')[0],
+        latePolicy,
+        rubricId: rubric?.id,
       });
 
       // Create homework assignment using assignment API
@@ -235,7 +275,9 @@ export default function TeacherHomeworkCreateScreen({ navigation, route }) {
         subjectId, // Use determined subject_id
         selectedStudents, // selectedStudents already contains student IDs
         deadline.toISOString().split('T')[0], // Format date as YYYY-MM-DD
-        authCode
+        authCode,
+        latePolicy,
+        rubric?.id
       );
 
       if (assignmentResponse.success) {
@@ -363,6 +405,24 @@ export default function TeacherHomeworkCreateScreen({ navigation, route }) {
     hideDatePicker();
   };
 
+  const handleAcceptUntilConfirm = (selectedDate) => {
+    setAcceptLateUntil(selectedDate);
+    setAcceptUntilPickerVisibility(false);
+  };
+
+  const buildLatePolicy = () => ({
+    type: latePolicyType,
+    grace_hours: parseInt(graceHours, 10) || 0,
+    accept_until:
+      latePolicyType === LATE_POLICY_TYPES.ACCEPT_UNTIL && acceptLateUntil
+        ? acceptLateUntil.toISOString().split('T')[0]
+        : null,
+    penalty_per_day:
+      latePolicyType === LATE_POLICY_TYPES.PENALTY
+        ? parseInt(penaltyPerDay, 10) || 0
+        : 0,
+  });
+
   const formatDisplayDateTime = (date) => {
     return date.toLocaleString('en-US', {
       year: 'numeric',
@@ -720,6 +780,158 @@ export default function TeacherHomeworkCreateScreen({ navigation, route }) {
           />
         </View>
 
+        {/* Late Submission Policy */}
+        <View style={styles.inputSection}>
+          <Text style={styles.inputLabel}>{t('latePolicy')}</Text>
+          {LATE_POLICY_OPTIONS.map((option) => (
+            <TouchableOpacity
+              key={option.type}
+              style={[
+                styles.classOption,
+                latePolicyType === option.type && styles.selectedClassOption,
+              ]}
+              onPress={() => setLatePolicyType(option.type)}
+            >
+              <Text
+                style={[
+                  styles.classOptionText,
+                  latePolicyType === option.type &&
+                    styles.selectedClassOptionText,
+                ]}
+              >
+                {t(option.labelKey)}
+              </Text>
+            </TouchableOpacity>
+          ))}
+
+          {latePolicyType === LATE_POLICY_TYPES.ACCEPT_UNTIL && (
+            <TouchableOpacity
+              style={[styles.dateTimeButton, styles.latePolicyField]}
+              onPress={() => setAcceptUntilPickerVisibility(true)}
+              activeOpacity={0.7}
+            >
+              <FontAwesomeIcon
+                icon={faCalendarAlt}
+                size={16}
+                color={theme.colors.primary}
+                style={styles.dateTimeIcon}
+              />
+              <View style={styles.dateTimeTextContainer}>
+                <Text style={styles.dateTimeValue}>
+                  {acceptLateUntil
+                    ? acceptLateUntil.toLocaleDateString('en-US', {
+                        year: 'numeric',
+                        month: 'short',
+                        day: 'numeric',
+                      })
+                    : t('selectDate')}
+                </Text>
+                <Text style={styles.dateTimeLabel}>
+                  {t('acceptLateUntilLabel')}
+                </Text>
+              </View>
+            </TouchableOpacity>
+          )}
+
+          {latePolicyType === LATE_POLICY_TYPES.PENALTY && (
+            <View style={styles.latePolicyField}>
+              <Text style={styles.dateTimeLabel}>{t('penaltyPerDay')}</Text>
+              <TextInput
+                style={styles.textInput}
+                value={penaltyPerDay}
+                onChangeText={setPenaltyPerDay}
+                keyboardType='number-pad'
+                maxLength={3}
+              />
+            </View>
+          )}
+
+          {latePolicyType !== LATE_POLICY_TYPES.ACCEPT && (
+            <View style={styles.latePolicyField}>
+              <Text style={styles.dateTimeLabel}>{t('gracePeriodHours')}</Text>
+              <TextInput
+                style={styles.textInput}
+                value={graceHours}
+                onChangeText={setGraceHours}
+                keyboardType='number-pad'
+                maxLength={3}
+              />
+            </View>
+          )}
+
+          <Text style={styles.inputHint}>
+            {describeLatePolicy(buildLatePolicy(), { t })}
+          </Text>
+
+          <DateTimePickerModal
+            isVisible={isAcceptUntilPickerVisible}
+            mode='date'
+            onConfirm={handleAcceptUntilConfirm}
+            onCancel={() => setAcceptUntilPickerVisibility(false)}
+            minimumDate={deadline}
+            date={acceptLateUntil || deadline}
+            isDarkModeEnabled={theme.mode === 'dark'}
+            confirmTextIOS={t('confirm')}
+            cancelTextIOS='Cancel'
+            buttonTextColorIOS={theme.colors.primary}
+          />
+        </View>
+
+        {/* Rubric */}
+        <View style={styles.inputSection}>
+          <Text style={styles.inputLabel}>{t('rubricOptional')}</Text>
+          {rubric ? (
+            <View style={[styles.classOption, styles.selectedClassOption]}>
+              <Text
+                style={[styles.classOptionText, styles.selectedClassOptionText]}
+              >
+                {rubric.title}
+              </Text>
+              <Text style={styles.inputHint}>
+                {t('rubricSummary')
+                  .replace('{criteria}', rubric.criteria?.length || 0)
+                  .replace('{max}', getRubricMaxPoints(rubric))}
+              </Text>
+              <View style={styles.rubricActions}>
+                <TouchableOpacity onPress={() => setShowRubricLibrary(true)}>
+                  <Text style={styles.rubricActionText}>
+                    {t('changeRubric')}
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity onPress={() => setRubric(null)}>
+                  <Text
+                    style={[
+                      styles.rubricActionText,
+                      { color: theme.colors.error },
+                    ]}
+                  >
+                    {t('removeRubric')}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+          ) : (
+            <TouchableOpacity
+              style={styles.classOption}
+              onPress={() => setShowRubricLibrary(true)}
+            >
+              <Text style={styles.classOptionText}>{t('attachRubric')}</Text>
+            </TouchableOpacity>
+          )}
+          <Text style={styles.inputHint}>{t('rubricHint')}</Text>
+
+          <RubricLibraryModal
+            visible={showRubricLibrary}
+            authCode={authCode}
+            selectedRubricId={rubric?.id}
+            onClose={() => setShowRubricLibrary(false)}
+            onSelect={(selected) => {
+              setRubric(selected);
+              setShowRubricLibrary(false);
+            }}
+          />
+        </View>
+
         {/* Create Button */}
         <TouchableOpacity
           style={[styles.createButton, creating && styles.disabledButton]}
@@ -867,6 +1079,19 @@ const createStyles = (theme) =>
       fontSize: 12,
       color: theme.colors.textSecondary,
     },
+    latePolicyField: {
+      marginTop: 8,
+    },
+    rubricActions: {
+      flexDirection: 'row',
+      gap: 20,
+      marginTop: 8,
+    },
+    rubricActionText: {
+      fontSize: 14,
+      fontWeight: '600',
+      color: theme.colors.primary,
+    },
 
     // Date Picker Modal Styles
     modalStyle: {
@@ -28,11 +28,33 @@ import {
   faThumbsDown,
   faCheckCircle,
   faExclamationTriangle,
+  faClock,
+  faPen,
+  faComments,
+  faChevronDown,
+  faChevronUp,
+  faClone,
 } from '@fortawesome/free-solid-svg-icons';
 import { useTheme } from '../contexts/ThemeContext';
 import { buildApiUrl } from '../config/env';
 import { processHtmlContent } from '../utils/htmlUtils';
-import { reviewHomeworkSubmission } from '../services/homeworkService';
+import {
+  reviewHomeworkSubmission,
+  gradeHomeworkWithRubric,
+} from '../services/homeworkService';
+import {
+  getSubmissionLateness,
+  formatLateness,
+  describeLatePolicy,
+} from '../utils/latePolicy';
+import { getRubricSelections } from '../utils/rubrics';
+import RubricView from '../components/homework/RubricView';
+import {
+  getAnnotationFileKind,
+  summarizeAnnotations,
+} from '../utils/annotations';
+import FileAnnotationModal from '../components/homework/FileAnnotationModal';
+import SubmissionCommentThread from '../components/homework/SubmissionCommentThread';
 
 export default function TeacherHomeworkDetailScreen({ navigation, route }) {
   const { theme } = useTheme();
@@ -45,6 +67,12 @@ export default function TeacherHomeworkDetailScreen({ navigation, route }) {
   const [submittingFeedback, setSubmittingFeedback] = useState(false);
   const [selectedSubmission, setSelectedSubmission] = useState(null);
   const [reviewingSubmission, setReviewingSubmission] = useState(false);
+  // Rubric levels chosen but not saved yet, per submission detail ID
+  const [rubricSelections, setRubricSelections] = useState({});
+  const [savingRubricFor, setSavingRubricFor] = useState(null);
+  const [annotatingSubmission, setAnnotatingSubmission] = useState(null);
+  // Submission detail IDs whose comment thread is open
+  const [openThreads, setOpenThreads] = useState({});
 
   const styles = createStyles(theme);
 
@@ -167,6 +195,66 @@ export default function TeacherHomeworkDetailScreen({ navigation, route }) {
     }
   };
 
+  const selectRubricLevel = (submission, criterionId, levelId) => {
+    setRubricSelections((prev) => ({
+      ...prev,
+      [submission.detail_id]: {
+        ...(prev[submission.detail_id] ||
+          getRubricSelections(submission.rubric_grade)),
+        [criterionId]: levelId,
+      },
+    }));
+  };
+
+  const saveRubricGrade = async (submission) => {
+    const rubric = homeworkDetail?.homework?.rubric;
+    const selections = rubricSelections[submission.detail_id];
+
+    setSavingRubricFor(submission.detail_id);
+    try {
+      const result = await gradeHomeworkWithRubric(
+        submission.detail_id,
+        rubric,
+        selections,
+        authCode
+      );
+
+      if (result.success) {
+        setHomeworkDetail((prev) => ({
+          ...prev,
+          submissions: prev.submissions.map((item) =>
+            item.detail_id === submission.detail_id
+              ? { ...item, rubric_grade: result.rubricGrade }
+              : item
+          ),
+        }));
+        setRubricSelections((prev) => {
+          const next = { ...prev };
+          delete next[submission.detail_id];
+          return next;
+        });
+      } else {
+        Alert.alert('Error', result.message || 'Failed to save rubric score');
+      }
+    } catch (error) {
+      console.error('Error saving rubric score:', error);
+      Alert.alert('Error', error.message || 'Failed to connect to server');
+    } finally {
+      setSavingRubricFor(null);
+    }
+  };
+
+  const handleAnnotationSaved = (annotation) => {
+    setHomeworkDetail((prev) => ({
+      ...prev,
+      submissions: prev.submissions.map((item) =>
+        item.detail_id === annotatingSubmission.detail_id
+          ? { ...item, file_annotation: annotation }
+          : item
+      ),
+    }));
+  };
+
   const formatDate = (dateString) => {
     if (!dateString) return 'No date';
     const date = new Date(dateString);
@@ -183,10 +271,25 @@ export default function TeacherHomeworkDetailScreen({ navigation, route }) {
   const navigateToStudentDetail = (submission) => {
     navigation.navigate('StudentHomeworkDetail', {
       submission,
+      homework: homeworkDetail?.homework,
       homeworkTitle: homeworkDetail?.homework?.title || 'Homework',
+      authCode,
     });
   };
 
+  const navigateToSimilarity = () => {
+    navigation.navigate('HomeworkSimilarity', {
+      homeworkId,
+      authCode,
+      homeworkTitle: homeworkDetail?.homework?.title || 'Homework',
+      promptText: homeworkDetail?.homework?.homework_data || '',
+    });
+  };
+
+  const toggleThread = (detailId) => {
+    setOpenThreads((prev) => ({ ...prev, [detailId]: !prev[detailId] }));
+  };
+
   const openFileLink = (url) => {
     if (!url) return;
 
@@ -248,6 +351,14 @@ export default function TeacherHomeworkDetailScreen({ navigation, route }) {
 
   const renderSubmissionCard = (submission) => {
     const status = getSubmissionStatus(submission);
+    const lateLabel = formatLateness(
+      getSubmissionLateness(submission, homeworkDetail?.homework)
+    );
+    const rubric = homeworkDetail?.homework?.rubric;
+    const unsavedRubric = rubricSelections[submission.detail_id];
+    const annotationCount = summarizeAnnotations(
+      submission.file_annotation
+    ).total;
 
     return (
       <TouchableOpacity
@@ -283,6 +394,16 @@ export default function TeacherHomeworkDetailScreen({ navigation, route }) {
                   {status.label}
                 </Text>
               </View>
+              {lateLabel && (
+                <View style={styles.lateBadge}>
+                  <FontAwesomeIcon
+                    icon={faClock}
+                    size={11}
+                    color={theme.colors.warning}
+                  />
+                  <Text style={styles.lateBadgeText}>{lateLabel}</Text>
+                </View>
+              )}
             </View>
           </View>
           <View
@@ -320,6 +441,23 @@ export default function TeacherHomeworkDetailScreen({ navigation, route }) {
                     color={theme.colors.textSecondary}
                   />
                 </TouchableOpacity>
+                {getAnnotationFileKind(submission.reply_file) && (
+                  <TouchableOpacity
+                    style={[styles.fileButton, styles.annotateButton]}
+                    onPress={() => setAnnotatingSubmission(submission)}
+                  >
+                    <FontAwesomeIcon
+                      icon={faPen}
+                      size={14}
+                      color={theme.colors.primary}
+                    />
+                    <Text style={styles.fileName}>
+                      {annotationCount > 0
+                        ? `Edit Annotations (${annotationCount})`
+                        : 'Annotate File'}
+                    </Text>
+                  </TouchableOpacity>
+                )}
               </View>
             )}
 
@@ -370,6 +508,73 @@ export default function TeacherHomeworkDetailScreen({ navigation, route }) {
               </View>
             )}
 
+            {/* Rubric Grading */}
+            {rubric && (
+              <View style={styles.rubricSection}>
+                <RubricView
+                  rubric={rubric}
+                  selections={
+                    unsavedRubric ||
+                    getRubricSelections(submission.rubric_grade)
+                  }
+                  onSelectLevel={(criterionId, levelId) =>
+                    selectRubricLevel(submission, criterionId, levelId)
+                  }
+                />
+                {unsavedRubric && (
+                  <TouchableOpacity
+                    style={styles.approveButton}
+                    onPress={() => saveRubricGrade(submission)}
+                    disabled={savingRubricFor === submission.detail_id}
+                  >
+                    {savingRubricFor === submission.detail_id ? (
+                      <ActivityIndicator size='small' color='#fff' />
+                    ) : (
+                      <Text style={styles.approveButtonText}>
+                        Save Rubric Score
+                      </Text>
+                    )}
+                  </TouchableOpacity>
+                )}
+              </View>
+            )}
+
+            {/* Comment Thread */}
+            <View style={styles.commentsSection}>
+              <TouchableOpacity
+                style={styles.commentsToggle}
+                onPress={() => toggleThread(submission.detail_id)}
+              >
+                <FontAwesomeIcon
+                  icon={faComments}
+                  size={14}
+                  color={theme.colors.primary}
+                />
+                <Text style={styles.commentsToggleText}>
+                  Comments
+                  {submission.comment_count > 0
+                    ? ` (${submission.comment_count})`
+                    : ''}
+                </Text>
+                <FontAwesomeIcon
+                  icon={
+                    openThreads[submission.detail_id]
+                      ? faChevronUp
+                      : faChevronDown
+                  }
+                  size={12}
+                  color={theme.colors.textSecondary}
+                />
+              </TouchableOpacity>
+              {openThreads[submission.detail_id] && (
+                <SubmissionCommentThread
+                  detailId={submission.detail_id}
+                  authCode={authCode}
+                  viewerType='teacher'
+                />
+              )}
+            </View>
+
             {/* Review Actions for Completed Submissions */}
             {canReviewSubmission(submission) && (
               <View style={styles.reviewActionsSection}>
@@ -610,7 +815,16 @@ export default function TeacherHomeworkDetailScreen({ navigation, route }) {
 
           <Text style={styles.headerTitle}>Homework Details</Text>
 
-          <View style={styles.headerRight} />
+          {submissions.length > 1 ? (
+            <TouchableOpacity
+              style={styles.backButton}
+              onPress={navigateToSimilarity}
+            >
+              <FontAwesomeIcon icon={faClone} size={16} color='#fff' />
+            </TouchableOpacity>
+          ) : (
+            <View style={styles.headerRight} />
+          )}
         </View>
       </View>
 
@@ -647,6 +861,17 @@ export default function TeacherHomeworkDetailScreen({ navigation, route }) {
               </Text>
             </View>
 
+            <View style={styles.metaItem}>
+              <FontAwesomeIcon
+                icon={faClock}
+                size={16}
+                color={theme.colors.textSecondary}
+              />
+              <Text style={styles.metaText}>
+                {describeLatePolicy(homework.late_policy)}
+              </Text>
+            </View>
+
             {(homework.homework_files || homework.homework_file) && (
               <TouchableOpacity
                 style={styles.metaItem}
@@ -714,6 +939,17 @@ export default function TeacherHomeworkDetailScreen({ navigation, route }) {
         </View>
       </ScrollView>
       </KeyboardAvoidingView>
+
+      <FileAnnotationModal
+        visible={!!annotatingSubmission}
+        detailId={annotatingSubmission?.detail_id}
+        authCode={authCode}
+        fileUrl={annotatingSubmission?.reply_file}
+        annotation={annotatingSubmission?.file_annotation}
+        editable
+        onClose={() => setAnnotatingSubmission(null)}
+        onSaved={handleAnnotationSaved}
+      />
     </SafeAreaView>
   );
 }
@@ -960,6 +1196,32 @@ const createStyles = (theme) =>
       fontWeight: '500',
       flex: 1,
     },
+    annotateButton: {
+      marginTop: 8,
+    },
+    commentsSection: {
+      backgroundColor: theme.colors.background,
+      borderRadius: 8,
+      padding: 12,
+      gap: 12,
+    },
+    commentsToggle: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      gap: 8,
+    },
+    commentsToggleText: {
+      flex: 1,
+      fontSize: 14,
+      fontWeight: '600',
+      color: theme.colors.primary,
+    },
+    rubricSection: {
+      backgroundColor: theme.colors.background,
+      borderRadius: 12,
+      padding: 12,
+      gap: 12,
+    },
     feedbackSection: {
       backgroundColor: '#34C75920',
       padding: 12,
@@ -1046,6 +1308,22 @@ const createStyles = (theme) =>
       alignItems: 'center',
       gap: 6,
     },
+    lateBadge: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      alignSelf: 'flex-start',
+      gap: 4,
+      marginTop: 4,
+      paddingHorizontal: 8,
+      paddingVertical: 2,
+      borderRadius: 10,
+      backgroundColor: theme.colors.warning + '20',
+    },
+    lateBadgeText: {
+      fontSize: 12,
+      fontWeight: '600',
+      color: theme.colors.warning,
+    },
     approvalSection: {
       backgroundColor: theme.colors.background,
       borderRadius: 12,
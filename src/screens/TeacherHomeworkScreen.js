@@ -25,10 +25,11 @@ import {
   faTimes,
 } from '@fortawesome/free-solid-svg-icons';
 import { useTheme } from '../contexts/ThemeContext';
-import { buildApiUrl } from '../config/env';
+import { Config, buildApiUrl } from '../config/env';
 import { getDemoTeacherHomeworkData } from '../services/demoModeService';
 import { getResponsiveHeaderFontSize } from '../utils/commonStyles';
 import { getTeacherHomeworkList } from '../services/homeworkService';
+import { invalidateResponseCache } from '../services/responseCache';
 
 export default function TeacherHomeworkScreen({ navigation, route }) {
   const { theme } = useTheme();
@@ -56,7 +57,93 @@ export default function TeacherHomeworkScreen({ navigation, route }) {
     }, [authCode])
   );
 
-  const fetchHomeworkList = async () => {
+  const applyHomeworkList = (response) => {
+    if (response.success) {
+      console.log('📚 Homework API Response:', response.data);
+
+      // Handle homework assignment API response structure
+      let transformedData = [];
+
+      if (
+        response.data.assignments &&
+        Array.isArray(response.data.assignments)
+      ) {
+        // New homework assignment API structure
+        transformedData = response.data.assignments.map((assignment) => ({
+          homework_id: assignment.id || assignment.homework_id,
+          title: assignment.title || assignment.assignment_title,
+          subject_name:
+            assignment.subject_name || assignment.subject || 'General',
+          grade_name:
+            assignment.grade_name ||
+            assignment.class_name ||
+            'Multiple Classes',
+          deadline: assignment.deadline || assignment.due_date,
+          status:
+            assignment.status ||
+            (assignment.submission_count > 0 ? 'active' : 'draft'),
+          statistics: {
+            total_students:
+              assignment.total_students || assignment.student_count || 0,
+            submitted_count:
+              assignment.submitted_count || assignment.submission_count || 0,
+            submission_rate:
+              assignment.submission_rate ||
+              (assignment.student_count > 0
+                ? Math.round(
+                    (assignment.submission_count / assignment.student_count) *
+                      100
+                  )
+                : 0),
+          },
+          teacher_name: assignment.teacher_name || assignment.created_by,
+          created_at: assignment.created_at,
+          file_count: assignment.file_count || 0,
+          google_drive_folder_id: assignment.google_drive_folder_id,
+          web_view_link: assignment.web_view_link,
+          homework_data: assignment.description || assignment.homework_data,
+        }));
+      } else if (
+        response.data.folders &&
+        Array.isArray(response.data.folders)
+      ) {
+        // Fallback to folder API structure (if still using folder endpoint)
+        transformedData = response.data.folders.map((folder) => ({
+          homework_id: folder.id,
+          title: folder.folder_name,
+          subject_name: folder.subject_name || 'General',
+          grade_name: folder.grade_name || 'Multiple Classes',
+          deadline: folder.due_date,
+          status: folder.submission_count > 0 ? 'active' : 'draft',
+          statistics: {
+            total_students: folder.student_count || 0,
+            submitted_count: folder.submission_count || 0,
+            submission_rate:
+              folder.student_count > 0
+                ? Math.round(
+                    (folder.submission_count / folder.student_count) * 100
+                  )
+                : 0,
+          },
+          teacher_name: folder.teacher_name,
+          created_at: folder.created_at,
+          file_count: folder.file_count || 0,
+          google_drive_folder_id: folder.google_drive_folder_id,
+          web_view_link: folder.web_view_link,
+        }));
+      } else if (Array.isArray(response.data)) {
+        // Direct array response - use the data as-is since it should already have the correct structure
+        transformedData = response.data;
+      }
+
+      console.log('📚 Transformed homework data:', transformedData);
+      setHomeworkList(transformedData);
+    } else {
+      Alert.alert('Error', response.message || 'Failed to fetch homework list');
+    }
+  };
+
+  const fetchHomeworkList = async (forceRefresh = false) => {
     // Check if this is a demo authCode
     if (authCode && authCode.startsWith('DEMO_AUTH_')) {
       console.log('🎭 DEMO MODE: Using demo teacher homework data');
@@ -68,95 +155,14 @@ export default function TeacherHomeworkScreen({ navigation, route }) {
     }
 
     try {
-      // Use homework assignment API (not folder API)
-      const response = await getTeacherHomeworkList(authCode);
-
-      if (response.success) {
-        console.log('📚 Homework API Response:', response.data);
-
-        // Handle homework assignment API response structure
-        let transformedData = [];
-
-        if (
-          response.data.assignments &&
-          Array.isArray(response.data.assignments)
-        ) {
-          // New homework assignment API structure
-          transformedData = response.data.assignments.map((assignment) => ({
-            homework_id: assignment.id || assignment.homework_id,
-            title: assignment.title || assignment.assignment_title,
-            subject_name:
-              assignment.subject_name || assignment.subject || 'General',
-            grade_name:
-              assignment.grade_name ||
-              assignment.class_name ||
-              'Multiple Classes',
-            deadline: assignment.deadline || assignment.due_date,
-            status:
-              assignment.status ||
-              (assignment.submission_count > 0 ? 'active' : 'draft'),
-            statistics: {
-              total_students:
-                assignment.total_students || assignment.student_count || 0,
-              submitted_count:
-                assignment.submitted_count || assignment.submission_count || 0,
-              submission_rate:
-                assignment.submission_rate ||
-                (assignment.student_count > 0
-                  ? Math.round(
-                      (assignment.submission_count / assignment.student_count) *
-                        100
-                    )
-                  : 0),
-            },
-            teacher_name: assignment.teacher_name || assignment.created_by,
-            created_at: assignment.created_at,
-            file_count: assignment.file_count || 0,
-            google_drive_folder_id: assignment.google_drive_folder_id,
-            web_view_link: assignment.web_view_link,
-            homework_data: assignment.description || assignment.homework_data,
-          }));
-        } else if (
-          response.data.folders &&
-          Array.isArray(response.data.folders)
-        ) {
-          // Fallback to folder API structure (if still using folder endpoint)
-          transformedData = response.data.folders.map((folder) => ({
-            homework_id: folder.id,
-            title: folder.folder_name,
-            subject_name: folder.subject_name || 'General',
-            grade_name: folder.grade_name || 'Multiple Classes',
-            deadline: folder.due_date,
-            status: folder.submission_count > 0 ? 'active' : 'draft',
-            statistics: {
-              total_students: folder.student_count || 0,
-              submitted_count: folder.submission_count || 0,
-              submission_rate:
-                folder.student_count > 0
-                  ? Math.round(
-                      (folder.submission_count / folder.student_count) * 100
-                    )
-                  : 0,
-            },
-            teacher_name: folder.teacher_name,
-            created_at: folder.created_at,
-            file_count: folder.file_count || 0,
-            google_drive_folder_id: folder.google_drive_folder_id,
-            web_view_link: folder.web_view_link,
-          }));
-        } else if (Array.isArray(response.data)) {
-          // Direct array response - use the data as-is since it should already have the correct structure
-          transformedData = response.data;
-        }
+      // Use homework assignment API (not folder API). A cached list renders
+      // immediately and updates once refreshed; pull-to-refresh skips it.
+      const response = await getTeacherHomeworkList(authCode, {
+        forceRefresh,
+        onUpdate: applyHomeworkList,
+      });
 
-        console.log('📚 Transformed homework data:', transformedData);
-        setHomeworkList(transformedData);
-      } else {
-        Alert.alert(
-          'Error',
-          response.message || 'Failed to fetch homework list'
-        );
-      }
+      applyHomeworkList(response);
     } catch (error) {
       console.error('Error fetching homework list:', error);
       Alert.alert('Error', 'Failed to connect to server');
@@ -168,7 +174,7 @@ export default function TeacherHomeworkScreen({ navigation, route }) {
 
   const onRefresh = () => {
     setRefreshing(true);
-    fetchHomeworkList();
+    fetchHomeworkList(true);
   };
 
   // Close homework function
@@ -193,6 +199,10 @@ export default function TeacherHomeworkScreen({ navigation, route }) {
       if (response.ok) {
         const data = await response.json();
         if (data.success) {
+          await invalidateResponseCache(
+            Config.API_ENDPOINTS.GET_TEACHER_HOMEWORK_LIST
+          );
+
           // Remove closed homework from the list
           setHomeworkList((prev) =>
             prev.filter((item) => item.homework_id !== homeworkId)
@@ -24,6 +24,8 @@ import {
   faPlus,
   faSearch,
   faComments,
+  faClock,
+  faFileAlt,
 } from '@fortawesome/free-solid-svg-icons';
 import { useTheme } from '../contexts/ThemeContext';
 import { useLanguage } from '../contexts/LanguageContext';
@@ -34,8 +36,20 @@ import {
   deleteConversation,
   leaveConversation,
   markConversationAsRead,
+  getScheduledMessages,
+  scheduleMessage,
+  updateScheduledMessage,
+  cancelScheduledMessage,
 } from '../services/messagingService';
-import { ConversationItem } from '../components/messaging';
+import SchoolConfigService from '../services/schoolConfigService';
+import {
+  ConversationItem,
+  ScheduleMessageModal,
+  ScheduledMessagesSection,
+  MessageTemplatePicker,
+  TemplateSendModal,
+} from '../components/messaging';
+import { formatScheduleTime } from '../components/messaging/ScheduleMessageModal';
 import { getResponsiveHeaderFontSize } from '../utils/commonStyles';
 
 const TeacherMessagingScreen = ({ navigation, route }) => {
@@ -52,6 +66,12 @@ const TeacherMessagingScreen = ({ navigation, route }) => {
   const [searchResults, setSearchResults] = useState(null);
   const [searchLoading, setSearchLoading] = useState(false);
   const [isSearchVisible, setIsSearchVisible] = useState(false);
+  const [scheduledMessages, setScheduledMessages] = useState([]);
+  // null, { mode: 'create' } or { mode: 'edit', scheduled }
+  const [scheduleModal, setScheduleModal] = useState(null);
+  const [quietHours, setQuietHours] = useState(null);
+  const [showTemplatePicker, setShowTemplatePicker] = useState(false);
+  const [selectedTemplate, setSelectedTemplate] = useState(null);
 
   // Animation values for collapsible search bar
   const scrollY = useSharedValue(0);
@@ -113,14 +133,105 @@ const TeacherMessagingScreen = ({ navigation, route }) => {
     }
   }, [authCode, teacherName]);
 
+  // Fetch messages waiting to be sent later
+  const fetchScheduledMessages = useCallback(async () => {
+    try {
+      const response = await getScheduledMessages(authCode);
+      if (response.success && response.data) {
+        setScheduledMessages(response.data.scheduled_messages || []);
+      }
+    } catch (error) {
+      console.error('Error fetching scheduled messages:', error);
+    }
+  }, [authCode]);
+
+  // Create or edit a scheduled message
+  const handleSubmitSchedule = useCallback(
+    async ({ conversationUuid, content, sendAt }) => {
+      const response =
+        scheduleModal?.mode === 'edit'
+          ? await updateScheduledMessage(
+              scheduleModal.scheduled.scheduled_message_id,
+              {
+                content,
+                // Keep a quiet-hours hold unless the time was changed
+                ...(sendAt.getTime() !==
+                new Date(scheduleModal.scheduled.send_at).getTime()
+                  ? { sendAt }
+                  : {}),
+              },
+              authCode
+            )
+          : await scheduleMessage(
+              conversationUuid,
+              content,
+              sendAt,
+              {},
+              authCode
+            );
+
+      if (!response.success) {
+        throw new Error(response.message || 'Failed to schedule message');
+      }
+
+      setScheduleModal(null);
+      fetchScheduledMessages();
+      Alert.alert(
+        t('success'),
+        t('messageScheduledFor').replace('{time}', formatScheduleTime(sendAt))
+      );
+    },
+    [scheduleModal, authCode, fetchScheduledMessages, t]
+  );
+
+  // Cancel a scheduled message after confirmation
+  const handleCancelScheduled = useCallback(
+    (scheduled) => {
+      Alert.alert(
+        t('cancelScheduledMessage'),
+        t('cancelScheduledMessageConfirm'),
+        [
+          { text: t('cancel'), style: 'cancel' },
+          {
+            text: t('cancelScheduledMessage'),
+            style: 'destructive',
+            onPress: async () => {
+              try {
+                const response = await cancelScheduledMessage(
+                  scheduled.scheduled_message_id,
+                  authCode
+                );
+                if (!response.success) {
+                  throw new Error(response.message);
+                }
+                setScheduledMessages((prev) =>
+                  prev.filter(
+                    (msg) =>
+                      msg.scheduled_message_id !==
+                      scheduled.scheduled_message_id
+                  )
+                );
+              } catch (error) {
+                console.error('Error cancelling scheduled message:', error);
+                Alert.alert(t('error'), t('failedToCancelScheduledMessage'));
+              }
+            },
+          },
+        ]
+      );
+    },
+    [authCode, t]
+  );
+
   // Handle refresh
   const handleRefresh = useCallback(async () => {
     setRefreshing(true);
     await fetchConversations();
+    fetchScheduledMessages();
     // Also refresh unread counts
     refreshUnreadCounts();
     setRefreshing(false);
-  }, [fetchConversations, refreshUnreadCounts]);
+  }, [fetchConversations, fetchScheduledMessages, refreshUnreadCounts]);
 
   // Handle delete conversation
   const handleDeleteConversation = useCallback(
@@ -294,6 +405,7 @@ const TeacherMessagingScreen = ({ navigation, route }) => {
 
   useEffect(() => {
     fetchConversations();
+    SchoolConfigService.getQuietHours().then(setQuietHours);
   }, []); // Only run once on mount
 
   // Listen for navigation events to refresh when returning from conversation
@@ -315,11 +427,17 @@ const TeacherMessagingScreen = ({ navigation, route }) => {
       );
       // Force refresh conversations and unread counts when screen gains focus
       fetchConversations();
+      fetchScheduledMessages();
       refreshUnreadCounts();
     });
 
     return unsubscribe;
-  }, [navigation, fetchConversations, refreshUnreadCounts]);
+  }, [
+    navigation,
+    fetchConversations,
+    fetchScheduledMessages,
+    refreshUnreadCounts,
+  ]);
 
   useEffect(() => {
     const delayedSearch = setTimeout(() => {
@@ -380,6 +498,20 @@ const TeacherMessagingScreen = ({ navigation, route }) => {
               <FontAwesomeIcon icon={faSearch} size={18} color='#fff' />
             </TouchableOpacity>
 
+            <TouchableOpacity
+              style={styles.headerButton}
+              onPress={() => setScheduleModal({ mode: 'create' })}
+            >
+              <FontAwesomeIcon icon={faClock} size={18} color='#fff' />
+            </TouchableOpacity>
+
+            <TouchableOpacity
+              style={styles.headerButton}
+              onPress={() => setShowTemplatePicker(true)}
+            >
+              <FontAwesomeIcon icon={faFileAlt} size={18} color='#fff' />
+            </TouchableOpacity>
+
             <TouchableOpacity
               style={styles.addButton}
               onPress={() => {
@@ -459,11 +591,64 @@ const TeacherMessagingScreen = ({ navigation, route }) => {
               tintColor={theme.colors.primary}
             />
           }
+          ListHeaderComponent={
+            searchResults ? null : (
+              <ScheduledMessagesSection
+                scheduledMessages={scheduledMessages}
+                onEdit={(scheduled) =>
+                  setScheduleModal({ mode: 'edit', scheduled })
+                }
+                onCancel={handleCancelScheduled}
+              />
+            )
+          }
           ListEmptyComponent={renderEmptyState}
           showsVerticalScrollIndicator={false}
         />
       )}
       </KeyboardAvoidingView>
+
+      {/* Schedule Message Modal */}
+      <ScheduleMessageModal
+        visible={!!scheduleModal}
+        title={
+          scheduleModal?.mode === 'edit'
+            ? t('editScheduledMessage')
+            : t('scheduleMessage')
+        }
+        conversations={scheduleModal?.mode === 'edit' ? null : conversations}
+        initialContent={scheduleModal?.scheduled?.content || ''}
+        initialSendAt={scheduleModal?.scheduled?.send_at || null}
+        quietHours={quietHours}
+        onClose={() => setScheduleModal(null)}
+        onSubmit={handleSubmitSchedule}
+      />
+
+      {/* Message Templates */}
+      <MessageTemplatePicker
+        visible={showTemplatePicker}
+        authCode={authCode}
+        onClose={() => setShowTemplatePicker(false)}
+        onSelect={(template) => {
+          setShowTemplatePicker(false);
+          setSelectedTemplate(template);
+        }}
+      />
+
+      <TemplateSendModal
+        visible={!!selectedTemplate}
+        template={selectedTemplate}
+        conversations={conversations}
+        authCode={authCode}
+        senderName={teacherName}
+        onClose={() => setSelectedTemplate(null)}
+        onSent={(count) =>
+          Alert.alert(
+            t('success'),
+            t('templateSentCount').replace('{count}', count)
+          )
+        }
+      />
     </SafeAreaView>
   );
 };
@@ -530,6 +715,14 @@ const createStyles = (theme, fontSizes) => {
       justifyContent: 'center',
       alignItems: 'center',
     },
+    headerButton: {
+      width: 36,
+      height: 36,
+      borderRadius: 18,
+      backgroundColor: 'rgba(255, 255, 255, 0.2)',
+      justifyContent: 'center',
+      alignItems: 'center',
+    },
     addButton: {
       width: 36,
       height: 36,
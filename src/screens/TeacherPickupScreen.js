@@ -1,4 +1,10 @@
-import React, { useEffect, useState, useCallback } from 'react';
+import React, {
+  useEffect,
+  useState,
+  useCallback,
+  useMemo,
+  useRef,
+} from 'react';
 import {
   View,
   Text,
@@ -11,22 +17,47 @@ import {
   Alert,
   KeyboardAvoidingView,
   Platform,
+  Vibration,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
+import { useFocusEffect } from '@react-navigation/native';
+import * as Notifications from 'expo-notifications';
+import { activateKeepAwakeAsync, deactivateKeepAwake } from 'expo-keep-awake';
 import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
 import {
   faArrowLeft,
   faQrcode,
   faCheckCircle,
+  faExpand,
+  faCompress,
+  faVolumeUp,
+  faVolumeMute,
 } from '@fortawesome/free-solid-svg-icons';
 import { useTheme } from '../contexts/ThemeContext';
 import { useLanguage } from '../contexts/LanguageContext';
+import { Config } from '../config/env';
 import { createMediumShadow } from '../utils/commonStyles';
 import {
   getStaffPickupRequests,
   staffPickupScanQr,
   staffPickupProcess,
+  staffPickupReleaseRequests,
+  checkScannedPickupRules,
 } from '../services/staffService';
+import {
+  verifyPickupQr,
+  PICKUP_QR_REJECTIONS,
+} from '../services/pickupQrService';
+import { describePickupRules, hasPickupRules } from '../utils/pickupRules';
+import PickupQueueBoard from '../components/PickupQueueBoard';
+import {
+  QUEUE_SORT,
+  buildPickupQueue,
+  findNewArrivals,
+  getRequestId,
+} from '../utils/pickupQueue';
+
+const KEEP_AWAKE_TAG = 'pickupQueueBoard';
 
 const TeacherPickupScreen = ({ navigation, route }) => {
   const { theme } = useTheme();
@@ -43,35 +74,123 @@ const TeacherPickupScreen = ({ navigation, route }) => {
   const [pendingRequest, setPendingRequest] = useState(null);
   const [activeTab, setActiveTab] = useState('waiting'); // 'waiting' or 'processed'
 
+  // Queue board state
+  const [sortMode, setSortMode] = useState(QUEUE_SORT.ARRIVAL);
+  const [selectedIds, setSelectedIds] = useState(new Set());
+  const [largeDisplay, setLargeDisplay] = useState(false);
+  const [alertsEnabled, setAlertsEnabled] = useState(true);
+  const [lastUpdated, setLastUpdated] = useState(null);
+  const [releasing, setReleasing] = useState(false);
+  // Request IDs from the last refresh; null until the first load of a tab
+  const knownIdsRef = useRef(null);
+  const alertsEnabledRef = useRef(alertsEnabled);
+  alertsEnabledRef.current = alertsEnabled;
+
   const styles = createStyles(theme);
 
-  const loadRequests = useCallback(async () => {
+  // Sound and vibration so staff notice new cars without watching the screen
+  const announceArrivals = async (arrivals) => {
+    Vibration.vibrate([0, 400, 200, 400]);
     try {
-      setLoading(true);
-      // Call API with status based on active tab
-      const status = activeTab === 'waiting' ? 'waiting' : 'completed';
-      const res = await getStaffPickupRequests(authCode, {
-        status: status,
+      const names = arrivals
+        .map((request) => request.student?.name)
+        .filter(Boolean)
+        .join(', ');
+      await Notifications.scheduleNotificationAsync({
+        content: {
+          title: t('newPickupArrival'),
+          body:
+            names ||
+            t('newPickupArrivalCount').replace('{count}', arrivals.length),
+          sound: 'default',
+        },
+        trigger: null,
       });
-      if (res?.success) {
-        setRequests(res.requests || []);
-      } else {
-        console.log('Pickup list error:', res);
-      }
-    } catch (e) {
-      console.error('Error loading pickup requests:', e);
-      Alert.alert('Error', 'Failed to load pickup requests');
-    } finally {
-      setLoading(false);
+    } catch (error) {
+      console.warn('⚠️ PICKUP QUEUE: Failed to play arrival alert:', error);
     }
-  }, [authCode, activeTab]);
+  };
+
+  const loadRequests = useCallback(
+    async ({ silent = false } = {}) => {
+      try {
+        // Auto-refresh updates the list without the full-screen spinner
+        if (!silent) setLoading(true);
+        // Call API with status based on active tab
+        const status = activeTab === 'waiting' ? 'waiting' : 'completed';
+        const res = await getStaffPickupRequests(authCode, {
+          status: status,
+        });
+        if (res?.success) {
+          const nextRequests = res.requests || [];
+
+          if (activeTab === 'waiting') {
+            if (knownIdsRef.current) {
+              const arrivals = findNewArrivals(
+                knownIdsRef.current,
+                nextRequests
+              );
+              if (arrivals.length > 0 && alertsEnabledRef.current) {
+                announceArrivals(arrivals);
+              }
+            }
+            knownIdsRef.current = new Set(nextRequests.map(getRequestId));
+            // Drop selections for requests that were released elsewhere
+            setSelectedIds(
+              (prev) =>
+                new Set([...prev].filter((id) => knownIdsRef.current.has(id)))
+            );
+          }
+
+          setRequests(nextRequests);
+          setLastUpdated(new Date());
+        } else {
+          console.log('Pickup list error:', res);
+        }
+      } catch (e) {
+        console.error('Error loading pickup requests:', e);
+        if (!silent) Alert.alert('Error', 'Failed to load pickup requests');
+      } finally {
+        if (!silent) setLoading(false);
+      }
+    },
+    [authCode, activeTab]
+  );
 
   useEffect(() => {
     loadRequests();
   }, [loadRequests]);
 
+  // Auto-refresh the waiting queue while the screen is focused
+  useFocusEffect(
+    useCallback(() => {
+      if (activeTab !== 'waiting') return undefined;
+
+      const interval = setInterval(
+        () => loadRequests({ silent: true }),
+        Config.PICKUP_QUEUE?.REFRESH_INTERVAL ?? 15000
+      );
+      return () => clearInterval(interval);
+    }, [activeTab, loadRequests])
+  );
+
+  // A gate tablet in large-display mode should not go to sleep
+  useEffect(() => {
+    if (!largeDisplay) return undefined;
+
+    activateKeepAwakeAsync(KEEP_AWAKE_TAG).catch((error) =>
+      console.warn('⚠️ PICKUP QUEUE: Keep awake failed:', error)
+    );
+    return () => deactivateKeepAwake(KEEP_AWAKE_TAG);
+  }, [largeDisplay]);
+
+  const queueEntries = useMemo(
+    () => buildPickupQueue(requests, sortMode),
+    [requests, sortMode, lastUpdated]
+  );
+
   // Step 1: Validate QR immediately after scan
-  const handleQRScanned = async (token) => {
+  const handleQRScanned = async (token, signature = null) => {
     if (!token?.trim()) {
       Alert.alert('Invalid QR', 'QR token is empty or invalid.');
       return;
@@ -81,7 +200,7 @@ const TeacherPickupScreen = ({ navigation, route }) => {
       setProcessing(true);
       console.log('📱 PICKUP: Validating QR token:', token);
 
-      const res = await staffPickupScanQr(token.trim(), authCode);
+      const res = await staffPickupScanQr(token.trim(), authCode, signature);
 
       console.log(
         '📱 PICKUP: Full API response:',
@@ -200,6 +319,25 @@ const TeacherPickupScreen = ({ navigation, route }) => {
         }
       }
 
+      // Guardians may be limited to certain children, days and times
+      const ruleCheck = checkScannedPickupRules(
+        res,
+        student?.id ?? student?.student_id ?? pending.student_id
+      );
+      if (!ruleCheck.allowed) {
+        console.log('📱 PICKUP: Blocked by pickup rules:', ruleCheck.reason);
+        Alert.alert(
+          'Pickup Not Allowed',
+          `${ruleCheck.message}\n\nPickup rules:\n${describePickupRules(
+            ruleCheck.rules
+          )
+            .map((line) => `• ${line}`)
+            .join('\n')}`
+        );
+        setQrToken('');
+        return;
+      }
+
       console.log(
         '📱 PICKUP: Validation passed for',
         isParent ? 'parent' : 'guardian'
@@ -248,7 +386,14 @@ Classroom: ${student.classroom || 'N/A'}
 Request Time: ${pending.request_time || pending.created_at || 'Unknown'}
 Distance: ${pending.distance || 'N/A'}`;
 
-    Alert.alert('Verify Guardian Identity', guardianInfo, [
+    const rulesInfo =
+      guardian.card_type !== 'parent' && hasPickupRules(guardian.pickup_rules)
+        ? `\n\nPickup rules:\n${describePickupRules(guardian.pickup_rules)
+            .map((line) => `• ${line}`)
+            .join('\n')}`
+        : '';
+
+    Alert.alert('Verify Guardian Identity', guardianInfo + rulesInfo, [
       {
         text: 'Cancel',
         style: 'cancel',
@@ -337,7 +482,6 @@ Distance: ${pending.distance || 'N/A'}`;
         requestPayload.parent_auth_code = parentAuthCode;
 
         console.log('📱 PICKUP: Processing for parent');
-        console.log('📱 PICKUP: Using parent_auth_code:', parentAuthCode);
       } else {
         // For guardians, use traditional guardian_card_id
         const guardianCardId =
@@ -392,16 +536,106 @@ Distance: ${pending.distance || 'N/A'}`;
       Alert.alert('QR Token', 'Enter a guardian QR token to validate.');
       return;
     }
-    // Use the same validation flow as QR scan
-    await handleQRScanned(qrToken.trim());
+    // Typed codes get the same offline checks as scanned ones
+    const { status, token, signature } = await verifyPickupQr(qrToken);
+    if (PICKUP_QR_REJECTIONS[status]) {
+      Alert.alert(
+        t(PICKUP_QR_REJECTIONS[status].title),
+        t(PICKUP_QR_REJECTIONS[status].message)
+      );
+      return;
+    }
+    await handleQRScanned(token, signature);
   };
 
   // Handle tab change and reload data
   const handleTabChange = (newTab) => {
+    knownIdsRef.current = null;
+    setSelectedIds(new Set());
     setActiveTab(newTab);
     // Data will be reloaded automatically due to useEffect dependency on activeTab
   };
 
+  const processRequest = (item) => {
+    const requester = item.requester || {};
+    if (requester.qr_token) {
+      handleQRScanned(requester.qr_token);
+    } else {
+      Alert.alert(
+        'No QR Token',
+        'This request does not have a QR token available.'
+      );
+    }
+  };
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const handleBatchRelease = () => {
+    const selected = requests.filter((request) =>
+      selectedIds.has(getRequestId(request))
+    );
+    if (selected.length === 0) return;
+
+    Alert.alert(
+      t('releaseStudentsTitle'),
+      t('releaseStudentsMessage').replace('{count}', selected.length),
+      [
+        { text: t('cancel'), style: 'cancel' },
+        {
+          text: t('release'),
+          onPress: async () => {
+            try {
+              setReleasing(true);
+              const { released, failed } = await staffPickupReleaseRequests(
+                selected,
+                authCode
+              );
+
+              let message = t('releaseResultMessage').replace(
+                '{count}',
+                released.length
+              );
+              if (failed.length > 0) {
+                message += `\n\n${t('releaseFailedMessage').replace(
+                  '{count}',
+                  failed.length
+                )}\n${failed
+                  .map((failure) => {
+                    const request = selected.find(
+                      (item) => item.request_id === failure.request_id
+                    );
+                    return `• ${
+                      request?.student?.name || failure.request_id
+                    }: ${failure.message}`;
+                  })
+                  .join('\n')}`;
+              }
+              Alert.alert(t('release'), message);
+
+              setSelectedIds(new Set());
+              loadRequests({ silent: true });
+            } catch (error) {
+              console.error('❌ PICKUP QUEUE: Batch release error:', error);
+              Alert.alert('Error', 'Failed to release students');
+            } finally {
+              setReleasing(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const renderHeader = () => (
     <View style={styles.headerContainer}>
       <View style={styles.navigationHeader}>
@@ -418,80 +652,110 @@ Distance: ${pending.distance || 'N/A'}`;
         <Text style={styles.headerTitle}>
           {t('pickupManagement') || 'Pickup Management'}
         </Text>
+        {activeTab === 'waiting' && (
+          <View style={styles.headerActions}>
+            <TouchableOpacity
+              style={styles.headerActionButton}
+              onPress={() => setAlertsEnabled((enabled) => !enabled)}
+            >
+              <FontAwesomeIcon
+                icon={alertsEnabled ? faVolumeUp : faVolumeMute}
+                size={18}
+                color={theme.colors.headerText}
+              />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.headerActionButton}
+              onPress={() => setLargeDisplay((enabled) => !enabled)}
+            >
+              <FontAwesomeIcon
+                icon={largeDisplay ? faCompress : faExpand}
+                size={18}
+                color={theme.colors.headerText}
+              />
+            </TouchableOpacity>
+          </View>
+        )}
       </View>
 
-      {/* Tab Bar in Header */}
-      <View style={styles.headerTabBar}>
-        <TouchableOpacity
-          style={[
-            styles.headerTabButton,
-            activeTab === 'waiting' && styles.activeHeaderTabButton,
-          ]}
-          onPress={() => handleTabChange('waiting')}
-        >
-          <Text
-            style={[
-              styles.headerTabButtonText,
-              activeTab === 'waiting' && styles.activeHeaderTabButtonText,
-            ]}
-          >
-            {t('waiting') || 'Waiting'} (
-            {activeTab === 'waiting' ? requests.length : '...'})
-          </Text>
-        </TouchableOpacity>
+      {/* Large display shows the queue only */}
+      {!largeDisplay && (
+        <>
+          {/* Tab Bar in Header */}
+          <View style={styles.headerTabBar}>
+            <TouchableOpacity
+              style={[
+                styles.headerTabButton,
+                activeTab === 'waiting' && styles.activeHeaderTabButton,
+              ]}
+              onPress={() => handleTabChange('waiting')}
+            >
+              <Text
+                style={[
+                  styles.headerTabButtonText,
+                  activeTab === 'waiting' && styles.activeHeaderTabButtonText,
+                ]}
+              >
+                {t('waiting') || 'Waiting'} (
+                {activeTab === 'waiting' ? requests.length : '...'})
+              </Text>
+            </TouchableOpacity>
 
-        <TouchableOpacity
-          style={[
-            styles.headerTabButton,
-            activeTab === 'processed' && styles.activeHeaderTabButton,
-          ]}
-          onPress={() => handleTabChange('processed')}
-        >
-          <Text
-            style={[
-              styles.headerTabButtonText,
-              activeTab === 'processed' && styles.activeHeaderTabButtonText,
-            ]}
-          >
-            {t('processed') || 'Processed'} (
-            {activeTab === 'processed' ? requests.length : '...'})
-          </Text>
-        </TouchableOpacity>
-      </View>
-      {/* QR input */}
-      <View style={styles.qrInputRow}>
-        <TextInput
-          placeholder={'Enter guardian QR token'}
-          value={qrToken}
-          onChangeText={setQrToken}
-          style={styles.qrInput}
-          autoCapitalize='none'
-          autoCorrect={false}
-        />
-        <TouchableOpacity
-          style={styles.scanButton}
-          onPress={() => {
-            navigation.navigate('TeacherQRScannerScreen', {
-              onScanned: (token) => {
-                if (token) handleQRScanned(String(token));
-              },
-            });
-          }}
-          disabled={processing}
-        >
-          <FontAwesomeIcon icon={faQrcode} color={'#fff'} size={16} />
-          <Text style={styles.scanButtonText}>Scan</Text>
-        </TouchableOpacity>
-        <TouchableOpacity
-          style={[styles.scanButton]}
-          onPress={handleManualProcess}
-          disabled={processing}
-        >
-          <Text style={styles.scanButtonText}>
-            {processing ? 'Processing...' : 'Validate'}
-          </Text>
-        </TouchableOpacity>
-      </View>
+            <TouchableOpacity
+              style={[
+                styles.headerTabButton,
+                activeTab === 'processed' && styles.activeHeaderTabButton,
+              ]}
+              onPress={() => handleTabChange('processed')}
+            >
+              <Text
+                style={[
+                  styles.headerTabButtonText,
+                  activeTab === 'processed' && styles.activeHeaderTabButtonText,
+                ]}
+              >
+                {t('processed') || 'Processed'} (
+                {activeTab === 'processed' ? requests.length : '...'})
+              </Text>
+            </TouchableOpacity>
+          </View>
+          {/* QR input */}
+          <View style={styles.qrInputRow}>
+            <TextInput
+              placeholder={'Enter guardian QR token'}
+              value={qrToken}
+              onChangeText={setQrToken}
+              style={styles.qrInput}
+              autoCapitalize='none'
+              autoCorrect={false}
+            />
+            <TouchableOpacity
+              style={styles.scanButton}
+              onPress={() => {
+                navigation.navigate('TeacherQRScannerScreen', {
+                  authCode,
+                  onScanned: (token, signature) => {
+                    if (token) handleQRScanned(String(token), signature);
+                  },
+                });
+              }}
+              disabled={processing}
+            >
+              <FontAwesomeIcon icon={faQrcode} color={'#fff'} size={16} />
+              <Text style={styles.scanButtonText}>Scan</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={[styles.scanButton]}
+              onPress={handleManualProcess}
+              disabled={processing}
+            >
+              <Text style={styles.scanButtonText}>
+                {processing ? 'Processing...' : 'Validate'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        </>
+      )}
     </View>
   );
 
@@ -544,16 +808,7 @@ Distance: ${pending.distance || 'N/A'}`;
         {(item.status === 'waiting' || item.status === 'pending') && (
           <TouchableOpacity
             style={styles.processButton}
-            onPress={() => {
-              if (requester.qr_token) {
-                handleQRScanned(requester.qr_token);
-              } else {
-                Alert.alert(
-                  'No QR Token',
-                  'This request does not have a QR token available.'
-                );
-              }
-            }}
+            onPress={() => processRequest(item)}
           >
             <FontAwesomeIcon icon={faCheckCircle} color={'#fff'} size={14} />
             <Text style={styles.processButtonText}>Process</Text>
@@ -577,6 +832,23 @@ Distance: ${pending.distance || 'N/A'}`;
         <View style={styles.loadingContainer}>
           <ActivityIndicator size={'large'} color={theme.colors.primary} />
         </View>
+      ) : activeTab === 'waiting' ? (
+        <PickupQueueBoard
+          entries={queueEntries}
+          sortMode={sortMode}
+          onChangeSort={setSortMode}
+          selectedIds={selectedIds}
+          onToggleSelect={toggleSelected}
+          onSelectAll={() =>
+            setSelectedIds(new Set(queueEntries.map((entry) => entry.id)))
+          }
+          onClearSelection={() => setSelectedIds(new Set())}
+          onProcess={processRequest}
+          largeDisplay={largeDisplay}
+          refreshing={refreshing}
+          onRefresh={onRefresh}
+          lastUpdated={lastUpdated}
+        />
       ) : (
         <FlatList
           data={requests}
@@ -597,6 +869,26 @@ Distance: ${pending.distance || 'N/A'}`;
           )}
         />
       )}
+
+        {/* Batch release */}
+        {activeTab === 'waiting' && selectedIds.size > 0 && (
+          <View style={styles.releaseBar}>
+            <TouchableOpacity
+              style={styles.releaseButton}
+              onPress={handleBatchRelease}
+              disabled={releasing}
+            >
+              {releasing ? (
+                <ActivityIndicator size='small' color='#fff' />
+              ) : (
+                <FontAwesomeIcon icon={faCheckCircle} color='#fff' size={18} />
+              )}
+              <Text style={styles.releaseButtonText}>
+                {t('releaseSelected').replace('{count}', selectedIds.size)}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        )}
       </KeyboardAvoidingView>
     </SafeAreaView>
   );
@@ -629,10 +921,23 @@ const createStyles = (theme) =>
       marginRight: 8,
     },
     headerTitle: {
+      flex: 1,
       fontSize: 20,
       fontWeight: '600',
       color: theme.colors.headerText,
     },
+    headerActions: {
+      flexDirection: 'row',
+      gap: 8,
+    },
+    headerActionButton: {
+      width: 36,
+      height: 36,
+      borderRadius: 18,
+      backgroundColor: 'rgba(255, 255, 255, 0.2)',
+      justifyContent: 'center',
+      alignItems: 'center',
+    },
     // Header Tab Bar Styles
     headerTabBar: {
       flexDirection: 'row',
@@ -737,6 +1042,23 @@ const createStyles = (theme) =>
       alignItems: 'center',
     },
     emptyState: { padding: 24, alignItems: 'center' },
+    releaseBar: {
+      position: 'absolute',
+      left: 16,
+      right: 16,
+      bottom: 24,
+    },
+    releaseButton: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      justifyContent: 'center',
+      gap: 8,
+      backgroundColor: theme.colors.success,
+      paddingVertical: 14,
+      borderRadius: 12,
+      ...createMediumShadow(theme),
+    },
+    releaseButtonText: { color: '#fff', fontSize: 16, fontWeight: '700' },
     emptyText: { color: theme.colors.textSecondary },
   });
 
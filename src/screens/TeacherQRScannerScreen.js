@@ -18,23 +18,51 @@ import {
   faBolt,
   faImage,
   faArrowLeft,
+  faClock,
+  faBan,
+  faExclamationTriangle,
 } from '@fortawesome/free-solid-svg-icons';
+import {
+  verifyPickupQr,
+  refreshSchoolKey,
+  PICKUP_QR_STATUS,
+  PICKUP_QR_REJECTIONS,
+} from '../services/pickupQrService';
 
 const { width, height } = Dimensions.get('window');
 
+// Codes rejected on the device, before staffPickupScanQr is called
+const REJECTED_SCANS = {
+  [PICKUP_QR_STATUS.EXPIRED]: {
+    icon: faClock,
+    ...PICKUP_QR_REJECTIONS[PICKUP_QR_STATUS.EXPIRED],
+  },
+  [PICKUP_QR_STATUS.USED]: {
+    icon: faBan,
+    ...PICKUP_QR_REJECTIONS[PICKUP_QR_STATUS.USED],
+  },
+  [PICKUP_QR_STATUS.INVALID]: {
+    icon: faExclamationTriangle,
+    ...PICKUP_QR_REJECTIONS[PICKUP_QR_STATUS.INVALID],
+  },
+};
+
 const TeacherQRScannerScreen = ({ navigation, route }) => {
   const { theme } = useTheme();
   const { t } = useLanguage();
-  const { onScanned } = route.params || {};
+  const { onScanned, authCode } = route.params || {};
 
   const [hasPermission, setHasPermission] = useState(null);
   const [scanned, setScanned] = useState(false);
   const [flashOn, setFlashOn] = useState(false);
+  const [rejectedStatus, setRejectedStatus] = useState(null);
 
   const styles = createStyles(theme);
 
   useEffect(() => {
     getCameraPermissions();
+    // Keep the offline verification key current while there is a connection
+    refreshSchoolKey(authCode);
   }, []);
 
   const getCameraPermissions = async () => {
@@ -48,32 +76,8 @@ const TeacherQRScannerScreen = ({ navigation, route }) => {
     setScanned(true);
 
     try {
-      console.log('📱 QR SCANNER: Scanned QR code:', data);
-
-      // Extract token from QR code data
-      let token = data;
-
-      // If it's a full URL, extract the token parameter
-      if (data.includes('token=')) {
-        console.log('📱 QR SCANNER: Found URL with token parameter');
-        const urlParams = new URLSearchParams(data.split('?')[1]);
-        token = urlParams.get('token');
-        console.log('📱 QR SCANNER: Extracted token:', token);
-      } else {
-        console.log('📱 QR SCANNER: Using raw data as token:', token);
-      }
-
-      if (!token) {
-        throw new Error('Invalid QR code format');
-      }
-
-      // Call the callback with the scanned token
-      if (onScanned) {
-        onScanned(token);
-      }
-
-      // Navigate back
-      navigation.goBack();
+      console.log('📱 QR SCANNER: Scanned QR code');
+      await submitScan(data);
     } catch (error) {
       console.error('❌ QR SCANNER: Scan error:', error);
       Alert.alert(
@@ -91,6 +95,37 @@ const TeacherQRScannerScreen = ({ navigation, route }) => {
     }
   };
 
+  // Check expiry, signature and reuse offline, then hand the token and its
+  // signature back so the server can check them too
+  const submitScan = async (data) => {
+    const { status, token, signature, verified } = await verifyPickupQr(data);
+    console.log('📱 QR SCANNER: Offline check:', status, { verified });
+
+    if (REJECTED_SCANS[status]) {
+      if (hasPermission) {
+        setRejectedStatus(status);
+      } else {
+        // Manual entry without a camera view to show the overlay on
+        Alert.alert(
+          t(REJECTED_SCANS[status].title),
+          t(REJECTED_SCANS[status].message)
+        );
+        setScanned(false);
+      }
+      return;
+    }
+
+    if (onScanned) {
+      onScanned(token, signature);
+    }
+    navigation.goBack();
+  };
+
+  const handleScanAgain = () => {
+    setRejectedStatus(null);
+    setScanned(false);
+  };
+
   const toggleFlash = () => {
     setFlashOn(!flashOn);
   };
@@ -105,10 +140,8 @@ const TeacherQRScannerScreen = ({ navigation, route }) => {
           text: t('submit') || 'Submit',
           onPress: (token) => {
             if (token && token.trim()) {
-              if (onScanned) {
-                onScanned(token.trim());
-              }
-              navigation.goBack();
+              setScanned(true);
+              submitScan(token.trim());
             }
           },
         },
@@ -213,6 +246,31 @@ const TeacherQRScannerScreen = ({ navigation, route }) => {
             <View style={[styles.scanCorner, styles.scanCornerBottomRight]} />
           </View>
         </View>
+
+        {/* Rejected Code */}
+        {rejectedStatus && (
+          <View style={styles.rejectedOverlay}>
+            <View style={styles.rejectedCard}>
+              <FontAwesomeIcon
+                icon={REJECTED_SCANS[rejectedStatus].icon}
+                size={48}
+                color={theme.colors.error}
+              />
+              <Text style={styles.rejectedTitle}>
+                {t(REJECTED_SCANS[rejectedStatus].title)}
+              </Text>
+              <Text style={styles.rejectedMessage}>
+                {t(REJECTED_SCANS[rejectedStatus].message)}
+              </Text>
+              <TouchableOpacity
+                style={styles.scanAgainButton}
+                onPress={handleScanAgain}
+              >
+                <Text style={styles.scanAgainButtonText}>{t('scanAgain')}</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
       </View>
 
       {/* Controls */}
@@ -363,6 +421,53 @@ const createStyles = (theme) =>
       top: 'auto',
       left: 'auto',
     },
+    rejectedOverlay: {
+      position: 'absolute',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      backgroundColor: 'rgba(0, 0, 0, 0.6)',
+      justifyContent: 'center',
+      alignItems: 'center',
+      padding: 24,
+    },
+    rejectedCard: {
+      width: '100%',
+      maxWidth: 340,
+      alignItems: 'center',
+      padding: 24,
+      borderRadius: 16,
+      borderWidth: 3,
+      borderColor: theme.colors.error,
+      backgroundColor: theme.colors.surface,
+    },
+    rejectedTitle: {
+      fontSize: 24,
+      fontWeight: '700',
+      color: theme.colors.error,
+      marginTop: 16,
+      textAlign: 'center',
+    },
+    rejectedMessage: {
+      fontSize: 16,
+      color: theme.colors.text,
+      textAlign: 'center',
+      lineHeight: 22,
+      marginTop: 8,
+      marginBottom: 20,
+    },
+    scanAgainButton: {
+      backgroundColor: theme.colors.primary,
+      paddingHorizontal: 24,
+      paddingVertical: 12,
+      borderRadius: 8,
+    },
+    scanAgainButtonText: {
+      color: '#fff',
+      fontSize: 16,
+      fontWeight: '600',
+    },
     controls: {
       flexDirection: 'row',
       justifyContent: 'space-around',
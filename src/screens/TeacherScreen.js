@@ -16,6 +16,7 @@ import {
 import {SafeAreaView} from 'react-native-safe-area-context';
 import {FontAwesomeIcon} from '@fortawesome/react-native-fontawesome';
 import {Config, buildApiUrl} from '../config/env';
+import {apiGet} from '../services/apiClient';
 import {
     getResponsiveHeaderFontSize, createSmallShadow, createMediumShadow, createCustomShadow,
 } from '../utils/commonStyles';
@@ -43,6 +44,7 @@ import {
     faClipboardCheck, // added for Assessments
 } from '@fortawesome/free-solid-svg-icons';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import {secureSessionStorage} from '../services/secureStorage';
 import {useTheme, getLanguageFontSizes} from '../contexts/ThemeContext';
 import {useLanguage} from '../contexts/LanguageContext';
 import {useNotifications} from '../contexts/NotificationContext';
@@ -250,6 +252,20 @@ export default function TeacherScreen({route, navigation}) {
 
     const styles = createStyles(theme, fontSizes);
 
+    const applyTeacherTimetable = (data) => {
+        setTimetableData(data);
+
+        // Calculate stats
+        if (data.success && data.branches) {
+            const totalClasses = data.branches.reduce((sum, branch) => sum + branch.timetable.length, 0);
+            const attendanceTaken = data.branches.reduce((sum, branch) => sum + branch.timetable.filter((item) => item.attendance_taken).length, 0);
+
+            setDashboardStats((prev) => ({
+                ...prev, totalClasses, attendanceTaken, branches: data.total_branches,
+            }));
+        }
+    };
+
     // Fetch teacher timetable data
     const fetchTeacherTimetable = async () => {
         if (!userData.authCode) return null;
@@ -273,32 +289,12 @@ export default function TeacherScreen({route, navigation}) {
         }
 
         try {
-            const url = buildApiUrl(Config.API_ENDPOINTS.GET_TEACHER_TIMETABLE, {
-                authCode: userData.authCode,
-            });
-
-            const response = await fetch(url, {
-                method: 'GET', headers: {
-                    Accept: 'application/json', 'Content-Type': 'application/json',
-                },
+            // A cached timetable renders immediately and updates once refreshed
+            const data = await apiGet(Config.API_ENDPOINTS.GET_TEACHER_TIMETABLE, {}, {
+                authCode: userData.authCode, cache: {onUpdate: applyTeacherTimetable},
             });
-
-            if (response.ok) {
-                const data = await response.json();
-                setTimetableData(data);
-
-                // Calculate stats
-                if (data.success && data.branches) {
-                    const totalClasses = data.branches.reduce((sum, branch) => sum + branch.timetable.length, 0);
-                    const attendanceTaken = data.branches.reduce((sum, branch) => sum + branch.timetable.filter((item) => item.attendance_taken).length, 0);
-
-                    setDashboardStats((prev) => ({
-                        ...prev, totalClasses, attendanceTaken, branches: data.total_branches,
-                    }));
-                }
-
-                return data;
-            }
+            applyTeacherTimetable(data);
+            return data;
         } catch (error) {
             // Handle error silently
         }
@@ -619,7 +615,7 @@ export default function TeacherScreen({route, navigation}) {
                     const updatedUserData = {
                         ...userData, current_branch: response.current_branch,
                     };
-                    await AsyncStorage.setItem('teacherData', JSON.stringify(updatedUserData));
+                    await secureSessionStorage.setItem('teacherData', JSON.stringify(updatedUserData));
                 } catch (error) {
                     console.error('Error saving selected branch:', error);
                 }
@@ -1161,9 +1157,9 @@ export default function TeacherScreen({route, navigation}) {
             onPress: async () => {
                 try {
                     // Clear any previous calendar user data to ensure teacher's own data is used
-                    await AsyncStorage.removeItem('calendarUserData');
+                    await secureSessionStorage.removeItem('calendarUserData');
                     // Set teacher's own data as calendar user data
-                    await AsyncStorage.setItem('teacherCalendarData', JSON.stringify(userData));
+                    await secureSessionStorage.setItem('teacherCalendarData', JSON.stringify(userData));
                     navigation.navigate('UserCalendar', {
                         mode: 'combined', userType: 'teacher',
                     });
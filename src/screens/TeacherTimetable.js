@@ -17,7 +17,8 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
-import { Config, buildApiUrl } from '../config/env';
+import { Config } from '../config/env';
+import { apiGet, NetworkError } from '../services/apiClient';
 import {
   faArrowLeft,
   faCalendarAlt,
@@ -26,13 +27,22 @@ import {
   faUserCheck,
   faEye,
   faChevronRight,
+  faCloudUploadAlt,
+  faExclamationTriangle,
 } from '@fortawesome/free-solid-svg-icons';
 import { useTheme } from '../contexts/ThemeContext';
+import { useLanguage } from '../contexts/LanguageContext';
 import { isDemoMode } from '../services/authService';
 import { getDemoTimetableData } from '../services/demoModeService';
+import {
+  ATTENDANCE_SYNC_STATUS,
+  getAttendanceSyncQueue,
+  subscribeToAttendanceSync,
+} from '../services/attendanceSyncService';
 
 export default function TeacherTimetable({ route, navigation }) {
   const { theme } = useTheme(); // Get theme object
+  const { t } = useLanguage();
 
   // Memoize styles to prevent recreation on every render
   const styles = useMemo(() => createStyles(theme), [theme]);
@@ -45,6 +55,8 @@ export default function TeacherTimetable({ route, navigation }) {
 
   const [timetableData, setTimetableData] = useState(initialData);
   const [refreshing, setRefreshing] = useState(false);
+  const [attendanceSyncQueue, setAttendanceSyncQueue] = useState({});
+  const attendanceSyncQueueRef = useRef({});
 
   // Initialize selectedBranchId - prioritize new parameter, fallback to index-based
   const [selectedBranchId, setSelectedBranchId] = useState(() => {
@@ -156,32 +168,73 @@ export default function TeacherTimetable({ route, navigation }) {
 
     try {
       setRefreshing(true);
-      const url = buildApiUrl(Config.API_ENDPOINTS.GET_TEACHER_TIMETABLE, {
-        authCode,
-      });
-
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          Accept: 'application/json',
-          'Content-Type': 'application/json',
-        },
-      });
-
-      if (response.ok) {
-        const data = await response.json();
-        setTimetableData(data);
-      } else {
-        Alert.alert('Error', 'Failed to fetch timetable data');
-      }
+      // Always hit the network here; this also refreshes the cached copy
+      // the dashboard renders from
+      const data = await apiGet(
+        Config.API_ENDPOINTS.GET_TEACHER_TIMETABLE,
+        {},
+        { authCode, cache: { forceRefresh: true } }
+      );
+      setTimetableData(data);
     } catch (error) {
       console.error('Error fetching timetable data:', error);
-      Alert.alert('Error', 'Network error occurred');
+      Alert.alert(
+        'Error',
+        error instanceof NetworkError
+          ? 'Network error occurred'
+          : 'Failed to fetch timetable data'
+      );
     } finally {
       setRefreshing(false);
     }
   }, [authCode]);
 
+  // Track offline attendance submissions and refresh once they sync
+  useEffect(() => {
+    getAttendanceSyncQueue().then((queue) => {
+      attendanceSyncQueueRef.current = queue;
+      setAttendanceSyncQueue(queue);
+    });
+    const unsubscribe = subscribeToAttendanceSync((queue) => {
+      const previous = attendanceSyncQueueRef.current;
+      const newlySynced = Object.keys(queue).some(
+        (key) =>
+          queue[key].status === ATTENDANCE_SYNC_STATUS.SYNCED &&
+          previous[key]?.status !== ATTENDANCE_SYNC_STATUS.SYNCED
+      );
+      attendanceSyncQueueRef.current = queue;
+      setAttendanceSyncQueue({ ...queue });
+      if (newlySynced) {
+        fetchTimetableData();
+      }
+    });
+    return unsubscribe;
+  }, [fetchTimetableData]);
+
+  // Render the offline sync badge for a class, if it has a queued roll
+  const renderSyncBadge = (timetableId) => {
+    const entry = attendanceSyncQueue[String(timetableId)];
+    if (!entry || entry.status === ATTENDANCE_SYNC_STATUS.SYNCED) {
+      return null;
+    }
+
+    const failed = entry.status === ATTENDANCE_SYNC_STATUS.FAILED;
+    const color = failed ? theme.colors.error : theme.colors.warning;
+
+    return (
+      <View style={[styles.syncBadge, { backgroundColor: color + '20' }]}>
+        <FontAwesomeIcon
+          icon={failed ? faExclamationTriangle : faCloudUploadAlt}
+          size={12}
+          color={color}
+        />
+        <Text style={[styles.syncBadgeText, { color }]}>
+          {failed ? t('attendanceSyncFailed') : t('attendanceSyncPending')}
+        </Text>
+      </View>
+    );
+  };
+
   // Take attendance for a class
   const takeAttendance = useCallback(
     (timetableId, subjectName, gradeName) => {
@@ -425,6 +478,7 @@ export default function TeacherTimetable({ route, navigation }) {
                         {classItem.grade_name}
                       </Text>
                     </View>
+                    {renderSyncBadge(classItem.timetable_id)}
                   </View>
 
                   {!classItem.attendance_taken && (
@@ -742,6 +796,19 @@ const createStyles = (theme) =>
     classInfo: {
       flex: 1,
     },
+    syncBadge: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingHorizontal: 8,
+      paddingVertical: 4,
+      borderRadius: 10,
+      marginLeft: 8,
+    },
+    syncBadgeText: {
+      fontSize: 11,
+      fontWeight: '600',
+      marginLeft: 4,
+    },
     subjectName: {
       fontSize: 18,
       fontWeight: '700',
@@ -8,7 +8,8 @@ import {
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
 import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
-import { Config, buildApiUrl } from '../config/env';
+import { Config } from '../config/env';
+import { apiGet } from '../services/apiClient';
 import {
   faArrowLeft,
   faCalendarAlt,
@@ -238,12 +239,19 @@ export default function TimetableScreen({ navigation, route }) {
       const proxyOptions = extractProxyOptions(route.params);
       if (shouldUseParentProxy(route.params)) {
         console.log('🔄 TIMETABLE: Using parent proxy access');
-        console.log('🔑 Parent Auth Code:', authCode);
         console.log('👤 Student ID:', proxyOptions.studentId);
 
         const response = await getChildTimetable(
           authCode,
-          proxyOptions.studentId
+          proxyOptions.studentId,
+          {
+            // A cached timetable is shown first; apply the refreshed one
+            onUpdate: (updated) => {
+              if (updated.success && updated.timetable) {
+                setTimetable(convertObjectToArrayFormat(updated.timetable));
+              }
+            },
+          }
         );
 
         if (response.success && response.timetable) {
@@ -259,26 +267,21 @@ export default function TimetableScreen({ navigation, route }) {
         // Use direct student access (existing behavior)
         console.log('📚 TIMETABLE: Using direct student access');
 
-        const url = buildApiUrl(Config.API_ENDPOINTS.GET_STUDENT_TIMETABLE, {
-          authCode,
-        });
-
-        const response = await fetch(url, {
-          method: 'GET',
-          headers: {
-            Accept: 'application/json',
-            'Content-Type': 'application/json',
-          },
-        });
+        const data = await apiGet(
+          Config.API_ENDPOINTS.GET_STUDENT_TIMETABLE,
+          {},
+          {
+            authCode,
+            cache: {
+              // A cached timetable is shown first; apply the refreshed one
+              onUpdate: (updated) =>
+                setTimetable(convertObjectToArrayFormat(updated.data)),
+            },
+          }
+        );
 
-        if (response.ok) {
-          const data = await response.json();
-          // Convert object to array format if needed
-          const convertedData = convertObjectToArrayFormat(data.data);
-          return convertedData;
-        } else {
-          return null;
-        }
+        // Convert object to array format if needed
+        return convertObjectToArrayFormat(data.data);
       }
     } catch (error) {
       console.error('❌ TIMETABLE: Failed to fetch timetable:', error);
@@ -19,7 +19,7 @@ import {
   Image,
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from '../services/secureStorage';
 import * as ImagePicker from 'expo-image-picker';
 import * as DocumentPicker from 'expo-document-picker';
 import { FontAwesomeIcon } from '@fortawesome/react-native-fontawesome';
@@ -92,7 +92,7 @@ export default function WorkspaceScreen({ navigation, route }) {
     const getUserData = async () => {
       if (!currentUserData) {
         try {
-          const storedUserData = await AsyncStorage.getItem('userData');
+          const storedUserData = await secureSessionStorage.getItem('userData');
           if (storedUserData) {
             const parsedData = JSON.parse(storedUserData);
             setCurrentUserData(parsedData);
@@ -0,0 +1,559 @@
+/**
+ * API Client
+ * Single entry point for mobile-api requests
+ *
+ * - Injects the stored auth code (query string for reads, body for writes,
+ *   or a header for endpoints that accept one)
+ * - Enforces timeouts by aborting the request
+ * - Retries idempotent requests with exponential backoff
+ * - Throws typed errors (network, timeout, auth expired, validation, server)
+ * - Runs request, response and error interceptors
+ * - Optionally serves GET responses from the response cache
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Config, buildApiUrl, acceptsHeaderCredentials } from '../config/env';
+import { fetchWithTimeout, parseApiTextResponse } from '../utils/apiHelpers';
+import {
+  appendQueryParams,
+  extractCredentialHeaders,
+} from '../utils/queryString';
+import { getStoredAuthCode } from './authService';
+import {
+  getCacheKeyForUrl,
+  getCachedResponse,
+  invalidateForWrite,
+} from './responseCache';
+
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+const AUTH_EXPIRED_STATUSES = [401, 419];
+const VALIDATION_STATUSES = [400, 422];
+const AUTH_EXPIRED_PATTERN =
+  /(invalid|expired)( or expired)? auth|auth(entication)?[ _]code (is )?(invalid|expired)|unauthenticated|session (has )?expired|token (has )?expired/i;
+
+// ---------------------------------------------------------------------------
+// Errors
+// ---------------------------------------------------------------------------
+
+/**
+ * Base class for all API client errors
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, data = null, url = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.data = data;
+    this.url = url;
+  }
+}
+
+/**
+ * The request never reached the server or the connection dropped
+ */
+export class NetworkError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * The request was aborted after the configured timeout
+ */
+export class TimeoutError extends NetworkError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'TimeoutError';
+  }
+}
+
+/**
+ * The auth code is missing, invalid or expired
+ */
+export class AuthExpiredError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthExpiredError';
+  }
+}
+
+/**
+ * The server rejected the request data (400/422)
+ */
+export class ValidationError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ValidationError';
+    this.errors = details?.data?.errors || {};
+  }
+}
+
+/**
+ * The server failed to handle the request (5xx)
+ */
+export class ServerError extends ApiError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ServerError';
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Interceptors
+// ---------------------------------------------------------------------------
+
+const interceptors = {
+  request: [],
+  response: [],
+  error: [],
+};
+
+const addInterceptor = (type, interceptor) => {
+  interceptors[type].push(interceptor);
+  return () => {
+    interceptors[type] = interceptors[type].filter((i) => i !== interceptor);
+  };
+};
+
+/**
+ * Register a request interceptor
+ * @param {Function} interceptor - (config) => config, may be async
+ * @returns {Function} - Removes the interceptor
+ */
+export const addRequestInterceptor = (interceptor) =>
+  addInterceptor('request', interceptor);
+
+/**
+ * Register a response interceptor
+ * @param {Function} interceptor - (data, { response, config }) => data, may be async
+ * @returns {Function} - Removes the interceptor
+ */
+export const addResponseInterceptor = (interceptor) =>
+  addInterceptor('response', interceptor);
+
+/**
+ * Register an error interceptor. Returning a value recovers from the error
+ * with that value, returning undefined leaves the error to the next
+ * interceptor and throwing replaces it.
+ * @param {Function} interceptor - (error, config) => data | undefined
+ * @returns {Function} - Removes the interceptor
+ */
+export const addErrorInterceptor = (interceptor) =>
+  addInterceptor('error', interceptor);
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const isAbsoluteUrl = (url) => /^https?:\/\//i.test(url);
+
+const isFormData = (body) =>
+  typeof FormData !== 'undefined' && body instanceof FormData;
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !isFormData(value) &&
+  !(typeof URLSearchParams !== 'undefined' && value instanceof URLSearchParams);
+
+// Strip the query string so auth codes never reach the logs
+const describeUrl = (url) => url.split('?')[0];
+
+const hasAuthParam = (url, params, body, headers) => {
+  const keys = ['authCode', 'auth_code'];
+  const headerNames = Object.values(Config.NETWORK?.CREDENTIAL_HEADERS || {});
+  if (headerNames.some((name) => headers?.[name])) return true;
+  if (keys.some((key) => params?.[key])) return true;
+  if (keys.some((key) => new RegExp(`[?&]${key}=`).test(url))) return true;
+  if (isPlainObject(body)) return keys.some((key) => body[key]);
+  if (isFormData(body) && typeof body.get === 'function') {
+    return keys.some((key) => body.get(key));
+  }
+  return false;
+};
+
+// The auth code goes in the query string for reads and in the body for
+// writes. Pre-serialised bodies are left alone: their callers include it.
+const getAuthTarget = (method, body) => {
+  if (['GET', 'HEAD', 'DELETE'].includes(method) || !body) return 'query';
+  if (isFormData(body)) return 'form';
+  if (isPlainObject(body)) return 'json';
+  return null;
+};
+
+/**
+ * Backoff delay before retry attempt n (1-based), with jitter
+ * @param {number} attempt - Retry attempt number
+ * @param {number} baseDelay - Delay before the first retry in milliseconds
+ * @returns {number} - Delay in milliseconds
+ */
+export const getRetryDelay = (
+  attempt,
+  baseDelay = Config.NETWORK?.RETRY_BASE_DELAY || 500
+) => {
+  const exponential = baseDelay * 2 ** (attempt - 1);
+  return Math.round(exponential + Math.random() * 0.3 * exponential);
+};
+
+const parseBody = async (response, responseType) => {
+  // Lightweight response objects (and test doubles) may only offer json()
+  if (typeof response.text !== 'function') {
+    return response.json();
+  }
+  const text = await response.text();
+  if (responseType === 'text') return text;
+  if (!text || text.trim() === '') return null;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    // Some endpoints answer with "ok|..." / "fail|..." text
+    return parseApiTextResponse(text);
+  }
+};
+
+const getServerMessage = (data) =>
+  (data && typeof data === 'object' && (data.message || data.error)) || null;
+
+/**
+ * Whether a response body reports an invalid or expired auth code
+ * @param {Object} data - Parsed response body
+ * @returns {boolean}
+ */
+export const isAuthExpiredResponse = (data) => {
+  if (!data || typeof data !== 'object' || data.success !== false) {
+    return false;
+  }
+  const message = getServerMessage(data);
+  return typeof message === 'string' && AUTH_EXPIRED_PATTERN.test(message);
+};
+
+const createHttpError = (status, data, url) => {
+  const details = { status, data, url };
+  // Keep the historical message so existing status checks keep working
+  const message = `HTTP error! status: ${status}`;
+
+  if (AUTH_EXPIRED_STATUSES.includes(status)) {
+    return new AuthExpiredError(message, details);
+  }
+  if (VALIDATION_STATUSES.includes(status)) {
+    return new ValidationError(getServerMessage(data) || message, details);
+  }
+  if (status >= 500) {
+    return new ServerError(message, details);
+  }
+  return new ApiError(getServerMessage(data) || message, details);
+};
+
+const toApiError = (error, url) => {
+  if (error instanceof ApiError) return error;
+  if (error?.name === 'TimeoutError') {
+    return new TimeoutError(error.message, { url });
+  }
+  return new NetworkError(error?.message || 'Network request failed', {
+    url,
+  });
+};
+
+const isRetryable = (error, config) =>
+  !config.signal?.aborted &&
+  (error instanceof NetworkError || error instanceof ServerError);
+
+// ---------------------------------------------------------------------------
+// Requests
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolve the final request config: URL, auth code, headers and body
+ */
+const prepareRequest = async (endpoint, options) => {
+  const {
+    method = 'GET',
+    params = {},
+    body,
+    headers = {},
+    auth = true,
+    authCode = null,
+    authParam = 'authCode',
+    authUserTypes,
+    timeout = Config.NETWORK?.TIMEOUT || 30000,
+    retries = Config.NETWORK?.MAX_RETRIES ?? 2,
+    idempotent,
+    responseType = 'json',
+    signal,
+    credentialsInHeaders = !isAbsoluteUrl(endpoint) &&
+      acceptsHeaderCredentials(endpoint),
+  } = options;
+
+  const upperMethod = method.toUpperCase();
+  let queryParams = { ...params };
+  let requestBody = body;
+  const credentialHeaders = {};
+
+  const authTarget = credentialsInHeaders
+    ? 'header'
+    : getAuthTarget(upperMethod, requestBody);
+  if (
+    auth &&
+    authTarget &&
+    !hasAuthParam(endpoint, queryParams, requestBody, headers)
+  ) {
+    const code =
+      authCode ||
+      (await getStoredAuthCode(AsyncStorage, {
+        ...(authUserTypes && { userTypes: authUserTypes }),
+        includeGuardian: true,
+      }));
+    if (!code) {
+      throw new AuthExpiredError('No authentication code found', {
+        url: describeUrl(endpoint),
+      });
+    }
+
+    if (authTarget === 'query' || authTarget === 'header') {
+      // Header credentials are moved out of the query string below
+      queryParams[authParam] = code;
+    } else if (authTarget === 'form') {
+      requestBody.append(authParam, code);
+    } else {
+      requestBody = { ...requestBody, [authParam]: code };
+    }
+  }
+
+  // Endpoints that accept it receive the auth code as a header instead
+  if (credentialsInHeaders) {
+    const extracted = extractCredentialHeaders(
+      queryParams,
+      Config.NETWORK?.CREDENTIAL_HEADERS
+    );
+    queryParams = extracted.params;
+    Object.assign(credentialHeaders, extracted.headers);
+  }
+
+  const url = isAbsoluteUrl(endpoint)
+    ? appendQueryParams(endpoint, queryParams)
+    : buildApiUrl(endpoint, queryParams);
+
+  // FormData needs the multipart boundary fetch generates itself
+  const requestHeaders = {
+    Accept: 'application/json',
+    ...credentialHeaders,
+    ...headers,
+  };
+  if (!isFormData(requestBody) && !requestHeaders['Content-Type']) {
+    requestHeaders['Content-Type'] = 'application/json';
+  }
+
+  return {
+    url,
+    method: upperMethod,
+    headers: requestHeaders,
+    body: requestBody,
+    timeout,
+    retries,
+    idempotent: idempotent ?? IDEMPOTENT_METHODS.includes(upperMethod),
+    responseType,
+    signal,
+  };
+};
+
+/**
+ * Perform a single attempt of a prepared request
+ */
+const performRequest = async (config) => {
+  const body = isPlainObject(config.body)
+    ? JSON.stringify(config.body)
+    : config.body;
+
+  let response;
+  try {
+    response = await fetchWithTimeout(
+      config.url,
+      {
+        method: config.method,
+        headers: config.headers,
+        body,
+        signal: config.signal,
+      },
+      config.timeout
+    );
+  } catch (error) {
+    throw toApiError(error, describeUrl(config.url));
+  }
+
+  const data = await parseBody(response, config.responseType).catch(() => null);
+
+  if (!response.ok) {
+    throw createHttpError(response.status, data, describeUrl(config.url));
+  }
+
+  if (isAuthExpiredResponse(data)) {
+    throw new AuthExpiredError(getServerMessage(data), {
+      status: response.status,
+      data,
+      url: describeUrl(config.url),
+    });
+  }
+
+  let result = data;
+  for (const interceptor of interceptors.response) {
+    result = await interceptor(result, { response, config });
+  }
+  return result;
+};
+
+/**
+ * Run a prepared request config with retries and error interceptors.
+ * Exposed so interceptors can replay a request after recovering.
+ * @param {Object} config - Config passed to interceptors
+ * @returns {Promise<any>} - Parsed response body
+ */
+export const sendRequest = async (config) => {
+  const maxAttempts = config.idempotent ? config.retries + 1 : 1;
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    try {
+      return await performRequest(config);
+    } catch (error) {
+      lastError = error;
+      if (attempt < maxAttempts && isRetryable(error, config)) {
+        const delay = getRetryDelay(attempt);
+        console.warn(
+          `🔁 API CLIENT: ${config.method} ${describeUrl(config.url)} failed (${error.name}), retrying in ${delay}ms`
+        );
+        await sleep(delay);
+        continue;
+      }
+      break;
+    }
+  }
+
+  let error = lastError;
+  for (const interceptor of interceptors.error) {
+    try {
+      const recovered = await interceptor(error, config);
+      if (recovered !== undefined) {
+        return recovered;
+      }
+    } catch (nextError) {
+      error = nextError;
+    }
+  }
+
+  console.error(
+    `❌ API CLIENT: ${config.method} ${describeUrl(config.url)} failed:`,
+    error.message
+  );
+  throw error;
+};
+
+/**
+ * Make an API request
+ * @param {string} endpoint - Config.API_ENDPOINTS path or absolute URL
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method (default GET)
+ * @param {Object} options.params - Query parameters
+ * @param {Object|FormData} options.body - Request body (objects are sent as JSON)
+ * @param {Object} options.headers - Extra headers
+ * @param {boolean} options.auth - Inject the auth code (default true)
+ * @param {string} options.authCode - Auth code to use instead of the stored one
+ * @param {string} options.authParam - Auth parameter name (default authCode)
+ * @param {Array<string>} options.authUserTypes - User types to take the stored auth code from
+ * @param {boolean} options.credentialsInHeaders - Send the auth code as a header (default: Config.NETWORK.HEADER_AUTH_ENDPOINTS)
+ * @param {number} options.timeout - Timeout in milliseconds
+ * @param {number} options.retries - Retries for idempotent requests
+ * @param {boolean} options.idempotent - Override whether the request may be retried
+ * @param {string} options.responseType - 'json' (default) or 'text'
+ * @param {boolean|Object} options.cache - Serve GET responses from the response
+ * cache (stale-while-revalidate); an object is passed to getCachedResponse
+ * @returns {Promise<any>} - Parsed response body
+ */
+export const apiRequest = async (endpoint, options = {}) => {
+  let config = await prepareRequest(endpoint, options);
+
+  for (const interceptor of interceptors.request) {
+    config = (await interceptor(config)) || config;
+  }
+
+  if (options.cache && config.method === 'GET') {
+    const cacheOptions = options.cache === true ? {} : options.cache;
+    // Header credentials are part of the identity too
+    const credentialHeaders = Object.values(
+      Config.NETWORK?.CREDENTIAL_HEADERS || {}
+    )
+      .map((name) => config.headers[name])
+      .filter(Boolean);
+
+    return getCachedResponse(
+      getCacheKeyForUrl(config.url, credentialHeaders),
+      () => {
+        console.log(
+          `🔗 API CLIENT: ${config.method} ${describeUrl(config.url)}`
+        );
+        return sendRequest(config);
+      },
+      cacheOptions
+    );
+  }
+
+  console.log(`🔗 API CLIENT: ${config.method} ${describeUrl(config.url)}`);
+  const result = await sendRequest(config);
+
+  if (!['GET', 'HEAD', 'OPTIONS'].includes(config.method)) {
+    await invalidateForWrite(config.url);
+  }
+  return result;
+};
+
+/**
+ * GET request
+ * @param {string} endpoint - API endpoint or absolute URL
+ * @param {Object} params - Query parameters
+ * @param {Object} options - See apiRequest
+ */
+export const apiGet = (endpoint, params = {}, options = {}) =>
+  apiRequest(endpoint, { ...options, method: 'GET', params });
+
+/**
+ * POST request
+ * @param {string} endpoint - API endpoint or absolute URL
+ * @param {Object|FormData} body - Request body
+ * @param {Object} options - See apiRequest
+ */
+export const apiPost = (endpoint, body = {}, options = {}) =>
+  apiRequest(endpoint, { ...options, method: 'POST', body });
+
+/**
+ * PUT request
+ * @param {string} endpoint - API endpoint or absolute URL
+ * @param {Object|FormData} body - Request body
+ * @param {Object} options - See apiRequest
+ */
+export const apiPut = (endpoint, body = {}, options = {}) =>
+  apiRequest(endpoint, { ...options, method: 'PUT', body });
+
+/**
+ * DELETE request
+ * @param {string} endpoint - API endpoint or absolute URL
+ * @param {Object} params - Query parameters
+ * @param {Object} options - See apiRequest
+ */
+export const apiDelete = (endpoint, params = {}, options = {}) =>
+  apiRequest(endpoint, { ...options, method: 'DELETE', params });
+
+export default {
+  request: apiRequest,
+  get: apiGet,
+  post: apiPost,
+  put: apiPut,
+  delete: apiDelete,
+  sendRequest,
+  addRequestInterceptor,
+  addResponseInterceptor,
+  addErrorInterceptor,
+  isAuthExpiredResponse,
+  getRetryDelay,
+};
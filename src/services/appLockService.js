@@ -0,0 +1,390 @@
+/**
+ * App Lock Service
+ * Optional PIN / biometric lock for each account stored on the device
+ *
+ * Lock settings (which accounts are locked, auto-lock timeout, failed
+ * attempts) live in AsyncStorage. PIN hashes live in secure storage.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import * as LocalAuthentication from 'expo-local-authentication';
+import { Config } from '../config/env';
+import {
+  getSecureValue,
+  setSecureValue,
+  deleteSecureValue,
+} from './secureStorage';
+
+const SETTINGS_STORAGE_KEY = '@app_lock_settings';
+
+const getLockConfig = () => Config.APP_LOCK || {};
+
+const getDefaultSettings = () => ({
+  autoLockTimeout: getLockConfig().DEFAULT_TIMEOUT ?? 60 * 1000,
+  accounts: {},
+});
+
+/**
+ * Stable identifier for an account on this device
+ * @param {Object} account - User data ({ userType, id, ... }) or guardian
+ * @returns {string|null} - e.g. "parent:42"
+ */
+export const getAccountKey = (account) => {
+  if (!account?.userType) return null;
+
+  const id =
+    account.id || account.user_id || account.pickup_card_id || account.username;
+  return id ? `${account.userType}:${id}` : null;
+};
+
+/**
+ * Lockable account for a stored guardian login
+ * @param {Object} guardianData - Result of getStoredGuardianData()
+ * @returns {Object|null} - { userType: 'guardian', id, name }
+ */
+export const getGuardianAccount = (guardianData) => {
+  const guardian = guardianData?.guardian;
+  if (!guardian) return null;
+
+  return {
+    userType: 'guardian',
+    id: guardian.id || guardian.pickup_card_id,
+    name: guardian.name,
+  };
+};
+
+const getPinKey = (accountKey) => `applock.${accountKey}`;
+
+/**
+ * Load app lock settings
+ * @returns {Promise<Object>} - { autoLockTimeout, accounts }
+ */
+export const getAppLockSettings = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(SETTINGS_STORAGE_KEY);
+    return stored
+      ? { ...getDefaultSettings(), ...JSON.parse(stored) }
+      : getDefaultSettings();
+  } catch (error) {
+    console.error('❌ APP LOCK: Failed to load settings:', error);
+    return getDefaultSettings();
+  }
+};
+
+const saveAppLockSettings = async (settings) => {
+  await AsyncStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  return settings;
+};
+
+const updateAccountLock = async (accountKey, changes) => {
+  const settings = await getAppLockSettings();
+  const current = settings.accounts[accountKey];
+  if (!current) return settings;
+
+  settings.accounts[accountKey] = { ...current, ...changes };
+  return saveAppLockSettings(settings);
+};
+
+/**
+ * Lock settings for one account
+ * @param {Object} account - Account
+ * @returns {Promise<Object|null>} - Lock entry, or null if not locked
+ */
+export const getAccountLock = async (account) => {
+  const accountKey = getAccountKey(account);
+  if (!accountKey) return null;
+
+  const settings = await getAppLockSettings();
+  const lock = settings.accounts[accountKey];
+  return lock?.enabled ? lock : null;
+};
+
+const hashPin = (pin, salt) =>
+  Crypto.digestStringAsync(
+    Crypto.CryptoDigestAlgorithm.SHA256,
+    `${salt}:${pin}`
+  );
+
+/**
+ * Whether a PIN has the configured format
+ * @param {string} pin - PIN
+ * @returns {boolean}
+ */
+export const isValidPin = (pin) =>
+  new RegExp(`^\\d{${getLockConfig().PIN_LENGTH || 4}}$`).test(pin || '');
+
+/**
+ * Lock an account with a PIN
+ * @param {Object} account - Account to lock
+ * @param {string} pin - New PIN
+ * @param {Object} options - Options
+ * @param {boolean} options.biometrics - Also allow biometric unlock
+ * @returns {Promise<Object>} - Updated settings
+ */
+export const enableAccountLock = async (
+  account,
+  pin,
+  { biometrics = false } = {}
+) => {
+  const accountKey = getAccountKey(account);
+  if (!accountKey) {
+    throw new Error('Account cannot be locked without an id');
+  }
+  if (!isValidPin(pin)) {
+    throw new Error('Invalid PIN format');
+  }
+
+  const salt = Crypto.randomUUID();
+  await setSecureValue(
+    getPinKey(accountKey),
+    JSON.stringify({ salt, hash: await hashPin(pin, salt) })
+  );
+
+  const settings = await getAppLockSettings();
+  settings.accounts[accountKey] = {
+    enabled: true,
+    biometrics,
+    userType: account.userType,
+    name: account.name || account.username || '',
+    failedAttempts: 0,
+    lockedUntil: null,
+    lockouts: 0,
+  };
+
+  console.log(`🔒 APP LOCK: Lock enabled for ${account.userType} account`);
+  return saveAppLockSettings(settings);
+};
+
+/**
+ * Remove the lock from an account
+ * @param {Object|string} account - Account or account key
+ * @returns {Promise<Object>} - Updated settings
+ */
+export const disableAccountLock = async (account) => {
+  const accountKey =
+    typeof account === 'string' ? account : getAccountKey(account);
+  const settings = await getAppLockSettings();
+  if (!accountKey || !settings.accounts[accountKey]) return settings;
+
+  await deleteSecureValue(getPinKey(accountKey));
+  delete settings.accounts[accountKey];
+
+  console.log(`🔓 APP LOCK: Lock removed for ${accountKey.split(':')[0]}`);
+  return saveAppLockSettings(settings);
+};
+
+/**
+ * Remove the locks of every account of a user type (used on logout)
+ * @param {string} userType - teacher, parent, student or guardian
+ * @returns {Promise<Object>} - Updated settings
+ */
+export const removeAccountLocksForUserType = async (userType) => {
+  const settings = await getAppLockSettings();
+  const accountKeys = Object.keys(settings.accounts).filter(
+    (accountKey) => !userType || accountKey.startsWith(`${userType}:`)
+  );
+
+  for (const accountKey of accountKeys) {
+    await disableAccountLock(accountKey);
+  }
+  return getAppLockSettings();
+};
+
+/**
+ * Allow or disallow biometric unlock for a locked account
+ * @param {Object} account - Account
+ * @param {boolean} enabled - Whether biometrics may unlock it
+ * @returns {Promise<Object>} - Updated settings
+ */
+export const setBiometricUnlock = (account, enabled) =>
+  updateAccountLock(getAccountKey(account), { biometrics: !!enabled });
+
+/**
+ * Set how long the app may stay in the background before locking again
+ * @param {number} timeout - Milliseconds (0 locks immediately)
+ * @returns {Promise<Object>} - Updated settings
+ */
+export const setAutoLockTimeout = async (timeout) => {
+  const settings = await getAppLockSettings();
+  settings.autoLockTimeout = timeout;
+  return saveAppLockSettings(settings);
+};
+
+/**
+ * Check a PIN, counting failed attempts
+ * Each pause after MAX_ATTEMPTS wrong PINs lasts twice as long as the one
+ * before. After MAX_LOCKOUTS pauses in a row the lock is marked
+ * `signInRequired` and no PIN opens it any more: the account has to log in
+ * again. The lock stays until the account has been logged out.
+ * @param {Object} account - Account
+ * @param {string} pin - Entered PIN
+ * @returns {Promise<Object>} - { success, remainingAttempts, lockedUntil, signInRequired }
+ */
+export const verifyPin = async (account, pin) => {
+  const accountKey = getAccountKey(account);
+  const lock = await getAccountLock(account);
+  if (!lock) return { success: true };
+
+  const {
+    MAX_ATTEMPTS = 5,
+    LOCKOUT_DURATION = 30 * 1000,
+    MAX_LOCKOUTS = 5,
+  } = getLockConfig();
+  const now = Date.now();
+
+  if (lock.signInRequired) {
+    return {
+      success: false,
+      remainingAttempts: 0,
+      lockedUntil: null,
+      signInRequired: true,
+    };
+  }
+
+  if (lock.lockedUntil && lock.lockedUntil > now) {
+    return {
+      success: false,
+      remainingAttempts: 0,
+      lockedUntil: lock.lockedUntil,
+    };
+  }
+
+  const stored = await getSecureValue(getPinKey(accountKey));
+  const { salt, hash } = stored ? JSON.parse(stored) : {};
+  const success = !!hash && (await hashPin(pin, salt)) === hash;
+
+  if (success) {
+    await updateAccountLock(accountKey, {
+      failedAttempts: 0,
+      lockedUntil: null,
+      lockouts: 0,
+    });
+    return { success: true };
+  }
+
+  const failedAttempts = (lock.failedAttempts || 0) + 1;
+  const lockedOut = failedAttempts >= MAX_ATTEMPTS;
+  const lockouts = (lock.lockouts || 0) + (lockedOut ? 1 : 0);
+
+  if (lockouts >= MAX_LOCKOUTS) {
+    await updateAccountLock(accountKey, {
+      failedAttempts: 0,
+      lockedUntil: null,
+      lockouts,
+      signInRequired: true,
+    });
+    console.warn('⚠️ APP LOCK: Too many incorrect PINs, sign-in required');
+    return {
+      success: false,
+      remainingAttempts: 0,
+      lockedUntil: null,
+      signInRequired: true,
+    };
+  }
+
+  const lockedUntil = lockedOut
+    ? now + LOCKOUT_DURATION * 2 ** (lockouts - 1)
+    : null;
+
+  await updateAccountLock(accountKey, {
+    failedAttempts: lockedOut ? 0 : failedAttempts,
+    lockedUntil,
+    lockouts,
+  });
+
+  console.warn(
+    `⚠️ APP LOCK: Incorrect PIN (${failedAttempts}/${MAX_ATTEMPTS})`
+  );
+  return {
+    success: false,
+    remainingAttempts: lockedOut ? 0 : MAX_ATTEMPTS - failedAttempts,
+    lockedUntil,
+  };
+};
+
+/**
+ * Biometric hardware available and enrolled on this device
+ * @returns {Promise<Object>} - { available, type: 'face'|'fingerprint'|'iris'|null }
+ */
+export const getBiometricSupport = async () => {
+  try {
+    const [hasHardware, isEnrolled] = await Promise.all([
+      LocalAuthentication.hasHardwareAsync(),
+      LocalAuthentication.isEnrolledAsync(),
+    ]);
+    if (!hasHardware || !isEnrolled) {
+      return { available: false, type: null };
+    }
+
+    const types = await LocalAuthentication.supportedAuthenticationTypesAsync();
+    const { AuthenticationType } = LocalAuthentication;
+    let type = 'fingerprint';
+    if (types.includes(AuthenticationType.FACIAL_RECOGNITION)) {
+      type = 'face';
+    } else if (types.includes(AuthenticationType.IRIS)) {
+      type = 'iris';
+    }
+
+    return { available: true, type };
+  } catch (error) {
+    console.warn('⚠️ APP LOCK: Biometric check failed:', error.message);
+    return { available: false, type: null };
+  }
+};
+
+/**
+ * Ask for Face ID / fingerprint
+ * @param {string} promptMessage - Message shown in the system prompt
+ * @param {string} cancelLabel - Label of the cancel button
+ * @returns {Promise<boolean>} - Whether the user was authenticated
+ */
+export const authenticateWithBiometrics = async (
+  promptMessage,
+  cancelLabel
+) => {
+  try {
+    const result = await LocalAuthentication.authenticateAsync({
+      promptMessage,
+      cancelLabel,
+      // The app's own PIN is the fallback, not the device passcode
+      disableDeviceFallback: true,
+    });
+    return result.success;
+  } catch (error) {
+    console.warn(
+      '⚠️ APP LOCK: Biometric authentication failed:',
+      error.message
+    );
+    return false;
+  }
+};
+
+/**
+ * Whether unlocked accounts should lock again after time in the background
+ * @param {number|null} backgroundAt - When the app went to the background
+ * @param {number} timeout - Auto-lock timeout in milliseconds
+ * @param {number} now - Current time
+ * @returns {boolean}
+ */
+export const shouldRelock = (backgroundAt, timeout, now = Date.now()) =>
+  backgroundAt !== null && backgroundAt !== undefined
+    ? now - backgroundAt >= timeout
+    : false;
+
+export default {
+  getAccountKey,
+  getGuardianAccount,
+  getAppLockSettings,
+  getAccountLock,
+  isValidPin,
+  enableAccountLock,
+  disableAccountLock,
+  removeAccountLocksForUserType,
+  setBiometricUnlock,
+  setAutoLockTimeout,
+  verifyPin,
+  getBiometricSupport,
+  authenticateWithBiometrics,
+  shouldRelock,
+};
@@ -0,0 +1,522 @@
+/**
+ * Attendance Sync Service
+ * Offline-first attendance submission with a durable queue.
+ *
+ * Attendance taken without connectivity is stored on the device (auth codes
+ * in secure storage) and replayed once NetInfo reports the device back
+ * online. Before a queued roll is replayed, the current server state is
+ * fetched and merged with the local roll so that changes made by another
+ * teacher meanwhile are kept.
+ */
+
+import NetInfo from '@react-native-community/netinfo';
+import { Config, buildApiUrl } from '../config/env';
+import { secureSessionStorage } from './secureStorage';
+
+const QUEUE_STORAGE_KEY = 'attendanceSyncQueue';
+const MAX_ATTEMPTS = 5;
+const SYNCED_ENTRY_TTL = 24 * 60 * 60 * 1000; // Keep synced entries for a day
+
+export const ATTENDANCE_SYNC_STATUS = {
+  PENDING: 'pending',
+  SYNCING: 'syncing',
+  SYNCED: 'synced',
+  FAILED: 'failed',
+};
+
+const listeners = new Set();
+let netInfoUnsubscribe = null;
+let isProcessing = false;
+
+/**
+ * Error raised when the server explicitly rejects an attendance submission.
+ * Rejections are not retried automatically.
+ */
+class AttendanceRejectedError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'AttendanceRejectedError';
+    this.status = status;
+  }
+}
+
+/**
+ * Read the queue from storage
+ * @returns {Promise<Object>} - Queue entries keyed by timetable ID
+ */
+const readQueue = async () => {
+  try {
+    const stored = await secureSessionStorage.getItem(QUEUE_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('❌ ATTENDANCE SYNC: Failed to read queue:', error);
+    return {};
+  }
+};
+
+/**
+ * Persist the queue and notify subscribers
+ * @param {Object} queue - Queue entries keyed by timetable ID
+ */
+const writeQueue = async (queue) => {
+  const now = Date.now();
+  Object.keys(queue).forEach((key) => {
+    const entry = queue[key];
+    if (
+      entry.status === ATTENDANCE_SYNC_STATUS.SYNCED &&
+      now - entry.updatedAt > SYNCED_ENTRY_TTL
+    ) {
+      delete queue[key];
+    }
+  });
+
+  await secureSessionStorage.setItem(QUEUE_STORAGE_KEY, JSON.stringify(queue));
+  listeners.forEach((listener) => {
+    try {
+      listener(queue);
+    } catch (error) {
+      console.error('❌ ATTENDANCE SYNC: Listener error:', error);
+    }
+  });
+};
+
+/**
+ * Update a single queue entry
+ * @param {string} key - Timetable ID
+ * @param {Object} changes - Fields to merge into the entry
+ * @returns {Promise<Object|null>} - Updated entry
+ */
+const updateEntry = async (key, changes) => {
+  const queue = await readQueue();
+  if (!queue[key]) return null;
+
+  queue[key] = { ...queue[key], ...changes, updatedAt: Date.now() };
+  await writeQueue(queue);
+  return queue[key];
+};
+
+/**
+ * Check whether the device currently has connectivity
+ * @returns {Promise<boolean>}
+ */
+const isOnline = async () => {
+  try {
+    const state = await NetInfo.fetch();
+    return !!state.isConnected && state.isInternetReachable !== false;
+  } catch (error) {
+    // Assume online and let the request itself decide
+    return true;
+  }
+};
+
+/**
+ * Format a status map into the backend attendance string
+ * Format: studentId|attendanceStatus|attendanceNote joined by "/"
+ * @param {Object} statuses - Map of student ID to attendance status
+ * @returns {string}
+ */
+const formatAttendance = (statuses) =>
+  Object.keys(statuses)
+    .map((studentId) => `${studentId}|${statuses[studentId]}|`)
+    .join('/');
+
+/**
+ * Merge a local roll with the current server roll.
+ *
+ * Students the teacher changed locally keep the local status. Students the
+ * teacher did not touch take the server status, so marks made by another
+ * teacher while this device was offline are not overwritten. A conflict is
+ * recorded when both sides changed the same student to different values.
+ *
+ * @param {Object} baseline - Statuses shown when the roll was opened
+ * @param {Object} local - Statuses submitted on this device
+ * @param {Object} server - Statuses currently stored on the server
+ * @returns {{statuses: Object, conflicts: Array}}
+ */
+export const mergeAttendanceStatuses = (
+  baseline = {},
+  local = {},
+  server = {}
+) => {
+  const statuses = {};
+  const conflicts = [];
+
+  Object.keys(local).forEach((studentId) => {
+    const base = baseline[studentId];
+    const mine = local[studentId];
+    const theirs = server[studentId];
+    const changedLocally = mine !== base;
+    const changedRemotely = theirs !== undefined && theirs !== base;
+
+    if (changedLocally) {
+      statuses[studentId] = mine;
+      if (changedRemotely && theirs !== mine) {
+        conflicts.push({ studentId, local: mine, server: theirs });
+      }
+    } else {
+      statuses[studentId] = changedRemotely ? theirs : mine;
+    }
+  });
+
+  return { statuses, conflicts };
+};
+
+/**
+ * Fetch the attendance currently stored on the server for a class
+ * @param {Object} entry - Queue entry
+ * @returns {Promise<Object>} - Map of student ID to status (taken students only)
+ */
+const fetchServerStatuses = async (entry) => {
+  const url = buildApiUrl(Config.API_ENDPOINTS.GET_ATTENDANCE_DETAILS, {
+    authCode: entry.authCode,
+    timetableId: entry.timetableId,
+  });
+
+  const response = await fetch(url, {
+    method: 'GET',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+    },
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  const data = await response.json();
+  const statuses = {};
+  (data?.students || []).forEach((student) => {
+    if (student.attendance_status) {
+      statuses[student.student_id] = student.attendance_status;
+    }
+  });
+  return statuses;
+};
+
+/**
+ * Send an attendance roll to the server
+ * @param {Object} entry - Queue entry
+ * @param {Object} statuses - Map of student ID to status to submit
+ * @returns {Promise<Object|null>} - Parsed response body, if any
+ */
+const sendAttendance = async (entry, statuses) => {
+  const url = buildApiUrl(Config.API_ENDPOINTS.TAKE_ATTENDANCE, {
+    authCode: entry.authCode,
+  });
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      Accept: 'application/json',
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      auth_code: entry.authCode,
+      timetable: entry.timetableId,
+      attendance: formatAttendance(statuses),
+      topic: entry.topic || '',
+    }),
+  });
+
+  const responseText = await response.text();
+  let result = null;
+  if (responseText && responseText.trim()) {
+    try {
+      result = JSON.parse(responseText);
+    } catch (parseError) {
+      // Some successful responses have a non-JSON body
+    }
+  }
+
+  if (response.status >= 500) {
+    // Server trouble is treated like a network failure and retried later
+    throw new Error(`HTTP error! status: ${response.status}`);
+  }
+
+  if (response.status !== 200 || result?.success === false) {
+    throw new AttendanceRejectedError(
+      result?.message ||
+        `Server error (${response.status}): ${(responseText || '').substring(
+          0,
+          100
+        )}`,
+      response.status
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Attempt to deliver a single queue entry
+ * @param {Object} entry - Queue entry
+ * @param {boolean} checkConflicts - Whether to merge with the server roll first
+ * @returns {Promise<Object>} - Updated entry
+ */
+const deliverEntry = async (entry, checkConflicts) => {
+  const key = String(entry.timetableId);
+  const current = await updateEntry(key, {
+    status: ATTENDANCE_SYNC_STATUS.SYNCING,
+  });
+  // Removed meanwhile, e.g. because the teacher logged out
+  if (!current) return null;
+
+  try {
+    let statuses = entry.statuses;
+    let conflicts = [];
+
+    if (checkConflicts) {
+      const serverStatuses = await fetchServerStatuses(entry);
+      const merged = mergeAttendanceStatuses(
+        entry.baseline,
+        entry.statuses,
+        serverStatuses
+      );
+      statuses = merged.statuses;
+      conflicts = merged.conflicts;
+
+      if (conflicts.length > 0) {
+        console.log(
+          `⚠️ ATTENDANCE SYNC: ${conflicts.length} conflicting mark(s) for timetable ${key}, keeping local marks`
+        );
+      }
+    }
+
+    const result = await sendAttendance(entry, statuses);
+    console.log(`✅ ATTENDANCE SYNC: Timetable ${key} synced`);
+
+    return await updateEntry(key, {
+      status: ATTENDANCE_SYNC_STATUS.SYNCED,
+      statuses,
+      conflicts,
+      lastError: null,
+      syncedAt: Date.now(),
+      response: result,
+    });
+  } catch (error) {
+    const attempts = (entry.attempts || 0) + 1;
+    const retryable =
+      !(error instanceof AttendanceRejectedError) && attempts < MAX_ATTEMPTS;
+
+    console.warn(
+      `⚠️ ATTENDANCE SYNC: Timetable ${key} attempt ${attempts} failed:`,
+      error.message
+    );
+
+    return await updateEntry(key, {
+      status: retryable
+        ? ATTENDANCE_SYNC_STATUS.PENDING
+        : ATTENDANCE_SYNC_STATUS.FAILED,
+      attempts,
+      lastError: error.message,
+    });
+  }
+};
+
+/**
+ * Submit attendance for a class.
+ *
+ * The roll is written to the durable queue first and then sent straight
+ * away if the device is online. If the request cannot reach the server the
+ * entry stays pending and is replayed by processAttendanceQueue.
+ *
+ * @param {Object} params - Submission parameters
+ * @param {string} params.authCode - Teacher authentication code
+ * @param {number|string} params.timetableId - Timetable ID of the class
+ * @param {Object} params.statuses - Map of student ID to attendance status
+ * @param {Object} params.baseline - Statuses shown when the roll was opened
+ * @param {string} params.topic - Optional class topic
+ * @param {Object} params.classInfo - Display info ({ subjectName, gradeName })
+ * @returns {Promise<Object>} - Queue entry after the first delivery attempt
+ */
+export const submitClassAttendance = async ({
+  authCode,
+  timetableId,
+  statuses,
+  baseline = {},
+  topic = '',
+  classInfo = {},
+}) => {
+  const key = String(timetableId);
+  const now = Date.now();
+  const entry = {
+    timetableId,
+    authCode,
+    statuses,
+    baseline,
+    topic,
+    classInfo,
+    status: ATTENDANCE_SYNC_STATUS.PENDING,
+    attempts: 0,
+    conflicts: [],
+    lastError: null,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  const queue = await readQueue();
+  queue[key] = entry;
+  await writeQueue(queue);
+  console.log(`📥 ATTENDANCE SYNC: Queued attendance for timetable ${key}`);
+
+  if (!(await isOnline())) {
+    console.log('📴 ATTENDANCE SYNC: Offline, attendance will sync later');
+    return entry;
+  }
+
+  // A network failure here leaves the roll pending for the next replay
+  const delivered = await deliverEntry(entry, false);
+  return delivered || entry;
+};
+
+/**
+ * Replay all pending attendance submissions
+ * @returns {Promise<Object>} - Summary ({ synced, failed, pending })
+ */
+export const processAttendanceQueue = async () => {
+  if (isProcessing) {
+    return { synced: 0, failed: 0, pending: 0, skipped: true };
+  }
+
+  isProcessing = true;
+  const summary = { synced: 0, failed: 0, pending: 0 };
+
+  try {
+    if (!(await isOnline())) {
+      return summary;
+    }
+
+    const queue = await readQueue();
+    const pending = Object.values(queue).filter(
+      (entry) =>
+        entry.status === ATTENDANCE_SYNC_STATUS.PENDING ||
+        entry.status === ATTENDANCE_SYNC_STATUS.SYNCING
+    );
+
+    if (pending.length > 0) {
+      console.log(
+        `🔄 ATTENDANCE SYNC: Replaying ${pending.length} queued submission(s)`
+      );
+    }
+
+    for (const entry of pending) {
+      const result = await deliverEntry(entry, true);
+      if (result?.status === ATTENDANCE_SYNC_STATUS.SYNCED) summary.synced++;
+      else if (result?.status === ATTENDANCE_SYNC_STATUS.FAILED)
+        summary.failed++;
+      else summary.pending++;
+    }
+  } catch (error) {
+    console.error('❌ ATTENDANCE SYNC: Error processing queue:', error);
+  } finally {
+    isProcessing = false;
+  }
+
+  return summary;
+};
+
+/**
+ * Move a failed submission back to pending and replay it
+ * @param {number|string} timetableId - Timetable ID of the class
+ * @returns {Promise<Object>} - Queue summary
+ */
+export const retryClassAttendance = async (timetableId) => {
+  await updateEntry(String(timetableId), {
+    status: ATTENDANCE_SYNC_STATUS.PENDING,
+    attempts: 0,
+    lastError: null,
+  });
+  return processAttendanceQueue();
+};
+
+/**
+ * Remove a class from the queue (e.g. a failed roll the teacher discards)
+ * @param {number|string} timetableId - Timetable ID of the class
+ */
+export const discardClassAttendance = async (timetableId) => {
+  const queue = await readQueue();
+  delete queue[String(timetableId)];
+  await writeQueue(queue);
+};
+
+/**
+ * Remove the queued attendance of a teacher who logs out, so it is not
+ * replayed later with their auth code
+ * @param {string|null} authCode - Teacher's auth code (every entry when null)
+ */
+export const clearAttendanceSyncQueue = async (authCode = null) => {
+  const queue = await readQueue();
+  Object.keys(queue)
+    .filter((key) => !authCode || queue[key].authCode === authCode)
+    .forEach((key) => delete queue[key]);
+  await writeQueue(queue);
+};
+
+/**
+ * Get the sync entry for a class
+ * @param {number|string} timetableId - Timetable ID of the class
+ * @returns {Promise<Object|null>}
+ */
+export const getClassAttendanceSyncEntry = async (timetableId) => {
+  const queue = await readQueue();
+  return queue[String(timetableId)] || null;
+};
+
+/**
+ * Get all sync entries
+ * @returns {Promise<Object>} - Queue entries keyed by timetable ID
+ */
+export const getAttendanceSyncQueue = readQueue;
+
+/**
+ * Subscribe to queue changes
+ * @param {Function} listener - Called with the queue whenever it changes
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToAttendanceSync = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Start replaying queued attendance whenever connectivity returns
+ */
+export const startAttendanceSync = () => {
+  if (netInfoUnsubscribe) return;
+
+  console.log('🔄 ATTENDANCE SYNC: Watching connectivity');
+  netInfoUnsubscribe = NetInfo.addEventListener((state) => {
+    if (state.isConnected && state.isInternetReachable !== false) {
+      processAttendanceQueue();
+    }
+  });
+
+  // Replay anything left over from a previous session
+  processAttendanceQueue();
+};
+
+/**
+ * Stop watching connectivity
+ */
+export const stopAttendanceSync = () => {
+  if (netInfoUnsubscribe) {
+    netInfoUnsubscribe();
+    netInfoUnsubscribe = null;
+  }
+};
+
+export default {
+  ATTENDANCE_SYNC_STATUS,
+  submitClassAttendance,
+  processAttendanceQueue,
+  retryClassAttendance,
+  discardClassAttendance,
+  clearAttendanceSyncQueue,
+  getClassAttendanceSyncEntry,
+  getAttendanceSyncQueue,
+  subscribeToAttendanceSync,
+  startAttendanceSync,
+  stopAttendanceSync,
+  mergeAttendanceStatuses,
+};
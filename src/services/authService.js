@@ -6,6 +6,8 @@
 import { Config, buildApiUrl } from '../config/env';
 import { getLoginDeviceInfo } from '../utils/deviceInfo';
 import SchoolConfigService from './schoolConfigService';
+import { redactUrl } from '../utils/queryString';
+import { createSecureStorage } from './secureStorage';
 
 /**
  * Get the appropriate storage key for user data based on user type
@@ -378,7 +380,7 @@ export const teacherLogin = async (username, password, deviceToken) => {
 
       const apiUrl = buildApiUrl(Config.API_ENDPOINTS.STAFF_LOGIN);
 
-      console.log('🔍 TEACHER LOGIN: Using new staff login endpoint:', apiUrl);
+      console.log('🔍 TEACHER LOGIN: Using new staff login endpoint:', redactUrl(apiUrl));
 
       // Add timeout and better error handling
       const controller = new AbortController();
@@ -588,7 +590,7 @@ export const teacherLogin = async (username, password, deviceToken) => {
       console.error('🌐 Network error:', error.name);
       console.error('📱 Device info available:', !!deviceInfo);
       console.error('🔑 Device token available:', !!deviceToken);
-      console.error('🔗 API URL:', apiUrl);
+      console.error('🔗 API URL:', redactUrl(apiUrl));
 
       // Check if this is a timeout error
       if (error.name === 'AbortError') {
@@ -769,7 +771,7 @@ export const studentLogin = async (username, password, deviceToken) => {
         }
       );
 
-      console.log('🔍 STUDENT AUTH DEBUG: API URL:', apiUrl);
+      console.log('🔍 STUDENT AUTH DEBUG: API URL:', redactUrl(apiUrl));
 
       // Add timeout and better error handling
       const controller = new AbortController();
@@ -930,7 +932,7 @@ export const studentLogin = async (username, password, deviceToken) => {
       console.error('🌐 Network error:', error.name);
       console.error('📱 Device info available:', !!deviceInfo);
       console.error('🔑 Device token available:', !!deviceToken);
-      console.error('🔗 API URL:', apiUrl);
+      console.error('🔗 API URL:', redactUrl(apiUrl));
 
       // Check if this is a timeout error
       if (error.name === 'AbortError') {
@@ -1069,7 +1071,7 @@ export const unifiedLogin = async (
       };
 
       const apiUrl = buildApiUrl(Config.API_ENDPOINTS.UNIFIED_LOGIN);
-      console.log('🔍 UNIFIED LOGIN: API URL:', apiUrl);
+      console.log('🔍 UNIFIED LOGIN: API URL:', redactUrl(apiUrl));
       console.log('🔍 UNIFIED LOGIN: Request body:', {
         username: requestBody.username,
         password: '[HIDDEN]',
@@ -1227,21 +1229,23 @@ export const unifiedLogin = async (
 };
 
 /**
- * Get user data from AsyncStorage, trying user-type-specific key first
+ * Get user data from storage, trying user-type-specific key first
+ * Auth codes are read back from secure storage (see secureStorage.js)
  * @param {string} userType - The type of user (teacher, parent, student)
  * @param {Object} AsyncStorage - AsyncStorage instance
  * @returns {Promise<Object|null>} - User data or null if not found
  */
 export const getUserData = async (userType, AsyncStorage) => {
   try {
+    const storage = createSecureStorage(AsyncStorage);
     // First try user-type-specific key
     const storageKey = getUserDataStorageKey(userType);
-    let userData = await AsyncStorage.getItem(storageKey);
+    let userData = await storage.getItem(storageKey);
     let actualStorageKey = storageKey;
 
     // If not found, try generic key for backward compatibility
     if (!userData) {
-      userData = await AsyncStorage.getItem('userData');
+      userData = await storage.getItem('userData');
       actualStorageKey = 'userData';
     }
 
@@ -1299,7 +1303,8 @@ export const getAllLoggedInUsers = async (AsyncStorage) => {
  */
 export const getMostRecentUser = async (AsyncStorage) => {
   try {
-    const userData = await AsyncStorage.getItem('userData');
+    const storage = createSecureStorage(AsyncStorage);
+    const userData = await storage.getItem('userData');
     if (userData) {
       const parsed = JSON.parse(userData);
       console.log('📱 AUTH: Most recent user:', {
@@ -1316,24 +1321,76 @@ export const getMostRecentUser = async (AsyncStorage) => {
 };
 
 /**
- * Save user data to AsyncStorage using user-type-specific storage key
+ * Get the auth code of the first logged-in user found
+ * @param {Object} AsyncStorage - AsyncStorage instance
+ * @param {Object} options - Lookup options
+ * @param {Array<string>} options.userTypes - User types to try, in order
+ * @param {boolean} options.preferActiveUser - Try the most recently active user first
+ * @param {boolean} options.includeGuardian - Fall back to the guardian auth code
+ * @returns {Promise<string|null>} - Auth code or null
+ */
+export const getStoredAuthCode = async (
+  AsyncStorage,
+  {
+    userTypes = ['teacher', 'parent', 'student'],
+    preferActiveUser = false,
+    includeGuardian = false,
+  } = {}
+) => {
+  try {
+    const storage = createSecureStorage(AsyncStorage);
+    const candidates = [...userTypes];
+    if (preferActiveUser) {
+      const activeUser = await getMostRecentUser(AsyncStorage);
+      if (activeUser?.userType) {
+        candidates.unshift(activeUser.userType);
+      }
+    }
+
+    // getUserData falls back to the generic userData key on its own
+    for (const userType of new Set(candidates)) {
+      const userData = await getUserData(userType, AsyncStorage);
+      const authCode = userData?.authCode || userData?.auth_code;
+      if (authCode) {
+        return authCode;
+      }
+    }
+
+    if (includeGuardian) {
+      const guardianAuthCode = await storage.getItem('guardianAuthCode');
+      if (guardianAuthCode) {
+        return guardianAuthCode;
+      }
+    }
+
+    return null;
+  } catch (error) {
+    console.error('❌ AUTH: Failed to get stored auth code:', error);
+    return null;
+  }
+};
+
+/**
+ * Save user data using user-type-specific storage key
+ * Auth codes go to secure storage; the rest of the profile to AsyncStorage
  * @param {Object} userData - User data to save
  * @param {Object} AsyncStorage - AsyncStorage instance
  * @returns {Promise<boolean>} - Success status
  */
 export const saveUserData = async (userData, AsyncStorage) => {
   try {
+    const storage = createSecureStorage(AsyncStorage);
     const userDataString = JSON.stringify(userData);
     const storageKey = getUserDataStorageKey(userData.userType);
 
     // Save to user-type-specific key
-    await AsyncStorage.setItem(storageKey, userDataString);
+    await storage.setItem(storageKey, userDataString);
 
     // Smart handling of generic 'userData' key to prevent overwriting other user types
     let shouldUpdateGenericKey = true;
 
     try {
-      const existingGenericData = await AsyncStorage.getItem('userData');
+      const existingGenericData = await storage.getItem('userData');
       if (existingGenericData) {
         const existingParsed = JSON.parse(existingGenericData);
 
@@ -1359,7 +1416,7 @@ export const saveUserData = async (userData, AsyncStorage) => {
 
     // Only update generic key if it's safe to do so
     if (shouldUpdateGenericKey) {
-      await AsyncStorage.setItem('userData', userDataString);
+      await storage.setItem('userData', userDataString);
       console.log(
         `✅ AUTH: Updated generic 'userData' key with ${userData.userType} data`
       );
@@ -1,5 +1,6 @@
 import { Config, buildApiUrl } from '../config/env';
 import { makeApiRequest } from '../utils/apiHelpers';
+import { clearResponseCache } from './responseCache';
 
 /**
  * Branch Selection Service
@@ -47,6 +48,8 @@ export const switchBranch = async (authCode, branchId) => {
 
     if (response.success) {
       console.log('✅ BRANCH SERVICE: Branch switched successfully to:', response.current_branch?.branch_name);
+      // Cached responses belong to the previous branch
+      await clearResponseCache();
       return response;
     } else {
       console.error('❌ BRANCH SERVICE: Failed to switch branch:', response.message);
@@ -7,6 +7,7 @@ import SchoolConfigService from './schoolConfigService';
 import { Config, buildApiUrl } from '../config/env';
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { getUserData } from './authService';
+import { redactUrl } from '../utils/queryString';
 
 /**
  * Unified Calendar Service Class
@@ -1094,7 +1095,7 @@ class CalendarService {
           startDate && endDate ? ` from ${startDate} to ${endDate}` : ''
         }...`
       );
-      console.log(`🔗 CALENDAR SERVICE: Request URL: ${url}`);
+      console.log(`🔗 CALENDAR SERVICE: Request URL: ${redactUrl(url)}`);
       console.log(
         `🔑 CALENDAR SERVICE: Using auth code: ${authCode.substring(
           0,
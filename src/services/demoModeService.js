@@ -3,13 +3,13 @@
  * Provides comprehensive demo data for all app features
  */
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from './secureStorage';
 import { getDemoCredentials, isDemoMode } from './authService';
 
 // Check if current user is in demo mode
 export const isCurrentUserInDemoMode = async () => {
   try {
-    const userData = await AsyncStorage.getItem('userData');
+    const userData = await secureSessionStorage.getItem('userData');
     if (userData) {
       const parsedData = JSON.parse(userData);
       return isDemoMode(parsedData);
@@ -5,7 +5,9 @@
 
 import { Config, buildApiUrl } from '../config/env';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from './secureStorage';
 import { Platform } from 'react-native';
+import { redactUrl } from '../utils/queryString';
 
 /**
  * Logout user from device using authCode (NEW METHOD)
@@ -28,7 +30,7 @@ export const logoutUserFromDevice = async (authCode) => {
     // Use POST method with JSON body (primary endpoint)
     const url = buildApiUrl('/logout/');
 
-    console.log('🔗 DEVICE SERVICE: Logout API URL:', url);
+    console.log('🔗 DEVICE SERVICE: Logout API URL:', redactUrl(url));
 
     // Add timeout for the request
     const controller = new AbortController();
@@ -110,7 +112,7 @@ export const logoutUserFromDeviceGET = async (authCode) => {
       authCode: authCode,
     });
 
-    console.log('🔗 DEVICE SERVICE: Logout GET API URL:', url);
+    console.log('🔗 DEVICE SERVICE: Logout GET API URL:', redactUrl(url));
 
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 10000);
@@ -187,7 +189,7 @@ export const removeUserFromDevice = async (userId, deviceToken) => {
       deviceToken,
     });
 
-    console.log('🔗 DEVICE SERVICE: API URL:', url);
+    console.log('🔗 DEVICE SERVICE: API URL:', redactUrl(url));
 
     // Add timeout for the request
     const controller = new AbortController();
@@ -250,7 +252,7 @@ export const removeUserFromDevice = async (userId, deviceToken) => {
  */
 export const getUserIdFromStorage = async () => {
   try {
-    const userData = await AsyncStorage.getItem('userData');
+    const userData = await secureSessionStorage.getItem('userData');
     if (userData) {
       const user = JSON.parse(userData);
       // Try different possible user ID fields
@@ -397,7 +399,10 @@ export const registerDeviceToken = async (
     // Build the API URL for device token registration
     const url = buildApiUrl('/notifications/device-token');
 
-    console.log('🔗 DEVICE SERVICE: Device token registration API URL:', url);
+    console.log(
+      '🔗 DEVICE SERVICE: Device token registration API URL:',
+      redactUrl(url)
+    );
 
     // Add timeout for the request
     const controller = new AbortController();
@@ -482,7 +487,10 @@ export const updateLastLogin = async (authCode) => {
     // Build the API URL for update last login
     const url = buildApiUrl('/update-last-login/');
 
-    console.log('🔗 DEVICE SERVICE: Update last login API URL:', url);
+    console.log(
+      '🔗 DEVICE SERVICE: Update last login API URL:',
+      redactUrl(url)
+    );
 
     // Add timeout for the request
     const controller = new AbortController();
@@ -556,7 +564,7 @@ export const updateCurrentUserLastLogin = async () => {
   try {
     console.log('⏰ DEVICE SERVICE: Updating current user last login...');
 
-    const userData = await AsyncStorage.getItem('userData');
+    const userData = await secureSessionStorage.getItem('userData');
     if (!userData) {
       console.warn('⚠️ DEVICE SERVICE: No user data found in storage');
       return { success: false, error: 'No user data found in storage' };
@@ -5,6 +5,11 @@
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Config, buildApiUrl } from '../config/env';
+import { redactUrl } from '../utils/queryString';
+import {
+  normalizePickupRules,
+  validatePickupRules,
+} from '../utils/pickupRules';
 
 // Mock data for development/testing
 const mockGuardians = [
@@ -42,7 +47,7 @@ const USE_MOCK_DATA = false;
  */
 const makeApiRequest = async (url, options = {}) => {
   try {
-    console.log('🔗 GUARDIAN SERVICE: Making API request to:', url);
+    console.log('🔗 GUARDIAN SERVICE: Making API request to:', redactUrl(url));
     console.log('📤 GUARDIAN SERVICE: Request options:', options);
 
     const response = await fetch(url, {
@@ -123,7 +128,6 @@ export const createGuardian = async (authCode, guardianData) => {
 export const listGuardians = async (authCode, studentId = null) => {
   try {
     console.log('📋 GUARDIAN SERVICE: Fetching guardians list');
-    console.log('👤 GUARDIAN SERVICE: Auth code:', authCode);
     console.log('🎓 GUARDIAN SERVICE: Student ID filter:', studentId);
 
     if (USE_MOCK_DATA) {
@@ -481,7 +485,7 @@ export const guardianQrLogin = async (token, deviceInfo) => {
     formData.append('deviceName', formParams.deviceName);
 
     const url = buildApiUrl('/pickup/qr/login');
-    console.log('🔗 GUARDIAN SERVICE: Making API request to:', url);
+    console.log('🔗 GUARDIAN SERVICE: Making API request to:', redactUrl(url));
     console.log('📤 GUARDIAN SERVICE: Form data string:', formData.toString());
     console.log('📤 GUARDIAN SERVICE: Form data entries:');
     for (const [key, value] of formData.entries()) {
@@ -688,6 +692,52 @@ export const reactivateGuardian = async (authCode, pickupCardId) => {
   }
 };
 
+/**
+ * Update Guardian Pickup Rules
+ * Sets which children the guardian may collect, on which days and times,
+ * and for how long (see utils/pickupRules). Pass null to remove all rules.
+ */
+export const updateGuardianRules = async (authCode, pickupCardId, rules) => {
+  try {
+    console.log('📅 GUARDIAN SERVICE: Updating pickup rules');
+    console.log('📅 GUARDIAN SERVICE: Pickup card ID:', pickupCardId);
+
+    const pickupRules = rules ? normalizePickupRules(rules) : null;
+    if (pickupRules) {
+      const errors = validatePickupRules(pickupRules);
+      if (errors.length > 0) {
+        throw new Error(errors.join('\n'));
+      }
+    }
+
+    if (USE_MOCK_DATA) {
+      // Simulate API delay
+      await new Promise((resolve) => setTimeout(resolve, 600));
+
+      return {
+        success: true,
+        message: 'Pickup rules updated successfully.',
+        pickup_rules: pickupRules,
+      };
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.UPDATE_GUARDIAN_RULES);
+    const response = await makeApiRequest(url, {
+      method: 'POST',
+      body: JSON.stringify({
+        authCode,
+        pickup_card_id: pickupCardId,
+        pickup_rules: pickupRules,
+      }),
+    });
+
+    return response;
+  } catch (error) {
+    console.error('❌ GUARDIAN SERVICE: Error updating pickup rules:', error);
+    throw error;
+  }
+};
+
 /**
  * Guardian Service Export
  */
@@ -707,4 +757,5 @@ export default {
   deactivateGuardian,
   deleteGuardian,
   reactivateGuardian,
+  updateGuardianRules,
 };
@@ -1,10 +1,12 @@
 /**
  * Guardian Storage Service
- * Handles persistent storage of guardian login data using AsyncStorage
+ * Handles persistent storage of guardian login data using AsyncStorage,
+ * with the auth code kept in secure storage
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Config } from '../config/env';
+import { secureSessionStorage } from './secureStorage';
 
 /**
  * Store guardian login data after successful authentication
@@ -20,14 +22,14 @@ export const storeGuardianData = async (guardianData, authCode, childData) => {
     console.log('💾 GUARDIAN STORAGE: Child:', childData?.name);
     console.log('💾 GUARDIAN STORAGE: Has auth code:', !!authCode);
 
-    // Store guardian data
-    await AsyncStorage.setItem(
+    // Store guardian data (QR signing key in the keychain)
+    await secureSessionStorage.setItem(
       Config.STORAGE_KEYS.GUARDIAN_DATA,
       JSON.stringify(guardianData)
     );
 
-    // Store auth code
-    await AsyncStorage.setItem(
+    // Store auth code (keychain/keystore)
+    await secureSessionStorage.setItem(
       Config.STORAGE_KEYS.GUARDIAN_AUTH_CODE,
       authCode
     );
@@ -63,8 +65,8 @@ export const getStoredGuardianData = async () => {
     console.log('🔍 GUARDIAN STORAGE: Retrieving stored guardian data...');
 
     const [guardianDataStr, authCode, childDataStr, loginDataStr] = await Promise.all([
-      AsyncStorage.getItem(Config.STORAGE_KEYS.GUARDIAN_DATA),
-      AsyncStorage.getItem(Config.STORAGE_KEYS.GUARDIAN_AUTH_CODE),
+      secureSessionStorage.getItem(Config.STORAGE_KEYS.GUARDIAN_DATA),
+      secureSessionStorage.getItem(Config.STORAGE_KEYS.GUARDIAN_AUTH_CODE),
       AsyncStorage.getItem(Config.STORAGE_KEYS.GUARDIAN_CHILD_DATA),
       AsyncStorage.getItem('guardianLoginData'),
     ]);
@@ -125,7 +127,7 @@ export const clearGuardianData = async () => {
       'guardianLoginData',
     ];
 
-    await AsyncStorage.multiRemove(keysToRemove);
+    await secureSessionStorage.multiRemove(keysToRemove);
 
     console.log('✅ GUARDIAN STORAGE: Guardian data cleared successfully');
     return true;
@@ -158,7 +160,7 @@ export const updateStoredGuardianData = async (updatedGuardianData) => {
   try {
     console.log('📝 GUARDIAN STORAGE: Updating stored guardian data...');
 
-    await AsyncStorage.setItem(
+    await secureSessionStorage.setItem(
       Config.STORAGE_KEYS.GUARDIAN_DATA,
       JSON.stringify(updatedGuardianData)
     );
@@ -177,7 +179,7 @@ export const updateStoredGuardianData = async (updatedGuardianData) => {
  */
 export const getGuardianAuthCode = async () => {
   try {
-    const authCode = await AsyncStorage.getItem(Config.STORAGE_KEYS.GUARDIAN_AUTH_CODE);
+    const authCode = await secureSessionStorage.getItem(Config.STORAGE_KEYS.GUARDIAN_AUTH_CODE);
     return authCode;
   } catch (error) {
     console.error('❌ GUARDIAN STORAGE: Failed to get auth code:', error);
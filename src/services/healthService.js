@@ -4,36 +4,11 @@
  */
 
 import { Config, buildApiUrl } from '../config/env';
+import { apiRequest } from './apiClient';
 
 // Flag to toggle between dummy data and real API
 const USE_DUMMY_DATA = Config.DEV.USE_DUMMY_DATA;
 
-/**
- * Helper function to make API requests with proper error handling
- */
-const makeHealthApiRequest = async (url, options = {}) => {
-  try {
-    const response = await fetch(url, {
-      timeout: Config.NETWORK.TIMEOUT,
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-        ...options.headers,
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error('Health API request failed:', error);
-    throw error;
-  }
-};
-
 /**
  * Get student's own health records
  * @param {string} authCode - Student's authentication code
@@ -59,7 +34,7 @@ export const getStudentHealthRecords = async (authCode) => {
       authCode,
     });
 
-    return await makeHealthApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching student health records:', error);
     throw error;
@@ -91,7 +66,7 @@ export const getStudentHealthInfo = async (authCode) => {
       authCode,
     });
 
-    return await makeHealthApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching student health info:', error);
     throw error;
@@ -123,7 +98,7 @@ export const getTeacherHealthData = async (authCode) => {
       authCode,
     });
 
-    return await makeHealthApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching teacher health data:', error);
     throw error;
@@ -162,12 +137,12 @@ export const createStudentHealthRecord = async (authCode, recordData) => {
 
     const url = buildApiUrl(Config.API_ENDPOINTS.CREATE_STUDENT_HEALTH_RECORD);
 
-    return await makeHealthApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
         ...recordData,
-      }),
+      },
     });
   } catch (error) {
     console.error('Error creating student health record:', error);
@@ -207,12 +182,12 @@ export const createStaffHealthRecord = async (authCode, recordData) => {
 
     const url = buildApiUrl(Config.API_ENDPOINTS.CREATE_STAFF_HEALTH_RECORD);
 
-    return await makeHealthApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
         ...recordData,
-      }),
+      },
     });
   } catch (error) {
     console.error('Error creating staff health record:', error);
@@ -252,12 +227,12 @@ export const createGuestHealthRecord = async (authCode, recordData) => {
 
     const url = buildApiUrl(Config.API_ENDPOINTS.CREATE_GUEST_HEALTH_RECORD);
 
-    return await makeHealthApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
         ...recordData,
-      }),
+      },
     });
   } catch (error) {
     console.error('Error creating guest health record:', error);
@@ -296,13 +271,13 @@ export const updateStudentHealthInfo = async (
 
     const url = buildApiUrl(Config.API_ENDPOINTS.UPDATE_STUDENT_HEALTH_INFO);
 
-    return await makeHealthApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
         student_id: studentId,
         ...healthInfo,
-      }),
+      },
     });
   } catch (error) {
     console.error('Error updating student health info:', error);
@@ -337,13 +312,13 @@ export const deleteHealthRecord = async (authCode, recordType, recordId) => {
 
     const url = buildApiUrl(Config.API_ENDPOINTS.DELETE_HEALTH_RECORD);
 
-    return await makeHealthApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
         record_type: recordType,
         record_id: recordId,
-      }),
+      },
     });
   } catch (error) {
     console.error('Error deleting health record:', error);
@@ -376,7 +351,7 @@ export const getStaffHealthRecords = async (authCode) => {
       authCode,
     });
 
-    return await makeHealthApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching staff health records:', error);
     throw error;
@@ -411,7 +386,7 @@ export const getHomeroomStudentsHealthInfo = async (authCode) => {
       }
     );
 
-    return await makeHealthApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching homeroom students health info:', error);
     throw error;
@@ -443,7 +418,7 @@ export const getHealthLookupData = async (authCode) => {
       authCode,
     });
 
-    return await makeHealthApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching health lookup data:', error);
     throw error;
@@ -465,7 +440,7 @@ export const getStudentHealthLegacy = async (authCode) => {
       authCode,
     });
 
-    return await makeHealthApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching legacy student health:', error);
     throw error;
@@ -0,0 +1,158 @@
+/**
+ * Homework Draft Service
+ * Keeps unsent homework submissions on the device
+ *
+ * A draft holds the typed response, the file link, the attached file and
+ * the state of its chunked upload, keyed by the assignment's detail ID.
+ * Attached files are copied into the app's document directory, since the
+ * pickers leave them in a cache the system may clear, so a draft and its
+ * upload can be resumed after the app restarts.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as FileSystem from 'expo-file-system/legacy';
+
+const DRAFTS_STORAGE_KEY = 'homeworkDrafts';
+const DRAFT_FILES_DIRECTORY = `${FileSystem.documentDirectory}homework-drafts/`;
+
+/**
+ * Read all drafts from storage
+ * @returns {Promise<Object>} - Drafts keyed by detail ID
+ */
+const readDrafts = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(DRAFTS_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('❌ HOMEWORK DRAFT: Failed to read drafts:', error);
+    return {};
+  }
+};
+
+const writeDrafts = (drafts) =>
+  AsyncStorage.setItem(DRAFTS_STORAGE_KEY, JSON.stringify(drafts));
+
+// Draft updates run one after another so concurrent saves (typing and an
+// upload starting) do not overwrite each other
+let pendingUpdate = Promise.resolve();
+const updateDrafts = (update) => {
+  const run = pendingUpdate.then(update, update);
+  pendingUpdate = run.catch(() => {});
+  return run;
+};
+
+const isDraftFile = (uri) => !!uri && uri.startsWith(DRAFT_FILES_DIRECTORY);
+
+const deleteDraftFile = async (uri) => {
+  if (!isDraftFile(uri)) return;
+
+  try {
+    await FileSystem.deleteAsync(uri, { idempotent: true });
+  } catch (error) {
+    console.warn('⚠️ HOMEWORK DRAFT: Failed to delete draft file:', error);
+  }
+};
+
+/**
+ * Whether a draft has anything worth keeping
+ * @param {Object|null} draft
+ * @returns {boolean}
+ */
+export const isDraftEmpty = (draft) =>
+  !draft || (!draft.text?.trim() && !draft.fileLink?.trim() && !draft.file);
+
+/**
+ * Get the draft of an assignment
+ * @param {string|number} detailId - Homework detail/submission ID
+ * @returns {Promise<Object|null>} - { text, fileLink, file, upload, updatedAt }
+ */
+export const getHomeworkDraft = async (detailId) => {
+  const drafts = await readDrafts();
+  return drafts[detailId] || null;
+};
+
+/**
+ * Save changes to the draft of an assignment
+ * An empty draft is removed instead.
+ * @param {string|number} detailId - Homework detail/submission ID
+ * @param {Object} changes - Fields to update: text, fileLink, file, upload
+ * ({ uploadId, fileLink } of the chunked upload)
+ * @returns {Promise<Object|null>} - Saved draft
+ */
+export const saveHomeworkDraft = (detailId, changes) =>
+  updateDrafts(async () => {
+    try {
+      const drafts = await readDrafts();
+      const previous = drafts[detailId] || {};
+      const draft = { ...previous, ...changes, updatedAt: Date.now() };
+
+      // A replaced or removed attachment is no longer needed
+      if (previous.file?.uri && previous.file.uri !== draft.file?.uri) {
+        await deleteDraftFile(previous.file.uri);
+      }
+
+      if (isDraftEmpty(draft)) {
+        delete drafts[detailId];
+        await writeDrafts(drafts);
+        return null;
+      }
+
+      drafts[detailId] = draft;
+      await writeDrafts(drafts);
+      return draft;
+    } catch (error) {
+      console.error('❌ HOMEWORK DRAFT: Failed to save draft:', error);
+      return null;
+    }
+  });
+
+/**
+ * Remove the draft of an assignment and its copied file
+ * @param {string|number} detailId - Homework detail/submission ID
+ * @returns {Promise<void>}
+ */
+export const clearHomeworkDraft = (detailId) =>
+  updateDrafts(async () => {
+    try {
+      const drafts = await readDrafts();
+      await deleteDraftFile(drafts[detailId]?.file?.uri);
+      delete drafts[detailId];
+      await writeDrafts(drafts);
+    } catch (error) {
+      console.error('❌ HOMEWORK DRAFT: Failed to clear draft:', error);
+    }
+  });
+
+/**
+ * Copy an attached file where it survives an app restart
+ * @param {string|number} detailId - Homework detail/submission ID
+ * @param {Object} file - File object with uri, name
+ * @returns {Promise<Object>} - The file with its new uri, or the original
+ * file when it could not be copied
+ */
+export const keepDraftFile = async (detailId, file) => {
+  if (!file?.uri || isDraftFile(file.uri)) return file;
+
+  try {
+    await FileSystem.makeDirectoryAsync(DRAFT_FILES_DIRECTORY, {
+      intermediates: true,
+    });
+
+    const safeName = (file.name || 'file').replace(/[^\w.-]/g, '_');
+    const uri = `${DRAFT_FILES_DIRECTORY}${detailId}-${Date.now()}-${safeName}`;
+    await FileSystem.copyAsync({ from: file.uri, to: uri });
+
+    return { ...file, uri };
+  } catch (error) {
+    console.warn('⚠️ HOMEWORK DRAFT: Failed to keep draft file:', error);
+    return file;
+  }
+};
+
+export default {
+  isDraftEmpty,
+  getHomeworkDraft,
+  saveHomeworkDraft,
+  clearHomeworkDraft,
+  keepDraftFile,
+};
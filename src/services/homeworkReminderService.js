@@ -0,0 +1,257 @@
+/**
+ * Homework Reminder Service
+ * Local reminders before homework deadlines
+ *
+ * Reminders are scheduled on the student's device through expo-notifications
+ * at the offsets chosen in Settings (e.g. 24 hours and 1 hour before the
+ * deadline). The scheduled notification IDs are kept per student and
+ * assignment so reminders can be moved when a deadline changes and cancelled
+ * once the homework is handed in. Students are told apart by a hash of their
+ * auth code, so syncing one student's list leaves the reminders of other
+ * students on the device alone.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+import { Config } from '../config/env';
+import {
+  getNotificationSettings,
+  saveNotificationSettings,
+} from '../utils/notificationPreferences';
+import { getLateness, parseDeadline } from '../utils/latePolicy';
+import { hashString } from './responseCache';
+
+const REMINDERS_STORAGE_KEY = 'homeworkReminders';
+const HOUR = 60 * 60 * 1000;
+
+const getReminderConfig = () => Config.HOMEWORK_REMINDERS || {};
+
+const getStudentKey = (authCode) => (authCode ? hashString(authCode) : '_');
+
+// { [studentKey]: { [detail_id]: { signature, notificationIds } } }
+const readReminders = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(REMINDERS_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.error('❌ HOMEWORK REMINDERS: Failed to read reminders:', error);
+    return {};
+  }
+};
+
+const writeReminders = (reminders) =>
+  AsyncStorage.setItem(REMINDERS_STORAGE_KEY, JSON.stringify(reminders));
+
+const cancelNotifications = async (notificationIds = []) => {
+  await Promise.all(
+    notificationIds.map((id) =>
+      Notifications.cancelScheduledNotificationAsync(id).catch((error) =>
+        console.warn('⚠️ HOMEWORK REMINDERS: Failed to cancel:', error)
+      )
+    )
+  );
+};
+
+/**
+ * Get the reminder offsets chosen by the user
+ * @returns {Promise<Array<number>>} - Hours before the deadline
+ */
+export const getHomeworkReminderOffsets = async () => {
+  const settings = await getNotificationSettings();
+  return (
+    settings.homeworkReminderOffsets ??
+    getReminderConfig().DEFAULT_OFFSETS_HOURS ??
+    []
+  );
+};
+
+/**
+ * Save the reminder offsets
+ * Scheduled reminders are moved on the next sync.
+ * @param {Array<number>} offsets - Hours before the deadline
+ * @returns {Promise<boolean>} - Success status
+ */
+export const setHomeworkReminderOffsets = async (offsets) => {
+  const settings = await getNotificationSettings();
+  const sorted = [...new Set(offsets)].sort((a, b) => b - a);
+  return saveNotificationSettings({
+    ...settings,
+    homeworkReminderOffsets: sorted,
+  });
+};
+
+/**
+ * Reminder times for an assignment
+ * @param {string|Date} deadline
+ * @param {Array<number>} offsets - Hours before the deadline
+ * @param {Date} now
+ * @returns {Array<Object>} - [{ offset, date }] still in the future
+ */
+export const getReminderTimes = (deadline, offsets, now = new Date()) => {
+  const due = parseDeadline(deadline);
+  if (!due) return [];
+
+  return offsets
+    .map((offset) => ({
+      offset,
+      date: new Date(due.getTime() - offset * HOUR),
+    }))
+    .filter(({ date }) => date > now);
+};
+
+const formatOffset = (hours) =>
+  hours % 24 === 0
+    ? `${hours / 24} day${hours === 24 ? '' : 's'}`
+    : `${hours} hour${hours === 1 ? '' : 's'}`;
+
+const scheduleReminder = (assignment, { offset, date }) =>
+  Notifications.scheduleNotificationAsync({
+    content: {
+      title: 'Homework Due Soon',
+      body: `${assignment.title || 'Your homework'} is due in ${formatOffset(
+        offset
+      )}`,
+      data: {
+        type: 'homework_reminder',
+        detail_id: assignment.detail_id,
+      },
+      sound: 'default',
+      channelId: Platform.OS === 'android' ? 'education-updates' : undefined,
+    },
+    trigger: {
+      type: Notifications.SchedulableTriggerInputTypes.DATE,
+      date,
+    },
+  });
+
+const needsReminders = (assignment, now) =>
+  assignment.detail_id &&
+  !assignment.completed &&
+  assignment.is_completed !== 1 &&
+  !getLateness({ deadline: assignment.deadline, now }).isLate;
+
+/**
+ * Schedule reminders for the student's homework list
+ * Call with the full list: reminders of assignments that were handed in,
+ * passed their deadline or are no longer listed are cancelled.
+ * @param {Array<Object>} assignments - From getStudentHomeworkList
+ * @param {string} authCode - Auth code of the student
+ * @param {Date} now
+ * @returns {Promise<number>} - Number of scheduled reminders
+ */
+export const syncHomeworkReminders = async (
+  assignments,
+  authCode,
+  now = new Date()
+) => {
+  try {
+    const settings = await getNotificationSettings();
+    const enabled = settings.enabled && settings.categories?.homework;
+    const offsets = enabled ? await getHomeworkReminderOffsets() : [];
+
+    const allReminders = await readReminders();
+    const studentKey = getStudentKey(authCode);
+    const reminders = allReminders[studentKey] || {};
+    const next = {};
+    let scheduled = 0;
+
+    for (const assignment of assignments || []) {
+      if (!offsets.length || !needsReminders(assignment, now)) continue;
+
+      const key = String(assignment.detail_id);
+      const previous = reminders[key];
+      const signature = `${assignment.deadline}|${offsets.join(',')}`;
+
+      // Already scheduled for this deadline and these offsets
+      if (previous?.signature === signature) {
+        next[key] = previous;
+        delete reminders[key];
+        continue;
+      }
+
+      const notificationIds = [];
+      for (const time of getReminderTimes(assignment.deadline, offsets, now)) {
+        notificationIds.push(await scheduleReminder(assignment, time));
+      }
+      scheduled += notificationIds.length;
+      next[key] = { signature, notificationIds };
+    }
+
+    // What is left is no longer needed or was rescheduled
+    await cancelNotifications(
+      Object.values(reminders).flatMap((entry) => entry.notificationIds)
+    );
+    if (Object.keys(next).length > 0) {
+      allReminders[studentKey] = next;
+    } else {
+      delete allReminders[studentKey];
+    }
+    await writeReminders(allReminders);
+
+    console.log(`⏰ HOMEWORK REMINDERS: ${scheduled} reminder(s) scheduled`);
+    return scheduled;
+  } catch (error) {
+    console.error('❌ HOMEWORK REMINDERS: Failed to sync reminders:', error);
+    return 0;
+  }
+};
+
+/**
+ * Cancel the reminders of one assignment, e.g. after it was handed in
+ * @param {string|number} detailId - Homework detail/submission ID
+ * @param {string} authCode - Auth code of the student
+ * @returns {Promise<void>}
+ */
+export const cancelHomeworkReminders = async (detailId, authCode) => {
+  try {
+    const allReminders = await readReminders();
+    const studentKey = getStudentKey(authCode);
+    const entry = allReminders[studentKey]?.[String(detailId)];
+    if (!entry) return;
+
+    await cancelNotifications(entry.notificationIds);
+    delete allReminders[studentKey][String(detailId)];
+    if (Object.keys(allReminders[studentKey]).length === 0) {
+      delete allReminders[studentKey];
+    }
+    await writeReminders(allReminders);
+  } catch (error) {
+    console.error('❌ HOMEWORK REMINDERS: Failed to cancel reminders:', error);
+  }
+};
+
+/**
+ * Cancel every reminder of a student (e.g. on logout), or of all students
+ * @param {string} authCode - Auth code of the student (default: all students)
+ * @returns {Promise<void>}
+ */
+export const clearHomeworkReminders = async (authCode = null) => {
+  try {
+    const allReminders = await readReminders();
+    const studentKeys = authCode
+      ? [getStudentKey(authCode)]
+      : Object.keys(allReminders);
+
+    await cancelNotifications(
+      studentKeys.flatMap((studentKey) =>
+        Object.values(allReminders[studentKey] || {}).flatMap(
+          (entry) => entry.notificationIds
+        )
+      )
+    );
+    studentKeys.forEach((studentKey) => delete allReminders[studentKey]);
+    await writeReminders(allReminders);
+  } catch (error) {
+    console.error('❌ HOMEWORK REMINDERS: Failed to clear reminders:', error);
+  }
+};
+
+export default {
+  getHomeworkReminderOffsets,
+  setHomeworkReminderOffsets,
+  getReminderTimes,
+  syncHomeworkReminders,
+  cancelHomeworkReminders,
+  clearHomeworkReminders,
+};
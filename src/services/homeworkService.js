@@ -10,68 +10,21 @@
 
 import { Config, buildApiUrl } from '../config/env';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getUserData } from './authService';
+import * as FileSystem from 'expo-file-system/legacy';
+import { getStoredAuthCode } from './authService';
+import { apiRequest } from './apiClient';
+import { redactUrl } from '../utils/queryString';
+import {
+  normalizeLatePolicy,
+  getSubmissionLateness,
+} from '../utils/latePolicy';
+import { normalizeRubric, scoreRubric } from '../utils/rubrics';
+import { normalizeAnnotation } from '../utils/annotations';
 
 /**
  * Helper function to get auth code from storage (supports user-type-specific storage)
  */
-const getAuthCode = async () => {
-  try {
-    // Try user-type-specific storage keys first
-    const userTypes = ['teacher', 'parent', 'student'];
-    for (const userType of userTypes) {
-      const userData = await getUserData(userType, AsyncStorage);
-      if (userData) {
-        const authCode = userData.authCode || userData.auth_code;
-        if (authCode) {
-          console.log(`📚 HOMEWORK SERVICE: Using ${userType} auth code`);
-          return authCode;
-        }
-      }
-    }
-
-    // Fallback to generic userData for backward compatibility
-    const userData = await AsyncStorage.getItem('userData');
-    if (userData) {
-      const parsed = JSON.parse(userData);
-      const authCode = parsed.authCode || parsed.auth_code;
-      if (authCode) {
-        console.log('📚 HOMEWORK SERVICE: Using generic auth code');
-        return authCode;
-      }
-    }
-    return null;
-  } catch (error) {
-    console.error('📚 HOMEWORK SERVICE: Error getting auth code:', error);
-    return null;
-  }
-};
-
-/**
- * Helper function to make API requests with proper error handling
- */
-const makeHomeworkApiRequest = async (url, options = {}) => {
-  try {
-    const response = await fetch(url, {
-      timeout: Config.NETWORK.TIMEOUT,
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-        ...options.headers,
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error('Homework API request failed:', error);
-    throw error;
-  }
-};
+const getAuthCode = () => getStoredAuthCode(AsyncStorage);
 
 /**
  * Get workspace structure to find folder IDs
@@ -91,7 +44,7 @@ export const getWorkspaceStructure = async (authCode = null) => {
 
     console.log('🔍 Getting workspace structure...');
 
-    return await makeHomeworkApiRequest(url, {
+    return await apiRequest(url, {
       method: 'GET',
     });
   } catch (error) {
@@ -132,9 +85,9 @@ export const getFolderContents = async (
         authCode: auth,
       });
 
-      console.log('📁 Final URL for workspace structure:', url);
+      console.log('📁 Final URL for workspace structure:', redactUrl(url));
 
-      return await makeHomeworkApiRequest(url, {
+      return await apiRequest(url, {
         method: 'GET',
       });
     }
@@ -154,9 +107,9 @@ export const getFolderContents = async (
       queryParams
     );
 
-    console.log('📁 Final URL for getFolderContents:', url);
+    console.log('📁 Final URL for getFolderContents:', redactUrl(url));
 
-    return await makeHomeworkApiRequest(url, {
+    return await apiRequest(url, {
       method: 'GET',
     });
   } catch (error) {
@@ -337,9 +290,9 @@ export const createHomeworkFolder = async (
       requestBody.assigned_students = assignedStudents;
     }
 
-    return await makeHomeworkApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify(requestBody),
+      body: requestBody,
     });
   } catch (error) {
     console.error('Error creating homework folder:', error);
@@ -471,10 +424,9 @@ export const uploadHomeworkFile = async (
       auth_code: auth,
     });
 
-    console.log('📤 Uploading homework file to:', url);
+    console.log('📤 Uploading homework file to:', redactUrl(url));
     console.log('📤 Using homework_folder_id:', homeworkFolderId);
     console.log('📤 Using homework_id:', homeworkId);
-    console.log('📤 Auth passed as query parameter:', auth);
     console.log('📤 FormData contents:', {
       homework_folder_id: homeworkFolderId,
       homework_id: homeworkId,
@@ -486,35 +438,12 @@ export const uploadHomeworkFile = async (
       },
     });
 
-    const response = await fetch(url, {
+    // FormData lets fetch set the multipart boundary itself
+    const result = await apiRequest(url, {
       method: 'POST',
       body: formData,
-      headers: {
-        // Don't set Content-Type for FormData - let fetch set it with boundary
-      },
+      timeout: Config.NETWORK.UPLOAD_TIMEOUT,
     });
-
-    console.log('📤 Upload response status:', response.status);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('📤 Upload error response:', errorText);
-
-      try {
-        const errorJson = JSON.parse(errorText);
-        throw new Error(
-          `HTTP ${response.status}: ${
-            errorJson.message || errorJson.error || 'Upload failed'
-          }`
-        );
-      } catch (parseError) {
-        throw new Error(
-          `HTTP ${response.status}: ${errorText || 'Upload failed'}`
-        );
-      }
-    }
-
-    const result = await response.json();
     console.log('📤 Upload success:', result);
     return result;
   } catch (error) {
@@ -526,9 +455,13 @@ export const uploadHomeworkFile = async (
 /**
  * Get teacher's homework assignments (for homework screen)
  * @param {string} authCode - Optional auth code override
+ * @param {Object} cacheOptions - Response cache options ({ forceRefresh, onUpdate })
  * @returns {Promise<Object>} - Response data
  */
-export const getTeacherHomeworkList = async (authCode = null) => {
+export const getTeacherHomeworkList = async (
+  authCode = null,
+  cacheOptions = {}
+) => {
   try {
     const auth = authCode || (await getAuthCode());
     if (!auth) {
@@ -536,23 +469,11 @@ export const getTeacherHomeworkList = async (authCode = null) => {
     }
 
     // Use the existing teacher homework endpoint that returns homework assignments
-    const url = buildApiUrl('/teacher/homework/list', {
+    const url = buildApiUrl(Config.API_ENDPOINTS.GET_TEACHER_HOMEWORK_LIST, {
       auth_code: auth,
     });
 
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
+    const data = await apiRequest(url, { cache: cacheOptions });
 
     // Return the data as-is since it should have the correct structure
     return data;
@@ -578,7 +499,7 @@ export const getTeacherHomeworkFolders = async (authCode = null) => {
       auth_code: auth,
     });
 
-    return await makeHomeworkApiRequest(url, {
+    return await apiRequest(url, {
       method: 'GET',
     });
   } catch (error) {
@@ -590,9 +511,13 @@ export const getTeacherHomeworkFolders = async (authCode = null) => {
 /**
  * Get student's homework assignments (for assignments screen)
  * @param {string} authCode - Optional auth code override
+ * @param {Object} cacheOptions - Response cache options ({ forceRefresh, onUpdate })
  * @returns {Promise<Object>} - Response data
  */
-export const getStudentHomeworkList = async (authCode = null) => {
+export const getStudentHomeworkList = async (
+  authCode = null,
+  cacheOptions = {}
+) => {
   try {
     const auth = authCode || (await getAuthCode());
     if (!auth) {
@@ -604,19 +529,7 @@ export const getStudentHomeworkList = async (authCode = null) => {
       authCode: auth,
     });
 
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
+    const data = await apiRequest(url, { cache: cacheOptions });
 
     // The API returns data in this format:
     // { success: true, data: [...assignments], statistics: {...} }
@@ -646,7 +559,7 @@ export const getHomeworkFolderFiles = async (folderId, authCode = null) => {
       folder_id: folderId,
     });
 
-    return await makeHomeworkApiRequest(url, {
+    return await apiRequest(url, {
       method: 'GET',
     });
   } catch (error) {
@@ -777,19 +690,19 @@ export const submitHomeworkText = async (
 
     const url = buildApiUrl(Config.API_ENDPOINTS.SUBMIT_HOMEWORK);
 
-    console.log('📝 Submitting homework text to:', url);
+    console.log('📝 Submitting homework text to:', redactUrl(url));
     console.log('📝 Submission data:', {
       detail_id: homeworkId,
       reply_data: submissionText,
     });
 
-    return await makeHomeworkApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         detail_id: homeworkId,
         reply_data: submissionText,
         auth_code: auth,
-      }),
+      },
     });
   } catch (error) {
     console.error('Error submitting homework text:', error);
@@ -830,16 +743,16 @@ export const submitHomeworkTextWithFile = async (
       requestBody.reply_file = fileLink;
     }
 
-    console.log('📝 Submitting homework text with file to:', url);
+    console.log('📝 Submitting homework text with file to:', redactUrl(url));
     console.log('📝 Submission data:', {
       detail_id: detailId,
       reply_data: submissionText,
       reply_file: fileLink,
     });
 
-    return await makeHomeworkApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify(requestBody),
+      body: requestBody,
     });
   } catch (error) {
     console.error('Error submitting homework text with file:', error);
@@ -881,8 +794,7 @@ export const submitHomeworkFile = async (
       auth_code: auth,
     });
 
-    console.log('📤 Uploading homework file to:', url);
-    console.log('📤 Auth passed as query parameter:', auth);
+    console.log('📤 Uploading homework file to:', redactUrl(url));
     console.log('📤 FormData contents:', {
       homework_id: homeworkId,
       submission_note: submissionNote,
@@ -893,37 +805,244 @@ export const submitHomeworkFile = async (
       },
     });
 
-    const response = await fetch(url, {
+    // FormData lets fetch set the multipart boundary itself
+    const result = await apiRequest(url, {
       method: 'POST',
       body: formData,
-      // Don't set Content-Type header - let the browser set it with boundary
+      timeout: Config.NETWORK.UPLOAD_TIMEOUT,
     });
+    console.log('📤 File upload success:', result);
+    return result;
+  } catch (error) {
+    console.error('Error uploading homework file:', error);
+    throw error;
+  }
+};
 
-    console.log('📤 File upload response status:', response.status);
+/**
+ * Raised when a chunked upload is cancelled by the user
+ */
+export class UploadCancelledError extends Error {
+  constructor(message = 'Upload cancelled') {
+    super(message);
+    this.name = 'UploadCancelledError';
+  }
+}
+
+/**
+ * Raised when the server has no chunked upload endpoints; the file has to
+ * be sent with submitHomeworkFile instead
+ */
+export class ChunkedUploadUnsupportedError extends Error {
+  constructor(message = 'Chunked uploads are not supported by the server') {
+    super(message);
+    this.name = 'ChunkedUploadUnsupportedError';
+  }
+}
+
+// Set once upload/start answers 404, so later files go straight to the
+// one-shot upload
+let chunkedUploadsUnavailable = false;
+
+/**
+ * Whether submission files can be uploaded in chunks
+ * The school config from the server has to turn on
+ * `features.chunkedHomeworkUploads`, and the upload endpoints must exist.
+ * @param {Object} schoolConfig - Current school config
+ * @returns {boolean}
+ */
+export const canUploadHomeworkInChunks = (schoolConfig) =>
+  !chunkedUploadsUnavailable &&
+  schoolConfig?.features?.chunkedHomeworkUploads === true;
+
+/**
+ * Get the file link from an upload response
+ * @param {Object} response - Response of a file upload
+ * @returns {string|null} - File link
+ */
+export const getUploadedFileLink = (response) =>
+  response?.data?.web_view_link ||
+  response?.data?.file_url ||
+  response?.data?.file_link ||
+  response?.data?.url ||
+  response?.web_view_link ||
+  null;
+
+/**
+ * Upload a submission file in chunks (Students)
+ * The server keeps the chunks it has received under an upload ID. Passing
+ * that ID again continues an interrupted upload with the missing chunks.
+ * Each chunk is retried on network errors like other idempotent requests.
+ * @param {string} homeworkId - Homework assignment ID
+ * @param {Object} file - File object with uri, type, name, size
+ * @param {Object} options
+ * @param {string} options.uploadId - Upload to resume (optional)
+ * @param {Function} options.onUploadStarted - Called with the upload ID of a
+ * new upload, so it can be kept for resuming
+ * @param {Function} options.onProgress - Called with
+ * { uploadedBytes, totalBytes, progress } after each chunk
+ * @param {AbortSignal} options.signal - Cancels the upload
+ * @param {string} options.authCode - Optional auth code override
+ * @returns {Promise<Object>} - Response of the completed upload, with the
+ * file link in data
+ */
+export const uploadHomeworkFileChunked = async (
+  homeworkId,
+  file,
+  {
+    uploadId = null,
+    onUploadStarted = null,
+    onProgress = null,
+    signal = null,
+    authCode = null,
+  } = {}
+) => {
+  const throwIfCancelled = () => {
+    if (signal?.aborted) {
+      throw new UploadCancelledError();
+    }
+  };
+
+  try {
+    const auth = authCode || (await getAuthCode());
+    if (!auth) {
+      throw new Error('No authentication code found');
+    }
+
+    let totalBytes = file.size || file.fileSize;
+    if (!totalBytes) {
+      const info = await FileSystem.getInfoAsync(file.uri);
+      totalBytes = info.size;
+    }
+    if (!totalBytes) {
+      throw new Error('The selected file could not be read');
+    }
+
+    const chunkSize = Config.HOMEWORK_SUBMISSION.UPLOAD_CHUNK_SIZE;
+    const totalChunks = Math.ceil(totalBytes / chunkSize);
+    const requestOptions = {
+      method: 'POST',
+      authCode: auth,
+      authParam: 'auth_code',
+      signal,
+    };
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('📤 File upload error response:', errorText);
+    // Chunks the server already has when resuming
+    let receivedChunks = [];
+    let activeUploadId = uploadId;
 
+    if (activeUploadId) {
       try {
-        const errorJson = JSON.parse(errorText);
-        throw new Error(
-          `HTTP ${response.status}: ${
-            errorJson.message || errorJson.error || 'File upload failed'
-          }`
+        const status = await apiRequest(
+          Config.API_ENDPOINTS.HOMEWORK_UPLOAD_STATUS,
+          {
+            params: { upload_id: activeUploadId },
+            authCode: auth,
+            authParam: 'auth_code',
+            signal,
+          }
         );
-      } catch (parseError) {
-        throw new Error(
-          `HTTP ${response.status}: ${errorText || 'File upload failed'}`
+        receivedChunks = status.data?.received_chunks || [];
+        console.log(
+          `📤 Resuming upload ${activeUploadId}: ${receivedChunks.length}/${totalChunks} chunks received`
         );
+      } catch (error) {
+        throwIfCancelled();
+        // The upload expired on the server; start over
+        console.warn('📤 Could not resume upload, starting again:', error);
+        activeUploadId = null;
       }
     }
 
-    const result = await response.json();
-    console.log('📤 File upload success:', result);
-    return result;
+    if (!activeUploadId) {
+      let started;
+      try {
+        started = await apiRequest(Config.API_ENDPOINTS.HOMEWORK_UPLOAD_START, {
+          ...requestOptions,
+          body: {
+            homework_id: homeworkId,
+            file_name: file.name || 'homework_submission',
+            file_type: file.type || file.mimeType || 'application/octet-stream',
+            file_size: totalBytes,
+            chunk_size: chunkSize,
+            total_chunks: totalChunks,
+          },
+        });
+      } catch (error) {
+        if (error.status === 404) {
+          chunkedUploadsUnavailable = true;
+          throw new ChunkedUploadUnsupportedError();
+        }
+        throw error;
+      }
+      activeUploadId = started.data?.upload_id;
+      if (!activeUploadId) {
+        throw new Error(started.message || 'Failed to start upload');
+      }
+
+      console.log(
+        `📤 Started upload ${activeUploadId} (${totalChunks} chunks)`
+      );
+      await onUploadStarted?.(activeUploadId);
+    }
+
+    const reportProgress = (chunkCount) => {
+      const uploadedBytes = Math.min(chunkCount * chunkSize, totalBytes);
+      onProgress?.({
+        uploadedBytes,
+        totalBytes,
+        progress: uploadedBytes / totalBytes,
+      });
+    };
+
+    const received = new Set(receivedChunks);
+    reportProgress(received.size);
+
+    for (let index = 0; index < totalChunks; index++) {
+      if (received.has(index)) continue;
+      throwIfCancelled();
+
+      const data = await FileSystem.readAsStringAsync(file.uri, {
+        encoding: FileSystem.EncodingType.Base64,
+        position: index * chunkSize,
+        length: Math.min(chunkSize, totalBytes - index * chunkSize),
+      });
+
+      try {
+        await apiRequest(Config.API_ENDPOINTS.HOMEWORK_UPLOAD_CHUNK, {
+          ...requestOptions,
+          body: { upload_id: activeUploadId, chunk_index: index, data },
+          timeout: Config.NETWORK.UPLOAD_TIMEOUT,
+          // Sending the same chunk twice is harmless
+          idempotent: true,
+        });
+      } catch (error) {
+        throwIfCancelled();
+        throw error;
+      }
+
+      received.add(index);
+      reportProgress(received.size);
+    }
+
+    throwIfCancelled();
+    const result = await apiRequest(
+      Config.API_ENDPOINTS.HOMEWORK_UPLOAD_COMPLETE,
+      {
+        ...requestOptions,
+        body: { upload_id: activeUploadId },
+      }
+    );
+    console.log('📤 Chunked upload complete:', result);
+    return { ...result, upload_id: activeUploadId };
   } catch (error) {
-    console.error('Error uploading homework file:', error);
+    if (error instanceof UploadCancelledError) {
+      console.log('📤 Upload cancelled');
+    } else if (error instanceof ChunkedUploadUnsupportedError) {
+      console.warn('📤 Chunked uploads unavailable, using one-shot upload');
+    } else {
+      console.error('Error uploading homework file in chunks:', error);
+    }
     throw error;
   }
 };
@@ -941,14 +1060,11 @@ export const markHomeworkAsViewed = async (homeworkId, authCode = null) => {
       throw new Error('No authentication code found');
     }
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.MARK_HOMEWORK_VIEWED);
-
-    return await makeHomeworkApiRequest(url, {
+    return await apiRequest(Config.API_ENDPOINTS.MARK_HOMEWORK_VIEWED, {
       method: 'POST',
-      body: JSON.stringify({
-        homework_id: homeworkId,
-        auth_code: auth,
-      }),
+      body: { homework_id: homeworkId },
+      authCode: auth,
+      authParam: 'auth_code',
     });
   } catch (error) {
     console.error('Error marking homework as viewed:', error);
@@ -969,14 +1085,11 @@ export const markHomeworkAsDone = async (homeworkId, authCode = null) => {
       throw new Error('No authentication code found');
     }
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.MARK_HOMEWORK_DONE);
-
-    return await makeHomeworkApiRequest(url, {
+    return await apiRequest(Config.API_ENDPOINTS.MARK_HOMEWORK_DONE, {
       method: 'POST',
-      body: JSON.stringify({
-        homework_id: homeworkId,
-        auth_code: auth,
-      }),
+      body: { homework_id: homeworkId },
+      authCode: auth,
+      authParam: 'auth_code',
     });
   } catch (error) {
     console.error('Error marking homework as done:', error);
@@ -1010,14 +1123,14 @@ export const reviewHomeworkSubmission = async (
 
     const url = buildApiUrl('/teacher/homework/review');
 
-    return await makeHomeworkApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         auth_code: auth,
         detail_id: detailId,
         action: action,
         comment: comment.trim(),
-      }),
+      },
     });
   } catch (error) {
     console.error('Error reviewing homework submission:', error);
@@ -1058,16 +1171,16 @@ export const updateHomeworkSubmission = async (
       requestBody.reply_file = fileLink;
     }
 
-    console.log('📝 Updating homework submission to:', url);
+    console.log('📝 Updating homework submission to:', redactUrl(url));
     console.log('📝 Update data:', {
       detail_id: detailId,
       reply_data: submissionText,
       reply_file: fileLink,
     });
 
-    return await makeHomeworkApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify(requestBody),
+      body: requestBody,
     });
   } catch (error) {
     console.error('Error updating homework submission:', error);
@@ -1095,14 +1208,14 @@ export const submitHomeworkAssignment = async (
 
     const url = buildApiUrl(Config.API_ENDPOINTS.SUBMIT_HOMEWORK);
 
-    return await makeHomeworkApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         homework_id: homeworkId,
         reply_data: submissionText,
 
         auth_code: auth,
-      }),
+      },
     });
   } catch (error) {
     console.error('Error submitting homework:', error);
@@ -1119,6 +1232,10 @@ export const submitHomeworkAssignment = async (
  * @param {Array} studentIds - Array of student IDs
  * @param {string} deadline - Deadline date
  * @param {string} authCode - Optional auth code override
+ * @param {Object} latePolicy - How late submissions are treated (see
+ * utils/latePolicy); the server default applies when omitted
+ * @param {number} rubricId - Library rubric to grade the homework with
+ * (optional)
  * @returns {Promise<Object>} - Response data
  */
 export const createHomeworkAssignment = async (
@@ -1128,7 +1245,9 @@ export const createHomeworkAssignment = async (
   subjectId,
   studentIds,
   deadline,
-  authCode = null
+  authCode = null,
+  latePolicy = null,
+  rubricId = null
 ) => {
   try {
     const auth = authCode || (await getAuthCode());
@@ -1147,21 +1266,25 @@ export const createHomeworkAssignment = async (
         subject_id: subjectId,
         students: studentIds,
         due_date: deadline,
+        late_policy: latePolicy,
+        rubric_id: rubricId,
         auth_code: auth,
       }
     );
 
-    return await makeHomeworkApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         title: title,
         description: description,
         grade_id: gradeId,
         subject_id: subjectId, // Add subject_id to the request
         students: studentIds,
         due_date: deadline,
+        late_policy: latePolicy ? normalizeLatePolicy(latePolicy) : undefined,
+        rubric_id: rubricId || undefined,
         auth_code: auth,
-      }),
+      },
     });
   } catch (error) {
     console.error('Error creating homework assignment:', error);
@@ -1206,8 +1329,7 @@ export const uploadHomeworkAssignmentFile = async (
       }
     );
 
-    console.log('📚 Uploading assignment file to:', urlWithAuth);
-    console.log('📚 Auth passed as query parameter:', auth);
+    console.log('📚 Uploading assignment file to:', redactUrl(urlWithAuth));
     console.log('📚 FormData contents:', {
       homework_id: homeworkId,
       class_name: className,
@@ -1218,32 +1340,12 @@ export const uploadHomeworkAssignmentFile = async (
       },
     });
 
-    const response = await fetch(urlWithAuth, {
+    // FormData lets fetch set the multipart boundary itself
+    const result = await apiRequest(urlWithAuth, {
       method: 'POST',
       body: formData,
+      timeout: Config.NETWORK.UPLOAD_TIMEOUT,
     });
-
-    console.log('📚 Assignment file upload response status:', response.status);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('📚 Assignment file upload error response:', errorText);
-
-      try {
-        const errorJson = JSON.parse(errorText);
-        throw new Error(
-          `HTTP ${response.status}: ${
-            errorJson.message || errorJson.error || 'Upload failed'
-          }`
-        );
-      } catch (parseError) {
-        throw new Error(
-          `HTTP ${response.status}: ${errorText || 'Upload failed'}`
-        );
-      }
-    }
-
-    const result = await response.json();
     console.log('📚 Assignment file upload success:', result);
     return result;
   } catch (error) {
@@ -1253,11 +1355,19 @@ export const uploadHomeworkAssignmentFile = async (
 };
 
 /**
- * Get student's homework submission history (folder-based)
+ * Get homework submissions
+ * Without a homework ID this is the student's own submission history
+ * (folder-based); with one, a teacher gets every submission to that
+ * assignment. Each submission gets `lateness` (see utils/latePolicy) when
+ * the response includes its deadline.
  * @param {string} authCode - Optional auth code override
+ * @param {number} homeworkId - Optional homework ID (teachers)
  * @returns {Promise<Object>} - Response data
  */
-export const getHomeworkSubmissions = async (authCode = null) => {
+export const getHomeworkSubmissions = async (
+  authCode = null,
+  homeworkId = null
+) => {
   try {
     const auth = authCode || (await getAuthCode());
     if (!auth) {
@@ -1266,11 +1376,22 @@ export const getHomeworkSubmissions = async (authCode = null) => {
 
     const url = buildApiUrl(Config.API_ENDPOINTS.GET_HOMEWORK_SUBMISSIONS, {
       auth_code: auth,
+      ...(homeworkId ? { homework_id: homeworkId } : {}),
     });
 
-    return await makeHomeworkApiRequest(url, {
+    const response = await apiRequest(url, {
       method: 'GET',
     });
+
+    if (!Array.isArray(response?.data)) return response;
+
+    return {
+      ...response,
+      data: response.data.map((submission) => ({
+        ...submission,
+        lateness: getSubmissionLateness(submission),
+      })),
+    };
   } catch (error) {
     console.error('Error getting homework submissions:', error);
     throw error;
@@ -1293,7 +1414,7 @@ export const getTeacherHomeworkClasses = async (authCode = null) => {
       auth_code: auth,
     });
 
-    return await makeHomeworkApiRequest(url, {
+    return await apiRequest(url, {
       method: 'GET',
     });
   } catch (error) {
@@ -1301,3 +1422,315 @@ export const getTeacherHomeworkClasses = async (authCode = null) => {
     throw error;
   }
 };
+
+/**
+ * Get the teacher's rubric library
+ * @param {string} authCode - Optional auth code override
+ * @returns {Promise<Object>} - Response data with rubrics in data
+ */
+export const getHomeworkRubrics = async (authCode = null) => {
+  try {
+    const auth = authCode || (await getAuthCode());
+    if (!auth) {
+      throw new Error('No authentication code found');
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.GET_HOMEWORK_RUBRICS, {
+      auth_code: auth,
+    });
+
+    return await apiRequest(url, {
+      method: 'GET',
+    });
+  } catch (error) {
+    console.error('Error getting homework rubrics:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save a rubric to the library
+ * A rubric without an ID is created; otherwise it is updated. Homework it
+ * is already attached to keeps the version it was graded with.
+ * @param {Object} rubric - Rubric with criteria and levels (see utils/rubrics)
+ * @param {string} authCode - Optional auth code override
+ * @returns {Promise<Object>} - Response data with the saved rubric in data
+ */
+export const saveHomeworkRubric = async (rubric, authCode = null) => {
+  try {
+    const auth = authCode || (await getAuthCode());
+    if (!auth) {
+      throw new Error('No authentication code found');
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.SAVE_HOMEWORK_RUBRIC);
+
+    return await apiRequest(url, {
+      method: 'POST',
+      body: {
+        auth_code: auth,
+        rubric: normalizeRubric(rubric),
+      },
+    });
+  } catch (error) {
+    console.error('Error saving homework rubric:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a rubric from the library
+ * @param {number} rubricId - Rubric ID
+ * @param {string} authCode - Optional auth code override
+ * @returns {Promise<Object>} - Response data
+ */
+export const deleteHomeworkRubric = async (rubricId, authCode = null) => {
+  try {
+    const auth = authCode || (await getAuthCode());
+    if (!auth) {
+      throw new Error('No authentication code found');
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.DELETE_HOMEWORK_RUBRIC);
+
+    return await apiRequest(url, {
+      method: 'POST',
+      body: {
+        auth_code: auth,
+        rubric_id: rubricId,
+      },
+    });
+  } catch (error) {
+    console.error('Error deleting homework rubric:', error);
+    throw error;
+  }
+};
+
+/**
+ * Grade a homework submission with its rubric
+ * @param {string} detailId - Homework detail ID
+ * @param {Object} rubric - Rubric attached to the homework
+ * @param {Object} selections - Chosen level per criterion:
+ * { [criterionId]: levelId }
+ * @param {string} authCode - Optional auth code override
+ * @returns {Promise<Object>} - Response data
+ */
+export const gradeHomeworkWithRubric = async (
+  detailId,
+  rubric,
+  selections,
+  authCode = null
+) => {
+  try {
+    const auth = authCode || (await getAuthCode());
+    if (!auth) {
+      throw new Error('No authentication code found');
+    }
+
+    const { complete, ...rubricGrade } = scoreRubric(rubric, selections);
+    if (!complete) {
+      throw new Error('Choose a level for every criterion');
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.GRADE_HOMEWORK_RUBRIC);
+
+    const response = await apiRequest(url, {
+      method: 'POST',
+      body: {
+        auth_code: auth,
+        detail_id: detailId,
+        rubric_grade: rubricGrade,
+      },
+    });
+
+    return { ...response, rubricGrade };
+  } catch (error) {
+    console.error('Error grading homework with rubric:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a submitted file as page images for annotation
+ * Images come back as one page; PDFs as one image per page.
+ * @param {string} detailId - Homework detail ID
+ * @param {string} authCode - Optional auth code override
+ * @returns {Promise<Object>} - Response data with { file_url, pages } in data
+ */
+export const getSubmissionFilePages = async (detailId, authCode = null) => {
+  try {
+    const auth = authCode || (await getAuthCode());
+    if (!auth) {
+      throw new Error('No authentication code found');
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.GET_SUBMISSION_FILE_PAGES, {
+      auth_code: auth,
+      detail_id: detailId,
+    });
+
+    return await apiRequest(url, {
+      method: 'GET',
+    });
+  } catch (error) {
+    console.error('Error getting submission file pages:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save the teacher's annotations on a submitted file
+ * The annotation is returned to the student with the submission as
+ * file_annotation.
+ * @param {string} detailId - Homework detail ID
+ * @param {Object} annotation - { file_url, pages, items } (see utils/annotations)
+ * @param {string} authCode - Optional auth code override
+ * @returns {Promise<Object>} - Response data with the saved annotation
+ */
+export const saveSubmissionAnnotation = async (
+  detailId,
+  annotation,
+  authCode = null
+) => {
+  try {
+    const auth = authCode || (await getAuthCode());
+    if (!auth) {
+      throw new Error('No authentication code found');
+    }
+
+    const fileAnnotation = normalizeAnnotation(annotation);
+    const url = buildApiUrl(Config.API_ENDPOINTS.SAVE_SUBMISSION_ANNOTATION);
+
+    const response = await apiRequest(url, {
+      method: 'POST',
+      body: {
+        auth_code: auth,
+        detail_id: detailId,
+        annotation: fileAnnotation,
+      },
+    });
+
+    return {
+      ...response,
+      annotation: response.data?.annotation || fileAnnotation,
+    };
+  } catch (error) {
+    console.error('Error saving submission annotation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the comment thread on a homework submission
+ * The teacher and the student who submitted can read it; parents read it
+ * through parentService.getChildHomeworkComments.
+ * @param {string} detailId - Homework detail ID
+ * @param {string} authCode - Optional auth code override
+ * @returns {Promise<Object>} - Response data with comments, oldest first
+ */
+export const getSubmissionComments = async (detailId, authCode = null) => {
+  try {
+    const auth = authCode || (await getAuthCode());
+    if (!auth) {
+      throw new Error('No authentication code found');
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.GET_SUBMISSION_COMMENTS, {
+      auth_code: auth,
+      detail_id: detailId,
+    });
+
+    return await apiRequest(url, {
+      method: 'GET',
+    });
+  } catch (error) {
+    console.error('Error getting submission comments:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add a comment to a submission's thread
+ * The server notifies the other side of the thread: the student when the
+ * teacher comments, and the teacher when the student does.
+ * @param {string} detailId - Homework detail ID
+ * @param {Object} comment - { body, attachments }, where attachments are
+ * results of uploadSubmissionCommentAttachment
+ * @param {string} authCode - Optional auth code override
+ * @returns {Promise<Object>} - Response data with the saved comment in data
+ */
+export const addSubmissionComment = async (
+  detailId,
+  { body = '', attachments = [] },
+  authCode = null
+) => {
+  try {
+    const auth = authCode || (await getAuthCode());
+    if (!auth) {
+      throw new Error('No authentication code found');
+    }
+
+    if (!body.trim() && attachments.length === 0) {
+      throw new Error('Write a comment or attach a file');
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.ADD_SUBMISSION_COMMENT);
+
+    return await apiRequest(url, {
+      method: 'POST',
+      body: {
+        auth_code: auth,
+        detail_id: detailId,
+        body: body.trim(),
+        attachments,
+      },
+    });
+  } catch (error) {
+    console.error('Error adding submission comment:', error);
+    throw error;
+  }
+};
+
+/**
+ * Upload a file to attach to a submission comment
+ * @param {string} detailId - Homework detail ID
+ * @param {Object} file - Picked file ({ uri, name, type/mimeType })
+ * @param {string} authCode - Optional auth code override
+ * @returns {Promise<Object>} - Response data with { url, name, type, size }
+ * in data
+ */
+export const uploadSubmissionCommentAttachment = async (
+  detailId,
+  file,
+  authCode = null
+) => {
+  try {
+    const auth = authCode || (await getAuthCode());
+    if (!auth) {
+      throw new Error('No authentication code found');
+    }
+
+    const formData = new FormData();
+    formData.append('detail_id', detailId);
+    formData.append('file', {
+      uri: file.uri,
+      type: file.type || file.mimeType || 'application/octet-stream',
+      name: file.name || file.fileName || 'comment_attachment',
+    });
+
+    const url = buildApiUrl(
+      Config.API_ENDPOINTS.UPLOAD_SUBMISSION_COMMENT_ATTACHMENT,
+      { auth_code: auth }
+    );
+
+    // FormData lets fetch set the multipart boundary itself
+    return await apiRequest(url, {
+      method: 'POST',
+      body: formData,
+      timeout: Config.NETWORK.UPLOAD_TIMEOUT,
+    });
+  } catch (error) {
+    console.error('Error uploading comment attachment:', error);
+    throw error;
+  }
+};
@@ -3,6 +3,9 @@
  * Central export point for all service modules
  */
 
+// API Client
+export * from './apiClient';
+
 // Authentication Services
 export * from './authService';
 
@@ -10,18 +13,21 @@ export * from './authService';
 export * from './staffService';
 export * from './staffReportsService';
 export * from './teacherAssessmentService';
+export * from './attendanceSyncService';
 
 // Student Services
 export * from './studentAssessmentService';
 
 // Existing Services
 export * from './homeworkService';
+export * from './homeworkDraftService';
 export * from './notificationService';
 export * from './informationService';
 export * from './demoModeService';
 
 // Service Categories for organized imports
 export { default as InformationService } from './informationService';
+export { default as apiClient } from './apiClient';
 
 /**
  * Quick access to new staff API functions
@@ -36,8 +42,7 @@ export {
   // Staff Timetable
   getStaffTimetable,
 
-  // Attendance Management
-  storeClassAttendance,
+  // Attendance Management (submitClassAttendance is in attendanceSyncService)
   getTeacherClassesForAttendance,
 
   // BPS Management
@@ -159,7 +164,7 @@ export const ServiceConfig = {
     // Old function -> New function
     teacherLogin: 'staffLogin',
     GET_TEACHER_TIMETABLE: 'getStaffTimetable',
-    TAKE_ATTENDANCE: 'storeClassAttendance',
+    TAKE_ATTENDANCE: 'submitClassAttendance',
     STORE_BPS: 'storeBPSRecord',
     CREATE_HOMEWORK_ASSIGNMENT: 'createHomeworkAssignment',
   },
@@ -211,7 +216,6 @@ export const getServiceDocumentation = () => {
         'staffLogin',
         'getStaffDashboard',
         'getStaffTimetable',
-        'storeClassAttendance',
         'storeBPSRecord',
         'createHomeworkAssignment',
         'getHomeroomClassrooms',
@@ -4,7 +4,10 @@
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from './secureStorage';
 import { Config, buildApiUrl } from '../config/env';
+import { apiRequest } from './apiClient';
+import { redactUrl } from '../utils/queryString';
 
 // Flag to toggle between dummy data and real API
 const USE_DUMMY_DATA = Config.DEV.USE_DUMMY_DATA;
@@ -15,7 +18,7 @@ const USE_DUMMY_DATA = Config.DEV.USE_DUMMY_DATA;
  */
 export const getUserBranchInfo = async () => {
   try {
-    const userData = await AsyncStorage.getItem('userData');
+    const userData = await secureSessionStorage.getItem('userData');
     if (!userData) {
       console.log('📍 INFO SERVICE: No user data found');
       return { branchId: null, branchName: null, userType: null };
@@ -72,14 +75,16 @@ export const getAllUserData = async () => {
 
   try {
     // Check for direct login userData (teacher or student)
-    const userData = await AsyncStorage.getItem('userData');
+    const userData = await secureSessionStorage.getItem('userData');
     if (userData) {
       const user = JSON.parse(userData);
       allUsers.push(user);
     }
 
     // Check for student accounts in parent system
-    const studentAccountsStr = await AsyncStorage.getItem('studentAccounts');
+    const studentAccountsStr = await secureSessionStorage.getItem(
+      'studentAccounts'
+    );
     if (studentAccountsStr) {
       const studentAccounts = JSON.parse(studentAccountsStr);
       allUsers.push(...studentAccounts);
@@ -126,32 +131,6 @@ export const getUniqueBranches = async () => {
   }
 };
 
-/**
- * Helper function to make API requests with proper error handling
- */
-const makeInfoApiRequest = async (url, options = {}) => {
-  try {
-    const response = await fetch(url, {
-      timeout: Config.NETWORK.TIMEOUT,
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-        ...options.headers,
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error('Information API request failed:', error);
-    throw error;
-  }
-};
-
 // Mock data for testing
 const mockAboutData = {
   success: true,
@@ -305,10 +284,13 @@ export const getAboutUsData = async (branchId = null) => {
 
     const params = branchId ? { branch_id: branchId } : {};
     const url = buildApiUrl(Config.API_ENDPOINTS.GET_ABOUT_DATA, params);
-    console.log('📖 INFO SERVICE: Fetching About Us data from:', url);
+    console.log(
+      '📖 INFO SERVICE: Fetching About Us data from:',
+      redactUrl(url)
+    );
     console.log('📖 INFO SERVICE: Branch filter:', branchId || 'All branches');
 
-    const response = await makeInfoApiRequest(url);
+    const response = await apiRequest(url);
     console.log('📖 INFO SERVICE: About Us data received:', response);
 
     return response;
@@ -337,10 +319,13 @@ export const getContactsData = async (branchId = null) => {
 
     const params = branchId ? { branch_id: branchId } : {};
     const url = buildApiUrl(Config.API_ENDPOINTS.GET_CONTACTS_DATA, params);
-    console.log('📞 INFO SERVICE: Fetching Contacts data from:', url);
+    console.log(
+      '📞 INFO SERVICE: Fetching Contacts data from:',
+      redactUrl(url)
+    );
     console.log('📞 INFO SERVICE: Branch filter:', branchId || 'All branches');
 
-    const response = await makeInfoApiRequest(url);
+    const response = await apiRequest(url);
     console.log('📞 INFO SERVICE: Contacts data received:', response);
 
     return response;
@@ -369,10 +354,10 @@ export const getFAQData = async (branchId = null) => {
 
     const params = branchId ? { branch_id: branchId } : {};
     const url = buildApiUrl(Config.API_ENDPOINTS.GET_FAQ_DATA, params);
-    console.log('❓ INFO SERVICE: Fetching FAQ data from:', url);
+    console.log('❓ INFO SERVICE: Fetching FAQ data from:', redactUrl(url));
     console.log('❓ INFO SERVICE: Branch filter:', branchId || 'All branches');
 
-    const response = await makeInfoApiRequest(url);
+    const response = await apiRequest(url);
     console.log('❓ INFO SERVICE: FAQ data received:', response);
 
     return response;
@@ -13,6 +13,14 @@ import {
   logoutUserFromDevice,
 } from './deviceService';
 import { getUserDataStorageKey, getAllLoggedInUsers } from './authService';
+import { clearResponseCache } from './responseCache';
+import { secureSessionStorage, wipeSecureStorage } from './secureStorage';
+import { removeAccountLocksForUserType } from './appLockService';
+import { disableAutoPickup } from './pickupGeofenceService';
+import { clearHomeworkReminders } from './homeworkReminderService';
+import { clearOutgoingMessages } from './messagingService';
+import { clearAttendanceSyncQueue } from './attendanceSyncService';
+import { resetSessionManager } from './sessionManager';
 
 /**
  * Check if shared data should be cleared (only if no other users are logged in)
@@ -60,6 +68,9 @@ export const performLogout = async (options = {}) => {
 
   console.log('🚪 LOGOUT: Starting comprehensive logout process...');
 
+  // Auth code of the account logging out, once found in step 1
+  let logoutAuthCode = null;
+
   try {
     // 0. Clean up context states first
     if (messagingCleanup && typeof messagingCleanup === 'function') {
@@ -81,7 +92,7 @@ export const performLogout = async (options = {}) => {
       // Try to get auth code from user-type-specific storage first
       if (currentUserType !== 'unknown') {
         const userTypeKey = getUserDataStorageKey(currentUserType);
-        const userTypeData = await AsyncStorage.getItem(userTypeKey);
+        const userTypeData = await secureSessionStorage.getItem(userTypeKey);
         if (userTypeData) {
           const user = JSON.parse(userTypeData);
           authCode = user.authCode || user.auth_code;
@@ -98,7 +109,7 @@ export const performLogout = async (options = {}) => {
 
       // Fallback to generic userData if no user-type-specific data found
       if (!authCode) {
-        const userData = await AsyncStorage.getItem('userData');
+        const userData = await secureSessionStorage.getItem('userData');
         if (userData) {
           const user = JSON.parse(userData);
           authCode = user.authCode || user.auth_code;
@@ -110,8 +121,12 @@ export const performLogout = async (options = {}) => {
         }
       }
 
+      logoutAuthCode = authCode;
+
       // Check if there are student accounts on this device (parent accounts)
-      const studentAccounts = await AsyncStorage.getItem('studentAccounts');
+      const studentAccounts = await secureSessionStorage.getItem(
+        'studentAccounts'
+      );
       const hasStudentAccounts =
         studentAccounts && JSON.parse(studentAccounts).length > 0;
 
@@ -203,18 +218,18 @@ export const performLogout = async (options = {}) => {
       console.log(
         `👤 LOGOUT: Clearing ${userType} user data from key: ${userStorageKey}`
       );
-      await AsyncStorage.removeItem(userStorageKey);
+      await secureSessionStorage.removeItem(userStorageKey);
 
       // Only clear generic userData if it matches the current user type
       try {
-        const genericUserData = await AsyncStorage.getItem('userData');
+        const genericUserData = await secureSessionStorage.getItem('userData');
         if (genericUserData) {
           const parsed = JSON.parse(genericUserData);
           if (parsed.userType === userType) {
             console.log(
               '👤 LOGOUT: Clearing generic userData as it matches current user type'
             );
-            await AsyncStorage.removeItem('userData');
+            await secureSessionStorage.removeItem('userData');
           } else {
             console.log(
               `👤 LOGOUT: Preserving generic userData (different user type: ${parsed.userType})`
@@ -231,14 +246,37 @@ export const performLogout = async (options = {}) => {
     } else {
       // Fallback: clear all user data if userType not specified
       console.log('👤 LOGOUT: No userType specified, clearing all user data');
-      await AsyncStorage.removeItem('userData');
+      await secureSessionStorage.removeItem('userData');
     }
-    await AsyncStorage.removeItem('calendarUserData'); // Clear temporary calendar user data
+    await secureSessionStorage.removeItem('calendarUserData'); // Clear temporary calendar user data
 
     // 3.1. Clear guardian data
     console.log('🛡️ LOGOUT: Clearing guardian data...');
     await guardianStorageService.clearGuardianData();
 
+    // 3.2. Remove app locks of the accounts that were logged out
+    console.log('🔓 LOGOUT: Removing app locks...');
+    await removeAccountLocksForUserType(userType);
+    await removeAccountLocksForUserType('guardian');
+
+    // 3.3. Stop automatic pickup requests for the parent
+    if (!userType || userType === 'parent') {
+      console.log('📍 LOGOUT: Stopping automatic pickup requests...');
+      await disableAutoPickup();
+    }
+
+    // 3.4. Drop messages the account queued but never sent
+    if (clearAllData || logoutAuthCode) {
+      console.log('📤 LOGOUT: Clearing unsent messages...');
+      await clearOutgoingMessages(clearAllData ? null : logoutAuthCode);
+    }
+
+    // 3.5. Drop the teacher's attendance that is still waiting to sync
+    if (clearAllData || logoutAuthCode) {
+      console.log('📋 LOGOUT: Clearing queued attendance...');
+      await clearAttendanceSyncQueue(clearAllData ? null : logoutAuthCode);
+    }
+
     // 4. Clear notification history and related data (only if no other users)
     console.log(
       '🔔 LOGOUT: Checking if notification data should be cleared...'
@@ -330,13 +368,21 @@ export const performLogout = async (options = {}) => {
         `🗂️ LOGOUT: Removing ${cacheKeys.length} cache keys for ${userType}:`,
         cacheKeys
       );
-      await AsyncStorage.multiRemove(cacheKeys);
+      await secureSessionStorage.multiRemove(cacheKeys);
     }
 
+    // 7.1. Clear cached API responses (grades, timetable, homework, ...)
+    console.log('🗂️ LOGOUT: Clearing response cache...');
+    await clearResponseCache();
+
+    // 7.2. Forget expired auth codes and renewals of the old session
+    resetSessionManager();
+
     // 8. Handle student accounts based on user type and logout type
     if (clearAllData) {
       console.log('👨‍👩‍👧‍👦 LOGOUT: Clearing student accounts (complete logout)...');
-      await AsyncStorage.removeItem('studentAccounts');
+      await secureSessionStorage.removeItem('studentAccounts');
+      await clearHomeworkReminders();
     } else if (userType === 'student') {
       console.log(
         '👨‍👩‍👧‍👦 LOGOUT: Student logout - clearing student-specific data...'
@@ -348,7 +394,9 @@ export const performLogout = async (options = {}) => {
 
       try {
         const studentStorageKey = getUserDataStorageKey('student');
-        const studentData = await AsyncStorage.getItem(studentStorageKey);
+        const studentData = await secureSessionStorage.getItem(
+          studentStorageKey
+        );
         if (studentData) {
           const parsed = JSON.parse(studentData);
           studentAuthCode = parsed.authCode || parsed.auth_code;
@@ -358,8 +406,15 @@ export const performLogout = async (options = {}) => {
         console.warn('⚠️ LOGOUT: Error getting student identifiers:', error);
       }
 
+      // Homework reminders and unsent messages of other students on the
+      // device are kept
+      if (studentAuthCode) {
+        await clearHomeworkReminders(studentAuthCode);
+        await clearOutgoingMessages(studentAuthCode);
+      }
+
       // Clear basic student data
-      await AsyncStorage.multiRemove([
+      await secureSessionStorage.multiRemove([
         'studentAccounts',
         'selectedStudent',
         'selectedStudentId',
@@ -521,11 +576,11 @@ export const cleanupStudentDataFromStorage = async () => {
 
     // 2. Clear generic userData if it contains student data
     try {
-      const userData = await AsyncStorage.getItem('userData');
+      const userData = await secureSessionStorage.getItem('userData');
       if (userData) {
         const parsed = JSON.parse(userData);
         if (parsed.userType === 'student') {
-          await AsyncStorage.removeItem('userData');
+          await secureSessionStorage.removeItem('userData');
           console.log(
             '🧹 MANUAL CLEANUP: Cleared generic userData (contained student data)'
           );
@@ -577,7 +632,8 @@ export const cleanupStudentDataFromStorage = async () => {
 };
 
 /**
- * Complete device reset - unregisters FCM and clears all data
+ * Complete device reset - unregisters FCM and clears all data,
+ * including the auth codes held in secure storage
  * Use this when switching devices or doing a factory reset
  */
 export const performDeviceReset = async () => {
@@ -614,6 +670,10 @@ export const performDeviceReset = async () => {
       clearAllData: true,
     });
 
+    // 3. Wipe auth codes from the keychain/keystore, even if logout failed
+    console.log('🔐 DEVICE RESET: Wiping secure storage...');
+    await wipeSecureStorage();
+
     if (logoutResult.success) {
       console.log('✅ DEVICE RESET: Complete device reset successful');
       return { success: true, message: 'Device reset completed successfully' };
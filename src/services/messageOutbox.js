@@ -0,0 +1,485 @@
+/**
+ * Message Outbox
+ * Durable queue for outgoing conversation messages.
+ *
+ * Messages are written to the outbox before they are sent, so nothing the
+ * user typed is lost when a request fails or the app is closed. Entries are
+ * stored on the device (auth codes in secure storage) and shown in the
+ * conversation as pending until the server accepts them. Network and server
+ * failures are retried with backoff and whenever NetInfo reports the device
+ * back online. After the last attempt, or when the server rejects the
+ * message, the entry is marked failed until the user retries or discards it.
+ *
+ * Attachments are uploaded first and the uploaded URL is kept on the entry,
+ * so a retry does not upload the file again. The entry ID is sent as
+ * client_message_id so the server can ignore a duplicate when a response
+ * was lost after the message had been stored.
+ */
+
+import NetInfo from '@react-native-community/netinfo';
+import { secureSessionStorage } from './secureStorage';
+import { AuthExpiredError, ValidationError } from './apiClient';
+
+export const OUTBOX_STATUS = {
+  PENDING: 'pending',
+  SENDING: 'sending',
+  SENT: 'sent',
+  FAILED: 'failed',
+};
+
+const DEFAULT_OPTIONS = {
+  storageKey: 'messageOutbox',
+  maxAttempts: 5,
+  retryBaseDelay: 2000,
+  retryMaxDelay: 60000,
+  // Sent entries are kept briefly so open screens can swap in the server copy
+  sentEntryTtl: 5 * 60 * 1000,
+};
+
+/**
+ * Error raised when the server explicitly rejects a message.
+ * Rejections are not retried automatically.
+ */
+class MessageRejectedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MessageRejectedError';
+  }
+}
+
+const isRetryable = (error) =>
+  !(
+    error instanceof MessageRejectedError ||
+    error instanceof ValidationError ||
+    error instanceof AuthExpiredError
+  );
+
+const createEntryId = () =>
+  `outbox-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Shape an outbox entry like a conversation message for display
+ * @param {Object} entry - Outbox entry
+ * @returns {Object} - Own message with is_pending, outbox_id and outbox_status
+ */
+export const toPendingMessage = (entry) => ({
+  message_id: entry.id,
+  content: entry.content,
+  message_type: entry.messageType,
+  attachment_url: entry.attachmentUrl || entry.attachment?.uri || null,
+  created_at: new Date(entry.createdAt).toISOString(),
+  reactions: [],
+  ...entry.display,
+  is_own_message: true,
+  is_pending: true,
+  outbox_id: entry.id,
+  outbox_status: entry.status,
+});
+
+/**
+ * Message Outbox Class
+ */
+class MessageOutbox {
+  /**
+   * @param {Object} options - Outbox options
+   * @param {Function} options.sendMessage - messagingService.sendMessage
+   * @param {Function} options.uploadAttachment - (file, authCode) => response
+   * @param {Object} options.storage - AsyncStorage-like store (defaults to secure storage)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.storage = options.storage || secureSessionStorage;
+
+    this.listeners = new Set();
+    // Entry IDs currently being sent by this process
+    this.inFlight = new Set();
+    // Serialises read-modify-write cycles on the stored queue
+    this.writeChain = Promise.resolve();
+    this.processing = null;
+    this.processAgain = false;
+    this.retryTimer = null;
+    this.netInfoUnsubscribe = null;
+  }
+
+  // ---------------------------------------------------------------------
+  // Storage
+  // ---------------------------------------------------------------------
+
+  async readQueue() {
+    try {
+      const stored = await this.storage.getItem(this.options.storageKey);
+      return stored ? JSON.parse(stored) : {};
+    } catch (error) {
+      console.error('❌ MESSAGE OUTBOX: Failed to read outbox:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Change the stored queue and notify subscribers
+   * @param {Function} change - Receives the queue to modify in place
+   * @returns {Promise<any>} - Whatever change returns
+   */
+  mutate(change) {
+    const run = this.writeChain.then(async () => {
+      const queue = await this.readQueue();
+      const result = change(queue);
+
+      const now = Date.now();
+      Object.keys(queue).forEach((id) => {
+        const entry = queue[id];
+        if (
+          entry.status === OUTBOX_STATUS.SENT &&
+          now - entry.updatedAt > this.options.sentEntryTtl
+        ) {
+          delete queue[id];
+        }
+      });
+
+      await this.storage.setItem(
+        this.options.storageKey,
+        JSON.stringify(queue)
+      );
+      this.notify(queue);
+      return result;
+    });
+
+    // A failed write must not block the ones queued after it
+    this.writeChain = run.catch((error) => {
+      console.error('❌ MESSAGE OUTBOX: Failed to write outbox:', error);
+    });
+    return run;
+  }
+
+  updateEntry(id, changes) {
+    return this.mutate((queue) => {
+      if (!queue[id]) return null;
+      queue[id] = { ...queue[id], ...changes, updatedAt: Date.now() };
+      return queue[id];
+    });
+  }
+
+  notify(queue) {
+    const entries = Object.values(queue).sort(
+      (a, b) => a.createdAt - b.createdAt
+    );
+    this.listeners.forEach((listener) => {
+      try {
+        listener(entries);
+      } catch (error) {
+        console.error('❌ MESSAGE OUTBOX: Listener error:', error);
+      }
+    });
+  }
+
+  async isOnline() {
+    try {
+      const state = await NetInfo.fetch();
+      return !!state.isConnected && state.isInternetReachable !== false;
+    } catch (error) {
+      // Assume online and let the request itself decide
+      return true;
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Sending
+  // ---------------------------------------------------------------------
+
+  /**
+   * Queue a message and send it straight away if the device is online
+   * @param {Object} params - Message parameters
+   * @param {string} params.conversationUuid - UUID of the conversation
+   * @param {string} params.authCode - Auth code of the sender
+   * @param {string} params.content - Message text
+   * @param {string} params.messageType - Message type (default 'text')
+   * @param {Object} params.attachment - File to upload first ({ uri, name, type })
+   * @param {string} params.attachmentUrl - Attachment that is already uploaded
+   * @param {number} params.replyToMessageId - Message being replied to
+   * @param {boolean} params.urgent - Deliver even during the school's quiet hours
+   * @param {Object} params.display - Extra fields for the pending bubble (sender, reply_to)
+   * @returns {Promise<Object>} - Entry after the first attempt
+   */
+  async enqueue({
+    conversationUuid,
+    authCode,
+    content,
+    messageType = 'text',
+    attachment = null,
+    attachmentUrl = null,
+    replyToMessageId = null,
+    urgent = false,
+    display = {},
+  }) {
+    const now = Date.now();
+    const entry = {
+      id: createEntryId(),
+      conversationUuid,
+      authCode,
+      content,
+      messageType,
+      attachment,
+      attachmentUrl,
+      replyToMessageId,
+      urgent,
+      display,
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    await this.mutate((queue) => {
+      queue[entry.id] = entry;
+    });
+    console.log(`📥 MESSAGE OUTBOX: Queued message ${entry.id}`);
+
+    if (!(await this.isOnline())) {
+      console.log('📴 MESSAGE OUTBOX: Offline, message will be sent later');
+      return entry;
+    }
+
+    return (await this.deliver(entry)) || entry;
+  }
+
+  /**
+   * Upload the attachment (if any) and send one entry
+   * @param {Object} entry - Outbox entry
+   * @returns {Promise<Object|null>} - Updated entry
+   */
+  async deliver(entry) {
+    if (this.inFlight.has(entry.id)) return null;
+    this.inFlight.add(entry.id);
+
+    try {
+      await this.updateEntry(entry.id, { status: OUTBOX_STATUS.SENDING });
+
+      let attachmentUrl = entry.attachmentUrl;
+      if (entry.attachment && !attachmentUrl) {
+        const upload = await this.options.uploadAttachment(
+          entry.attachment,
+          entry.authCode
+        );
+        attachmentUrl = upload?.data?.url || upload?.data?.attachment_url;
+        if (!upload?.success || !attachmentUrl) {
+          throw new MessageRejectedError(
+            upload?.message || 'Failed to upload attachment'
+          );
+        }
+        await this.updateEntry(entry.id, { attachmentUrl });
+      }
+
+      const response = await this.options.sendMessage(
+        entry.conversationUuid,
+        entry.content,
+        entry.messageType,
+        attachmentUrl,
+        entry.authCode,
+        {
+          replyToMessageId: entry.replyToMessageId,
+          clientMessageId: entry.id,
+          ...(entry.urgent ? { urgent: true } : {}),
+        }
+      );
+      if (!response?.success) {
+        throw new MessageRejectedError(
+          response?.message || 'Failed to send message'
+        );
+      }
+
+      console.log(`✅ MESSAGE OUTBOX: Message ${entry.id} sent`);
+      return await this.updateEntry(entry.id, {
+        status: OUTBOX_STATUS.SENT,
+        lastError: null,
+        response: response.data,
+      });
+    } catch (error) {
+      const attempts = (entry.attempts || 0) + 1;
+      const retryable =
+        isRetryable(error) && attempts < this.options.maxAttempts;
+
+      console.warn(
+        `⚠️ MESSAGE OUTBOX: Message ${entry.id} attempt ${attempts} failed:`,
+        error.message
+      );
+
+      const updated = await this.updateEntry(entry.id, {
+        status: retryable ? OUTBOX_STATUS.PENDING : OUTBOX_STATUS.FAILED,
+        attempts,
+        lastError: error.message,
+      });
+      if (retryable) {
+        this.scheduleRetry(attempts);
+      }
+      return updated;
+    } finally {
+      this.inFlight.delete(entry.id);
+    }
+  }
+
+  /**
+   * Send every pending entry, oldest first
+   * @returns {Promise<Object>} - Summary ({ sent, failed, pending })
+   */
+  process() {
+    if (this.processing) {
+      // Pick up entries queued or retried while this pass is running
+      this.processAgain = true;
+      return this.processing;
+    }
+
+    this.processing = (async () => {
+      const summary = { sent: 0, failed: 0, pending: 0 };
+      try {
+        if (!(await this.isOnline())) return summary;
+
+        const queue = await this.readQueue();
+        // Entries left 'sending' were interrupted by an app restart
+        const pending = Object.values(queue)
+          .filter(
+            (entry) =>
+              entry.status === OUTBOX_STATUS.PENDING ||
+              entry.status === OUTBOX_STATUS.SENDING
+          )
+          .sort((a, b) => a.createdAt - b.createdAt);
+
+        if (pending.length > 0) {
+          console.log(
+            `🔄 MESSAGE OUTBOX: Sending ${pending.length} queued message(s)`
+          );
+        }
+
+        for (const entry of pending) {
+          const result = await this.deliver(entry);
+          if (result?.status === OUTBOX_STATUS.SENT) summary.sent++;
+          else if (result?.status === OUTBOX_STATUS.FAILED) summary.failed++;
+          else summary.pending++;
+        }
+      } catch (error) {
+        console.error('❌ MESSAGE OUTBOX: Error processing outbox:', error);
+      } finally {
+        this.processing = null;
+        if (this.processAgain) {
+          this.processAgain = false;
+          this.process();
+        }
+      }
+      return summary;
+    })();
+
+    return this.processing;
+  }
+
+  scheduleRetry(attempts) {
+    if (this.retryTimer) return;
+
+    const delay = Math.min(
+      this.options.retryBaseDelay * 2 ** (attempts - 1),
+      this.options.retryMaxDelay
+    );
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.process();
+    }, delay);
+  }
+
+  /**
+   * Move a failed entry back to pending and send it again
+   * @param {string} id - Outbox entry ID
+   * @returns {Promise<Object>} - Outbox summary
+   */
+  async retry(id) {
+    await this.updateEntry(id, {
+      status: OUTBOX_STATUS.PENDING,
+      attempts: 0,
+      lastError: null,
+    });
+    return this.process();
+  }
+
+  /**
+   * Remove an entry without sending it
+   * @param {string} id - Outbox entry ID
+   */
+  discard(id) {
+    return this.mutate((queue) => {
+      delete queue[id];
+    });
+  }
+
+  /**
+   * Remove the entries of one sender, or every entry (e.g. on logout)
+   * @param {string|null} authCode - Sender's auth code (all entries when null)
+   */
+  clear(authCode = null) {
+    return this.mutate((queue) => {
+      Object.keys(queue)
+        .filter((id) => !authCode || queue[id].authCode === authCode)
+        .forEach((id) => delete queue[id]);
+    });
+  }
+
+  /**
+   * Get outbox entries, oldest first
+   * @param {string} conversationUuid - Only entries for this conversation
+   * @returns {Promise<Array<Object>>}
+   */
+  async getEntries(conversationUuid = null) {
+    const queue = await this.readQueue();
+    return Object.values(queue)
+      .filter(
+        (entry) =>
+          !conversationUuid || entry.conversationUuid === conversationUuid
+      )
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  /**
+   * Subscribe to outbox changes
+   * @param {Function} listener - Called with all entries whenever they change
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Send queued messages now and whenever connectivity returns
+   */
+  start() {
+    if (this.netInfoUnsubscribe) return;
+
+    console.log('🔄 MESSAGE OUTBOX: Watching connectivity');
+    this.netInfoUnsubscribe = NetInfo.addEventListener((state) => {
+      if (state.isConnected && state.isInternetReachable !== false) {
+        this.process();
+      }
+    });
+
+    // Send anything left over from a previous session
+    this.process();
+  }
+
+  /**
+   * Stop watching connectivity
+   */
+  stop() {
+    if (this.netInfoUnsubscribe) {
+      this.netInfoUnsubscribe();
+      this.netInfoUnsubscribe = null;
+    }
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+  }
+}
+
+/**
+ * Create a message outbox
+ * @param {Object} options - See MessageOutbox constructor
+ * @returns {MessageOutbox}
+ */
+export const createMessageOutbox = (options = {}) => new MessageOutbox(options);
+
+export default MessageOutbox;
@@ -4,8 +4,23 @@
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from './secureStorage';
 import { Config, buildApiUrl } from '../config/env';
-import { getUserData } from './authService';
+import { getStoredAuthCode } from './authService';
+import {
+  createMessagingTransport,
+  TRANSPORT_EVENTS,
+  TRANSPORT_MODES,
+} from './messagingTransport';
+import { createMessageOutbox, OUTBOX_STATUS } from './messageOutbox';
+import { apiRequest } from './apiClient';
+import { redactUrl } from '../utils/queryString';
+import {
+  createReplyPreview,
+  toggleReaction,
+} from '../utils/messageInteractions';
+
+export { TRANSPORT_EVENTS, TRANSPORT_MODES, OUTBOX_STATUS };
 
 // Temporary flag for testing with mock data
 const USE_MOCK_DATA = false; // Set to false when backend API is ready
@@ -215,6 +230,20 @@ const mockUsers = [
   },
 ];
 
+// Scheduled messages created while USE_MOCK_DATA is on
+let mockScheduledMessages = [];
+let mockMessageTemplates = [
+  {
+    template_id: 1,
+    title: 'Library books',
+    body: 'Please remind {student_name} to return their library books by {date}.',
+    category: 'general',
+    language: 'en',
+    is_shared: true,
+    created_by: { id: 5, name: 'Ms. Lin' },
+  },
+];
+
 const mockMessages = {
   'conv-uuid-1': [
     {
@@ -327,50 +356,13 @@ const mockMessages = {
 };
 
 // Helper function to get auth code from storage (supports all user types and guardians)
-const getAuthCode = async () => {
-  try {
-    // Try user-type-specific storage keys first
-    const userTypes = ['teacher', 'parent', 'student'];
-    for (const userType of userTypes) {
-      const userData = await getUserData(userType, AsyncStorage);
-      if (userData) {
-        const authCode = userData.authCode || userData.auth_code;
-        if (authCode) {
-          console.log(`📱 MESSAGING SERVICE: Using ${userType} auth code`);
-          return authCode;
-        }
-      }
-    }
-
-    // Fallback to generic userData for backward compatibility
-    const userData = await AsyncStorage.getItem('userData');
-    if (userData) {
-      const user = JSON.parse(userData);
-      const authCode = user.authCode || user.auth_code;
-      if (authCode) {
-        console.log('📱 MESSAGING SERVICE: Using generic auth code');
-        return authCode;
-      }
-    }
-
-    // If no regular auth code found, try guardian auth code
-    const guardianAuthCode = await AsyncStorage.getItem('guardianAuthCode');
-    if (guardianAuthCode) {
-      console.log('📱 MESSAGING SERVICE: Using guardian auth code');
-      return guardianAuthCode;
-    }
-
-    return null;
-  } catch (error) {
-    console.error('📱 MESSAGING SERVICE: Error getting auth code:', error);
-    return null;
-  }
-};
+const getAuthCode = () =>
+  getStoredAuthCode(AsyncStorage, { includeGuardian: true });
 
 // Helper function to get current user ID from storage
 const getCurrentUserId = async () => {
   try {
-    const userData = await AsyncStorage.getItem('userData');
+    const userData = await secureSessionStorage.getItem('userData');
     if (userData) {
       const user = JSON.parse(userData);
       return user.id || user.user_id || 2; // Default to 2 for mock data
@@ -382,29 +374,6 @@ const getCurrentUserId = async () => {
   }
 };
 
-// Helper function to make API requests
-const makeApiRequest = async (url, options = {}) => {
-  try {
-    const response = await fetch(url, {
-      timeout: Config.NETWORK.TIMEOUT,
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers,
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error('API request failed:', error);
-    throw error;
-  }
-};
-
 /**
  * Get all conversations for the authenticated user
  * @param {string} customAuthCode - Optional custom auth code to use instead of stored one
@@ -456,7 +425,7 @@ export const getConversations = async (customAuthCode = null) => {
     const url = buildApiUrl(Config.API_ENDPOINTS.GET_CONVERSATIONS, {
       authCode,
     });
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching conversations:', error);
 
@@ -538,7 +507,7 @@ export const getConversationMessages = async (
       page,
       limit,
     });
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching conversation messages:', error);
 
@@ -578,6 +547,7 @@ export const getConversationMessages = async (
  * @param {string} messageType - Type of message (default: "text")
  * @param {string} attachmentUrl - Optional attachment URL
  * @param {string} userAuthCode - Optional authCode to use instead of getting from storage
+ * @param {Object} options - Optional { replyToMessageId } to quote an earlier message
  * @returns {Promise<Object>} - Response data
  */
 export const sendMessage = async (
@@ -585,7 +555,8 @@ export const sendMessage = async (
   messageContent,
   messageType = 'text',
   attachmentUrl = null,
-  userAuthCode = null
+  userAuthCode = null,
+  options = {}
 ) => {
   try {
     const authCode = userAuthCode || (await getAuthCode());
@@ -613,8 +584,16 @@ export const sendMessage = async (
         is_read: true, // NEW: Sender automatically reads their own message
         read_by: [2], // NEW: Add sender to read_by array
         read_at: new Date().toISOString(), // NEW: Set read timestamp
+        reactions: [],
       };
 
+      const repliedTo = (mockMessages[conversationUuid] || []).find(
+        (msg) => msg.message_id === options.replyToMessageId
+      );
+      if (repliedTo) {
+        newMessage.reply_to = createReplyPreview(repliedTo);
+      }
+
       // Add to mock messages (in real app, this would be handled by the server)
       if (!mockMessages[conversationUuid]) {
         mockMessages[conversationUuid] = [];
@@ -643,15 +622,23 @@ export const sendMessage = async (
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.SEND_MESSAGE);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
         conversation_uuid: conversationUuid,
         message: messageContent,
         message_type: messageType,
         attachment_url: attachmentUrl,
-      }),
+        ...(options.replyToMessageId
+          ? { reply_to_message_id: options.replyToMessageId }
+          : {}),
+        ...(options.clientMessageId
+          ? { client_message_id: options.clientMessageId }
+          : {}),
+        // Urgent messages are delivered during quiet hours
+        ...(options.urgent ? { is_urgent: true } : {}),
+      },
     });
   } catch (error) {
     console.error('Error sending message:', error);
@@ -748,9 +735,9 @@ export const createConversation = async (
       requestBody.user_type = userType;
     }
 
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify(requestBody),
+      body: requestBody,
     });
   } catch (error) {
     console.error('Error creating conversation:', error);
@@ -820,7 +807,7 @@ export const getAvailableUsers = async (userType = null) => {
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.GET_AVAILABLE_USERS, params);
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching available users:', error);
 
@@ -1050,7 +1037,7 @@ export const getAvailableUsersForStudent = async (
       Config.API_ENDPOINTS.GET_AVAILABLE_USERS_STUDENT,
       params
     );
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching available users for student:', error);
     throw error;
@@ -1231,8 +1218,8 @@ export const getAvailableUsersForParent = async (
       params
     );
 
-    console.log('🔍 getAvailableUsersForParent - final URL:', url);
-    return await makeApiRequest(url);
+    console.log('🔍 getAvailableUsersForParent - final URL:', redactUrl(url));
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching available users for parent:', error);
     throw error;
@@ -1343,10 +1330,10 @@ export const getAvailableUsersForStaff = async (userType = null) => {
       params
     );
 
-    console.log('🔍 STAFF API: Making request to:', url);
+    console.log('🔍 STAFF API: Making request to:', redactUrl(url));
     console.log('🔍 STAFF API: Request params:', params);
 
-    const response = await makeApiRequest(url);
+    const response = await apiRequest(url);
 
     console.log(
       '🔍 STAFF API: Full response:',
@@ -1379,11 +1366,15 @@ export const getAvailableUsersForStaff = async (userType = null) => {
 /**
  * Get conversation members (NEW endpoint)
  * @param {string} conversationUuid - UUID of the conversation
+ * @param {string} userAuthCode - Optional authCode to use instead of getting from storage
  * @returns {Promise<Object>} - Grouped conversation members data
  */
-export const getConversationMembers = async (conversationUuid) => {
+export const getConversationMembers = async (
+  conversationUuid,
+  userAuthCode = null
+) => {
   try {
-    const authCode = await getAuthCode();
+    const authCode = userAuthCode || (await getAuthCode());
     if (!authCode) {
       throw new Error('No authentication code found');
     }
@@ -1424,7 +1415,7 @@ export const getConversationMembers = async (conversationUuid) => {
       authCode,
       conversation_uuid: conversationUuid,
     });
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching conversation members:', error);
 
@@ -1513,7 +1504,7 @@ export const searchMessages = async (
       query,
       type,
     });
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error searching messages:', error);
 
@@ -1571,12 +1562,12 @@ export const markMessagesAsRead = async (
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.MARK_MESSAGES_READ);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
         conversation_uuid: conversationUuid,
-      }),
+      },
     });
   } catch (error) {
     console.error('Error marking messages as read:', error);
@@ -1600,11 +1591,12 @@ export const markMessagesAsRead = async (
 /**
  * Upload a file attachment for messages
  * @param {Object} file - File object to upload
+ * @param {string} userAuthCode - Optional authCode to use instead of getting from storage
  * @returns {Promise<Object>} - Upload response data
  */
-export const uploadMessageAttachment = async (file) => {
+export const uploadMessageAttachment = async (file, userAuthCode = null) => {
   try {
-    const authCode = await getAuthCode();
+    const authCode = userAuthCode || (await getAuthCode());
     if (!authCode) {
       throw new Error('No authentication code found');
     }
@@ -1615,20 +1607,14 @@ export const uploadMessageAttachment = async (file) => {
 
     const url = buildApiUrl(Config.API_ENDPOINTS.UPLOAD_MESSAGE_ATTACHMENT);
 
-    const response = await fetch(url, {
+    return await apiRequest(url, {
       method: 'POST',
       body: formData,
       headers: {
         'Content-Type': 'multipart/form-data',
       },
-      timeout: Config.NETWORK.TIMEOUT,
+      timeout: Config.NETWORK.UPLOAD_TIMEOUT,
     });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    return await response.json();
   } catch (error) {
     console.error('Error uploading attachment:', error);
     throw error;
@@ -1694,12 +1680,12 @@ export const deleteConversation = async (
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.DELETE_CONVERSATION);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'DELETE',
-      body: JSON.stringify({
+      body: {
         authCode,
         conversation_uuid: conversationUuid,
-      }),
+      },
     });
   } catch (error) {
     console.error('Error deleting conversation:', error);
@@ -1779,12 +1765,12 @@ export const leaveConversation = async (
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.LEAVE_CONVERSATION);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
         conversation_uuid: conversationUuid,
-      }),
+      },
     });
   } catch (error) {
     console.error('Error leaving conversation:', error);
@@ -1865,13 +1851,13 @@ export const deleteMessage = async (
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.DELETE_MESSAGE);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'DELETE',
-      body: JSON.stringify({
+      body: {
         authCode,
         message_id: messageId,
         conversation_uuid: conversationUuid,
-      }),
+      },
     });
   } catch (error) {
     console.error('Error deleting message:', error);
@@ -1975,13 +1961,13 @@ export const markMessageAsRead = async (
 
     // Use the new API endpoint for marking individual messages as read
     const url = buildApiUrl(`/mobile-api/messaging/mark-message-read`);
-    const response = await makeApiRequest(url, {
+    const response = await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         message_id: messageId,
         conversation_uuid: conversationUuid,
         authCode,
-      }),
+      },
     });
     return response;
   } catch (error) {
@@ -2055,15 +2041,15 @@ export const clearMessageText = async (messageId, userAuthCode = null) => {
 
     // Real API call
     const url = buildApiUrl('/messaging/message/clear');
-    const response = await makeApiRequest(url, {
+    const response = await apiRequest(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({
+      body: {
         authCode,
         message_id: messageId,
-      }),
+      },
     });
 
     return response;
@@ -2129,15 +2115,15 @@ export const adminDeleteMessage = async (messageId, userAuthCode = null) => {
 
     // Real API call
     const url = buildApiUrl('/messaging/message/admin-delete');
-    const response = await makeApiRequest(url, {
+    const response = await apiRequest(url, {
       method: 'DELETE',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({
+      body: {
         authCode,
         message_id: messageId,
-      }),
+      },
     });
 
     return response;
@@ -2275,16 +2261,16 @@ export const bulkDeleteMessages = async (
 
     // Real API call
     const url = buildApiUrl('/messaging/messages/bulk-delete');
-    const response = await makeApiRequest(url, {
+    const response = await apiRequest(url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({
+      body: {
         authCode,
         message_ids: messageIds,
         delete_type: deleteType,
-      }),
+      },
     });
 
     return response;
@@ -2381,16 +2367,16 @@ export const editMessage = async (
 
     // Real API call
     const url = buildApiUrl('/messaging/message/edit');
-    const response = await makeApiRequest(url, {
+    const response = await apiRequest(url, {
       method: 'PUT',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({
+      body: {
         authCode,
         message_id: messageId,
         new_content: newContent,
-      }),
+      },
     });
 
     return response;
@@ -2400,6 +2386,497 @@ export const editMessage = async (
   }
 };
 
+/**
+ * Add or take back an emoji reaction on a message
+ * Reacting again with the same emoji removes the reaction.
+ * @param {number} messageId - ID of the message to react to
+ * @param {string} emoji - Reaction emoji
+ * @param {string} userAuthCode - Optional authCode to use instead of getting from storage
+ * @returns {Promise<Object>} - Response data with the message's reactions
+ */
+export const toggleMessageReaction = async (
+  messageId,
+  emoji,
+  userAuthCode = null
+) => {
+  try {
+    const authCode = userAuthCode || (await getAuthCode());
+    if (!authCode) {
+      throw new Error('No authentication code found');
+    }
+
+    if (USE_MOCK_DATA) {
+      const currentUserId = await getCurrentUserId();
+
+      for (const conversationUuid in mockMessages) {
+        const message = mockMessages[conversationUuid].find(
+          (msg) => msg.message_id === messageId
+        );
+        if (message) {
+          message.reactions = toggleReaction(message.reactions, emoji, {
+            id: currentUserId,
+            name: 'Current User',
+          });
+          return {
+            success: true,
+            data: { message_id: messageId, reactions: message.reactions },
+          };
+        }
+      }
+
+      throw new Error('Message not found');
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.REACT_TO_MESSAGE);
+    return await apiRequest(url, {
+      method: 'POST',
+      body: {
+        authCode,
+        message_id: messageId,
+        emoji,
+      },
+    });
+  } catch (error) {
+    console.error('Error reacting to message:', error);
+    throw error;
+  }
+};
+
+/**
+ * Forward a message, with its attachment, to other conversations
+ * @param {number} messageId - ID of the message to forward
+ * @param {Array<string>} conversationUuids - UUIDs of the target conversations
+ * @param {string} userAuthCode - Optional authCode to use instead of getting from storage
+ * @returns {Promise<Object>} - Response data with the new messages
+ */
+export const forwardMessage = async (
+  messageId,
+  conversationUuids,
+  userAuthCode = null
+) => {
+  try {
+    if (!conversationUuids?.length) {
+      throw new Error('Choose at least one conversation');
+    }
+
+    const authCode = userAuthCode || (await getAuthCode());
+    if (!authCode) {
+      throw new Error('No authentication code found');
+    }
+
+    if (USE_MOCK_DATA) {
+      let original = null;
+      let sourceUuid = null;
+      for (const conversationUuid in mockMessages) {
+        original = mockMessages[conversationUuid].find(
+          (msg) => msg.message_id === messageId
+        );
+        if (original) {
+          sourceUuid = conversationUuid;
+          break;
+        }
+      }
+      if (!original) {
+        throw new Error('Message not found');
+      }
+
+      const source = mockConversations.find(
+        (conv) => conv.conversation_uuid === sourceUuid
+      );
+      const forwarded = conversationUuids.map((conversationUuid, index) => {
+        const copy = {
+          ...original,
+          message_id: Date.now() + index,
+          created_at: new Date().toISOString(),
+          is_own_message: true,
+          reactions: [],
+          reply_to: null,
+          forwarded_from: {
+            sender: original.sender,
+            conversation_topic: source?.topic || null,
+          },
+        };
+        if (!mockMessages[conversationUuid]) {
+          mockMessages[conversationUuid] = [];
+        }
+        mockMessages[conversationUuid].push(copy);
+        return { conversation_uuid: conversationUuid, message: copy };
+      });
+
+      return {
+        success: true,
+        message: 'Message forwarded successfully',
+        data: { forwarded },
+      };
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.FORWARD_MESSAGE);
+    return await apiRequest(url, {
+      method: 'POST',
+      body: {
+        authCode,
+        message_id: messageId,
+        conversation_uuids: conversationUuids,
+      },
+    });
+  } catch (error) {
+    console.error('Error forwarding message:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the user's scheduled messages that have not been sent yet
+ * Includes messages held back by quiet hours.
+ * @param {string} userAuthCode - Optional authCode to use instead of getting from storage
+ * @returns {Promise<Object>} - { scheduled_messages } in data, soonest first
+ */
+export const getScheduledMessages = async (userAuthCode = null) => {
+  try {
+    const authCode = userAuthCode || (await getAuthCode());
+    if (!authCode) {
+      throw new Error('No authentication code found');
+    }
+
+    if (USE_MOCK_DATA) {
+      return {
+        success: true,
+        data: {
+          scheduled_messages: [...mockScheduledMessages].sort(
+            (a, b) => new Date(a.send_at) - new Date(b.send_at)
+          ),
+        },
+      };
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.GET_SCHEDULED_MESSAGES, {
+      authCode,
+    });
+    return await apiRequest(url);
+  } catch (error) {
+    console.error('Error fetching scheduled messages:', error);
+    throw error;
+  }
+};
+
+/**
+ * Schedule a message to be sent later
+ * @param {string} conversationUuid - UUID of the conversation
+ * @param {string} messageContent - Message content
+ * @param {Date|string} sendAt - When the server should send the message
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.heldForQuietHours - Held back by quiet hours rather than scheduled by the user
+ * @param {number} options.replyToMessageId - Message being replied to
+ * @param {string} userAuthCode - Optional authCode to use instead of getting from storage
+ * @returns {Promise<Object>} - The scheduled message in data
+ */
+export const scheduleMessage = async (
+  conversationUuid,
+  messageContent,
+  sendAt,
+  options = {},
+  userAuthCode = null
+) => {
+  try {
+    if (new Date(sendAt) <= new Date()) {
+      throw new Error('Send time must be in the future');
+    }
+
+    const authCode = userAuthCode || (await getAuthCode());
+    if (!authCode) {
+      throw new Error('No authentication code found');
+    }
+
+    const reason = options.heldForQuietHours ? 'quiet_hours' : 'scheduled';
+
+    if (USE_MOCK_DATA) {
+      const conversation = mockConversations.find(
+        (conv) => conv.conversation_uuid === conversationUuid
+      );
+      const scheduled = {
+        scheduled_message_id: Date.now(),
+        conversation_uuid: conversationUuid,
+        conversation_topic: conversation?.topic || null,
+        content: messageContent,
+        send_at: new Date(sendAt).toISOString(),
+        reason,
+        created_at: new Date().toISOString(),
+      };
+      mockScheduledMessages.push(scheduled);
+
+      return {
+        success: true,
+        message: 'Message scheduled successfully',
+        data: scheduled,
+      };
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.SCHEDULE_MESSAGE);
+    return await apiRequest(url, {
+      method: 'POST',
+      body: {
+        authCode,
+        conversation_uuid: conversationUuid,
+        message: messageContent,
+        message_type: 'text',
+        send_at: new Date(sendAt).toISOString(),
+        reason,
+        ...(options.replyToMessageId
+          ? { reply_to_message_id: options.replyToMessageId }
+          : {}),
+      },
+    });
+  } catch (error) {
+    console.error('Error scheduling message:', error);
+    throw error;
+  }
+};
+
+/**
+ * Change the text or send time of a scheduled message
+ * @param {number} scheduledMessageId - ID of the scheduled message
+ * @param {Object} changes - { content, sendAt }
+ * @param {string} userAuthCode - Optional authCode to use instead of getting from storage
+ * @returns {Promise<Object>} - The updated scheduled message in data
+ */
+export const updateScheduledMessage = async (
+  scheduledMessageId,
+  changes,
+  userAuthCode = null
+) => {
+  try {
+    if (changes.sendAt && new Date(changes.sendAt) <= new Date()) {
+      throw new Error('Send time must be in the future');
+    }
+
+    const authCode = userAuthCode || (await getAuthCode());
+    if (!authCode) {
+      throw new Error('No authentication code found');
+    }
+
+    const sendAt = changes.sendAt
+      ? new Date(changes.sendAt).toISOString()
+      : undefined;
+
+    if (USE_MOCK_DATA) {
+      const scheduled = mockScheduledMessages.find(
+        (msg) => msg.scheduled_message_id === scheduledMessageId
+      );
+      if (!scheduled) {
+        throw new Error('Scheduled message not found');
+      }
+      if (changes.content !== undefined) scheduled.content = changes.content;
+      if (sendAt) {
+        scheduled.send_at = sendAt;
+        // A time the user picked is no longer a quiet-hours hold
+        scheduled.reason = 'scheduled';
+      }
+
+      return {
+        success: true,
+        message: 'Scheduled message updated successfully',
+        data: { ...scheduled },
+      };
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.UPDATE_SCHEDULED_MESSAGE);
+    return await apiRequest(url, {
+      method: 'POST',
+      body: {
+        authCode,
+        scheduled_message_id: scheduledMessageId,
+        ...(changes.content !== undefined ? { message: changes.content } : {}),
+        ...(sendAt ? { send_at: sendAt } : {}),
+      },
+    });
+  } catch (error) {
+    console.error('Error updating scheduled message:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a scheduled message so it is never sent
+ * @param {number} scheduledMessageId - ID of the scheduled message
+ * @param {string} userAuthCode - Optional authCode to use instead of getting from storage
+ * @returns {Promise<Object>} - Response data
+ */
+export const cancelScheduledMessage = async (
+  scheduledMessageId,
+  userAuthCode = null
+) => {
+  try {
+    const authCode = userAuthCode || (await getAuthCode());
+    if (!authCode) {
+      throw new Error('No authentication code found');
+    }
+
+    if (USE_MOCK_DATA) {
+      mockScheduledMessages = mockScheduledMessages.filter(
+        (msg) => msg.scheduled_message_id !== scheduledMessageId
+      );
+      return {
+        success: true,
+        message: 'Scheduled message cancelled successfully',
+      };
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.CANCEL_SCHEDULED_MESSAGE);
+    return await apiRequest(url, {
+      method: 'POST',
+      body: {
+        authCode,
+        scheduled_message_id: scheduledMessageId,
+      },
+    });
+  } catch (error) {
+    console.error('Error cancelling scheduled message:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get message templates the current staff member can use
+ * Includes their own templates and those shared by other staff.
+ * @param {string} userAuthCode - Optional authCode to use instead of getting from storage
+ * @returns {Promise<Object>} - { templates } in data
+ */
+export const getMessageTemplates = async (userAuthCode = null) => {
+  try {
+    const authCode = userAuthCode || (await getAuthCode());
+    if (!authCode) {
+      throw new Error('No authentication code found');
+    }
+
+    if (USE_MOCK_DATA) {
+      const currentUserId = await getCurrentUserId();
+      return {
+        success: true,
+        data: {
+          templates: mockMessageTemplates.map((template) => ({
+            ...template,
+            is_own: String(template.created_by?.id) === String(currentUserId),
+          })),
+        },
+      };
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.GET_MESSAGE_TEMPLATES, {
+      authCode,
+    });
+    return await apiRequest(url);
+  } catch (error) {
+    console.error('Error fetching message templates:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create or update a message template
+ * @param {Object} template - Template to save
+ * @param {number} template.template_id - Existing template to update (omit to create)
+ * @param {string} template.title - Template title
+ * @param {string} template.body - Template body, may use {student_name}, {class} and {date}
+ * @param {string} template.category - absence, homework, event or general
+ * @param {string} template.language - UI language the template is written in
+ * @param {boolean} template.is_shared - Let other staff use the template
+ * @param {string} userAuthCode - Optional authCode to use instead of getting from storage
+ * @returns {Promise<Object>} - The saved template in data
+ */
+export const saveMessageTemplate = async (template, userAuthCode = null) => {
+  try {
+    if (!template.title?.trim() || !template.body?.trim()) {
+      throw new Error('Template title and body are required');
+    }
+
+    const authCode = userAuthCode || (await getAuthCode());
+    if (!authCode) {
+      throw new Error('No authentication code found');
+    }
+
+    const fields = {
+      title: template.title.trim(),
+      body: template.body.trim(),
+      category: template.category || 'general',
+      language: template.language || 'en',
+      is_shared: !!template.is_shared,
+    };
+
+    if (USE_MOCK_DATA) {
+      const currentUserId = await getCurrentUserId();
+      const existing = mockMessageTemplates.find(
+        (item) => item.template_id === template.template_id
+      );
+      const saved = existing
+        ? Object.assign(existing, fields)
+        : {
+            template_id: Date.now(),
+            ...fields,
+            created_by: { id: currentUserId, name: 'You' },
+          };
+      if (!existing) {
+        mockMessageTemplates.push(saved);
+      }
+
+      return {
+        success: true,
+        message: 'Template saved successfully',
+        data: { ...saved, is_own: true },
+      };
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.SAVE_MESSAGE_TEMPLATE);
+    return await apiRequest(url, {
+      method: 'POST',
+      body: {
+        authCode,
+        ...(template.template_id ? { template_id: template.template_id } : {}),
+        ...fields,
+      },
+    });
+  } catch (error) {
+    console.error('Error saving message template:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete one of the current staff member's message templates
+ * @param {number} templateId - ID of the template
+ * @param {string} userAuthCode - Optional authCode to use instead of getting from storage
+ * @returns {Promise<Object>} - Response data
+ */
+export const deleteMessageTemplate = async (
+  templateId,
+  userAuthCode = null
+) => {
+  try {
+    const authCode = userAuthCode || (await getAuthCode());
+    if (!authCode) {
+      throw new Error('No authentication code found');
+    }
+
+    if (USE_MOCK_DATA) {
+      mockMessageTemplates = mockMessageTemplates.filter(
+        (template) => template.template_id !== templateId
+      );
+      return { success: true, message: 'Template deleted successfully' };
+    }
+
+    const url = buildApiUrl(Config.API_ENDPOINTS.DELETE_MESSAGE_TEMPLATE);
+    return await apiRequest(url, {
+      method: 'POST',
+      body: {
+        authCode,
+        template_id: templateId,
+      },
+    });
+  } catch (error) {
+    console.error('Error deleting message template:', error);
+    throw error;
+  }
+};
+
 // Get unread conversations count by fetching conversations and calculating from unread_count
 export const getUnreadConversationsCount = async (authCode) => {
   try {
@@ -2477,3 +2954,125 @@ export const getUnreadConversationsCount = async (authCode) => {
     throw error;
   }
 };
+
+/**
+ * Real-time messaging transport shared by all screens.
+ * Uses the WebSocket gateway when available and polls the API otherwise.
+ */
+export const messagingTransport = createMessagingTransport({
+  fetchConversationMessages: getConversationMessages,
+  fetchUnreadCount: getUnreadConversationsCount,
+});
+
+/**
+ * Start receiving real-time messaging events for a user
+ * @param {string} authCode - User authentication code
+ */
+export const connectMessagingTransport = (authCode) =>
+  messagingTransport.connect(authCode);
+
+/**
+ * Stop receiving real-time messaging events (e.g. on logout)
+ */
+export const disconnectMessagingTransport = () =>
+  messagingTransport.disconnect();
+
+/**
+ * Subscribe to new messages, edits, deletions and read receipts
+ * @param {string} conversationUuid - UUID of the conversation
+ * @param {Function} handler - Called with each transport event
+ * @param {Object} options - Options ({ authCode })
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToConversation = (conversationUuid, handler, options) =>
+  messagingTransport.subscribeToConversation(
+    conversationUuid,
+    handler,
+    options
+  );
+
+/**
+ * Show or clear the user's typing indicator for the other members
+ * Only sent while the transport has a socket; polling has no typing indicators.
+ * @param {string} conversationUuid - UUID of the conversation
+ * @param {boolean} isTyping - Whether the user is typing
+ * @returns {boolean} - Whether the indicator was sent
+ */
+export const sendTypingStatus = (conversationUuid, isTyping) =>
+  messagingTransport.sendTyping(conversationUuid, isTyping);
+
+/**
+ * Subscribe to unread count updates
+ * @param {Function} handler - Called with { unread_conversations, total_unread_messages }
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToUnreadCount = (handler) =>
+  messagingTransport.subscribeToUnreadCount(handler);
+
+/**
+ * Outbox for messages that could not be sent straight away.
+ * Persists across app restarts and retries when connectivity returns.
+ */
+export const messageOutbox = createMessageOutbox({
+  sendMessage,
+  uploadAttachment: uploadMessageAttachment,
+});
+
+/**
+ * Send a message through the outbox
+ * The message is stored first, so it is kept and retried if sending fails.
+ * @param {Object} params - See MessageOutbox.enqueue
+ * @returns {Promise<Object>} - Outbox entry after the first attempt
+ */
+export const queueOutgoingMessage = (params) => messageOutbox.enqueue(params);
+
+/**
+ * Send a failed outbox message again
+ * @param {string} entryId - Outbox entry ID
+ * @returns {Promise<Object>} - Outbox summary
+ */
+export const retryOutgoingMessage = (entryId) => messageOutbox.retry(entryId);
+
+/**
+ * Remove a message from the outbox without sending it
+ * @param {string} entryId - Outbox entry ID
+ */
+export const discardOutgoingMessage = (entryId) =>
+  messageOutbox.discard(entryId);
+
+/**
+ * Get the outbox entries for a conversation
+ * @param {string} conversationUuid - UUID of the conversation
+ * @returns {Promise<Array<Object>>} - Entries, oldest first
+ */
+export const getOutgoingMessages = (conversationUuid) =>
+  messageOutbox.getEntries(conversationUuid);
+
+/**
+ * Subscribe to outbox changes
+ * @param {Function} listener - Called with all entries whenever they change
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToOutbox = (listener) =>
+  messageOutbox.subscribe(listener);
+
+/**
+ * Send queued messages now and whenever connectivity returns
+ */
+export const startMessageOutbox = () => messageOutbox.start();
+
+/**
+ * Drop the unsent messages of an account that logs out, so they are not
+ * sent later under its name
+ * @param {string|null} authCode - Sender's auth code (all messages when null)
+ */
+export const clearOutgoingMessages = (authCode = null) =>
+  messageOutbox.clear(authCode);
+
+/**
+ * Stop the outbox and drop its messages (e.g. on logout)
+ */
+export const stopMessageOutbox = async () => {
+  messageOutbox.stop();
+  await messageOutbox.clear();
+};
@@ -0,0 +1,689 @@
+/**
+ * Messaging Transport
+ * Real-time delivery of messaging events with a polling fallback.
+ *
+ * The transport keeps a WebSocket open to the messaging gateway and pushes
+ * new messages, edits, reactions, deletions and read receipts to
+ * subscribers. When the socket cannot be opened (no gateway configured,
+ * network trouble, repeated failures) it falls back to polling the REST API
+ * and derives the same events by diffing message snapshots, so screens
+ * handle a single event stream. After the fallback the socket is only tried
+ * again when the app returns to the foreground.
+ *
+ * Server frames (JSON):
+ *   { type: 'message.created', conversation_uuid, message }
+ *   { type: 'message.updated', conversation_uuid, message }
+ *   { type: 'message.deleted', conversation_uuid, message_id }
+ *   { type: 'message.read', conversation_uuid, message_ids, user_id, read_at }
+ *   { type: 'message.delivered', conversation_uuid, message_ids, user_id,
+ *     delivered_at }
+ *   { type: 'typing', conversation_uuid, user: { id, name }, is_typing }
+ *   { type: 'unread.count', data: { unread_conversations, total_unread_messages } }
+ *
+ * Client frames (JSON):
+ *   { type: 'auth', authCode }
+ *   { type: 'subscribe' | 'unsubscribe', conversation_uuid }
+ *   { type: 'typing', conversation_uuid, is_typing }
+ *   { type: 'delivered', conversation_uuid, message_ids }
+ *   { type: 'ping' }
+ *
+ * Every pushed message.created is acknowledged with a 'delivered' frame;
+ * the gateway ignores acknowledgements of the user's own messages. Typing
+ * indicators need the socket and are not available while polling.
+ */
+
+import { AppState } from 'react-native';
+import { Config } from '../config/env';
+
+export const TRANSPORT_EVENTS = {
+  MESSAGE_CREATED: 'message.created',
+  MESSAGE_UPDATED: 'message.updated',
+  MESSAGE_DELETED: 'message.deleted',
+  MESSAGE_READ: 'message.read',
+  MESSAGE_DELIVERED: 'message.delivered',
+  TYPING: 'typing',
+  UNREAD_COUNT: 'unread.count',
+  // Emitted after (re)connecting so subscribers can fetch anything missed
+  RESYNC: 'conversation.resync',
+};
+
+export const TRANSPORT_MODES = {
+  IDLE: 'idle',
+  CONNECTING: 'connecting',
+  WEBSOCKET: 'websocket',
+  POLLING: 'polling',
+};
+
+const DEFAULT_OPTIONS = {
+  reconnectBaseDelay: 1000,
+  reconnectMaxDelay: 30000,
+  // Failed connection attempts before switching to polling
+  fallbackAfterAttempts: 3,
+  heartbeatInterval: 25000,
+  conversationPollInterval: 10000,
+  unreadPollInterval: 30000,
+};
+
+/**
+ * Calculate the reconnect delay for an attempt (exponential backoff + jitter)
+ * @param {number} attempt - Number of failed attempts so far (1-based)
+ * @param {Object} options - Transport options
+ * @returns {number} - Delay in milliseconds
+ */
+export const getReconnectDelay = (attempt, options = DEFAULT_OPTIONS) => {
+  const exponential = options.reconnectBaseDelay * 2 ** (attempt - 1);
+  const capped = Math.min(exponential, options.reconnectMaxDelay);
+  const jitter = Math.random() * 0.3 * capped;
+  return Math.round(capped - jitter);
+};
+
+const getMessageId = (message) => message?.message_id ?? message?.id;
+
+// Order-independent fingerprint of a message's reactions
+const getReactionsKey = (message) =>
+  (message.reactions || [])
+    .map((reaction) => `${reaction.user_id}:${reaction.emoji}`)
+    .sort()
+    .join(',');
+
+/**
+ * Compare two snapshots of a conversation's messages and derive the
+ * events a socket would have pushed between them.
+ * @param {string} conversationUuid - Conversation UUID
+ * @param {Array} previous - Messages from the previous poll
+ * @param {Array} next - Messages from the current poll
+ * @returns {Array} - Transport events
+ */
+export const diffMessageSnapshots = (conversationUuid, previous, next) => {
+  const events = [];
+  const previousById = new Map(previous.map((m) => [getMessageId(m), m]));
+  const nextIds = new Set(next.map(getMessageId));
+
+  // Only report deletions inside the time window the new page covers
+  const oldestNext = next.reduce((oldest, message) => {
+    const time = new Date(message.created_at).getTime();
+    return Math.min(oldest, time);
+  }, Infinity);
+
+  next.forEach((message) => {
+    const id = getMessageId(message);
+    const before = previousById.get(id);
+
+    if (!before) {
+      events.push({
+        type: TRANSPORT_EVENTS.MESSAGE_CREATED,
+        conversation_uuid: conversationUuid,
+        message,
+      });
+      return;
+    }
+
+    if (
+      before.content !== message.content ||
+      before.edited_at !== message.edited_at ||
+      before.attachment_url !== message.attachment_url ||
+      getReactionsKey(before) !== getReactionsKey(message)
+    ) {
+      events.push({
+        type: TRANSPORT_EVENTS.MESSAGE_UPDATED,
+        conversation_uuid: conversationUuid,
+        message,
+      });
+    }
+
+    const deliveredBefore = (before.delivered_to || []).length;
+    const deliveredNow = (message.delivered_to || []).length;
+    if (deliveredNow > deliveredBefore) {
+      events.push({
+        type: TRANSPORT_EVENTS.MESSAGE_DELIVERED,
+        conversation_uuid: conversationUuid,
+        message_ids: [id],
+        delivered_to: message.delivered_to,
+      });
+    }
+
+    const readBefore = (before.read_by || []).length;
+    const readNow = (message.read_by || []).length;
+    if (readNow > readBefore || (!before.is_read && message.is_read)) {
+      events.push({
+        type: TRANSPORT_EVENTS.MESSAGE_READ,
+        conversation_uuid: conversationUuid,
+        message_ids: [id],
+        read_by: message.read_by || [],
+        read_at: message.read_at || null,
+      });
+    }
+  });
+
+  previous.forEach((message) => {
+    const id = getMessageId(message);
+    const time = new Date(message.created_at).getTime();
+    if (!nextIds.has(id) && time >= oldestNext) {
+      events.push({
+        type: TRANSPORT_EVENTS.MESSAGE_DELETED,
+        conversation_uuid: conversationUuid,
+        message_id: id,
+      });
+    }
+  });
+
+  return events;
+};
+
+/**
+ * Messaging Transport Class
+ */
+class MessagingTransport {
+  /**
+   * @param {Object} options - Transport options
+   * @param {string} options.url - WebSocket gateway URL (falls back to polling if empty)
+   * @param {Function} options.fetchConversationMessages - (uuid, page, limit, authCode) => response
+   * @param {Function} options.fetchUnreadCount - (authCode) => response
+   * @param {Function} options.WebSocketImpl - WebSocket constructor (defaults to global)
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.WebSocketImpl =
+      options.WebSocketImpl ||
+      (typeof WebSocket !== 'undefined' ? WebSocket : null);
+
+    this.authCode = null;
+    this.socket = null;
+    this.mode = TRANSPORT_MODES.IDLE;
+    this.reconnectAttempts = 0;
+    this.reconnectTimer = null;
+    this.heartbeatTimer = null;
+    this.paused = false;
+
+    // conversationUuid -> { handlers: Set, authCode, snapshot }
+    this.conversations = new Map();
+    this.unreadHandlers = new Set();
+    this.modeHandlers = new Set();
+
+    this.conversationPollTimer = null;
+    this.unreadPollTimer = null;
+    this.appStateSubscription = null;
+  }
+
+  /**
+   * Start the transport for a user
+   * @param {string} authCode - User authentication code
+   */
+  connect(authCode) {
+    if (!authCode) return;
+    if (this.authCode === authCode && this.mode !== TRANSPORT_MODES.IDLE) {
+      return;
+    }
+
+    if (this.authCode && this.authCode !== authCode) {
+      this.disconnect();
+    }
+
+    this.authCode = authCode;
+    this.paused = false;
+    this.watchAppState();
+    this.openSocket();
+  }
+
+  /**
+   * Stop the transport and forget the user (e.g. on logout)
+   */
+  disconnect() {
+    console.log('🔌 MESSAGING TRANSPORT: Disconnecting');
+    this.authCode = null;
+    this.closeSocket();
+    this.stopPolling();
+    this.clearReconnect();
+    this.reconnectAttempts = 0;
+    if (this.appStateSubscription) {
+      this.appStateSubscription.remove();
+      this.appStateSubscription = null;
+    }
+    this.setMode(TRANSPORT_MODES.IDLE);
+  }
+
+  /**
+   * Pause network activity while the app is in the background
+   */
+  pause() {
+    if (this.paused) return;
+    this.paused = true;
+    this.closeSocket();
+    this.stopPolling();
+    this.clearReconnect();
+    this.setMode(TRANSPORT_MODES.IDLE);
+  }
+
+  /**
+   * Resume after pause()
+   */
+  resume() {
+    if (!this.paused || !this.authCode) return;
+    this.paused = false;
+    this.reconnectAttempts = 0;
+    this.openSocket();
+  }
+
+  watchAppState() {
+    if (this.appStateSubscription) return;
+    this.appStateSubscription = AppState.addEventListener(
+      'change',
+      (nextAppState) => {
+        if (nextAppState === 'active') {
+          this.resume();
+        } else if (nextAppState === 'background') {
+          this.pause();
+        }
+      }
+    );
+  }
+
+  setMode(mode) {
+    if (this.mode === mode) return;
+    console.log(`🔌 MESSAGING TRANSPORT: Mode ${this.mode} -> ${mode}`);
+    this.mode = mode;
+    this.modeHandlers.forEach((handler) => handler(mode));
+  }
+
+  getMode() {
+    return this.mode;
+  }
+
+  // ---------------------------------------------------------------------
+  // WebSocket
+  // ---------------------------------------------------------------------
+
+  openSocket() {
+    if (!this.options.url || !this.WebSocketImpl) {
+      console.log(
+        '🔌 MESSAGING TRANSPORT: WebSocket unavailable, using polling'
+      );
+      this.startPolling();
+      return;
+    }
+
+    this.closeSocket();
+    if (this.mode !== TRANSPORT_MODES.POLLING) {
+      this.setMode(TRANSPORT_MODES.CONNECTING);
+    }
+
+    let socket;
+    try {
+      socket = new this.WebSocketImpl(this.options.url);
+    } catch (error) {
+      console.warn('⚠️ MESSAGING TRANSPORT: Could not open socket:', error);
+      this.scheduleReconnect();
+      return;
+    }
+
+    this.socket = socket;
+
+    socket.onopen = () => {
+      if (this.socket !== socket) return;
+      console.log('✅ MESSAGING TRANSPORT: Socket connected');
+      this.reconnectAttempts = 0;
+      this.sendFrame({ type: 'auth', authCode: this.authCode });
+      this.conversations.forEach((_, conversationUuid) => {
+        this.sendFrame({
+          type: 'subscribe',
+          conversation_uuid: conversationUuid,
+        });
+      });
+      this.stopPolling();
+      this.startHeartbeat();
+      this.setMode(TRANSPORT_MODES.WEBSOCKET);
+
+      // Anything that happened while disconnected must be fetched again
+      this.conversations.forEach((_, conversationUuid) => {
+        this.emitConversationEvent({
+          type: TRANSPORT_EVENTS.RESYNC,
+          conversation_uuid: conversationUuid,
+        });
+      });
+    };
+
+    socket.onmessage = (event) => {
+      if (this.socket !== socket) return;
+      this.handleFrame(event.data);
+    };
+
+    const handleClose = () => {
+      if (this.socket !== socket) return;
+      this.socket = null;
+      this.stopHeartbeat();
+      if (this.authCode && !this.paused) {
+        this.scheduleReconnect();
+      }
+    };
+
+    socket.onerror = (error) => {
+      console.warn(
+        '⚠️ MESSAGING TRANSPORT: Socket error:',
+        error?.message || error
+      );
+      // A failed handshake is not always followed by a close event
+      if (socket.readyState !== 1) {
+        handleClose();
+      }
+    };
+
+    socket.onclose = handleClose;
+  }
+
+  closeSocket() {
+    this.stopHeartbeat();
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      try {
+        socket.close();
+      } catch (error) {
+        // Socket already closed
+      }
+    }
+  }
+
+  scheduleReconnect() {
+    this.clearReconnect();
+    this.reconnectAttempts += 1;
+
+    // Stop retrying an unreachable gateway while polling works
+    if (this.reconnectAttempts >= this.options.fallbackAfterAttempts) {
+      this.startPolling();
+      return;
+    }
+
+    const delay = getReconnectDelay(this.reconnectAttempts, this.options);
+    console.log(
+      `🔄 MESSAGING TRANSPORT: Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts})`
+    );
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (this.authCode && !this.paused) {
+        this.openSocket();
+      }
+    }, delay);
+  }
+
+  clearReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      this.sendFrame({ type: 'ping' });
+    }, this.options.heartbeatInterval);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Send a frame over the socket
+   * @param {Object} frame - JSON-serialisable frame
+   * @returns {boolean} - Whether the frame was sent
+   */
+  sendFrame(frame) {
+    if (!this.socket || this.socket.readyState !== 1) {
+      return false;
+    }
+    try {
+      this.socket.send(JSON.stringify(frame));
+      return true;
+    } catch (error) {
+      console.warn('⚠️ MESSAGING TRANSPORT: Failed to send frame:', error);
+      return false;
+    }
+  }
+
+  handleFrame(raw) {
+    let frame;
+    try {
+      frame = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+      console.warn('⚠️ MESSAGING TRANSPORT: Ignoring malformed frame');
+      return;
+    }
+
+    if (!frame?.type || frame.type === 'pong' || frame.type === 'auth.ok') {
+      return;
+    }
+
+    if (frame.type === TRANSPORT_EVENTS.UNREAD_COUNT) {
+      this.emitUnreadCount(frame.data);
+      return;
+    }
+
+    if (frame.type === TRANSPORT_EVENTS.MESSAGE_CREATED && frame.message) {
+      this.sendFrame({
+        type: 'delivered',
+        conversation_uuid: frame.conversation_uuid,
+        message_ids: [getMessageId(frame.message)],
+      });
+    }
+
+    if (frame.conversation_uuid) {
+      this.emitConversationEvent(frame);
+    }
+  }
+
+  /**
+   * Tell the other members whether the user is typing
+   * @param {string} conversationUuid - Conversation UUID
+   * @param {boolean} isTyping - Whether the user is typing
+   * @returns {boolean} - Whether the indicator was sent (socket only)
+   */
+  sendTyping(conversationUuid, isTyping) {
+    return this.sendFrame({
+      type: 'typing',
+      conversation_uuid: conversationUuid,
+      is_typing: !!isTyping,
+    });
+  }
+
+  // ---------------------------------------------------------------------
+  // Polling fallback
+  // ---------------------------------------------------------------------
+
+  startPolling() {
+    if (this.conversationPollTimer || this.paused || !this.authCode) {
+      return;
+    }
+
+    console.log('🔄 MESSAGING TRANSPORT: Falling back to polling');
+    this.setMode(TRANSPORT_MODES.POLLING);
+
+    this.conversationPollTimer = setInterval(
+      () => this.pollConversations(),
+      this.options.conversationPollInterval
+    );
+    this.unreadPollTimer = setInterval(
+      () => this.pollUnreadCount(),
+      this.options.unreadPollInterval
+    );
+  }
+
+  stopPolling() {
+    if (this.conversationPollTimer) {
+      clearInterval(this.conversationPollTimer);
+      this.conversationPollTimer = null;
+    }
+    if (this.unreadPollTimer) {
+      clearInterval(this.unreadPollTimer);
+      this.unreadPollTimer = null;
+    }
+    // Snapshots go stale while the socket is in charge
+    this.conversations.forEach((entry) => {
+      entry.snapshot = null;
+    });
+  }
+
+  async pollConversations() {
+    const { fetchConversationMessages } = this.options;
+    if (!fetchConversationMessages) return;
+
+    for (const [conversationUuid, entry] of this.conversations) {
+      try {
+        const response = await fetchConversationMessages(
+          conversationUuid,
+          1,
+          50,
+          entry.authCode || this.authCode
+        );
+        if (!response?.success) continue;
+
+        const messages = response.data?.messages || [];
+        if (entry.snapshot) {
+          diffMessageSnapshots(
+            conversationUuid,
+            entry.snapshot,
+            messages
+          ).forEach((event) => this.emitConversationEvent(event));
+        } else {
+          // No baseline yet, so subscribers reload the page themselves
+          this.emitConversationEvent({
+            type: TRANSPORT_EVENTS.RESYNC,
+            conversation_uuid: conversationUuid,
+          });
+        }
+        entry.snapshot = messages;
+      } catch (error) {
+        console.warn(
+          `⚠️ MESSAGING TRANSPORT: Poll failed for ${conversationUuid}:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  async pollUnreadCount() {
+    const { fetchUnreadCount } = this.options;
+    if (!fetchUnreadCount || this.unreadHandlers.size === 0) return;
+
+    try {
+      const response = await fetchUnreadCount(this.authCode);
+      if (response?.success && response.data) {
+        this.emitUnreadCount(response.data);
+      }
+    } catch (error) {
+      console.warn(
+        '⚠️ MESSAGING TRANSPORT: Unread count poll failed:',
+        error.message
+      );
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Subscriptions
+  // ---------------------------------------------------------------------
+
+  /**
+   * Subscribe to events for a conversation
+   * @param {string} conversationUuid - Conversation UUID
+   * @param {Function} handler - Called with each transport event
+   * @param {Object} options - Options ({ authCode } used for polling)
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribeToConversation(conversationUuid, handler, options = {}) {
+    let entry = this.conversations.get(conversationUuid);
+    if (!entry) {
+      entry = {
+        handlers: new Set(),
+        authCode: options.authCode || null,
+        snapshot: null,
+      };
+      this.conversations.set(conversationUuid, entry);
+      this.sendFrame({
+        type: 'subscribe',
+        conversation_uuid: conversationUuid,
+      });
+    }
+    entry.handlers.add(handler);
+
+    if (options.authCode && !this.authCode) {
+      this.connect(options.authCode);
+    }
+
+    return () => {
+      const current = this.conversations.get(conversationUuid);
+      if (!current) return;
+      current.handlers.delete(handler);
+      if (current.handlers.size === 0) {
+        this.conversations.delete(conversationUuid);
+        this.sendFrame({
+          type: 'unsubscribe',
+          conversation_uuid: conversationUuid,
+        });
+      }
+    };
+  }
+
+  /**
+   * Subscribe to unread count updates
+   * @param {Function} handler - Called with { unread_conversations, total_unread_messages }
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribeToUnreadCount(handler) {
+    this.unreadHandlers.add(handler);
+    return () => this.unreadHandlers.delete(handler);
+  }
+
+  /**
+   * Subscribe to transport mode changes
+   * @param {Function} handler - Called with the new mode
+   * @returns {Function} - Unsubscribe function
+   */
+  subscribeToMode(handler) {
+    this.modeHandlers.add(handler);
+    return () => this.modeHandlers.delete(handler);
+  }
+
+  emitConversationEvent(event) {
+    const entry = this.conversations.get(event.conversation_uuid);
+    if (!entry) return;
+
+    // Keep the polling snapshot in step with pushed events
+    if (entry.snapshot && event.type === TRANSPORT_EVENTS.MESSAGE_CREATED) {
+      entry.snapshot = [event.message, ...entry.snapshot];
+    }
+
+    entry.handlers.forEach((handler) => {
+      try {
+        handler(event);
+      } catch (error) {
+        console.error('❌ MESSAGING TRANSPORT: Subscriber error:', error);
+      }
+    });
+  }
+
+  emitUnreadCount(data) {
+    this.unreadHandlers.forEach((handler) => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error('❌ MESSAGING TRANSPORT: Subscriber error:', error);
+      }
+    });
+  }
+}
+
+/**
+ * Create a messaging transport
+ * @param {Object} options - See MessagingTransport constructor
+ * @returns {MessagingTransport}
+ */
+export const createMessagingTransport = (options = {}) =>
+  new MessagingTransport({
+    url: Config.REALTIME?.ENABLED ? Config.REALTIME.MESSAGING_WS_URL : null,
+    ...options,
+  });
+
+export default MessagingTransport;
@@ -5,100 +5,15 @@
 
 import { Config, buildApiUrl } from '../config/env';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getUserData } from './authService';
+import { getStoredAuthCode } from './authService';
+import { apiRequest } from './apiClient';
 
 // Helper function to get auth code from storage (supports user-type-specific storage and guardians)
-const getAuthCode = async () => {
-  try {
-    console.log('🔑 NOTIFICATION SERVICE: Getting auth code...');
-
-    // First try parent-specific storage keys (parents should have priority for their notifications)
-    const parentData = await getUserData('parent', AsyncStorage);
-    if (parentData && (parentData.authCode || parentData.auth_code)) {
-      const authCode = parentData.authCode || parentData.auth_code;
-      console.log(
-        '🔑 NOTIFICATION SERVICE: Using parent auth code:',
-        authCode?.substring(0, 8) + '...',
-        'Parent name:',
-        parentData.name || parentData.user_name
-      );
-      return authCode;
-    }
-
-    // Then try teacher data
-    const teacherData = await getUserData('teacher', AsyncStorage);
-    if (teacherData && (teacherData.authCode || teacherData.auth_code)) {
-      const authCode = teacherData.authCode || teacherData.auth_code;
-      console.log(
-        '🔑 NOTIFICATION SERVICE: Using teacher auth code:',
-        authCode?.substring(0, 8) + '...'
-      );
-      return authCode;
-    }
-
-    // Then try student data
-    const studentData = await getUserData('student', AsyncStorage);
-    if (studentData && (studentData.authCode || studentData.auth_code)) {
-      const authCode = studentData.authCode || studentData.auth_code;
-      console.log(
-        '🔑 NOTIFICATION SERVICE: Using student auth code:',
-        authCode?.substring(0, 8) + '...'
-      );
-      return authCode;
-    }
-
-    // Fallback to generic userData for backward compatibility
-    const userData = await AsyncStorage.getItem('userData');
-    if (userData) {
-      const user = JSON.parse(userData);
-      const authCode = user.authCode || user.auth_code;
-      if (authCode) {
-        console.log(
-          '🔑 NOTIFICATION SERVICE: Using generic userData auth code'
-        );
-        return authCode;
-      }
-    }
-
-    // If no regular auth code found, try guardian auth code
-    const guardianAuthCode = await AsyncStorage.getItem('guardianAuthCode');
-    if (guardianAuthCode) {
-      console.log('🔑 NOTIFICATION SERVICE: Using guardian auth code');
-      return guardianAuthCode;
-    }
-
-    // No auth code found
-    console.warn('⚠️ NOTIFICATION SERVICE: No auth code found in storage');
-    console.log('ℹ️ NOTIFICATION SERVICE: User appears to be logged out');
-    return null;
-  } catch (error) {
-    console.error('❌ NOTIFICATION SERVICE: Error getting auth code:', error);
-    return null;
-  }
-};
-
-// Helper function to make API requests
-const makeApiRequest = async (url, options = {}) => {
-  try {
-    const response = await fetch(url, {
-      timeout: Config.NETWORK.TIMEOUT,
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers,
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error('API request failed:', error);
-    throw error;
-  }
-};
+const getAuthCode = () =>
+  getStoredAuthCode(AsyncStorage, {
+    userTypes: ['parent', 'teacher', 'student'],
+    includeGuardian: true,
+  });
 
 /**
  * Get notifications list with pagination
@@ -129,7 +44,7 @@ export const getNotifications = async (params = {}) => {
       Config.API_ENDPOINTS.GET_NOTIFICATIONS,
       queryParams
     );
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching notifications:', error);
     throw error;
@@ -150,7 +65,7 @@ export const getLegacyNotifications = async () => {
     const url = buildApiUrl(Config.API_ENDPOINTS.GET_NOTIFICATIONS_LEGACY, {
       authCode,
     });
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching legacy notifications:', error);
     throw error;
@@ -174,12 +89,12 @@ export const markNotificationAsRead = async (
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.MARK_NOTIFICATION_READ);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
         notification_id: notificationId,
-      }),
+      },
     });
   } catch (error) {
     console.error('Error marking notification as read:', error);
@@ -200,11 +115,11 @@ export const markAllNotificationsAsRead = async (specificAuthCode = null) => {
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.MARK_ALL_NOTIFICATIONS_READ);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
-      }),
+      },
     });
   } catch (error) {
     console.error('Error marking all notifications as read:', error);
@@ -226,7 +141,7 @@ export const getNotificationCategories = async () => {
     const url = buildApiUrl(Config.API_ENDPOINTS.GET_NOTIFICATION_CATEGORIES, {
       authCode,
     });
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching notification categories:', error);
     throw error;
@@ -251,12 +166,12 @@ export const sendNotification = async (notificationData) => {
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.SEND_NOTIFICATION);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
         ...notificationData,
-      }),
+      },
     });
   } catch (error) {
     console.error('Error sending notification:', error);
@@ -287,7 +202,7 @@ export const getNotificationStatistics = async (params = {}) => {
       Config.API_ENDPOINTS.GET_NOTIFICATION_STATISTICS,
       queryParams
     );
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching notification statistics:', error);
     throw error;
@@ -311,9 +226,9 @@ export const getNotificationStatistics = async (params = {}) => {
 export const sendBPSNotification = async (bpsData) => {
   try {
     const url = buildApiUrl(Config.API_ENDPOINTS.SEND_BPS_NOTIFICATION);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify(bpsData),
+      body: bpsData,
     });
   } catch (error) {
     console.error('Error sending BPS notification:', error);
@@ -331,9 +246,9 @@ export const sendBPSNotification = async (bpsData) => {
 export const sendAttendanceReminder = async (reminderData) => {
   try {
     const url = buildApiUrl(Config.API_ENDPOINTS.SEND_ATTENDANCE_REMINDER);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify(reminderData),
+      body: reminderData,
     });
   } catch (error) {
     console.error('Error sending attendance reminder:', error);
@@ -354,9 +269,9 @@ export const sendAttendanceReminder = async (reminderData) => {
 export const sendRichNotification = async (richData) => {
   try {
     const url = buildApiUrl(Config.API_ENDPOINTS.SEND_RICH_NOTIFICATION);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify(richData),
+      body: richData,
     });
   } catch (error) {
     console.error('Error sending rich notification:', error);
@@ -376,9 +291,9 @@ export const sendRichNotification = async (richData) => {
 export const sendStaffNotification = async (staffData) => {
   try {
     const url = buildApiUrl(Config.API_ENDPOINTS.SEND_STAFF_NOTIFICATION);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify(staffData),
+      body: staffData,
     });
   } catch (error) {
     console.error('Error sending staff notification:', error);
@@ -408,12 +323,12 @@ export const sendHealthNotification = async (healthData) => {
 
     const url = buildApiUrl(Config.API_ENDPOINTS.SEND_HEALTH_NOTIFICATION);
 
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
         ...healthData,
-      }),
+      },
     });
   } catch (error) {
     console.error('Error sending health notification:', error);
@@ -441,13 +356,13 @@ export const sendEmergencyHealthAlert = async (emergencyData) => {
 
     const url = buildApiUrl(Config.API_ENDPOINTS.SEND_EMERGENCY_HEALTH_ALERT);
 
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
         ...emergencyData,
         priority: 'urgent', // Emergency alerts are always urgent
-      }),
+      },
     });
   } catch (error) {
     console.error('Error sending emergency health alert:', error);
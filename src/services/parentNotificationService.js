@@ -6,55 +6,12 @@
 
 import { Config, buildApiUrl } from '../config/env';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getUserData } from './authService';
+import { getStoredAuthCode } from './authService';
+import { apiRequest } from './apiClient';
 
 // Helper function to get parent auth code from storage
-const getParentAuthCode = async () => {
-  try {
-    console.log('🔑 PARENT NOTIFICATION SERVICE: Getting parent auth code...');
-
-    const parentData = await getUserData('parent', AsyncStorage);
-    if (parentData && (parentData.authCode || parentData.auth_code)) {
-      const authCode = parentData.authCode || parentData.auth_code;
-      console.log(
-        '🔑 PARENT NOTIFICATION SERVICE: Using parent auth code:',
-        authCode?.substring(0, 8) + '...',
-        'Parent name:',
-        parentData.name || parentData.user_name
-      );
-      return authCode;
-    }
-
-    console.warn('⚠️ PARENT NOTIFICATION SERVICE: No parent auth code found');
-    return null;
-  } catch (error) {
-    console.error('❌ PARENT NOTIFICATION SERVICE: Error getting auth code:', error);
-    return null;
-  }
-};
-
-// Helper function to make API requests
-const makeApiRequest = async (url, options = {}) => {
-  try {
-    const response = await fetch(url, {
-      timeout: Config.NETWORK.TIMEOUT,
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers,
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error('PARENT NOTIFICATION SERVICE: API request failed:', error);
-    throw error;
-  }
-};
+const getParentAuthCode = () =>
+  getStoredAuthCode(AsyncStorage, { userTypes: ['parent'] });
 
 /**
  * Get parent notifications list with pagination
@@ -82,7 +39,7 @@ export const getParentNotifications = async (params = {}) => {
       Config.API_ENDPOINTS.GET_NOTIFICATIONS,
       queryParams
     );
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('PARENT NOTIFICATION SERVICE: Error fetching notifications:', error);
     throw error;
@@ -102,12 +59,12 @@ export const markParentNotificationAsRead = async (notificationId) => {
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.MARK_NOTIFICATION_READ);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
         notification_id: notificationId,
-      }),
+      },
     });
   } catch (error) {
     console.error('PARENT NOTIFICATION SERVICE: Error marking notification as read:', error);
@@ -127,11 +84,11 @@ export const markAllParentNotificationsAsRead = async () => {
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.MARK_ALL_NOTIFICATIONS_READ);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
-      }),
+      },
     });
   } catch (error) {
     console.error('PARENT NOTIFICATION SERVICE: Error marking all notifications as read:', error);
@@ -153,7 +110,7 @@ export const getParentNotificationCategories = async () => {
     const url = buildApiUrl(Config.API_ENDPOINTS.GET_NOTIFICATION_CATEGORIES, {
       authCode,
     });
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('PARENT NOTIFICATION SERVICE: Error fetching notification categories:', error);
     throw error;
@@ -7,6 +7,7 @@
 import {
   getChildTimetable,
   getChildHomework,
+  getChildHomeworkComments,
   getChildAttendance,
   getChildGrades,
   getChildAssessment,
@@ -35,7 +36,6 @@ export const adaptTimetableService = (originalService) => {
         // Check if this is a parent proxy request
         if (options.useParentProxy && options.studentId) {
           console.log('🔄 TIMETABLE ADAPTER: Using parent proxy access');
-          console.log('🔑 Parent Auth Code:', authCode);
           console.log('👤 Student ID:', options.studentId);
 
           const response = await getChildTimetable(authCode, options.studentId);
@@ -75,7 +75,6 @@ export const adaptHomeworkService = (originalService) => {
         // Check if this is a parent proxy request
         if (options.useParentProxy && options.studentId) {
           console.log('🔄 HOMEWORK ADAPTER: Using parent proxy access');
-          console.log('🔑 Parent Auth Code:', authCode);
           console.log('👤 Student ID:', options.studentId);
 
           const response = await getChildHomework(authCode, options.studentId);
@@ -97,6 +96,37 @@ export const adaptHomeworkService = (originalService) => {
         throw error;
       }
     },
+
+    /**
+     * Get a submission's comment thread - parents get read-only access
+     */
+    getSubmissionComments: async (detailId, authCode, options = {}) => {
+      try {
+        if (options.useParentProxy && options.studentId) {
+          console.log('🔄 HOMEWORK ADAPTER: Using parent proxy for comments');
+
+          const response = await getChildHomeworkComments(
+            authCode,
+            options.studentId,
+            detailId
+          );
+
+          return {
+            success: response.success,
+            data: response.data || response.comments || [],
+            message: response.message,
+          };
+        } else {
+          return await originalService.getSubmissionComments(
+            detailId,
+            authCode
+          );
+        }
+      } catch (error) {
+        console.error('❌ HOMEWORK ADAPTER: Error loading comments:', error);
+        throw error;
+      }
+    },
   };
 };
 
@@ -116,7 +146,6 @@ export const adaptAttendanceService = (originalService) => {
         // Check if this is a parent proxy request
         if (options.useParentProxy && options.studentId) {
           console.log('🔄 ATTENDANCE ADAPTER: Using parent proxy access');
-          console.log('🔑 Parent Auth Code:', authCode);
           console.log('👤 Student ID:', options.studentId);
 
           const response = await getChildAttendance(
@@ -159,7 +188,6 @@ export const adaptGradesService = (originalService) => {
         // Check if this is a parent proxy request
         if (options.useParentProxy && options.studentId) {
           console.log('🔄 GRADES ADAPTER: Using parent proxy access');
-          console.log('🔑 Parent Auth Code:', authCode);
           console.log('👤 Student ID:', options.studentId);
 
           const response = await getChildGrades(authCode, options.studentId);
@@ -201,7 +229,6 @@ export const adaptAssessmentService = (originalService) => {
         // Check if this is a parent proxy request
         if (options.useParentProxy && options.studentId) {
           console.log('🔄 ASSESSMENT ADAPTER: Using parent proxy access');
-          console.log('🔑 Parent Auth Code:', authCode);
           console.log('👤 Student ID:', options.studentId);
 
           const response = await getChildAssessment(
@@ -246,7 +273,6 @@ export const adaptBehaviorService = (originalService) => {
         // Check if this is a parent proxy request
         if (options.useParentProxy && options.studentId) {
           console.log('🔄 BPS ADAPTER: Using parent proxy access');
-          console.log('🔑 Parent Auth Code:', authCode);
           console.log('👤 Student ID:', options.studentId);
 
           const response = await getChildBpsProfile(
@@ -291,7 +317,6 @@ export const adaptCalendarService = (originalService) => {
         // Check if this is a parent proxy request
         if (options.useParentProxy) {
           console.log('🔄 CALENDAR ADAPTER: Using parent proxy access');
-          console.log('🔑 Parent Auth Code:', authCode);
 
           const response = await getParentCalendarData(authCode);
 
@@ -323,7 +348,6 @@ export const adaptCalendarService = (originalService) => {
           console.log(
             '🔄 CALENDAR ADAPTER: Using parent proxy for upcoming events'
           );
-          console.log('🔑 Parent Auth Code:', authCode);
 
           const response = await getParentCalendarUpcoming(authCode);
 
@@ -361,7 +385,6 @@ export const adaptCalendarService = (originalService) => {
           console.log(
             '🔄 CALENDAR ADAPTER: Using parent proxy for personal events'
           );
-          console.log('🔑 Parent Auth Code:', authCode);
 
           const response = await getParentCalendarPersonal(authCode);
 
@@ -446,7 +469,6 @@ export const adaptLibraryService = (originalService) => {
         // Check if this is a parent proxy request
         if (options.useParentProxy && options.studentId) {
           console.log('🔄 LIBRARY ADAPTER: Using parent proxy access');
-          console.log('🔑 Parent Auth Code:', authCode);
           console.log('👤 Student ID:', options.studentId);
 
           const response = await getChildLibrary(authCode, options.studentId);
@@ -6,6 +6,7 @@
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Config, buildApiUrl } from '../config/env';
+import { apiRequest } from './apiClient';
 
 // Mock data for development/testing
 const mockParentData = {
@@ -35,37 +36,6 @@ const mockParentData = {
 // Temporary flag for testing with mock data
 const USE_MOCK_DATA = false;
 
-/**
- * Make API request with error handling
- */
-const makeApiRequest = async (url, options = {}) => {
-  try {
-    console.log('🔗 PARENT SERVICE: Making API request to:', url);
-    console.log('📤 PARENT SERVICE: Request options:', options);
-
-    const response = await fetch(url, {
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-        ...options.headers,
-      },
-      ...options,
-    });
-
-    const data = await response.json();
-    console.log('📥 PARENT SERVICE: Response received:', data);
-
-    if (!response.ok) {
-      throw new Error(data.message || `HTTP error! status: ${response.status}`);
-    }
-
-    return data;
-  } catch (error) {
-    console.error('❌ PARENT SERVICE: API request failed:', error);
-    throw error;
-  }
-};
-
 /**
  * Get parent's children list
  * @param {string} authCode - Parent's authentication code
@@ -74,7 +44,6 @@ const makeApiRequest = async (url, options = {}) => {
 export const getParentChildren = async (authCode) => {
   try {
     console.log('👨‍👩‍👧‍👦 PARENT SERVICE: Fetching parent children');
-    console.log('🔑 PARENT SERVICE: Auth code:', authCode);
 
     if (USE_MOCK_DATA) {
       // Simulate API delay
@@ -90,7 +59,7 @@ export const getParentChildren = async (authCode) => {
     const url = buildApiUrl(Config.API_ENDPOINTS.GET_PARENT_CHILDREN, {
       authCode,
     });
-    const response = await makeApiRequest(url);
+    const response = await apiRequest(url);
 
     return response;
   } catch (error) {
@@ -99,16 +68,33 @@ export const getParentChildren = async (authCode) => {
   }
 };
 
+// The API returns the timetable data directly as an object with day numbers
+// as keys; wrap it to match the expected timetable format
+const normalizeChildTimetable = (response) => {
+  if (response && typeof response === 'object' && !response.success) {
+    return {
+      success: true,
+      timetable: transformTimetableData(response),
+      message: 'Timetable data retrieved successfully',
+    };
+  }
+  return response;
+};
+
 /**
  * Get child's timetable using parent proxy access
  * @param {string} authCode - Parent's authentication code
  * @param {number} studentId - Child's student ID
+ * @param {Object} cacheOptions - Response cache options ({ forceRefresh, onUpdate })
  * @returns {Promise<Object>} - Timetable data
  */
-export const getChildTimetable = async (authCode, studentId) => {
+export const getChildTimetable = async (
+  authCode,
+  studentId,
+  cacheOptions = {}
+) => {
   try {
     console.log('📅 PARENT SERVICE: Fetching child timetable');
-    console.log('🔑 PARENT SERVICE: Auth code:', authCode);
     console.log('👤 PARENT SERVICE: Student ID:', studentId);
 
     if (USE_MOCK_DATA) {
@@ -164,25 +150,16 @@ export const getChildTimetable = async (authCode, studentId) => {
       authCode,
       student_id: studentId,
     });
-    const response = await makeApiRequest(url);
-
-    // Transform the response to match expected timetable format
-    if (response && typeof response === 'object' && !response.success) {
-      // The API returns the timetable data directly as an object with day numbers as keys
-      const transformedResponse = {
-        success: true,
-        timetable: transformTimetableData(response),
-        message: 'Timetable data retrieved successfully',
-      };
-
-      console.log(
-        '🔄 PARENT SERVICE: Transformed timetable response:',
-        transformedResponse
-      );
-      return transformedResponse;
-    }
+    const { onUpdate } = cacheOptions;
+    const response = await apiRequest(url, {
+      cache: {
+        ...cacheOptions,
+        onUpdate:
+          onUpdate && ((data) => onUpdate(normalizeChildTimetable(data))),
+      },
+    });
 
-    return response;
+    return normalizeChildTimetable(response);
   } catch (error) {
     console.error('❌ PARENT SERVICE: Error fetching child timetable:', error);
     throw error;
@@ -193,12 +170,16 @@ export const getChildTimetable = async (authCode, studentId) => {
  * Get child's homework using parent proxy access
  * @param {string} authCode - Parent's authentication code
  * @param {number} studentId - Child's student ID
+ * @param {Object} cacheOptions - Response cache options ({ forceRefresh, onUpdate })
  * @returns {Promise<Object>} - Homework data
  */
-export const getChildHomework = async (authCode, studentId) => {
+export const getChildHomework = async (
+  authCode,
+  studentId,
+  cacheOptions = {}
+) => {
   try {
     console.log('📚 PARENT SERVICE: Fetching child homework');
-    console.log('🔑 PARENT SERVICE: Auth code:', authCode);
     console.log('👤 PARENT SERVICE: Student ID:', studentId);
 
     if (USE_MOCK_DATA) {
@@ -234,7 +215,7 @@ export const getChildHomework = async (authCode, studentId) => {
       authCode,
       student_id: studentId,
     });
-    const response = await makeApiRequest(url);
+    const response = await apiRequest(url, { cache: cacheOptions });
 
     return response;
   } catch (error) {
@@ -243,6 +224,38 @@ export const getChildHomework = async (authCode, studentId) => {
   }
 };
 
+/**
+ * Get the comment thread on a child's homework submission (read-only)
+ * @param {string} authCode - Parent's authentication code
+ * @param {number} studentId - Child's student ID
+ * @param {string} detailId - Homework detail ID
+ * @returns {Promise<Object>} - Response data with comments, oldest first
+ */
+export const getChildHomeworkComments = async (
+  authCode,
+  studentId,
+  detailId
+) => {
+  try {
+    const url = buildApiUrl(
+      Config.API_ENDPOINTS.PARENT_STUDENT_HOMEWORK_COMMENTS,
+      {
+        authCode,
+        student_id: studentId,
+        detail_id: detailId,
+      }
+    );
+
+    return await apiRequest(url);
+  } catch (error) {
+    console.error(
+      '❌ PARENT SERVICE: Error fetching child homework comments:',
+      error
+    );
+    throw error;
+  }
+};
+
 /**
  * Get child's attendance using parent proxy access
  * @param {string} authCode - Parent's authentication code
@@ -252,7 +265,6 @@ export const getChildHomework = async (authCode, studentId) => {
 export const getChildAttendance = async (authCode, studentId) => {
   try {
     console.log('📊 PARENT SERVICE: Fetching child attendance');
-    console.log('🔑 PARENT SERVICE: Auth code:', authCode);
     console.log('👤 PARENT SERVICE: Student ID:', studentId);
 
     if (USE_MOCK_DATA) {
@@ -285,7 +297,7 @@ export const getChildAttendance = async (authCode, studentId) => {
       authCode,
       student_id: studentId,
     });
-    const response = await makeApiRequest(url);
+    const response = await apiRequest(url);
 
     return response;
   } catch (error) {
@@ -298,12 +310,16 @@ export const getChildAttendance = async (authCode, studentId) => {
  * Get child's grades/assessment using parent proxy access
  * @param {string} authCode - Parent's authentication code
  * @param {number} studentId - Child's student ID
+ * @param {Object} cacheOptions - Response cache options ({ forceRefresh, onUpdate })
  * @returns {Promise<Object>} - Grades/assessment data
  */
-export const getChildGrades = async (authCode, studentId) => {
+export const getChildGrades = async (
+  authCode,
+  studentId,
+  cacheOptions = {}
+) => {
   try {
     console.log('📈 PARENT SERVICE: Fetching child grades');
-    console.log('🔑 PARENT SERVICE: Auth code:', authCode);
     console.log('👤 PARENT SERVICE: Student ID:', studentId);
 
     if (USE_MOCK_DATA) {
@@ -475,7 +491,7 @@ export const getChildGrades = async (authCode, studentId) => {
       authCode,
       student_id: studentId,
     });
-    const response = await makeApiRequest(url);
+    const response = await apiRequest(url, { cache: cacheOptions });
 
     return response;
   } catch (error) {
@@ -493,7 +509,6 @@ export const getChildGrades = async (authCode, studentId) => {
 export const getChildAssessment = async (authCode, studentId) => {
   try {
     console.log('📝 PARENT SERVICE: Fetching child assessment');
-    console.log('🔑 PARENT SERVICE: Auth code:', authCode);
     console.log('👤 PARENT SERVICE: Student ID:', studentId);
 
     if (USE_MOCK_DATA) {
@@ -544,7 +559,7 @@ export const getChildAssessment = async (authCode, studentId) => {
       authCode,
       student_id: studentId,
     });
-    const response = await makeApiRequest(url);
+    const response = await apiRequest(url);
 
     return response;
   } catch (error) {
@@ -557,12 +572,16 @@ export const getChildAssessment = async (authCode, studentId) => {
  * Get child's BPS profile using parent proxy access
  * @param {string} authCode - Parent's authentication code
  * @param {number} studentId - Child's student ID
+ * @param {Object} cacheOptions - Response cache options ({ forceRefresh, onUpdate })
  * @returns {Promise<Object>} - BPS profile data
  */
-export const getChildBpsProfile = async (authCode, studentId) => {
+export const getChildBpsProfile = async (
+  authCode,
+  studentId,
+  cacheOptions = {}
+) => {
   try {
     console.log('🎯 PARENT SERVICE: Fetching child BPS profile');
-    console.log('🔑 PARENT SERVICE: Auth code:', authCode);
     console.log('👤 PARENT SERVICE: Student ID:', studentId);
 
     if (USE_MOCK_DATA) {
@@ -624,7 +643,7 @@ export const getChildBpsProfile = async (authCode, studentId) => {
       authCode,
       student_id: studentId,
     });
-    const response = await makeApiRequest(url);
+    const response = await apiRequest(url, { cache: cacheOptions });
 
     return response;
   } catch (error) {
@@ -645,7 +664,6 @@ export const getChildBpsProfile = async (authCode, studentId) => {
 export const getChildHealthInfo = async (authCode, studentId) => {
   try {
     console.log('🏥 PARENT SERVICE: Fetching child health info');
-    console.log('🔑 PARENT SERVICE: Auth code:', authCode);
     console.log('👤 PARENT SERVICE: Student ID:', studentId);
 
     if (USE_MOCK_DATA) {
@@ -699,7 +717,7 @@ export const getChildHealthInfo = async (authCode, studentId) => {
       authCode,
       student_id: studentId,
     });
-    const response = await makeApiRequest(url);
+    const response = await apiRequest(url);
 
     return response;
   } catch (error) {
@@ -720,7 +738,6 @@ export const getChildHealthInfo = async (authCode, studentId) => {
 export const getChildHealthRecords = async (authCode, studentId) => {
   try {
     console.log('📋 PARENT SERVICE: Fetching child health records');
-    console.log('🔑 PARENT SERVICE: Auth code:', authCode);
     console.log('👤 PARENT SERVICE: Student ID:', studentId);
 
     if (USE_MOCK_DATA) {
@@ -800,7 +817,7 @@ export const getChildHealthRecords = async (authCode, studentId) => {
         student_id: studentId,
       }
     );
-    const response = await makeApiRequest(url);
+    const response = await apiRequest(url);
 
     return response;
   } catch (error) {
@@ -816,12 +833,16 @@ export const getChildHealthRecords = async (authCode, studentId) => {
  * Get child's library data using parent proxy access
  * @param {string} authCode - Parent's authentication code
  * @param {number} studentId - Child's student ID
+ * @param {Object} cacheOptions - Response cache options ({ forceRefresh, onUpdate })
  * @returns {Promise<Object>} - Library data
  */
-export const getChildLibrary = async (authCode, studentId) => {
+export const getChildLibrary = async (
+  authCode,
+  studentId,
+  cacheOptions = {}
+) => {
   try {
     console.log('📚 PARENT SERVICE: Fetching child library data');
-    console.log('🔑 PARENT SERVICE: Auth code:', authCode);
     console.log('👤 PARENT SERVICE: Student ID:', studentId);
 
     if (USE_MOCK_DATA) {
@@ -908,7 +929,7 @@ export const getChildLibrary = async (authCode, studentId) => {
       authCode,
       student_id: studentId,
     });
-    const response = await makeApiRequest(url);
+    const response = await apiRequest(url, { cache: cacheOptions });
 
     return response;
   } catch (error) {
@@ -929,7 +950,6 @@ export const getChildLibrary = async (authCode, studentId) => {
 export const getChildComprehensiveData = async (authCode, studentId) => {
   try {
     console.log('📊 PARENT SERVICE: Fetching comprehensive child data');
-    console.log('🔑 PARENT SERVICE: Auth code:', authCode);
     console.log('👤 PARENT SERVICE: Student ID:', studentId);
 
     // Fetch all data in parallel for better performance
@@ -1194,7 +1214,6 @@ export const getChildById = (children, studentId) => {
 export const getParentCalendarData = async (authCode) => {
   try {
     console.log('📅 PARENT SERVICE: Fetching parent calendar data');
-    console.log('🔑 PARENT SERVICE: Auth code:', authCode);
 
     if (USE_MOCK_DATA) {
       // Simulate API delay
@@ -1239,7 +1258,7 @@ export const getParentCalendarData = async (authCode) => {
     const url = buildApiUrl(Config.API_ENDPOINTS.PARENT_CALENDAR_DATA, {
       authCode,
     });
-    const response = await makeApiRequest(url);
+    const response = await apiRequest(url);
 
     return response;
   } catch (error) {
@@ -1256,7 +1275,6 @@ export const getParentCalendarData = async (authCode) => {
 export const getParentCalendarUpcoming = async (authCode) => {
   try {
     console.log('📅 PARENT SERVICE: Fetching upcoming calendar events');
-    console.log('🔑 PARENT SERVICE: Auth code:', authCode);
 
     if (USE_MOCK_DATA) {
       // Simulate API delay
@@ -1291,7 +1309,7 @@ export const getParentCalendarUpcoming = async (authCode) => {
     const url = buildApiUrl(Config.API_ENDPOINTS.PARENT_CALENDAR_UPCOMING, {
       authCode,
     });
-    const response = await makeApiRequest(url);
+    const response = await apiRequest(url);
 
     return response;
   } catch (error) {
@@ -1308,7 +1326,6 @@ export const getParentCalendarUpcoming = async (authCode) => {
 export const getParentCalendarPersonal = async (authCode) => {
   try {
     console.log('📅 PARENT SERVICE: Fetching personal calendar events');
-    console.log('🔑 PARENT SERVICE: Auth code:', authCode);
 
     if (USE_MOCK_DATA) {
       // Simulate API delay
@@ -1345,7 +1362,7 @@ export const getParentCalendarPersonal = async (authCode) => {
     const url = buildApiUrl(Config.API_ENDPOINTS.PARENT_CALENDAR_PERSONAL, {
       authCode,
     });
-    const response = await makeApiRequest(url);
+    const response = await apiRequest(url);
 
     return response;
   } catch (error) {
@@ -1365,6 +1382,7 @@ export default {
   getParentChildren,
   getChildTimetable,
   getChildHomework,
+  getChildHomeworkComments,
   getChildAttendance,
   getChildGrades,
   getChildAssessment,
@@ -0,0 +1,315 @@
+/**
+ * Pickup Geofence Service
+ * Opt-in automatic pickup requests when a parent arrives at school
+ *
+ * A background geofence (expo-location + expo-task-manager) watches the
+ * pickup radius around campus. When the parent enters it during dismissal
+ * hours, pickup requests are created for the chosen children through
+ * createMultipleParentPickupRequests and a notification confirms it. A
+ * cooldown keeps the parent from sending repeat requests while driving in
+ * and out of the radius.
+ */
+
+import * as Location from 'expo-location';
+import * as TaskManager from 'expo-task-manager';
+import * as Notifications from 'expo-notifications';
+import { Config } from '../config/env';
+import { secureSessionStorage } from './secureStorage';
+import {
+  createMultipleParentPickupRequests,
+  getPendingPickupRequests,
+} from './pickupRequestService';
+
+export const PICKUP_GEOFENCE_TASK = 'pickup-geofence';
+
+// Settings record; its authCode is kept in the keychain (see
+// Config.SECURE_STORAGE.RECORD_KEYS)
+const SETTINGS_KEY = 'pickupGeofence';
+const SCHOOL_REGION_ID = 'school';
+
+const getGeofenceConfig = () => Config.PICKUP_GEOFENCE || {};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+/**
+ * Check whether a time falls inside the dismissal hours
+ * @param {Date} date - Time to check
+ * @param {Array<Object>} windows - [{ days: [0-6], start: 'HH:MM', end: 'HH:MM' }]
+ * @returns {boolean}
+ */
+export const isWithinDismissalHours = (
+  date = new Date(),
+  windows = getGeofenceConfig().DISMISSAL_WINDOWS || []
+) => {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+
+  return windows.some(
+    (window) =>
+      (!window.days || window.days.includes(date.getDay())) &&
+      minutes >= toMinutes(window.start) &&
+      minutes <= toMinutes(window.end)
+  );
+};
+
+/**
+ * Minutes left before another automatic request may be sent
+ * @param {number|null} lastRequestAt - Time of the last automatic request (ms)
+ * @param {number} now - Current time (ms)
+ * @param {number} cooldownMinutes
+ * @returns {number} - 0 when a request is allowed
+ */
+export const getCooldownRemaining = (
+  lastRequestAt,
+  now = Date.now(),
+  cooldownMinutes = getGeofenceConfig().COOLDOWN_MINUTES ?? 60
+) => {
+  if (!lastRequestAt) return 0;
+
+  const remaining = lastRequestAt + cooldownMinutes * 60 * 1000 - now;
+  return remaining > 0 ? Math.ceil(remaining / 60000) : 0;
+};
+
+/**
+ * Get the automatic pickup settings of this device
+ * @returns {Promise<Object|null>} - { enabled, authCode, studentIds,
+ * studentNames, schoolLocation, lastRequestAt } or null when never enabled
+ */
+export const getAutoPickupSettings = async () => {
+  try {
+    const stored = await secureSessionStorage.getItem(SETTINGS_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error('❌ PICKUP GEOFENCE: Error reading settings:', error);
+    return null;
+  }
+};
+
+const saveAutoPickupSettings = (settings) =>
+  secureSessionStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+
+const notify = async (title, body) => {
+  try {
+    await Notifications.scheduleNotificationAsync({
+      content: {
+        title,
+        body,
+        sound: 'default',
+        data: { type: 'pickup_auto_request' },
+      },
+      trigger: null,
+    });
+  } catch (error) {
+    console.warn('⚠️ PICKUP GEOFENCE: Failed to show notification:', error);
+  }
+};
+
+/**
+ * Handle a geofence event from the background task
+ * @param {Object} event - { eventType, region } from expo-location
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { created: boolean, reason: string }
+ */
+export const handleGeofenceEvent = async (
+  { eventType } = {},
+  now = new Date()
+) => {
+  if (eventType !== Location.GeofencingEventType.Enter) {
+    return { created: false, reason: 'not_entering' };
+  }
+
+  const settings = await getAutoPickupSettings();
+  if (
+    !settings?.enabled ||
+    !settings.authCode ||
+    !settings.studentIds?.length
+  ) {
+    return { created: false, reason: 'disabled' };
+  }
+
+  if (!isWithinDismissalHours(now)) {
+    console.log('📍 PICKUP GEOFENCE: Arrived outside dismissal hours');
+    return { created: false, reason: 'outside_dismissal_hours' };
+  }
+
+  if (getCooldownRemaining(settings.lastRequestAt, now.getTime()) > 0) {
+    console.log('📍 PICKUP GEOFENCE: Arrived during cooldown, skipping');
+    return { created: false, reason: 'cooldown' };
+  }
+
+  // Start the cooldown before the request so a second event that arrives
+  // while this one is running is skipped
+  await saveAutoPickupSettings({ ...settings, lastRequestAt: now.getTime() });
+
+  try {
+    // Children who already have a pending request (e.g. made by hand) are left out
+    const pending = await getPendingPickupRequests(settings.authCode);
+    const pendingIds = new Set(
+      (pending?.pending_requests || []).map((request) => request.student_id)
+    );
+    const studentIds = settings.studentIds.filter((id) => !pendingIds.has(id));
+    if (studentIds.length === 0) {
+      return { created: false, reason: 'already_pending' };
+    }
+
+    const position = await Location.getCurrentPositionAsync({
+      accuracy: Location.Accuracy.High,
+    });
+
+    const response = await createMultipleParentPickupRequests(
+      settings.authCode,
+      studentIds,
+      {
+        location: {
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy,
+        },
+        schoolLocation: settings.schoolLocation,
+      }
+    );
+    if (!response?.success) {
+      throw new Error(response?.message || 'Failed to create pickup request');
+    }
+
+    const names = (response.results || [])
+      .filter((result) => result.success && result.student_name)
+      .map((result) => result.student_name);
+    await notify(
+      'Pickup Request Sent',
+      names.length > 0
+        ? `You have arrived at school. Staff have been told you are here for ${names.join(
+            ', '
+          )}.`
+        : response.message || 'You have arrived at school.'
+    );
+
+    console.log('✅ PICKUP GEOFENCE: Automatic pickup request created');
+    return { created: true, reason: 'created' };
+  } catch (error) {
+    console.error('❌ PICKUP GEOFENCE: Automatic request failed:', error);
+
+    // Undo the cooldown so the next arrival tries again
+    await saveAutoPickupSettings(settings);
+    await notify(
+      'Automatic Pickup Request Failed',
+      `${error.message} Open the app to request pickup.`
+    );
+    return { created: false, reason: 'error' };
+  }
+};
+
+TaskManager.defineTask(PICKUP_GEOFENCE_TASK, async ({ data, error }) => {
+  if (error) {
+    console.error('❌ PICKUP GEOFENCE: Task error:', error);
+    return;
+  }
+
+  await handleGeofenceEvent(data);
+});
+
+/**
+ * Turn on automatic pickup requests
+ * @param {Object} params
+ * @param {string} params.authCode - Parent authentication code
+ * @param {Array<Object>} params.children - Children to request pickup for
+ * ({ student_id, student_name })
+ * @param {Object} params.schoolLocation - School location from getSchoolLocation
+ * @returns {Promise<Object>} - { success, message }
+ */
+export const enableAutoPickup = async ({
+  authCode,
+  children = [],
+  schoolLocation,
+}) => {
+  try {
+    if (!authCode) throw new Error('Authentication code is required');
+    if (children.length === 0) throw new Error('Select at least one child');
+    if (!schoolLocation?.latitude || !schoolLocation?.longitude) {
+      throw new Error('School location is not available. Please try again.');
+    }
+
+    const foreground = await Location.requestForegroundPermissionsAsync();
+    if (foreground.status !== 'granted') {
+      return {
+        success: false,
+        message: 'Location access is required for automatic pickup requests.',
+      };
+    }
+
+    // Geofencing only runs with "Always" location access
+    const background = await Location.requestBackgroundPermissionsAsync();
+    if (background.status !== 'granted') {
+      return {
+        success: false,
+        message:
+          'Please allow location access "Always" in your device settings so the app can tell when you arrive at school.',
+      };
+    }
+
+    await Notifications.requestPermissionsAsync();
+
+    const previous = await getAutoPickupSettings();
+    await saveAutoPickupSettings({
+      enabled: true,
+      authCode,
+      studentIds: children.map((child) => child.student_id),
+      studentNames: children.map((child) => child.student_name || child.name),
+      schoolLocation: {
+        latitude: schoolLocation.latitude,
+        longitude: schoolLocation.longitude,
+        pickup_radius_meters: schoolLocation.pickup_radius_meters || 150,
+        branch_name: schoolLocation.branch_name,
+      },
+      lastRequestAt: previous?.lastRequestAt || null,
+    });
+
+    await Location.startGeofencingAsync(PICKUP_GEOFENCE_TASK, [
+      {
+        identifier: SCHOOL_REGION_ID,
+        latitude: schoolLocation.latitude,
+        longitude: schoolLocation.longitude,
+        radius: schoolLocation.pickup_radius_meters || 150,
+        notifyOnEnter: true,
+        notifyOnExit: false,
+      },
+    ]);
+
+    console.log('✅ PICKUP GEOFENCE: Automatic pickup requests enabled');
+    return { success: true };
+  } catch (error) {
+    console.error('❌ PICKUP GEOFENCE: Error enabling:', error);
+    return { success: false, message: error.message };
+  }
+};
+
+/**
+ * Turn off automatic pickup requests and stop the geofence
+ * @returns {Promise<boolean>} - Success status
+ */
+export const disableAutoPickup = async () => {
+  try {
+    if (await TaskManager.isTaskRegisteredAsync(PICKUP_GEOFENCE_TASK)) {
+      await Location.stopGeofencingAsync(PICKUP_GEOFENCE_TASK);
+    }
+    await secureSessionStorage.removeItem(SETTINGS_KEY);
+
+    console.log('📍 PICKUP GEOFENCE: Automatic pickup requests disabled');
+    return true;
+  } catch (error) {
+    console.error('❌ PICKUP GEOFENCE: Error disabling:', error);
+    return false;
+  }
+};
+
+export default {
+  PICKUP_GEOFENCE_TASK,
+  isWithinDismissalHours,
+  getCooldownRemaining,
+  getAutoPickupSettings,
+  handleGeofenceEvent,
+  enableAutoPickup,
+  disableAutoPickup,
+};
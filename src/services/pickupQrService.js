@@ -0,0 +1,358 @@
+/**
+ * Pickup QR Service
+ * Signed, time-limited pickup QR codes that staff can check offline
+ *
+ * A signed code is the usual pickup URL with extra parameters:
+ *   ...?token=<qr_token>&iat=<issued>&exp=<expires>&nonce=<n>&sig=<signature>
+ *
+ * - The server gives parents and guardians a qr_signing_key with their
+ *   qr_token: HMAC-SHA256(school pickup key, qr_token), hex.
+ * - The parent app signs "token.iat.exp.nonce" with that key.
+ * - Staff devices cache the school pickup key. That way they can derive the
+ *   signing key for any token and check codes without a connection.
+ * - The staff app sends the signed fields with the token, so the server
+ *   checks the signature, expiry and nonce as well.
+ *
+ * Older scanners read only the token parameter, so signed codes still work
+ * with them. Once a staff device has the school key it refuses unsigned
+ * codes, so the token read from a screenshot is not enough on its own.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Crypto from 'expo-crypto';
+import { Config } from '../config/env';
+import { apiGet } from './apiClient';
+import { getSecureValue, setSecureValue } from './secureStorage';
+
+const USED_NONCES_STORAGE_KEY = '@pickup_qr_used_nonces';
+const SCHOOL_KEY_SECRET = 'pickupQr.schoolKey';
+const DEFAULT_QR_URL = 'https://school.com/pickup/qr/login';
+
+// Signatures are truncated to 128 bits to keep the QR code small
+const SIGNATURE_LENGTH = 32;
+const HMAC_BLOCK_SIZE = 64;
+
+export const PICKUP_QR_STATUS = {
+  VALID: 'valid',
+  UNVERIFIED: 'unverified',
+  UNSIGNED: 'unsigned',
+  EXPIRED: 'expired',
+  USED: 'used',
+  INVALID: 'invalid',
+};
+
+// Translation keys for codes rejected on the device, before
+// staffPickupScanQr is called
+export const PICKUP_QR_REJECTIONS = {
+  [PICKUP_QR_STATUS.EXPIRED]: {
+    title: 'qrCodeExpired',
+    message: 'qrCodeExpiredMessage',
+  },
+  [PICKUP_QR_STATUS.USED]: {
+    title: 'qrCodeAlreadyUsed',
+    message: 'qrCodeAlreadyUsedMessage',
+  },
+  [PICKUP_QR_STATUS.INVALID]: {
+    title: 'invalidQrCode',
+    message: 'qrCodeInvalidMessage',
+  },
+};
+
+const getQrConfig = () => Config.PICKUP_QR || {};
+
+const nowInSeconds = () => Math.floor(Date.now() / 1000);
+
+const utf8Bytes = (text) => new TextEncoder().encode(text);
+
+const toHex = (buffer) =>
+  Array.from(new Uint8Array(buffer))
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+
+const concatBytes = (a, b) => {
+  const result = new Uint8Array(a.length + b.length);
+  result.set(a, 0);
+  result.set(b, a.length);
+  return result;
+};
+
+const sha256 = async (bytes) =>
+  new Uint8Array(
+    await Crypto.digest(Crypto.CryptoDigestAlgorithm.SHA256, bytes)
+  );
+
+/**
+ * HMAC-SHA256 (RFC 2104). expo-crypto only provides plain digests.
+ * @param {string} key - Secret key
+ * @param {string} message - Message to sign
+ * @returns {Promise<string>} - Lowercase hex digest
+ */
+export const hmacSha256 = async (key, message) => {
+  let keyBytes = utf8Bytes(key);
+  if (keyBytes.length > HMAC_BLOCK_SIZE) {
+    keyBytes = await sha256(keyBytes);
+  }
+
+  const innerPad = new Uint8Array(HMAC_BLOCK_SIZE);
+  const outerPad = new Uint8Array(HMAC_BLOCK_SIZE);
+  for (let i = 0; i < HMAC_BLOCK_SIZE; i++) {
+    innerPad[i] = (keyBytes[i] || 0) ^ 0x36;
+    outerPad[i] = (keyBytes[i] || 0) ^ 0x5c;
+  }
+
+  const inner = await sha256(concatBytes(innerPad, utf8Bytes(message)));
+  return toHex(await sha256(concatBytes(outerPad, inner)));
+};
+
+const signPayload = async (signingKey, { token, iat, exp, nonce }) =>
+  (await hmacSha256(signingKey, `${token}.${iat}.${exp}.${nonce}`)).slice(
+    0,
+    SIGNATURE_LENGTH
+  );
+
+const createNonce = () => Crypto.randomUUID().replace(/-/g, '').slice(0, 16);
+
+const parseQuery = (query) => {
+  const params = {};
+  (query || '').split('&').forEach((pair) => {
+    const [key, ...rest] = pair.split('=');
+    if (!key) return;
+    try {
+      params[decodeURIComponent(key)] = decodeURIComponent(rest.join('='));
+    } catch (error) {
+      params[key] = rest.join('=');
+    }
+  });
+  return params;
+};
+
+/**
+ * Build the value of a signed pickup QR code
+ * @param {Object} options
+ * @param {string} options.qrToken - Parent or guardian QR token
+ * @param {string} options.qrUrl - Pickup URL from the API (optional)
+ * @param {string} options.signingKey - qr_signing_key from the API
+ * @param {number} options.now - Issue time in seconds (defaults to now)
+ * @returns {Promise<Object>} - { value, expiresAt, signed }
+ */
+export const createPickupQrValue = async ({
+  qrToken,
+  qrUrl,
+  signingKey,
+  now = nowInSeconds(),
+}) => {
+  const baseUrl =
+    qrUrl || `${DEFAULT_QR_URL}?token=${encodeURIComponent(qrToken)}`;
+
+  // Without a key from the server the long-lived code is shown as before
+  if (!signingKey) {
+    return { value: baseUrl, expiresAt: null, signed: false };
+  }
+
+  const payload = {
+    token: qrToken,
+    iat: now,
+    exp: now + (getQrConfig().TTL_SECONDS ?? 45),
+    nonce: createNonce(),
+  };
+  const sig = await signPayload(signingKey, payload);
+  const separator = baseUrl.includes('?') ? '&' : '?';
+
+  return {
+    value: `${baseUrl}${separator}iat=${payload.iat}&exp=${payload.exp}&nonce=${payload.nonce}&sig=${sig}`,
+    expiresAt: payload.exp,
+    signed: true,
+  };
+};
+
+/**
+ * Read a scanned pickup QR code
+ * @param {string} data - Scanned text (pickup URL or bare token)
+ * @returns {Object|null} - { token, iat, exp, nonce, sig, signed }
+ */
+export const parsePickupQr = (data) => {
+  const text = (data || '').trim();
+  if (!text) return null;
+
+  // Bare tokens (manual entry, older codes)
+  if (!text.includes('token=')) {
+    return { token: text, signed: false };
+  }
+
+  const params = parseQuery(text.split('?')[1]);
+  if (!params.token) return null;
+
+  if (!params.sig) {
+    return { token: params.token, signed: false };
+  }
+
+  return {
+    token: params.token,
+    iat: parseInt(params.iat, 10),
+    exp: parseInt(params.exp, 10),
+    nonce: params.nonce,
+    sig: params.sig,
+    signed: true,
+  };
+};
+
+const loadUsedNonces = async () => {
+  try {
+    const stored = await AsyncStorage.getItem(USED_NONCES_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : {};
+  } catch (error) {
+    console.warn('⚠️ PICKUP QR: Failed to load used codes:', error);
+    return {};
+  }
+};
+
+// Nonces are kept until their code expires; after that the expiry check
+// rejects the code anyway
+const saveUsedNonce = async (nonce, exp, now) => {
+  const skew = getQrConfig().CLOCK_SKEW_SECONDS ?? 30;
+  const used = await loadUsedNonces();
+  const kept = Object.fromEntries(
+    Object.entries(used).filter(([, expiry]) => expiry + skew >= now)
+  );
+  kept[nonce] = exp;
+  await AsyncStorage.setItem(USED_NONCES_STORAGE_KEY, JSON.stringify(kept));
+};
+
+/**
+ * Check a scanned or typed pickup QR code before it is sent to
+ * staffPickupScanQr. Runs offline. An accepted code's nonce is recorded, so
+ * scanning the same code again returns USED.
+ *
+ * Unsigned codes are rejected once this device has the school key. Signed
+ * codes that cannot be checked here because the key is missing come back
+ * UNVERIFIED; pass their signature on so the server checks it.
+ *
+ * @param {string} data - Scanned text
+ * @param {Object} options
+ * @param {number} options.now - Current time in seconds (defaults to now)
+ * @returns {Promise<Object>} - {
+ *   status: one of PICKUP_QR_STATUS,
+ *   token: string|null,
+ *   signature: { iat, exp, nonce, sig }|null,   // for staffPickupScanQr
+ *   verified: boolean   // signature checked against the school key
+ * }
+ */
+export const verifyPickupQr = async (data, { now = nowInSeconds() } = {}) => {
+  const config = getQrConfig();
+  const skew = config.CLOCK_SKEW_SECONDS ?? 30;
+  const ttl = config.TTL_SECONDS ?? 45;
+  const qr = parsePickupQr(data);
+
+  if (!qr) {
+    return {
+      status: PICKUP_QR_STATUS.INVALID,
+      token: null,
+      signature: null,
+      verified: false,
+    };
+  }
+
+  const schoolKey = await getCachedSchoolKey();
+
+  if (!qr.signed) {
+    return {
+      status:
+        config.REQUIRE_SIGNED || schoolKey
+          ? PICKUP_QR_STATUS.INVALID
+          : PICKUP_QR_STATUS.UNSIGNED,
+      token: qr.token,
+      signature: null,
+      verified: false,
+    };
+  }
+
+  const result = (status, verified = false) => ({
+    status,
+    token: qr.token,
+    signature: { iat: qr.iat, exp: qr.exp, nonce: qr.nonce, sig: qr.sig },
+    verified,
+  });
+
+  if (
+    !qr.nonce ||
+    isNaN(qr.iat) ||
+    isNaN(qr.exp) ||
+    qr.exp <= qr.iat ||
+    qr.exp - qr.iat > ttl + skew ||
+    qr.iat > now + skew
+  ) {
+    return result(PICKUP_QR_STATUS.INVALID);
+  }
+
+  if (qr.exp + skew < now) {
+    return result(PICKUP_QR_STATUS.EXPIRED);
+  }
+
+  let verified = false;
+  if (schoolKey) {
+    const signingKey = await hmacSha256(schoolKey, qr.token);
+    if ((await signPayload(signingKey, qr)) !== qr.sig.toLowerCase()) {
+      return result(PICKUP_QR_STATUS.INVALID);
+    }
+    verified = true;
+  }
+
+  const used = await loadUsedNonces();
+  if (used[qr.nonce]) {
+    return result(PICKUP_QR_STATUS.USED, verified);
+  }
+
+  await saveUsedNonce(qr.nonce, qr.exp, now);
+  return result(
+    verified ? PICKUP_QR_STATUS.VALID : PICKUP_QR_STATUS.UNVERIFIED,
+    verified
+  );
+};
+
+/**
+ * School pickup key cached on this device
+ * @returns {Promise<string|null>}
+ */
+export const getCachedSchoolKey = async () => {
+  try {
+    return await getSecureValue(SCHOOL_KEY_SECRET);
+  } catch (error) {
+    console.warn('⚠️ PICKUP QR: Failed to read pickup key:', error);
+    return null;
+  }
+};
+
+/**
+ * Fetch the school pickup key for staff and cache it in the keychain so
+ * codes can be verified offline. Keeps the cached key when the request fails.
+ * @param {string} authCode - Staff authentication code
+ * @returns {Promise<boolean>} - Whether a key is available
+ */
+export const refreshSchoolKey = async (authCode = null) => {
+  try {
+    const response = await apiGet(
+      Config.API_ENDPOINTS.STAFF_PICKUP_QR_KEY,
+      {},
+      { authCode }
+    );
+    const key = response?.data?.key || response?.key;
+    if (key) {
+      await setSecureValue(SCHOOL_KEY_SECRET, key);
+      return true;
+    }
+  } catch (error) {
+    console.warn('⚠️ PICKUP QR: Failed to refresh pickup key:', error);
+  }
+  return !!(await getCachedSchoolKey());
+};
+
+export default {
+  PICKUP_QR_STATUS,
+  PICKUP_QR_REJECTIONS,
+  hmacSha256,
+  createPickupQrValue,
+  parsePickupQr,
+  verifyPickupQr,
+  getCachedSchoolKey,
+  refreshSchoolKey,
+};
@@ -11,6 +11,8 @@ import {
   getSchoolLocation,
   formatDistance,
 } from './locationService';
+import { redactUrl } from '../utils/queryString';
+import { checkPickupRules } from '../utils/pickupRules';
 
 // Mock data flag - set to false when connecting to real API
 const USE_MOCK_DATA = false;
@@ -19,19 +21,24 @@ const USE_MOCK_DATA = false;
  * Create multiple pickup requests for parent
  * @param {string} authCode - Parent authentication code
  * @param {Array<number>} studentIds - Array of student IDs
+ * @param {Object} options - Optional settings
+ * @param {Object} options.location - Position to use instead of reading the
+ * GPS, e.g. from the background geofence task
+ * @param {Object} options.schoolLocation - School location to validate
+ * against instead of the cached campus coordinates
  * @returns {Promise<Object>} - API response
  */
 export const createMultipleParentPickupRequests = async (
   authCode,
-  studentIds
+  studentIds,
+  options = {}
 ) => {
   try {
     console.log('🚗 PICKUP REQUEST: Creating multiple parent pickup requests');
-    console.log('🔑 PICKUP REQUEST: Auth code:', authCode);
     console.log('👨‍🎓 PICKUP REQUEST: Student IDs:', studentIds);
 
     // Get current location
-    const currentLocation = await getCurrentLocation();
+    const currentLocation = options.location || (await getCurrentLocation());
     if (!currentLocation) {
       throw new Error(
         'Unable to get your current location. Please check location permissions.'
@@ -39,7 +46,10 @@ export const createMultipleParentPickupRequests = async (
     }
 
     // Validate location is within pickup range
-    const locationValidation = validatePickupLocation(currentLocation);
+    const locationValidation = validatePickupLocation(
+      currentLocation,
+      options.schoolLocation || null
+    );
     if (!locationValidation.isValid) {
       throw new Error(
         `You are too far from campus. Please make request when you are at least 150 meters close to campus! [${formatDistance(
@@ -114,7 +124,6 @@ export const createMultipleParentPickupRequests = async (
 export const createParentPickupRequest = async (authCode, studentId = null) => {
   try {
     console.log('🚗 PICKUP REQUEST: Creating parent pickup request');
-    console.log('🔑 PICKUP REQUEST: Auth code:', authCode);
     console.log('👨‍🎓 PICKUP REQUEST: Student ID:', studentId);
 
     // Get current location
@@ -182,17 +191,32 @@ export const createParentPickupRequest = async (authCode, studentId = null) => {
  * Create a pickup request for guardian
  * @param {string} authCode - Guardian authentication code
  * @param {string} qrToken - Guardian QR token (optional)
+ * @param {Object} guardian - Guardian record (optional); its pickup_rules
+ * are checked before the request is sent
  * @returns {Promise<Object>} - API response
  */
-export const createGuardianPickupRequest = async (authCode, qrToken = null) => {
+export const createGuardianPickupRequest = async (
+  authCode,
+  qrToken = null,
+  guardian = null
+) => {
   try {
     console.log('🚗 PICKUP REQUEST: Creating guardian pickup request');
-    console.log('🔑 PICKUP REQUEST: Auth code:', authCode);
     console.log(
       '🔑 PICKUP REQUEST: QR Token:',
       qrToken ? 'provided' : 'not provided'
     );
 
+    // Check the parent's pickup rules (days, times, validity, children)
+    if (guardian?.pickup_rules) {
+      const ruleCheck = checkPickupRules(guardian.pickup_rules, {
+        studentId: guardian.student_id,
+      });
+      if (!ruleCheck.allowed) {
+        throw new Error(ruleCheck.message);
+      }
+    }
+
     // Get current location
     const currentLocation = await getCurrentLocation();
     if (!currentLocation) {
@@ -422,12 +446,13 @@ export const formatPickupRequestResponse = (response) => {
 /**
  * Generate QR code for parent pickup
  * @param {string} authCode - Parent authentication code
- * @returns {Promise<Object>} - QR code data
+ * @returns {Promise<Object>} - QR code data. When it includes
+ * qr_signing_key, PickupQRCodeModal shows a signed code that expires
+ * (see pickupQrService).
  */
 export const generateParentPickupQR = async (authCode) => {
   try {
     console.log('📱 PICKUP QR: Generating parent QR code');
-    console.log('🔑 PICKUP QR: Auth code:', authCode);
 
     if (USE_MOCK_DATA) {
       // Simulate API delay
@@ -456,6 +481,7 @@ export const generateParentPickupQR = async (authCode) => {
         ],
         qr_token: authCode,
         qr_url: `https://school.com/pickup/qr/parent?token=${authCode}`,
+        qr_signing_key: 'mock-pickup-signing-key',
         instructions:
           'Show this QR code to staff during pickup. Make sure you have a pending pickup request first.',
       };
@@ -488,7 +514,6 @@ export const generateParentPickupQR = async (authCode) => {
 export const getPendingPickupRequests = async (authCode) => {
   try {
     console.log('📋 PICKUP REQUESTS: Getting pending requests');
-    console.log('🔑 PICKUP REQUESTS: Auth code:', authCode);
 
     if (USE_MOCK_DATA) {
       // Simulate API delay
@@ -579,7 +604,6 @@ export const getPendingPickupRequests = async (authCode) => {
 export const getParentPickupHistory = async (authCode, options = {}) => {
   try {
     console.log('📚 PARENT PICKUP HISTORY: Loading pickup history...');
-    console.log('🔑 PARENT PICKUP HISTORY: Auth code:', authCode);
     console.log('⚙️ PARENT PICKUP HISTORY: Options:', options);
 
     if (!authCode) {
@@ -672,7 +696,7 @@ export const getParentPickupHistory = async (authCode, options = {}) => {
       ...options,
     });
 
-    console.log('🌐 PARENT PICKUP HISTORY: API URL:', url);
+    console.log('🌐 PARENT PICKUP HISTORY: API URL:', redactUrl(url));
 
     const response = await makeApiRequest(url, {
       method: 'GET',
@@ -702,7 +726,6 @@ export const getParentPickupHistory = async (authCode, options = {}) => {
 export const getGuardianPickupHistory = async (authCode, options = {}) => {
   try {
     console.log('📚 GUARDIAN PICKUP HISTORY: Loading pickup history...');
-    console.log('🔑 GUARDIAN PICKUP HISTORY: Auth code:', authCode);
     console.log('⚙️ GUARDIAN PICKUP HISTORY: Options:', options);
 
     if (!authCode) {
@@ -777,7 +800,7 @@ export const getGuardianPickupHistory = async (authCode, options = {}) => {
       ...options,
     });
 
-    console.log('🌐 GUARDIAN PICKUP HISTORY: API URL:', url);
+    console.log('🌐 GUARDIAN PICKUP HISTORY: API URL:', redactUrl(url));
 
     const response = await makeApiRequest(url, {
       method: 'GET',
@@ -6,6 +6,7 @@
 
 import { Config } from '../config/env';
 import { buildApiUrl, makeApiRequest } from '../utils/apiHelpers';
+import { redactUrl } from '../utils/queryString';
 
 // Flag to toggle between dummy data and real API
 const USE_DUMMY_DATA = Config.DEV.USE_DUMMY_DATA;
@@ -56,7 +57,7 @@ export const getProfile = async (authCode) => {
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.GET_PROFILE, { authCode });
-    console.log('🌐 PROFILE SERVICE: Making API call to:', url);
+    console.log('🌐 PROFILE SERVICE: Making API call to:', redactUrl(url));
 
     const response = await makeApiRequest(url, {
       method: 'GET',
@@ -5,36 +5,11 @@
 
 import { Config, buildApiUrl } from '../config/env';
 import { isDemoMode } from './authService';
+import { apiRequest } from './apiClient';
 
 // Flag to toggle between dummy data and real API
 const USE_DUMMY_DATA = Config.DEV.USE_DUMMY_DATA;
 
-/**
- * Helper function to make API requests with proper error handling
- */
-const makeReportsApiRequest = async (url, options = {}) => {
-  try {
-    const response = await fetch(url, {
-      timeout: Config.NETWORK.TIMEOUT,
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-        ...options.headers,
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error('Reports API request failed:', error);
-    throw error;
-  }
-};
-
 /**
  * Get available reports for the authenticated user
  * @param {string} authCode - Authentication code
@@ -60,7 +35,7 @@ export const getAvailableReports = async (authCode) => {
       authCode,
     });
 
-    return await makeReportsApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching available reports:', error);
     throw error;
@@ -105,7 +80,7 @@ export const getStudentAttendanceReport = async (
       params
     );
 
-    return await makeReportsApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching student attendance report:', error);
     throw error;
@@ -148,7 +123,7 @@ export const getStudentGradesReport = async (
       params
     );
 
-    return await makeReportsApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching student grades report:', error);
     throw error;
@@ -191,7 +166,7 @@ export const getStudentBPSReport = async (
       params
     );
 
-    return await makeReportsApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching student BPS report:', error);
     throw error;
@@ -234,7 +209,7 @@ export const getStudentHomeworkReport = async (
       params
     );
 
-    return await makeReportsApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching student homework report:', error);
     throw error;
@@ -274,7 +249,7 @@ export const getStudentLibraryReport = async (
       endDate,
     });
 
-    return await makeReportsApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching student library report:', error);
     throw error;
@@ -308,7 +283,7 @@ export const getStaffClasses = async (authCode) => {
       authCode,
     });
 
-    return await makeReportsApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching staff classes:', error);
     throw error;
@@ -353,7 +328,7 @@ export const getClassAttendanceReport = async (
       params
     );
 
-    return await makeReportsApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching class attendance report:', error);
     throw error;
@@ -401,7 +376,7 @@ export const getClassAssessmentReport = async (
       params
     );
 
-    return await makeReportsApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching class assessment report:', error);
     throw error;
@@ -447,7 +422,7 @@ export const getBehavioralAnalyticsReport = async (
       params
     );
 
-    return await makeReportsApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching behavioral analytics report:', error);
     throw error;
@@ -492,7 +467,7 @@ export const getHomeworkAnalyticsReport = async (
       params
     );
 
-    return await makeReportsApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching homework analytics report:', error);
     throw error;
@@ -0,0 +1,347 @@
+/**
+ * Response Cache
+ * Stale-while-revalidate cache for read-only API responses
+ *
+ * - Fresh entries (younger than their TTL) are returned without a request
+ * - Stale entries are returned immediately and refreshed in the background;
+ *   subscribers are notified when the refreshed data differs
+ * - When a refresh fails (e.g. offline) the last good response is returned
+ * - Entries are persisted to AsyncStorage so screens load instantly after
+ *   an app restart
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Config } from '../config/env';
+import { isSensitiveParam } from '../utils/queryString';
+
+const memoryCache = new Map();
+const inFlight = new Map();
+const listeners = new Map();
+
+let hits = 0;
+let misses = 0;
+// Bumped on invalidation so refreshes started before it are not written back
+let generation = 0;
+
+const getCacheConfig = () => Config.CACHE || {};
+
+const getStorageKey = (key) =>
+  `${getCacheConfig().STORAGE_PREFIX || '@response_cache:'}${key}`;
+
+// djb2 - only used to keep credentials out of cache keys
+export const hashString = (value) => {
+  let hash = 5381;
+  for (let i = 0; i < value.length; i++) {
+    hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+const getPath = (url) =>
+  url
+    .split('?')[0]
+    .replace(/^https?:\/\/[^/]+/i, '')
+    .replace(/\/+$/, '');
+
+/**
+ * Build a cache key for a request URL. Credentials are replaced by a hash so
+ * entries stay per-user without storing auth codes in key names.
+ * @param {string} url - Request URL
+ * @param {Array<string>} credentials - Credentials sent outside the URL
+ * @returns {string} - Cache key
+ */
+export const getCacheKeyForUrl = (url, credentials = []) => {
+  const [, query = ''] = url.split('#')[0].split('?');
+  const identity = [...credentials];
+  const params = [];
+
+  query
+    .split('&')
+    .filter(Boolean)
+    .forEach((pair) => {
+      const name = decodeURIComponent(pair.split('=')[0]);
+      (isSensitiveParam(name) ? identity : params).push(pair);
+    });
+
+  const key = `${getPath(url)}?${params.sort().join('&')}`;
+  return identity.length > 0
+    ? `${key}#${hashString(identity.sort().join('&'))}`
+    : key;
+};
+
+/**
+ * TTL for a request URL from Config.CACHE.ENDPOINT_TTLS
+ * @param {string} url - Request URL or endpoint
+ * @returns {number} - TTL in milliseconds
+ */
+export const getEndpointTtl = (url) => {
+  const { ENDPOINT_TTLS = {}, DEFAULT_TTL = 5 * 60 * 1000 } = getCacheConfig();
+  const path = getPath(url);
+
+  const name = Object.keys(ENDPOINT_TTLS).find((endpointName) => {
+    const endpoint = Config.API_ENDPOINTS[endpointName];
+    return endpoint && path.endsWith(getPath(endpoint));
+  });
+
+  return name ? ENDPOINT_TTLS[name] : DEFAULT_TTL;
+};
+
+const isFresh = (entry) => Date.now() - entry.timestamp < entry.ttl;
+
+const isUsable = (entry) =>
+  !!entry &&
+  Date.now() - entry.timestamp < (getCacheConfig().MAX_AGE || Infinity);
+
+// Failed responses ({ success: false }) are never cached
+const isCacheable = (data) =>
+  data !== undefined && data !== null && data.success !== false;
+
+const notify = (key, data) => {
+  (listeners.get(key) || []).forEach((listener) => {
+    try {
+      listener(data);
+    } catch (error) {
+      console.error('❌ RESPONSE CACHE: Listener error:', error);
+    }
+  });
+};
+
+const readEntry = async (key) => {
+  if (memoryCache.has(key)) {
+    return memoryCache.get(key);
+  }
+
+  try {
+    const stored = await AsyncStorage.getItem(getStorageKey(key));
+    if (!stored) return null;
+
+    const entry = JSON.parse(stored);
+    memoryCache.set(key, entry);
+    return entry;
+  } catch (error) {
+    console.warn('⚠️ RESPONSE CACHE: Failed to read entry:', error.message);
+    return null;
+  }
+};
+
+const pruneMemoryCache = () => {
+  const maxEntries = getCacheConfig().MAX_ENTRIES || 150;
+  if (memoryCache.size <= maxEntries) return;
+
+  const oldest = [...memoryCache.entries()]
+    .sort(([, a], [, b]) => a.timestamp - b.timestamp)
+    .slice(0, memoryCache.size - maxEntries)
+    .map(([key]) => key);
+
+  oldest.forEach((key) => memoryCache.delete(key));
+  AsyncStorage.multiRemove(oldest.map(getStorageKey)).catch(() => {});
+};
+
+const writeEntry = async (key, data, ttl) => {
+  const entry = { data, timestamp: Date.now(), ttl };
+  memoryCache.set(key, entry);
+  pruneMemoryCache();
+
+  try {
+    await AsyncStorage.setItem(getStorageKey(key), JSON.stringify(entry));
+  } catch (error) {
+    console.warn('⚠️ RESPONSE CACHE: Failed to persist entry:', error.message);
+  }
+  return entry;
+};
+
+const revalidate = (key, fetcher, ttl, previous) => {
+  if (inFlight.has(key)) {
+    return inFlight.get(key);
+  }
+
+  const startedGeneration = generation;
+  const request = (async () => {
+    try {
+      const data = await fetcher();
+      if (!isCacheable(data) || startedGeneration !== generation) {
+        return data;
+      }
+
+      await writeEntry(key, data, ttl);
+      if (
+        previous !== undefined &&
+        JSON.stringify(previous) !== JSON.stringify(data)
+      ) {
+        notify(key, data);
+      }
+      return data;
+    } finally {
+      inFlight.delete(key);
+    }
+  })();
+
+  inFlight.set(key, request);
+  return request;
+};
+
+/**
+ * Read through the cache
+ * @param {string} key - Cache key (see getCacheKeyForUrl)
+ * @param {Function} fetcher - Async function returning the fresh response
+ * @param {Object} options - Options
+ * @param {number} options.ttl - Time in milliseconds before an entry is stale
+ * @param {boolean} options.forceRefresh - Skip the cache (pull-to-refresh)
+ * @param {Function} options.onUpdate - Called with fresher data after a stale read
+ * @returns {Promise<any>} - Cached or fresh response
+ */
+export const getCachedResponse = async (key, fetcher, options = {}) => {
+  const { ttl = getEndpointTtl(key), forceRefresh = false, onUpdate } = options;
+
+  if (getCacheConfig().ENABLED === false) {
+    return fetcher();
+  }
+
+  const entry = await readEntry(key);
+  const usable = isUsable(entry);
+
+  if (usable && !forceRefresh) {
+    if (isFresh(entry)) {
+      hits++;
+      return entry.data;
+    }
+
+    // Stale: answer now, refresh in the background
+    hits++;
+    revalidate(key, fetcher, ttl, entry.data)
+      .then((data) => {
+        if (onUpdate && isCacheable(data)) {
+          if (JSON.stringify(data) !== JSON.stringify(entry.data)) {
+            onUpdate(data);
+          }
+        }
+      })
+      .catch((error) => {
+        console.warn(
+          `⚠️ RESPONSE CACHE: Background refresh failed for ${key.split('?')[0]}:`,
+          error.message
+        );
+      });
+    return entry.data;
+  }
+
+  misses++;
+  try {
+    return await revalidate(key, fetcher, ttl, usable ? entry.data : undefined);
+  } catch (error) {
+    // Offline or server down: fall back to the last good response
+    if (usable) {
+      console.log(
+        `📦 RESPONSE CACHE: Serving cached ${key.split('?')[0]} after error`
+      );
+      return entry.data;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Subscribe to refreshed data for a cache key
+ * @param {string} key - Cache key
+ * @param {Function} listener - Called with the new data
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToCacheKey = (key, listener) => {
+  const keyListeners = listeners.get(key) || new Set();
+  keyListeners.add(listener);
+  listeners.set(key, keyListeners);
+
+  return () => {
+    keyListeners.delete(listener);
+    if (keyListeners.size === 0) {
+      listeners.delete(key);
+    }
+  };
+};
+
+/**
+ * Remove cached entries
+ * @param {string|Function} match - Endpoint (e.g. a Config.API_ENDPOINTS
+ * value) or predicate on the cache key. Omit to clear everything.
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export const invalidateResponseCache = async (match) => {
+  const prefix = getStorageKey('');
+  generation++;
+  const matches = (key) => {
+    if (!match) return true;
+    if (typeof match === 'function') return match(key);
+    return getPath(key).endsWith(getPath(match));
+  };
+
+  try {
+    const storedKeys = (await AsyncStorage.getAllKeys())
+      .filter((storageKey) => storageKey.startsWith(prefix))
+      .map((storageKey) => storageKey.slice(prefix.length));
+    const keys = new Set([...memoryCache.keys(), ...storedKeys]);
+    const removed = [...keys].filter(matches);
+
+    removed.forEach((key) => memoryCache.delete(key));
+    if (removed.length > 0) {
+      await AsyncStorage.multiRemove(removed.map(getStorageKey));
+    }
+
+    console.log(`🗑️ RESPONSE CACHE: Invalidated ${removed.length} entries`);
+    return removed.length;
+  } catch (error) {
+    console.error('❌ RESPONSE CACHE: Failed to invalidate entries:', error);
+    memoryCache.clear();
+    return 0;
+  }
+};
+
+/**
+ * Invalidate the endpoints affected by a successful write
+ * (Config.CACHE.INVALIDATION_RULES)
+ * @param {string} url - URL of the write request
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export const invalidateForWrite = async (url) => {
+  const path = getPath(url);
+  const endpoints = (getCacheConfig().INVALIDATION_RULES || [])
+    .filter((rule) => path.includes(rule.writes))
+    .flatMap((rule) => rule.endpoints)
+    .map((name) => Config.API_ENDPOINTS[name])
+    .filter(Boolean)
+    .map(getPath);
+
+  if (endpoints.length === 0) return 0;
+
+  return invalidateResponseCache((key) =>
+    endpoints.some((endpoint) => getPath(key).endsWith(endpoint))
+  );
+};
+
+/**
+ * Clear the whole response cache (logout, branch switch)
+ * @returns {Promise<number>} - Number of entries removed
+ */
+export const clearResponseCache = () => invalidateResponseCache();
+
+/**
+ * Get cache statistics
+ * @returns {Object} - Cache statistics
+ */
+export const getResponseCacheStats = () => ({
+  size: memoryCache.size,
+  hits,
+  misses,
+  pendingRefreshes: inFlight.size,
+  keys: [...memoryCache.keys()].map((key) => key.split('#')[0]),
+});
+
+export default {
+  getCachedResponse,
+  getCacheKeyForUrl,
+  getEndpointTtl,
+  subscribeToCacheKey,
+  invalidateResponseCache,
+  invalidateForWrite,
+  clearResponseCache,
+  getResponseCacheStats,
+};
@@ -12,6 +12,16 @@ const STORAGE_KEYS = {
   SCHOOL_LIST: 'schoolList',
 };
 
+// Quiet hours are off unless a school config turns them on under
+// messaging.quietHours. Non-urgent teacher messages written in the window
+// reach parents at `end`; start and end here are used when a school enables
+// quiet hours without its own times.
+const DEFAULT_QUIET_HOURS = {
+  enabled: false,
+  start: '20:00',
+  end: '07:00',
+};
+
 // Default school configurations
 const DEFAULT_SCHOOL_CONFIGS = {
   bfi_edu_mm: {
@@ -148,6 +158,21 @@ const DEFAULT_SCHOOL_CONFIGS = {
   },
 };
 
+/**
+ * Convert 'HH:MM' to minutes after midnight
+ * @param {string} time - Time of day
+ * @returns {number|null} Minutes, or null if the time is invalid
+ */
+const parseTimeOfDay = (time) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(time || '');
+  if (!match) return null;
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+};
+
 /**
  * School Configuration Service Class
  */
@@ -721,6 +746,54 @@ class SchoolConfigService {
     }
   }
 
+  /**
+   * Get the quiet hours of the current school
+   * @returns {Promise<Object>} Quiet hours ({ enabled, start, end } as 'HH:MM')
+   */
+  static async getQuietHours() {
+    const config = await this.getCurrentSchoolConfig();
+    return {
+      ...DEFAULT_QUIET_HOURS,
+      ...(config?.messaging?.quietHours || {}),
+    };
+  }
+
+  /**
+   * Check whether a time falls within quiet hours
+   * Windows may run past midnight (e.g. 20:00 to 07:00).
+   * @param {Object} quietHours - Quiet hours from getQuietHours
+   * @param {Date} date - Time to check (default now)
+   * @returns {boolean}
+   */
+  static isWithinQuietHours(quietHours, date = new Date()) {
+    if (!quietHours?.enabled) return false;
+
+    const start = parseTimeOfDay(quietHours.start);
+    const end = parseTimeOfDay(quietHours.end);
+    if (start === null || end === null || start === end) return false;
+
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    return start < end
+      ? minutes >= start && minutes < end
+      : minutes >= start || minutes < end;
+  }
+
+  /**
+   * Get the next time quiet hours end
+   * @param {Object} quietHours - Quiet hours from getQuietHours
+   * @param {Date} date - Time to start from (default now)
+   * @returns {Date}
+   */
+  static getQuietHoursEnd(quietHours, date = new Date()) {
+    const end = parseTimeOfDay(quietHours.end) ?? 0;
+    const result = new Date(date);
+    result.setHours(Math.floor(end / 60), end % 60, 0, 0);
+    if (result <= date) {
+      result.setDate(result.getDate() + 1);
+    }
+    return result;
+  }
+
   /**
    * Clear all cached school configurations
    */
@@ -751,4 +824,4 @@ export const getThemeLogo = (themeMode = 'light') => {
 };
 
 export default SchoolConfigService;
-export { DEFAULT_SCHOOL_CONFIGS, STORAGE_KEYS };
+export { DEFAULT_SCHOOL_CONFIGS, DEFAULT_QUIET_HOURS, STORAGE_KEYS };
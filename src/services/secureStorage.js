@@ -0,0 +1,398 @@
+/**
+ * Secure Storage
+ * Keeps auth codes out of plain AsyncStorage
+ *
+ * Session records (userData, studentAccounts, ...) are split in two:
+ * - Secret fields (Config.SECURE_STORAGE.SECRET_FIELDS) are written to the
+ *   device keychain/keystore through expo-secure-store
+ * - Everything else stays in AsyncStorage as a non-sensitive cache
+ *
+ * createSecureStorage() returns an AsyncStorage-compatible object that splits
+ * on write and merges on read, so existing code only swaps the storage it uses.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import { Config } from '../config/env';
+
+const getSecureConfig = () => Config.SECURE_STORAGE || {};
+
+const SECURE_STORE_OPTIONS = {
+  // Readable by background tasks once the device has been unlocked, and
+  // never restored from a backup onto another device
+  keychainAccessible: SecureStore.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY,
+};
+
+let availabilityPromise = null;
+
+/**
+ * Whether the device keychain/keystore can be used (false on web)
+ * @returns {Promise<boolean>}
+ */
+export const isSecureStorageAvailable = () => {
+  if (!availabilityPromise) {
+    availabilityPromise = Promise.resolve()
+      .then(() =>
+        typeof SecureStore.isAvailableAsync === 'function'
+          ? SecureStore.isAvailableAsync()
+          : false
+      )
+      .catch(() => false)
+      .then((available) => {
+        if (!available) {
+          console.warn(
+            '⚠️ SECURE STORAGE: Keychain unavailable, secrets stay in AsyncStorage'
+          );
+        }
+        return available;
+      });
+  }
+  return availabilityPromise;
+};
+
+export const isSecureRecordKey = (key) =>
+  (getSecureConfig().RECORD_KEYS || []).includes(key);
+
+export const isSecureValueKey = (key) =>
+  (getSecureConfig().VALUE_KEYS || []).includes(key);
+
+const isSecureKey = (key) => isSecureRecordKey(key) || isSecureValueKey(key);
+
+const getSecureStoreKey = (key) =>
+  `${getSecureConfig().KEY_PREFIX || 'session.'}${key}`;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !(value instanceof Date);
+
+/**
+ * Remove secret fields from a record, wherever they appear
+ * @param {*} value - Parsed record
+ * @returns {{data: *, secrets: Array}} - Record without secrets, and the
+ * removed values as [path, value] pairs
+ */
+export const splitSecrets = (value) => {
+  const secretFields = getSecureConfig().SECRET_FIELDS || [];
+  const secrets = [];
+
+  const strip = (node, path) => {
+    if (Array.isArray(node)) {
+      return node.map((item, index) => strip(item, [...path, index]));
+    }
+    if (!isPlainObject(node)) {
+      return node;
+    }
+
+    return Object.keys(node).reduce((result, field) => {
+      const fieldValue = node[field];
+      if (
+        secretFields.includes(field) &&
+        fieldValue !== undefined &&
+        fieldValue !== null &&
+        typeof fieldValue !== 'object'
+      ) {
+        secrets.push([[...path, field], fieldValue]);
+      } else {
+        result[field] = strip(fieldValue, [...path, field]);
+      }
+      return result;
+    }, {});
+  };
+
+  return { data: strip(value, []), secrets };
+};
+
+/**
+ * Put secret fields back into a record
+ * @param {*} data - Record without secrets
+ * @param {Array} secrets - [path, value] pairs from splitSecrets
+ * @returns {*} - Complete record
+ */
+export const mergeSecrets = (data, secrets = []) => {
+  secrets.forEach(([path, secretValue]) => {
+    let node = data;
+    for (let i = 0; i < path.length - 1; i++) {
+      node = isPlainObject(node) ? node[path[i]] : undefined;
+    }
+
+    const field = path[path.length - 1];
+    // Values written after the split (e.g. by an older build) win
+    if (isPlainObject(node) && node[field] === undefined) {
+      node[field] = secretValue;
+    }
+  });
+  return data;
+};
+
+const readSecrets = async (key) => {
+  const stored = await SecureStore.getItemAsync(getSecureStoreKey(key));
+  if (!stored) return [];
+
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    console.warn(`⚠️ SECURE STORAGE: Unreadable secrets for ${key}`);
+    return [];
+  }
+};
+
+const writeSecrets = async (key, secrets) => {
+  if (secrets.length === 0) {
+    await SecureStore.deleteItemAsync(getSecureStoreKey(key));
+    return;
+  }
+  await SecureStore.setItemAsync(
+    getSecureStoreKey(key),
+    JSON.stringify(secrets),
+    SECURE_STORE_OPTIONS
+  );
+};
+
+/**
+ * Create an AsyncStorage-compatible storage that keeps secrets in the
+ * keychain. Keys that are not listed in Config.SECURE_STORAGE pass through.
+ * @param {Object} storage - Storage for the non-sensitive part (AsyncStorage)
+ * @returns {Object} - Object with getItem, setItem, removeItem and multiRemove
+ */
+export const createSecureStorage = (storage = AsyncStorage) => {
+  const getItem = async (key) => {
+    if (!isSecureKey(key) || !(await isSecureStorageAvailable())) {
+      return storage.getItem(key);
+    }
+
+    if (isSecureValueKey(key)) {
+      const secretValue = await SecureStore.getItemAsync(
+        getSecureStoreKey(key)
+      );
+      // Fall back to a value that has not been migrated yet
+      return secretValue !== null ? secretValue : storage.getItem(key);
+    }
+
+    const stored = await storage.getItem(key);
+    if (!stored) return stored;
+
+    const secrets = await readSecrets(key);
+    if (secrets.length === 0) return stored;
+
+    try {
+      return JSON.stringify(mergeSecrets(JSON.parse(stored), secrets));
+    } catch (error) {
+      return stored;
+    }
+  };
+
+  const setItem = async (key, value) => {
+    if (!isSecureKey(key) || !(await isSecureStorageAvailable())) {
+      return storage.setItem(key, value);
+    }
+
+    if (isSecureValueKey(key)) {
+      await SecureStore.setItemAsync(
+        getSecureStoreKey(key),
+        String(value),
+        SECURE_STORE_OPTIONS
+      );
+      await storage.removeItem(key);
+      return;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (error) {
+      return storage.setItem(key, value);
+    }
+
+    const { data, secrets } = splitSecrets(parsed);
+    // Secrets first, so a failed keychain write never leaves a record
+    // without its auth code
+    await writeSecrets(key, secrets);
+    await storage.setItem(key, JSON.stringify(data));
+  };
+
+  const removeItem = async (key) => {
+    if (isSecureKey(key) && (await isSecureStorageAvailable())) {
+      await SecureStore.deleteItemAsync(getSecureStoreKey(key));
+    }
+    return storage.removeItem(key);
+  };
+
+  const multiRemove = async (keys) => {
+    if (await isSecureStorageAvailable()) {
+      await Promise.all(
+        keys
+          .filter(isSecureKey)
+          .map((key) => SecureStore.deleteItemAsync(getSecureStoreKey(key)))
+      );
+    }
+    return storage.multiRemove(keys);
+  };
+
+  return { getItem, setItem, removeItem, multiRemove };
+};
+
+// Shared instance backed by AsyncStorage
+export const secureSessionStorage = createSecureStorage(AsyncStorage);
+
+// Keychain entry listing the standalone values, so a wipe can find them
+const VALUE_INDEX_KEY = '__values';
+
+const toSecureStoreName = (key) => key.replace(/[^A-Za-z0-9._-]/g, '_');
+
+const updateValueIndex = async (key, present) => {
+  const stored = await SecureStore.getItemAsync(
+    getSecureStoreKey(VALUE_INDEX_KEY)
+  );
+  const index = new Set(stored ? JSON.parse(stored) : []);
+  if (present) {
+    index.add(key);
+  } else {
+    index.delete(key);
+  }
+  await SecureStore.setItemAsync(
+    getSecureStoreKey(VALUE_INDEX_KEY),
+    JSON.stringify([...index]),
+    SECURE_STORE_OPTIONS
+  );
+};
+
+/**
+ * Read a standalone secret (e.g. an app lock PIN hash)
+ * @param {string} key - Secret name
+ * @returns {Promise<string|null>}
+ */
+export const getSecureValue = async (key) => {
+  const name = toSecureStoreName(key);
+  if (!(await isSecureStorageAvailable())) {
+    return AsyncStorage.getItem(getSecureStoreKey(name));
+  }
+  return SecureStore.getItemAsync(getSecureStoreKey(name));
+};
+
+/**
+ * Store a standalone secret in the keychain
+ * @param {string} key - Secret name
+ * @param {string} value - Secret value
+ * @returns {Promise<void>}
+ */
+export const setSecureValue = async (key, value) => {
+  const name = toSecureStoreName(key);
+  if (!(await isSecureStorageAvailable())) {
+    await AsyncStorage.setItem(getSecureStoreKey(name), value);
+    return;
+  }
+  await SecureStore.setItemAsync(
+    getSecureStoreKey(name),
+    value,
+    SECURE_STORE_OPTIONS
+  );
+  await updateValueIndex(name, true);
+};
+
+/**
+ * Delete a standalone secret
+ * @param {string} key - Secret name
+ * @returns {Promise<void>}
+ */
+export const deleteSecureValue = async (key) => {
+  const name = toSecureStoreName(key);
+  if (!(await isSecureStorageAvailable())) {
+    await AsyncStorage.removeItem(getSecureStoreKey(name));
+    return;
+  }
+  await SecureStore.deleteItemAsync(getSecureStoreKey(name));
+  await updateValueIndex(name, false);
+};
+
+/**
+ * Move auth codes stored by earlier versions into the keychain.
+ * Runs once per install; safe to call on every launch.
+ * @param {Object} storage - Storage holding the old records (AsyncStorage)
+ * @returns {Promise<{migrated: number, skipped: boolean}>}
+ */
+export const migrateToSecureStorage = async (storage = AsyncStorage) => {
+  const { MIGRATION_FLAG = '@secure_storage_migrated' } = getSecureConfig();
+
+  try {
+    if (await storage.getItem(MIGRATION_FLAG)) {
+      return { migrated: 0, skipped: true };
+    }
+    if (!(await isSecureStorageAvailable())) {
+      return { migrated: 0, skipped: true };
+    }
+
+    const secureStorage = createSecureStorage(storage);
+    const keys = [
+      ...(getSecureConfig().RECORD_KEYS || []),
+      ...(getSecureConfig().VALUE_KEYS || []),
+    ];
+    let migrated = 0;
+
+    for (const key of keys) {
+      const stored = await storage.getItem(key);
+      if (!stored) continue;
+
+      if (isSecureRecordKey(key)) {
+        try {
+          if (splitSecrets(JSON.parse(stored)).secrets.length === 0) continue;
+        } catch (error) {
+          continue;
+        }
+      }
+
+      await secureStorage.setItem(key, stored);
+      migrated++;
+    }
+
+    await storage.setItem(MIGRATION_FLAG, new Date().toISOString());
+    console.log(`🔐 SECURE STORAGE: Migrated ${migrated} stored sessions`);
+    return { migrated, skipped: false };
+  } catch (error) {
+    // Not marked as done, so the next launch tries again
+    console.error('❌ SECURE STORAGE: Migration failed:', error);
+    return { migrated: 0, skipped: false, error: error.message };
+  }
+};
+
+/**
+ * Delete every secret from the keychain (device reset)
+ * @returns {Promise<boolean>} - Success status
+ */
+export const wipeSecureStorage = async () => {
+  try {
+    if (!(await isSecureStorageAvailable())) return true;
+
+    const storedIndex = await SecureStore.getItemAsync(
+      getSecureStoreKey(VALUE_INDEX_KEY)
+    );
+    const keys = [
+      ...(getSecureConfig().RECORD_KEYS || []),
+      ...(getSecureConfig().VALUE_KEYS || []),
+      ...(storedIndex ? JSON.parse(storedIndex) : []),
+      VALUE_INDEX_KEY,
+    ];
+    await Promise.all(
+      keys.map((key) => SecureStore.deleteItemAsync(getSecureStoreKey(key)))
+    );
+
+    console.log('🧹 SECURE STORAGE: Wiped stored secrets');
+    return true;
+  } catch (error) {
+    console.error('❌ SECURE STORAGE: Failed to wipe secrets:', error);
+    return false;
+  }
+};
+
+export default {
+  createSecureStorage,
+  secureSessionStorage,
+  migrateToSecureStorage,
+  wipeSecureStorage,
+  getSecureValue,
+  setSecureValue,
+  deleteSecureValue,
+  splitSecrets,
+  mergeSecrets,
+  isSecureStorageAvailable,
+  isSecureRecordKey,
+  isSecureValueKey,
+};
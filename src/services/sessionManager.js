@@ -0,0 +1,423 @@
+/**
+ * Session Manager
+ * Central handling of expired auth codes
+ *
+ * - Watches every apiClient request for auth-expired responses
+ * - Re-authenticates once per expired auth code, however many requests fail
+ *   with it, and holds back new requests using that code in the meantime
+ * - Replays the failed requests with the new auth code
+ * - When re-authentication is not possible, notifies listeners so the user
+ *   can be sent to the login screen with their account preselected
+ *
+ * Silent re-authentication is out of scope until the backend issues refresh
+ * tokens. Until then Config.SESSION.REFRESH_ENDPOINT is null, refreshSession
+ * never renews anything and every expired session goes to the login screen.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Config } from '../config/env';
+import {
+  AuthExpiredError,
+  addErrorInterceptor,
+  addRequestInterceptor,
+  apiPost,
+  sendRequest,
+} from './apiClient';
+import { getAllLoggedInUsers, saveUserData } from './authService';
+import { secureSessionStorage } from './secureStorage';
+import { getStoredGuardianData } from './guardianStorageService';
+
+const AUTH_PARAMS = ['authCode', 'auth_code'];
+
+// Old auth code -> Promise<new auth code | null>
+const reauthentications = new Map();
+// Auth codes the backend rejected and that could not be renewed
+const expiredAuthCodes = new Set();
+const expiryListeners = new Set();
+
+let removeInterceptors = null;
+
+// ---------------------------------------------------------------------------
+// Auth codes in requests
+// ---------------------------------------------------------------------------
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(typeof FormData !== 'undefined' && value instanceof FormData);
+
+const getCredentialHeaderNames = () =>
+  Object.values(Config.NETWORK?.CREDENTIAL_HEADERS || {});
+
+/**
+ * Find the auth code a prepared apiClient request was sent with
+ * @param {Object} config - Request config passed to interceptors
+ * @returns {string|null}
+ */
+export const getRequestAuthCode = (config) => {
+  for (const name of getCredentialHeaderNames()) {
+    if (config.headers?.[name]) return config.headers[name];
+  }
+
+  const query = config.url?.split('?')[1];
+  if (query) {
+    for (const pair of query.split('&')) {
+      const [key, value] = pair.split('=');
+      if (AUTH_PARAMS.includes(key) && value) {
+        return decodeURIComponent(value);
+      }
+    }
+  }
+
+  if (isPlainObject(config.body)) {
+    const key = AUTH_PARAMS.find((param) => config.body[param]);
+    if (key) return config.body[key];
+  }
+  if (config.body && typeof config.body.get === 'function') {
+    const key = AUTH_PARAMS.find((param) => config.body.get(param));
+    if (key) return config.body.get(key);
+  }
+
+  return null;
+};
+
+/**
+ * Copy a request config with one auth code swapped for another
+ * @param {Object} config - Request config
+ * @param {string} oldCode - Auth code to replace
+ * @param {string} newCode - Replacement
+ * @returns {Object|null} - New config, or null if the body cannot be rewritten
+ */
+export const replaceRequestAuthCode = (config, oldCode, newCode) => {
+  const headers = { ...config.headers };
+  getCredentialHeaderNames().forEach((name) => {
+    if (headers[name] === oldCode) headers[name] = newCode;
+  });
+
+  const url = config.url
+    .split(`=${encodeURIComponent(oldCode)}`)
+    .join(`=${encodeURIComponent(newCode)}`);
+
+  let body = config.body;
+  if (isPlainObject(body)) {
+    body = { ...body };
+    AUTH_PARAMS.forEach((param) => {
+      if (body[param] === oldCode) body[param] = newCode;
+    });
+  } else if (body && typeof body.get === 'function') {
+    const hasCode = AUTH_PARAMS.some((param) => body.get(param) === oldCode);
+    if (hasCode) {
+      // React Native's FormData cannot replace a field in place
+      if (typeof body.set !== 'function') return null;
+      AUTH_PARAMS.forEach((param) => {
+        if (body.get(param) === oldCode) body.set(param, newCode);
+      });
+    }
+  } else if (typeof body === 'string' && body.includes(oldCode)) {
+    body = body.split(oldCode).join(newCode);
+  }
+
+  return { ...config, url, headers, body };
+};
+
+// ---------------------------------------------------------------------------
+// Accounts
+// ---------------------------------------------------------------------------
+
+const getAuthCode = (record) => record?.authCode || record?.auth_code || null;
+
+/**
+ * Find the stored account an auth code belongs to
+ * @param {string} authCode - Auth code
+ * @returns {Promise<Object|null>} - { userType, account, source }
+ */
+export const findSessionForAuthCode = async (authCode) => {
+  const users = await getAllLoggedInUsers(AsyncStorage);
+  for (const [userType, account] of Object.entries(users)) {
+    if (getAuthCode(account) === authCode) {
+      // Types without their own record fall back to the generic userData
+      return {
+        userType: account.userType || userType,
+        account,
+        source: 'user',
+      };
+    }
+  }
+
+  // Children added to a parent account have their own auth codes
+  const studentAccounts = await secureSessionStorage.getItem('studentAccounts');
+  const student = (studentAccounts ? JSON.parse(studentAccounts) : []).find(
+    (entry) => getAuthCode(entry) === authCode
+  );
+  if (student) {
+    return { userType: 'student', account: student, source: 'studentAccounts' };
+  }
+
+  const guardianData = await getStoredGuardianData();
+  if (guardianData?.authCode === authCode) {
+    return {
+      userType: 'guardian',
+      account: guardianData.guardian,
+      source: 'guardian',
+    };
+  }
+
+  return null;
+};
+
+// Write the renewed auth code wherever the old one was stored
+const storeRenewedSession = async (session, authCode, refreshToken) => {
+  const renew = (record) => ({
+    ...record,
+    authCode,
+    ...(refreshToken && { refreshToken }),
+    ...(record.originalResponse && {
+      originalResponse: {
+        ...record.originalResponse,
+        auth_code: authCode,
+        ...(refreshToken && { refresh_token: refreshToken }),
+      },
+    }),
+  });
+  const oldCode = getAuthCode(session.account);
+
+  if (session.source === 'user') {
+    await saveUserData(renew(session.account), AsyncStorage);
+  } else if (session.source === 'guardian') {
+    await secureSessionStorage.setItem(
+      Config.STORAGE_KEYS.GUARDIAN_AUTH_CODE,
+      authCode
+    );
+  }
+
+  // Parent screens keep copies of child accounts
+  const studentAccounts = await secureSessionStorage.getItem('studentAccounts');
+  if (studentAccounts) {
+    await secureSessionStorage.setItem(
+      'studentAccounts',
+      JSON.stringify(
+        JSON.parse(studentAccounts).map((entry) =>
+          getAuthCode(entry) === oldCode ? renew(entry) : entry
+        )
+      )
+    );
+  }
+  const selectedStudent = await secureSessionStorage.getItem('selectedStudent');
+  if (selectedStudent && getAuthCode(JSON.parse(selectedStudent)) === oldCode) {
+    await secureSessionStorage.setItem(
+      'selectedStudent',
+      JSON.stringify(renew(JSON.parse(selectedStudent)))
+    );
+  }
+};
+
+// ---------------------------------------------------------------------------
+// Re-authentication
+// ---------------------------------------------------------------------------
+
+/**
+ * Exchange the account's refresh token for a new auth code
+ * @param {Object} session - Result of findSessionForAuthCode
+ * @returns {Promise<string|null>} - New auth code, or null
+ */
+const refreshSession = async (session) => {
+  const { REFRESH_ENDPOINT, REFRESH_TIMEOUT } = Config.SESSION || {};
+  const refreshToken =
+    session.account.refreshToken ||
+    session.account.refresh_token ||
+    session.account.originalResponse?.refresh_token;
+  if (!REFRESH_ENDPOINT || !refreshToken) return null;
+
+  try {
+    const response = await apiPost(
+      REFRESH_ENDPOINT,
+      { refresh_token: refreshToken },
+      { auth: false, retries: 0, timeout: REFRESH_TIMEOUT }
+    );
+    const data = response?.data || response;
+    const authCode = getAuthCode(data);
+    if (!authCode) return null;
+
+    await storeRenewedSession(session, authCode, data.refresh_token);
+    console.log(`🔑 SESSION: Renewed ${session.userType} session`);
+    return authCode;
+  } catch (error) {
+    console.warn('⚠️ SESSION: Refresh failed:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Listen for sessions that expired and could not be renewed
+ * @param {Function} listener - Called with { userType, account, source }
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeToSessionExpiry = (listener) => {
+  expiryListeners.add(listener);
+  return () => expiryListeners.delete(listener);
+};
+
+const notifySessionExpired = (session) => {
+  console.warn(`🔒 SESSION: ${session.userType} session expired`);
+  expiryListeners.forEach((listener) => {
+    try {
+      listener(session);
+    } catch (error) {
+      console.error('❌ SESSION: Expiry listener failed:', error);
+    }
+  });
+};
+
+/**
+ * Renew an expired auth code. Concurrent calls for the same code share one
+ * attempt, and listeners are notified once if it fails.
+ * @param {string} authCode - Auth code the backend rejected
+ * @returns {Promise<string|null>} - New auth code, or null
+ */
+export const reauthenticate = (authCode) => {
+  if (expiredAuthCodes.has(authCode)) {
+    return Promise.resolve(null);
+  }
+  if (reauthentications.has(authCode)) {
+    return reauthentications.get(authCode);
+  }
+
+  const attempt = (async () => {
+    try {
+      const session = await findSessionForAuthCode(authCode);
+      // Signed out in the meantime: nothing to renew or report
+      if (!session) return null;
+
+      const newAuthCode = await refreshSession(session);
+      if (!newAuthCode) {
+        expiredAuthCodes.add(authCode);
+        notifySessionExpired(session);
+      }
+      return newAuthCode;
+    } catch (error) {
+      console.error('❌ SESSION: Re-authentication failed:', error);
+      return null;
+    }
+  })();
+
+  reauthentications.set(authCode, attempt);
+  // Only a failed attempt is forgotten; requests that were prepared with
+  // the old code before it was renewed still need the new one
+  attempt.then((newAuthCode) => {
+    if (!newAuthCode) reauthentications.delete(authCode);
+  });
+  return attempt;
+};
+
+/**
+ * Report an expired auth code seen outside apiClient (e.g. a direct fetch)
+ * @param {string} authCode - Auth code the backend rejected
+ * @returns {Promise<string|null>} - New auth code, or null
+ */
+export const reportAuthExpired = (authCode) =>
+  authCode ? reauthenticate(authCode) : Promise.resolve(null);
+
+/**
+ * Whether an auth code is known to be expired
+ * @param {string} authCode - Auth code
+ * @returns {boolean}
+ */
+export const isAuthCodeExpired = (authCode) => expiredAuthCodes.has(authCode);
+
+/**
+ * Login route for an expired session, with the account preselected
+ * @param {Object} session - { userType, account, source }
+ * @returns {{name: string, params: Object}}
+ */
+export const getLoginRouteForSession = (session) => {
+  if (session.userType === 'guardian') {
+    return { name: 'GuardianLogin', params: {} };
+  }
+
+  return {
+    name: 'Login',
+    params: {
+      loginType: session.userType === 'teacher' ? 'teacher' : 'student',
+      username: session.account?.username,
+      sessionExpired: true,
+      // Child accounts are renewed in the parent's student list
+      ...(session.source === 'studentAccounts' && { isAddingStudent: true }),
+    },
+  };
+};
+
+// ---------------------------------------------------------------------------
+// apiClient integration
+// ---------------------------------------------------------------------------
+
+// Hold requests for an auth code that is being renewed, then send them with
+// the new one
+const pauseDuringReauthentication = async (config) => {
+  const authCode = getRequestAuthCode(config);
+  if (!authCode || !reauthentications.has(authCode)) return config;
+
+  const newAuthCode = await reauthentications.get(authCode);
+  return (
+    (newAuthCode && replaceRequestAuthCode(config, authCode, newAuthCode)) ||
+    config
+  );
+};
+
+const replayAfterReauthentication = async (error, config) => {
+  if (!(error instanceof AuthExpiredError) || config.sessionReplay) {
+    return undefined;
+  }
+
+  const authCode = getRequestAuthCode(config);
+  if (!authCode) return undefined;
+
+  const newAuthCode = await reauthenticate(authCode);
+  const replay =
+    newAuthCode && replaceRequestAuthCode(config, authCode, newAuthCode);
+  if (!replay) {
+    error.sessionExpired = true;
+    return undefined;
+  }
+
+  console.log('🔁 SESSION: Replaying request with renewed auth code');
+  return sendRequest({ ...replay, sessionReplay: true });
+};
+
+/**
+ * Install the session interceptors on apiClient. Safe to call more than once.
+ * @returns {Function} - Uninstall
+ */
+export const startSessionManager = () => {
+  if (!removeInterceptors) {
+    const removeRequest = addRequestInterceptor(pauseDuringReauthentication);
+    const removeError = addErrorInterceptor(replayAfterReauthentication);
+    removeInterceptors = () => {
+      removeRequest();
+      removeError();
+      removeInterceptors = null;
+    };
+  }
+  return removeInterceptors;
+};
+
+/**
+ * Forget expired sessions and pending renewals (tests, logout)
+ */
+export const resetSessionManager = () => {
+  reauthentications.clear();
+  expiredAuthCodes.clear();
+};
+
+export default {
+  startSessionManager,
+  resetSessionManager,
+  subscribeToSessionExpiry,
+  reauthenticate,
+  reportAuthExpired,
+  isAuthCodeExpired,
+  getLoginRouteForSession,
+  findSessionForAuthCode,
+  getRequestAuthCode,
+  replaceRequestAuthCode,
+};
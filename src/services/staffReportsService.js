@@ -5,40 +5,11 @@
 
 import { Config, buildApiUrl } from '../config/env';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getUserData } from './authService';
+import { getStoredAuthCode } from './authService';
+import { apiRequest } from './apiClient';
 
 // Helper function to get auth code from storage (supports user-type-specific storage)
-const getAuthCode = async () => {
-  try {
-    // Try user-type-specific storage keys first
-    const userTypes = ['teacher', 'parent', 'student'];
-    for (const userType of userTypes) {
-      const userData = await getUserData(userType, AsyncStorage);
-      if (userData) {
-        const authCode = userData.authCode || userData.auth_code;
-        if (authCode) {
-          console.log(`📊 STAFF REPORTS SERVICE: Using ${userType} auth code`);
-          return authCode;
-        }
-      }
-    }
-
-    // Fallback to generic userData for backward compatibility
-    const userData = await AsyncStorage.getItem('userData');
-    if (userData) {
-      const user = JSON.parse(userData);
-      const authCode = user.authCode || user.auth_code;
-      if (authCode) {
-        console.log('📊 STAFF REPORTS SERVICE: Using generic auth code');
-        return authCode;
-      }
-    }
-    return null;
-  } catch (error) {
-    console.error('📊 STAFF REPORTS SERVICE: Error getting auth code:', error);
-    return null;
-  }
-};
+const getAuthCode = () => getStoredAuthCode(AsyncStorage);
 
 /**
  * Get Class Attendance Report (New API endpoint)
@@ -82,20 +53,7 @@ export const getClassAttendanceReport = async (
       params
     );
 
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching class attendance report:', error);
     throw error;
@@ -143,20 +101,7 @@ export const getHomeworkAnalytics = async (
       params
     );
 
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await apiRequest(url);
   } catch (error) {
     console.error('Error fetching homework analytics:', error);
     throw error;
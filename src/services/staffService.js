@@ -3,42 +3,9 @@
  * Handles new staff/teacher API endpoints as per TEACHER_STAFF_API.md
  */
 
-import { Config, buildApiUrl } from '../config/env';
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getUserData } from './authService';
-
-// Helper function to get auth code from storage (supports user-type-specific storage)
-const getAuthCode = async () => {
-  try {
-    // Try user-type-specific storage keys first
-    const userTypes = ['teacher', 'parent', 'student'];
-    for (const userType of userTypes) {
-      const userData = await getUserData(userType, AsyncStorage);
-      if (userData) {
-        const authCode = userData.authCode || userData.auth_code;
-        if (authCode) {
-          console.log(`👥 STAFF SERVICE: Using ${userType} auth code`);
-          return authCode;
-        }
-      }
-    }
-
-    // Fallback to generic userData for backward compatibility
-    const userData = await AsyncStorage.getItem('userData');
-    if (userData) {
-      const user = JSON.parse(userData);
-      const authCode = user.authCode || user.auth_code;
-      if (authCode) {
-        console.log('👥 STAFF SERVICE: Using generic auth code');
-        return authCode;
-      }
-    }
-    return null;
-  } catch (error) {
-    console.error('👥 STAFF SERVICE: Error getting auth code:', error);
-    return null;
-  }
-};
+import { Config } from '../config/env';
+import { apiGet, apiPost } from './apiClient';
+import { checkPickupRules } from '../utils/pickupRules';
 
 /**
  * Staff Login (New API endpoint)
@@ -55,28 +22,16 @@ export const staffLogin = async (
   deviceType = 'ios'
 ) => {
   try {
-    const url = buildApiUrl(Config.API_ENDPOINTS.STAFF_LOGIN);
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({
+    return await apiPost(
+      Config.API_ENDPOINTS.STAFF_LOGIN,
+      {
         username,
         password,
         deviceToken,
         deviceType,
-      }),
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+      },
+      { auth: false }
+    );
   } catch (error) {
     console.error('Staff login error:', error);
     throw error;
@@ -90,29 +45,7 @@ export const staffLogin = async (
  */
 export const getStaffDashboard = async (authCode = null) => {
   try {
-    const auth = authCode || (await getAuthCode());
-    if (!auth) {
-      throw new Error('No authentication code found');
-    }
-
-    const url = buildApiUrl(Config.API_ENDPOINTS.STAFF_DASHBOARD, {
-      authCode: auth,
-    });
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await apiGet(Config.API_ENDPOINTS.STAFF_DASHBOARD, {}, { authCode });
   } catch (error) {
     console.error('Error fetching staff dashboard:', error);
     throw error;
@@ -127,71 +60,20 @@ export const getStaffDashboard = async (authCode = null) => {
  */
 export const getStaffTimetable = async (authCode = null, date = null) => {
   try {
-    const auth = authCode || (await getAuthCode());
-    if (!auth) {
-      throw new Error('No authentication code found');
-    }
-
-    const params = { authCode: auth };
+    const params = {};
     if (date) {
       params.date = date;
     }
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.STAFF_TIMETABLE, params);
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
+    return await apiGet(Config.API_ENDPOINTS.STAFF_TIMETABLE, params, {
+      authCode,
     });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
   } catch (error) {
     console.error('Error fetching staff timetable:', error);
     throw error;
   }
 };
 
-/**
- * Store Class Attendance (New API endpoint)
- * @param {Object} attendanceData - Attendance data
- * @param {number} attendanceData.timetable - Timetable ID
- * @param {Array} attendanceData.attendance - Array of student attendance records
- * @param {string} attendanceData.topic - Class topic
- * @returns {Promise<Object>} - Response data
- */
-export const storeClassAttendance = async (attendanceData) => {
-  try {
-    const url = buildApiUrl(Config.API_ENDPOINTS.STORE_ATTENDANCE);
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(attendanceData),
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
-  } catch (error) {
-    console.error('Error storing class attendance:', error);
-    throw error;
-  }
-};
-
 /**
  * Get Teacher Classes for Attendance (New API endpoint)
  * @param {string} authCode - Staff authentication code
@@ -199,29 +81,11 @@ export const storeClassAttendance = async (attendanceData) => {
  */
 export const getTeacherClassesForAttendance = async (authCode = null) => {
   try {
-    const auth = authCode || (await getAuthCode());
-    if (!auth) {
-      throw new Error('No authentication code found');
-    }
-
-    const url = buildApiUrl(Config.API_ENDPOINTS.STAFF_CLASSES_ATTENDANCE, {
-      auth_code: auth,
-    });
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await apiGet(
+      Config.API_ENDPOINTS.STAFF_CLASSES_ATTENDANCE,
+      {},
+      { authCode, authParam: 'auth_code' }
+    );
   } catch (error) {
     console.error('Error fetching teacher classes for attendance:', error);
     throw error;
@@ -237,23 +101,7 @@ export const getTeacherClassesForAttendance = async (authCode = null) => {
  */
 export const storeBPSRecord = async (bpsData) => {
   try {
-    const url = buildApiUrl(Config.API_ENDPOINTS.STAFF_BPS_STORE);
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(bpsData),
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await apiPost(Config.API_ENDPOINTS.STAFF_BPS_STORE, bpsData);
   } catch (error) {
     console.error('Error storing BPS record:', error);
     throw error;
@@ -267,29 +115,7 @@ export const storeBPSRecord = async (bpsData) => {
  */
 export const getBPSItems = async (authCode = null) => {
   try {
-    const auth = authCode || (await getAuthCode());
-    if (!auth) {
-      throw new Error('No authentication code found');
-    }
-
-    const url = buildApiUrl(Config.API_ENDPOINTS.STAFF_BPS_ITEMS, {
-      authCode: auth,
-    });
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await apiGet(Config.API_ENDPOINTS.STAFF_BPS_ITEMS, {}, { authCode });
   } catch (error) {
     console.error('Error fetching BPS items:', error);
     throw error;
@@ -303,23 +129,7 @@ export const getBPSItems = async (authCode = null) => {
  */
 export const createHomeworkAssignment = async (homeworkData) => {
   try {
-    const url = buildApiUrl(Config.API_ENDPOINTS.HOMEWORK_CREATE);
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(homeworkData),
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await apiPost(Config.API_ENDPOINTS.HOMEWORK_CREATE, homeworkData);
   } catch (error) {
     console.error('Error creating homework assignment:', error);
     throw error;
@@ -333,29 +143,11 @@ export const createHomeworkAssignment = async (homeworkData) => {
  */
 export const getTeacherHomeworkClasses = async (authCode = null) => {
   try {
-    const auth = authCode || (await getAuthCode());
-    if (!auth) {
-      throw new Error('No authentication code found');
-    }
-
-    const url = buildApiUrl(Config.API_ENDPOINTS.TEACHER_HOMEWORK_CLASSES, {
-      auth_code: auth,
-    });
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await apiGet(
+      Config.API_ENDPOINTS.TEACHER_HOMEWORK_CLASSES,
+      {},
+      { authCode, authParam: 'auth_code' }
+    );
   } catch (error) {
     console.error('Error fetching teacher homework classes:', error);
     throw error;
@@ -369,23 +161,7 @@ export const getTeacherHomeworkClasses = async (authCode = null) => {
  */
 export const gradeHomeworkSubmission = async (gradeData) => {
   try {
-    const url = buildApiUrl(Config.API_ENDPOINTS.HOMEWORK_GRADE);
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(gradeData),
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await apiPost(Config.API_ENDPOINTS.HOMEWORK_GRADE, gradeData);
   } catch (error) {
     console.error('Error grading homework submission:', error);
     throw error;
@@ -399,29 +175,11 @@ export const gradeHomeworkSubmission = async (gradeData) => {
  */
 export const getHomeroomClassrooms = async (authCode = null) => {
   try {
-    const auth = authCode || (await getAuthCode());
-    if (!auth) {
-      throw new Error('No authentication code found');
-    }
-
-    const url = buildApiUrl(Config.API_ENDPOINTS.HOMEROOM_CLASSROOMS, {
-      auth_code: auth,
-    });
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await apiGet(
+      Config.API_ENDPOINTS.HOMEROOM_CLASSROOMS,
+      {},
+      { authCode, authParam: 'auth_code' }
+    );
   } catch (error) {
     console.error('Error fetching homeroom classrooms:', error);
     throw error;
@@ -436,34 +194,15 @@ export const getHomeroomClassrooms = async (authCode = null) => {
  */
 export const getHomeroomStudents = async (classroomId, authCode = null) => {
   try {
-    const auth = authCode || (await getAuthCode());
-    if (!auth) {
-      throw new Error('No authentication code found');
-    }
-
     if (!classroomId) {
       throw new Error('Classroom ID is required');
     }
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.HOMEROOM_STUDENTS, {
-      auth_code: auth,
-      classroom_id: classroomId,
-    });
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await apiGet(
+      Config.API_ENDPOINTS.HOMEROOM_STUDENTS,
+      { classroom_id: classroomId },
+      { authCode, authParam: 'auth_code' }
+    );
   } catch (error) {
     console.error('Error fetching homeroom students:', error);
     throw error;
@@ -483,17 +222,11 @@ export const getHomeroomAttendance = async (
   date = null
 ) => {
   try {
-    const auth = authCode || (await getAuthCode());
-    if (!auth) {
-      throw new Error('No authentication code found');
-    }
-
     if (!classroomId) {
       throw new Error('Classroom ID is required');
     }
 
     const params = {
-      auth_code: auth,
       classroom_id: classroomId,
     };
 
@@ -501,22 +234,10 @@ export const getHomeroomAttendance = async (
       params.date = date;
     }
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.HOMEROOM_ATTENDANCE, params);
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
+    return await apiGet(Config.API_ENDPOINTS.HOMEROOM_ATTENDANCE, params, {
+      authCode,
+      authParam: 'auth_code',
     });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
   } catch (error) {
     console.error('Error fetching homeroom attendance:', error);
     throw error;
@@ -531,34 +252,15 @@ export const getHomeroomAttendance = async (
  */
 export const getHomeroomStudentProfile = async (studentId, authCode = null) => {
   try {
-    const auth = authCode || (await getAuthCode());
-    if (!auth) {
-      throw new Error('No authentication code found');
-    }
-
     if (!studentId) {
       throw new Error('Student ID is required');
     }
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.HOMEROOM_STUDENT_PROFILE, {
-      auth_code: auth,
-      student_id: studentId,
-    });
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await apiGet(
+      Config.API_ENDPOINTS.HOMEROOM_STUDENT_PROFILE,
+      { student_id: studentId },
+      { authCode, authParam: 'auth_code' }
+    );
   } catch (error) {
     console.error('Error fetching homeroom student profile:', error);
     throw error;
@@ -567,28 +269,19 @@ export const getHomeroomStudentProfile = async (studentId, authCode = null) => {
 
 /**
  * Send Notification to Students (New API endpoint)
+ * Set `personalize` when the message still has {student_name} or {class}
+ * placeholders; the server fills them in for each recipient.
  * @param {Object} notificationData - Notification data
+ * @param {boolean} notificationData.personalize - Fill placeholders per recipient
+ * @param {Array<string>} notificationData.placeholders - Placeholders left in the message
  * @returns {Promise<Object>} - Response data
  */
 export const sendNotificationToStudents = async (notificationData) => {
   try {
-    const url = buildApiUrl(Config.API_ENDPOINTS.NOTIFICATIONS_SEND);
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(notificationData),
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await apiPost(
+      Config.API_ENDPOINTS.SEND_NOTIFICATION,
+      notificationData
+    );
   } catch (error) {
     console.error('Error sending notification to students:', error);
     throw error;
@@ -602,23 +295,10 @@ export const sendNotificationToStudents = async (notificationData) => {
  */
 export const sendBroadcastNotification = async (broadcastData) => {
   try {
-    const url = buildApiUrl(Config.API_ENDPOINTS.NOTIFICATIONS_BROADCAST);
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(broadcastData),
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await apiPost(
+      Config.API_ENDPOINTS.NOTIFICATIONS_BROADCAST,
+      broadcastData
+    );
   } catch (error) {
     console.error('Error sending broadcast notification:', error);
     throw error;
@@ -637,44 +317,23 @@ export const getStaffPickupRequests = async (
   { date = null, status = null } = {}
 ) => {
   try {
-    const auth = authCode || (await getAuthCode());
-    if (!auth) throw new Error('No authentication code found');
-
     console.log('📋 STAFF SERVICE: Fetching pickup requests with params:', {
-      authCode: auth ? auth.substring(0, 8) + '...' : 'null',
       date,
       status,
     });
 
-    const params = { authCode: auth };
+    const params = {};
     if (date) params.date = date;
     if (status) params.status = status;
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.STAFF_PICKUP_REQUESTS, params);
-    console.log('📋 STAFF SERVICE: Request URL:', url);
-
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-    });
-
-    console.log('📋 STAFF SERVICE: Response status:', response.status);
-    console.log('📋 STAFF SERVICE: Response headers:', response.headers);
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    // Get response text first to debug
-    const responseText = await response.text();
-    console.log('📋 STAFF SERVICE: Raw response text:', responseText);
-    console.log('📋 STAFF SERVICE: Response text type:', typeof responseText);
+    // The client falls back to "ok|message" parsing for non-JSON bodies
+    const data = await apiGet(
+      Config.API_ENDPOINTS.STAFF_PICKUP_REQUESTS,
+      params,
+      { authCode }
+    );
 
-    // Try to parse as JSON
-    if (!responseText || responseText.trim() === '') {
+    if (!data) {
       console.warn('⚠️ STAFF SERVICE: Empty response received');
       return {
         success: false,
@@ -683,24 +342,7 @@ export const getStaffPickupRequests = async (
       };
     }
 
-    try {
-      const jsonData = JSON.parse(responseText);
-      console.log('📋 STAFF SERVICE: Parsed JSON data:', jsonData);
-      return jsonData;
-    } catch (parseError) {
-      console.error('📋 STAFF SERVICE: JSON parse error:', parseError);
-      console.log('📋 STAFF SERVICE: Attempting text response parsing...');
-
-      // Try to parse as text response (like "ok|message" format)
-      const { parseApiTextResponse } = await import('../utils/apiHelpers');
-      const parsedResponse = parseApiTextResponse(responseText);
-      console.log('📋 STAFF SERVICE: Parsed text response:', parsedResponse);
-
-      return {
-        ...parsedResponse,
-        requests: [], // Ensure requests array exists
-      };
-    }
+    return data;
   } catch (error) {
     console.error(
       '❌ STAFF SERVICE: Error fetching staff pickup requests:',
@@ -714,24 +356,22 @@ export const getStaffPickupRequests = async (
  * Staff Pickup: Scan Guardian QR
  * @param {string|null} authCode
  * @param {string} qr_token
+ * @param {Object|null} signature - { iat, exp, nonce, sig } from
+ * verifyPickupQr, so the server can check signed codes itself
  */
-export const staffPickupScanQr = async (qr_token, authCode = null) => {
+export const staffPickupScanQr = async (
+  qr_token,
+  authCode = null,
+  signature = null
+) => {
   try {
-    const auth = authCode || (await getAuthCode());
-    if (!auth) throw new Error('No authentication code found');
     if (!qr_token) throw new Error('QR token is required');
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.STAFF_PICKUP_SCAN_QR);
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify({ authCode: auth, qr_token }),
-    });
-    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-    return await response.json();
+    return await apiPost(
+      Config.API_ENDPOINTS.STAFF_PICKUP_SCAN_QR,
+      { qr_token, ...signature },
+      { authCode }
+    );
   } catch (error) {
     console.error('Error scanning guardian QR:', error);
     throw error;
@@ -755,9 +395,6 @@ export const staffPickupProcess = async ({
   staff_notes = null,
 }) => {
   try {
-    const auth = authCode || (await getAuthCode());
-    if (!auth) throw new Error('No authentication code found');
-
     // Either guardian_card_id or parent_auth_code is required
     if (!guardian_card_id && !parent_auth_code) {
       throw new Error(
@@ -769,7 +406,6 @@ export const staffPickupProcess = async ({
 
     // Build request body based on available parameters
     const requestBody = {
-      authCode: auth,
       request_id,
       staff_notes,
     };
@@ -783,19 +419,129 @@ export const staffPickupProcess = async ({
       console.log('📱 STAFF SERVICE: Processing pickup with guardian_card_id');
     }
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.STAFF_PICKUP_PROCESS);
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(requestBody),
-    });
-    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
-    return await response.json();
+    return await apiPost(
+      Config.API_ENDPOINTS.STAFF_PICKUP_PROCESS,
+      requestBody,
+      {
+        authCode,
+      }
+    );
   } catch (error) {
     console.error('Error processing pickup:', error);
     throw error;
   }
 };
+
+/**
+ * Staff Pickup: Identify who is collecting from a scan result
+ * @param {Object} scanResponse - Response from staffPickupScanQr
+ * @returns {Object|null} - { parent_auth_code } for parents,
+ * { guardian_card_id } for guardians, or null when it is missing
+ */
+export const getPickupIdentity = (scanResponse) => {
+  const person = {
+    ...scanResponse?.guardian,
+    ...scanResponse?.pickup_person,
+  };
+
+  if (person.card_type === 'parent') {
+    const parentAuthCode = person.auth_code || person.parent_info?.user_id;
+    return parentAuthCode ? { parent_auth_code: parentAuthCode } : null;
+  }
+
+  const guardianCardId =
+    person.card_id || person.pickup_card_id || person.guardian_card_id;
+  return guardianCardId ? { guardian_card_id: guardianCardId } : null;
+};
+
+/**
+ * Staff Pickup: Check a scanned guardian against the parent's pickup rules
+ * Parents are always allowed.
+ * @param {Object} scanResponse - Response from staffPickupScanQr
+ * @param {number|string} studentId - Child being picked up
+ * @param {Date} now - Time of the pickup
+ * @returns {Object} - { allowed, reason, message, rules }
+ */
+export const checkScannedPickupRules = (
+  scanResponse,
+  studentId,
+  now = new Date()
+) => {
+  const person = {
+    ...scanResponse?.guardian,
+    ...scanResponse?.pickup_person,
+  };
+
+  if (person.card_type === 'parent' || !person.pickup_rules) {
+    return { allowed: true, reason: null, message: null, rules: null };
+  }
+
+  return {
+    ...checkPickupRules(person.pickup_rules, { studentId, now }),
+    rules: person.pickup_rules,
+  };
+};
+
+/**
+ * Staff Pickup: Release several waiting requests at once
+ * Each request is validated with its requester's QR token, checked against
+ * the guardian's pickup rules and then processed, one after another. A
+ * failure does not stop the others.
+ * @param {Array<Object>} requests - Requests from getStaffPickupRequests
+ * @param {string|null} authCode
+ * @param {string|null} staffNotes
+ * @returns {Promise<Object>} - { released: [request_id], failed: [{ request_id, message }] }
+ */
+export const staffPickupReleaseRequests = async (
+  requests,
+  authCode = null,
+  staffNotes = null
+) => {
+  const results = { released: [], failed: [] };
+
+  for (const request of requests) {
+    const requestId = request.request_id;
+    try {
+      const qrToken = request.requester?.qr_token;
+      if (!qrToken) throw new Error('No QR token for this request');
+
+      const scan = await staffPickupScanQr(qrToken, authCode);
+      const identity = scan?.success ? getPickupIdentity(scan) : null;
+      if (!identity) {
+        throw new Error(
+          scan?.message || 'Pickup person could not be identified'
+        );
+      }
+
+      const ruleCheck = checkScannedPickupRules(
+        scan,
+        request.student?.id ?? request.student_id
+      );
+      if (!ruleCheck.allowed) throw new Error(ruleCheck.message);
+
+      const result = await staffPickupProcess({
+        authCode,
+        request_id: requestId,
+        staff_notes: staffNotes,
+        ...identity,
+      });
+      if (!result?.success) {
+        throw new Error(result?.message || 'Failed to process pickup');
+      }
+
+      results.released.push(requestId);
+    } catch (error) {
+      console.warn(
+        `⚠️ STAFF SERVICE: Failed to release request ${requestId}:`,
+        error.message
+      );
+      results.failed.push({ request_id: requestId, message: error.message });
+    }
+  }
+
+  console.log('📱 STAFF SERVICE: Batch release finished:', {
+    released: results.released.length,
+    failed: results.failed.length,
+  });
+  return results;
+};
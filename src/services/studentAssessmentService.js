@@ -7,6 +7,8 @@
  */
 
 import { Config, buildApiUrl } from '../config/env';
+import { redactUrl } from '../utils/queryString';
+import { calculateSubjectGrade } from '../utils/gradingEngine';
 
 /**
  * Get student assessments using unified API
@@ -47,7 +49,7 @@ export const getStudentAssessments = async (authCode, studentId = null) => {
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.GET_STUDENT_ASSESSMENTS, params);
-    console.log('🌐 STUDENT ASSESSMENTS: API URL:', url);
+    console.log('🌐 STUDENT ASSESSMENTS: API URL:', redactUrl(url));
 
     const response = await fetch(url, {
       method: 'GET',
@@ -191,26 +193,17 @@ export const getUniqueSubjects = (assessments) => {
 
 /**
  * Calculate subject average from assessments
+ * Uses the grading engine: weighted assessment types, dropped-lowest rules
+ * and only points-based (summative) assessments
  * 
  * @param {Array} assessments - Array of assessments for a subject
+ * @param {Object} scheme - Optional grading scheme (see getGradingScheme)
  * @returns {number|null} - Average percentage or null if no graded assessments
  */
-export const calculateSubjectAverage = (assessments) => {
+export const calculateSubjectAverage = (assessments, scheme = null) => {
   if (!assessments || !Array.isArray(assessments)) return null;
   
-  // Only include graded points-based assessments
-  const gradedAssessments = assessments.filter(a => 
-    a.is_graded === 1 && 
-    a.grading_type === 'points' &&
-    a.score_percentage !== null &&
-    a.score_percentage !== undefined
-  );
-  
-  if (gradedAssessments.length === 0) return null;
-  
-  // Simple average for now (can be enhanced with weighted average later)
-  const sum = gradedAssessments.reduce((acc, a) => acc + parseFloat(a.score_percentage), 0);
-  return Math.round(sum / gradedAssessments.length);
+  return calculateSubjectGrade(assessments, scheme).rounded;
 };
 
 export default {
@@ -6,55 +6,13 @@
 
 import { Config, buildApiUrl } from '../config/env';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getUserData } from './authService';
+import { getStoredAuthCode } from './authService';
+import { apiRequest } from './apiClient';
+import { redactUrl } from '../utils/queryString';
 
 // Helper function to get student auth code from storage
-const getStudentAuthCode = async () => {
-  try {
-    console.log('🔑 STUDENT NOTIFICATION SERVICE: Getting student auth code...');
-
-    const studentData = await getUserData('student', AsyncStorage);
-    if (studentData && (studentData.authCode || studentData.auth_code)) {
-      const authCode = studentData.authCode || studentData.auth_code;
-      console.log(
-        '🔑 STUDENT NOTIFICATION SERVICE: Using student auth code:',
-        authCode?.substring(0, 8) + '...',
-        'Student name:',
-        studentData.name || studentData.user_name
-      );
-      return authCode;
-    }
-
-    console.warn('⚠️ STUDENT NOTIFICATION SERVICE: No student auth code found');
-    return null;
-  } catch (error) {
-    console.error('❌ STUDENT NOTIFICATION SERVICE: Error getting auth code:', error);
-    return null;
-  }
-};
-
-// Helper function to make API requests
-const makeApiRequest = async (url, options = {}) => {
-  try {
-    const response = await fetch(url, {
-      timeout: Config.NETWORK.TIMEOUT,
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers,
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error('STUDENT NOTIFICATION SERVICE: API request failed:', error);
-    throw error;
-  }
-};
+const getStudentAuthCode = () =>
+  getStoredAuthCode(AsyncStorage, { userTypes: ['student'] });
 
 /**
  * Get student notifications list with pagination
@@ -82,7 +40,7 @@ export const getStudentNotifications = async (params = {}) => {
       Config.API_ENDPOINTS.GET_NOTIFICATIONS,
       queryParams
     );
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('STUDENT NOTIFICATION SERVICE: Error fetching notifications:', error);
     throw error;
@@ -102,12 +60,12 @@ export const markStudentNotificationAsRead = async (notificationId) => {
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.MARK_NOTIFICATION_READ);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
         notification_id: notificationId,
-      }),
+      },
     });
   } catch (error) {
     console.error('STUDENT NOTIFICATION SERVICE: Error marking notification as read:', error);
@@ -132,13 +90,13 @@ export const markAllStudentNotificationsAsRead = async () => {
     console.log('🎓 STUDENT NOTIFICATION SERVICE: Marking all notifications as read with authCode:', authCode.substring(0, 8) + '...');
 
     const url = buildApiUrl(Config.API_ENDPOINTS.MARK_ALL_NOTIFICATIONS_READ);
-    console.log('🎓 STUDENT NOTIFICATION SERVICE: API URL:', url);
+    console.log('🎓 STUDENT NOTIFICATION SERVICE: API URL:', redactUrl(url));
 
-    const response = await makeApiRequest(url, {
+    const response = await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
-      }),
+      },
     });
 
     console.log('✅ STUDENT NOTIFICATION SERVICE: Mark all as read response:', response);
@@ -163,7 +121,7 @@ export const getStudentNotificationCategories = async () => {
     const url = buildApiUrl(Config.API_ENDPOINTS.GET_NOTIFICATION_CATEGORIES, {
       authCode,
     });
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('STUDENT NOTIFICATION SERVICE: Error fetching notification categories:', error);
     throw error;
@@ -7,86 +7,14 @@
 
 import { Config, buildApiUrl } from '../config/env';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getUserData } from './authService';
+import { getStoredAuthCode } from './authService';
+import { apiRequest } from './apiClient';
 
 /**
  * Helper function to get auth code from storage (supports user-type-specific storage)
  */
-const getAuthCode = async () => {
-  try {
-    // First, check the generic userData key to determine which user is currently active
-    let currentUserType = null;
-    try {
-      const genericUserData = await AsyncStorage.getItem('userData');
-      if (genericUserData) {
-        const user = JSON.parse(genericUserData);
-        currentUserType = user.userType;
-        console.log('📊 ASSESSMENT SERVICE: Current active user type:', currentUserType);
-      }
-    } catch (error) {
-      console.log('⚠️ ASSESSMENT SERVICE: Could not determine current user type');
-    }
-
-    // If we know the current user type, get their specific auth code
-    if (currentUserType) {
-      const userData = await getUserData(currentUserType, AsyncStorage);
-      if (userData && (userData.authCode || userData.auth_code)) {
-        const authCode = userData.authCode || userData.auth_code;
-        console.log('📊 ASSESSMENT SERVICE: Using auth code:', authCode?.substring(0, 8) + '...');
-        return authCode;
-      }
-    }
-
-    // Fallback: Try teacher type first (most likely for assessments)
-    const userTypes = ['teacher', 'parent', 'student'];
-    for (const userType of userTypes) {
-      const userData = await getUserData(userType, AsyncStorage);
-      if (userData) {
-        const authCode = userData.authCode || userData.auth_code;
-        if (authCode) {
-          console.log(`📊 ASSESSMENT SERVICE: Using ${userType} auth code (fallback)`);
-          return authCode;
-        }
-      }
-    }
-
-    return null;
-  } catch (error) {
-    console.error('📊 ASSESSMENT SERVICE: Error getting auth code:', error);
-    return null;
-  }
-};
-
-/**
- * Helper function to make API requests with proper error handling
- */
-const makeAssessmentApiRequest = async (url, options = {}) => {
-  try {
-    console.log('📊 ASSESSMENT API REQUEST:', url);
-
-    const response = await fetch(url, {
-      timeout: Config.NETWORK.TIMEOUT || 30000,
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        Accept: 'application/json',
-        ...options.headers,
-      },
-    });
-
-    const responseText = await response.text();
-    console.log('📊 ASSESSMENT API RESPONSE:', responseText.substring(0, 200));
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    return JSON.parse(responseText);
-  } catch (error) {
-    console.error('📊 Assessment API request failed:', error);
-    throw error;
-  }
-};
+const getAuthCode = () =>
+  getStoredAuthCode(AsyncStorage, { preferActiveUser: true });
 
 /**
  * 1. Get Teacher's Assessments List
@@ -103,7 +31,7 @@ export const getTeacherAssessments = async (authCode = null) => {
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.GET_TEACHER_ASSESSMENTS, { authCode: auth });
-    const response = await makeAssessmentApiRequest(url);
+    const response = await apiRequest(url);
 
     console.log('📊 GET TEACHER ASSESSMENTS: Success', {
       summativeCount: response.data?.summative?.length || 0,
@@ -139,7 +67,7 @@ export const getAssessmentDetails = async (assessmentId, type, authCode = null)
       type: type,
     });
 
-    const response = await makeAssessmentApiRequest(url);
+    const response = await apiRequest(url);
 
     console.log('📊 GET ASSESSMENT DETAILS: Success', {
       assessmentId,
@@ -174,7 +102,7 @@ export const getGradeStudents = async (gradeId, authCode = null) => {
       grade_id: gradeId,
     });
 
-    const response = await makeAssessmentApiRequest(url);
+    const response = await apiRequest(url);
 
     console.log('📊 GET GRADE STUDENTS: Success', {
       gradeId,
@@ -206,7 +134,7 @@ export const getAssessmentOptions = async (authCode = null) => {
       authCode: auth,
     });
 
-    const response = await makeAssessmentApiRequest(url);
+    const response = await apiRequest(url);
 
     console.log('📊 GET ASSESSMENT OPTIONS: Success', {
       subjectsCount: response.data?.subjects?.length || 0,
@@ -242,12 +170,12 @@ export const saveSummativeGrade = async (gradeData, authCode = null) => {
 
     const url = buildApiUrl(Config.API_ENDPOINTS.SAVE_SUMMATIVE_GRADE);
 
-    const response = await makeAssessmentApiRequest(url, {
+    const response = await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode: auth,
         ...gradeData,
-      }),
+      },
     });
 
     console.log('📊 SAVE SUMMATIVE GRADE: Success', {
@@ -287,12 +215,12 @@ export const saveFormativeGrade = async (gradeData, authCode = null) => {
 
     const url = buildApiUrl(Config.API_ENDPOINTS.SAVE_FORMATIVE_GRADE);
 
-    const response = await makeAssessmentApiRequest(url, {
+    const response = await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode: auth,
         ...gradeData,
-      }),
+      },
     });
 
     console.log('📊 SAVE FORMATIVE GRADE: Success', {
@@ -331,13 +259,13 @@ export const saveSummativeGradesBulk = async (assessmentId, grades, authCode = n
 
     const url = buildApiUrl(Config.API_ENDPOINTS.SAVE_SUMMATIVE_GRADES_BULK);
 
-    const response = await makeAssessmentApiRequest(url, {
+    const response = await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode: auth,
         assessment_id: assessmentId,
         grades: grades,
-      }),
+      },
     });
 
     console.log('📊 SAVE SUMMATIVE GRADES BULK: Success', {
@@ -378,13 +306,13 @@ export const saveFormativeGradesBulk = async (assessmentId, grades, authCode = n
 
     const url = buildApiUrl(Config.API_ENDPOINTS.SAVE_FORMATIVE_GRADES_BULK);
 
-    const response = await makeAssessmentApiRequest(url, {
+    const response = await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode: auth,
         assessment_id: assessmentId,
         grades: grades,
-      }),
+      },
     });
 
     console.log('📊 SAVE FORMATIVE GRADES BULK: Success', {
@@ -427,12 +355,12 @@ export const createSummativeAssessment = async (assessmentData, authCode = null)
 
     const url = buildApiUrl(Config.API_ENDPOINTS.CREATE_SUMMATIVE_ASSESSMENT);
 
-    const response = await makeAssessmentApiRequest(url, {
+    const response = await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode: auth,
         ...assessmentData,
-      }),
+      },
     });
 
     console.log('📊 CREATE SUMMATIVE ASSESSMENT: Success', {
@@ -473,12 +401,12 @@ export const createFormativeAssessment = async (assessmentData, authCode = null)
 
     const url = buildApiUrl(Config.API_ENDPOINTS.CREATE_FORMATIVE_ASSESSMENT);
 
-    const response = await makeAssessmentApiRequest(url, {
+    const response = await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode: auth,
         ...assessmentData,
-      }),
+      },
     });
 
     console.log('📊 CREATE FORMATIVE ASSESSMENT: Success', {
@@ -519,12 +447,12 @@ export const createAssessment = async (assessmentData, authCode = null) => {
 
     const url = buildApiUrl(Config.API_ENDPOINTS.CREATE_ASSESSMENT);
 
-    const response = await makeAssessmentApiRequest(url, {
+    const response = await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode: auth,
         ...assessmentData,
-      }),
+      },
     });
 
     console.log('📊 CREATE ASSESSMENT (UNIFIED): Success', {
@@ -562,12 +490,12 @@ export const saveGrade = async (gradeData, authCode = null) => {
 
     const url = buildApiUrl(Config.API_ENDPOINTS.SAVE_GRADE);
 
-    const response = await makeAssessmentApiRequest(url, {
+    const response = await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode: auth,
         ...gradeData,
-      }),
+      },
     });
 
     console.log('📊 SAVE GRADE (UNIFIED): Success', {
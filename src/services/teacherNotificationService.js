@@ -6,55 +6,12 @@
 
 import { Config, buildApiUrl } from '../config/env';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getUserData } from './authService';
+import { getStoredAuthCode } from './authService';
+import { apiRequest } from './apiClient';
 
 // Helper function to get teacher auth code from storage
-const getTeacherAuthCode = async () => {
-  try {
-    console.log('🔑 TEACHER NOTIFICATION SERVICE: Getting teacher auth code...');
-
-    const teacherData = await getUserData('teacher', AsyncStorage);
-    if (teacherData && (teacherData.authCode || teacherData.auth_code)) {
-      const authCode = teacherData.authCode || teacherData.auth_code;
-      console.log(
-        '🔑 TEACHER NOTIFICATION SERVICE: Using teacher auth code:',
-        authCode?.substring(0, 8) + '...',
-        'Teacher name:',
-        teacherData.name || teacherData.user_name
-      );
-      return authCode;
-    }
-
-    console.warn('⚠️ TEACHER NOTIFICATION SERVICE: No teacher auth code found');
-    return null;
-  } catch (error) {
-    console.error('❌ TEACHER NOTIFICATION SERVICE: Error getting auth code:', error);
-    return null;
-  }
-};
-
-// Helper function to make API requests
-const makeApiRequest = async (url, options = {}) => {
-  try {
-    const response = await fetch(url, {
-      timeout: Config.NETWORK.TIMEOUT,
-      ...options,
-      headers: {
-        'Content-Type': 'application/json',
-        ...options.headers,
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    return await response.json();
-  } catch (error) {
-    console.error('TEACHER NOTIFICATION SERVICE: API request failed:', error);
-    throw error;
-  }
-};
+const getTeacherAuthCode = () =>
+  getStoredAuthCode(AsyncStorage, { userTypes: ['teacher'] });
 
 /**
  * Get teacher notifications list with pagination
@@ -82,7 +39,7 @@ export const getTeacherNotifications = async (params = {}) => {
       Config.API_ENDPOINTS.GET_NOTIFICATIONS,
       queryParams
     );
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('TEACHER NOTIFICATION SERVICE: Error fetching notifications:', error);
     throw error;
@@ -102,12 +59,12 @@ export const markTeacherNotificationAsRead = async (notificationId) => {
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.MARK_NOTIFICATION_READ);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
         notification_id: notificationId,
-      }),
+      },
     });
   } catch (error) {
     console.error('TEACHER NOTIFICATION SERVICE: Error marking notification as read:', error);
@@ -127,11 +84,11 @@ export const markAllTeacherNotificationsAsRead = async () => {
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.MARK_ALL_NOTIFICATIONS_READ);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
-      }),
+      },
     });
   } catch (error) {
     console.error('TEACHER NOTIFICATION SERVICE: Error marking all notifications as read:', error);
@@ -153,7 +110,7 @@ export const getTeacherNotificationCategories = async () => {
     const url = buildApiUrl(Config.API_ENDPOINTS.GET_NOTIFICATION_CATEGORIES, {
       authCode,
     });
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('TEACHER NOTIFICATION SERVICE: Error fetching notification categories:', error);
     throw error;
@@ -173,12 +130,12 @@ export const sendTeacherNotification = async (notificationData) => {
     }
 
     const url = buildApiUrl(Config.API_ENDPOINTS.SEND_NOTIFICATION);
-    return await makeApiRequest(url, {
+    return await apiRequest(url, {
       method: 'POST',
-      body: JSON.stringify({
+      body: {
         authCode,
         ...notificationData,
-      }),
+      },
     });
   } catch (error) {
     console.error('TEACHER NOTIFICATION SERVICE: Error sending notification:', error);
@@ -207,7 +164,7 @@ export const getTeacherNotificationStatistics = async (params = {}) => {
       Config.API_ENDPOINTS.GET_NOTIFICATION_STATISTICS,
       queryParams
     );
-    return await makeApiRequest(url);
+    return await apiRequest(url);
   } catch (error) {
     console.error('TEACHER NOTIFICATION SERVICE: Error fetching notification statistics:', error);
     throw error;
@@ -4,18 +4,19 @@
  * Supports both real API and mock data for development
  */
 
-import AsyncStorage from '@react-native-async-storage/async-storage';
-import { buildApiUrl, Config } from '../config/env';
+import { secureSessionStorage } from './secureStorage';
+import { Config } from '../config/env';
+import { apiGet, apiPost, apiRequest } from './apiClient';
 
 // Set to false when backend API is ready
 const USE_MOCK_DATA = false; // Set to false when backend API is ready
 
 /**
- * Get user data from AsyncStorage
+ * Get user data from secure session storage
  */
 const getUserData = async () => {
   try {
-    const userData = await AsyncStorage.getItem('userData');
+    const userData = await secureSessionStorage.getItem('userData');
     return userData ? JSON.parse(userData) : null;
   } catch (error) {
     console.error('❌ WORKSPACE: Error getting user data:', error);
@@ -89,37 +90,6 @@ const getUserPermissions = (userType) => {
   return permissions[userType] || permissions.student;
 };
 
-/**
- * Make API request with proper error handling
- */
-const makeApiRequest = async (url, options = {}) => {
-  try {
-    console.log('🔗 WORKSPACE: API Request:', url);
-
-    const response = await fetch(url, {
-      timeout: 30000,
-      ...options,
-      headers: {
-        Accept: 'application/json',
-        'Content-Type': 'application/json',
-        ...options.headers,
-      },
-    });
-
-    if (!response.ok) {
-      throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-    }
-
-    const data = await response.json();
-    console.log('✅ WORKSPACE: API Response received');
-
-    return data;
-  } catch (error) {
-    console.error('❌ WORKSPACE: API Request failed:', error);
-    throw error;
-  }
-};
-
 /**
  * Get workspace structure for user's branch
  * @param {string} studentAuthCode - Optional student authCode for parent access
@@ -143,11 +113,11 @@ export const getWorkspaceStructure = async (studentAuthCode = null) => {
       'for workspace structure'
     );
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.GET_WORKSPACE_STRUCTURE, {
-      authCode: authCode,
-    });
-
-    const response = await makeApiRequest(url);
+    const response = await apiGet(
+      Config.API_ENDPOINTS.GET_WORKSPACE_STRUCTURE,
+      {},
+      { authCode }
+    );
 
     if (response.success) {
       return response.data;
@@ -185,12 +155,11 @@ export const getFolderContents = async (folderId, studentAuthCode = null) => {
       'for folder contents'
     );
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.GET_FOLDER_CONTENTS, {
-      authCode: authCode,
-      folder_id: folderId,
-    });
-
-    const response = await makeApiRequest(url);
+    const response = await apiGet(
+      Config.API_ENDPOINTS.GET_FOLDER_CONTENTS,
+      { folder_id: folderId },
+      { authCode }
+    );
 
     if (response.success) {
       return response.data;
@@ -233,7 +202,6 @@ export const uploadWorkspaceFile = async (
     );
 
     const formData = new FormData();
-    formData.append('auth_code', authCode);
     formData.append('folder_id', folderId || ''); // Convert null to empty string
     formData.append('description', description);
     formData.append('file', {
@@ -244,7 +212,6 @@ export const uploadWorkspaceFile = async (
 
     // Debug logging to see what we're sending
     console.log('📤 WORKSPACE: FormData contents:');
-    console.log('  - auth_code:', authCode);
     console.log('  - folder_id:', folderId || '(root)');
     console.log('  - description:', description);
     console.log('  - file:', {
@@ -266,19 +233,15 @@ export const uploadWorkspaceFile = async (
       }
     }
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.UPLOAD_WORKSPACE_FILE);
-    console.log('📤 WORKSPACE: Upload URL:', url);
-
-    const response = await fetch(url, {
-      method: 'POST',
-      body: formData,
-      // Don't set Content-Type header - let the browser set it with boundary
-    });
-
-    console.log('📤 WORKSPACE: Upload response status:', response.status);
-    console.log('📤 WORKSPACE: Upload response headers:', response.headers);
-
-    const data = await response.json();
+    const data = await apiPost(
+      Config.API_ENDPOINTS.UPLOAD_WORKSPACE_FILE,
+      formData,
+      {
+        authCode,
+        authParam: 'auth_code',
+        timeout: Config.NETWORK.UPLOAD_TIMEOUT,
+      }
+    );
     console.log('📤 WORKSPACE: Upload response data:', data);
 
     if (data.success) {
@@ -329,17 +292,15 @@ export const createWorkspaceFolder = async (
       studentAuthCode ? 'student' : 'user'
     );
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.CREATE_WORKSPACE_FOLDER);
-
-    const response = await makeApiRequest(url, {
-      method: 'POST',
-      body: JSON.stringify({
-        auth_code: authCode,
+    const response = await apiPost(
+      Config.API_ENDPOINTS.CREATE_WORKSPACE_FOLDER,
+      {
         parent_folder_id: parentFolderId,
         folder_name: folderName,
         description: description,
-      }),
-    });
+      },
+      { authCode, authParam: 'auth_code' }
+    );
 
     if (response.success) {
       return response.data;
@@ -367,12 +328,11 @@ export const searchWorkspaceFiles = async (query) => {
       throw new Error('Authentication required');
     }
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.SEARCH_WORKSPACE_FILES, {
-      authCode: userData.authCode,
-      query: query,
-    });
-
-    const response = await makeApiRequest(url);
+    const response = await apiGet(
+      Config.API_ENDPOINTS.SEARCH_WORKSPACE_FILES,
+      { query: query },
+      { authCode: userData.authCode }
+    );
 
     if (response.success) {
       return response.data;
@@ -400,12 +360,11 @@ export const getRecentWorkspaceFiles = async (limit = 20) => {
       throw new Error('Authentication required');
     }
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.GET_RECENT_WORKSPACE_FILES, {
-      authCode: userData.authCode,
-      limit: limit,
-    });
-
-    const response = await makeApiRequest(url);
+    const response = await apiGet(
+      Config.API_ENDPOINTS.GET_RECENT_WORKSPACE_FILES,
+      { limit: limit },
+      { authCode: userData.authCode }
+    );
 
     if (response.success) {
       return response.data;
@@ -433,11 +392,11 @@ export const getWorkspaceStatistics = async () => {
       throw new Error('Authentication required');
     }
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.GET_WORKSPACE_STATISTICS, {
-      authCode: userData.authCode,
-    });
-
-    const response = await makeApiRequest(url);
+    const response = await apiGet(
+      Config.API_ENDPOINTS.GET_WORKSPACE_STATISTICS,
+      {},
+      { authCode: userData.authCode }
+    );
 
     if (response.success) {
       return response.data;
@@ -476,16 +435,18 @@ export const deleteWorkspaceItem = async (
       studentAuthCode ? 'student' : 'user'
     );
 
-    const url = buildApiUrl(Config.API_ENDPOINTS.DELETE_WORKSPACE_ITEM);
-
-    const response = await makeApiRequest(url, {
-      method: 'DELETE',
-      body: JSON.stringify({
-        auth_code: authCode,
-        item_id: itemId,
-        item_type: isFolder ? 'folder' : 'file',
-      }),
-    });
+    // The server reads the auth code from the JSON body on deletes
+    const response = await apiRequest(
+      Config.API_ENDPOINTS.DELETE_WORKSPACE_ITEM,
+      {
+        method: 'DELETE',
+        body: {
+          auth_code: authCode,
+          item_id: itemId,
+          item_type: isFolder ? 'folder' : 'file',
+        },
+      }
+    );
 
     if (response.success) {
       return response.data;
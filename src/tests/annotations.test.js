@@ -0,0 +1,160 @@
+/**
+ * Annotations Tests
+ * Tests the annotation geometry helpers and saving annotated feedback
+ */
+
+import { apiRequest } from '../services/apiClient';
+import { saveSubmissionAnnotation } from '../services/homeworkService';
+import {
+  getAnnotationFileKind,
+  normalizePoint,
+  appendPoint,
+  strokeToPath,
+  getPageItems,
+  summarizeAnnotations,
+} from '../utils/annotations';
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(() => Promise.resolve(null)),
+  setItem: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('expo-file-system/legacy', () => ({}));
+
+jest.mock('../services/apiClient', () => ({
+  apiRequest: jest.fn(() => Promise.resolve({ success: true })),
+}));
+
+jest.mock('../services/authService', () => ({
+  getStoredAuthCode: jest.fn(() => Promise.resolve('teacher-auth')),
+}));
+
+jest.mock('../config/env', () => ({
+  Config: {
+    API_ENDPOINTS: {
+      SAVE_SUBMISSION_ANNOTATION: '/teacher/homework/submission/annotation',
+    },
+  },
+  buildApiUrl: jest.fn((endpoint) => endpoint),
+}));
+
+const ITEMS = [
+  {
+    id: 'a',
+    page: 0,
+    tool: 'pen',
+    color: '#FF3B30',
+    points: [
+      { x: 0.1, y: 0.1 },
+      { x: 0.5, y: 0.2 },
+    ],
+  },
+  {
+    id: 'b',
+    page: 1,
+    tool: 'pin',
+    color: '#007AFF',
+    x: 0.2,
+    y: 0.3,
+    text: 'Source?',
+  },
+  {
+    id: 'c',
+    page: 0,
+    tool: 'pin',
+    color: '#007AFF',
+    x: 0.6,
+    y: 0.6,
+    text: 'Nice',
+  },
+  {
+    id: 'd',
+    page: 0,
+    tool: 'pin',
+    color: '#007AFF',
+    x: 0.7,
+    y: 0.7,
+    text: ' ',
+  },
+];
+
+describe('Annotations', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('recognizes annotatable files', () => {
+    expect(getAnnotationFileKind('https://x.test/essay.PDF?v=2')).toBe('pdf');
+    expect(getAnnotationFileKind('https://x.test/photo.jpeg')).toBe('image');
+    expect(getAnnotationFileKind('https://x.test/notes.docx')).toBeNull();
+    expect(
+      getAnnotationFileKind('https://drive.google.com/file/d/abc/view')
+    ).toBe('unknown');
+    expect(getAnnotationFileKind('')).toBeNull();
+  });
+
+  it('stores points relative to the page and draws them at any size', () => {
+    const size = { width: 200, height: 400 };
+
+    expect(normalizePoint({ x: 50, y: 100 }, size)).toEqual({
+      x: 0.25,
+      y: 0.25,
+    });
+    expect(normalizePoint({ x: -10, y: 500 }, size)).toEqual({ x: 0, y: 1 });
+
+    const points = appendPoint([{ x: 0.25, y: 0.25 }], { x: 0.251, y: 0.25 });
+    expect(points).toHaveLength(1);
+
+    expect(strokeToPath(ITEMS[0].points, size)).toBe(
+      'M 20.0 40.0 L 100.0 80.0'
+    );
+    expect(strokeToPath([{ x: 0.5, y: 0.5 }], size)).toBe(
+      'M 100.0 200.0 L 100.0 200.0'
+    );
+  });
+
+  it('numbers pins per page', () => {
+    const { strokes, pins } = getPageItems(ITEMS, 0);
+
+    expect(strokes.map((item) => item.id)).toEqual(['a']);
+    expect(pins.map((pin) => [pin.id, pin.number])).toEqual([
+      ['c', 1],
+      ['d', 2],
+    ]);
+    expect(summarizeAnnotations({ items: ITEMS })).toEqual({
+      drawings: 1,
+      pins: 3,
+      total: 4,
+    });
+  });
+
+  it('saves annotations as submission feedback without empty pins', async () => {
+    const result = await saveSubmissionAnnotation(7, {
+      file_url: 'https://x.test/essay.pdf',
+      pages: [{ url: 'https://x.test/essay-1.png' }],
+      items: ITEMS,
+    });
+
+    expect(apiRequest).toHaveBeenCalledWith(
+      '/teacher/homework/submission/annotation',
+      {
+        method: 'POST',
+        body: {
+          auth_code: 'teacher-auth',
+          detail_id: 7,
+          annotation: expect.objectContaining({
+            file_url: 'https://x.test/essay.pdf',
+            pages: [
+              { url: 'https://x.test/essay-1.png', width: null, height: null },
+            ],
+          }),
+        },
+      }
+    );
+    expect(result.annotation.items.map((item) => item.id)).toEqual([
+      'a',
+      'b',
+      'c',
+    ]);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * API Client Tests
+ * Tests auth injection, retries, timeouts and typed errors
+ */
+
+import {
+  apiGet,
+  apiPost,
+  addErrorInterceptor,
+  isAuthExpiredResponse,
+  AuthExpiredError,
+  ValidationError,
+  ServerError,
+  TimeoutError,
+} from '../services/apiClient';
+
+const mockStorage = {};
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStorage[key] || null)),
+  setItem: jest.fn((key, value) => {
+    mockStorage[key] = value;
+    return Promise.resolve();
+  }),
+}));
+
+global.fetch = jest.fn();
+
+const mockResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: () => Promise.resolve(JSON.stringify(body)),
+});
+
+describe('API Client', () => {
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((key) => delete mockStorage[key]);
+    mockStorage.userData = JSON.stringify({
+      userType: 'teacher',
+      authCode: 'STORED_AUTH',
+    });
+    fetch.mockReset();
+  });
+
+  it('injects the stored auth code into GET query parameters', async () => {
+    fetch.mockResolvedValueOnce(mockResponse(200, { success: true }));
+
+    const result = await apiGet('/timetable/teacher', { week: 2 });
+
+    expect(result).toEqual({ success: true });
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toContain('week=2');
+    expect(url).toContain('authCode=STORED_AUTH');
+    expect(init.method).toBe('GET');
+  });
+
+  it('adds the auth code to JSON bodies under the requested name', async () => {
+    fetch.mockResolvedValueOnce(mockResponse(200, { success: true }));
+
+    await apiPost(
+      '/staff/pickup/process',
+      { request_id: 7 },
+      {
+        authCode: 'EXPLICIT_AUTH',
+        authParam: 'auth_code',
+      }
+    );
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).not.toContain('auth');
+    expect(JSON.parse(init.body)).toEqual({
+      request_id: 7,
+      auth_code: 'EXPLICIT_AUTH',
+    });
+  });
+
+  it('sends the auth code as a header to endpoints that accept it', async () => {
+    fetch.mockResolvedValueOnce(mockResponse(200, { success: true }));
+
+    await apiGet(
+      '/messaging/search',
+      { query: 'R&D' },
+      { credentialsInHeaders: true }
+    );
+
+    const [url, init] = fetch.mock.calls[0];
+    expect(url).toMatch(/\?query=R%26D$/);
+    expect(init.headers['X-Auth-Code']).toBe('STORED_AUTH');
+  });
+
+  it('fails fast when no auth code is available', async () => {
+    delete mockStorage.userData;
+
+    await expect(apiGet('/timetable/teacher')).rejects.toBeInstanceOf(
+      AuthExpiredError
+    );
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  it('retries idempotent requests after a server error', async () => {
+    fetch
+      .mockResolvedValueOnce(mockResponse(503, { message: 'Unavailable' }))
+      .mockResolvedValueOnce(mockResponse(200, { success: true }));
+
+    const result = await apiGet('/timetable/teacher', {}, { retries: 1 });
+
+    expect(result).toEqual({ success: true });
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('does not retry POST requests', async () => {
+    fetch.mockResolvedValueOnce(mockResponse(500, {}));
+
+    await expect(
+      apiPost('/homework/create', { title: 'Essay' })
+    ).rejects.toBeInstanceOf(ServerError);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('maps HTTP statuses to typed errors', async () => {
+    fetch.mockResolvedValueOnce(mockResponse(401, {}));
+    await expect(apiGet('/profile')).rejects.toBeInstanceOf(AuthExpiredError);
+
+    fetch.mockResolvedValueOnce(
+      mockResponse(422, {
+        message: 'The title field is required.',
+        errors: { title: ['The title field is required.'] },
+      })
+    );
+    const error = await apiPost('/homework/create', {}).catch((e) => e);
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.status).toBe(422);
+    expect(error.errors).toEqual({ title: ['The title field is required.'] });
+  });
+
+  it('detects expired auth codes reported in the response body', async () => {
+    const body = { success: false, message: 'Invalid or expired auth code' };
+    expect(isAuthExpiredResponse(body)).toBe(true);
+    expect(
+      isAuthExpiredResponse({ success: false, message: 'Not found' })
+    ).toBe(false);
+
+    fetch.mockResolvedValueOnce(mockResponse(200, body));
+    await expect(apiGet('/profile')).rejects.toBeInstanceOf(AuthExpiredError);
+  });
+
+  it('turns aborted requests into timeout errors', async () => {
+    fetch.mockImplementation(
+      (url, init) =>
+        new Promise((resolve, reject) => {
+          init.signal.addEventListener('abort', () => {
+            const abortError = new Error('Aborted');
+            abortError.name = 'AbortError';
+            reject(abortError);
+          });
+        })
+    );
+
+    await expect(
+      apiGet('/profile', {}, { timeout: 20, retries: 0 })
+    ).rejects.toBeInstanceOf(TimeoutError);
+  });
+
+  it('lets error interceptors recover a failed request', async () => {
+    fetch.mockResolvedValueOnce(mockResponse(404, {}));
+    const remove = addErrorInterceptor((error) =>
+      error.status === 404 ? { success: true, data: [] } : undefined
+    );
+
+    const result = await apiGet('/homework/list');
+    remove();
+
+    expect(result).toEqual({ success: true, data: [] });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * App Lock Tests
+ * Tests per-account PIN locks, attempt lockout and the auto-lock timeout
+ */
+
+import {
+  getAccountKey,
+  getAccountLock,
+  enableAccountLock,
+  disableAccountLock,
+  removeAccountLocksForUserType,
+  verifyPin,
+  shouldRelock,
+} from '../services/appLockService';
+import { Config } from '../config/env';
+
+const mockStorage = {};
+const mockKeychain = {};
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStorage[key] || null)),
+  setItem: jest.fn((key, value) => {
+    mockStorage[key] = value;
+    return Promise.resolve();
+  }),
+  removeItem: jest.fn((key) => {
+    delete mockStorage[key];
+    return Promise.resolve();
+  }),
+}));
+
+jest.mock('expo-secure-store', () => ({
+  AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY: 'AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY',
+  isAvailableAsync: jest.fn(() => Promise.resolve(true)),
+  getItemAsync: jest.fn((key) => Promise.resolve(mockKeychain[key] || null)),
+  setItemAsync: jest.fn((key, value) => {
+    mockKeychain[key] = value;
+    return Promise.resolve();
+  }),
+  deleteItemAsync: jest.fn((key) => {
+    delete mockKeychain[key];
+    return Promise.resolve();
+  }),
+}));
+
+jest.mock('expo-crypto', () => {
+  const crypto = require('crypto');
+  return {
+    CryptoDigestAlgorithm: { SHA256: 'SHA-256' },
+    digestStringAsync: jest.fn((algorithm, value) =>
+      Promise.resolve(crypto.createHash('sha256').update(value).digest('hex'))
+    ),
+    randomUUID: jest.fn(() => crypto.randomUUID()),
+  };
+});
+
+jest.mock('expo-local-authentication', () => ({
+  AuthenticationType: { FINGERPRINT: 1, FACIAL_RECOGNITION: 2, IRIS: 3 },
+  hasHardwareAsync: jest.fn(() => Promise.resolve(false)),
+  isEnrolledAsync: jest.fn(() => Promise.resolve(false)),
+  supportedAuthenticationTypesAsync: jest.fn(() => Promise.resolve([])),
+  authenticateAsync: jest.fn(() => Promise.resolve({ success: false })),
+}));
+
+const parent = { id: 7, userType: 'parent', name: 'Parent' };
+const teacher = { id: 7, userType: 'teacher', name: 'Teacher' };
+
+describe('App Lock', () => {
+  beforeEach(() => {
+    [mockStorage, mockKeychain].forEach((store) =>
+      Object.keys(store).forEach((key) => delete store[key])
+    );
+  });
+
+  it('locks each account separately', async () => {
+    expect(getAccountKey(parent)).toBe('parent:7');
+    expect(getAccountKey(teacher)).toBe('teacher:7');
+
+    await enableAccountLock(parent, '1234');
+
+    expect(await getAccountLock(parent)).toMatchObject({ enabled: true });
+    expect(await getAccountLock(teacher)).toBeNull();
+    expect(await verifyPin(teacher, '0000')).toEqual({ success: true });
+  });
+
+  it('keeps only a salted hash of the PIN in the keychain', async () => {
+    await enableAccountLock(parent, '1234');
+
+    const stored = JSON.stringify({ ...mockStorage, ...mockKeychain });
+    expect(stored).not.toContain('1234');
+    expect(mockKeychain['session.applock.parent_7']).toBeDefined();
+  });
+
+  it('rejects PINs of the wrong length', async () => {
+    await expect(enableAccountLock(parent, '12')).rejects.toThrow(
+      'Invalid PIN format'
+    );
+  });
+
+  it('checks the PIN and pauses entry after too many attempts', async () => {
+    const { MAX_ATTEMPTS } = Config.APP_LOCK;
+    await enableAccountLock(parent, '1234');
+
+    expect(await verifyPin(parent, '1234')).toEqual({ success: true });
+    expect(await verifyPin(parent, '0000')).toMatchObject({
+      success: false,
+      remainingAttempts: MAX_ATTEMPTS - 1,
+    });
+
+    for (let i = 1; i < MAX_ATTEMPTS - 1; i++) {
+      await verifyPin(parent, '0000');
+    }
+    const lockedOut = await verifyPin(parent, '0000');
+    expect(lockedOut.remainingAttempts).toBe(0);
+    expect(lockedOut.lockedUntil).toBeGreaterThan(Date.now());
+
+    // Even the right PIN is refused until the lockout ends
+    expect((await verifyPin(parent, '1234')).success).toBe(false);
+  });
+
+  it('pauses longer each round and asks to log in again after the last', async () => {
+    const { MAX_ATTEMPTS, LOCKOUT_DURATION, MAX_LOCKOUTS } = Config.APP_LOCK;
+    let now = 1000000;
+    const dateNow = jest.spyOn(Date, 'now').mockImplementation(() => now);
+    await enableAccountLock(parent, '1234');
+
+    const failRound = async () => {
+      let result;
+      for (let i = 0; i < MAX_ATTEMPTS; i++) {
+        result = await verifyPin(parent, '0000');
+      }
+      return result;
+    };
+
+    for (let round = 1; round < MAX_LOCKOUTS; round++) {
+      const { lockedUntil } = await failRound();
+      expect(lockedUntil - now).toBe(LOCKOUT_DURATION * 2 ** (round - 1));
+      now = lockedUntil;
+    }
+
+    expect(await failRound()).toMatchObject({
+      success: false,
+      signInRequired: true,
+    });
+
+    // The lock stays until the account is logged out, even for the right PIN
+    expect(await getAccountLock(parent)).toMatchObject({
+      signInRequired: true,
+    });
+    expect(await verifyPin(parent, '1234')).toMatchObject({
+      success: false,
+      signInRequired: true,
+    });
+    dateNow.mockRestore();
+  });
+
+  it('removes locks on logout of a user type', async () => {
+    await enableAccountLock(parent, '1234');
+    await enableAccountLock(teacher, '5678');
+
+    await removeAccountLocksForUserType('parent');
+
+    expect(await getAccountLock(parent)).toBeNull();
+    expect(await getAccountLock(teacher)).not.toBeNull();
+    expect(mockKeychain['session.applock.parent_7']).toBeUndefined();
+
+    await disableAccountLock(teacher);
+    expect(await getAccountLock(teacher)).toBeNull();
+  });
+
+  it('locks again only once the timeout has passed', () => {
+    const backgroundAt = 1000;
+
+    expect(shouldRelock(backgroundAt, 60000, backgroundAt + 59999)).toBe(false);
+    expect(shouldRelock(backgroundAt, 60000, backgroundAt + 60000)).toBe(true);
+    expect(shouldRelock(backgroundAt, 0, backgroundAt)).toBe(true);
+    expect(shouldRelock(null, 0, backgroundAt)).toBe(false);
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Attendance Sync Tests
+ * Tests the offline attendance queue and conflict merging
+ */
+
+import {
+  ATTENDANCE_SYNC_STATUS,
+  mergeAttendanceStatuses,
+  submitClassAttendance,
+  processAttendanceQueue,
+  getClassAttendanceSyncEntry,
+  clearAttendanceSyncQueue,
+} from '../services/attendanceSyncService';
+
+const mockStorage = {};
+let mockOnline = true;
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStorage[key] || null)),
+  setItem: jest.fn((key, value) => {
+    mockStorage[key] = value;
+    return Promise.resolve();
+  }),
+}));
+
+jest.mock('@react-native-community/netinfo', () => ({
+  fetch: jest.fn(() =>
+    Promise.resolve({
+      isConnected: mockOnline,
+      isInternetReachable: mockOnline,
+    })
+  ),
+  addEventListener: jest.fn(() => jest.fn()),
+}));
+
+global.fetch = jest.fn();
+
+describe('Attendance Sync', () => {
+  const submission = {
+    authCode: 'TEST_TEACHER_AUTH',
+    timetableId: 501,
+    baseline: { 1: 'present', 2: 'present', 3: 'present' },
+    statuses: { 1: 'absent', 2: 'present', 3: 'late' },
+  };
+
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((key) => delete mockStorage[key]);
+    fetch.mockReset();
+    mockOnline = true;
+  });
+
+  describe('mergeAttendanceStatuses', () => {
+    it('keeps local marks and takes untouched students from the server', () => {
+      const { statuses, conflicts } = mergeAttendanceStatuses(
+        submission.baseline,
+        submission.statuses,
+        { 1: 'late', 2: 'absent', 3: 'present' }
+      );
+
+      expect(statuses).toEqual({ 1: 'absent', 2: 'absent', 3: 'late' });
+      expect(conflicts).toEqual([
+        { studentId: '1', local: 'absent', server: 'late' },
+      ]);
+    });
+
+    it('uses local marks when the server has no attendance yet', () => {
+      const { statuses, conflicts } = mergeAttendanceStatuses(
+        submission.baseline,
+        submission.statuses,
+        {}
+      );
+
+      expect(statuses).toEqual(submission.statuses);
+      expect(conflicts).toHaveLength(0);
+    });
+  });
+
+  describe('queue', () => {
+    it('queues attendance while offline without calling the API', async () => {
+      mockOnline = false;
+
+      const entry = await submitClassAttendance(submission);
+
+      expect(entry.status).toBe(ATTENDANCE_SYNC_STATUS.PENDING);
+      expect(fetch).not.toHaveBeenCalled();
+
+      const stored = await getClassAttendanceSyncEntry(501);
+      expect(stored.statuses).toEqual(submission.statuses);
+    });
+
+    it('keeps the roll pending when the request fails on the network', async () => {
+      fetch.mockRejectedValueOnce(new TypeError('Network request failed'));
+
+      const entry = await submitClassAttendance(submission);
+
+      expect(entry.status).toBe(ATTENDANCE_SYNC_STATUS.PENDING);
+      expect(entry.attempts).toBe(1);
+    });
+
+    it('replays queued attendance merged with the server roll', async () => {
+      mockOnline = false;
+      await submitClassAttendance(submission);
+      mockOnline = true;
+
+      fetch
+        .mockResolvedValueOnce({
+          ok: true,
+          json: async () => ({
+            success: true,
+            students: [
+              { student_id: 1, attendance_status: 'present' },
+              { student_id: 2, attendance_status: 'absent' },
+              { student_id: 3, attendance_status: 'present' },
+            ],
+          }),
+        })
+        .mockResolvedValueOnce({
+          status: 200,
+          text: async () => JSON.stringify({ success: true }),
+        });
+
+      const summary = await processAttendanceQueue();
+
+      expect(summary.synced).toBe(1);
+      const body = JSON.parse(fetch.mock.calls[1][1].body);
+      expect(body.attendance).toBe('1|absent|/2|absent|/3|late|');
+
+      const stored = await getClassAttendanceSyncEntry(501);
+      expect(stored.status).toBe(ATTENDANCE_SYNC_STATUS.SYNCED);
+    });
+
+    it('drops the queued attendance of a teacher who logs out', async () => {
+      mockOnline = false;
+      await submitClassAttendance(submission);
+      await submitClassAttendance({
+        ...submission,
+        authCode: 'OTHER_TEACHER_AUTH',
+        timetableId: 502,
+      });
+
+      await clearAttendanceSyncQueue('TEST_TEACHER_AUTH');
+
+      expect(await getClassAttendanceSyncEntry(501)).toBeNull();
+      expect(await getClassAttendanceSyncEntry(502)).not.toBeNull();
+    });
+
+    it('marks a rejected submission as failed', async () => {
+      fetch.mockResolvedValueOnce({
+        status: 200,
+        text: async () =>
+          JSON.stringify({ success: false, message: 'Class is locked' }),
+      });
+
+      const entry = await submitClassAttendance(submission);
+
+      expect(entry.status).toBe(ATTENDANCE_SYNC_STATUS.FAILED);
+      expect(entry.lastError).toBe('Class is locked');
+    });
+  });
+});
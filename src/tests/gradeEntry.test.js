@@ -0,0 +1,132 @@
+/**
+ * Grade Entry Tests
+ * Tests CSV parsing, import matching and the bulk grade payload
+ */
+
+import {
+  parseCsv,
+  validateGradeValue,
+  buildGradeImport,
+  buildBulkGrades,
+  getGradeColumns,
+} from '../utils/gradeEntry';
+
+const students = [
+  { student_id: 101, student_name: 'John Smith' },
+  { student_id: 102, student_name: 'Mary Jones' },
+  { student_id: 103, student_name: 'Ann Lee' },
+  { student_id: 104, student_name: 'Ann Lee' },
+];
+
+const currentValues = {
+  101: { score: '15', comment: '' },
+  102: { score: '', comment: '' },
+  103: { score: '', comment: '' },
+  104: { score: '', comment: '' },
+};
+
+describe('Grade Entry', () => {
+  it('parses quoted fields, semicolons, CRLF and a byte order mark', () => {
+    expect(parseCsv('\uFEFFname;score\r\n"Smith; John";12\r\n\r\n')).toEqual([
+      ['name', 'score'],
+      ['Smith; John', '12'],
+    ]);
+    expect(parseCsv('id,comment\n1,"Said ""great"" work"')).toEqual([
+      ['id', 'comment'],
+      ['1', 'Said "great" work'],
+    ]);
+  });
+
+  it('validates scores against the assessment max score', () => {
+    const [score] = getGradeColumns('summative');
+    const [ee] = getGradeColumns('formative');
+
+    expect(validateGradeValue('', score, 20)).toBe(null);
+    expect(validateGradeValue('18.5', score, 20)).toBe(null);
+    expect(validateGradeValue('21', score, 20)).toBe('scoreAboveMax');
+    expect(validateGradeValue('abc', score, 20)).toBe('invalidScore');
+    expect(validateGradeValue('101', ee)).toBe('scoreAboveMax');
+  });
+
+  it('matches rows by ID first, then by name', () => {
+    const csv = [
+      'Student ID,Student Name,Score,Comment',
+      '101,,15,Good',
+      ',"Jones, Mary",18,',
+      ',Ann Lee,10,',
+      '999,Nobody,12,',
+    ].join('\n');
+
+    const preview = buildGradeImport(csv, {
+      students,
+      currentValues,
+      type: 'summative',
+      maxScore: 20,
+    });
+
+    expect(preview.error).toBe(null);
+    expect(preview.changes).toEqual([
+      {
+        studentId: 101,
+        studentName: 'John Smith',
+        key: 'comment',
+        from: '',
+        to: 'Good',
+        error: null,
+      },
+      {
+        studentId: 102,
+        studentName: 'Mary Jones',
+        key: 'score',
+        from: '',
+        to: '18',
+        error: null,
+      },
+    ]);
+    expect(preview.values).toEqual({
+      101: { comment: 'Good' },
+      102: { score: '18' },
+    });
+    // Ann Lee is ambiguous without an ID
+    expect(preview.unmatched.map((row) => row.line)).toEqual([4, 5]);
+  });
+
+  it('flags invalid imported values and rejects files without grade columns', () => {
+    const preview = buildGradeImport('id,score\n102,25', {
+      students,
+      currentValues,
+      type: 'summative',
+      maxScore: 20,
+    });
+    expect(preview.changes[0].error).toBe('scoreAboveMax');
+
+    expect(
+      buildGradeImport('id,notes\n101,x', { students, type: 'summative' }).error
+    ).toBe('csvMissingColumns');
+    expect(buildGradeImport('id,score', { students }).error).toBe('csvNoRows');
+  });
+
+  it('builds the bulk payload from changed rows with a grade', () => {
+    const original = {
+      101: { t1: '80', t2: '', t3: '', t4: '', comment: '' },
+      102: { t1: '', t2: '', t3: '', t4: '', comment: '' },
+      103: { t1: '', t2: '', t3: '', t4: '', comment: '' },
+    };
+    const values = {
+      101: { ...original[101], t2: '60' },
+      102: { ...original[102], comment: 'Absent' },
+      103: { ...original[103] },
+    };
+
+    expect(buildBulkGrades(values, original, 'formative')).toEqual([
+      {
+        student_id: 101,
+        t1: 80,
+        t2: 60,
+        t3: null,
+        t4: null,
+        comment: '',
+      },
+    ]);
+  });
+});
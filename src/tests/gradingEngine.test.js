@@ -0,0 +1,156 @@
+/**
+ * Grading Engine Tests
+ * Tests weighted categories, dropped-lowest rules, grade scales and what-if projections
+ */
+
+import {
+  getAssessmentPercentage,
+  getGradingScheme,
+  convertToScale,
+  calculateSubjectGrade,
+  calculateFormativeSummary,
+  calculateWhatIf,
+} from '../utils/gradingEngine';
+import { calculateSubjectAverage } from '../services/studentAssessmentService';
+
+const assessment = (id, type, weight, raw, max = 100) => ({
+  assessment_id: id,
+  subject_name: 'Mathematics',
+  type_title: type,
+  type_percentage: weight,
+  raw_score: raw,
+  max_score: max,
+  is_graded: raw === null ? 0 : 1,
+});
+
+describe('Grading Engine', () => {
+  it('uses raw score over max score instead of guessing at calculated_grade', () => {
+    expect(
+      getAssessmentPercentage({
+        raw_score: 9,
+        max_score: 10,
+        calculated_grade: 9,
+        is_graded: 1,
+      })
+    ).toBe(90);
+    expect(
+      getAssessmentPercentage({ score_percentage: '87.5', is_graded: 1 })
+    ).toBe(87.5);
+    expect(getAssessmentPercentage({ raw_score: null, is_graded: 0 })).toBe(
+      null
+    );
+  });
+
+  it('weights categories and rescales over the graded ones', () => {
+    // Assignments average 70 at 10%, quizzes 100 at 40%
+    const grade = calculateSubjectGrade([
+      assessment(1, 'Assignment', 10, 90),
+      assessment(2, 'Assignment', 10, 50),
+      assessment(3, 'Quiz', 40, 100),
+      assessment(4, 'Quiz', 40, 100),
+    ]);
+
+    expect(grade.rounded).toBe(94);
+    expect(grade.method).toBe('partial');
+    expect(grade.label).toBe('A*');
+  });
+
+  it('falls back to a simple average without weights', () => {
+    const grade = calculateSubjectGrade([
+      assessment(1, 'Test', null, 80),
+      assessment(2, 'Quiz', null, 60),
+      { assessment_id: 3, tt1: 4, tt2: 4, tt3: 4, tt4: 4 },
+    ]);
+
+    expect(grade.rounded).toBe(70);
+    expect(grade.method).toBe('simple');
+  });
+
+  it('drops the lowest scores of a category but keeps at least one', () => {
+    const assessments = [
+      assessment(1, 'Quiz', 50, 40),
+      assessment(2, 'Quiz', 50, 80),
+      assessment(3, 'Exam', 50, 60),
+    ];
+    const scheme = getGradingScheme(assessments, {
+      dropLowest: { Quiz: 1, Exam: 1 },
+    });
+    const grade = calculateSubjectGrade(assessments, scheme);
+
+    expect(grade.rounded).toBe(70);
+    expect(grade.method).toBe('weighted');
+    expect(grade.categories.find((c) => c.name === 'Quiz').dropped).toEqual([
+      1,
+    ]);
+    expect(grade.categories.find((c) => c.name === 'Exam').dropped).toEqual([]);
+  });
+
+  it('takes weights from the template assessment types', () => {
+    const template = {
+      assessment_types: [
+        { title: 'Written Test', percentage: 60 },
+        { title: 'Homework', percentage: 40 },
+      ],
+    };
+    const scheme = getGradingScheme([
+      { type_title: 'Written Test', template_info: template },
+    ]);
+
+    expect(scheme.categories).toEqual({
+      'Written Test': { weight: 60, dropLowest: 0 },
+      Homework: { weight: 40, dropLowest: 0 },
+    });
+  });
+
+  it('converts percentages to letter, IB and percentage scales', () => {
+    expect(convertToScale(85, 'letter')).toBe('A');
+    expect(convertToScale(39.9, 'letter')).toBe('U');
+    expect(convertToScale(72, 'ib')).toBe('6');
+    expect(convertToScale(10, 'ib')).toBe('1');
+    expect(convertToScale(72.4, 'percentage')).toBe('72%');
+    expect(convertToScale(null, 'letter')).toBe('N/A');
+  });
+
+  it('summarises formative ratings separately', () => {
+    const summary = calculateFormativeSummary([
+      { assessment_id: 1, tt1: 3, tt2: 4, tt3: 3, tt4: 4 },
+      { assessment_id: 2, tt1: 4, tt2: 2, tt3: null, tt4: 4 },
+      assessment(3, 'Test', 100, 50),
+    ]);
+
+    expect(summary.graded).toBe(2);
+    expect(summary.criteria).toEqual({ tt1: 3.5, tt2: 3, tt3: 3, tt4: 4 });
+    expect(summary.average).toBeCloseTo(24 / 7);
+  });
+
+  it('projects the average for hypothetical and ungraded scores', () => {
+    const assessments = [
+      assessment(1, 'Test', 60, 70),
+      assessment(2, 'Homework', 40, 90),
+      assessment(3, 'Test', 60, null),
+    ];
+
+    const { current, projected, difference } = calculateWhatIf(assessments, [
+      { assessment_id: 3, score: 90 },
+      { category: 'Homework', score: 35, max_score: 50 },
+    ]);
+
+    // Tests (70 + 90) / 2 = 80 at 60%, homework (90 + 70) / 2 = 80 at 40%
+    expect(current.rounded).toBe(78);
+    expect(projected.rounded).toBe(80);
+    expect(difference).toBeCloseTo(2);
+    expect(assessments[2].raw_score).toBe(null);
+  });
+
+  it('keeps calculateSubjectAverage returning a rounded percentage', () => {
+    expect(
+      calculateSubjectAverage([
+        { ...assessment(1, 'Test', 50, 81), grading_type: 'points' },
+        { ...assessment(2, 'Quiz', 50, 90), grading_type: 'points' },
+        { assessment_id: 3, grading_type: 'text', tt1: 2 },
+      ])
+    ).toBe(86);
+    expect(calculateSubjectAverage([])).toBe(null);
+    expect(calculateSubjectAverage(null)).toBe(null);
+  });
+});
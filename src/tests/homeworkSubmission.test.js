@@ -0,0 +1,200 @@
+/**
+ * Homework Submission Tests
+ * Tests submission drafts and chunked, resumable file uploads
+ */
+
+import * as FileSystem from 'expo-file-system/legacy';
+import { apiRequest } from '../services/apiClient';
+import {
+  uploadHomeworkFileChunked,
+  canUploadHomeworkInChunks,
+  UploadCancelledError,
+  ChunkedUploadUnsupportedError,
+} from '../services/homeworkService';
+import {
+  getHomeworkDraft,
+  saveHomeworkDraft,
+  clearHomeworkDraft,
+  keepDraftFile,
+} from '../services/homeworkDraftService';
+
+const mockStorage = {};
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStorage[key] || null)),
+  setItem: jest.fn((key, value) => {
+    mockStorage[key] = value;
+    return Promise.resolve();
+  }),
+}));
+
+jest.mock('expo-file-system/legacy', () => ({
+  documentDirectory: 'file:///documents/',
+  EncodingType: { Base64: 'base64' },
+  getInfoAsync: jest.fn(),
+  readAsStringAsync: jest.fn(() => Promise.resolve('Y2h1bms=')),
+  makeDirectoryAsync: jest.fn(() => Promise.resolve()),
+  copyAsync: jest.fn(() => Promise.resolve()),
+  deleteAsync: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../services/apiClient', () => ({
+  apiRequest: jest.fn(),
+}));
+
+jest.mock('../services/authService', () => ({
+  getStoredAuthCode: jest.fn(() => Promise.resolve('student-auth')),
+}));
+
+jest.mock('../config/env', () => ({
+  Config: {
+    API_ENDPOINTS: {
+      HOMEWORK_UPLOAD_START: '/homework/submission/upload/start',
+      HOMEWORK_UPLOAD_CHUNK: '/homework/submission/upload/chunk',
+      HOMEWORK_UPLOAD_STATUS: '/homework/submission/upload/status',
+      HOMEWORK_UPLOAD_COMPLETE: '/homework/submission/upload/complete',
+    },
+    NETWORK: { UPLOAD_TIMEOUT: 60000 },
+    HOMEWORK_SUBMISSION: { UPLOAD_CHUNK_SIZE: 100, DRAFT_SAVE_DELAY: 1000 },
+  },
+  buildApiUrl: jest.fn((endpoint) => endpoint),
+}));
+
+// 250 bytes in 100 byte chunks: 3 chunks
+const FILE = { uri: 'file:///cache/essay.pdf', name: 'essay.pdf', size: 250 };
+
+const mockServer = ({ receivedChunks = [] } = {}) => {
+  apiRequest.mockImplementation((endpoint, options) => {
+    if (endpoint.endsWith('/start')) {
+      return Promise.resolve({ success: true, data: { upload_id: 'up-1' } });
+    }
+    if (endpoint.endsWith('/status')) {
+      return Promise.resolve({
+        success: true,
+        data: { received_chunks: receivedChunks },
+      });
+    }
+    if (endpoint.endsWith('/complete')) {
+      return Promise.resolve({
+        success: true,
+        data: { web_view_link: 'https://drive/essay' },
+      });
+    }
+    return Promise.resolve({ success: true, chunk: options.body.chunk_index });
+  });
+};
+
+const sentChunks = () =>
+  apiRequest.mock.calls
+    .filter(([endpoint]) => endpoint.endsWith('/chunk'))
+    .map(([, options]) => options.body.chunk_index);
+
+describe('Homework Submission', () => {
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((key) => delete mockStorage[key]);
+    jest.clearAllMocks();
+  });
+
+  describe('Chunked upload', () => {
+    it('uploads every chunk and reports progress', async () => {
+      mockServer();
+      const onUploadStarted = jest.fn();
+      const onProgress = jest.fn();
+
+      const result = await uploadHomeworkFileChunked(1, FILE, {
+        onUploadStarted,
+        onProgress,
+      });
+
+      expect(onUploadStarted).toHaveBeenCalledWith('up-1');
+      expect(sentChunks()).toEqual([0, 1, 2]);
+      expect(FileSystem.readAsStringAsync).toHaveBeenLastCalledWith(
+        FILE.uri,
+        expect.objectContaining({ position: 200, length: 50 })
+      );
+      expect(onProgress).toHaveBeenLastCalledWith({
+        uploadedBytes: 250,
+        totalBytes: 250,
+        progress: 1,
+      });
+      expect(result.data.web_view_link).toBe('https://drive/essay');
+    });
+
+    it('resumes an upload with the chunks the server is missing', async () => {
+      mockServer({ receivedChunks: [0, 1] });
+
+      await uploadHomeworkFileChunked(1, FILE, { uploadId: 'up-1' });
+
+      expect(
+        apiRequest.mock.calls.some(([endpoint]) => endpoint.endsWith('/start'))
+      ).toBe(false);
+      expect(sentChunks()).toEqual([2]);
+    });
+
+    it('stops when cancelled', async () => {
+      mockServer();
+      const controller = new AbortController();
+      const onProgress = jest.fn(({ uploadedBytes }) => {
+        if (uploadedBytes >= 100) controller.abort();
+      });
+
+      await expect(
+        uploadHomeworkFileChunked(1, FILE, {
+          onProgress,
+          signal: controller.signal,
+        })
+      ).rejects.toBeInstanceOf(UploadCancelledError);
+      expect(sentChunks()).toEqual([0]);
+    });
+
+    it('falls back to the one-shot upload when the server has no chunked uploads', async () => {
+      const schoolConfig = { features: { chunkedHomeworkUploads: true } };
+      expect(canUploadHomeworkInChunks(schoolConfig)).toBe(true);
+      expect(canUploadHomeworkInChunks({})).toBe(false);
+
+      apiRequest.mockRejectedValue(
+        Object.assign(new Error('Not Found'), { status: 404 })
+      );
+
+      await expect(uploadHomeworkFileChunked(1, FILE)).rejects.toBeInstanceOf(
+        ChunkedUploadUnsupportedError
+      );
+      expect(sentChunks()).toEqual([]);
+      expect(canUploadHomeworkInChunks(schoolConfig)).toBe(false);
+    });
+  });
+
+  describe('Drafts', () => {
+    it('merges changes and removes empty drafts', async () => {
+      await saveHomeworkDraft(7, { text: 'My essay' });
+      await saveHomeworkDraft(7, { upload: { uploadId: 'up-1' } });
+
+      expect(await getHomeworkDraft(7)).toEqual(
+        expect.objectContaining({
+          text: 'My essay',
+          upload: { uploadId: 'up-1' },
+        })
+      );
+
+      await saveHomeworkDraft(7, { text: '  ' });
+      expect(await getHomeworkDraft(7)).toBeNull();
+    });
+
+    it('keeps attached files and deletes them with the draft', async () => {
+      const file = await keepDraftFile(7, FILE);
+      expect(file.uri).toMatch(/^file:\/\/\/documents\/homework-drafts\/7-/);
+      expect(FileSystem.copyAsync).toHaveBeenCalledWith({
+        from: FILE.uri,
+        to: file.uri,
+      });
+
+      await saveHomeworkDraft(7, { file });
+      await clearHomeworkDraft(7);
+
+      expect(FileSystem.deleteAsync).toHaveBeenCalledWith(file.uri, {
+        idempotent: true,
+      });
+      expect(await getHomeworkDraft(7)).toBeNull();
+    });
+  });
+});
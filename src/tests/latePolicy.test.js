@@ -0,0 +1,253 @@
+/**
+ * Late Policy Tests
+ * Tests late submission policies and homework deadline reminders
+ */
+
+import * as Notifications from 'expo-notifications';
+import {
+  LATE_POLICY_TYPES,
+  getLateness,
+  getSubmissionLateness,
+  validateLatePolicy,
+  formatLateness,
+} from '../utils/latePolicy';
+import {
+  getReminderTimes,
+  syncHomeworkReminders,
+  cancelHomeworkReminders,
+  clearHomeworkReminders,
+} from '../services/homeworkReminderService';
+
+const mockStorage = {};
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStorage[key] || null)),
+  setItem: jest.fn((key, value) => {
+    mockStorage[key] = value;
+    return Promise.resolve();
+  }),
+}));
+
+let mockNotificationId = 0;
+jest.mock('expo-notifications', () => ({
+  SchedulableTriggerInputTypes: { DATE: 'date' },
+  scheduleNotificationAsync: jest.fn(() =>
+    Promise.resolve(`reminder-${++mockNotificationId}`)
+  ),
+  cancelScheduledNotificationAsync: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('react-native', () => ({ Platform: { OS: 'ios' } }));
+
+jest.mock('../config/env', () => ({
+  Config: {
+    HOMEWORK_REMINDERS: {
+      DEFAULT_OFFSETS_HOURS: [24, 1],
+      OFFSET_CHOICES_HOURS: [48, 24, 3, 1],
+    },
+  },
+}));
+
+// Date-only deadlines end at 23:59:59 local time
+const DEADLINE = '2025-03-10';
+const at = (day, hour = 12) => new Date(2025, 2, day, hour, 0, 0);
+
+describe('Late Policy', () => {
+  describe('Lateness', () => {
+    it('treats work before the deadline and in the grace period as on time', () => {
+      expect(
+        getLateness({ deadline: DEADLINE, submittedAt: at(10, 23) }).isLate
+      ).toBe(false);
+
+      const grace = getLateness({
+        deadline: DEADLINE,
+        policy: { type: LATE_POLICY_TYPES.REJECT, grace_hours: 12 },
+        submittedAt: at(11, 8),
+      });
+      expect(grace).toEqual(
+        expect.objectContaining({ status: 'grace', accepted: true })
+      );
+    });
+
+    it('applies a capped penalty per late day', () => {
+      const policy = {
+        type: LATE_POLICY_TYPES.PENALTY,
+        penalty_per_day: 10,
+        max_penalty: 25,
+      };
+
+      expect(
+        getLateness({ deadline: DEADLINE, policy, submittedAt: at(12) })
+      ).toEqual(
+        expect.objectContaining({
+          status: 'late',
+          daysLate: 2,
+          penaltyPercent: 20,
+        })
+      );
+      expect(
+        getLateness({ deadline: DEADLINE, policy, submittedAt: at(20) })
+          .penaltyPercent
+      ).toBe(25);
+    });
+
+    it('closes submissions after the accept-until date or when rejected', () => {
+      const acceptUntil = {
+        type: LATE_POLICY_TYPES.ACCEPT_UNTIL,
+        accept_until: '2025-03-12',
+      };
+
+      expect(
+        getLateness({
+          deadline: DEADLINE,
+          policy: acceptUntil,
+          submittedAt: at(12),
+        }).accepted
+      ).toBe(true);
+      expect(
+        getLateness({
+          deadline: DEADLINE,
+          policy: acceptUntil,
+          submittedAt: at(13),
+        }).status
+      ).toBe('closed');
+      expect(
+        getLateness({
+          deadline: DEADLINE,
+          policy: { type: LATE_POLICY_TYPES.REJECT },
+          submittedAt: at(11),
+        }).accepted
+      ).toBe(false);
+    });
+
+    it('flags submissions that are missing after the deadline', () => {
+      const homework = { deadline: DEADLINE };
+
+      expect(
+        getSubmissionLateness({ is_completed: 0 }, homework, at(9)).isLate
+      ).toBe(false);
+
+      const missing = getSubmissionLateness(
+        { is_completed: 0 },
+        homework,
+        at(13)
+      );
+      expect(formatLateness(missing)).toBe('Late · 3 day(s)');
+    });
+
+    it('validates policies against the deadline', () => {
+      expect(
+        validateLatePolicy(
+          { type: LATE_POLICY_TYPES.ACCEPT_UNTIL, accept_until: '2025-03-09' },
+          DEADLINE
+        )
+      ).toHaveLength(1);
+      expect(
+        validateLatePolicy(
+          { type: LATE_POLICY_TYPES.PENALTY, penalty_per_day: 0 },
+          DEADLINE
+        )
+      ).toHaveLength(1);
+      expect(
+        validateLatePolicy({ type: LATE_POLICY_TYPES.REJECT }, DEADLINE)
+      ).toEqual([]);
+    });
+  });
+
+  describe('Deadline reminders', () => {
+    beforeEach(() => {
+      Object.keys(mockStorage).forEach((key) => delete mockStorage[key]);
+      jest.clearAllMocks();
+    });
+
+    it('only schedules reminders that are still ahead', () => {
+      const times = getReminderTimes(DEADLINE, [48, 1], at(9, 12));
+      expect(times.map(({ offset }) => offset)).toEqual([1]);
+    });
+
+    it('schedules open homework once and cancels handed-in homework', async () => {
+      const assignments = [
+        { detail_id: 1, title: 'Essay', deadline: DEADLINE },
+        { detail_id: 2, title: 'Quiz', deadline: DEADLINE, is_completed: 1 },
+      ];
+
+      expect(await syncHomeworkReminders(assignments, 'student-a', at(5))).toBe(
+        2
+      );
+      expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledWith(
+        expect.objectContaining({
+          content: expect.objectContaining({
+            body: 'Essay is due in 1 day',
+            data: { type: 'homework_reminder', detail_id: 1 },
+          }),
+        })
+      );
+
+      // Unchanged deadline: nothing is rescheduled
+      expect(await syncHomeworkReminders(assignments, 'student-a', at(5))).toBe(
+        0
+      );
+
+      await syncHomeworkReminders(
+        [{ ...assignments[0], is_completed: 1 }],
+        'student-a',
+        at(6)
+      );
+      expect(
+        Notifications.cancelScheduledNotificationAsync
+      ).toHaveBeenCalledTimes(2);
+    });
+
+    it('cancels the reminders of one assignment', async () => {
+      await syncHomeworkReminders(
+        [{ detail_id: 3, title: 'Lab', deadline: DEADLINE }],
+        'student-a',
+        at(5)
+      );
+      await cancelHomeworkReminders(3, 'student-a');
+
+      expect(
+        Notifications.cancelScheduledNotificationAsync
+      ).toHaveBeenCalledTimes(2);
+      expect(JSON.parse(mockStorage.homeworkReminders)).toEqual({});
+    });
+
+    it('keeps the reminders of each student separate', async () => {
+      const essay = { detail_id: 1, title: 'Essay', deadline: DEADLINE };
+      await syncHomeworkReminders([essay], 'student-a', at(5));
+      await syncHomeworkReminders([essay], 'student-b', at(5));
+
+      // Student B's list no longer has the essay; student A's stays
+      await syncHomeworkReminders([], 'student-b', at(5));
+      expect(
+        Notifications.cancelScheduledNotificationAsync
+      ).toHaveBeenCalledTimes(2);
+      expect(
+        Object.keys(JSON.parse(mockStorage.homeworkReminders))
+      ).toHaveLength(1);
+
+      // Logging student A out cancels theirs
+      await clearHomeworkReminders('student-a');
+      expect(
+        Notifications.cancelScheduledNotificationAsync
+      ).toHaveBeenCalledTimes(4);
+      expect(JSON.parse(mockStorage.homeworkReminders)).toEqual({});
+    });
+
+    it('schedules nothing when homework notifications are off', async () => {
+      mockStorage.notificationSettings = JSON.stringify({
+        enabled: true,
+        categories: { homework: false },
+      });
+
+      expect(
+        await syncHomeworkReminders(
+          [{ detail_id: 1, deadline: DEADLINE }],
+          'student-a',
+          at(5)
+        )
+      ).toBe(0);
+      expect(Notifications.scheduleNotificationAsync).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Message Delivery Tests
+ * Tests delivery states and per-member read receipts
+ */
+
+import {
+  DELIVERY_STATES,
+  addReceipt,
+  getDeliveryState,
+  flattenMembers,
+  getMessageReceipts,
+} from '../utils/messageDelivery';
+
+describe('Message delivery', () => {
+  const sender = { id: 3, name: 'Ms. Lin' };
+
+  it('moves from sending to sent, delivered and read', () => {
+    const message = { message_id: 1, sender };
+
+    expect(getDeliveryState({ ...message, is_pending: true })).toBe(
+      DELIVERY_STATES.SENDING
+    );
+    expect(getDeliveryState({ ...message, read_by: [3] })).toBe(
+      DELIVERY_STATES.SENT
+    );
+    expect(
+      getDeliveryState({ ...message, delivered_to: addReceipt([], '7') })
+    ).toBe(DELIVERY_STATES.DELIVERED);
+    expect(
+      getDeliveryState({
+        ...message,
+        delivered_to: [7],
+        read_by: [{ user_id: 7, read_at: '2025-01-01T10:00:00Z' }],
+      })
+    ).toBe(DELIVERY_STATES.READ);
+    // Older responses without read_by
+    expect(getDeliveryState({ ...message, is_read: true })).toBe(
+      DELIVERY_STATES.READ
+    );
+  });
+
+  it('lists who has read, received or not received a message', () => {
+    const members = flattenMembers([
+      { type: 'staff', members: [sender, { id: 4, name: 'Mr. Tan' }] },
+      { type: 'parents', users: [{ id: 7, name: 'Mr. Chan' }] },
+      { id: 8, name: 'Ms. Wong' },
+      { id: 4, name: 'Mr. Tan' },
+    ]);
+    expect(members.map((member) => member.id)).toEqual([3, 4, 7, 8]);
+    expect(
+      flattenMembers({ staff: [sender], students: [{ id: 9 }] })
+    ).toHaveLength(2);
+
+    const receipts = getMessageReceipts(
+      {
+        sender,
+        delivered_to: [4, 7],
+        read_by: [{ user_id: 7, read_at: '2025-01-01T10:00:00Z' }],
+      },
+      members
+    );
+
+    expect(receipts.read).toEqual([
+      { member: members[2], at: '2025-01-01T10:00:00Z' },
+    ]);
+    expect(receipts.delivered).toEqual([{ member: members[1], at: null }]);
+    expect(receipts.pending).toEqual([members[3]]);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Message Interactions Tests
+ * Tests replies, reactions and forwarding
+ */
+
+import { apiRequest } from '../services/apiClient';
+import { sendMessage, forwardMessage } from '../services/messagingService';
+import {
+  createReplyPreview,
+  toggleReaction,
+  summarizeReactions,
+} from '../utils/messageInteractions';
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(() => Promise.resolve(null)),
+  setItem: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../services/secureStorage', () => ({
+  secureSessionStorage: { getItem: jest.fn(() => Promise.resolve(null)) },
+}));
+
+jest.mock('../services/messagingTransport', () => ({
+  createMessagingTransport: jest.fn(() => ({})),
+  TRANSPORT_EVENTS: {},
+  TRANSPORT_MODES: {},
+}));
+
+jest.mock('../services/apiClient', () => ({
+  apiRequest: jest.fn(() => Promise.resolve({ success: true, data: {} })),
+}));
+
+jest.mock('../services/authService', () => ({
+  getStoredAuthCode: jest.fn(() => Promise.resolve('teacher-auth')),
+}));
+
+jest.mock('../config/env', () => ({
+  Config: {
+    API_ENDPOINTS: {
+      SEND_MESSAGE: '/messaging/send-message',
+      FORWARD_MESSAGE: '/messaging/message/forward',
+    },
+  },
+  buildApiUrl: jest.fn((endpoint) => endpoint),
+}));
+
+describe('Message interactions', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('quotes a short plain-text copy of the replied message', () => {
+    const preview = createReplyPreview({
+      message_id: 5,
+      content: `<p>${'Homework is due on Friday. '.repeat(6)}</p>`,
+      sender: { id: 3, name: 'Ms. Lin', photo: 'x.png' },
+    });
+
+    expect(preview.message_id).toBe(5);
+    expect(preview.sender).toEqual({ id: 3, name: 'Ms. Lin' });
+    expect(preview.content).not.toContain('<p>');
+    expect(preview.content.endsWith('…')).toBe(true);
+    expect(preview.content.length).toBeLessThanOrEqual(101);
+  });
+
+  it('toggles reactions and counts them per emoji', () => {
+    const parent = { id: 7, name: 'Mr. Chan' };
+    const teacher = { id: '3', name: 'Ms. Lin' };
+
+    let reactions = toggleReaction([], '👍', parent);
+    reactions = toggleReaction(reactions, '👍', teacher);
+    reactions = toggleReaction(reactions, '❤️', parent);
+
+    expect(summarizeReactions(reactions, 3)).toEqual([
+      {
+        emoji: '👍',
+        count: 2,
+        userNames: ['Mr. Chan', 'Ms. Lin'],
+        reactedByMe: true,
+      },
+      { emoji: '❤️', count: 1, userNames: ['Mr. Chan'], reactedByMe: false },
+    ]);
+
+    reactions = toggleReaction(reactions, '👍', parent);
+    expect(summarizeReactions(reactions)[0].count).toBe(1);
+  });
+
+  it('sends replies and forwards through the API', async () => {
+    await sendMessage('conv-1', 'Yes, Friday', 'text', null, null, {
+      replyToMessageId: 5,
+    });
+    expect(apiRequest).toHaveBeenLastCalledWith('/messaging/send-message', {
+      method: 'POST',
+      body: expect.objectContaining({
+        authCode: 'teacher-auth',
+        conversation_uuid: 'conv-1',
+        reply_to_message_id: 5,
+      }),
+    });
+
+    await forwardMessage(5, ['conv-2', 'conv-3']);
+    expect(apiRequest).toHaveBeenLastCalledWith('/messaging/message/forward', {
+      method: 'POST',
+      body: {
+        authCode: 'teacher-auth',
+        message_id: 5,
+        conversation_uuids: ['conv-2', 'conv-3'],
+      },
+    });
+
+    await expect(forwardMessage(5, [])).rejects.toThrow(
+      'Choose at least one conversation'
+    );
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * Message Outbox Tests
+ * Tests queueing, retrying and persisting unsent messages
+ */
+
+import MessageOutbox, {
+  OUTBOX_STATUS,
+  toPendingMessage,
+} from '../services/messageOutbox';
+
+const mockStorage = {};
+const mockKeychain = {};
+let mockOnline = true;
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStorage[key] || null)),
+  setItem: jest.fn((key, value) => {
+    mockStorage[key] = value;
+    return Promise.resolve();
+  }),
+}));
+
+jest.mock('expo-secure-store', () => ({
+  isAvailableAsync: jest.fn(() => Promise.resolve(true)),
+  getItemAsync: jest.fn((key) => Promise.resolve(mockKeychain[key] || null)),
+  setItemAsync: jest.fn((key, value) => {
+    mockKeychain[key] = value;
+    return Promise.resolve();
+  }),
+  deleteItemAsync: jest.fn((key) => {
+    delete mockKeychain[key];
+    return Promise.resolve();
+  }),
+}));
+
+jest.mock('@react-native-community/netinfo', () => ({
+  fetch: jest.fn(() =>
+    Promise.resolve({
+      isConnected: mockOnline,
+      isInternetReachable: mockOnline,
+    })
+  ),
+  addEventListener: jest.fn(() => jest.fn()),
+}));
+
+jest.mock('../services/apiClient', () => ({
+  ValidationError: class ValidationError extends Error {},
+  AuthExpiredError: class AuthExpiredError extends Error {},
+}));
+
+describe('Message Outbox', () => {
+  const message = {
+    conversationUuid: 'conv-1',
+    authCode: 'TEST_PARENT_AUTH',
+    content: 'Running late today',
+    replyToMessageId: 5,
+    display: { sender: { name: 'Mr. Chan' } },
+  };
+  let outboxes = [];
+
+  const createOutbox = (options) => {
+    const outbox = new MessageOutbox({
+      retryBaseDelay: 60000,
+      ...options,
+    });
+    outboxes.push(outbox);
+    return outbox;
+  };
+
+  beforeEach(() => {
+    [mockStorage, mockKeychain].forEach((store) =>
+      Object.keys(store).forEach((key) => delete store[key])
+    );
+    mockOnline = true;
+  });
+
+  afterEach(() => {
+    outboxes.forEach((outbox) => outbox.stop());
+    outboxes = [];
+  });
+
+  it('keeps messages written offline and sends them after a restart', async () => {
+    mockOnline = false;
+    const sendMessage = jest.fn(async () => ({
+      success: true,
+      data: { message_id: 42 },
+    }));
+    const listener = jest.fn();
+
+    const outbox = createOutbox({ sendMessage });
+    outbox.subscribe(listener);
+    const entry = await outbox.enqueue(message);
+
+    expect(entry.status).toBe(OUTBOX_STATUS.PENDING);
+    expect(sendMessage).not.toHaveBeenCalled();
+    expect(listener).toHaveBeenCalledWith([
+      expect.objectContaining({ id: entry.id }),
+    ]);
+    expect(toPendingMessage(entry)).toEqual(
+      expect.objectContaining({
+        message_id: entry.id,
+        content: 'Running late today',
+        sender: { name: 'Mr. Chan' },
+        is_pending: true,
+        outbox_status: OUTBOX_STATUS.PENDING,
+      })
+    );
+
+    // The auth code is kept in the keychain, not in AsyncStorage
+    expect(mockStorage.messageOutbox).toContain('Running late today');
+    expect(mockStorage.messageOutbox).not.toContain('TEST_PARENT_AUTH');
+
+    // A new instance reads the same stored outbox
+    mockOnline = true;
+    const restarted = createOutbox({ sendMessage });
+    await expect(restarted.process()).resolves.toEqual({
+      sent: 1,
+      failed: 0,
+      pending: 0,
+    });
+
+    expect(sendMessage).toHaveBeenCalledWith(
+      'conv-1',
+      'Running late today',
+      'text',
+      null,
+      'TEST_PARENT_AUTH',
+      { replyToMessageId: 5, clientMessageId: entry.id }
+    );
+    const [sent] = await restarted.getEntries('conv-1');
+    expect(sent.status).toBe(OUTBOX_STATUS.SENT);
+    expect(sent.response).toEqual({ message_id: 42 });
+  });
+
+  it('retries network failures and fails rejected messages', async () => {
+    const sendMessage = jest.fn(async () => {
+      throw new Error('Network request failed');
+    });
+    const outbox = createOutbox({ sendMessage, maxAttempts: 2 });
+
+    const entry = await outbox.enqueue(message);
+    expect(entry.status).toBe(OUTBOX_STATUS.PENDING);
+    expect(entry.attempts).toBe(1);
+
+    await outbox.process();
+    let [stored] = await outbox.getEntries();
+    expect(stored.status).toBe(OUTBOX_STATUS.FAILED);
+    expect(stored.lastError).toBe('Network request failed');
+
+    // Tap to retry; the server now rejects the message outright
+    sendMessage.mockImplementation(async () => ({
+      success: false,
+      message: 'Conversation is closed',
+    }));
+    await outbox.retry(entry.id);
+    [stored] = await outbox.getEntries();
+    expect(stored.status).toBe(OUTBOX_STATUS.FAILED);
+    expect(stored.attempts).toBe(1);
+    expect(sendMessage).toHaveBeenCalledTimes(3);
+
+    await outbox.discard(entry.id);
+    expect(await outbox.getEntries()).toEqual([]);
+  });
+
+  it('drops the unsent messages of a sender who logs out', async () => {
+    mockOnline = false;
+    const sendMessage = jest.fn();
+    const outbox = createOutbox({ sendMessage });
+
+    await outbox.enqueue(message);
+    const other = await outbox.enqueue({
+      ...message,
+      authCode: 'TEST_TEACHER_AUTH',
+    });
+    await outbox.clear('TEST_PARENT_AUTH');
+
+    // Nothing is left to send under the parent's auth code after a restart
+    mockOnline = true;
+    await createOutbox({ sendMessage }).process();
+    expect(sendMessage).toHaveBeenCalledTimes(1);
+    expect(sendMessage.mock.calls[0][4]).toBe('TEST_TEACHER_AUTH');
+    expect((await outbox.getEntries()).map((entry) => entry.id)).toEqual([
+      other.id,
+    ]);
+  });
+
+  it('uploads an attachment once across retries', async () => {
+    const uploadAttachment = jest.fn(async () => ({
+      success: true,
+      data: { url: 'https://example.com/note.pdf' },
+    }));
+    const sendMessage = jest
+      .fn()
+      .mockRejectedValueOnce(new Error('Network request failed'))
+      .mockResolvedValueOnce({ success: true, data: { message_id: 43 } });
+    const outbox = createOutbox({ sendMessage, uploadAttachment });
+    const attachment = { uri: 'file:///note.pdf', name: 'note.pdf' };
+
+    await outbox.enqueue({ ...message, attachment });
+    await outbox.process();
+
+    expect(uploadAttachment).toHaveBeenCalledTimes(1);
+    expect(uploadAttachment).toHaveBeenCalledWith(
+      attachment,
+      'TEST_PARENT_AUTH'
+    );
+    expect(sendMessage).toHaveBeenLastCalledWith(
+      'conv-1',
+      'Running late today',
+      'text',
+      'https://example.com/note.pdf',
+      'TEST_PARENT_AUTH',
+      expect.any(Object)
+    );
+    const [sent] = await outbox.getEntries();
+    expect(sent.status).toBe(OUTBOX_STATUS.SENT);
+  });
+});
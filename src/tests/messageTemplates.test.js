@@ -0,0 +1,141 @@
+/**
+ * Message Templates Tests
+ * Tests placeholders, per-recipient filling and saving shared templates
+ */
+
+import { apiRequest } from '../services/apiClient';
+import { saveMessageTemplate } from '../services/messagingService';
+import {
+  BUILT_IN_TEMPLATES,
+  fillTemplate,
+  getConversationTemplateValues,
+  getTemplatePlaceholders,
+  hasRecipientPlaceholders,
+  resolveTemplate,
+} from '../utils/messageTemplates';
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(() => Promise.resolve(null)),
+  setItem: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../services/secureStorage', () => ({
+  secureSessionStorage: { getItem: jest.fn(() => Promise.resolve(null)) },
+}));
+
+jest.mock('../services/messagingTransport', () => ({
+  createMessagingTransport: jest.fn(() => ({})),
+  TRANSPORT_EVENTS: {},
+  TRANSPORT_MODES: {},
+}));
+
+jest.mock('../services/apiClient', () => ({
+  apiRequest: jest.fn(() => Promise.resolve({ success: true, data: {} })),
+}));
+
+jest.mock('../services/authService', () => ({
+  getStoredAuthCode: jest.fn(() => Promise.resolve('teacher-auth')),
+}));
+
+jest.mock('../config/env', () => ({
+  Config: {
+    API_ENDPOINTS: {
+      SAVE_MESSAGE_TEMPLATE: '/messaging/templates/save',
+    },
+  },
+  buildApiUrl: jest.fn((endpoint) => endpoint),
+}));
+
+describe('Message templates', () => {
+  const body = 'Dear parent, {student_name} ({class}) was absent on {date}.';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('fills known placeholders and leaves missing ones in place', () => {
+    expect(getTemplatePlaceholders(`${body} {date} {unknown}`)).toEqual([
+      'student_name',
+      'class',
+      'date',
+    ]);
+    expect(hasRecipientPlaceholders('See you on {date}')).toBe(false);
+    expect(hasRecipientPlaceholders(body)).toBe(true);
+
+    expect(
+      fillTemplate(body, { student_name: 'Jane', class: '', date: '3 March' })
+    ).toBe('Dear parent, Jane ({class}) was absent on 3 March.');
+  });
+
+  it('fills a template with each conversation’s own students', () => {
+    const conversations = [
+      {
+        members: [
+          { name: 'Mr. Chan', user_type: 'staff' },
+          { name: 'Jane', user_type: 'student', classroom_name: '5A' },
+        ],
+      },
+      {
+        members: [
+          { name: 'Bob', user_type: 'student', classroom_name: '5B' },
+          { name: 'Amy', user_type: 'student', classroom_name: '5B' },
+        ],
+      },
+    ];
+    const date = new Date(2026, 2, 3);
+
+    const filled = conversations.map((conversation) =>
+      fillTemplate(
+        '{student_name} ({class})',
+        getConversationTemplateValues(conversation, { date })
+      )
+    );
+
+    expect(filled).toEqual(['Jane (5A)', 'Bob, Amy (5B)']);
+    expect(getConversationTemplateValues(conversations[0], { date }).date).toBe(
+      'March 3, 2026'
+    );
+  });
+
+  it('resolves built-in templates in the current language', () => {
+    const t = (key) => `zh:${key}`;
+    const [absence] = BUILT_IN_TEMPLATES;
+
+    expect(resolveTemplate(absence, t)).toEqual(
+      expect.objectContaining({
+        title: 'zh:templateAbsenceTitle',
+        body: 'zh:templateAbsenceBody',
+        is_built_in: true,
+      })
+    );
+
+    const saved = { template_id: 4, title: 'Trip', body: 'Trip on {date}' };
+    expect(resolveTemplate(saved, t)).toBe(saved);
+  });
+
+  it('saves shared templates through the API', async () => {
+    await saveMessageTemplate({
+      title: ' Late homework ',
+      body: '{student_name} has not handed in homework.',
+      category: 'homework',
+      language: 'th',
+      is_shared: true,
+    });
+
+    expect(apiRequest).toHaveBeenLastCalledWith('/messaging/templates/save', {
+      method: 'POST',
+      body: {
+        authCode: 'teacher-auth',
+        title: 'Late homework',
+        body: '{student_name} has not handed in homework.',
+        category: 'homework',
+        language: 'th',
+        is_shared: true,
+      },
+    });
+
+    await expect(
+      saveMessageTemplate({ title: 'Empty', body: ' ' })
+    ).rejects.toThrow('Template title and body are required');
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Messaging Transport Tests
+ * Tests snapshot diffing, the polling fallback and the WebSocket path
+ * against the in-process mock gateway
+ */
+
+const { createMockGateway } = require('../../scripts/mock-messaging-server');
+
+import MessagingTransport, {
+  TRANSPORT_EVENTS,
+  TRANSPORT_MODES,
+  diffMessageSnapshots,
+  getReconnectDelay,
+} from '../services/messagingTransport';
+
+jest.mock('react-native', () => ({
+  AppState: {
+    currentState: 'active',
+    addEventListener: jest.fn(() => ({ remove: jest.fn() })),
+  },
+}));
+
+jest.mock('../config/env', () => ({
+  Config: { REALTIME: { ENABLED: false, MESSAGING_WS_URL: null } },
+}));
+
+describe('Messaging Transport', () => {
+  const message = (id, overrides = {}) => ({
+    message_id: id,
+    content: `Message ${id}`,
+    created_at: `2025-01-01T10:0${id}:00Z`,
+    read_by: [],
+    ...overrides,
+  });
+
+  describe('diffMessageSnapshots', () => {
+    it('reports created, updated, read and deleted messages', () => {
+      const previous = [message(3), message(2), message(1)];
+      const next = [
+        message(4),
+        message(3, { content: 'Edited' }),
+        message(1, { read_by: [{ user_id: 9 }] }),
+      ];
+
+      const events = diffMessageSnapshots('conv-1', previous, next);
+      const types = events.map((event) => event.type);
+
+      expect(types).toEqual(
+        expect.arrayContaining([
+          TRANSPORT_EVENTS.MESSAGE_CREATED,
+          TRANSPORT_EVENTS.MESSAGE_UPDATED,
+          TRANSPORT_EVENTS.MESSAGE_READ,
+          TRANSPORT_EVENTS.MESSAGE_DELETED,
+        ])
+      );
+      expect(
+        events.find((e) => e.type === TRANSPORT_EVENTS.MESSAGE_DELETED)
+          .message_id
+      ).toBe(2);
+    });
+
+    it('reports reaction changes as updates', () => {
+      const previous = [message(1, { reactions: [] })];
+      const next = [
+        message(1, {
+          reactions: [{ emoji: '👍', user_id: 9, user_name: 'A' }],
+        }),
+      ];
+
+      expect(
+        diffMessageSnapshots('conv-1', previous, next).map((e) => e.type)
+      ).toEqual([TRANSPORT_EVENTS.MESSAGE_UPDATED]);
+    });
+
+    it('does not treat messages older than the page as deleted', () => {
+      const previous = [message(3), message(2), message(1)];
+      const next = [message(3), message(2)];
+
+      expect(diffMessageSnapshots('conv-1', previous, next)).toHaveLength(0);
+    });
+  });
+
+  it('backs off exponentially up to the maximum delay', () => {
+    const options = { reconnectBaseDelay: 1000, reconnectMaxDelay: 5000 };
+
+    expect(getReconnectDelay(1, options)).toBeLessThanOrEqual(1000);
+    expect(getReconnectDelay(10, options)).toBeLessThanOrEqual(5000);
+  });
+
+  describe('polling fallback', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('polls and emits events when no WebSocket is available', async () => {
+      let page = [message(1)];
+      const fetchConversationMessages = jest.fn(async () => ({
+        success: true,
+        data: { messages: page },
+      }));
+      const transport = new MessagingTransport({
+        url: null,
+        conversationPollInterval: 1000,
+        fetchConversationMessages,
+      });
+      const handler = jest.fn();
+
+      transport.subscribeToConversation('conv-1', handler, {
+        authCode: 'TEST_AUTH',
+      });
+      expect(transport.getMode()).toBe(TRANSPORT_MODES.POLLING);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(handler).toHaveBeenLastCalledWith(
+        expect.objectContaining({ type: TRANSPORT_EVENTS.RESYNC })
+      );
+
+      page = [message(2), message(1)];
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(handler).toHaveBeenLastCalledWith(
+        expect.objectContaining({
+          type: TRANSPORT_EVENTS.MESSAGE_CREATED,
+          message: page[0],
+        })
+      );
+
+      transport.disconnect();
+      expect(transport.getMode()).toBe(TRANSPORT_MODES.IDLE);
+    });
+
+    it('stops reconnecting once it falls back to polling', async () => {
+      const WebSocketImpl = jest.fn(() => {
+        throw new Error('Gateway unreachable');
+      });
+      const transport = new MessagingTransport({
+        url: 'ws://unreachable',
+        WebSocketImpl,
+        fetchConversationMessages: jest.fn(async () => ({
+          success: true,
+          data: { messages: [] },
+        })),
+        fetchUnreadCount: jest.fn(async () => ({ success: true, data: {} })),
+      });
+
+      transport.connect('TEST_AUTH');
+      await jest.advanceTimersByTimeAsync(60000);
+      expect(transport.getMode()).toBe(TRANSPORT_MODES.POLLING);
+      expect(WebSocketImpl).toHaveBeenCalledTimes(3);
+
+      // Returning to the foreground tries the socket again
+      transport.pause();
+      transport.resume();
+      expect(WebSocketImpl).toHaveBeenCalledTimes(4);
+
+      transport.disconnect();
+    });
+  });
+
+  describe('mock gateway', () => {
+    const flush = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+    it('relays typing indicators and delivery receipts', async () => {
+      const gateway = createMockGateway({
+        quiet: true,
+        users: {
+          'auth-teacher': { id: 3, name: 'Ms. Lin' },
+          'auth-parent': { id: 7, name: 'Mr. Chan' },
+        },
+      });
+      const connect = (authCode) => {
+        const transport = new MessagingTransport({
+          url: 'ws://mock',
+          WebSocketImpl: gateway.WebSocket,
+        });
+        const handler = jest.fn();
+        transport.subscribeToConversation('conv-1', handler, { authCode });
+        return { transport, handler };
+      };
+
+      const teacher = connect('auth-teacher');
+      const parent = connect('auth-parent');
+      await flush();
+      expect(teacher.transport.getMode()).toBe(TRANSPORT_MODES.WEBSOCKET);
+
+      teacher.transport.sendTyping('conv-1', true);
+      await flush();
+      expect(parent.handler).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: TRANSPORT_EVENTS.TYPING,
+          user: { id: 3, name: 'Ms. Lin' },
+          is_typing: true,
+        })
+      );
+
+      gateway.emit({
+        type: TRANSPORT_EVENTS.MESSAGE_CREATED,
+        conversation_uuid: 'conv-1',
+        message: message(5, { sender: { id: 3, name: 'Ms. Lin' } }),
+      });
+      await flush();
+      expect(teacher.handler).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: TRANSPORT_EVENTS.MESSAGE_DELIVERED,
+          message_ids: [5],
+          user_id: 7,
+        })
+      );
+      expect(parent.handler).not.toHaveBeenCalledWith(
+        expect.objectContaining({ type: TRANSPORT_EVENTS.MESSAGE_DELIVERED })
+      );
+
+      teacher.transport.disconnect();
+      parent.transport.disconnect();
+      gateway.close();
+    });
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Pickup Geofence Tests
+ * Tests dismissal hours, cooldown and automatic pickup requests on arrival
+ */
+
+import * as Notifications from 'expo-notifications';
+import {
+  isWithinDismissalHours,
+  getCooldownRemaining,
+  getAutoPickupSettings,
+  handleGeofenceEvent,
+} from '../services/pickupGeofenceService';
+import {
+  createMultipleParentPickupRequests,
+  getPendingPickupRequests,
+} from '../services/pickupRequestService';
+
+const mockStorage = {};
+
+jest.mock('../services/secureStorage', () => ({
+  secureSessionStorage: {
+    getItem: jest.fn((key) => Promise.resolve(mockStorage[key] || null)),
+    setItem: jest.fn((key, value) => {
+      mockStorage[key] = value;
+      return Promise.resolve();
+    }),
+    removeItem: jest.fn((key) => {
+      delete mockStorage[key];
+      return Promise.resolve();
+    }),
+  },
+}));
+
+jest.mock('expo-location', () => ({
+  GeofencingEventType: { Enter: 1, Exit: 2 },
+  Accuracy: { High: 4 },
+  getCurrentPositionAsync: jest.fn(() =>
+    Promise.resolve({
+      coords: { latitude: 11.5564, longitude: 104.9282, accuracy: 10 },
+    })
+  ),
+}));
+
+jest.mock('expo-task-manager', () => ({
+  defineTask: jest.fn(),
+  isTaskRegisteredAsync: jest.fn(() => Promise.resolve(false)),
+}));
+
+jest.mock('expo-notifications', () => ({
+  scheduleNotificationAsync: jest.fn(() => Promise.resolve('id')),
+}));
+
+jest.mock('../services/pickupRequestService', () => ({
+  createMultipleParentPickupRequests: jest.fn(),
+  getPendingPickupRequests: jest.fn(),
+}));
+
+const ENTER = { eventType: 1, region: { identifier: 'school' } };
+// Wednesday 15:00, inside the default dismissal hours
+const DISMISSAL = new Date(2025, 0, 15, 15, 0);
+
+const saveSettings = (settings) => {
+  mockStorage.pickupGeofence = JSON.stringify({
+    enabled: true,
+    authCode: 'parent-auth',
+    studentIds: [1, 2],
+    studentNames: ['Alice', 'Bob'],
+    schoolLocation: { latitude: 11.5564, longitude: 104.9282 },
+    lastRequestAt: null,
+    ...settings,
+  });
+};
+
+describe('Pickup Geofence', () => {
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((key) => delete mockStorage[key]);
+    jest.clearAllMocks();
+    getPendingPickupRequests.mockResolvedValue({
+      success: true,
+      pending_requests: [],
+    });
+    createMultipleParentPickupRequests.mockResolvedValue({
+      success: true,
+      results: [
+        { student_id: 1, student_name: 'Alice', success: true },
+        { student_id: 2, student_name: 'Bob', success: true },
+      ],
+    });
+  });
+
+  it('checks dismissal days and hours', () => {
+    const windows = [{ days: [1, 2, 3, 4, 5], start: '14:30', end: '17:00' }];
+
+    expect(isWithinDismissalHours(DISMISSAL, windows)).toBe(true);
+    expect(isWithinDismissalHours(new Date(2025, 0, 15, 14, 29), windows)).toBe(
+      false
+    );
+    expect(isWithinDismissalHours(new Date(2025, 0, 15, 17, 0), windows)).toBe(
+      true
+    );
+    // Saturday
+    expect(isWithinDismissalHours(new Date(2025, 0, 18, 15, 0), windows)).toBe(
+      false
+    );
+  });
+
+  it('counts down the cooldown in minutes', () => {
+    const now = DISMISSAL.getTime();
+
+    expect(getCooldownRemaining(null, now, 60)).toBe(0);
+    expect(getCooldownRemaining(now - 30 * 60000, now, 60)).toBe(30);
+    expect(getCooldownRemaining(now - 61 * 60000, now, 60)).toBe(0);
+  });
+
+  it('creates requests on arrival and confirms with a notification', async () => {
+    saveSettings();
+
+    const result = await handleGeofenceEvent(ENTER, DISMISSAL);
+
+    expect(result).toEqual({ created: true, reason: 'created' });
+    expect(createMultipleParentPickupRequests).toHaveBeenCalledWith(
+      'parent-auth',
+      [1, 2],
+      expect.objectContaining({
+        location: expect.objectContaining({ latitude: 11.5564 }),
+      })
+    );
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledWith(
+      expect.objectContaining({
+        content: expect.objectContaining({ title: 'Pickup Request Sent' }),
+      })
+    );
+    expect((await getAutoPickupSettings()).lastRequestAt).toBe(
+      DISMISSAL.getTime()
+    );
+  });
+
+  it('skips arrivals outside dismissal hours and during the cooldown', async () => {
+    saveSettings();
+    expect(
+      (await handleGeofenceEvent(ENTER, new Date(2025, 0, 15, 9, 0))).reason
+    ).toBe('outside_dismissal_hours');
+
+    saveSettings({ lastRequestAt: DISMISSAL.getTime() - 10 * 60000 });
+    expect((await handleGeofenceEvent(ENTER, DISMISSAL)).reason).toBe(
+      'cooldown'
+    );
+
+    expect(createMultipleParentPickupRequests).not.toHaveBeenCalled();
+  });
+
+  it('leaves out children who already have a pending request', async () => {
+    saveSettings();
+    getPendingPickupRequests.mockResolvedValue({
+      success: true,
+      pending_requests: [{ student_id: 1 }],
+    });
+
+    await handleGeofenceEvent(ENTER, DISMISSAL);
+
+    expect(createMultipleParentPickupRequests).toHaveBeenCalledWith(
+      'parent-auth',
+      [2],
+      expect.any(Object)
+    );
+  });
+
+  it('clears the cooldown when the request fails', async () => {
+    saveSettings();
+    createMultipleParentPickupRequests.mockRejectedValue(
+      new Error('You are too far from campus.')
+    );
+
+    const result = await handleGeofenceEvent(ENTER, DISMISSAL);
+
+    expect(result.created).toBe(false);
+    expect((await getAutoPickupSettings()).lastRequestAt).toBeNull();
+    expect(Notifications.scheduleNotificationAsync).toHaveBeenCalledWith(
+      expect.objectContaining({
+        content: expect.objectContaining({
+          title: 'Automatic Pickup Request Failed',
+        }),
+      })
+    );
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Pickup QR Tests
+ * Tests signed pickup codes, offline expiry and replay checks
+ */
+
+import crypto from 'crypto';
+import {
+  hmacSha256,
+  createPickupQrValue,
+  parsePickupQr,
+  verifyPickupQr,
+  refreshSchoolKey,
+  PICKUP_QR_STATUS,
+} from '../services/pickupQrService';
+import { apiGet } from '../services/apiClient';
+import { Config } from '../config/env';
+
+const mockStorage = {};
+const mockKeychain = {};
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStorage[key] || null)),
+  setItem: jest.fn((key, value) => {
+    mockStorage[key] = value;
+    return Promise.resolve();
+  }),
+  removeItem: jest.fn((key) => {
+    delete mockStorage[key];
+    return Promise.resolve();
+  }),
+}));
+
+jest.mock('expo-secure-store', () => ({
+  AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY: 'AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY',
+  isAvailableAsync: jest.fn(() => Promise.resolve(true)),
+  getItemAsync: jest.fn((key) => Promise.resolve(mockKeychain[key] || null)),
+  setItemAsync: jest.fn((key, value) => {
+    mockKeychain[key] = value;
+    return Promise.resolve();
+  }),
+  deleteItemAsync: jest.fn((key) => {
+    delete mockKeychain[key];
+    return Promise.resolve();
+  }),
+}));
+
+jest.mock('expo-crypto', () => {
+  const nodeCrypto = require('crypto');
+  return {
+    CryptoDigestAlgorithm: { SHA256: 'SHA-256' },
+    digest: jest.fn((algorithm, data) =>
+      Promise.resolve(
+        new Uint8Array(nodeCrypto.createHash('sha256').update(data).digest())
+          .buffer
+      )
+    ),
+    randomUUID: jest.fn(() => nodeCrypto.randomUUID()),
+  };
+});
+
+jest.mock('../services/apiClient', () => ({
+  apiGet: jest.fn(),
+}));
+
+const SCHOOL_KEY = 'school-pickup-key';
+const TOKEN = 'abc123';
+const NOW = 1760000000;
+
+// What the server hands the parent with their qr_token
+const signingKey = crypto
+  .createHmac('sha256', SCHOOL_KEY)
+  .update(TOKEN)
+  .digest('hex');
+
+const clearSchoolKey = () =>
+  Object.keys(mockKeychain).forEach((key) => delete mockKeychain[key]);
+
+const createCode = (now = NOW) =>
+  createPickupQrValue({
+    qrToken: TOKEN,
+    qrUrl: `https://school.com/pickup/qr/parent?token=${TOKEN}`,
+    signingKey,
+    now,
+  });
+
+describe('Pickup QR', () => {
+  beforeEach(async () => {
+    [mockStorage, mockKeychain].forEach((store) =>
+      Object.keys(store).forEach((key) => delete store[key])
+    );
+    apiGet.mockResolvedValue({ success: true, data: { key: SCHOOL_KEY } });
+    await refreshSchoolKey('staff-auth');
+  });
+
+  it('computes HMAC-SHA256 like the server', async () => {
+    const longKey = 'k'.repeat(100);
+    expect(await hmacSha256(SCHOOL_KEY, TOKEN)).toBe(signingKey);
+    expect(await hmacSha256(longKey, 'message')).toBe(
+      crypto.createHmac('sha256', longKey).update('message').digest('hex')
+    );
+  });
+
+  it('adds issue time, expiry, nonce and signature to the pickup URL', async () => {
+    const { value, expiresAt, signed } = await createCode();
+    const qr = parsePickupQr(value);
+
+    expect(signed).toBe(true);
+    expect(
+      value.startsWith(`https://school.com/pickup/qr/parent?token=${TOKEN}&`)
+    ).toBe(true);
+    expect(qr).toMatchObject({ token: TOKEN, iat: NOW, signed: true });
+    expect(qr.exp).toBe(NOW + Config.PICKUP_QR.TTL_SECONDS);
+    expect(expiresAt).toBe(qr.exp);
+    expect(qr.sig).toHaveLength(32);
+  });
+
+  it('keeps the long-lived code when there is no signing key', async () => {
+    clearSchoolKey();
+    const { value, signed } = await createPickupQrValue({ qrToken: TOKEN });
+    expect(signed).toBe(false);
+    expect(await verifyPickupQr(value)).toEqual({
+      status: PICKUP_QR_STATUS.UNSIGNED,
+      token: TOKEN,
+      signature: null,
+      verified: false,
+    });
+  });
+
+  it('rejects unsigned codes and bare tokens once the school key is cached', async () => {
+    const { value } = await createCode();
+    const stripped = value.split('&iat=')[0];
+
+    expect((await verifyPickupQr(stripped)).status).toBe(
+      PICKUP_QR_STATUS.INVALID
+    );
+    expect((await verifyPickupQr(TOKEN)).status).toBe(PICKUP_QR_STATUS.INVALID);
+  });
+
+  it('accepts a fresh code once and rejects it when scanned again', async () => {
+    const { value } = await createCode();
+
+    expect(await verifyPickupQr(value, { now: NOW + 5 })).toEqual({
+      status: PICKUP_QR_STATUS.VALID,
+      token: TOKEN,
+      signature: expect.objectContaining({
+        iat: NOW,
+        exp: NOW + Config.PICKUP_QR.TTL_SECONDS,
+      }),
+      verified: true,
+    });
+    expect((await verifyPickupQr(value, { now: NOW + 6 })).status).toBe(
+      PICKUP_QR_STATUS.USED
+    );
+  });
+
+  it('rejects expired and tampered codes offline', async () => {
+    const { value } = await createCode();
+    const { EXPIRED, INVALID } = PICKUP_QR_STATUS;
+    const { TTL_SECONDS, CLOCK_SKEW_SECONDS } = Config.PICKUP_QR;
+
+    expect(
+      (
+        await verifyPickupQr(value, {
+          now: NOW + TTL_SECONDS + CLOCK_SKEW_SECONDS + 1,
+        })
+      ).status
+    ).toBe(EXPIRED);
+
+    const extended = value.replace(
+      `exp=${NOW + TTL_SECONDS}`,
+      `exp=${NOW + TTL_SECONDS + 10}`
+    );
+    expect((await verifyPickupQr(extended, { now: NOW })).status).toBe(INVALID);
+
+    const otherToken = value.replace(`token=${TOKEN}`, 'token=other');
+    expect((await verifyPickupQr(otherToken, { now: NOW })).status).toBe(
+      INVALID
+    );
+  });
+
+  it('leaves signed codes unverified without the school key', async () => {
+    const { value } = await createCode();
+    const { sig } = parsePickupQr(value);
+    clearSchoolKey();
+
+    const result = await verifyPickupQr(value, { now: NOW + 5 });
+    expect(result.status).toBe(PICKUP_QR_STATUS.UNVERIFIED);
+    expect(result.verified).toBe(false);
+    // Passed on so the server can check the signature
+    expect(result.signature.sig).toBe(sig);
+    expect((await verifyPickupQr(value, { now: NOW + 6 })).status).toBe(
+      PICKUP_QR_STATUS.USED
+    );
+  });
+
+  it('rejects unsigned codes when signatures are required', async () => {
+    clearSchoolKey();
+    Config.PICKUP_QR.REQUIRE_SIGNED = true;
+    try {
+      expect((await verifyPickupQr(TOKEN)).status).toBe(
+        PICKUP_QR_STATUS.INVALID
+      );
+    } finally {
+      Config.PICKUP_QR.REQUIRE_SIGNED = false;
+    }
+  });
+});
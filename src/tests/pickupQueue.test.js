@@ -0,0 +1,102 @@
+/**
+ * Pickup Queue Tests
+ * Tests queue ordering, ETA and batch release for the gate staff board
+ */
+
+import {
+  QUEUE_SORT,
+  parseDistanceMeters,
+  getQueueEntry,
+  buildPickupQueue,
+  findNewArrivals,
+} from '../utils/pickupQueue';
+import { staffPickupReleaseRequests } from '../services/staffService';
+import { apiPost } from '../services/apiClient';
+
+jest.mock('../services/apiClient', () => ({
+  apiGet: jest.fn(),
+  apiPost: jest.fn(),
+}));
+
+const NOW = new Date('2025-01-15T15:00:00').getTime();
+
+const makeRequest = (id, createdAt, distance) => ({
+  request_id: id,
+  student: { name: `Student ${id}` },
+  requester: { qr_token: `token-${id}` },
+  request_info: { created_at: createdAt, distance_from_campus: distance },
+});
+
+describe('Pickup Queue', () => {
+  it('parses distances reported in meters or kilometers', () => {
+    expect(parseDistanceMeters(45)).toBe(45);
+    expect(parseDistanceMeters('45m')).toBe(45);
+    expect(parseDistanceMeters('1.2km')).toBe(1200);
+    expect(parseDistanceMeters('')).toBeNull();
+    expect(parseDistanceMeters('nearby')).toBeNull();
+  });
+
+  it('estimates arrival from distance and time already waited', () => {
+    const far = getQueueEntry(makeRequest(1, '2025-01-15 14:58:00', 2000), NOW);
+    expect(far.waitingMinutes).toBe(2);
+    // 2km at 20km/h is 6 minutes, 2 already spent
+    expect(far.etaMinutes).toBe(4);
+    expect(far.atGate).toBe(false);
+
+    const close = getQueueEntry(makeRequest(2, '2025-01-15 14:59:00', 80), NOW);
+    expect(close.etaMinutes).toBe(0);
+    expect(close.atGate).toBe(true);
+
+    const unknown = getQueueEntry(makeRequest(3, null, null), NOW);
+    expect(unknown.etaMinutes).toBeNull();
+    expect(unknown.waitingMinutes).toBeNull();
+  });
+
+  it('orders by arrival or distance with unknown values last', () => {
+    const requests = [
+      makeRequest(1, '2025-01-15 14:55:00', 900),
+      makeRequest(2, null, 50),
+      makeRequest(3, '2025-01-15 14:50:00', null),
+      makeRequest(4, '2025-01-15 14:52:00', 300),
+    ];
+
+    const byArrival = buildPickupQueue(requests, QUEUE_SORT.ARRIVAL, NOW);
+    expect(byArrival.map((entry) => entry.id)).toEqual([3, 4, 1, 2]);
+
+    const byDistance = buildPickupQueue(requests, QUEUE_SORT.DISTANCE, NOW);
+    expect(byDistance.map((entry) => entry.id)).toEqual([2, 4, 1, 3]);
+  });
+
+  it('finds requests that were not in the previous refresh', () => {
+    const requests = [makeRequest(1), makeRequest(2), makeRequest(3)];
+    expect(
+      findNewArrivals(new Set([1, 3]), requests).map((r) => r.request_id)
+    ).toEqual([2]);
+  });
+
+  it('releases each request and reports the ones that failed', async () => {
+    apiPost.mockImplementation((endpoint, body) => {
+      if (endpoint.includes('scan')) {
+        return Promise.resolve(
+          body.qr_token === 'token-2'
+            ? { success: false, message: 'Already picked up' }
+            : {
+                success: true,
+                pickup_person: { card_type: 'parent', auth_code: 'parent' },
+              }
+        );
+      }
+      return Promise.resolve({ success: true });
+    });
+
+    const result = await staffPickupReleaseRequests(
+      [makeRequest(1), makeRequest(2), makeRequest(3)],
+      'staff-auth'
+    );
+
+    expect(result.released).toEqual([1, 3]);
+    expect(result.failed).toEqual([
+      { request_id: 2, message: 'Already picked up' },
+    ]);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Pickup Rules Tests
+ * Tests guardian pickup rules: children, days, times, validity and one-time use
+ */
+
+import {
+  PICKUP_RULE_REASONS,
+  checkPickupRules,
+  validatePickupRules,
+  describePickupRules,
+  isPickupRulesExpired,
+} from '../utils/pickupRules';
+import { checkScannedPickupRules } from '../services/staffService';
+
+jest.mock('../services/apiClient', () => ({
+  apiGet: jest.fn(),
+  apiPost: jest.fn(),
+}));
+
+// Wednesday 15:00
+const NOW = new Date(2025, 0, 15, 15, 0);
+
+const RULES = {
+  student_ids: [1],
+  weekdays: [1, 3, 5],
+  time_windows: [{ start: '14:00', end: '16:00' }],
+  valid_from: '2025-01-13',
+  valid_until: '2025-01-31',
+};
+
+describe('Pickup Rules', () => {
+  it('allows pickups that match every rule', () => {
+    expect(checkPickupRules(RULES, { studentId: 1, now: NOW })).toEqual({
+      allowed: true,
+      reason: null,
+      message: null,
+    });
+    expect(checkPickupRules(null, { studentId: 2, now: NOW }).allowed).toBe(
+      true
+    );
+  });
+
+  it('denies other children, days and times', () => {
+    expect(checkPickupRules(RULES, { studentId: 2, now: NOW }).reason).toBe(
+      PICKUP_RULE_REASONS.CHILD
+    );
+    // Thursday
+    expect(
+      checkPickupRules(RULES, {
+        studentId: 1,
+        now: new Date(2025, 0, 16, 15, 0),
+      }).reason
+    ).toBe(PICKUP_RULE_REASONS.DAY);
+    expect(
+      checkPickupRules(RULES, {
+        studentId: 1,
+        now: new Date(2025, 0, 15, 16, 1),
+      }).reason
+    ).toBe(PICKUP_RULE_REASONS.TIME);
+  });
+
+  it('denies pickups outside the valid dates and used one-time authorizations', () => {
+    expect(
+      checkPickupRules(RULES, { now: new Date(2025, 0, 10, 15, 0) }).reason
+    ).toBe(PICKUP_RULE_REASONS.NOT_STARTED);
+    expect(
+      checkPickupRules(RULES, { now: new Date(2025, 1, 3, 15, 0) }).reason
+    ).toBe(PICKUP_RULE_REASONS.EXPIRED);
+
+    const used = { one_time: true, used_at: '2025-01-14T15:00:00Z' };
+    expect(checkPickupRules(used, { now: NOW }).reason).toBe(
+      PICKUP_RULE_REASONS.USED
+    );
+    expect(isPickupRulesExpired(used, NOW)).toBe(true);
+    expect(isPickupRulesExpired(RULES, NOW)).toBe(false);
+  });
+
+  it('validates times and dates before saving', () => {
+    expect(validatePickupRules(RULES)).toEqual([]);
+    expect(
+      validatePickupRules({
+        time_windows: [{ start: '16:00', end: '14:00' }],
+        valid_from: '2025-02-01',
+        valid_until: '2025-01-01',
+      })
+    ).toEqual([
+      'End time must be after start time',
+      'End date must not be before start date',
+    ]);
+  });
+
+  it('describes the rules with child names', () => {
+    expect(describePickupRules(null)).toEqual(['Any child, any time']);
+    expect(
+      describePickupRules(
+        { ...RULES, one_time: true },
+        { childNames: { 1: 'Alice' } }
+      )
+    ).toEqual([
+      'Children: Alice',
+      'Days: Mon, Wed, Fri',
+      'Times: 14:00–16:00',
+      'Valid: 2025-01-13 – 2025-01-31',
+      'One-time pickup',
+    ]);
+  });
+
+  it('checks scanned guardians but not parents', () => {
+    const guardianScan = {
+      pickup_person: { card_type: 'guardian', pickup_rules: RULES },
+    };
+    const parentScan = {
+      pickup_person: { card_type: 'parent', pickup_rules: RULES },
+    };
+
+    expect(checkScannedPickupRules(guardianScan, 2, NOW)).toEqual(
+      expect.objectContaining({
+        allowed: false,
+        reason: PICKUP_RULE_REASONS.CHILD,
+        rules: RULES,
+      })
+    );
+    expect(checkScannedPickupRules(parentScan, 2, NOW).allowed).toBe(true);
+  });
+});
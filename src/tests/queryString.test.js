@@ -0,0 +1,128 @@
+/**
+ * Query String Tests
+ * Tests URL encoding, nested params and credential redaction
+ */
+
+import {
+  serializeQueryParams,
+  appendQueryParams,
+  redactUrl,
+  redactParams,
+  extractCredentialHeaders,
+} from '../utils/queryString';
+import { Config, buildApiUrl, buildApiRequest } from '../config/env';
+
+describe('Query String', () => {
+  describe('serializeQueryParams', () => {
+    it('encodes reserved and non-Latin characters', () => {
+      expect(serializeQueryParams({ query: 'R&D #1' })).toBe(
+        'query=R%26D%20%231'
+      );
+      expect(serializeQueryParams({ query: 'សួស្តី' })).toBe(
+        `query=${encodeURIComponent('សួស្តី')}`
+      );
+      expect(serializeQueryParams({ query: '数学 作业' })).toBe(
+        'query=%E6%95%B0%E5%AD%A6%20%E4%BD%9C%E4%B8%9A'
+      );
+    });
+
+    it('serializes arrays and nested objects', () => {
+      expect(
+        serializeQueryParams({
+          student_ids: [1, 2],
+          filter: { type: 'pdf', size: { max: 10 } },
+        })
+      ).toBe(
+        'student_ids[]=1&student_ids[]=2&filter[type]=pdf&filter[size][max]=10'
+      );
+
+      expect(serializeQueryParams({ rows: [{ id: 1 }, { id: 2 }] })).toBe(
+        'rows[0][id]=1&rows[1][id]=2'
+      );
+    });
+
+    it('skips null and undefined but keeps falsy values', () => {
+      expect(
+        serializeQueryParams({ a: null, b: undefined, c: 0, d: false, e: '' })
+      ).toBe('c=0&d=false&e=');
+    });
+  });
+
+  it('appends to URLs that already have a query string or hash', () => {
+    expect(appendQueryParams('https://x.test/a?page=1', { q: 'a b' })).toBe(
+      'https://x.test/a?page=1&q=a%20b'
+    );
+    expect(appendQueryParams('https://x.test/a#top', { q: 1 })).toBe(
+      'https://x.test/a?q=1#top'
+    );
+    expect(appendQueryParams('https://x.test/a', {})).toBe('https://x.test/a');
+  });
+
+  it('buildApiUrl encodes search terms', () => {
+    const url = buildApiUrl('/messaging/search', {
+      authCode: 'ABC',
+      query: 'Tom & Jerry',
+      type: 'all',
+    });
+
+    expect(url).toBe(
+      `${Config.API_BASE_URL}/messaging/search?authCode=ABC&query=Tom%20%26%20Jerry&type=all`
+    );
+  });
+
+  describe('redaction', () => {
+    it('redacts credentials in URLs', () => {
+      expect(
+        redactUrl('https://x.test/a?authCode=SECRET&query=maths&auth_code=X')
+      ).toBe(
+        'https://x.test/a?authCode=[REDACTED]&query=maths&auth_code=[REDACTED]'
+      );
+      expect(redactUrl('https://x.test/a?device_token=abc#top')).toBe(
+        'https://x.test/a?device_token=[REDACTED]#top'
+      );
+      expect(redactUrl('https://x.test/a')).toBe('https://x.test/a');
+    });
+
+    it('redacts credentials in nested params', () => {
+      expect(
+        redactParams({
+          username: 'teacher',
+          password: 'pw',
+          device: { fcm_token: 't', platform: 'ios' },
+        })
+      ).toEqual({
+        username: 'teacher',
+        password: '[REDACTED]',
+        device: { fcm_token: '[REDACTED]', platform: 'ios' },
+      });
+    });
+  });
+
+  describe('credential headers', () => {
+    it('moves mapped params into headers', () => {
+      expect(
+        extractCredentialHeaders(
+          { authCode: 'ABC', page: 2 },
+          { authCode: 'X-Auth-Code' }
+        )
+      ).toEqual({ params: { page: 2 }, headers: { 'X-Auth-Code': 'ABC' } });
+    });
+
+    it('buildApiRequest only moves credentials when asked', () => {
+      const params = { authCode: 'ABC', page: 2 };
+
+      expect(buildApiRequest('/homework/list', params)).toEqual({
+        url: `${Config.API_BASE_URL}/homework/list?authCode=ABC&page=2`,
+        headers: {},
+      });
+      expect(
+        buildApiRequest('/homework/list', params, {
+          credentialsInHeaders: true,
+        })
+      ).toEqual({
+        url: `${Config.API_BASE_URL}/homework/list?page=2`,
+        headers: { 'X-Auth-Code': 'ABC' },
+      });
+    });
+  });
+});
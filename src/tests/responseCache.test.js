@@ -0,0 +1,152 @@
+/**
+ * Response Cache Tests
+ * Tests stale-while-revalidate reads, persistence and invalidation
+ */
+
+import {
+  getCachedResponse,
+  getCacheKeyForUrl,
+  getEndpointTtl,
+  invalidateForWrite,
+  clearResponseCache,
+  subscribeToCacheKey,
+} from '../services/responseCache';
+import { Config } from '../config/env';
+
+const mockStorage = {};
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStorage[key] || null)),
+  setItem: jest.fn((key, value) => {
+    mockStorage[key] = value;
+    return Promise.resolve();
+  }),
+  getAllKeys: jest.fn(() => Promise.resolve(Object.keys(mockStorage))),
+  multiRemove: jest.fn((keys) => {
+    keys.forEach((key) => delete mockStorage[key]);
+    return Promise.resolve();
+  }),
+}));
+
+const flushPromises = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('Response Cache', () => {
+  const gradesUrl = `${Config.API_BASE_URL}${Config.API_ENDPOINTS.GET_STUDENT_GRADES}?authCode=STUDENT_AUTH`;
+  const key = getCacheKeyForUrl(gradesUrl);
+
+  beforeEach(async () => {
+    await clearResponseCache();
+    Object.keys(mockStorage).forEach((storageKey) => {
+      delete mockStorage[storageKey];
+    });
+  });
+
+  it('keeps credentials out of cache keys but separates users', () => {
+    expect(key).not.toContain('STUDENT_AUTH');
+    expect(key).toContain(Config.API_ENDPOINTS.GET_STUDENT_GRADES);
+    expect(
+      getCacheKeyForUrl(gradesUrl.replace('STUDENT_AUTH', 'OTHER'))
+    ).not.toBe(key);
+    expect(getCacheKeyForUrl(`${gradesUrl}&b=2&a=1`)).toBe(
+      getCacheKeyForUrl(`${gradesUrl}&a=1&b=2`)
+    );
+  });
+
+  it('uses per-endpoint TTLs', () => {
+    expect(getEndpointTtl(gradesUrl)).toBe(
+      Config.CACHE.ENDPOINT_TTLS.GET_STUDENT_GRADES
+    );
+    expect(getEndpointTtl('/unknown/endpoint')).toBe(Config.CACHE.DEFAULT_TTL);
+  });
+
+  it('serves fresh entries without refetching', async () => {
+    const fetcher = jest.fn(() => Promise.resolve({ success: true, v: 1 }));
+
+    await getCachedResponse(key, fetcher);
+    const result = await getCachedResponse(key, fetcher);
+
+    expect(result).toEqual({ success: true, v: 1 });
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(Object.keys(mockStorage)).toHaveLength(1);
+  });
+
+  it('returns stale data immediately and refreshes in the background', async () => {
+    await getCachedResponse(
+      key,
+      () => Promise.resolve({ success: true, v: 1 }),
+      {
+        ttl: -1,
+      }
+    );
+
+    const onUpdate = jest.fn();
+    const listener = jest.fn();
+    const unsubscribe = subscribeToCacheKey(key, listener);
+
+    const result = await getCachedResponse(
+      key,
+      () => Promise.resolve({ success: true, v: 2 }),
+      { onUpdate }
+    );
+    expect(result).toEqual({ success: true, v: 1 });
+
+    await flushPromises();
+    expect(onUpdate).toHaveBeenCalledWith({ success: true, v: 2 });
+    expect(listener).toHaveBeenCalledWith({ success: true, v: 2 });
+    unsubscribe();
+  });
+
+  it('falls back to cached data when a refresh fails', async () => {
+    await getCachedResponse(key, () =>
+      Promise.resolve({ success: true, v: 1 })
+    );
+
+    const result = await getCachedResponse(
+      key,
+      () => Promise.reject(new Error('Network request failed')),
+      { forceRefresh: true }
+    );
+
+    expect(result).toEqual({ success: true, v: 1 });
+  });
+
+  it('does not cache failed responses', async () => {
+    const fetcher = jest.fn(() =>
+      Promise.resolve({ success: false, message: 'Error' })
+    );
+
+    await getCachedResponse(key, fetcher);
+    await getCachedResponse(key, fetcher);
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it('invalidates dependent endpoints after a write', async () => {
+    const homeworkKey = getCacheKeyForUrl(
+      `${Config.API_BASE_URL}${Config.API_ENDPOINTS.GET_STUDENT_HOMEWORK}?authCode=STUDENT_AUTH`
+    );
+    await getCachedResponse(homeworkKey, () =>
+      Promise.resolve({ success: true })
+    );
+    await getCachedResponse(key, () => Promise.resolve({ success: true }));
+
+    const removed = await invalidateForWrite(
+      `${Config.API_BASE_URL}${Config.API_ENDPOINTS.SUBMIT_HOMEWORK}`
+    );
+
+    expect(removed).toBe(1);
+    expect(Object.keys(mockStorage)).toHaveLength(1);
+  });
+
+  it('clears everything on logout or branch switch', async () => {
+    await getCachedResponse(key, () => Promise.resolve({ success: true }));
+    mockStorage.unrelated = 'keep';
+
+    await clearResponseCache();
+
+    expect(Object.keys(mockStorage)).toEqual(['unrelated']);
+    const fetcher = jest.fn(() => Promise.resolve({ success: true }));
+    await getCachedResponse(key, fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * Rubrics Tests
+ * Tests building, scoring and saving rubric grades
+ */
+
+import { apiRequest } from '../services/apiClient';
+import { gradeHomeworkWithRubric } from '../services/homeworkService';
+import {
+  createRubric,
+  validateRubric,
+  normalizeRubric,
+  scoreRubric,
+  getRubricMaxPoints,
+  getRubricSelections,
+} from '../utils/rubrics';
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(() => Promise.resolve(null)),
+  setItem: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('expo-file-system/legacy', () => ({}));
+
+jest.mock('../services/apiClient', () => ({
+  apiRequest: jest.fn(() => Promise.resolve({ success: true })),
+}));
+
+jest.mock('../services/authService', () => ({
+  getStoredAuthCode: jest.fn(() => Promise.resolve('teacher-auth')),
+}));
+
+jest.mock('../config/env', () => ({
+  Config: {
+    API_ENDPOINTS: {
+      GRADE_HOMEWORK_RUBRIC: '/teacher/homework/rubric-grade',
+    },
+  },
+  buildApiUrl: jest.fn((endpoint) => endpoint),
+}));
+
+const RUBRIC = {
+  id: 12,
+  title: 'Essay',
+  criteria: [
+    {
+      id: 'structure',
+      title: 'Structure',
+      levels: [
+        { id: 's1', title: 'Weak', points: 1 },
+        { id: 's4', title: 'Strong', points: 4 },
+      ],
+    },
+    {
+      id: 'evidence',
+      title: 'Evidence',
+      levels: [
+        { id: 'e6', title: 'Convincing', points: 6 },
+        { id: 'e2', title: 'Thin', points: 2 },
+      ],
+    },
+  ],
+};
+
+describe('Rubrics', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('validates titles, criteria and levels', () => {
+    expect(validateRubric(RUBRIC)).toEqual([]);
+
+    const blank = createRubric();
+    expect(validateRubric(blank)).toEqual([
+      'Give the rubric a title',
+      'Criterion 1 needs a title',
+    ]);
+
+    expect(
+      validateRubric({
+        title: 'Lab',
+        criteria: [{ title: 'Method', levels: [{ title: 'Ok', points: 1 }] }],
+      })
+    ).toEqual(['Method needs at least two levels']);
+  });
+
+  it('orders levels from most to fewest points', () => {
+    expect(
+      normalizeRubric(RUBRIC).criteria[0].levels.map((level) => level.id)
+    ).toEqual(['s4', 's1']);
+    expect(getRubricMaxPoints(RUBRIC)).toBe(10);
+  });
+
+  it('scores the chosen levels', () => {
+    const partial = scoreRubric(RUBRIC, { structure: 's4' });
+    expect(partial).toEqual(
+      expect.objectContaining({ total_points: 4, complete: false })
+    );
+
+    const grade = scoreRubric(RUBRIC, { structure: 's4', evidence: 'e2' });
+    expect(grade).toEqual({
+      rubric_id: 12,
+      scores: [
+        { criterion_id: 'structure', level_id: 's4', points: 4 },
+        { criterion_id: 'evidence', level_id: 'e2', points: 2 },
+      ],
+      total_points: 6,
+      max_points: 10,
+      complete: true,
+    });
+    expect(getRubricSelections(grade)).toEqual({
+      structure: 's4',
+      evidence: 'e2',
+    });
+  });
+
+  it('saves a complete rubric grade', async () => {
+    const result = await gradeHomeworkWithRubric(7, RUBRIC, {
+      structure: 's1',
+      evidence: 'e6',
+    });
+
+    expect(apiRequest).toHaveBeenCalledWith('/teacher/homework/rubric-grade', {
+      method: 'POST',
+      body: {
+        auth_code: 'teacher-auth',
+        detail_id: 7,
+        rubric_grade: expect.objectContaining({
+          rubric_id: 12,
+          total_points: 7,
+          max_points: 10,
+        }),
+      },
+    });
+    expect(result.rubricGrade.total_points).toBe(7);
+  });
+
+  it('refuses to save until every criterion is scored', async () => {
+    await expect(
+      gradeHomeworkWithRubric(7, RUBRIC, { structure: 's1' })
+    ).rejects.toThrow('Choose a level for every criterion');
+    expect(apiRequest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Scheduled Messages Tests
+ * Tests school quiet hours and scheduling teacher messages
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { apiRequest } from '../services/apiClient';
+import {
+  sendMessage,
+  scheduleMessage,
+  updateScheduledMessage,
+} from '../services/messagingService';
+import SchoolConfigService from '../services/schoolConfigService';
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(() => Promise.resolve(null)),
+  setItem: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('../services/secureStorage', () => ({
+  secureSessionStorage: { getItem: jest.fn(() => Promise.resolve(null)) },
+}));
+
+jest.mock('../services/messagingTransport', () => ({
+  createMessagingTransport: jest.fn(() => ({})),
+  TRANSPORT_EVENTS: {},
+  TRANSPORT_MODES: {},
+}));
+
+jest.mock('../services/apiClient', () => ({
+  apiRequest: jest.fn(() => Promise.resolve({ success: true, data: {} })),
+}));
+
+jest.mock('../services/authService', () => ({
+  getStoredAuthCode: jest.fn(() => Promise.resolve('teacher-auth')),
+}));
+
+jest.mock('../config/env', () => ({
+  Config: {
+    API_ENDPOINTS: {
+      SEND_MESSAGE: '/messaging/send-message',
+      SCHEDULE_MESSAGE: '/messaging/scheduled/create',
+      UPDATE_SCHEDULED_MESSAGE: '/messaging/scheduled/update',
+    },
+  },
+  buildApiUrl: jest.fn((endpoint) => endpoint),
+}));
+
+const at = (hours, minutes = 0) => new Date(2026, 2, 10, hours, minutes);
+
+describe('Scheduled messages', () => {
+  const quietHours = { enabled: true, start: '20:00', end: '07:00' };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('keeps quiet hours off unless the school config turns them on', async () => {
+    expect((await SchoolConfigService.getQuietHours()).enabled).toBe(false);
+
+    AsyncStorage.getItem.mockResolvedValueOnce(
+      JSON.stringify({ messaging: { quietHours: { enabled: true } } })
+    );
+    expect(await SchoolConfigService.getQuietHours()).toEqual(quietHours);
+  });
+
+  it('detects quiet hours that run past midnight', () => {
+    expect(SchoolConfigService.isWithinQuietHours(quietHours, at(21))).toBe(
+      true
+    );
+    expect(SchoolConfigService.isWithinQuietHours(quietHours, at(6, 59))).toBe(
+      true
+    );
+    expect(SchoolConfigService.isWithinQuietHours(quietHours, at(7))).toBe(
+      false
+    );
+    expect(SchoolConfigService.isWithinQuietHours(quietHours, at(12))).toBe(
+      false
+    );
+
+    const lunch = { enabled: true, start: '12:00', end: '13:00' };
+    expect(SchoolConfigService.isWithinQuietHours(lunch, at(12, 30))).toBe(
+      true
+    );
+    expect(
+      SchoolConfigService.isWithinQuietHours(
+        { ...quietHours, enabled: false },
+        at(21)
+      )
+    ).toBe(false);
+  });
+
+  it('holds evening messages until the next morning', () => {
+    expect(SchoolConfigService.getQuietHoursEnd(quietHours, at(21))).toEqual(
+      new Date(2026, 2, 11, 7, 0)
+    );
+    expect(SchoolConfigService.getQuietHoursEnd(quietHours, at(5))).toEqual(
+      at(7)
+    );
+  });
+
+  it('schedules, edits and marks urgent messages through the API', async () => {
+    const sendAt = new Date(Date.now() + 60 * 60 * 1000);
+
+    await scheduleMessage('conv-1', 'Trip forms due', sendAt, {
+      heldForQuietHours: true,
+    });
+    expect(apiRequest).toHaveBeenLastCalledWith('/messaging/scheduled/create', {
+      method: 'POST',
+      body: {
+        authCode: 'teacher-auth',
+        conversation_uuid: 'conv-1',
+        message: 'Trip forms due',
+        message_type: 'text',
+        send_at: sendAt.toISOString(),
+        reason: 'quiet_hours',
+      },
+    });
+
+    await updateScheduledMessage(9, { content: 'Trip forms due Friday' });
+    expect(apiRequest).toHaveBeenLastCalledWith('/messaging/scheduled/update', {
+      method: 'POST',
+      body: expect.objectContaining({
+        scheduled_message_id: 9,
+        message: 'Trip forms due Friday',
+      }),
+    });
+
+    await sendMessage('conv-1', 'School closed today', 'text', null, null, {
+      urgent: true,
+    });
+    expect(apiRequest).toHaveBeenLastCalledWith('/messaging/send-message', {
+      method: 'POST',
+      body: expect.objectContaining({ is_urgent: true }),
+    });
+
+    await expect(
+      scheduleMessage('conv-1', 'Too late', new Date(Date.now() - 1000))
+    ).rejects.toThrow('Send time must be in the future');
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Secure Storage Tests
+ * Tests secret splitting, migration of stored sessions and device reset wipe
+ */
+
+import * as SecureStore from 'expo-secure-store';
+import {
+  createSecureStorage,
+  splitSecrets,
+  migrateToSecureStorage,
+  wipeSecureStorage,
+} from '../services/secureStorage';
+import { getUserData, saveUserData } from '../services/authService';
+
+const mockStorage = {};
+const mockKeychain = {};
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStorage[key] || null)),
+  setItem: jest.fn((key, value) => {
+    mockStorage[key] = value;
+    return Promise.resolve();
+  }),
+  removeItem: jest.fn((key) => {
+    delete mockStorage[key];
+    return Promise.resolve();
+  }),
+  multiRemove: jest.fn((keys) => {
+    keys.forEach((key) => delete mockStorage[key]);
+    return Promise.resolve();
+  }),
+}));
+
+jest.mock('expo-secure-store', () => ({
+  AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY: 'AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY',
+  isAvailableAsync: jest.fn(() => Promise.resolve(true)),
+  getItemAsync: jest.fn((key) => Promise.resolve(mockKeychain[key] || null)),
+  setItemAsync: jest.fn((key, value) => {
+    mockKeychain[key] = value;
+    return Promise.resolve();
+  }),
+  deleteItemAsync: jest.fn((key) => {
+    delete mockKeychain[key];
+    return Promise.resolve();
+  }),
+}));
+
+const AsyncStorage = require('@react-native-async-storage/async-storage');
+
+const teacher = {
+  id: 1,
+  userType: 'teacher',
+  name: 'Teacher',
+  authCode: 'TEACHER_AUTH',
+  originalResponse: { auth_code: 'TEACHER_AUTH', user_id: 1 },
+};
+
+describe('Secure Storage', () => {
+  beforeEach(() => {
+    [mockStorage, mockKeychain].forEach((store) =>
+      Object.keys(store).forEach((key) => delete store[key])
+    );
+  });
+
+  it('splits secret fields out of nested records and arrays', () => {
+    const { data, secrets } = splitSecrets([
+      { id: 1, authCode: 'A' },
+      { id: 2, profile: { auth_code: 'B' } },
+    ]);
+
+    expect(data).toEqual([{ id: 1 }, { id: 2, profile: {} }]);
+    expect(secrets).toEqual([
+      [[0, 'authCode'], 'A'],
+      [[1, 'profile', 'auth_code'], 'B'],
+    ]);
+  });
+
+  it('keeps auth codes out of AsyncStorage but reads them back', async () => {
+    expect(await saveUserData(teacher, AsyncStorage)).toBe(true);
+
+    expect(mockStorage.teacherUserData).toBeDefined();
+    expect(mockStorage.teacherUserData).not.toContain('TEACHER_AUTH');
+    expect(mockStorage.userData).not.toContain('TEACHER_AUTH');
+    expect(mockKeychain['session.teacherUserData']).toContain('TEACHER_AUTH');
+
+    expect(await getUserData('teacher', AsyncStorage)).toEqual(teacher);
+  });
+
+  it('passes keys that hold no secrets straight through', async () => {
+    const storage = createSecureStorage(AsyncStorage);
+
+    await storage.setItem('selectedBranchId', '3');
+
+    expect(mockStorage.selectedBranchId).toBe('3');
+    expect(SecureStore.setItemAsync).not.toHaveBeenCalledWith(
+      'session.selectedBranchId',
+      expect.anything(),
+      expect.anything()
+    );
+  });
+
+  it('stores guardian auth codes only in the keychain', async () => {
+    const storage = createSecureStorage(AsyncStorage);
+
+    await storage.setItem('guardianAuthCode', 'GUARDIAN_AUTH');
+
+    expect(mockStorage.guardianAuthCode).toBeUndefined();
+    expect(await storage.getItem('guardianAuthCode')).toBe('GUARDIAN_AUTH');
+
+    await storage.multiRemove(['guardianAuthCode', 'guardianData']);
+    expect(mockKeychain['session.guardianAuthCode']).toBeUndefined();
+  });
+
+  it('migrates sessions stored by earlier versions once', async () => {
+    mockStorage.userData = JSON.stringify(teacher);
+    mockStorage.studentAccounts = JSON.stringify([
+      { id: 5, name: 'Student', authCode: 'STUDENT_AUTH' },
+    ]);
+    mockStorage.guardianAuthCode = 'GUARDIAN_AUTH';
+
+    const result = await migrateToSecureStorage(AsyncStorage);
+
+    expect(result).toEqual({ migrated: 3, skipped: false });
+    expect(mockStorage.userData).not.toContain('TEACHER_AUTH');
+    expect(mockStorage.studentAccounts).not.toContain('STUDENT_AUTH');
+    expect(mockStorage.guardianAuthCode).toBeUndefined();
+
+    const storage = createSecureStorage(AsyncStorage);
+    expect(JSON.parse(await storage.getItem('studentAccounts'))).toEqual([
+      { id: 5, name: 'Student', authCode: 'STUDENT_AUTH' },
+    ]);
+
+    expect(await migrateToSecureStorage(AsyncStorage)).toEqual({
+      migrated: 0,
+      skipped: true,
+    });
+  });
+
+  it('still reads records that were never migrated', async () => {
+    mockStorage.userData = JSON.stringify(teacher);
+
+    expect(await getUserData(null, AsyncStorage)).toEqual(teacher);
+  });
+
+  it('wipes every secret on device reset', async () => {
+    await saveUserData(teacher, AsyncStorage);
+    await createSecureStorage(AsyncStorage).setItem('guardianAuthCode', 'G');
+
+    expect(await wipeSecureStorage()).toBe(true);
+    expect(Object.keys(mockKeychain)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * Session Manager Tests
+ * Tests expired auth code detection, shared re-authentication and replay
+ */
+
+import { apiGet, apiPost } from '../services/apiClient';
+import {
+  startSessionManager,
+  resetSessionManager,
+  subscribeToSessionExpiry,
+  isAuthCodeExpired,
+  getLoginRouteForSession,
+  replaceRequestAuthCode,
+} from '../services/sessionManager';
+import { getUserData } from '../services/authService';
+import { Config } from '../config/env';
+
+const mockStorage = {};
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn((key) => Promise.resolve(mockStorage[key] || null)),
+  setItem: jest.fn((key, value) => {
+    mockStorage[key] = value;
+    return Promise.resolve();
+  }),
+  removeItem: jest.fn((key) => {
+    delete mockStorage[key];
+    return Promise.resolve();
+  }),
+  multiRemove: jest.fn((keys) => {
+    keys.forEach((key) => delete mockStorage[key]);
+    return Promise.resolve();
+  }),
+}));
+
+// Keep everything in AsyncStorage so the test can inspect it
+jest.mock('expo-secure-store', () => ({
+  isAvailableAsync: jest.fn(() => Promise.resolve(false)),
+}));
+
+const AsyncStorage = require('@react-native-async-storage/async-storage');
+
+global.fetch = jest.fn();
+
+const mockResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  text: () => Promise.resolve(JSON.stringify(body)),
+});
+
+const expired = () =>
+  mockResponse(200, {
+    success: false,
+    message: 'Invalid or expired auth code',
+  });
+
+const teacher = {
+  id: 1,
+  userType: 'teacher',
+  username: 'teacher1',
+  name: 'Teacher',
+  authCode: 'OLD_AUTH',
+  originalResponse: { auth_code: 'OLD_AUTH', refresh_token: 'REFRESH' },
+};
+
+describe('Session Manager', () => {
+  let stopSessionManager;
+
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach((key) => delete mockStorage[key]);
+    mockStorage.teacherUserData = JSON.stringify(teacher);
+    mockStorage.userData = JSON.stringify(teacher);
+    fetch.mockReset();
+    resetSessionManager();
+    stopSessionManager = startSessionManager();
+  });
+
+  afterEach(() => {
+    stopSessionManager();
+    Config.SESSION.REFRESH_ENDPOINT = null;
+  });
+
+  it('renews the auth code once and replays every failed request', async () => {
+    Config.SESSION.REFRESH_ENDPOINT = '/auth/refresh';
+    fetch.mockImplementation((url, init) => {
+      if (url.includes('/auth/refresh')) {
+        return Promise.resolve(
+          mockResponse(200, { success: true, auth_code: 'NEW_AUTH' })
+        );
+      }
+      const body = init.body ? JSON.parse(init.body) : {};
+      if (url.includes('OLD_AUTH') || body.authCode === 'OLD_AUTH') {
+        return Promise.resolve(expired());
+      }
+      return Promise.resolve(mockResponse(200, { success: true }));
+    });
+
+    const results = await Promise.all([
+      apiGet('/timetable/teacher'),
+      apiGet('/attendance/teacher'),
+      apiPost('/staff/pickup/process', { request_id: 7 }),
+    ]);
+
+    expect(results).toEqual([
+      { success: true },
+      { success: true },
+      { success: true },
+    ]);
+    const refreshCalls = fetch.mock.calls.filter(([url]) =>
+      url.includes('/auth/refresh')
+    );
+    expect(refreshCalls).toHaveLength(1);
+    expect(JSON.parse(refreshCalls[0][1].body)).toEqual({
+      refresh_token: 'REFRESH',
+    });
+    expect((await getUserData('teacher', AsyncStorage)).authCode).toBe(
+      'NEW_AUTH'
+    );
+  });
+
+  it('reports the expired session once when it cannot be renewed', async () => {
+    fetch.mockResolvedValue(expired());
+    const listener = jest.fn();
+    const unsubscribe = subscribeToSessionExpiry(listener);
+
+    const results = await Promise.allSettled([
+      apiGet('/timetable/teacher', {}, { retries: 0 }),
+      apiGet('/attendance/teacher', {}, { retries: 0 }),
+    ]);
+
+    results.forEach(({ status, reason }) => {
+      expect(status).toBe('rejected');
+      expect(reason.name).toBe('AuthExpiredError');
+      expect(reason.sessionExpired).toBe(true);
+    });
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener.mock.calls[0][0]).toMatchObject({
+      userType: 'teacher',
+      account: { username: 'teacher1' },
+    });
+    expect(isAuthCodeExpired('OLD_AUTH')).toBe(true);
+    unsubscribe();
+  });
+
+  it('routes to the login screen with the account preselected', () => {
+    expect(
+      getLoginRouteForSession({
+        userType: 'teacher',
+        account: teacher,
+        source: 'user',
+      })
+    ).toEqual({
+      name: 'Login',
+      params: {
+        loginType: 'teacher',
+        username: 'teacher1',
+        sessionExpired: true,
+      },
+    });
+    expect(
+      getLoginRouteForSession({
+        userType: 'student',
+        account: { username: 'child1' },
+        source: 'studentAccounts',
+      }).params
+    ).toMatchObject({ loginType: 'student', isAddingStudent: true });
+    expect(
+      getLoginRouteForSession({ userType: 'guardian', account: {} }).name
+    ).toBe('GuardianLogin');
+  });
+
+  it('swaps the auth code in query strings and JSON bodies', () => {
+    const config = replaceRequestAuthCode(
+      {
+        url: 'https://example.com/api?a=1&authCode=OLD',
+        headers: {},
+        body: { auth_code: 'OLD', id: 2 },
+      },
+      'OLD',
+      'NEW'
+    );
+
+    expect(config.url).toBe('https://example.com/api?a=1&authCode=NEW');
+    expect(config.body).toEqual({ auth_code: 'NEW', id: 2 });
+  });
+});
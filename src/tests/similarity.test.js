@@ -0,0 +1,85 @@
+/**
+ * Similarity Tests
+ * Tests shingling, pair scoring and highlighted passages
+ */
+
+import {
+  tokenize,
+  prepareText,
+  compareTexts,
+  analyzeSubmissions,
+  splitHighlights,
+  SIMILARITY_LEVELS,
+} from '../utils/similarity';
+
+const ESSAY =
+  'The water cycle moves water between the oceans, the air and the land. ' +
+  'Heat from the sun turns water into vapour which rises and cools into clouds.';
+
+describe('Similarity', () => {
+  it('tokenizes words with their positions and splits Thai by character', () => {
+    expect(tokenize('Hello, World!')).toEqual([
+      { word: 'hello', start: 0, end: 5 },
+      { word: 'world', start: 7, end: 12 },
+    ]);
+    expect(tokenize('น้ำ').map((token) => token.word)).toHaveLength(3);
+  });
+
+  it('scores copied passages against the shorter answer', () => {
+    const copied = prepareText(ESSAY);
+    const longer = prepareText(
+      `I think that ${ESSAY} Rain then falls back and the cycle repeats.`
+    );
+
+    const result = compareTexts(copied, longer);
+
+    expect(result.score).toBe(1);
+    expect(result.rangesB).toEqual([{ start: 13, end: 13 + ESSAY.length - 1 }]);
+    expect(
+      splitHighlights(longer.text, result.rangesB).map((s) => s.highlighted)
+    ).toEqual([false, true, false]);
+  });
+
+  it('ignores text copied from the assignment prompt', () => {
+    const prompt =
+      '<p>Explain how the water cycle works in your own words.</p>';
+    const submissions = [
+      {
+        detail_id: 1,
+        reply_data: `Explain how the water cycle works in your own words. ${ESSAY}`,
+      },
+      {
+        detail_id: 2,
+        reply_data:
+          'Explain how the water cycle works in your own words. Plants ' +
+          'release moisture through their leaves and lakes slowly evaporate ' +
+          'during warm summer days.',
+      },
+    ];
+
+    const { pairs, compared } = analyzeSubmissions(submissions, {
+      promptText: prompt,
+    });
+
+    expect(compared).toHaveLength(2);
+    expect(pairs).toEqual([]);
+  });
+
+  it('skips short answers and sorts pairs by score', () => {
+    const submissions = [
+      { detail_id: 1, reply_data: `<p>${ESSAY}</p>` },
+      { detail_id: 2, reply_data: 'Too short to check.' },
+      { detail_id: 3, reply_data: ESSAY.replace('cools', 'condenses') },
+      { detail_id: 4, reply_data: `<p>${ESSAY}</p>` },
+    ];
+
+    const { pairs, skipped } = analyzeSubmissions(submissions);
+
+    expect(skipped.map((s) => s.detail_id)).toEqual([2]);
+    expect(pairs).toHaveLength(3);
+    expect([pairs[0].a.detail_id, pairs[0].b.detail_id]).toEqual([1, 4]);
+    expect(pairs[0].score).toBe(1);
+    expect(pairs[0].level).toBe(SIMILARITY_LEVELS.HIGH);
+    expect(pairs[1].score).toBeLessThan(1);
+  });
+});
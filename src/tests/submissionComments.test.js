@@ -0,0 +1,96 @@
+/**
+ * Submission Comments Tests
+ * Tests the comment thread service and read-only parent access
+ */
+
+import { apiRequest } from '../services/apiClient';
+import * as homeworkService from '../services/homeworkService';
+import { adaptHomeworkService } from '../services/parentProxyAdapter';
+
+jest.mock('@react-native-async-storage/async-storage', () => ({
+  getItem: jest.fn(() => Promise.resolve(null)),
+  setItem: jest.fn(() => Promise.resolve()),
+}));
+
+jest.mock('expo-file-system/legacy', () => ({}));
+
+jest.mock('../services/apiClient', () => ({
+  apiRequest: jest.fn(() => Promise.resolve({ success: true, data: [] })),
+}));
+
+jest.mock('../services/authService', () => ({
+  getStoredAuthCode: jest.fn(() => Promise.resolve('student-auth')),
+}));
+
+jest.mock('../config/env', () => ({
+  Config: {
+    API_ENDPOINTS: {
+      GET_SUBMISSION_COMMENTS: '/homework/submission/comments',
+      ADD_SUBMISSION_COMMENT: '/homework/submission/comments/add',
+      PARENT_STUDENT_HOMEWORK_COMMENTS: '/parent/student/homework/comments',
+    },
+  },
+  buildApiUrl: jest.fn((endpoint, params) =>
+    params ? `${endpoint}?${new URLSearchParams(params)}` : endpoint
+  ),
+}));
+
+describe('Submission comments', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('posts a trimmed comment with its attachments', async () => {
+    const attachment = { url: 'https://x.test/draft.pdf', name: 'draft.pdf' };
+
+    await homeworkService.addSubmissionComment(42, {
+      body: '  Is this better?  ',
+      attachments: [attachment],
+    });
+
+    expect(apiRequest).toHaveBeenCalledWith(
+      '/homework/submission/comments/add',
+      {
+        method: 'POST',
+        body: {
+          auth_code: 'student-auth',
+          detail_id: 42,
+          body: 'Is this better?',
+          attachments: [attachment],
+        },
+      }
+    );
+  });
+
+  it('refuses an empty comment', async () => {
+    await expect(
+      homeworkService.addSubmissionComment(42, { body: '   ' })
+    ).rejects.toThrow('Write a comment or attach a file');
+    expect(apiRequest).not.toHaveBeenCalled();
+  });
+
+  it('reads the thread directly or through the parent proxy', async () => {
+    const homeworkAccess = adaptHomeworkService(homeworkService);
+
+    await homeworkAccess.getSubmissionComments(42, 'student-auth');
+    expect(apiRequest).toHaveBeenLastCalledWith(
+      '/homework/submission/comments?auth_code=student-auth&detail_id=42',
+      { method: 'GET' }
+    );
+
+    apiRequest.mockResolvedValueOnce({
+      success: true,
+      comments: [{ id: 1, body: 'Well done' }],
+    });
+    const response = await homeworkAccess.getSubmissionComments(
+      42,
+      'parent-auth',
+      { useParentProxy: true, studentId: 7 }
+    );
+
+    expect(apiRequest).toHaveBeenLastCalledWith(
+      '/parent/student/homework/comments?authCode=parent-auth&student_id=7&detail_id=42'
+    );
+    expect(response.data).toEqual([{ id: 1, body: 'Well done' }]);
+  });
+});
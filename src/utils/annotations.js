@@ -0,0 +1,235 @@
+/**
+ * Annotations
+ * Drawing, highlighting and comment pins on submitted homework files
+ *
+ * A file is annotated page by page: an image has one page, and a PDF has
+ * one page image per page, rendered by the server. Items store points as
+ * fractions of the page size (0..1), so they line up at any screen size:
+ * {
+ *   file_url: 'https://…/essay.pdf',
+ *   pages: [{ url: 'https://…/essay-1.png', width: 1240, height: 1754 }],
+ *   items: [
+ *     { id, page: 0, tool: 'pen', color: '#FF3B30', points: [{ x, y }] },
+ *     { id, page: 0, tool: 'pin', color: '#FF3B30', x, y, text: 'Cite this' },
+ *   ],
+ * }
+ */
+
+import { createLocalId } from './rubrics';
+
+export const ANNOTATION_TOOLS = {
+  PEN: 'pen',
+  HIGHLIGHTER: 'highlighter',
+  PIN: 'pin',
+};
+
+export const ANNOTATION_COLORS = ['#FF3B30', '#007AFF', '#34C759', '#FFCC00'];
+
+// Stroke width as a fraction of the page width
+const STROKE_STYLES = {
+  [ANNOTATION_TOOLS.PEN]: { width: 0.005, opacity: 1 },
+  [ANNOTATION_TOOLS.HIGHLIGHTER]: { width: 0.03, opacity: 0.35 },
+};
+
+// Points closer than this to the previous one are dropped while drawing
+const MIN_POINT_DISTANCE = 0.003;
+
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'gif', 'webp', 'heic', 'bmp'];
+
+const getExtension = (url) => {
+  const path = String(url || '')
+    .split(/[?#]/)[0]
+    .toLowerCase();
+  const match = path.match(/\.([a-z0-9]+)$/);
+  return match ? match[1] : null;
+};
+
+/**
+ * What kind of file a submission link points to
+ * Links without an extension, such as Google Drive links, are 'unknown':
+ * the server can still render them if they turn out to be an image or PDF.
+ * @param {string} url
+ * @param {string} mimeType - Optional
+ * @returns {'image'|'pdf'|'unknown'|null} - null when there is no file
+ */
+export const getAnnotationFileKind = (url, mimeType = '') => {
+  if (!url) return null;
+
+  const type = String(mimeType).toLowerCase();
+  if (type.startsWith('image/')) return 'image';
+  if (type === 'application/pdf') return 'pdf';
+
+  const extension = getExtension(url);
+  if (IMAGE_EXTENSIONS.includes(extension)) return 'image';
+  if (extension === 'pdf') return 'pdf';
+
+  return extension ? null : 'unknown';
+};
+
+/**
+ * Point on a page as fractions of its size, kept inside the page
+ * @param {{ x: number, y: number }} point - Point in layout pixels
+ * @param {{ width: number, height: number }} size - Page size on screen
+ * @returns {{ x: number, y: number }}
+ */
+export const normalizePoint = (point, size) => {
+  const clamp = (value) => Math.min(1, Math.max(0, value));
+  const round = (value) => Math.round(value * 10000) / 10000;
+
+  return {
+    x: round(clamp(point.x / size.width)),
+    y: round(clamp(point.y / size.height)),
+  };
+};
+
+/**
+ * Add a point to a stroke unless it is too close to the last one
+ * @param {Array<Object>} points - Normalized points so far
+ * @param {Object} point - Normalized point
+ * @returns {Array<Object>}
+ */
+export const appendPoint = (points, point) => {
+  const last = points[points.length - 1];
+  if (
+    last &&
+    Math.hypot(point.x - last.x, point.y - last.y) < MIN_POINT_DISTANCE
+  ) {
+    return points;
+  }
+  return [...points, point];
+};
+
+/**
+ * SVG path for a stroke at the page's on-screen size
+ * A single point becomes a dot.
+ * @param {Array<Object>} points - Normalized points
+ * @param {{ width: number, height: number }} size
+ * @returns {string}
+ */
+export const strokeToPath = (points, size) => {
+  if (!points?.length) return '';
+
+  const coords = points.map(
+    (point) =>
+      `${(point.x * size.width).toFixed(1)} ${(point.y * size.height).toFixed(
+        1
+      )}`
+  );
+  if (coords.length === 1) {
+    coords.push(coords[0]);
+  }
+
+  return `M ${coords[0]} ${coords
+    .slice(1)
+    .map((coord) => `L ${coord}`)
+    .join(' ')}`;
+};
+
+/**
+ * Stroke width and opacity for a drawing tool at the page's on-screen width
+ * @param {string} tool
+ * @param {number} pageWidth
+ * @returns {{ width: number, opacity: number }}
+ */
+export const getStrokeStyle = (tool, pageWidth) => {
+  const style = STROKE_STYLES[tool] || STROKE_STYLES[ANNOTATION_TOOLS.PEN];
+  return {
+    width: Math.max(1, style.width * pageWidth),
+    opacity: style.opacity,
+  };
+};
+
+/**
+ * New stroke starting at a point
+ * @param {Object} options - { page, tool, color, point }
+ * @returns {Object}
+ */
+export const createStroke = ({ page, tool, color, point }) => ({
+  id: createLocalId(),
+  page,
+  tool,
+  color,
+  points: [point],
+});
+
+/**
+ * New comment pin
+ * @param {Object} options - { page, color, point, text }
+ * @returns {Object}
+ */
+export const createPin = ({ page, color, point, text }) => ({
+  id: createLocalId(),
+  page,
+  tool: ANNOTATION_TOOLS.PIN,
+  color,
+  x: point.x,
+  y: point.y,
+  text: text.trim(),
+});
+
+/**
+ * Items on one page, with pins numbered in the order they were dropped
+ * @param {Array<Object>} items
+ * @param {number} page
+ * @returns {{ strokes: Array<Object>, pins: Array<Object> }}
+ */
+export const getPageItems = (items = [], page) => {
+  const onPage = items.filter((item) => item.page === page);
+
+  return {
+    strokes: onPage.filter((item) => item.tool !== ANNOTATION_TOOLS.PIN),
+    pins: onPage
+      .filter((item) => item.tool === ANNOTATION_TOOLS.PIN)
+      .map((pin, index) => ({ ...pin, number: index + 1 })),
+  };
+};
+
+/**
+ * Count of drawings and comment pins
+ * @param {Object} annotation - Saved annotation, or null
+ * @returns {{ drawings: number, pins: number, total: number }}
+ */
+export const summarizeAnnotations = (annotation) => {
+  const items = annotation?.items || [];
+  const pins = items.filter((item) => item.tool === ANNOTATION_TOOLS.PIN);
+
+  return {
+    drawings: items.length - pins.length,
+    pins: pins.length,
+    total: items.length,
+  };
+};
+
+/**
+ * Annotation ready to save: empty pins are dropped
+ * @param {Object} annotation - { file_url, pages, items }
+ * @returns {Object}
+ */
+export const normalizeAnnotation = (annotation) => ({
+  file_url: annotation.file_url,
+  pages: (annotation.pages || []).map((page) => ({
+    url: page.url,
+    width: page.width || null,
+    height: page.height || null,
+  })),
+  items: (annotation.items || []).filter((item) =>
+    item.tool === ANNOTATION_TOOLS.PIN
+      ? !!item.text?.trim()
+      : item.points?.length > 0
+  ),
+});
+
+export default {
+  ANNOTATION_TOOLS,
+  ANNOTATION_COLORS,
+  getAnnotationFileKind,
+  normalizePoint,
+  appendPoint,
+  strokeToPath,
+  getStrokeStyle,
+  createStroke,
+  createPin,
+  getPageItems,
+  summarizeAnnotations,
+  normalizeAnnotation,
+};
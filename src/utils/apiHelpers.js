@@ -4,6 +4,7 @@
  */
 
 import Config from '../config/env';
+import { appendQueryParams, redactUrl, redactParams } from './queryString';
 
 /**
  * Build API URL with query parameters
@@ -21,22 +22,10 @@ export const buildApiUrl = (endpoint, params = {}) => {
       ? endpoint.slice(1)
       : endpoint;
 
-    // Build base URL
-    let fullUrl = `${baseUrl}/${cleanEndpoint}`;
+    // Build URL with an encoded query string
+    const fullUrl = appendQueryParams(`${baseUrl}/${cleanEndpoint}`, params);
 
-    // Manually build query string without encoding
-    const queryParams = [];
-    Object.keys(params).forEach((key) => {
-      if (params[key] !== null && params[key] !== undefined) {
-        queryParams.push(`${key}=${params[key]}`);
-      }
-    });
-
-    if (queryParams.length > 0) {
-      fullUrl += '?' + queryParams.join('&');
-    }
-
-    console.log('🔗 API HELPERS: Built URL:', fullUrl);
+    console.log('🔗 API HELPERS: Built URL:', redactUrl(fullUrl));
     return fullUrl;
   } catch (error) {
     console.error('❌ API HELPERS: Error building URL:', error);
@@ -44,6 +33,50 @@ export const buildApiUrl = (endpoint, params = {}) => {
   }
 };
 
+/**
+ * Fetch with a timeout that actually aborts the request
+ * (React Native's fetch ignores a `timeout` option)
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options (an existing `signal` is honoured)
+ * @param {number} timeout - Timeout in milliseconds
+ * @returns {Promise<Response>} - Fetch response
+ */
+export const fetchWithTimeout = async (
+  url,
+  options = {},
+  timeout = Config.NETWORK?.TIMEOUT || 30000
+) => {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const { signal } = options;
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort();
+    } else {
+      signal.addEventListener('abort', () => controller.abort());
+    }
+  }
+
+  const timeoutId = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeout);
+
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (timedOut) {
+      const timeoutError = new Error(`Request timeout after ${timeout}ms`);
+      timeoutError.name = 'TimeoutError';
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
 /**
  * Make API request with common error handling
  * @param {string} url - API URL
@@ -52,8 +85,15 @@ export const buildApiUrl = (endpoint, params = {}) => {
  */
 export const makeApiRequest = async (url, options = {}) => {
   try {
-    console.log('📤 API HELPERS: Making request to:', url);
-    console.log('📤 API HELPERS: Request options:', options);
+    console.log('📤 API HELPERS: Making request to:', redactUrl(url));
+    console.log('📤 API HELPERS: Request options:', {
+      ...options,
+      headers: redactParams(options.headers),
+      body: options.body ? '[body]' : undefined,
+    });
+
+    const { timeout = Config.NETWORK?.TIMEOUT || 30000, ...fetchOptions } =
+      options;
 
     // Default options
     const defaultOptions = {
@@ -62,21 +102,20 @@ export const makeApiRequest = async (url, options = {}) => {
         'Content-Type': 'application/json',
         Accept: 'application/json',
       },
-      timeout: Config.NETWORK?.TIMEOUT || 30000,
     };
 
     // Merge options
     const requestOptions = {
       ...defaultOptions,
-      ...options,
+      ...fetchOptions,
       headers: {
         ...defaultOptions.headers,
-        ...options.headers,
+        ...fetchOptions.headers,
       },
     };
 
     // Make the request
-    const response = await fetch(url, requestOptions);
+    const response = await fetchWithTimeout(url, requestOptions, timeout);
 
     console.log('📥 API HELPERS: Response status:', response.status);
     console.log('📥 API HELPERS: Response headers:', response.headers);
@@ -280,6 +319,7 @@ export const getErrorMessage = (response) => {
  */
 export default {
   buildApiUrl,
+  fetchWithTimeout,
   makeApiRequest,
   parseApiTextResponse,
   handleApiError,
@@ -4,6 +4,7 @@
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from '../services/secureStorage';
 import { getUserData, getAllLoggedInUsers } from '../services/authService';
 
 /**
@@ -86,7 +87,7 @@ export const getValidatedUserData = async () => {
 
     // If we have any valid users, return the most recent one from generic key
     if (Object.keys(allUsers).length > 0) {
-      const genericUserDataStr = await AsyncStorage.getItem('userData');
+      const genericUserDataStr = await secureSessionStorage.getItem('userData');
       if (genericUserDataStr) {
         const genericUserData = safeJsonParse(genericUserDataStr);
         if (isValidUserData(genericUserData)) {
@@ -107,7 +108,7 @@ export const getValidatedUserData = async () => {
     }
 
     // Fallback to original logic for backward compatibility
-    const userDataStr = await AsyncStorage.getItem('userData');
+    const userDataStr = await secureSessionStorage.getItem('userData');
     if (!userDataStr) {
       return null;
     }
@@ -115,7 +116,7 @@ export const getValidatedUserData = async () => {
     const userData = safeJsonParse(userDataStr);
     if (!isValidUserData(userData)) {
       console.warn('⚠️ VALIDATION: Invalid user data found, clearing...');
-      await AsyncStorage.removeItem('userData');
+      await secureSessionStorage.removeItem('userData');
       return null;
     }
 
@@ -132,7 +133,9 @@ export const getValidatedUserData = async () => {
  */
 export const getValidatedStudentAccounts = async () => {
   try {
-    const studentAccountsStr = await AsyncStorage.getItem('studentAccounts');
+    const studentAccountsStr = await secureSessionStorage.getItem(
+      'studentAccounts'
+    );
     if (!studentAccountsStr) {
       return [];
     }
@@ -142,7 +145,7 @@ export const getValidatedStudentAccounts = async () => {
       console.warn(
         '⚠️ VALIDATION: Student accounts is not an array, clearing...'
       );
-      await AsyncStorage.removeItem('studentAccounts');
+      await secureSessionStorage.removeItem('studentAccounts');
       return [];
     }
 
@@ -160,7 +163,7 @@ export const getValidatedStudentAccounts = async () => {
       console.log(
         '🔧 VALIDATION: Updating student accounts with valid data only'
       );
-      await AsyncStorage.setItem(
+      await secureSessionStorage.setItem(
         'studentAccounts',
         JSON.stringify(validStudents)
       );
@@ -216,14 +219,16 @@ export const validateAndSanitizeAllData = async () => {
     results.studentAccounts.count = studentAccounts.length;
 
     // Validate selectedStudent
-    const selectedStudentStr = await AsyncStorage.getItem('selectedStudent');
+    const selectedStudentStr = await secureSessionStorage.getItem(
+      'selectedStudent'
+    );
     if (selectedStudentStr) {
       const selectedStudent = safeJsonParse(selectedStudentStr);
       if (isValidStudentData(selectedStudent)) {
         results.selectedStudent.valid = true;
       } else {
         console.warn('⚠️ VALIDATION: Invalid selected student, clearing...');
-        await AsyncStorage.removeItem('selectedStudent');
+        await secureSessionStorage.removeItem('selectedStudent');
         results.selectedStudent.cleared = true;
       }
     }
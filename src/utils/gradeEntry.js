@@ -0,0 +1,295 @@
+/**
+ * Grade Entry Utilities
+ * Grid columns, validation and CSV import for bulk grade entry
+ */
+
+// Formative grades are EE/ME/AE/BE percentages sent as t1-t4
+export const GRADE_COLUMNS = {
+  summative: [{ key: 'score', label: 'score', numeric: true }],
+  formative: [
+    { key: 't1', label: 'EE', numeric: true },
+    { key: 't2', label: 'ME', numeric: true },
+    { key: 't3', label: 'AE', numeric: true },
+    { key: 't4', label: 'BE', numeric: true },
+  ],
+};
+
+const COMMENT_COLUMN = { key: 'comment', label: 'comment', numeric: false };
+
+// CSV header names accepted for each field (compared lowercase, without
+// spaces, dashes and underscores)
+const HEADER_ALIASES = {
+  id: ['studentid', 'id', 'studentnumber', 'studentno'],
+  name: ['name', 'studentname', 'student', 'fullname'],
+  score: ['score', 'mark', 'marks', 'points', 'rawscore', 'grade'],
+  t1: ['t1', 'ee'],
+  t2: ['t2', 'me'],
+  t3: ['t3', 'ae'],
+  t4: ['t4', 'be'],
+  comment: ['comment', 'comments', 'feedback', 'remarks'],
+};
+
+/**
+ * Columns shown in the grade grid for an assessment type
+ * @param {string} type - 'summative' or 'formative'
+ * @returns {Array<Object>} - [{ key, label, numeric }]
+ */
+export const getGradeColumns = (type) => [
+  ...(GRADE_COLUMNS[type] || GRADE_COLUMNS.summative),
+  COMMENT_COLUMN,
+];
+
+export const getStudentId = (student) =>
+  student?.student_id ?? student?.id ?? null;
+
+export const getStudentName = (student) =>
+  student?.student_name ||
+  student?.name ||
+  student?.full_name ||
+  [student?.firstname, student?.lastname].filter(Boolean).join(' ');
+
+/**
+ * Validate a grid cell
+ * @param {string} value - Cell text
+ * @param {Object} column - Column from getGradeColumns()
+ * @param {number} maxScore - Assessment max score (summative)
+ * @returns {string|null} - Translation key of the error, or null when valid
+ */
+export const validateGradeValue = (value, column, maxScore) => {
+  if (!column.numeric) return null;
+
+  const text = value === null || value === undefined ? '' : String(value);
+  if (text.trim() === '') return null;
+
+  if (!/^\d+(\.\d+)?$/.test(text.trim())) return 'invalidScore';
+
+  const number = parseFloat(text);
+  const max = column.key === 'score' ? parseFloat(maxScore) : 100;
+  if (!isNaN(max) && number > max) return 'scoreAboveMax';
+
+  return null;
+};
+
+/**
+ * Parse CSV text into rows of cells.
+ * Handles quoted fields, CRLF line endings, a byte order mark and
+ * semicolon- or tab-separated files exported by spreadsheets.
+ *
+ * @param {string} text - CSV file content
+ * @returns {Array<Array<string>>} - Rows without blank lines
+ */
+export const parseCsv = (text) => {
+  const content = (text || '').replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/)[0] || '';
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+    firstLine.split(candidate).length > firstLine.split(best).length
+      ? candidate
+      : best
+  );
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  row.push(cell.trim());
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((value) => value !== ''));
+};
+
+const normalizeHeader = (header) =>
+  header.toLowerCase().replace(/[\s_\-.]/g, '');
+
+// "Smith, John" and "john  smith" match the same student
+export const normalizeName = (name) =>
+  (name || '')
+    .toLowerCase()
+    .replace(/[.,;:'"()_-]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+
+const isSameValue = (a, b, column) =>
+  column.numeric && a !== '' && b !== ''
+    ? parseFloat(a) === parseFloat(b)
+    : String(a) === String(b);
+
+const findColumns = (header) => {
+  const columns = {};
+  header.forEach((title, index) => {
+    const normalized = normalizeHeader(title);
+    Object.entries(HEADER_ALIASES).forEach(([field, aliases]) => {
+      if (columns[field] === undefined && aliases.includes(normalized)) {
+        columns[field] = index;
+      }
+    });
+  });
+  return columns;
+};
+
+/**
+ * Match CSV rows to students and compare them with the current grid.
+ * Rows are matched by student ID first, then by name.
+ *
+ * @param {string} text - CSV file content with a header row
+ * @param {Object} options
+ * @param {Array} options.students - Students from getGradeStudents
+ * @param {Object} options.currentValues - Grid values by student ID
+ * @param {string} options.type - 'summative' or 'formative'
+ * @param {number} options.maxScore - Assessment max score
+ * @returns {Object} - {
+ *   error: string|null,   // translation key when the file can't be used
+ *   changes: [{ studentId, studentName, key, from, to, error }],
+ *   values: { [studentId]: { [key]: value } },  // changed cells only
+ *   unmatched: [{ line, id, name }],
+ *   unchanged: number
+ * }
+ */
+export const buildGradeImport = (
+  text,
+  { students = [], currentValues = {}, type = 'summative', maxScore }
+) => {
+  const result = {
+    error: null,
+    changes: [],
+    values: {},
+    unmatched: [],
+    unchanged: 0,
+  };
+
+  const rows = parseCsv(text);
+  if (rows.length < 2) {
+    result.error = 'csvNoRows';
+    return result;
+  }
+
+  const columns = findColumns(rows[0]);
+  const gradeColumns = getGradeColumns(type).filter(
+    (column) => columns[column.key] !== undefined
+  );
+  const hasGrades = gradeColumns.some((column) => column.numeric);
+  if ((columns.id === undefined && columns.name === undefined) || !hasGrades) {
+    result.error = 'csvMissingColumns';
+    return result;
+  }
+
+  const studentsById = new Map(
+    students.map((student) => [String(getStudentId(student)), student])
+  );
+  const studentsByName = new Map();
+  students.forEach((student) => {
+    const key = normalizeName(getStudentName(student));
+    // Ambiguous names can only be matched by ID
+    studentsByName.set(key, studentsByName.has(key) ? null : student);
+  });
+
+  rows.slice(1).forEach((cells, index) => {
+    const line = index + 2;
+    const id = columns.id !== undefined ? cells[columns.id] || '' : '';
+    const name = columns.name !== undefined ? cells[columns.name] || '' : '';
+    const student =
+      (id && studentsById.get(id)) ||
+      (name && studentsByName.get(normalizeName(name))) ||
+      null;
+
+    if (!student) {
+      result.unmatched.push({ line, id, name });
+      return;
+    }
+
+    const studentId = getStudentId(student);
+    const current = currentValues[studentId] || {};
+    let changed = false;
+
+    gradeColumns.forEach((column) => {
+      const to = cells[columns[column.key]] ?? '';
+      const from = current[column.key] ?? '';
+      // Empty cells never clear an existing grade
+      if (to === '' || isSameValue(to, from, column)) return;
+
+      changed = true;
+      result.changes.push({
+        studentId,
+        studentName: getStudentName(student),
+        key: column.key,
+        from: String(from),
+        to,
+        error: validateGradeValue(to, column, maxScore),
+      });
+      result.values[studentId] = {
+        ...result.values[studentId],
+        [column.key]: to,
+      };
+    });
+
+    if (!changed) result.unchanged++;
+  });
+
+  return result;
+};
+
+/**
+ * Build the bulk save payload from the changed grid rows
+ * @param {Object} values - Grid values by student ID
+ * @param {Object} originalValues - Values loaded from the server by student ID
+ * @param {string} type - 'summative' or 'formative'
+ * @returns {Array<Object>} - Grades for saveSummativeGradesBulk / saveFormativeGradesBulk
+ */
+export const buildBulkGrades = (values, originalValues, type) => {
+  const columns = getGradeColumns(type);
+
+  return Object.entries(values)
+    .filter(([studentId, row]) =>
+      columns.some(
+        (column) =>
+          String(row[column.key] ?? '') !==
+          String(originalValues[studentId]?.[column.key] ?? '')
+      )
+    )
+    .filter(([, row]) =>
+      columns.some(
+        (column) => column.numeric && String(row[column.key] ?? '') !== ''
+      )
+    )
+    .map(([studentId, row]) => {
+      const grade = { student_id: parseInt(studentId, 10) || studentId };
+      columns.forEach((column) => {
+        const value = String(row[column.key] ?? '').trim();
+        if (column.numeric) {
+          grade[column.key] = value === '' ? null : parseFloat(value);
+        } else {
+          grade[column.key] = value;
+        }
+      });
+      return grade;
+    });
+};
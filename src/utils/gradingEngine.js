@@ -0,0 +1,380 @@
+/**
+ * Grading Engine
+ * Calculates subject averages from assessment data using weighted
+ * categories, dropped-lowest rules and configurable grade scales.
+ * Includes a what-if mode that projects the average for hypothetical scores.
+ */
+
+import { Config } from '../config/env';
+
+// Formative assessments are rated 1-4 on these criteria instead of points
+export const FORMATIVE_CRITERIA = ['tt1', 'tt2', 'tt3', 'tt4'];
+export const FORMATIVE_MAX_RATING = 4;
+
+// Category weights within this distance of 100 count as a complete scheme
+const WEIGHT_TOLERANCE = 5;
+
+/**
+ * Grade scales. Boundaries are minimum percentages, highest first.
+ */
+export const GRADE_SCALES = {
+  percentage: {
+    id: 'percentage',
+    name: 'Percentage',
+    boundaries: null,
+  },
+  letter: {
+    id: 'letter',
+    name: 'Letter',
+    boundaries: [
+      { min: 90, label: 'A*' },
+      { min: 80, label: 'A' },
+      { min: 70, label: 'B' },
+      { min: 60, label: 'C' },
+      { min: 50, label: 'D' },
+      { min: 40, label: 'E' },
+      { min: 0, label: 'U' },
+    ],
+  },
+  ib: {
+    id: 'ib',
+    name: 'IB (1-7)',
+    boundaries: [
+      { min: 80, label: '7' },
+      { min: 70, label: '6' },
+      { min: 60, label: '5' },
+      { min: 50, label: '4' },
+      { min: 40, label: '3' },
+      { min: 25, label: '2' },
+      { min: 0, label: '1' },
+    ],
+  },
+};
+
+const isNumber = (value) =>
+  value !== null &&
+  value !== undefined &&
+  value !== '' &&
+  !isNaN(parseFloat(value));
+
+/**
+ * Whether an assessment is formative (criteria ratings, no points)
+ * @param {Object} assessment - Assessment from the grades API
+ * @returns {boolean}
+ */
+export const isFormativeAssessment = (assessment) => {
+  if (!assessment) return false;
+  if (assessment.grading_type) return assessment.grading_type === 'text';
+  return FORMATIVE_CRITERIA.some((key) => isNumber(assessment[key]));
+};
+
+/**
+ * Split assessments into summative and formative lists
+ * @param {Array} assessments - Unified list of assessments
+ * @returns {{summative: Array, formative: Array}}
+ */
+export const separateAssessments = (assessments) => {
+  const summative = [];
+  const formative = [];
+
+  (assessments || []).forEach((assessment) => {
+    if (isFormativeAssessment(assessment)) {
+      formative.push(assessment);
+    } else {
+      summative.push(assessment);
+    }
+  });
+
+  return { summative, formative };
+};
+
+/**
+ * Percentage score of a summative assessment.
+ * Raw score over max score is preferred because `calculated_grade` is
+ * sometimes a raw score rather than a percentage.
+ *
+ * @param {Object} assessment - Summative assessment
+ * @returns {number|null} - Percentage (0-100) or null if not graded
+ */
+export const getAssessmentPercentage = (assessment) => {
+  if (!assessment || assessment.is_graded === 0) return null;
+
+  if (isNumber(assessment.raw_score) && parseFloat(assessment.max_score) > 0) {
+    return (
+      (parseFloat(assessment.raw_score) / parseFloat(assessment.max_score)) *
+      100
+    );
+  }
+
+  const percentage = [
+    assessment.score_percentage,
+    assessment.percentage,
+    assessment.calculated_grade,
+  ].find(isNumber);
+
+  return percentage !== undefined ? parseFloat(percentage) : null;
+};
+
+const getCategoryName = (assessment) =>
+  assessment.type_title || assessment.category || 'Other';
+
+/**
+ * Build the weighting scheme for a subject from its assessments.
+ * Weights come from the template's assessment types, falling back to each
+ * assessment's `type_percentage`. Drop-lowest rules come from
+ * `Config.GRADING.DROP_LOWEST` unless passed in `overrides`.
+ *
+ * @param {Array} assessments - Summative assessments of one subject
+ * @param {Object} overrides - Optional { scale, dropLowest, categories }
+ * @returns {Object} - { scale, categories: { [name]: { weight, dropLowest } } }
+ */
+export const getGradingScheme = (assessments, overrides = {}) => {
+  const dropLowest = overrides.dropLowest || Config.GRADING.DROP_LOWEST || {};
+  const categories = {};
+
+  const addCategory = (name, weight) => {
+    if (!categories[name]) {
+      categories[name] = { weight: null, dropLowest: dropLowest[name] || 0 };
+    }
+    if (categories[name].weight === null && isNumber(weight)) {
+      categories[name].weight = parseFloat(weight);
+    }
+  };
+
+  (assessments || []).forEach((assessment) => {
+    (assessment.template_info?.assessment_types || []).forEach((type) =>
+      addCategory(type.title, type.percentage)
+    );
+    addCategory(getCategoryName(assessment), assessment.type_percentage);
+  });
+
+  Object.entries(overrides.categories || {}).forEach(([name, category]) => {
+    categories[name] = { ...categories[name], ...category };
+  });
+
+  return {
+    scale: overrides.scale || Config.GRADING.SCALE,
+    categories,
+  };
+};
+
+/**
+ * Convert a percentage to a label on a grade scale
+ * @param {number|null} percentage - Percentage (0-100)
+ * @param {string} scaleId - 'percentage', 'letter' or 'ib'
+ * @returns {string} - Grade label, or 'N/A' without a percentage
+ */
+export const convertToScale = (percentage, scaleId = Config.GRADING.SCALE) => {
+  if (!isNumber(percentage)) return 'N/A';
+
+  const scale = GRADE_SCALES[scaleId] || GRADE_SCALES.percentage;
+  if (!scale.boundaries) return `${Math.round(percentage)}%`;
+
+  const boundary = scale.boundaries.find(({ min }) => percentage >= min);
+  return boundary
+    ? boundary.label
+    : scale.boundaries[scale.boundaries.length - 1].label;
+};
+
+const average = (values) =>
+  values.length > 0
+    ? values.reduce((sum, value) => sum + value, 0) / values.length
+    : null;
+
+/**
+ * Calculate the average of a subject's summative assessments.
+ *
+ * Each category's scores are averaged after dropping its lowest scores,
+ * then categories are combined by weight. Weights are rescaled over the
+ * categories that have grades, so a missing exam does not pull the
+ * average down. Without weights for every graded category a simple
+ * average of all scores is used.
+ *
+ * @param {Array} assessments - Assessments of one subject (formative ones are ignored)
+ * @param {Object} scheme - Optional scheme from getGradingScheme()
+ * @returns {Object} - {
+ *   average: number|null, rounded: number|null, label: string,
+ *   method: 'weighted'|'partial'|'simple'|null, scale: string,
+ *   categories: [{ name, weight, average, graded, dropped }]
+ * }
+ */
+export const calculateSubjectGrade = (assessments, scheme = null) => {
+  const { summative } = separateAssessments(assessments);
+  const gradingScheme = scheme || getGradingScheme(summative);
+
+  const scoresByCategory = {};
+  summative.forEach((assessment) => {
+    const percentage = getAssessmentPercentage(assessment);
+    if (percentage === null) return;
+
+    const name = getCategoryName(assessment);
+    if (!scoresByCategory[name]) scoresByCategory[name] = [];
+    scoresByCategory[name].push({
+      id: assessment.assessment_id,
+      percentage,
+    });
+  });
+
+  const categories = Object.entries(scoresByCategory).map(([name, scores]) => {
+    const rule = gradingScheme.categories[name] || {};
+    // Always keep at least one score in a category
+    const dropCount = Math.min(rule.dropLowest || 0, scores.length - 1);
+    const sorted = [...scores].sort((a, b) => a.percentage - b.percentage);
+    const kept = sorted.slice(dropCount);
+
+    return {
+      name,
+      weight: isNumber(rule.weight) ? rule.weight : null,
+      average: average(kept.map((score) => score.percentage)),
+      graded: scores.length,
+      dropped: sorted.slice(0, dropCount).map((score) => score.id),
+      kept,
+    };
+  });
+
+  if (categories.length === 0) {
+    return {
+      average: null,
+      rounded: null,
+      label: convertToScale(null, gradingScheme.scale),
+      method: null,
+      scale: gradingScheme.scale,
+      categories: [],
+    };
+  }
+
+  const usedWeight = categories.reduce((sum, c) => sum + (c.weight || 0), 0);
+  const isWeighted =
+    usedWeight > 0 && categories.every((category) => category.weight !== null);
+
+  let subjectAverage;
+  let method;
+  if (isWeighted) {
+    subjectAverage =
+      categories.reduce((sum, c) => sum + c.average * c.weight, 0) / usedWeight;
+    const schemeWeight = Object.values(gradingScheme.categories).reduce(
+      (sum, category) => sum + (category.weight || 0),
+      0
+    );
+    method =
+      Math.abs(usedWeight - schemeWeight) <= WEIGHT_TOLERANCE &&
+      Math.abs(schemeWeight - 100) <= WEIGHT_TOLERANCE
+        ? 'weighted'
+        : 'partial';
+  } else {
+    subjectAverage = average(
+      categories.flatMap((c) => c.kept.map((score) => score.percentage))
+    );
+    method = 'simple';
+  }
+
+  return {
+    average: subjectAverage,
+    rounded: Math.round(subjectAverage),
+    label: convertToScale(subjectAverage, gradingScheme.scale),
+    method,
+    scale: gradingScheme.scale,
+    categories: categories.map(({ kept, ...category }) => category),
+  };
+};
+
+/**
+ * Summarise formative ratings (1-4) per criterion
+ * @param {Array} assessments - Assessments of one subject (summative ones are ignored)
+ * @returns {Object} - { average: number|null, criteria: { tt1..tt4: number|null }, graded }
+ */
+export const calculateFormativeSummary = (assessments) => {
+  const { formative } = separateAssessments(assessments);
+  const criteria = {};
+
+  FORMATIVE_CRITERIA.forEach((key) => {
+    criteria[key] = average(
+      formative.filter((a) => isNumber(a[key])).map((a) => parseFloat(a[key]))
+    );
+  });
+
+  const ratings = formative.flatMap((a) =>
+    FORMATIVE_CRITERIA.filter((key) => isNumber(a[key])).map((key) =>
+      parseFloat(a[key])
+    )
+  );
+
+  return {
+    average: average(ratings),
+    criteria,
+    graded: formative.filter((a) =>
+      FORMATIVE_CRITERIA.some((key) => isNumber(a[key]))
+    ).length,
+  };
+};
+
+/**
+ * Project the subject average for hypothetical scores.
+ * A hypothetical with an `assessment_id` replaces that assessment's score
+ * (e.g. an ungraded test); one without is added as a new assessment.
+ *
+ * @param {Array} assessments - Summative assessments of one subject
+ * @param {Array} hypotheticals - [{ assessment_id?, category?, score, max_score? }]
+ * @param {Object} scheme - Optional scheme from getGradingScheme()
+ * @returns {Object} - { current, projected, difference } where current and
+ *   projected are calculateSubjectGrade() results
+ */
+export const calculateWhatIf = (assessments, hypotheticals, scheme = null) => {
+  const gradingScheme = scheme || getGradingScheme(assessments);
+  const current = calculateSubjectGrade(assessments, gradingScheme);
+
+  const valid = (hypotheticals || []).filter(
+    (h) => isNumber(h.score) && (!isNumber(h.max_score) || h.max_score > 0)
+  );
+  const overrides = new Map(
+    valid
+      .filter((h) => h.assessment_id !== undefined && h.assessment_id !== null)
+      .map((h) => [h.assessment_id, h])
+  );
+
+  const toAssessment = (hypothetical, base = {}) => ({
+    ...base,
+    type_title:
+      hypothetical.category ||
+      (base.assessment_id ? getCategoryName(base) : 'Other'),
+    raw_score: parseFloat(hypothetical.score),
+    max_score: isNumber(hypothetical.max_score)
+      ? parseFloat(hypothetical.max_score)
+      : base.max_score || 100,
+    score_percentage: null,
+    is_graded: 1,
+  });
+
+  const replaced = new Set();
+  const projectedAssessments = (assessments || []).map((assessment) => {
+    if (!overrides.has(assessment.assessment_id)) return assessment;
+    replaced.add(assessment.assessment_id);
+    return toAssessment(overrides.get(assessment.assessment_id), assessment);
+  });
+  valid
+    .filter((h) => !replaced.has(h.assessment_id))
+    .forEach((h) => projectedAssessments.push(toAssessment(h)));
+
+  const projected = calculateSubjectGrade(projectedAssessments, gradingScheme);
+
+  return {
+    current,
+    projected,
+    difference:
+      current.average !== null && projected.average !== null
+        ? projected.average - current.average
+        : null,
+  };
+};
+
+export default {
+  GRADE_SCALES,
+  isFormativeAssessment,
+  separateAssessments,
+  getAssessmentPercentage,
+  getGradingScheme,
+  convertToScale,
+  calculateSubjectGrade,
+  calculateFormativeSummary,
+  calculateWhatIf,
+};
@@ -14,7 +14,6 @@ import guardianService from '../services/guardianService';
  */
 export const runGuardianLifecycleDemo = async (authCode, pickupCardId) => {
   console.log('🚀 GUARDIAN LIFECYCLE DEMO: Starting demonstration...');
-  console.log('📋 GUARDIAN LIFECYCLE DEMO: Auth Code:', authCode);
   console.log('🆔 GUARDIAN LIFECYCLE DEMO: Pickup Card ID:', pickupCardId);
 
   try {
@@ -4,7 +4,9 @@
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from '../services/secureStorage';
 import { validateAndSanitizeAllData } from './dataValidation';
+import { isAuthCodeExpired } from '../services/sessionManager';
 
 /**
  * Run comprehensive diagnostics for homescreen navigation issues
@@ -19,6 +21,7 @@ export const runHomescreenDiagnostics = async () => {
       studentAccounts: { exists: false, valid: false, count: 0, error: null },
       selectedStudent: { exists: false, valid: false, error: null }
     },
+    session: { expired: false },
     dataValidation: null,
     recommendations: []
   };
@@ -39,13 +42,15 @@ export const runHomescreenDiagnostics = async () => {
 
   // Check userData
   try {
-    const userDataStr = await AsyncStorage.getItem('userData');
+    const userDataStr = await secureSessionStorage.getItem('userData');
     diagnostics.asyncStorage.userData.exists = !!userDataStr;
     
     if (userDataStr) {
       try {
         const userData = JSON.parse(userDataStr);
         diagnostics.asyncStorage.userData.valid = !!(userData && userData.userType && userData.name);
+        // Reported by the session manager when the backend rejected the auth code
+        diagnostics.session.expired = isAuthCodeExpired(userData?.authCode);
         
         if (!diagnostics.asyncStorage.userData.valid) {
           diagnostics.recommendations.push('User data exists but is invalid - missing required fields like userType or name');
@@ -62,7 +67,9 @@ export const runHomescreenDiagnostics = async () => {
 
   // Check studentAccounts
   try {
-    const studentAccountsStr = await AsyncStorage.getItem('studentAccounts');
+    const studentAccountsStr = await secureSessionStorage.getItem(
+      'studentAccounts'
+    );
     diagnostics.asyncStorage.studentAccounts.exists = !!studentAccountsStr;
     
     if (studentAccountsStr) {
@@ -92,7 +99,9 @@ export const runHomescreenDiagnostics = async () => {
 
   // Check selectedStudent
   try {
-    const selectedStudentStr = await AsyncStorage.getItem('selectedStudent');
+    const selectedStudentStr = await secureSessionStorage.getItem(
+      'selectedStudent'
+    );
     diagnostics.asyncStorage.selectedStudent.exists = !!selectedStudentStr;
     
     if (selectedStudentStr) {
@@ -163,6 +172,10 @@ export const generateUserFriendlyErrorMessage = (diagnostics) => {
     return 'Your login data is incomplete. Please log in again to continue.';
   }
 
+  if (diagnostics.session?.expired) {
+    return 'Your session has expired. Please log in again to continue.';
+  }
+
   return 'An unexpected error occurred. Please restart the app and try again.';
 };
 
@@ -0,0 +1,279 @@
+/**
+ * Late Policy
+ * How homework handed in after the deadline is treated
+ *
+ * Teachers set the policy when creating homework. It is sent and returned
+ * with the homework as late_policy:
+ * {
+ *   type: 'accept' | 'accept_until' | 'penalty' | 'reject',
+ *   grace_hours: 0,               // late work within this time counts as on time
+ *   accept_until: '2025-01-31',   // accept_until: last day late work is taken
+ *   penalty_per_day: 10,          // penalty: percent taken off per late day
+ *   max_penalty: 100,             // penalty: cap on the total percent
+ * }
+ */
+
+export const LATE_POLICY_TYPES = {
+  ACCEPT: 'accept',
+  ACCEPT_UNTIL: 'accept_until',
+  PENALTY: 'penalty',
+  REJECT: 'reject',
+};
+
+export const LATENESS_STATUS = {
+  ON_TIME: 'on_time',
+  GRACE: 'grace',
+  LATE: 'late',
+  CLOSED: 'closed', // Late and no longer accepted
+};
+
+export const DEFAULT_LATE_POLICY = {
+  type: LATE_POLICY_TYPES.ACCEPT,
+  grace_hours: 0,
+  accept_until: null,
+  penalty_per_day: 0,
+  max_penalty: 100,
+};
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const DATE_ONLY = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+/**
+ * Deadline as a Date. A date without a time means the end of that day.
+ * @param {string|Date} deadline
+ * @returns {Date|null}
+ */
+export const parseDeadline = (deadline) => {
+  if (!deadline) return null;
+  if (deadline instanceof Date) return deadline;
+
+  const dateOnly = String(deadline).match(DATE_ONLY);
+  if (dateOnly) {
+    const [, year, month, day] = dateOnly.map(Number);
+    return new Date(year, month - 1, day, 23, 59, 59);
+  }
+
+  const date = new Date(deadline);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Fill in missing fields
+ * @param {Object|null} policy - late_policy from the homework
+ * @returns {Object}
+ */
+export const normalizeLatePolicy = (policy) => {
+  const merged = { ...DEFAULT_LATE_POLICY, ...(policy || {}) };
+
+  return {
+    ...merged,
+    type: Object.values(LATE_POLICY_TYPES).includes(merged.type)
+      ? merged.type
+      : LATE_POLICY_TYPES.ACCEPT,
+    grace_hours: Math.max(0, Number(merged.grace_hours) || 0),
+    penalty_per_day: Math.max(0, Number(merged.penalty_per_day) || 0),
+    max_penalty: Math.min(100, Math.max(0, Number(merged.max_penalty) || 0)),
+  };
+};
+
+/**
+ * Validate a policy before the homework is created
+ * @param {Object} policy
+ * @param {string|Date} deadline
+ * @returns {Array<string>} - Error messages
+ */
+export const validateLatePolicy = (policy, deadline) => {
+  const normalized = normalizeLatePolicy(policy);
+  const errors = [];
+
+  if (normalized.type === LATE_POLICY_TYPES.ACCEPT_UNTIL) {
+    const until = parseDeadline(normalized.accept_until);
+    const due = parseDeadline(deadline);
+    if (!until) {
+      errors.push('Choose the last day late work is accepted');
+    } else if (due && until < due) {
+      errors.push('Late work must be accepted until after the deadline');
+    }
+  }
+
+  if (
+    normalized.type === LATE_POLICY_TYPES.PENALTY &&
+    (normalized.penalty_per_day <= 0 || normalized.penalty_per_day > 100)
+  ) {
+    errors.push('Penalty per day must be between 1 and 100%');
+  }
+
+  return errors;
+};
+
+/**
+ * Work out whether a submission is late and what the policy does about it
+ * @param {Object} params
+ * @param {string|Date} params.deadline - Homework deadline
+ * @param {Object|null} params.policy - Homework late_policy
+ * @param {string|Date|null} params.submittedAt - Submission time; when not
+ * submitted yet, the current time is used
+ * @param {Date} params.now
+ * @returns {Object} - { status, isLate, daysLate, accepted, penaltyPercent }
+ */
+export const getLateness = ({
+  deadline,
+  policy = null,
+  submittedAt = null,
+  now = new Date(),
+}) => {
+  const due = parseDeadline(deadline);
+  const normalized = normalizeLatePolicy(policy);
+  const at = submittedAt ? new Date(submittedAt) : now;
+  const onTime = {
+    status: LATENESS_STATUS.ON_TIME,
+    isLate: false,
+    daysLate: 0,
+    accepted: true,
+    penaltyPercent: 0,
+  };
+
+  if (!due || at <= due) return onTime;
+
+  if (at <= new Date(due.getTime() + normalized.grace_hours * HOUR)) {
+    return { ...onTime, status: LATENESS_STATUS.GRACE };
+  }
+
+  const daysLate = Math.ceil((at - due) / DAY);
+  let accepted = true;
+  let penaltyPercent = 0;
+
+  if (normalized.type === LATE_POLICY_TYPES.REJECT) {
+    accepted = false;
+  } else if (normalized.type === LATE_POLICY_TYPES.ACCEPT_UNTIL) {
+    const until = parseDeadline(normalized.accept_until);
+    accepted = !until || at <= until;
+  } else if (normalized.type === LATE_POLICY_TYPES.PENALTY) {
+    penaltyPercent = Math.min(
+      daysLate * normalized.penalty_per_day,
+      normalized.max_penalty
+    );
+  }
+
+  return {
+    status: accepted ? LATENESS_STATUS.LATE : LATENESS_STATUS.CLOSED,
+    isLate: true,
+    daysLate,
+    accepted,
+    penaltyPercent,
+  };
+};
+
+/**
+ * Lateness of a submission from a submissions list
+ * @param {Object} submission - Submission with is_completed and
+ * submitted_date (and deadline / late_policy when the list spans several
+ * homework)
+ * @param {Object} homework - Homework with deadline and late_policy (optional)
+ * @param {Date} now
+ * @returns {Object|null} - See getLateness; null when there is no deadline
+ */
+export const getSubmissionLateness = (
+  submission,
+  homework = {},
+  now = new Date()
+) => {
+  const deadline = submission.deadline || homework?.deadline;
+  if (!deadline) return null;
+
+  // Work that is not handed in only counts as late once the deadline passed.
+  // Submission history entries have no is_completed and are all handed in.
+  const handedIn = submission.is_completed ?? true;
+  return getLateness({
+    deadline,
+    policy: submission.late_policy || homework?.late_policy,
+    submittedAt: handedIn ? submission.submitted_date : null,
+    now,
+  });
+};
+
+/**
+ * Short description of a policy, e.g. for the homework details
+ * @param {Object|null} policy
+ * @param {Object} options
+ * @param {Function} options.t - Translation function; English when omitted
+ * @returns {string}
+ */
+export const describeLatePolicy = (policy, { t = null } = {}) => {
+  const normalized = normalizeLatePolicy(policy);
+  const label = (key, fallback) => (t ? t(key) : fallback);
+  let description;
+
+  switch (normalized.type) {
+    case LATE_POLICY_TYPES.REJECT:
+      description = label(
+        'latePolicyRejectDescription',
+        'Late work is not accepted'
+      );
+      break;
+    case LATE_POLICY_TYPES.ACCEPT_UNTIL:
+      description = label(
+        'latePolicyAcceptUntilDescription',
+        'Late work accepted until {date}'
+      ).replace('{date}', normalized.accept_until);
+      break;
+    case LATE_POLICY_TYPES.PENALTY:
+      description = label(
+        'latePolicyPenaltyDescription',
+        '{percent}% off per late day (max {max}%)'
+      )
+        .replace('{percent}', normalized.penalty_per_day)
+        .replace('{max}', normalized.max_penalty);
+      break;
+    default:
+      description = label('latePolicyAcceptDescription', 'Late work accepted');
+  }
+
+  if (normalized.grace_hours > 0) {
+    description += label(
+      'latePolicyGraceDescription',
+      ' after a {hours}h grace period'
+    ).replace('{hours}', normalized.grace_hours);
+  }
+
+  return description;
+};
+
+/**
+ * Short label for a lateness result, e.g. "Late · 2 days · −20%"
+ * @param {Object|null} lateness - From getLateness
+ * @param {Object} options
+ * @param {Function} options.t - Translation function; English when omitted
+ * @returns {string|null} - null when on time
+ */
+export const formatLateness = (lateness, { t = null } = {}) => {
+  if (!lateness?.isLate) return null;
+
+  const label = (key, fallback) => (t ? t(key) : fallback);
+  const parts = [
+    label('lateLabel', 'Late'),
+    label('lateDays', '{days} day(s)').replace('{days}', lateness.daysLate),
+  ];
+
+  if (!lateness.accepted) {
+    parts.push(label('lateNotAccepted', 'Not accepted'));
+  } else if (lateness.penaltyPercent > 0) {
+    parts.push(`−${lateness.penaltyPercent}%`);
+  }
+
+  return parts.join(' · ');
+};
+
+export default {
+  LATE_POLICY_TYPES,
+  LATENESS_STATUS,
+  DEFAULT_LATE_POLICY,
+  parseDeadline,
+  normalizeLatePolicy,
+  validateLatePolicy,
+  getLateness,
+  getSubmissionLateness,
+  describeLatePolicy,
+  formatLateness,
+};
@@ -0,0 +1,157 @@
+/**
+ * Message Delivery
+ * Delivery states and per-member read receipts for conversation messages
+ *
+ * A message moves from sending (not yet accepted by the server) to sent,
+ * then delivered once another member's app has received it and read once
+ * another member has opened it. Receipts are kept on the message:
+ * `delivered_to` and `read_by` list the members, either as bare user IDs
+ * or as { user_id, delivered_at | read_at } objects.
+ */
+
+export const DELIVERY_STATES = {
+  SENDING: 'sending',
+  SENT: 'sent',
+  DELIVERED: 'delivered',
+  READ: 'read',
+};
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+/**
+ * Normalise a receipt list to { user_id, at } entries
+ * @param {Array} receipts - User IDs or receipt objects
+ * @returns {Array<{ user_id: (number|string), at: (string|null) }>}
+ */
+export const normalizeReceipts = (receipts = []) =>
+  (receipts || []).map((receipt) =>
+    typeof receipt === 'object' && receipt !== null
+      ? {
+          user_id: receipt.user_id ?? receipt.id,
+          at: receipt.read_at || receipt.delivered_at || receipt.at || null,
+        }
+      : { user_id: receipt, at: null }
+  );
+
+/**
+ * Add one member's receipt to a list, keeping the earliest
+ * @param {Array} receipts - Current receipts
+ * @param {number|string} userId - Member who received or read the message
+ * @param {string} at - ISO timestamp
+ * @returns {Array} - Receipts in normalised form
+ */
+export const addReceipt = (receipts, userId, at = null) => {
+  const normalized = normalizeReceipts(receipts);
+  if (normalized.some((receipt) => sameId(receipt.user_id, userId))) {
+    return normalized;
+  }
+  return [...normalized, { user_id: userId, at }];
+};
+
+/**
+ * Delivery state of one of the user's own messages
+ * @param {Object} message
+ * @returns {string} - One of DELIVERY_STATES
+ */
+export const getDeliveryState = (message) => {
+  if (message.is_pending) {
+    return DELIVERY_STATES.SENDING;
+  }
+
+  const senderId = message.sender?.id;
+  const others = (receipts) =>
+    normalizeReceipts(receipts).filter(
+      (receipt) => !sameId(receipt.user_id, senderId)
+    );
+
+  if (others(message.read_by).length > 0) {
+    return DELIVERY_STATES.READ;
+  }
+  // Older responses only carry is_read
+  if (message.read_by === undefined && message.is_read) {
+    return DELIVERY_STATES.READ;
+  }
+  if (others(message.delivered_to).length > 0) {
+    return DELIVERY_STATES.DELIVERED;
+  }
+  return DELIVERY_STATES.SENT;
+};
+
+/**
+ * Flatten getConversationMembers data into a list of members
+ * Accepts groups with `members` or `users`, a { staff, students } object or
+ * a plain array.
+ * @param {Array|Object} groupedMembers - data.grouped_members
+ * @returns {Array<Object>} - Members, each listed once
+ */
+export const flattenMembers = (groupedMembers) => {
+  let list = [];
+
+  if (Array.isArray(groupedMembers)) {
+    groupedMembers.forEach((entry) => {
+      if (Array.isArray(entry.members) || Array.isArray(entry.users)) {
+        list.push(...(entry.members || entry.users));
+      } else {
+        list.push(entry);
+      }
+    });
+  } else if (groupedMembers && typeof groupedMembers === 'object') {
+    Object.values(groupedMembers).forEach((group) => {
+      if (Array.isArray(group)) list.push(...group);
+    });
+  }
+
+  const seen = new Set();
+  list = list.filter((member) => {
+    const key = String(member.id ?? member.user_id);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+
+  return list;
+};
+
+/**
+ * Who has read, received or not yet received a message
+ * @param {Object} message
+ * @param {Array<Object>} members - From flattenMembers
+ * @returns {{ read: Array, delivered: Array, pending: Array }} - read and
+ *   delivered entries are { member, at }, pending entries are members
+ */
+export const getMessageReceipts = (message, members = []) => {
+  const readBy = normalizeReceipts(message.read_by);
+  const deliveredTo = normalizeReceipts(message.delivered_to);
+  const result = { read: [], delivered: [], pending: [] };
+
+  members.forEach((member) => {
+    const memberId = member.id ?? member.user_id;
+    if (sameId(memberId, message.sender?.id)) return;
+
+    const read = readBy.find((receipt) => sameId(receipt.user_id, memberId));
+    if (read) {
+      result.read.push({ member, at: read.at });
+      return;
+    }
+
+    const delivered = deliveredTo.find((receipt) =>
+      sameId(receipt.user_id, memberId)
+    );
+    if (delivered) {
+      result.delivered.push({ member, at: delivered.at });
+    } else {
+      result.pending.push(member);
+    }
+  });
+
+  return result;
+};
+
+export default {
+  DELIVERY_STATES,
+  normalizeReceipts,
+  addReceipt,
+  getDeliveryState,
+  flattenMembers,
+  getMessageReceipts,
+};
@@ -0,0 +1,108 @@
+/**
+ * Message Interactions
+ * Replies, reactions and forwarding on conversation messages
+ *
+ * A reply carries a short copy of the message it answers in `reply_to`
+ * ({ message_id, content, sender, attachment_url }), so the quote still
+ * shows when the original is not loaded or has been deleted. Reactions are
+ * stored one entry per user and emoji in `reactions`
+ * ([{ emoji, user_id, user_name }]) and summarised for display. Forwarded
+ * messages carry `forwarded_from` ({ sender, conversation_topic }).
+ */
+
+import { htmlToText, decodeHtmlEntities } from './htmlUtils';
+
+export const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+const PREVIEW_LENGTH = 100;
+
+/**
+ * Plain text of a message, without HTML
+ * @param {string} content - Message content
+ * @returns {string}
+ */
+export const getMessagePlainText = (content) =>
+  decodeHtmlEntities(htmlToText(content || '')).trim();
+
+/**
+ * Short copy of a message to quote in a reply
+ * @param {Object} message - The message being replied to
+ * @returns {Object} - { message_id, content, sender, attachment_url }
+ */
+export const createReplyPreview = (message) => {
+  const text = getMessagePlainText(message.content);
+
+  return {
+    message_id: message.message_id,
+    content:
+      text.length > PREVIEW_LENGTH
+        ? `${text.slice(0, PREVIEW_LENGTH).trim()}…`
+        : text,
+    sender: { id: message.sender?.id, name: message.sender?.name },
+    attachment_url: message.attachment_url || null,
+  };
+};
+
+/**
+ * Add the user's reaction, or take it back if they already reacted with
+ * the same emoji
+ * @param {Array<Object>} reactions - Current reactions of the message
+ * @param {string} emoji
+ * @param {Object} user - { id, name }
+ * @returns {Array<Object>} - New reactions array
+ */
+export const toggleReaction = (reactions = [], emoji, user) => {
+  const exists = reactions.some(
+    (reaction) => reaction.emoji === emoji && reaction.user_id === user.id
+  );
+
+  if (exists) {
+    return reactions.filter(
+      (reaction) => !(reaction.emoji === emoji && reaction.user_id === user.id)
+    );
+  }
+
+  return [...reactions, { emoji, user_id: user.id, user_name: user.name }];
+};
+
+/**
+ * Group reactions by emoji, in the order they were first used
+ * @param {Array<Object>} reactions - Reactions of a message
+ * @param {number|string} currentUserId - Highlights the viewer's reactions
+ * @returns {Array<{ emoji: string, count: number, userNames: Array<string>,
+ *   reactedByMe: boolean }>}
+ */
+export const summarizeReactions = (reactions = [], currentUserId = null) => {
+  const groups = new Map();
+
+  reactions.forEach((reaction) => {
+    if (!groups.has(reaction.emoji)) {
+      groups.set(reaction.emoji, {
+        emoji: reaction.emoji,
+        count: 0,
+        userNames: [],
+        reactedByMe: false,
+      });
+    }
+    const group = groups.get(reaction.emoji);
+    group.count++;
+    group.userNames.push(reaction.user_name);
+    // IDs come back as numbers or strings depending on the endpoint
+    if (
+      currentUserId != null &&
+      String(reaction.user_id) === String(currentUserId)
+    ) {
+      group.reactedByMe = true;
+    }
+  });
+
+  return [...groups.values()];
+};
+
+export default {
+  QUICK_REACTIONS,
+  getMessagePlainText,
+  createReplyPreview,
+  toggleReaction,
+  summarizeReactions,
+};
@@ -0,0 +1,146 @@
+/**
+ * Message Templates
+ * Canned messages for staff, with placeholders filled in per recipient
+ *
+ * A template body may use `{student_name}`, `{class}` and `{date}`. Built-in
+ * templates are stored as translation keys, so they follow the UI language.
+ * Templates saved by staff come from the server
+ * ({ template_id, title, body, category, language, is_shared, created_by })
+ * and are shown as written.
+ */
+
+export const TEMPLATE_PLACEHOLDERS = ['student_name', 'class', 'date'];
+
+// Placeholders that differ between recipients
+export const RECIPIENT_PLACEHOLDERS = ['student_name', 'class'];
+
+export const TEMPLATE_CATEGORIES = ['absence', 'homework', 'event', 'general'];
+
+export const BUILT_IN_TEMPLATES = [
+  {
+    template_id: 'builtin-absence',
+    category: 'absence',
+    titleKey: 'templateAbsenceTitle',
+    bodyKey: 'templateAbsenceBody',
+  },
+  {
+    template_id: 'builtin-homework',
+    category: 'homework',
+    titleKey: 'templateHomeworkTitle',
+    bodyKey: 'templateHomeworkBody',
+  },
+  {
+    template_id: 'builtin-event',
+    category: 'event',
+    titleKey: 'templateEventTitle',
+    bodyKey: 'templateEventBody',
+  },
+];
+
+// Locales used to write {date} in each UI language
+const DATE_LOCALES = {
+  en: 'en-US',
+  my: 'my-MM',
+  zh: 'zh-CN',
+  th: 'th-TH',
+  km: 'km-KH',
+};
+
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * Title and body of a template in the current language
+ * @param {Object} template - Built-in or saved template
+ * @param {Function} t - Translate function from LanguageContext
+ * @returns {Object} - The template with `title` and `body` set
+ */
+export const resolveTemplate = (template, t) =>
+  template.bodyKey
+    ? {
+        ...template,
+        title: t(template.titleKey),
+        body: t(template.bodyKey),
+        is_built_in: true,
+      }
+    : template;
+
+/**
+ * Known placeholders used in a text, in order of first use
+ * @param {string} text - Template body
+ * @returns {Array<string>}
+ */
+export const getTemplatePlaceholders = (text) => {
+  const found = [];
+  for (const [, name] of (text || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (TEMPLATE_PLACEHOLDERS.includes(name) && !found.includes(name)) {
+      found.push(name);
+    }
+  }
+  return found;
+};
+
+/**
+ * Whether a text needs values that differ between recipients
+ * @param {string} text - Template body
+ * @returns {boolean}
+ */
+export const hasRecipientPlaceholders = (text) =>
+  getTemplatePlaceholders(text).some((name) =>
+    RECIPIENT_PLACEHOLDERS.includes(name)
+  );
+
+/**
+ * Replace placeholders with values. Placeholders without a value are left
+ * in place so they can be spotted before sending.
+ * @param {string} text - Template body
+ * @param {Object} values - { student_name, class, date }
+ * @returns {string}
+ */
+export const fillTemplate = (text, values = {}) =>
+  (text || '').replace(PLACEHOLDER_PATTERN, (match, name) =>
+    TEMPLATE_PLACEHOLDERS.includes(name) &&
+    values[name] !== undefined &&
+    values[name] !== null &&
+    values[name] !== ''
+      ? String(values[name])
+      : match
+  );
+
+/**
+ * Write a date for {date} in the given UI language
+ * @param {Date} date
+ * @param {string} language - Language code from LanguageContext
+ * @returns {string}
+ */
+export const formatTemplateDate = (date = new Date(), language = 'en') =>
+  date.toLocaleDateString(DATE_LOCALES[language] || DATE_LOCALES.en, {
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  });
+
+/**
+ * Placeholder values for one conversation, taken from its student members
+ * @param {Object} conversation - Conversation with `members`
+ * @param {Object} options
+ * @param {Date} options.date - Date for {date} (default today)
+ * @param {string} options.language - UI language
+ * @returns {Object} - { student_name, class, date }
+ */
+export const getConversationTemplateValues = (
+  conversation,
+  { date = new Date(), language = 'en' } = {}
+) => {
+  const students = (conversation?.members || []).filter(
+    (member) => member.user_type === 'student'
+  );
+  const classes = [
+    ...new Set(students.map((student) => student.classroom_name)),
+  ].filter(Boolean);
+
+  return {
+    student_name: students.map((student) => student.name).join(', '),
+    class: classes.join(', '),
+    date: formatTemplateDate(date, language),
+  };
+};
@@ -9,6 +9,7 @@ import {
   isDeviceRegisteredForRemoteMessages,
 } from '@react-native-firebase/messaging';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { secureSessionStorage } from '../services/secureStorage';
 import { Alert, Platform, Linking } from 'react-native';
 import * as Notifications from 'expo-notifications';
 import * as Device from 'expo-device';
@@ -18,6 +19,11 @@ import { registerDeviceToken } from '../services/deviceService';
 let navigationRef = null;
 let isNavigationReady = false;
 let pendingNavigationActions = [];
+// Asks for the PIN of a locked account (set by AppLockProvider)
+let resolveUnlockHandler;
+let unlockHandlerPromise = new Promise((resolve) => {
+  resolveUnlockHandler = resolve;
+});
 const MAX_RETRY_ATTEMPTS = 3;
 const RETRY_INTERVAL = 2000;
 
@@ -838,6 +844,12 @@ export function setNavigationRef(ref) {
   processPendingNavigationActions();
 }
 
+// Set the app lock check run before a notification opens an account
+export function setAccountUnlockHandler(handler) {
+  resolveUnlockHandler(handler);
+  unlockHandlerPromise = Promise.resolve(handler);
+}
+
 // Clear all pending navigation actions (useful for cleanup)
 export function clearPendingNavigationActions() {
   console.log(
@@ -998,7 +1010,7 @@ function safeNavigate(screenName, params = {}) {
 // Get user type from stored data
 async function getUserType() {
   try {
-    const userData = await AsyncStorage.getItem('userData');
+    const userData = await secureSessionStorage.getItem('userData');
     if (userData) {
       const parsedData = JSON.parse(userData);
       console.log('🔍 MESSAGING: Getting user type from userData:', parsedData);
@@ -1059,6 +1071,16 @@ export async function handleNotificationNavigation(remoteMessage) {
       return;
     }
 
+    // Opening the app from a notification must not skip the app lock
+    const userData = await secureSessionStorage.getItem('userData');
+    if (userData) {
+      const requireUnlock = await unlockHandlerPromise;
+      if (!(await requireUnlock(JSON.parse(userData)))) {
+        console.log('🔒 NAVIGATION: Account is still locked, not navigating');
+        return;
+      }
+    }
+
     // Get user type to determine navigation parameters
     const userType = await getUserType();
     const authCode = await AsyncStorage.getItem('authCode');
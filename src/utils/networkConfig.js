@@ -5,6 +5,7 @@
 
 import { Platform } from 'react-native';
 import NetInfo from '@react-native-community/netinfo';
+import { redactUrl } from './queryString';
 
 /**
  * Get the device's network information
@@ -30,7 +31,7 @@ export const getNetworkInfo = async () => {
  */
 export const testApiConnectivity = async (apiUrl) => {
   try {
-    console.log('🔍 TESTING API CONNECTIVITY:', apiUrl);
+    console.log('🔍 TESTING API CONNECTIVITY:', redactUrl(apiUrl));
     
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
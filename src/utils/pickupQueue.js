@@ -0,0 +1,143 @@
+/**
+ * Pickup Queue Utilities
+ * Ordering, distance and ETA for the gate staff queue board
+ */
+
+import { Config } from '../config/env';
+
+export const QUEUE_SORT = {
+  ARRIVAL: 'arrival',
+  DISTANCE: 'distance',
+};
+
+const getQueueConfig = () => Config.PICKUP_QUEUE || {};
+
+/**
+ * Distance from campus in meters. Requests carry the number from
+ * validatePickupLocation (distance_from_campus) or a formatted string
+ * ("45m", "1.2km").
+ * @param {number|string} value
+ * @returns {number|null}
+ */
+export const parseDistanceMeters = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return isNaN(value) ? null : value;
+
+  const match = String(value)
+    .trim()
+    .toLowerCase()
+    .match(/^([\d.]+)\s*(km|m)?$/);
+  if (!match) return null;
+
+  const number = parseFloat(match[1]);
+  if (isNaN(number)) return null;
+  return match[2] === 'km' ? number * 1000 : number;
+};
+
+const parseTime = (value) => {
+  if (!value) return null;
+  // "2025-01-15 14:30:00" from the API is local time
+  const time = new Date(String(value).replace(' ', 'T')).getTime();
+  return isNaN(time) ? null : time;
+};
+
+export const getRequestId = (request) => request?.request_id ?? request?.id;
+
+/**
+ * Queue details for a waiting pickup request
+ * @param {Object} request - Request from getStaffPickupRequests
+ * @param {number} now - Current time in ms
+ * @returns {Object} - {
+ *   id, request,
+ *   requestedAt: ms|null,
+ *   distance: meters|null,
+ *   waitingMinutes: number|null,
+ *   etaMinutes: number|null,  // 0 when at the gate
+ *   atGate: boolean
+ * }
+ */
+export const getQueueEntry = (request, now = Date.now()) => {
+  const info = request?.request_info || {};
+  const { APPROACH_SPEED_KMH = 20, AT_GATE_METERS = 100 } = getQueueConfig();
+
+  const requestedAt = parseTime(
+    info.created_at || request?.request_time || request?.created_at
+  );
+  const distance = parseDistanceMeters(
+    info.distance_from_campus ?? info.distance ?? request?.distance
+  );
+  const waitingMinutes =
+    requestedAt === null
+      ? null
+      : Math.max(0, Math.floor((now - requestedAt) / 60000));
+
+  let etaMinutes = null;
+  if (distance !== null) {
+    // Distance was measured when the request was made, so time already
+    // spent waiting counts towards the approach
+    const travelMinutes =
+      distance <= AT_GATE_METERS
+        ? 0
+        : distance / 1000 / (APPROACH_SPEED_KMH / 60);
+    etaMinutes = Math.max(0, Math.ceil(travelMinutes - (waitingMinutes || 0)));
+  }
+
+  return {
+    id: getRequestId(request),
+    request,
+    requestedAt,
+    distance,
+    waitingMinutes,
+    etaMinutes,
+    atGate: etaMinutes === 0,
+  };
+};
+
+const compareNullable = (a, b) => {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return a - b;
+};
+
+/**
+ * Build the queue from waiting requests
+ * @param {Array} requests - Waiting requests
+ * @param {string} sortMode - QUEUE_SORT.ARRIVAL or QUEUE_SORT.DISTANCE
+ * @param {number} now - Current time in ms
+ * @returns {Array<Object>} - Queue entries (see getQueueEntry), first in line
+ * first. Unknown times and distances go last.
+ */
+export const buildPickupQueue = (
+  requests = [],
+  sortMode = QUEUE_SORT.ARRIVAL,
+  now = Date.now()
+) => {
+  const entries = requests.map((request) => getQueueEntry(request, now));
+
+  return entries.sort((a, b) => {
+    if (sortMode === QUEUE_SORT.DISTANCE) {
+      const byDistance = compareNullable(a.distance, b.distance);
+      if (byDistance !== 0) return byDistance;
+    }
+    return compareNullable(a.requestedAt, b.requestedAt);
+  });
+};
+
+/**
+ * Requests that were not in the previous refresh
+ * @param {Set} knownIds - Request IDs already seen
+ * @param {Array} requests - Requests from the latest refresh
+ * @returns {Array} - New requests
+ */
+export const findNewArrivals = (knownIds, requests = []) =>
+  requests.filter((request) => !knownIds.has(getRequestId(request)));
+
+export default {
+  QUEUE_SORT,
+  parseDistanceMeters,
+  getRequestId,
+  getQueueEntry,
+  buildPickupQueue,
+  findNewArrivals,
+};
@@ -0,0 +1,310 @@
+/**
+ * Pickup Rules
+ * When, and for which children, a guardian may pick up
+ *
+ * Parents set the rules per guardian in GuardianManagementScreen. They are
+ * stored on the guardian record as pickup_rules:
+ * {
+ *   student_ids: [123] | null,         // null = any of the parent's children
+ *   weekdays: [1, 2, 3, 4, 5] | null,  // 0 = Sunday; null = any day
+ *   time_windows: [{ start: '14:00', end: '17:00' }], // empty = any time
+ *   valid_from: '2025-01-15' | null,   // local dates, inclusive
+ *   valid_until: '2025-01-31' | null,
+ *   one_time: false,                   // ends after the first pickup
+ *   used_at: null,                     // set by the server after that pickup
+ * }
+ */
+
+export const PICKUP_RULE_REASONS = {
+  CHILD: 'child_not_allowed',
+  DAY: 'day_not_allowed',
+  TIME: 'outside_time_window',
+  NOT_STARTED: 'not_started',
+  EXPIRED: 'expired',
+  USED: 'already_used',
+};
+
+export const DEFAULT_PICKUP_RULES = {
+  student_ids: null,
+  weekdays: null,
+  time_windows: [],
+  valid_from: null,
+  valid_until: null,
+  one_time: false,
+  used_at: null,
+};
+
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_KEYS = [
+  'weekdaySun',
+  'weekdayMon',
+  'weekdayTue',
+  'weekdayWed',
+  'weekdayThu',
+  'weekdayFri',
+  'weekdaySat',
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Local date as YYYY-MM-DD (the format of valid_from / valid_until)
+ * @param {Date} date
+ * @returns {string}
+ */
+export const toDateKey = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, '0'),
+    String(date.getDate()).padStart(2, '0'),
+  ].join('-');
+
+/**
+ * Fill in missing fields; empty lists mean "no restriction"
+ * @param {Object|null} rules - pickup_rules from the guardian record
+ * @returns {Object}
+ */
+export const normalizePickupRules = (rules) => {
+  const merged = { ...DEFAULT_PICKUP_RULES, ...(rules || {}) };
+
+  return {
+    ...merged,
+    student_ids: merged.student_ids?.length ? merged.student_ids : null,
+    weekdays: merged.weekdays?.length ? merged.weekdays : null,
+    time_windows: merged.time_windows || [],
+    one_time: !!merged.one_time,
+  };
+};
+
+/**
+ * Whether any restriction is set
+ * @param {Object|null} rules
+ * @returns {boolean}
+ */
+export const hasPickupRules = (rules) => {
+  const normalized = normalizePickupRules(rules);
+  return !!(
+    normalized.student_ids ||
+    normalized.weekdays ||
+    normalized.time_windows.length > 0 ||
+    normalized.valid_from ||
+    normalized.valid_until ||
+    normalized.one_time
+  );
+};
+
+/**
+ * Whether the authorization has ended on its own (date passed or one-time
+ * pickup used)
+ * @param {Object|null} rules
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export const isPickupRulesExpired = (rules, now = new Date()) => {
+  const normalized = normalizePickupRules(rules);
+  return (
+    (normalized.one_time && !!normalized.used_at) ||
+    (!!normalized.valid_until && toDateKey(now) > normalized.valid_until)
+  );
+};
+
+const formatDays = (weekdays, label = (key, fallback) => fallback) =>
+  weekdays.map((day) => label(DAY_KEYS[day], DAY_NAMES[day])).join(', ');
+
+const formatWindows = (windows) =>
+  windows.map((window) => `${window.start}–${window.end}`).join(', ');
+
+/**
+ * Check a pickup against the guardian's rules
+ * @param {Object|null} rules - pickup_rules from the guardian record
+ * @param {Object} options
+ * @param {number|string} options.studentId - Child being picked up
+ * @param {Date} options.now - Time of the pickup
+ * @returns {Object} - { allowed, reason, message }
+ */
+export const checkPickupRules = (
+  rules,
+  { studentId = null, now = new Date() } = {}
+) => {
+  const normalized = normalizePickupRules(rules);
+  const today = toDateKey(now);
+  const deny = (reason, message) => ({ allowed: false, reason, message });
+
+  if (normalized.one_time && normalized.used_at) {
+    return deny(
+      PICKUP_RULE_REASONS.USED,
+      'This one-time pickup authorization has already been used.'
+    );
+  }
+
+  if (normalized.valid_from && today < normalized.valid_from) {
+    return deny(
+      PICKUP_RULE_REASONS.NOT_STARTED,
+      `This pickup authorization starts on ${normalized.valid_from}.`
+    );
+  }
+
+  if (normalized.valid_until && today > normalized.valid_until) {
+    return deny(
+      PICKUP_RULE_REASONS.EXPIRED,
+      `This pickup authorization expired on ${normalized.valid_until}.`
+    );
+  }
+
+  if (
+    studentId !== null &&
+    studentId !== undefined &&
+    normalized.student_ids &&
+    !normalized.student_ids.map(String).includes(String(studentId))
+  ) {
+    return deny(
+      PICKUP_RULE_REASONS.CHILD,
+      'This guardian is not authorized to pick up this child.'
+    );
+  }
+
+  if (normalized.weekdays && !normalized.weekdays.includes(now.getDay())) {
+    return deny(
+      PICKUP_RULE_REASONS.DAY,
+      `Pickup is only allowed on ${formatDays(normalized.weekdays)}.`
+    );
+  }
+
+  if (normalized.time_windows.length > 0) {
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const inWindow = normalized.time_windows.some(
+      (window) =>
+        minutes >= toMinutes(window.start) && minutes <= toMinutes(window.end)
+    );
+    if (!inWindow) {
+      return deny(
+        PICKUP_RULE_REASONS.TIME,
+        `Pickup is only allowed ${formatWindows(normalized.time_windows)}.`
+      );
+    }
+  }
+
+  return { allowed: true, reason: null, message: null };
+};
+
+/**
+ * Validate rules before saving
+ * @param {Object} rules
+ * @returns {Array<string>} - Error messages
+ */
+export const validatePickupRules = (rules) => {
+  const normalized = normalizePickupRules(rules);
+  const errors = [];
+
+  normalized.time_windows.forEach((window) => {
+    if (!TIME_PATTERN.test(window.start) || !TIME_PATTERN.test(window.end)) {
+      errors.push('Times must be in HH:MM format');
+    } else if (toMinutes(window.start) >= toMinutes(window.end)) {
+      errors.push('End time must be after start time');
+    }
+  });
+
+  [normalized.valid_from, normalized.valid_until].forEach((date) => {
+    if (date && !DATE_PATTERN.test(date)) {
+      errors.push('Dates must be in YYYY-MM-DD format');
+    }
+  });
+
+  if (
+    normalized.valid_from &&
+    normalized.valid_until &&
+    normalized.valid_from > normalized.valid_until
+  ) {
+    errors.push('End date must not be before start date');
+  }
+
+  return errors;
+};
+
+/**
+ * Short lines describing the rules, e.g. for a guardian card or the staff
+ * verification alert
+ * @param {Object|null} rules
+ * @param {Object} options
+ * @param {Object} options.childNames - { [student_id]: name }
+ * @param {Function} options.t - Translation function; English when omitted
+ * @returns {Array<string>}
+ */
+export const describePickupRules = (
+  rules,
+  { childNames = {}, t = null } = {}
+) => {
+  const normalized = normalizePickupRules(rules);
+  const label = (key, fallback) => (t ? t(key) : fallback);
+  const lines = [];
+
+  if (!hasPickupRules(normalized)) {
+    return [label('pickupRulesNone', 'Any child, any time')];
+  }
+
+  if (normalized.student_ids) {
+    const names = normalized.student_ids.map(
+      (id) => childNames[id] || `#${id}`
+    );
+    lines.push(
+      label('pickupRulesChildren', 'Children: {names}').replace(
+        '{names}',
+        names.join(', ')
+      )
+    );
+  }
+
+  if (normalized.weekdays) {
+    lines.push(
+      label('pickupRulesDays', 'Days: {days}').replace(
+        '{days}',
+        formatDays(normalized.weekdays, label)
+      )
+    );
+  }
+
+  if (normalized.time_windows.length > 0) {
+    lines.push(
+      label('pickupRulesTimes', 'Times: {times}').replace(
+        '{times}',
+        formatWindows(normalized.time_windows)
+      )
+    );
+  }
+
+  if (normalized.valid_from || normalized.valid_until) {
+    lines.push(
+      label('pickupRulesDates', 'Valid: {from} – {until}')
+        .replace('{from}', normalized.valid_from || '…')
+        .replace('{until}', normalized.valid_until || '…')
+    );
+  }
+
+  if (normalized.one_time) {
+    lines.push(
+      normalized.used_at
+        ? label('pickupRulesOneTimeUsed', 'One-time pickup (used)')
+        : label('pickupRulesOneTime', 'One-time pickup')
+    );
+  }
+
+  return lines;
+};
+
+export default {
+  PICKUP_RULE_REASONS,
+  DEFAULT_PICKUP_RULES,
+  toDateKey,
+  normalizePickupRules,
+  hasPickupRules,
+  isPickupRulesExpired,
+  checkPickupRules,
+  validatePickupRules,
+  describePickupRules,
+};
@@ -0,0 +1,151 @@
+/**
+ * Query String Utilities
+ * Encodes request parameters and keeps credentials out of logs
+ */
+
+// Parameter names whose values must never be logged
+const SENSITIVE_PARAM_PATTERN = /auth_?code|token|password|secret/i;
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Whether a parameter name holds a credential
+ * @param {string} key - Parameter name, e.g. "authCode" or "user[password]"
+ * @returns {boolean}
+ */
+export const isSensitiveParam = (key) => SENSITIVE_PARAM_PATTERN.test(key);
+
+// Brackets are left readable; the backend decodes either form
+const encodeKey = (key) =>
+  encodeURIComponent(key).replace(/%5B/g, '[').replace(/%5D/g, ']');
+
+const serializeValue = (value) =>
+  value instanceof Date ? value.toISOString() : String(value);
+
+const appendPairs = (pairs, key, value) => {
+  if (value === undefined || value === null) {
+    return;
+  }
+
+  if (Array.isArray(value)) {
+    const hasObjects = value.some(
+      (item) => item !== null && typeof item === 'object'
+    );
+    value.forEach((item, index) => {
+      appendPairs(pairs, hasObjects ? `${key}[${index}]` : `${key}[]`, item);
+    });
+    return;
+  }
+
+  if (typeof value === 'object' && !(value instanceof Date)) {
+    Object.keys(value).forEach((childKey) => {
+      appendPairs(pairs, `${key}[${childKey}]`, value[childKey]);
+    });
+    return;
+  }
+
+  pairs.push(`${encodeKey(key)}=${encodeURIComponent(serializeValue(value))}`);
+};
+
+/**
+ * Build an encoded query string (without the leading "?")
+ * Arrays become key[]=a&key[]=b, nested objects key[child]=value,
+ * and null/undefined values are skipped
+ * @param {Object} params - Query parameters
+ * @returns {string} - Encoded query string
+ */
+export const serializeQueryParams = (params = {}) => {
+  const pairs = [];
+  Object.keys(params || {}).forEach((key) => {
+    appendPairs(pairs, key, params[key]);
+  });
+  return pairs.join('&');
+};
+
+/**
+ * Append encoded query parameters to a URL
+ * @param {string} url - URL that may already have a query string
+ * @param {Object} params - Query parameters
+ * @returns {string} - URL with parameters
+ */
+export const appendQueryParams = (url, params = {}) => {
+  const query = serializeQueryParams(params);
+  if (!query) return url;
+
+  const [base, hash] = url.split('#');
+  const separator = base.includes('?') ? '&' : '?';
+  return `${base}${separator}${query}${hash !== undefined ? `#${hash}` : ''}`;
+};
+
+/**
+ * Replace credential values in a URL's query string for logging
+ * @param {string} url - URL to redact
+ * @returns {string} - URL safe to log
+ */
+export const redactUrl = (url) => {
+  if (typeof url !== 'string') return url;
+
+  return url.replace(/([?&])([^=&#]+)=([^&#]*)/g, (match, prefix, key) => {
+    let decodedKey = key;
+    try {
+      decodedKey = decodeURIComponent(key);
+    } catch (error) {
+      // Keep the raw key if it is not valid percent-encoding
+    }
+    return isSensitiveParam(decodedKey) ? `${prefix}${key}=${REDACTED}` : match;
+  });
+};
+
+/**
+ * Copy of a params/body object with credential values redacted for logging
+ * @param {Object} params - Parameters to redact
+ * @returns {Object} - Parameters safe to log
+ */
+export const redactParams = (params) => {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    return params;
+  }
+
+  return Object.keys(params).reduce((redacted, key) => {
+    const value = params[key];
+    if (isSensitiveParam(key) && value !== undefined && value !== null) {
+      redacted[key] = REDACTED;
+    } else if (value && typeof value === 'object' && !(value instanceof Date)) {
+      redacted[key] = redactParams(value);
+    } else {
+      redacted[key] = value;
+    }
+    return redacted;
+  }, {});
+};
+
+/**
+ * Split credential parameters out of a params object so they can be sent
+ * as headers instead of in the URL
+ * @param {Object} params - Query parameters
+ * @param {Object} headerNames - Map of parameter name to header name
+ * @returns {{params: Object, headers: Object}} - Remaining params and headers
+ */
+export const extractCredentialHeaders = (params = {}, headerNames = {}) => {
+  const remaining = { ...params };
+  const headers = {};
+
+  Object.keys(headerNames).forEach((param) => {
+    const value = remaining[param];
+    if (value !== undefined && value !== null && value !== '') {
+      headers[headerNames[param]] = String(value);
+      delete remaining[param];
+    }
+  });
+
+  return { params: remaining, headers };
+};
+
+export default {
+  serializeQueryParams,
+  appendQueryParams,
+  redactUrl,
+  redactParams,
+  isSensitiveParam,
+  extractCredentialHeaders,
+};
@@ -0,0 +1,214 @@
+/**
+ * Rubrics
+ * Building, checking and scoring homework rubrics
+ *
+ * A rubric has criteria, and each criterion has levels worth some points:
+ * {
+ *   id: 12,                       // null until saved to the library
+ *   title: 'Essay',
+ *   criteria: [{
+ *     id: 'c1',
+ *     title: 'Structure',
+ *     levels: [{ id: 'l1', title: 'Excellent', points: 4 }, ...],
+ *   }],
+ * }
+ *
+ * A graded submission has rubric_grade:
+ * {
+ *   rubric_id: 12,
+ *   scores: [{ criterion_id: 'c1', level_id: 'l1', points: 4 }],
+ *   total_points: 4,
+ *   max_points: 8,
+ * }
+ */
+
+export const DEFAULT_LEVEL_TITLES = [
+  'Excellent',
+  'Good',
+  'Satisfactory',
+  'Needs improvement',
+];
+
+let nextLocalId = 0;
+
+/**
+ * ID for a criterion or level that has not been saved yet
+ * @returns {string}
+ */
+export const createLocalId = () =>
+  `local-${Date.now().toString(36)}-${++nextLocalId}`;
+
+/**
+ * New level
+ * @param {string} title
+ * @param {number} points
+ * @returns {Object}
+ */
+export const createLevel = (title = '', points = 0) => ({
+  id: createLocalId(),
+  title,
+  description: '',
+  points,
+});
+
+/**
+ * New criterion with one level per title, worth N..1 points
+ * @param {Array<string>} levelTitles
+ * @returns {Object}
+ */
+export const createCriterion = (levelTitles = DEFAULT_LEVEL_TITLES) => ({
+  id: createLocalId(),
+  title: '',
+  description: '',
+  levels: levelTitles.map((title, index) =>
+    createLevel(title, levelTitles.length - index)
+  ),
+});
+
+/**
+ * New rubric with one criterion
+ * @param {Array<string>} levelTitles
+ * @returns {Object}
+ */
+export const createRubric = (levelTitles = DEFAULT_LEVEL_TITLES) => ({
+  id: null,
+  title: '',
+  description: '',
+  criteria: [createCriterion(levelTitles)],
+});
+
+/**
+ * Fill in missing fields and order levels from most to fewest points
+ * @param {Object|null} rubric
+ * @returns {Object|null}
+ */
+export const normalizeRubric = (rubric) => {
+  if (!rubric) return null;
+
+  return {
+    id: rubric.id ?? null,
+    title: (rubric.title || '').trim(),
+    description: (rubric.description || '').trim(),
+    criteria: (rubric.criteria || []).map((criterion) => ({
+      id: criterion.id,
+      title: (criterion.title || '').trim(),
+      description: (criterion.description || '').trim(),
+      levels: (criterion.levels || [])
+        .map((level) => ({
+          id: level.id,
+          title: (level.title || '').trim(),
+          description: (level.description || '').trim(),
+          points: Number(level.points) || 0,
+        }))
+        .sort((a, b) => b.points - a.points),
+    })),
+  };
+};
+
+/**
+ * Validate a rubric before it is saved
+ * @param {Object} rubric
+ * @returns {Array<string>} - Error messages
+ */
+export const validateRubric = (rubric) => {
+  const normalized = normalizeRubric(rubric);
+  const errors = [];
+
+  if (!normalized?.title) {
+    errors.push('Give the rubric a title');
+  }
+  if (!normalized?.criteria.length) {
+    errors.push('Add at least one criterion');
+    return errors;
+  }
+
+  normalized.criteria.forEach((criterion, index) => {
+    const name = criterion.title || `Criterion ${index + 1}`;
+    if (!criterion.title) {
+      errors.push(`Criterion ${index + 1} needs a title`);
+    }
+    if (criterion.levels.length < 2) {
+      errors.push(`${name} needs at least two levels`);
+    }
+    if (criterion.levels.some((level) => !level.title)) {
+      errors.push(`Every level of ${name} needs a title`);
+    }
+    if (criterion.levels.some((level) => level.points < 0)) {
+      errors.push(`Points of ${name} cannot be negative`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Highest possible score
+ * @param {Object|null} rubric
+ * @returns {number}
+ */
+export const getRubricMaxPoints = (rubric) =>
+  (rubric?.criteria || []).reduce(
+    (total, criterion) =>
+      total +
+      Math.max(0, ...(criterion.levels || []).map((l) => Number(l.points))),
+    0
+  );
+
+/**
+ * Score a rubric from the chosen levels
+ * @param {Object} rubric
+ * @param {Object} selections - { [criterionId]: levelId }
+ * @returns {Object} - { rubric_id, scores, total_points, max_points,
+ * complete }
+ */
+export const scoreRubric = (rubric, selections = {}) => {
+  const scores = [];
+
+  (rubric?.criteria || []).forEach((criterion) => {
+    const level = (criterion.levels || []).find(
+      (item) => item.id === selections[criterion.id]
+    );
+    if (level) {
+      scores.push({
+        criterion_id: criterion.id,
+        level_id: level.id,
+        points: Number(level.points) || 0,
+      });
+    }
+  });
+
+  return {
+    rubric_id: rubric?.id ?? null,
+    scores,
+    total_points: scores.reduce((total, score) => total + score.points, 0),
+    max_points: getRubricMaxPoints(rubric),
+    complete: scores.length === (rubric?.criteria || []).length,
+  };
+};
+
+/**
+ * Chosen levels of a saved grade
+ * @param {Object|null} rubricGrade - Submission rubric_grade
+ * @returns {Object} - { [criterionId]: levelId }
+ */
+export const getRubricSelections = (rubricGrade) =>
+  (rubricGrade?.scores || []).reduce(
+    (selections, score) => ({
+      ...selections,
+      [score.criterion_id]: score.level_id,
+    }),
+    {}
+  );
+
+export default {
+  DEFAULT_LEVEL_TITLES,
+  createLocalId,
+  createLevel,
+  createCriterion,
+  createRubric,
+  normalizeRubric,
+  validateRubric,
+  getRubricMaxPoints,
+  scoreRubric,
+  getRubricSelections,
+};
@@ -0,0 +1,286 @@
+/**
+ * Similarity
+ * On-device similarity check across text homework submissions
+ *
+ * Each answer is split into words and cut into overlapping runs of
+ * SHINGLE_SIZE words ("shingles"). Two answers are compared by the
+ * shingles they share. The score is the share of the shorter answer that
+ * also appears in the other one, so copying a paragraph into a longer
+ * essay still scores high. Thai, Khmer, Burmese and Chinese are written
+ * without spaces, so every character of those scripts counts as a word.
+ *
+ * Shared shingles are merged back into character ranges of each answer,
+ * which the review screen highlights.
+ */
+
+import { htmlToText, decodeHtmlEntities } from './htmlUtils';
+
+export const SHINGLE_SIZE = 5;
+
+// Answers with fewer words than this are too short to compare
+export const MIN_WORDS = 12;
+
+export const SIMILARITY_LEVELS = {
+  HIGH: 'high',
+  MEDIUM: 'medium',
+  LOW: 'low',
+};
+
+const LEVEL_THRESHOLDS = [
+  { level: SIMILARITY_LEVELS.HIGH, min: 0.5 },
+  { level: SIMILARITY_LEVELS.MEDIUM, min: 0.25 },
+];
+
+// One token per character for scripts without spaces, otherwise one per word
+const TOKEN_PATTERN =
+  /[\u0E00-\u0E7F\u1000-\u109F\u1780-\u17FF\u3400-\u9FFF]|[a-z0-9\u00C0-\u024F\u0400-\u04FF]+/gi;
+
+/**
+ * Plain text of a submission, as shown to the teacher
+ * @param {string} html - reply_data of a submission
+ * @returns {string}
+ */
+export const getSubmissionText = (html) =>
+  decodeHtmlEntities(htmlToText(html || ''));
+
+/**
+ * Words of a text with their character positions
+ * Case and punctuation are ignored.
+ * @param {string} text
+ * @returns {Array<{ word: string, start: number, end: number }>}
+ */
+export const tokenize = (text) => {
+  const tokens = [];
+  const source = String(text || '');
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+    tokens.push({
+      word: match[0].toLowerCase(),
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+
+  return tokens;
+};
+
+/**
+ * Shingles of a token list, each with the index of its first token
+ * @param {Array<Object>} tokens
+ * @param {number} size
+ * @returns {Map<string, Array<number>>}
+ */
+export const getShingles = (tokens, size = SHINGLE_SIZE) => {
+  const shingles = new Map();
+
+  for (let i = 0; i + size <= tokens.length; i++) {
+    const key = tokens
+      .slice(i, i + size)
+      .map((token) => token.word)
+      .join(' ');
+    if (!shingles.has(key)) {
+      shingles.set(key, []);
+    }
+    shingles.get(key).push(i);
+  }
+
+  return shingles;
+};
+
+/**
+ * Merge shingle start indexes into character ranges of the text
+ * @param {Array<number>} starts - Token index of each shared shingle
+ * @param {Array<Object>} tokens
+ * @param {number} size
+ * @returns {Array<{ start: number, end: number }>}
+ */
+const toCharacterRanges = (starts, tokens, size) => {
+  const sorted = [...starts].sort((a, b) => a - b);
+  const tokenRanges = [];
+
+  sorted.forEach((start) => {
+    const end = start + size - 1;
+    const last = tokenRanges[tokenRanges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = Math.max(last.end, end);
+    } else {
+      tokenRanges.push({ start, end });
+    }
+  });
+
+  return tokenRanges.map((range) => ({
+    start: tokens[range.start].start,
+    end: tokens[range.end].end,
+  }));
+};
+
+/**
+ * Prepare a text for comparison
+ * @param {string} text - Plain text
+ * @param {Object} options - { size, ignore: Set of shingles to leave out }
+ * @returns {{ text: string, tokens: Array<Object>, shingles: Map }}
+ */
+export const prepareText = (
+  text,
+  { size = SHINGLE_SIZE, ignore = null } = {}
+) => {
+  const tokens = tokenize(text);
+  const shingles = getShingles(tokens, size);
+
+  if (ignore) {
+    ignore.forEach((key) => shingles.delete(key));
+  }
+
+  return { text, tokens, shingles };
+};
+
+/**
+ * Compare two prepared texts
+ * @param {Object} a - Result of prepareText
+ * @param {Object} b - Result of prepareText
+ * @param {number} size - Shingle size both were prepared with
+ * @returns {{ score: number, sharedShingles: number,
+ *   rangesA: Array<Object>, rangesB: Array<Object> }}
+ */
+export const compareTexts = (a, b, size = SHINGLE_SIZE) => {
+  const startsA = [];
+  const startsB = [];
+  let shared = 0;
+
+  a.shingles.forEach((positionsA, key) => {
+    const positionsB = b.shingles.get(key);
+    if (!positionsB) return;
+    shared++;
+    startsA.push(...positionsA);
+    startsB.push(...positionsB);
+  });
+
+  const smaller = Math.min(a.shingles.size, b.shingles.size);
+
+  return {
+    score: smaller > 0 ? shared / smaller : 0,
+    sharedShingles: shared,
+    rangesA: toCharacterRanges(startsA, a.tokens, size),
+    rangesB: toCharacterRanges(startsB, b.tokens, size),
+  };
+};
+
+/**
+ * How worrying a similarity score is
+ * @param {number} score - 0..1
+ * @returns {string} - One of SIMILARITY_LEVELS
+ */
+export const getSimilarityLevel = (score) =>
+  LEVEL_THRESHOLDS.find((threshold) => score >= threshold.min)?.level ||
+  SIMILARITY_LEVELS.LOW;
+
+/**
+ * Compare every pair of text submissions for one assignment
+ * Text that comes from the assignment itself, such as a question the
+ * students copied into their answers, is left out of the comparison.
+ * @param {Array<Object>} submissions - From getHomeworkSubmissions
+ * @param {Object} options - { promptText, size, minWords, minScore }
+ * @returns {{ pairs: Array<Object>, compared: Array<Object>,
+ *   skipped: Array<Object> }} - pairs sorted by score, highest first
+ */
+export const analyzeSubmissions = (
+  submissions = [],
+  {
+    promptText = '',
+    size = SHINGLE_SIZE,
+    minWords = MIN_WORDS,
+    minScore = 0.1,
+  } = {}
+) => {
+  const ignore = new Set(
+    getShingles(tokenize(getSubmissionText(promptText)), size).keys()
+  );
+
+  const compared = [];
+  const skipped = [];
+
+  submissions.forEach((submission) => {
+    const prepared = prepareText(getSubmissionText(submission.reply_data), {
+      size,
+      ignore,
+    });
+    if (prepared.tokens.length < minWords) {
+      skipped.push(submission);
+    } else {
+      compared.push({ submission, ...prepared });
+    }
+  });
+
+  const pairs = [];
+  for (let i = 0; i < compared.length; i++) {
+    for (let j = i + 1; j < compared.length; j++) {
+      const result = compareTexts(compared[i], compared[j], size);
+      if (result.score >= minScore) {
+        pairs.push({
+          a: compared[i].submission,
+          b: compared[j].submission,
+          textA: compared[i].text,
+          textB: compared[j].text,
+          level: getSimilarityLevel(result.score),
+          ...result,
+        });
+      }
+    }
+  }
+
+  pairs.sort((x, y) => y.score - x.score);
+
+  return {
+    pairs,
+    compared: compared.map((item) => item.submission),
+    skipped,
+  };
+};
+
+/**
+ * Split a text into plain and highlighted pieces
+ * @param {string} text
+ * @param {Array<{ start: number, end: number }>} ranges - Sorted, not
+ * overlapping
+ * @returns {Array<{ text: string, highlighted: boolean }>}
+ */
+export const splitHighlights = (text, ranges = []) => {
+  const segments = [];
+  let position = 0;
+
+  ranges.forEach((range) => {
+    if (range.start > position) {
+      segments.push({
+        text: text.slice(position, range.start),
+        highlighted: false,
+      });
+    }
+    segments.push({
+      text: text.slice(range.start, range.end),
+      highlighted: true,
+    });
+    position = range.end;
+  });
+
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), highlighted: false });
+  }
+
+  return segments;
+};
+
+export default {
+  SHINGLE_SIZE,
+  MIN_WORDS,
+  SIMILARITY_LEVELS,
+  getSubmissionText,
+  tokenize,
+  getShingles,
+  prepareText,
+  compareTexts,
+  getSimilarityLevel,
+  analyzeSubmissions,
+  splitHighlights,
+};